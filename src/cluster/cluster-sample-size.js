@@ -0,0 +1,273 @@
+/**
+ * @module cluster/cluster-sample-size
+ * @description 整群随机试验样本量与功效 - 以设计效应包装两组比较函数，给出每组群数与受试者数
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Donner A, Klar N. Design and Analysis of Cluster Randomization Trials in Health Research.
+ *     Arnold; 2000. Chapter 5.
+ * [2] Eldridge SM, Ashby D, Kerry S. Sample size for cluster randomized trials: effect of
+ *     coefficient of variation of cluster size and analysis method. Int J Epidemiol.
+ *     2006;35(5):1292-1300.
+ * [3] Hayes RJ, Moulton LH. Cluster Randomised Trials. 2nd ed. Chapman and Hall/CRC; 2017.
+ *
+ * @formula
+ *   个体随机样本量 n_i（calculateNISampleSize / calculateSupSampleSize / calculateEqSampleSize
+ *   或对应连续终点函数）
+ *   每组群数 k_i = ⌈n_i·DE / m̄⌉，受试者数 N_i = ⌈k_i·m̄⌉
+ *   功效: 有效样本量 n_eff,i = k_i·m̄ / DE 代入 calculatePower（分配比 k₂/k₁）
+ *   连续终点 method = 't': SE = σ·√(DE/(k₁m̄) + DE/(k₂m̄))，非中心 t 精确功效，df = k₁ + k₂ − 2
+ *   （按群数而非受试者数，与群水平分析及 calculateClusterResult 的 t 分布一致）；
+ *   样本量以 z 群数为初值逐群搜索至功效达标，k₂ = ⌈k₁·ratio⌉
+ *
+ * @note 群数较少（每组 < 15 左右）时正态近似偏乐观，可考虑每组增加 1 个群（Hayes & Moulton），
+ *   或取 method = 't' 以群数自由度计算
+ */
+
+import { validateStatParams } from '../core/param-validator.js'
+import {
+  STUDY_TYPES,
+  proportionSampleSize,
+  continuousSampleSize
+} from '../sample-size/two-group/dispatch.js'
+import {
+  CONTINUOUS_METHODS,
+  calculateTTestPower,
+  calculateTOSTPower,
+  searchSampleSizeT
+} from '../sample-size/t-power.js'
+import { calculatePower } from '../power-analysis/power-calculation.js'
+import { calculateDesignEffect } from './design-effect.js'
+
+/**
+ * 连续终点按群数自由度的 t 检验精确功效
+ * @param {string} studyType - 试验类型
+ * @param {number} sigma - 标准差
+ * @param {number} meanDiff - 预期均值差
+ * @param {number} margin - 非劣效 / 等效界值
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} clusters1 - 对照组群数
+ * @param {number} clusters2 - 试验组群数
+ * @param {number} clusterSize - 平均群大小 m̄
+ * @param {number} designEffect - 设计效应
+ * @returns {number} 功效；df = k₁ + k₂ − 2 < 1 时为 NaN
+ */
+function clusterTPower(
+  studyType,
+  sigma,
+  meanDiff,
+  margin,
+  alpha,
+  clusters1,
+  clusters2,
+  clusterSize,
+  designEffect
+) {
+  const se =
+    sigma *
+    Math.sqrt(designEffect / (clusters1 * clusterSize) + designEffect / (clusters2 * clusterSize))
+  const df = clusters1 + clusters2 - 2
+  if (studyType === 'equivalence') return calculateTOSTPower(meanDiff, margin, se, df, alpha)
+  const effect = studyType === 'superiority' ? Math.abs(meanDiff) : meanDiff + Math.abs(margin)
+  return calculateTTestPower(effect / se, df, alpha)
+}
+
+/**
+ * 整群随机试验样本量
+ *
+ * 先按个体随机计算两组样本量，再乘以设计效应并换算为每组群数。
+ *
+ * @param {Object} params - 样本量参数
+ * @param {'proportion'|'continuous'} [params.endpoint='proportion'] - 终点类型
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} [params.p1] - 对照组率（率终点）
+ * @param {number} [params.p2] - 试验组率（率终点）
+ * @param {number} [params.sigma] - 标准差（连续终点）
+ * @param {number} [params.meanDiff=0] - 预期均值差（连续终点）
+ * @param {number} [params.margin] - 非劣效 / 等效界值（优效忽略）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n2/n1
+ * @param {'z'|'t'} [params.method='z'] - 连续终点样本量方法（'t' 按群数自由度 k₁ + k₂ − 2）
+ * @param {number} params.icc - 组内相关系数 ρ
+ * @param {number} params.clusterSize - 平均群大小 m̄
+ * @param {number} [params.cv=0] - 群大小变异系数
+ * @returns {object} - {clusters1, clusters2, n1, n2, designEffect, individualN1, individualN2}；
+ *   参数无效时各数值为 NaN
+ *
+ * @example
+ * // 优效，p1 = 0.3、p2 = 0.4，ρ = 0.02，平均每群 20 例
+ * calculateClusterSampleSize({
+ *   studyType: 'superiority', p1: 0.3, p2: 0.4, alpha: 0.025, power: 0.8, icc: 0.02, clusterSize: 20
+ * })
+ */
+function calculateClusterSampleSize(params) {
+  const {
+    endpoint = 'proportion',
+    studyType = 'non-inferiority',
+    p1,
+    p2,
+    sigma,
+    meanDiff = 0,
+    margin,
+    alpha,
+    power,
+    ratio = 1,
+    method = 'z',
+    icc,
+    clusterSize,
+    cv = 0
+  } = params
+
+  const invalid = {
+    clusters1: NaN,
+    clusters2: NaN,
+    n1: NaN,
+    n2: NaN,
+    designEffect: NaN,
+    individualN1: NaN,
+    individualN2: NaN
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (endpoint !== 'proportion' && endpoint !== 'continuous') return invalid
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (!validateStatParams({ alpha, power, ratio }).valid) return invalid
+  const designEffect = calculateDesignEffect(icc, clusterSize, cv)
+  if (Number.isNaN(designEffect)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 个体随机样本量
+  // ═══════════════════════════════════════════════════════════
+  const individual =
+    endpoint === 'proportion'
+      ? proportionSampleSize(studyType, p1, p2, margin, alpha, power, ratio)
+      : continuousSampleSize(studyType, sigma, margin, alpha, power, ratio, meanDiff, method)
+  if (!(individual.n1 > 0 && individual.n2 > 0) || !isFinite(individual.n1)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 设计效应膨胀 → 群数
+  // ═══════════════════════════════════════════════════════════
+  let clusters1 = Math.ceil((individual.n1 * designEffect) / clusterSize)
+  let clusters2 = Math.ceil((individual.n2 * designEffect) / clusterSize)
+
+  // method='t'（连续终点）: 以上述群数为初值，按群数自由度搜索至精确功效达标
+  if (endpoint === 'continuous' && method === 't') {
+    const powerAt = k =>
+      clusterTPower(
+        studyType,
+        sigma,
+        meanDiff,
+        margin,
+        alpha,
+        k,
+        Math.ceil(k * ratio),
+        clusterSize,
+        designEffect
+      )
+    clusters1 = searchSampleSizeT(powerAt, clusters1, power, 1)
+    if (!isFinite(clusters1)) return invalid
+    clusters2 = Math.ceil(clusters1 * ratio)
+  }
+
+  return {
+    clusters1,
+    clusters2,
+    n1: Math.ceil(clusters1 * clusterSize),
+    n2: Math.ceil(clusters2 * clusterSize),
+    designEffect,
+    individualN1: individual.n1,
+    individualN2: individual.n2
+  }
+}
+
+/**
+ * 整群随机试验功效
+ *
+ * @param {Object} params - 功效参数（终点与效应参数同 calculateClusterSampleSize）
+ * @param {'proportion'|'continuous'} [params.endpoint='proportion'] - 终点类型
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} [params.p1] - 对照组率（率终点）
+ * @param {number} [params.p2] - 试验组率（率终点）
+ * @param {number} [params.sigma] - 标准差（连续终点）
+ * @param {number} [params.meanDiff=0] - 预期均值差（连续终点）
+ * @param {number} [params.margin] - 非劣效 / 等效界值
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {'z'|'t'} [params.method='z'] - 连续终点功效方法: 'z' 正态近似；
+ *   't' 非中心 t（df = k₁ + k₂ − 2，按群数）
+ * @param {number} params.clusters1 - 对照组群数
+ * @param {number} [params.clusters2=clusters1] - 试验组群数
+ * @param {number} params.icc - 组内相关系数 ρ
+ * @param {number} params.clusterSize - 平均群大小 m̄
+ * @param {number} [params.cv=0] - 群大小变异系数
+ * @returns {{power: number, designEffect: number, effectiveN1: number, effectiveN2: number}}
+ *   参数无效时各数值为 NaN
+ */
+function calculateClusterPower(params) {
+  const {
+    endpoint = 'proportion',
+    studyType = 'non-inferiority',
+    p1,
+    p2,
+    sigma,
+    meanDiff = 0,
+    margin,
+    alpha,
+    method = 'z',
+    clusters1,
+    clusters2 = clusters1,
+    icc,
+    clusterSize,
+    cv = 0
+  } = params
+
+  const invalid = { power: NaN, designEffect: NaN, effectiveN1: NaN, effectiveN2: NaN }
+
+  if (endpoint !== 'proportion' && endpoint !== 'continuous') return invalid
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (!Number.isInteger(clusters1) || !Number.isInteger(clusters2)) return invalid
+  if (clusters1 < 1 || clusters2 < 1) return invalid
+  const designEffect = calculateDesignEffect(icc, clusterSize, cv)
+  if (Number.isNaN(designEffect)) return invalid
+  if (endpoint === 'continuous' && !CONTINUOUS_METHODS.has(method)) return invalid
+
+  const effectiveN1 = (clusters1 * clusterSize) / designEffect
+  const effectiveN2 = (clusters2 * clusterSize) / designEffect
+
+  if (endpoint === 'continuous' && method === 't') {
+    if (!validateStatParams({ sigma, alpha }).valid) return invalid
+    const power = clusterTPower(
+      studyType,
+      sigma,
+      meanDiff,
+      margin,
+      alpha,
+      clusters1,
+      clusters2,
+      clusterSize,
+      designEffect
+    )
+    return { power, designEffect, effectiveN1, effectiveN2 }
+  }
+
+  const { power } = calculatePower({
+    designType: 'two-group',
+    studyType,
+    endpointType: endpoint === 'proportion' ? 'proportion' : 'mean',
+    n1: effectiveN1,
+    p1,
+    p2,
+    sigma,
+    meanDiff,
+    delta: margin,
+    alpha,
+    ratio: clusters2 / clusters1
+  })
+
+  return { power, designEffect, effectiveN1, effectiveN2 }
+}
+
+export { calculateClusterSampleSize, calculateClusterPower }
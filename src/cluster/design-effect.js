@@ -0,0 +1,38 @@
+/**
+ * @module cluster/design-effect
+ * @description 整群随机设计效应 - 组内相关系数（ICC）与群大小变异系数
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Donner A, Klar N. Design and Analysis of Cluster Randomization Trials in Health Research.
+ *     Arnold; 2000. Chapter 5.（DE = 1 + (m − 1)ρ）
+ * [2] Eldridge SM, Ashby D, Kerry S. Sample size for cluster randomized trials: effect of
+ *     coefficient of variation of cluster size and analysis method. Int J Epidemiol.
+ *     2006;35(5):1292-1300.（群大小不等时 DE = 1 + ((CV² + 1)m̄ − 1)ρ）
+ *
+ * @formula
+ *   DE = 1 + [(CV² + 1)·m̄ − 1]·ρ
+ *   m̄ 为平均群大小，CV 为群大小的变异系数（sd / m̄），ρ 为组内相关系数；CV = 0 时为等群大小
+ */
+
+/**
+ * 整群随机设计效应（方差膨胀因子）
+ *
+ * @param {number} icc - 组内相关系数 ρ（0 ≤ ρ < 1）
+ * @param {number} clusterSize - 平均群大小 m̄（≥ 1）
+ * @param {number} [cv=0] - 群大小变异系数（≥ 0）
+ * @returns {number} 设计效应；参数无效时返回 NaN
+ *
+ * @example
+ * calculateDesignEffect(0.05, 20)        // 1 + 19 × 0.05 = 1.95
+ * calculateDesignEffect(0.05, 20, 0.5)   // 1 + (1.25 × 20 − 1) × 0.05 = 2.2
+ */
+function calculateDesignEffect(icc, clusterSize, cv = 0) {
+  if (!(Number.isFinite(icc) && icc >= 0 && icc < 1)) return NaN
+  if (!(Number.isFinite(clusterSize) && clusterSize >= 1)) return NaN
+  if (!(Number.isFinite(cv) && cv >= 0)) return NaN
+  return 1 + ((cv * cv + 1) * clusterSize - 1) * icc
+}
+
+export { calculateDesignEffect }
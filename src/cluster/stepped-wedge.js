@@ -0,0 +1,240 @@
+/**
+ * @module cluster/stepped-wedge
+ * @description 阶梯楔形整群随机设计功效 - Hussey-Hughes 横断面模型与 Hooper / Girling 闭合队列模型，支持自定义（不完整）设计矩阵
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Hussey MA, Hughes JP. Design and analysis of stepped wedge cluster randomized trials.
+ *     Contemp Clin Trials. 2007;28(2):182-191. DOI: 10.1016/j.cct.2006.05.007
+ * [2] Hooper R, Teerenstra S, de Hoop E, Eldridge S. Sample size calculation for stepped wedge
+ *     and other longitudinal cluster randomised trials. Stat Med. 2016;35(26):4718-4728.
+ * [3] Girling AJ, Hemming K. Statistical efficiency and optimal design for stepped cluster
+ *     studies under linear mixed effects models. Stat Med. 2016;35(13):2149-2166.
+ *
+ * @formula 群 i、时段 j 的群-时段均值（每格 m 例），总方差 σ²，ICC ρ，群自相关 r，个体自相关 π:
+ *   ȳ_ij = β_j + θ·X_ij + 误差，β_j 为时段固定效应，X_ij ∈ {0, 1} 为干预指示
+ *   Var(ȳ_ij) = σ²[ρ + (1 − ρ)/m]，Cov(ȳ_ij, ȳ_ij') = σ²[ρr + (1 − ρ)π/m]（j ≠ j'）
+ *   横断面设计 π = 0；Hussey-Hughes 模型 r = 1、π = 0
+ *   GLS: Var(θ̂) = [(Σ_i Z_iᵀ V_i⁻¹ Z_i)⁻¹]_θθ，Z_i = [时段哑变量 | X_i]（仅观测格）
+ *   功效（优效）= Φ(|θ| / SE − Z_{1−α})
+ *
+ * @note alpha 为单侧显著性水平（Hussey & Hughes 双侧 0.05 对应 alpha = 0.025）；
+ *   群数较少时正态近似偏乐观
+ */
+
+import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { solveLinearSystem } from '../core/linear-algebra.js'
+import { STUDY_TYPES } from '../sample-size/two-group/dispatch.js'
+
+/**
+ * 标准阶梯楔形设计矩阵: 每步 g 个群，共 S 步、S + 1 个时段，第 s 组群自第 s + 1 时段起接受干预
+ *
+ * @param {number} steps - 步数 S（≥ 1）
+ * @param {number} [clustersPerStep=1] - 每步转换的群数 g
+ * @returns {number[][]} (S·g) × (S + 1) 的 0/1 矩阵；参数无效时返回空数组
+ *
+ * @example
+ * createSteppedWedgeDesign(3)
+ * // [[0, 1, 1, 1],
+ * //  [0, 0, 1, 1],
+ * //  [0, 0, 0, 1]]
+ */
+function createSteppedWedgeDesign(steps, clustersPerStep = 1) {
+  if (!Number.isInteger(steps) || steps < 1) return []
+  if (!Number.isInteger(clustersPerStep) || clustersPerStep < 1) return []
+  const design = []
+  for (let s = 1; s <= steps; s++) {
+    const row = Array.from({ length: steps + 1 }, (_, j) => (j >= s ? 1 : 0))
+    for (let g = 0; g < clustersPerStep; g++) design.push(row.slice())
+  }
+  return design
+}
+
+/**
+ * 校验设计矩阵: 各行等长，元素为 0 / 1 / null（null 表示该群-时段无观测）
+ * @param {Array<Array<number|null>>} design
+ * @returns {boolean}
+ */
+function isValidDesign(design) {
+  if (!Array.isArray(design) || design.length < 2) return false
+  if (!Array.isArray(design[0]) || design[0].length < 1) return false
+  const periods = design[0].length
+  return design.every(
+    row =>
+      Array.isArray(row) &&
+      row.length === periods &&
+      row.every(x => x === 0 || x === 1 || x === null)
+  )
+}
+
+/**
+ * 干预效应 θ̂ 的 GLS 方差（群-时段均值尺度）
+ *
+ * 每个群的协方差阵在观测时段上为复合对称 σ²[(a − b)I + bJ]，
+ * 其逆为 [I − b/(a − b + kb)·J] / [σ²(a − b)]（k 为该群观测时段数）。
+ *
+ * @param {Array<Array<number|null>>} design - 设计矩阵
+ * @param {number} within - a = ρ + (1 − ρ)/m
+ * @param {number} between - b = ρr + (1 − ρ)π/m
+ * @param {number} variance - 总方差 σ²
+ * @returns {number} Var(θ̂)；设计不可估计时返回 NaN
+ */
+function treatmentVariance(design, within, between, variance) {
+  const periods = design[0].length
+  const size = periods + 1
+  const info = Array.from({ length: size }, () => new Array(size).fill(0))
+  const diagonal = variance * (within - between)
+
+  for (const row of design) {
+    const cells = []
+    row.forEach((x, j) => {
+      if (x !== null) cells.push({ period: j, x })
+    })
+    if (cells.length === 0) continue
+    const shrink = between / (within - between + cells.length * between)
+
+    // Z_iᵀ V_i⁻¹ Z_i = [Z_iᵀZ_i − shrink·(Z_iᵀ1)(1ᵀZ_i)] / diagonal
+    const columnSums = new Array(size).fill(0)
+    for (const { period, x } of cells) {
+      columnSums[period] += 1
+      columnSums[periods] += x
+      info[period][period] += 1 / diagonal
+      info[period][periods] += x / diagonal
+      info[periods][period] += x / diagonal
+      info[periods][periods] += (x * x) / diagonal
+    }
+    for (let p = 0; p < size; p++) {
+      for (let q = 0; q < size; q++) {
+        info[p][q] -= (shrink * columnSums[p] * columnSums[q]) / diagonal
+      }
+    }
+  }
+
+  const unit = new Array(size).fill(0)
+  unit[periods] = 1
+  const solution = solveLinearSystem(info, unit)
+  if (solution === null || !(solution[periods] > 0)) return NaN
+  return solution[periods]
+}
+
+/**
+ * 阶梯楔形整群随机设计功效
+ *
+ * 给定步数与每步群数（或自定义设计矩阵），按线性混合模型的 GLS 估计量方差计算干预效应检验的功效。
+ * 默认群自相关 r = 1、个体自相关 π = 0，即 Hussey-Hughes 横断面模型；π > 0 为闭合队列
+ * （同一批受试者在各时段重复测量）。
+ *
+ * @param {Object} params - 功效参数
+ * @param {'proportion'|'continuous'} [params.endpoint='continuous'] - 终点类型
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='superiority'] - 试验类型
+ * @param {number} [params.p1] - 对照条件下的率（率终点）
+ * @param {number} [params.p2] - 干预条件下的率（率终点，方差取 p̄(1 − p̄)）
+ * @param {number} [params.sigma] - 个体水平总标准差（连续终点）
+ * @param {number} [params.meanDiff] - 预期干预效应（连续终点）
+ * @param {number} [params.margin] - 非劣效 / 等效界值（优效忽略）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} [params.steps] - 步数 S（未提供 design 时必填）
+ * @param {number} [params.clustersPerStep=1] - 每步转换的群数
+ * @param {Array<Array<number|null>>} [params.design] - 自定义设计矩阵（群 × 时段，1 = 干预、0 = 对照、null = 无观测）
+ * @param {number} params.clusterSize - 每个群-时段的受试者数 m
+ * @param {number} params.icc - 组内（同时段）相关系数 ρ
+ * @param {number} [params.cac=1] - 群自相关 r（不同时段群效应的相关）
+ * @param {number} [params.iac=0] - 个体自相关 π（闭合队列；横断面为 0）
+ * @returns {object} - {power, se, clusters, periods, measurements}；参数无效或设计不可估计时各数值为 NaN
+ *
+ * @example
+ * // 4 步、每步 3 个群，每格 20 例，ρ = 0.05，效应 0.3σ
+ * calculateSteppedWedgePower({
+ *   sigma: 1, meanDiff: 0.3, alpha: 0.025, steps: 4, clustersPerStep: 3, clusterSize: 20, icc: 0.05
+ * })
+ */
+function calculateSteppedWedgePower(params) {
+  const {
+    endpoint = 'continuous',
+    studyType = 'superiority',
+    p1,
+    p2,
+    sigma,
+    meanDiff,
+    margin,
+    alpha,
+    steps,
+    clustersPerStep = 1,
+    design,
+    clusterSize,
+    icc,
+    cac = 1,
+    iac = 0
+  } = params
+
+  const invalid = { power: NaN, se: NaN, clusters: NaN, periods: NaN, measurements: NaN }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return invalid
+  if (studyType !== 'superiority' && !(Number.isFinite(margin) && margin > 0)) return invalid
+  if (!(Number.isFinite(clusterSize) && clusterSize >= 1)) return invalid
+  if (!(Number.isFinite(icc) && icc >= 0 && icc < 1)) return invalid
+  if (!(Number.isFinite(cac) && cac >= 0 && cac <= 1)) return invalid
+  if (!(Number.isFinite(iac) && iac >= 0 && iac < 1)) return invalid
+
+  let effect, variance
+  if (endpoint === 'proportion') {
+    if (!validateStatParams({ p1, p2 }).valid) return invalid
+    const pBar = (p1 + p2) / 2
+    effect = p2 - p1
+    variance = pBar * (1 - pBar)
+  } else if (endpoint === 'continuous') {
+    if (!validateStatParams({ sigma }).valid || !Number.isFinite(meanDiff)) return invalid
+    effect = meanDiff
+    variance = sigma * sigma
+  } else {
+    return invalid
+  }
+  if (!(variance > 0)) return invalid
+
+  const matrix = design === undefined ? createSteppedWedgeDesign(steps, clustersPerStep) : design
+  if (!isValidDesign(matrix)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: GLS 方差
+  // ═══════════════════════════════════════════════════════════
+  const within = icc + (1 - icc) / clusterSize
+  const between = icc * cac + ((1 - icc) * iac) / clusterSize
+  const thetaVariance = treatmentVariance(matrix, within, between, variance)
+  if (Number.isNaN(thetaVariance)) return invalid
+  const se = Math.sqrt(thetaVariance)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 功效
+  // ═══════════════════════════════════════════════════════════
+  const zAlpha = normalInverse(1 - alpha)
+  let power
+  if (studyType === 'superiority') {
+    power = normalCDF(Math.abs(effect) / se - zAlpha)
+  } else if (studyType === 'non-inferiority') {
+    power = normalCDF((effect + margin) / se - zAlpha)
+  } else {
+    // TOST: Φ((δ − θ)/SE − Z_α) + Φ((δ + θ)/SE − Z_α) − 1
+    power = Math.max(
+      0,
+      normalCDF((margin - effect) / se - zAlpha) + normalCDF((margin + effect) / se - zAlpha) - 1
+    )
+  }
+
+  const observedCells = matrix.reduce((sum, row) => sum + row.filter(x => x !== null).length, 0)
+
+  return {
+    power,
+    se,
+    clusters: matrix.length,
+    periods: matrix[0].length,
+    measurements: observedCells * clusterSize // 观测总人次（闭合队列为重复测量）
+  }
+}
+
+export { createSteppedWedgeDesign, calculateSteppedWedgePower }
@@ -0,0 +1,80 @@
+/**
+ * @module core/binomial
+ * @description 二项分布 - 概率质量函数、累积分布函数、生存函数
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @formula
+ *   P(X ≤ k) = I_{1-p}(n - k, k + 1)
+ *   P(X > k) = I_p(k + 1, n - k)
+ *   两个尾部均直接由不完全贝塔函数计算，不做 1 - CDF 相减，极端尾部不丢失精度
+ */
+
+import { logGamma, regularizedIncompleteBeta } from './special-functions.js'
+
+/**
+ * 参数校验: n 为非负整数，p ∈ [0, 1]
+ * @param {number} n - 试验次数
+ * @param {number} p - 单次成功概率
+ * @returns {boolean}
+ */
+function isValidBinomial(n, p) {
+  return Number.isInteger(n) && n >= 0 && p >= 0 && p <= 1
+}
+
+/**
+ * 二项分布概率质量函数 P(X = k)
+ * @param {number} k - 成功次数
+ * @param {number} n - 试验次数（非负整数）
+ * @param {number} p - 单次成功概率 [0, 1]
+ * @returns {number} P(X = k)；参数无效时返回 NaN
+ */
+function binomialPMF(k, n, p) {
+  if (Number.isNaN(k) || !isValidBinomial(n, p)) return NaN
+  if (!Number.isInteger(k) || k < 0 || k > n) return 0
+  if (p === 0) return k === 0 ? 1 : 0
+  if (p === 1) return k === n ? 1 : 0
+
+  const logChoose = logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1)
+  return Math.exp(logChoose + k * Math.log(p) + (n - k) * Math.log1p(-p))
+}
+
+/**
+ * 二项分布累积分布函数 P(X ≤ k)
+ * @param {number} k - 成功次数（非整数向下取整）
+ * @param {number} n - 试验次数（非负整数）
+ * @param {number} p - 单次成功概率 [0, 1]
+ * @returns {number} P(X ≤ k)；参数无效时返回 NaN
+ *
+ * @example
+ * // R: pbinom(84, 100, 0.75)
+ * binomialCDF(84, 100, 0.75)   // ≈ 0.98892
+ */
+function binomialCDF(k, n, p) {
+  if (Number.isNaN(k) || !isValidBinomial(n, p)) return NaN
+  k = Math.floor(k)
+  if (k < 0) return 0
+  if (k >= n) return 1
+  return regularizedIncompleteBeta(1 - p, n - k, k + 1, p)
+}
+
+/**
+ * 二项分布生存函数 P(X > k)
+ * @param {number} k - 成功次数（非整数向下取整）
+ * @param {number} n - 试验次数（非负整数）
+ * @param {number} p - 单次成功概率 [0, 1]
+ * @returns {number} P(X > k)；参数无效时返回 NaN
+ *
+ * @example
+ * // R: pbinom(84, 100, 0.75, lower.tail = FALSE)，即 P(X ≥ 85)
+ * binomialSF(84, 100, 0.75)   // ≈ 0.011083
+ */
+function binomialSF(k, n, p) {
+  if (Number.isNaN(k) || !isValidBinomial(n, p)) return NaN
+  k = Math.floor(k)
+  if (k < 0) return 1
+  if (k >= n) return 0
+  return regularizedIncompleteBeta(p, k + 1, n - k, 1 - p)
+}
+
+export { binomialPMF, binomialCDF, binomialSF }
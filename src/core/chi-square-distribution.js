@@ -0,0 +1,88 @@
+/**
+ * @module core/chi-square-distribution
+ * @description 卡方分布 - 累积分布函数、生存函数与分位数函数
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Abramowitz M, Stegun IA. Handbook of Mathematical Functions. 1964.
+ *     26.4.19（卡方分布与不完全伽马函数的关系）
+ *
+ * @formula
+ *   P(χ² ≤ x) = P(ν/2, x/2)，P(χ² > x) = Q(ν/2, x/2)
+ *   分位数: 在 [0, 上界] 上二分求解 P(χ² ≤ x) = p（上界按均值 + 标准差倍增至覆盖 p）
+ */
+
+import { regularizedGammaP, regularizedGammaQ } from './special-functions.js'
+
+/** 分位数二分最大迭代次数 */
+const CHISQ_INV_MAX_ITER = 200
+
+/** 分位数收敛相对精度 */
+const CHISQ_INV_EPS = 1e-14
+
+/**
+ * 自由度是否有效（允许非整数）
+ * @param {number} df - 自由度
+ * @returns {boolean}
+ */
+function isValidDf(df) {
+  return typeof df === 'number' && Number.isFinite(df) && df > 0
+}
+
+/**
+ * 卡方分布累积分布函数 P(χ² ≤ x)
+ * @param {number} x - 输入值
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} P(χ² ≤ x)；自由度无效时返回 NaN
+ *
+ * @example
+ * // R: pchisq(3.841459, 1)
+ * chiSquareCDF(3.841459, 1)   // ≈ 0.95
+ */
+function chiSquareCDF(x, df) {
+  if (Number.isNaN(x) || !isValidDf(df)) return NaN
+  if (x <= 0) return 0
+  return regularizedGammaP(df / 2, x / 2)
+}
+
+/**
+ * 卡方分布生存函数（上尾概率）P(χ² > x)
+ * @param {number} x - 输入值
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} P(χ² > x)；自由度无效时返回 NaN
+ */
+function chiSquareSF(x, df) {
+  if (Number.isNaN(x) || !isValidDf(df)) return NaN
+  if (x <= 0) return 1
+  return regularizedGammaQ(df / 2, x / 2)
+}
+
+/**
+ * 卡方分布分位数函数
+ * @param {number} p - 累积概率 (0 ≤ p ≤ 1)
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} 使 P(χ² ≤ x) = p 的 x；参数无效时返回 NaN
+ *
+ * @example
+ * // R: qchisq(0.05, 10)
+ * chiSquareInverse(0.05, 10)   // ≈ 3.940299
+ */
+function chiSquareInverse(p, df) {
+  if (Number.isNaN(p) || !isValidDf(df) || p < 0 || p > 1) return NaN
+  if (p === 0) return 0
+  if (p === 1) return Infinity
+
+  let hi = df + 10 * Math.sqrt(2 * df) + 10
+  while (chiSquareCDF(hi, df) < p) hi *= 2
+  let lo = 0
+  for (let i = 0; i < CHISQ_INV_MAX_ITER; i++) {
+    const mid = (lo + hi) / 2
+    if (chiSquareCDF(mid, df) < p) lo = mid
+    else hi = mid
+    if (hi - lo <= CHISQ_INV_EPS * hi) break
+  }
+  return (lo + hi) / 2
+}
+
+export { chiSquareCDF, chiSquareSF, chiSquareInverse }
@@ -1,11 +1,16 @@
 /**
  * @module core/confidence-interval
- * @description 置信区间计算函数 - Wilson Score方法
+ * @description 置信区间计算函数 - Wilson Score方法、Clopper-Pearson 精确法
  * @author Device Helper Team
  * @date 2026-01-18
+ *
+ * @references
+ * [1] Clopper CJ, Pearson ES. The use of confidence or fiducial limits illustrated in
+ *     the case of the binomial. Biometrika. 1934;26(4):404-413.
  */
 
 import { safeNumber, safeDivide } from './safe-math.js'
+import { inverseRegularizedIncompleteBeta } from './special-functions.js'
 
 // Wilson Score单个比例的置信区间
 function calculateWilsonCI(x, n, z) {
@@ -37,4 +42,37 @@ function calculateWilsonCI(x, n, z) {
   return { lower, upper }
 }
 
-export { calculateWilsonCI }
+/**
+ * Clopper-Pearson 精确置信区间（单个比例）
+ *
+ * @formula lower = B⁻¹(α; x, n - x + 1)，upper = B⁻¹(1 - α; x + 1, n - x)
+ *   x = 0 时 lower = 0，x = n 时 upper = 1
+ *
+ * @param {number} x - 成功次数 (0 ≤ x ≤ n 的整数)
+ * @param {number} n - 样本量（正整数）
+ * @param {number} alpha - 每侧尾部概率（置信水平为 1 - 2α，与单侧 α 的判定口径一致）
+ * @returns {{lower: number, upper: number}} 置信区间；参数无效时返回 NaN
+ *
+ * @example
+ * // R: binom.test(85, 100)$conf.int → [0.7647, 0.9135]
+ * calculateClopperPearsonCI(85, 100, 0.025)
+ */
+function calculateClopperPearsonCI(x, n, alpha) {
+  if (
+    !Number.isInteger(n) ||
+    n <= 0 ||
+    !Number.isInteger(x) ||
+    x < 0 ||
+    x > n ||
+    !(alpha > 0 && alpha < 0.5)
+  ) {
+    return { lower: NaN, upper: NaN }
+  }
+
+  const lower = x === 0 ? 0 : inverseRegularizedIncompleteBeta(alpha, x, n - x + 1)
+  const upper = x === n ? 1 : inverseRegularizedIncompleteBeta(1 - alpha, x + 1, n - x)
+
+  return { lower, upper }
+}
+
+export { calculateWilsonCI, calculateClopperPearsonCI }
@@ -0,0 +1,346 @@
+/**
+ * @module core/exact-two-proportion
+ * @description 两独立比例精确检验 - Fisher 条件检验、Barnard / Boschloo 非条件检验（含非零界值）与检验反演置信区间
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Fisher RA. The logic of inductive inference. J R Stat Soc. 1935;98(1):39-82.
+ * [2] Barnard GA. Significance tests for 2 × 2 tables. Biometrika. 1947;34(1-2):123-138.
+ * [3] Boschloo RD. Raised conditional level of significance for the 2 × 2-table when testing
+ *     the equality of two probabilities. Stat Neerl. 1970;24(1):1-9.
+ * [4] Chan ISF. Exact tests of equivalence and efficacy with a non-zero lower bound for
+ *     comparative studies. Stat Med. 1998;17(12):1403-1413.
+ * [5] Chan ISF, Zhang Z. Test-based exact confidence intervals for the difference of two
+ *     binomial proportions. Biometrics. 1999;55(4):1202-1209.
+ * [6] Röhmel J, Mansmann U. Unconditional non-asymptotic one-sided tests for independent
+ *     binomial proportions when the interest lies in showing non-inferiority and/or
+ *     superiority. Biom J. 1999;41(2):149-170.（Barnard 凸性条件）
+ *
+ * @formula 观测表 x₁/n₁（对照）、x₂/n₂（试验），单侧 H₀: p₂ − p₁ ≤ δ₀
+ *   Fisher:   p = Σ_{k ≥ x₂} C(n₂, k)·C(n₁, s − k) / C(N, s)，s = x₁ + x₂（条件于合计，仅 δ₀ = 0）
+ *   非条件:   p = sup_{p₁} Σ_{T(y) ≥ T(x)} b(y₁; n₁, p₁)·b(y₂; n₂, p₁ + δ₀)，
+ *             p₁ ∈ [max(0, −δ₀), min(1, 1 − δ₀)]
+ *     barnard:  T 为率差 score 统计量 z(δ₀)（RMLE 方差；δ₀ = 0 即合并方差 z，δ₀ ≠ 0 即 Chan 1998）
+ *     boschloo: T = −ln p_Fisher（Fisher 单侧 p 值越小越极端）
+ *   凸性: 固定 y₁ 时极端区域为 y₂ ≥ c(y₁)，故 p = sup Σ_{y₁} b(y₁)·P(Y₂ ≥ c(y₁))
+ *   置信区间（Chan & Zhang 1999）: 下限为 p(δ₀) = α 的 δ₀，上限由交换两组求得（1 − 2α 双侧区间）
+ *
+ * @note 概率全部在对数尺度计算（ln C(n, k) 预先制表，求和前才取 exp）；
+ *   冗余参数先在可行域 1000 等分网格取最大，再于最优网格点相邻区间黄金分割细化。
+ *   计算量: 每次 p 值约 1040 × (n₁ + n₂) 次二项概率；置信区间两端各二分约 21 次 p 值，
+ *   n₁ = n₂ = 1000 时为数秒量级（Boschloo 约为 Barnard 的 2.5 倍），大样本宜改用渐近 score 区间
+ */
+
+import { logGamma } from './special-functions.js'
+import { scoreStatistic } from './proportion-score.js'
+
+/** 支持的精确检验方法 */
+const EXACT_METHODS = new Set(['fisher', 'barnard', 'boschloo'])
+
+/** 冗余参数网格等分数与黄金分割细化迭代次数 */
+const NUISANCE_GRID = 1000
+const REFINE_ITERATIONS = 40
+
+/** 检验统计量比较容差（与观测值相等的表计入极端区域） */
+const TIE_TOLERANCE = 1e-10
+
+/** 置信限二分精度（报告精度；每收紧一个数量级约多 3 次 p 值计算） */
+const CI_TOLERANCE = 1e-6
+
+const GOLDEN = (Math.sqrt(5) - 1) / 2
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 四格表校验: n 为正整数，x 为 0 ≤ x ≤ n 的整数
+ * @returns {boolean}
+ */
+function isValidTable(x1, n1, x2, n2) {
+  return (
+    [x1, n1, x2, n2].every(Number.isInteger) &&
+    n1 >= 1 &&
+    n2 >= 1 &&
+    x1 >= 0 &&
+    x1 <= n1 &&
+    x2 >= 0 &&
+    x2 <= n2
+  )
+}
+
+/**
+ * ln C(n, k) 表，k = 0..n
+ * @param {number} n
+ * @returns {number[]}
+ */
+function logChooseTable(n) {
+  const logFactN = logGamma(n + 1)
+  const table = []
+  for (let k = 0; k <= n; k++) table.push(logFactN - logGamma(k + 1) - logGamma(n - k + 1))
+  return table
+}
+
+/**
+ * ln(Σ exp(aᵢ))
+ * @param {number[]} terms
+ * @returns {number}
+ */
+function logSumExp(terms) {
+  const max = Math.max(...terms)
+  if (max === -Infinity) return -Infinity
+  let sum = 0
+  for (const term of terms) sum += Math.exp(term - max)
+  return max + Math.log(sum)
+}
+
+/**
+ * 两组样本量对应的对数组合数表
+ * @returns {{n1: number, n2: number, log1: number[], log2: number[], logN: number[]}}
+ */
+function createTables(n1, n2) {
+  return {
+    n1,
+    n2,
+    log1: logChooseTable(n1),
+    log2: logChooseTable(n2),
+    logN: logChooseTable(n1 + n2)
+  }
+}
+
+/**
+ * Fisher 单侧上尾 p 值的对数 ln P(Y₂ ≥ y₂ | Y₁ + Y₂ = s)
+ * @returns {number}
+ */
+function logFisherUpper(tables, y1, y2) {
+  const { n1, n2, log1, log2, logN } = tables
+  const s = y1 + y2
+  const terms = []
+  for (let k = y2; k <= Math.min(s, n2); k++) {
+    if (s - k <= n1) terms.push(log2[k] + log1[s - k] - logN[s])
+  }
+  return Math.min(0, logSumExp(terms))
+}
+
+/**
+ * 二项分布全部概率 b(k; n, p)，k = 0..n（对数尺度计算，p = 0 / 1 精确处理）
+ * @returns {number[]}
+ */
+function binomialProbabilities(logChoose, n, p) {
+  const probs = new Array(n + 1).fill(0)
+  if (p <= 0) {
+    probs[0] = 1
+    return probs
+  }
+  if (p >= 1) {
+    probs[n] = 1
+    return probs
+  }
+  const logP = Math.log(p)
+  const logQ = Math.log1p(-p)
+  for (let k = 0; k <= n; k++) probs[k] = Math.exp(logChoose[k] + k * logP + (n - k) * logQ)
+  return probs
+}
+
+/**
+ * 排序统计量（越大越极端）
+ * @param {Object} tables - createTables 结果
+ * @param {'barnard'|'boschloo'} method
+ * @param {number} delta0 - 零假设率差
+ * @returns {function(number, number): number}
+ */
+function orderingStatistic(tables, method, delta0) {
+  const { n1, n2 } = tables
+  if (method === 'boschloo') return (y1, y2) => -logFisherUpper(tables, y1, y2)
+  return (y1, y2) => scoreStatistic(y1 / n1, y2 / n2, n1, n2, 'difference', delta0)
+}
+
+/**
+ * 各 y₁ 的极端区域阈值 c(y₁) = min{y₂: T(y₁, y₂) ≥ T_obs}（无则为 n₂ + 1）
+ * 统计量对 y₂ 单调（凸性），二分查找
+ * @returns {number[]}
+ */
+function extremeThresholds(tables, statistic, observed) {
+  const { n1, n2 } = tables
+  const cutoff = observed - TIE_TOLERANCE * Math.max(1, Math.abs(observed))
+  const thresholds = []
+  for (let y1 = 0; y1 <= n1; y1++) {
+    let lo = 0
+    let hi = n2 + 1
+    while (lo < hi) {
+      const mid = Math.floor((lo + hi) / 2)
+      if (statistic(y1, mid) >= cutoff) hi = mid
+      else lo = mid + 1
+    }
+    thresholds.push(lo)
+  }
+  return thresholds
+}
+
+/**
+ * 给定冗余参数 p₁ 时极端区域的概率
+ * @returns {number}
+ */
+function regionProbability(tables, thresholds, p1, delta0) {
+  const { n1, n2, log1, log2 } = tables
+  const b1 = binomialProbabilities(log1, n1, p1)
+  const b2 = binomialProbabilities(log2, n2, p1 + delta0)
+  const tail = new Array(n2 + 2).fill(0)
+  for (let k = n2; k >= 0; k--) tail[k] = tail[k + 1] + b2[k]
+  let prob = 0
+  for (let y1 = 0; y1 <= n1; y1++) prob += b1[y1] * tail[thresholds[y1]]
+  return prob
+}
+
+/**
+ * 冗余参数上确界: 等分网格 + 黄金分割细化
+ * @param {function(number): number} probability
+ * @param {number} lower - 可行域下界
+ * @param {number} upper - 可行域上界
+ * @returns {number}
+ */
+function maximizeOverNuisance(probability, lower, upper) {
+  const step = (upper - lower) / NUISANCE_GRID
+  let best = -Infinity
+  let bestIndex = 0
+  for (let i = 0; i <= NUISANCE_GRID; i++) {
+    const value = probability(lower + i * step)
+    if (value > best) {
+      best = value
+      bestIndex = i
+    }
+  }
+
+  let a = lower + Math.max(bestIndex - 1, 0) * step
+  let b = lower + Math.min(bestIndex + 1, NUISANCE_GRID) * step
+  let c = b - GOLDEN * (b - a)
+  let d = a + GOLDEN * (b - a)
+  let fc = probability(c)
+  let fd = probability(d)
+  for (let i = 0; i < REFINE_ITERATIONS; i++) {
+    if (fc > fd) {
+      b = d
+      d = c
+      fd = fc
+      c = b - GOLDEN * (b - a)
+      fc = probability(c)
+    } else {
+      a = c
+      c = d
+      fc = fd
+      d = a + GOLDEN * (b - a)
+      fd = probability(d)
+    }
+  }
+  return Math.min(1, Math.max(best, fc, fd))
+}
+
+/**
+ * 非条件检验 p 值（复用对数组合数表）
+ * @returns {{p_value: number, observed: number}}
+ */
+function unconditionalPValue(tables, x1, x2, delta0, method) {
+  const statistic = orderingStatistic(tables, method, delta0)
+  const observed = statistic(x1, x2)
+  const thresholds = extremeThresholds(tables, statistic, observed)
+  const p_value = maximizeOverNuisance(
+    p1 => regionProbability(tables, thresholds, p1, delta0),
+    Math.max(0, -delta0),
+    Math.min(1, 1 - delta0)
+  )
+  return { p_value, observed }
+}
+
+/**
+ * 置信下限: p(δ₀) 随 δ₀ 单调递增，二分求 p(δ₀) = α
+ * @returns {number}
+ */
+function lowerConfidenceLimit(x1, n1, x2, n2, alpha, method) {
+  const tables = createTables(n1, n2)
+  const pValueAt = delta0 => unconditionalPValue(tables, x1, x2, delta0, method).p_value
+  // δ₀ = −1 时仅 (n₁, 0) 一张表概率非零（score 方差退化），该表本身即观测表时下限为 −1
+  if (x1 === n1 && x2 === 0) return -1
+  let lo = -1
+  let hi = x2 / n2 - x1 / n1
+  while (hi - lo > CI_TOLERANCE) {
+    const mid = (lo + hi) / 2
+    if (pValueAt(mid) > alpha) hi = mid
+    else lo = mid
+  }
+  return (lo + hi) / 2
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Fisher 精确检验单侧 p 值 P(X₂ ≥ x₂ | x₁ + x₂)（备择: p₂ > p₁）
+ *
+ * @param {number} x1 - 对照组成功数
+ * @param {number} n1 - 对照组样本量
+ * @param {number} x2 - 试验组成功数
+ * @param {number} n2 - 试验组样本量
+ * @returns {number} 单侧 p 值；四格表无效时返回 NaN
+ *
+ * @example
+ * // scipy.stats.fisher_exact([[74, 31], [43, 32]], alternative='greater')
+ * fisherExactTest(31, 63, 74, 117)   // ≈ 0.0483
+ */
+function fisherExactTest(x1, n1, x2, n2) {
+  if (!isValidTable(x1, n1, x2, n2)) return NaN
+  return Math.exp(logFisherUpper(createTables(n1, n2), x1, x2))
+}
+
+/**
+ * 非条件精确检验 H₀: p₂ − p₁ ≤ δ₀（Barnard / Boschloo）
+ *
+ * @param {number} x1 - 对照组成功数
+ * @param {number} n1 - 对照组样本量
+ * @param {number} x2 - 试验组成功数
+ * @param {number} n2 - 试验组样本量
+ * @param {number} [delta0=0] - 零假设率差（非劣效为 −δ，δ₀ ∈ (−1, 1)）
+ * @param {'barnard'|'boschloo'} [method='barnard'] - 排序统计量
+ * @returns {{p_value: number, statistic: number}} statistic: barnard 为 score z，boschloo 为
+ *   Fisher 单侧 p 值；参数无效时均为 NaN
+ *
+ * @example
+ * // scipy.stats.barnard_exact([[7, 12], [8, 3]], alternative='less')（疫苗例: 12/15 vs 7/15）
+ * exactUnconditionalTest(7, 15, 12, 15, 0, 'barnard')   // p ≈ 0.0341
+ */
+function exactUnconditionalTest(x1, n1, x2, n2, delta0 = 0, method = 'barnard') {
+  const invalid = { p_value: NaN, statistic: NaN }
+  if (!isValidTable(x1, n1, x2, n2) || !(delta0 > -1 && delta0 < 1)) return invalid
+  if (method !== 'barnard' && method !== 'boschloo') return invalid
+
+  const { p_value, observed } = unconditionalPValue(createTables(n1, n2), x1, x2, delta0, method)
+  return { p_value, statistic: method === 'boschloo' ? Math.exp(-observed) : observed }
+}
+
+/**
+ * 检验反演精确置信区间（Chan-Zhang，1 − 2α 双侧）
+ * 下限 L 满足 p(L) = α（H₀: p₂ − p₁ ≤ L 恰在 α 水平被拒绝），上限由交换两组后的下限取负
+ *
+ * @param {number} x1 - 对照组成功数
+ * @param {number} n1 - 对照组样本量
+ * @param {number} x2 - 试验组成功数
+ * @param {number} n2 - 试验组样本量
+ * @param {number} alpha - 单侧显著性水平
+ * @param {'barnard'|'boschloo'} [method='barnard'] - 排序统计量
+ * @returns {{lower: number, upper: number}} 率差 p₂ − p₁ 的置信区间（精度 1e-6）；参数无效时为 NaN
+ *
+ * @note 耗时随样本量近似线性增长（约 42 次完整 p 值计算），n 上千时为秒级
+ */
+function exactUnconditionalInterval(x1, n1, x2, n2, alpha, method = 'barnard') {
+  const invalid = { lower: NaN, upper: NaN }
+  if (!isValidTable(x1, n1, x2, n2) || !(alpha > 0 && alpha < 0.5)) return invalid
+  if (method !== 'barnard' && method !== 'boschloo') return invalid
+
+  return {
+    lower: lowerConfidenceLimit(x1, n1, x2, n2, alpha, method),
+    upper: -lowerConfidenceLimit(x2, n2, x1, n1, alpha, method)
+  }
+}
+
+export { EXACT_METHODS, fisherExactTest, exactUnconditionalTest, exactUnconditionalInterval }
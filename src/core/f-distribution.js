@@ -0,0 +1,62 @@
+/**
+ * @module core/f-distribution
+ * @description F 分布 - 累积分布函数与生存函数（方差分析 F 检验 p 值）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Abramowitz M, Stegun IA. Handbook of Mathematical Functions. 1964.
+ *     26.6.2（F 分布与不完全贝塔函数的关系）
+ *
+ * @formula
+ *   P(F ≤ f) = I_x(d1/2, d2/2)，x = d1·f / (d1·f + d2)
+ *   P(F > f) = I_{1−x}(d2/2, d1/2)
+ *   两个尾部均直接由不完全贝塔函数计算，不做 1 - CDF 相减
+ */
+
+import { regularizedIncompleteBeta } from './special-functions.js'
+
+/**
+ * 自由度是否有效（允许非整数）
+ * @param {number} df - 自由度
+ * @returns {boolean}
+ */
+function isValidDf(df) {
+  return typeof df === 'number' && Number.isFinite(df) && df > 0
+}
+
+/**
+ * F 分布累积分布函数 P(F ≤ f)
+ * @param {number} f - 输入值
+ * @param {number} d1 - 分子自由度 (> 0)
+ * @param {number} d2 - 分母自由度 (> 0)
+ * @returns {number} P(F ≤ f)；自由度无效时返回 NaN
+ *
+ * @example
+ * // R: pf(4.964603, 1, 10)
+ * fCDF(4.964603, 1, 10)   // ≈ 0.95
+ */
+function fCDF(f, d1, d2) {
+  if (Number.isNaN(f) || !isValidDf(d1) || !isValidDf(d2)) return NaN
+  if (f <= 0) return 0
+  if (f === Infinity) return 1
+  const denom = d1 * f + d2
+  return regularizedIncompleteBeta((d1 * f) / denom, d1 / 2, d2 / 2, d2 / denom)
+}
+
+/**
+ * F 分布生存函数（上尾概率）P(F > f)
+ * @param {number} f - 输入值
+ * @param {number} d1 - 分子自由度 (> 0)
+ * @param {number} d2 - 分母自由度 (> 0)
+ * @returns {number} P(F > f)；自由度无效时返回 NaN
+ */
+function fSF(f, d1, d2) {
+  if (Number.isNaN(f) || !isValidDf(d1) || !isValidDf(d2)) return NaN
+  if (f <= 0) return 1
+  if (f === Infinity) return 0
+  const denom = d1 * f + d2
+  return regularizedIncompleteBeta(d2 / denom, d2 / 2, d1 / 2, (d1 * f) / denom)
+}
+
+export { fCDF, fSF }
@@ -0,0 +1,110 @@
+/**
+ * @module core/linear-algebra
+ * @description 小型稠密矩阵运算 - 线性方程组求解、矩阵求逆与正定性判断（GLS 方差计算共用）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Golub GH, Van Loan CF. Matrix Computations. 4th ed. Johns Hopkins University Press; 2013.
+ *     Chapters 3-4.（部分主元高斯消元、Cholesky 分解）
+ *
+ * @note 面向设计阶段的小矩阵（维数通常 < 50），不做分块或稀疏优化
+ */
+
+/** 主元相对容差：|主元| ≤ 容差 × max|a_ij| 视为奇异 */
+const SINGULAR_TOLERANCE = 1e-12
+
+/**
+ * 矩阵元素绝对值的最大值（奇异判断的尺度）
+ * @param {number[][]} matrix
+ * @returns {number}
+ */
+function maxAbs(matrix) {
+  return Math.max(...matrix.map(row => Math.max(...row.map(Math.abs))))
+}
+
+/**
+ * 高斯-约当消元（部分主元）求解 AX = B
+ * @param {number[][]} matrix - n × n 系数矩阵（不修改）
+ * @param {number[][]} rhs - n × m 右端矩阵（不修改）
+ * @returns {number[][]|null} n × m 解矩阵；矩阵奇异时返回 null
+ */
+function gaussJordan(matrix, rhs) {
+  const size = matrix.length
+  const width = rhs[0].length
+  const a = matrix.map((row, i) => [...row, ...rhs[i]])
+  const scale = maxAbs(matrix)
+  for (let col = 0; col < size; col++) {
+    let pivot = col
+    for (let r = col + 1; r < size; r++) {
+      if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r
+    }
+    if (!(Math.abs(a[pivot][col]) > SINGULAR_TOLERANCE * scale)) return null
+    const temp = a[col]
+    a[col] = a[pivot]
+    a[pivot] = temp
+    for (let r = 0; r < size; r++) {
+      if (r === col) continue
+      const factor = a[r][col] / a[col][col]
+      if (factor === 0) continue
+      for (let c = col; c < size + width; c++) a[r][c] -= factor * a[col][c]
+    }
+  }
+  return a.map((row, i) => row.slice(size).map(v => v / row[i]))
+}
+
+/**
+ * 求解线性方程组 Ax = b
+ * @param {number[][]} matrix - n × n 系数矩阵
+ * @param {number[]} rhs - 右端向量
+ * @returns {number[]|null} 解向量；矩阵奇异时返回 null
+ */
+function solveLinearSystem(matrix, rhs) {
+  const column = rhs.map(v => [v])
+  const solution = gaussJordan(matrix, column)
+  return solution === null ? null : solution.map(row => row[0])
+}
+
+/**
+ * 矩阵求逆
+ * @param {number[][]} matrix - n × n 矩阵
+ * @returns {number[][]|null} 逆矩阵；矩阵奇异时返回 null
+ */
+function invertMatrix(matrix) {
+  const identity = matrix.map((_, i) => matrix.map((__, j) => (i === j ? 1 : 0)))
+  return gaussJordan(matrix, identity)
+}
+
+/**
+ * 对称正定判断（Cholesky 分解可完成且主对角元均为正）
+ * @param {number[][]} matrix - n × n 矩阵
+ * @returns {boolean}
+ */
+function isPositiveDefinite(matrix) {
+  const size = matrix.length
+  for (let i = 0; i < size; i++) {
+    if (!Array.isArray(matrix[i]) || matrix[i].length !== size) return false
+    for (let j = 0; j < size; j++) {
+      if (!Number.isFinite(matrix[i][j])) return false
+      if (Math.abs(matrix[i][j] - matrix[j][i]) > 1e-12 * Math.max(1, Math.abs(matrix[i][j]))) {
+        return false
+      }
+    }
+  }
+  const lower = Array.from({ length: size }, () => new Array(size).fill(0))
+  for (let i = 0; i < size; i++) {
+    for (let j = 0; j <= i; j++) {
+      let sum = matrix[i][j]
+      for (let k = 0; k < j; k++) sum -= lower[i][k] * lower[j][k]
+      if (i === j) {
+        if (!(sum > 0)) return false
+        lower[i][i] = Math.sqrt(sum)
+      } else {
+        lower[i][j] = sum / lower[j][j]
+      }
+    }
+  }
+  return size > 0
+}
+
+export { solveLinearSystem, invertMatrix, isPositiveDefinite }
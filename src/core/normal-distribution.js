@@ -1,9 +1,10 @@
 /**
  * @module core/normal-distribution
- * @description 标准正态分布相关函数 - 累积分布函数和逆函数
+ * @description 标准正态分布相关函数 - 累积分布函数、生存函数和逆函数
  * @author Device Helper Team
  * @date 2026-01-18
  * @updated 2026-01-19 - 性能优化：Horner方法 + LRU缓存
+ * @updated normalCDF 改用 Cody (1969) 有理逼近（R pnorm 同款），新增上尾函数 normalSF
  */
 
 import { LRUCache } from '../utils/lru-cache.js'
@@ -27,42 +28,136 @@ function clearNormalInverseCache() {
 // ============================================================
 
 /**
- * 标准正态分布累积分布函数
- * 使用Hart (1966)近似算法,通过Horner方法优化多项式计算
+ * Cody (1969) 有理逼近系数，与 R nmath/pnorm.c 完全一致
+ * - A/B: |x| ≤ 0.67448975（中心区，直接逼近 Φ(x) - 0.5）
+ * - C/D: 0.67448975 < |x| ≤ √32（逼近 erfc 的 e^{x²/2} 缩放部分）
+ * - P/Q: |x| > √32（渐近展开区）
+ */
+const CODY_A = [
+  2.2352520354606839287, 161.02823106855587881, 1067.6894854603709582, 18154.981253343561249,
+  0.065682337918207449113
+]
+const CODY_B = [
+  47.20258190468824187, 976.09855173777669322, 10260.932208618978205, 45507.789335026729956
+]
+const CODY_C = [
+  0.39894151208813466764, 8.8831497943883759412, 93.506656132177855979, 597.27027639480026226,
+  2494.5375852903726711, 6848.1904505362823326, 11602.651437647350124, 9842.7148383839780218,
+  1.0765576773720192317e-8
+]
+const CODY_D = [
+  22.266688044328115691, 235.38790178262499861, 1519.377599407554805, 6485.558298266760755,
+  18615.571640885098091, 34900.952721145977266, 38912.003286093271411, 19685.429676859990727
+]
+const CODY_P = [
+  0.21589853405795699, 0.1274011611602473639, 0.022235277870649807, 0.001421619193227893466,
+  2.9112874951168792e-5, 0.02307344176494017303
+]
+const CODY_Q = [
+  1.28426009614491121, 0.468238212480865118, 0.0659881378689285515, 0.00378239633202758244,
+  7.29751555083966205e-5
+]
+
+const SQRT_32 = 5.656854249492380195206754896838
+const ONE_OVER_SQRT_2PI = 0.398942280401432677939946059934
+
+/**
+ * 同时计算下尾 Φ(x) 与上尾 1 - Φ(x)，两尾均保持完整相对精度
+ * 算法: Cody (1969) / R pnorm_both；尾部 e^{-x²/2} 拆分为 e^{-xsq²/2}·e^{-del/2} 避免精度损失
  *
  * @param {number} x - 输入值
- * @returns {number} P(Z ≤ x)的概率
- *
- * @performance
- * - 优化前: 使用Math.pow计算多项式,重复计算t的幂次
- * - 优化后: Horner方法,减少乘法次数,提升5-10%性能
+ * @returns {{ lower: number, upper: number }} lower = P(Z ≤ x)，upper = P(Z > x)
  */
-function normalCDF(x) {
-  let z = x
-  if (z < 0) {
-    z = -z
+function normalTails(x) {
+  if (Number.isNaN(x)) return { lower: NaN, upper: NaN }
+  if (x === Infinity) return { lower: 1, upper: 0 }
+  if (x === -Infinity) return { lower: 0, upper: 1 }
+
+  const y = Math.abs(x)
+  let lower, upper
+
+  if (y <= 0.67448975) {
+    // 中心区: Φ(x) = 0.5 + x·R(x²)
+    let xnum = 0
+    let xden = 0
+    if (y > Number.EPSILON / 2) {
+      const xsq = x * x
+      xnum = CODY_A[4] * xsq
+      xden = xsq
+      for (let i = 0; i < 3; i++) {
+        xnum = (xnum + CODY_A[i]) * xsq
+        xden = (xden + CODY_B[i]) * xsq
+      }
+    }
+    const temp = (x * (xnum + CODY_A[3])) / (xden + CODY_B[3])
+    return { lower: 0.5 + temp, upper: 0.5 - temp }
   }
 
-  const b0 = 0.2316419
-  const b1 = 0.31938153
-  const b2 = -0.356563782
-  const b3 = 1.781477937
-  const b4 = -1.821255978
-  const b5 = 1.330274429
+  let temp
+  if (y <= SQRT_32) {
+    let xnum = CODY_C[8] * y
+    let xden = y
+    for (let i = 0; i < 7; i++) {
+      xnum = (xnum + CODY_C[i]) * y
+      xden = (xden + CODY_D[i]) * y
+    }
+    temp = (xnum + CODY_C[7]) / (xden + CODY_D[7])
+  } else {
+    // 渐近展开区
+    const xsq = 1 / (x * x)
+    let xnum = CODY_P[5] * xsq
+    let xden = xsq
+    for (let i = 0; i < 4; i++) {
+      xnum = (xnum + CODY_P[i]) * xsq
+      xden = (xden + CODY_Q[i]) * xsq
+    }
+    temp = (xsq * (xnum + CODY_P[4])) / (xden + CODY_Q[4])
+    temp = (ONE_OVER_SQRT_2PI - temp) / y
+  }
 
-  const t = 1 / (1 + b0 * z)
+  // e^{-y²/2} = e^{-xsq²/2} × e^{-(y-xsq)(y+xsq)/2}，xsq 为 y 截断到 1/16
+  const xsq = Math.trunc(y * 16) / 16
+  const del = (y - xsq) * (y + xsq)
+  const tail = Math.exp(-xsq * xsq * 0.5) * Math.exp(-del * 0.5) * temp
 
-  // Horner方法: 从内到外计算多项式,减少重复乘法
-  // 原公式: b1*t + b2*t^2 + b3*t^3 + b4*t^4 + b5*t^5
-  // Horner: ((((b5*t + b4)*t + b3)*t + b2)*t + b1)*t
-  const poly = t * ((((b5 * t + b4) * t + b3) * t + b2) * t + b1)
+  if (x > 0) {
+    upper = tail
+    lower = 1 - tail
+  } else {
+    lower = tail
+    upper = 1 - tail
+  }
+  return { lower, upper }
+}
 
-  const p = 1 - (1 / Math.sqrt(2 * Math.PI)) * Math.exp(-0.5 * z * z) * poly
+/**
+ * 标准正态分布累积分布函数
+ * 使用 Cody (1969) 有理逼近（R pnorm 同款算法），全域双精度
+ *
+ * @param {number} x - 输入值
+ * @returns {number} P(Z ≤ x)的概率
+ *
+ * @reference Cody WJ. Rational Chebyshev approximations for the error function.
+ *   Math Comp. 1969;23(107):631-637.
+ * @accuracy 与 erfc 对照相对误差 ~1e-15（|x| < 20），远尾 ~1e-13；下尾可至 ~1e-300 不下溢为 0
+ */
+function normalCDF(x) {
+  return normalTails(x).lower
+}
 
-  if (x < 0) {
-    return 1 - p
-  }
-  return p
+/**
+ * 标准正态分布生存函数（上尾概率）
+ * 直接计算 P(Z > x)，不经 1 - Φ(x)，极小 p 值（如 1e-12、1e-300）不会相消为 0
+ *
+ * @param {number} x - 输入值
+ * @returns {number} P(Z > x)的概率
+ *
+ * @example
+ * normalSF(7.034)   // ≈ 1.0e-12，而 1 - normalCDF(7.034) 仅剩约 2 位有效数字
+ * normalSF(37)      // ≈ 5.7e-300
+ */
+function normalSF(x) {
+  return normalTails(x).upper
 }
 
 // ============================================================
@@ -154,6 +249,7 @@ function normalInverse(p) {
 
 export {
   normalCDF,
+  normalSF,
   normalInverse,
   clearNormalInverseCache // 导出清除缓存函数 (用于测试)
 }
@@ -34,8 +34,9 @@ const PROBABILITY_PARAMS = new Set(['p', 'p0', 'p1', 'p2', 'alpha', 'power', 'co
 
 /**
  * 正数类参数：数学域为 value > 0（整数处不强制整数，仅禁非正）
+ * 说明: hr 为风险比（生存终点），对数尺度计算要求 > 0。
  */
-const POSITIVE_PARAMS = new Set(['sigma', 'sd', 'ratio', 'n', 'n1'])
+const POSITIVE_PARAMS = new Set(['sigma', 'sd', 'ratio', 'n', 'n1', 'hr'])
 
 // 统计反常告警阈值（域内允许计算，仅提示）
 const ALPHA_WARN_HIGH = 0.5 // alpha > 0.5 无统计意义
@@ -70,6 +71,7 @@ function isFiniteNumber(value) {
  * @param {number} [params.ratio] - 分配比 > 0
  * @param {number} [params.n] - 样本量 > 0
  * @param {number} [params.n1] - 对照组样本量 > 0
+ * @param {number} [params.hr] - 风险比 (试验组/对照组) > 0
  * @returns {{valid: boolean, errors: Array<{param: string, message: string}>, warnings: Array<{param: string, message: string}>}}
  *   valid = errors.length === 0；errors/warnings 为含参数名的条目数组。
  *
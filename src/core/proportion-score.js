@@ -0,0 +1,232 @@
+/**
+ * @module core/proportion-score
+ * @description 两独立比例的 score 方法 - 率差 / 相对危险度（RR）/ 比值比（OR）约束 MLE、score 统计量、反演置信区间与设计阶段方差
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Farrington CP, Manning G. Test statistics and sample size formulae for comparative
+ *     binomial trials with null hypothesis of non-zero risk difference or non-unity relative
+ *     risk. Stat Med. 1990;9(12):1447-1454. DOI: 10.1002/sim.4780091208
+ * [2] Miettinen O, Nurminen M. Comparative analysis of two rates. Stat Med. 1985;4(2):213-226.
+ *     DOI: 10.1002/sim.4780040211
+ * [3] Chow SC, Shao J, Wang H, Lokhnygina Y. Sample Size Calculations in Clinical Research.
+ *     3rd ed. Chapman and Hall/CRC; 2017. Chapter 4.6.（比值比样本量）
+ *
+ * @formula 约束 H₀: θ = θ₀ 下的 RMLE p̃₁、p̃₂（x = n·p̂，N = n₁ + n₂，S = x₁ + x₂）
+ *   RR（p̃₂ = θ₀p̃₁）: θ₀N·p̃₁² − [n₁ + x₂ + θ₀(n₂ + x₁)]·p̃₁ + S = 0，取较小根
+ *   OR: n₂(1 − θ₀)·p̃₂² + [n₁ + n₂θ₀ − S(1 − θ₀)]·p̃₂ − Sθ₀ = 0，p̃₁ = p̃₂/[p̃₂ + θ₀(1 − p̃₂)]
+ *   率差（p̃₂ = p̃₁ + δ₀）: 三次 score 方程的三角函数解（FM 1990 附录），取可行域内的根
+ *   Score 统计量（c = 1 为 Farrington-Manning；c = N/(N − 1) 为 Miettinen-Nurminen）:
+ *   RR: z = (p̂₂ − θ₀p̂₁) / √{c·[p̃₂q̃₂/n₂ + θ₀²p̃₁q̃₁/n₁]}
+ *   OR: z = n₂(p̂₂ − p̃₂)·√{[1/(n₁p̃₁q̃₁) + 1/(n₂p̃₂q̃₂)]/c}
+ *   率差: z = (p̂₂ − p̂₁ − δ₀) / √{c·[p̃₁q̃₁/n₁ + p̃₂q̃₂/n₂]}
+ *   置信区间: 在 ln θ 上二分求 z(θ) = ±Z_{1−α}
+ *   设计阶段: n₁ = [Z_{1−α}·σ₀ + Z_{1−β}·σ₁]² / E²（n₂ = k·n₁）
+ *   RR（FM 1990）: E = p₂ − θ₀p₁，σ₀² = p̃₂q̃₂/k + θ₀²p̃₁q̃₁（RMLE 取预期率），σ₁² = p₂q₂/k + θ₀²p₁q₁
+ *   OR（log OR）: E = ln OR − ln θ₀，σ₀² = σ₁² = 1/(p₁q₁) + 1/(k·p₂q₂)
+ *   率差（FM 1990，H₀: p₂ − p₁ = δ₀）: E = p₂ − p₁ − δ₀，σ₀² = p̃₁q̃₁ + p̃₂q̃₂/k，σ₁² = p₁q₁ + p₂q₂/k
+ *
+ * @note θ 均为试验组（组 2）相对对照组（组 1）：RR = p₂/p₁，OR = [p₂/(1 − p₂)]/[p₁/(1 − p₁)]；
+ *   率差尺度的 RMLE 统一由 restrictedMLE 的闭式解给出（结果验证 fm / mn、样本量 method = 'fm' / 'mn'
+ *   与精确检验共用），边界列联表上不截断
+ */
+
+/** 支持的效应量尺度 */
+const PROPORTION_SCALES = new Set(['difference', 'ratio', 'oddsRatio'])
+
+/** 置信区间二分搜索范围（ln θ）与迭代次数 */
+const LOG_THETA_MIN = Math.log(1e-8)
+const LOG_THETA_MAX = Math.log(1e8)
+const MAX_ITERATIONS = 200
+
+/**
+ * 比值尺度点估计
+ * @param {number} p1 - 对照组率
+ * @param {number} p2 - 试验组率
+ * @param {'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @returns {number} RR 或 OR（分母为 0 时为 Infinity / NaN）
+ */
+function ratioEstimate(p1, p2, scale) {
+  if (scale === 'ratio') return p2 / p1
+  return (p2 * (1 - p1)) / (p1 * (1 - p2))
+}
+
+/**
+ * 约束最大似然估计（RMLE）
+ * @param {number} p1 - 对照组观测率（设计阶段为预期率）
+ * @param {number} p2 - 试验组观测率（设计阶段为预期率）
+ * @param {number} n1 - 对照组样本量（设计阶段可传 1）
+ * @param {number} n2 - 试验组样本量（设计阶段可传 k）
+ * @param {'difference'|'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @param {number} theta0 - 零假设比值 θ₀ (> 0)；率差尺度为零假设差值 δ₀ ∈ (−1, 1)
+ * @returns {{p1: number, p2: number}} H₀: θ = θ₀（率差: p₂ − p₁ = δ₀）下的 p̃₁、p̃₂
+ */
+function restrictedMLE(p1, p2, n1, n2, scale, theta0) {
+  if (scale === 'difference') {
+    // 以组 2 为 FM 记号中的第一组: t = n₁/n₂，H₀: p₂ − p₁ = δ₀
+    const d = theta0
+    const t = n1 / n2
+    const a = 1 + t
+    const b = -(1 + t + p2 + t * p1 + d * (t + 2))
+    const c = d * d + d * (2 * p2 + t + 1) + p2 + t * p1
+    const e = -p2 * d * (1 + d)
+    const v = Math.pow(b / (3 * a), 3) - (b * c) / (6 * a * a) + e / (2 * a)
+    const u = (v < 0 ? -1 : 1) * Math.sqrt(Math.max((b * b) / (9 * a * a) - c / (3 * a), 0))
+    const cosine = u === 0 ? 0 : Math.max(-1, Math.min(1, v / Math.pow(u, 3)))
+    const w = (Math.PI + Math.acos(cosine)) / 3
+    const p2_rmle = Math.min(
+      Math.min(1, 1 + d),
+      Math.max(Math.max(0, d), 2 * u * Math.cos(w) - b / (3 * a))
+    )
+    return { p1: p2_rmle - d, p2: p2_rmle }
+  }
+
+  const x1 = n1 * p1
+  const x2 = n2 * p2
+  const N = n1 + n2
+  const S = x1 + x2
+
+  if (scale === 'ratio') {
+    const a = theta0 * N
+    const b = -(n1 + x2 + theta0 * (n2 + x1))
+    const disc = Math.max(b * b - 4 * a * S, 0)
+    // 较小根的稳定形式: 2c / (−b + √Δ)
+    const p1_rmle = (2 * S) / (-b + Math.sqrt(disc))
+    return { p1: p1_rmle, p2: theta0 * p1_rmle }
+  }
+
+  if (Math.abs(theta0 - 1) < 1e-12) {
+    return { p1: S / N, p2: S / N }
+  }
+  const a = n2 * (1 - theta0)
+  const b = n1 + n2 * theta0 - S * (1 - theta0)
+  const c = -S * theta0
+  const disc = Math.max(b * b - 4 * a * c, 0)
+  // θ₀ → 1 时连续的根: −2c / (b + √Δ)
+  const p2_rmle = (-2 * c) / (b + Math.sqrt(disc))
+  const p1_rmle = p2_rmle / (p2_rmle + theta0 * (1 - p2_rmle))
+  return { p1: p1_rmle, p2: p2_rmle }
+}
+
+/**
+ * Score 统计量（随 θ₀ 单调递减）
+ * @param {number} p1 - 对照组观测率
+ * @param {number} p2 - 试验组观测率
+ * @param {number} n1 - 对照组样本量
+ * @param {number} n2 - 试验组样本量
+ * @param {'difference'|'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @param {number} theta0 - 零假设比值 θ₀（率差尺度为 δ₀）
+ * @param {boolean} [mnCorrection=false] - 是否乘 N/(N − 1) 方差校正（Miettinen-Nurminen）
+ * @returns {number} z 统计量；RMLE 方差为 0 时返回 0
+ */
+function scoreStatistic(p1, p2, n1, n2, scale, theta0, mnCorrection = false) {
+  const N = n1 + n2
+  const correction = mnCorrection ? N / (N - 1) : 1
+  const rmle = restrictedMLE(p1, p2, n1, n2, scale, theta0)
+  const v1 = rmle.p1 * (1 - rmle.p1)
+  const v2 = rmle.p2 * (1 - rmle.p2)
+
+  if (scale === 'difference') {
+    const variance = correction * (v1 / n1 + v2 / n2)
+    return variance > 0 ? (p2 - p1 - theta0) / Math.sqrt(variance) : 0
+  }
+
+  if (scale === 'ratio') {
+    const variance = correction * (v2 / n2 + (theta0 * theta0 * v1) / n1)
+    return variance > 0 ? (p2 - theta0 * p1) / Math.sqrt(variance) : 0
+  }
+
+  if (!(v1 > 0 && v2 > 0)) return 0
+  const information = 1 / (n1 * v1) + 1 / (n2 * v2)
+  return n2 * (p2 - rmle.p2) * Math.sqrt(information / correction)
+}
+
+/**
+ * 反演 score 统计量得到比值尺度置信区间
+ * @param {number} p1 - 对照组观测率
+ * @param {number} p2 - 试验组观测率
+ * @param {number} n1 - 对照组样本量
+ * @param {number} n2 - 试验组样本量
+ * @param {'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @param {number} z_alpha - 临界 z 值（单侧 α 对应 1 − 2α 双侧区间）
+ * @param {boolean} [mnCorrection=true] - 是否使用 Miettinen-Nurminen 方差校正
+ * @returns {{lower: number, upper: number}} 下限无解时为 0，上限无解时为 Infinity
+ */
+function scoreInterval(p1, p2, n1, n2, scale, z_alpha, mnCorrection = true) {
+  const calcZ = logTheta => scoreStatistic(p1, p2, n1, n2, scale, Math.exp(logTheta), mnCorrection)
+
+  // 求 z(θ) = target 的 θ；z 随 θ 递减
+  const solve = target => {
+    if (calcZ(LOG_THETA_MIN) <= target) return 0
+    if (calcZ(LOG_THETA_MAX) >= target) return Infinity
+    let lo = LOG_THETA_MIN
+    let hi = LOG_THETA_MAX
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+      const mid = (lo + hi) / 2
+      if (calcZ(mid) > target) {
+        lo = mid
+      } else {
+        hi = mid
+      }
+      if (hi - lo < 1e-12) break
+    }
+    return Math.exp((lo + hi) / 2)
+  }
+
+  return { lower: solve(z_alpha), upper: solve(-z_alpha) }
+}
+
+/**
+ * 比值尺度设计参数（单位样本量: n₁ = 1，n₂ = k）
+ * @param {number} p1 - 对照组预期率 (0, 1)
+ * @param {number} p2 - 试验组预期率 (0, 1)
+ * @param {number} theta0 - 零假设比值 θ₀（非劣效界值，优效取 1）
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @returns {{effect: number, sdNull: number, sdAlt: number}} 效应量 E 与 H₀ / H₁ 下的标准差
+ */
+function ratioScaleDesign(p1, p2, theta0, ratio, scale) {
+  if (scale === 'ratio') {
+    const rmle = restrictedMLE(p1, p2, 1, ratio, 'ratio', theta0)
+    const t2 = theta0 * theta0
+    return {
+      effect: p2 - theta0 * p1,
+      sdNull: Math.sqrt((rmle.p2 * (1 - rmle.p2)) / ratio + t2 * rmle.p1 * (1 - rmle.p1)),
+      sdAlt: Math.sqrt((p2 * (1 - p2)) / ratio + t2 * p1 * (1 - p1))
+    }
+  }
+  const sd = Math.sqrt(1 / (p1 * (1 - p1)) + 1 / (ratio * p2 * (1 - p2)))
+  return {
+    effect: Math.log(ratioEstimate(p1, p2, 'oddsRatio')) - Math.log(theta0),
+    sdNull: sd,
+    sdAlt: sd
+  }
+}
+
+/**
+ * 率差尺度设计参数（单位样本量: n₁ = 1，n₂ = k；H₀ 方差取 Farrington-Manning RMLE）
+ * @param {number} p1 - 对照组预期率 (0, 1)
+ * @param {number} p2 - 试验组预期率 (0, 1)
+ * @param {number} delta0 - 零假设率差 δ₀（非劣效为 −δ，优效为 0）
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @returns {{effect: number, sdNull: number, sdAlt: number}} 效应量 E 与 H₀ / H₁ 下的标准差
+ */
+function differenceScaleDesign(p1, p2, delta0, ratio) {
+  const rmle = restrictedMLE(p1, p2, 1, ratio, 'difference', delta0)
+  return {
+    effect: p2 - p1 - delta0,
+    sdNull: Math.sqrt(rmle.p1 * (1 - rmle.p1) + (rmle.p2 * (1 - rmle.p2)) / ratio),
+    sdAlt: Math.sqrt(p1 * (1 - p1) + (p2 * (1 - p2)) / ratio)
+  }
+}
+
+export {
+  PROPORTION_SCALES,
+  ratioEstimate,
+  restrictedMLE,
+  scoreStatistic,
+  scoreInterval,
+  ratioScaleDesign,
+  differenceScaleDesign
+}
@@ -0,0 +1,88 @@
+/**
+ * @module core/quadrature
+ * @description 数值积分 - 复合 Gauss-Legendre 求积
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Press WH, Teukolsky SA, Vetterling WT, Flannery BP. Numerical Recipes.
+ *     3rd ed. Cambridge University Press; 2007. §4.6（gauleg: Legendre 节点与权重）
+ */
+
+/** 默认每个子区间的求积阶数 */
+const DEFAULT_ORDER = 16
+
+/** 节点/权重缓存（按阶数） */
+const nodeCache = new Map()
+
+/**
+ * [-1, 1] 上 n 阶 Gauss-Legendre 节点与权重
+ * 以 Newton 迭代求 Legendre 多项式 P_n 的零点
+ *
+ * @param {number} n - 阶数 (≥ 1)
+ * @returns {{nodes: number[], weights: number[]}}
+ */
+function gaussLegendre(n) {
+  if (nodeCache.has(n)) return nodeCache.get(n)
+
+  const nodes = new Array(n)
+  const weights = new Array(n)
+  const m = Math.floor((n + 1) / 2)
+
+  for (let i = 0; i < m; i++) {
+    let z = Math.cos((Math.PI * (i + 0.75)) / (n + 0.5))
+    let pp = 0
+    for (let iter = 0; iter < 100; iter++) {
+      // 递推计算 P_n(z) 与 P_{n-1}(z)
+      let p1 = 1
+      let p2 = 0
+      for (let j = 1; j <= n; j++) {
+        const p3 = p2
+        p2 = p1
+        p1 = ((2 * j - 1) * z * p2 - (j - 1) * p3) / j
+      }
+      pp = (n * (z * p1 - p2)) / (z * z - 1)
+      const z1 = z
+      z = z1 - p1 / pp
+      if (Math.abs(z - z1) < 1e-15) break
+    }
+    nodes[i] = -z
+    nodes[n - 1 - i] = z
+    weights[i] = 2 / ((1 - z * z) * pp * pp)
+    weights[n - 1 - i] = weights[i]
+  }
+
+  const rule = { nodes, weights }
+  nodeCache.set(n, rule)
+  return rule
+}
+
+/**
+ * 复合 Gauss-Legendre 积分 ∫_a^b f(x) dx
+ * 将 [a, b] 等分为 panels 个子区间，每个子区间用 order 阶求积
+ *
+ * @param {Function} f - 被积函数 (x) => number
+ * @param {number} a - 下限
+ * @param {number} b - 上限
+ * @param {number} [panels=1] - 子区间个数
+ * @param {number} [order=16] - 每个子区间的求积阶数
+ * @returns {number} 积分值；a、b 非有限时返回 NaN
+ */
+function integrate(f, a, b, panels = 1, order = DEFAULT_ORDER) {
+  if (!isFinite(a) || !isFinite(b)) return NaN
+  if (a === b) return 0
+
+  const { nodes, weights } = gaussLegendre(order)
+  const width = (b - a) / panels
+  let sum = 0
+  for (let k = 0; k < panels; k++) {
+    const mid = a + (k + 0.5) * width
+    const half = width / 2
+    for (let i = 0; i < order; i++) {
+      sum += weights[i] * f(mid + half * nodes[i])
+    }
+  }
+  return (sum * width) / 2
+}
+
+export { gaussLegendre, integrate }
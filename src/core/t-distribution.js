@@ -0,0 +1,178 @@
+/**
+ * @module core/t-distribution
+ * @description Student t 分布 - 累积分布函数、生存函数和逆函数
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Abramowitz M, Stegun IA. Handbook of Mathematical Functions. 1964.
+ *     26.7.1（t 分布与不完全贝塔函数的关系）; 26.7.5（Cornish-Fisher 展开，逆函数初值）
+ * [2] Hill GW. Algorithm 396: Student's t-quantiles. Commun ACM. 1970;13(10):619-620.
+ *
+ * @formula P(T > |t|) = ½ · I_{ν/(ν+t²)}(ν/2, ½)
+ */
+
+import { normalCDF, normalSF, normalInverse } from './normal-distribution.js'
+import { logBeta, regularizedIncompleteBeta } from './special-functions.js'
+
+/** 逆函数迭代最大次数 */
+const MAX_ITERATIONS = 100
+
+/** 逆函数相对收敛精度 */
+const TOLERANCE = 1e-12
+
+/**
+ * 自由度是否有效（允许非整数；Infinity 视为正态分布）
+ * @param {number} df - 自由度
+ * @returns {boolean}
+ */
+function isValidDf(df) {
+  return typeof df === 'number' && !Number.isNaN(df) && df > 0
+}
+
+/**
+ * 上尾概率 P(T > |t|)，按 t² 与 ν 的大小选择不相消的贝塔函数形式
+ * @param {number} absT - |t|
+ * @param {number} df - 自由度
+ * @returns {number} P(T > |t|)
+ */
+function upperTailAbs(absT, df) {
+  const t2 = absT * absT
+  if (t2 > df) {
+    // 尾部: x = ν/(ν+t²) 较小，直接计算 I_x(ν/2, ½)
+    return 0.5 * regularizedIncompleteBeta(df / (df + t2), df / 2, 0.5, t2 / (df + t2))
+  }
+  // 中心: 1 - I_{t²/(ν+t²)}(½, ν/2) 的结果不小，无相消问题
+  return 0.5 * (1 - regularizedIncompleteBeta(t2 / (df + t2), 0.5, df / 2, df / (df + t2)))
+}
+
+/**
+ * t 分布概率密度函数
+ * @param {number} t - 输入值
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} f(t)
+ */
+function tPDF(t, df) {
+  if (Number.isNaN(t) || !isValidDf(df)) return NaN
+  if (df === Infinity) return Math.exp(-0.5 * t * t) / Math.sqrt(2 * Math.PI)
+  return Math.exp(
+    -((df + 1) / 2) * Math.log1p((t * t) / df) - 0.5 * Math.log(df) - logBeta(df / 2, 0.5)
+  )
+}
+
+/**
+ * t 分布累积分布函数 P(T ≤ t)
+ *
+ * @param {number} t - 输入值
+ * @param {number} df - 自由度 (> 0，可为非整数；Infinity 退化为正态分布)
+ * @returns {number} P(T ≤ t)；自由度无效时返回 NaN
+ *
+ * @example
+ * tCDF(2.131, 15)   // ≈ 0.975
+ */
+function tCDF(t, df) {
+  if (Number.isNaN(t) || !isValidDf(df)) return NaN
+  if (df === Infinity) return normalCDF(t)
+  if (t === Infinity) return 1
+  if (t === -Infinity) return 0
+  const tail = upperTailAbs(Math.abs(t), df)
+  return t >= 0 ? 1 - tail : tail
+}
+
+/**
+ * t 分布生存函数（上尾概率）P(T > t)
+ * 直接计算上尾，极小 p 值不经 1 - tCDF 相消
+ *
+ * @param {number} t - 输入值
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} P(T > t)；自由度无效时返回 NaN
+ */
+function tSF(t, df) {
+  if (Number.isNaN(t) || !isValidDf(df)) return NaN
+  if (df === Infinity) return normalSF(t)
+  if (t === Infinity) return 0
+  if (t === -Infinity) return 1
+  const tail = upperTailAbs(Math.abs(t), df)
+  return t >= 0 ? tail : 1 - tail
+}
+
+/**
+ * t 分布逆累积分布函数（分位数函数）
+ *
+ * - ν = 1 (Cauchy)、ν = 2 有闭式解
+ * - 其余: Cornish-Fisher 展开给初值，再以上尾概率做带括号保护的 Newton 迭代
+ *
+ * @param {number} p - 概率值 (0 < p < 1)
+ * @param {number} df - 自由度 (> 0)
+ * @returns {number} 使得 P(T ≤ t) = p 的 t 值；p ≤ 0 / p ≥ 1 返回 ∓Infinity
+ *
+ * @example
+ * tInverse(0.975, 15)   // ≈ 2.13145
+ */
+function tInverse(p, df) {
+  if (Number.isNaN(p) || !isValidDf(df)) return NaN
+  if (p <= 0) return -Infinity
+  if (p >= 1) return Infinity
+  if (p === 0.5) return 0
+  if (df === Infinity) return normalInverse(p)
+
+  // 在上尾求解: P(T > t) = q，t > 0
+  const sign = p > 0.5 ? 1 : -1
+  const q = p > 0.5 ? 1 - p : p
+
+  if (df === 1) {
+    return sign * Math.tan(Math.PI * (0.5 - q))
+  }
+  if (df === 2) {
+    return (sign * (1 - 2 * q)) / Math.sqrt(2 * q * (1 - q))
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // 初值: Cornish-Fisher 展开 (A&S 26.7.5)
+  // ═══════════════════════════════════════════════════════════
+  const z = -normalInverse(q)
+  const z2 = z * z
+  const g1 = ((z2 + 1) * z) / 4
+  const g2 = (((5 * z2 + 16) * z2 + 3) * z) / 96
+  const g3 = ((((3 * z2 + 19) * z2 + 17) * z2 - 15) * z) / 384
+  const g4 = (((((79 * z2 + 776) * z2 + 1482) * z2 - 1920) * z2 - 945) * z) / 92160
+  let t = z + g1 / df + g2 / (df * df) + g3 / (df * df * df) + g4 / (df * df * df * df)
+  if (!(t > 0) || !isFinite(t)) t = z > 0 ? z : 1
+
+  // ═══════════════════════════════════════════════════════════
+  // 括号: [lo, hi] 满足 SF(lo) ≥ q ≥ SF(hi)
+  // ═══════════════════════════════════════════════════════════
+  let lo = 0
+  let hi = t
+  while (tSF(hi, df) > q) {
+    lo = hi
+    hi *= 2
+    if (!isFinite(hi)) return sign * Infinity
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Newton 迭代（越出括号时回退二分）
+  // f(t) = SF(t) - q，f'(t) = -pdf(t)
+  // ═══════════════════════════════════════════════════════════
+  for (let i = 0; i < MAX_ITERATIONS; i++) {
+    const f = tSF(t, df) - q
+    if (f > 0) lo = Math.max(lo, t)
+    else hi = Math.min(hi, t)
+
+    const pdf = tPDF(t, df)
+    let next = pdf > 0 ? t + f / pdf : NaN
+    if (!(next > lo && next < hi)) {
+      next = (lo + hi) / 2
+    }
+
+    if (Math.abs(next - t) <= TOLERANCE * Math.max(1, Math.abs(next))) {
+      t = next
+      break
+    }
+    t = next
+  }
+
+  return sign * t
+}
+
+export { tPDF, tCDF, tSF, tInverse }
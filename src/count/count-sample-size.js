@@ -0,0 +1,257 @@
+/**
+ * @module count/count-sample-size
+ * @description 计数终点样本量与功效 - Poisson / 负二项率比（log 率比尺度），支持可变暴露时间
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Zhu H, Lakkis H. Sample size calculation for comparing two negative binomial rates.
+ *     Stat Med. 2014;33(3):376-387. DOI: 10.1002/sim.5947（方法 1 / 方法 3 的 H₀ 方差）
+ * [2] Keene ON, Jones MKC, Lane PW, Anderson J. Analysis of exacerbation rates in asthma and
+ *     chronic obstructive pulmonary disease: example from the TRISTAN study. Pharm Stat.
+ *     2007;6(2):89-97. DOI: 10.1002/pst.250（负二项 Wald 样本量）
+ * [3] Tang Y. Sample size estimation for negative binomial regression comparing rates using
+ *     variable follow-up. J Biopharm Stat. 2015;25(5):1100-1113.（可变暴露时间的信息量）
+ * [4] Zhu H. Sample size calculation for comparing two Poisson or negative binomial rates in
+ *     noninferiority or equivalence trials. Stat Biopharm Res. 2017;9(1):107-115.
+ *
+ * @formula 对照组率 λ₁、试验组率 λ₂，RR = λ₂/λ₁，离散度 κ（Var(Y) = μ + κμ²，κ = 0 即 Poisson），
+ *   暴露时间 t，k = n₂/n₁
+ *   每例信息量 I(λ) = E_t[λt / (1 + κλt)]（固定暴露时 = λt / (1 + κλt)）
+ *   Var(ln RR̂) = V/n₁，V(λ₁, λ₂) = 1/I(λ₁) + 1/[k·I(λ₂)]
+ *   n₁ = [Z_{1−α}·√V₀ + Z_{1−β}·√V₁]² / (ln RR₀ − ln RR)²，n₂ = ⌈n₁·k⌉
+ *   V₁ = V(λ₁, λ₂)；RR₀ 优效为 1，非劣效为界值 M
+ *   'keene'（Zhu-Lakkis 方法 1）: V₀ = V₁
+ *   'zhu-lakkis'（方法 3）: V₀ = V(λ̃₁, M·λ̃₁)，λ̃₁ = (λ₁ + kλ₂)/(1 + kM)（保持期望总事件数）
+ *
+ * @note 假设方向
+ * - RR < 1 表示试验组事件率更低（更优），与生存终点 HR 一致
+ * - 优效: H₀: RR = 1；非劣效: H₀: RR ≥ M (M > 1)
+ * - alpha 为单侧显著性水平
+ */
+
+import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** 支持的 H₀ 方差方法 */
+const COUNT_METHODS = new Set(['zhu-lakkis', 'keene'])
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 整理暴露时间: 单个数值视为固定暴露，数组视为等权重的受试者暴露时间分布
+ * @param {number|number[]} exposure - 暴露时间
+ * @returns {number[]|null} 暴露时间数组；无效时返回 null
+ */
+function normalizeExposure(exposure) {
+  const times = Array.isArray(exposure) ? exposure : [exposure]
+  if (times.length === 0) return null
+  return times.every(t => Number.isFinite(t) && t > 0) ? times : null
+}
+
+/**
+ * 每例信息量 I(λ) = E_t[λt / (1 + κλt)]
+ * @param {number} rate - 事件率 λ
+ * @param {number} dispersion - 离散度 κ
+ * @param {number[]} times - 暴露时间
+ * @returns {number}
+ */
+function rateInformation(rate, dispersion, times) {
+  const sum = times.reduce((acc, t) => acc + (rate * t) / (1 + dispersion * rate * t), 0)
+  return sum / times.length
+}
+
+/**
+ * 对照组每例的 ln RR̂ 方差单位 V(λ₁, λ₂) = 1/I(λ₁) + 1/[k·I(λ₂)]
+ * @param {number} rate1 - 对照组率
+ * @param {number} rate2 - 试验组率
+ * @param {number} ratio - 分配比例 k
+ * @param {number} dispersion - 离散度 κ
+ * @param {number[]} times - 暴露时间
+ * @returns {number}
+ */
+function logRateRatioVariance(rate1, rate2, ratio, dispersion, times) {
+  return (
+    1 / rateInformation(rate1, dispersion, times) +
+    1 / (ratio * rateInformation(rate2, dispersion, times))
+  )
+}
+
+/**
+ * 校验共用参数并计算 H₀ / H₁ 方差单位
+ * @param {Object} params - {rate1, rate2, ratio, studyType, margin, dispersion, exposure, method}
+ * @returns {{logEffect: number, v0: number, v1: number, times: number[]}|null}
+ */
+function prepareRateRatio(params) {
+  const { rate1, rate2, ratio, studyType, margin, dispersion, exposure, method } = params
+  if (studyType !== 'superiority' && studyType !== 'non-inferiority') return null
+  if (!COUNT_METHODS.has(method)) return null
+  if (!validateStatParams({ ratio }).valid) return null
+  if (!(Number.isFinite(rate1) && rate1 > 0 && Number.isFinite(rate2) && rate2 > 0)) return null
+  if (!(Number.isFinite(dispersion) && dispersion >= 0)) return null
+  const times = normalizeExposure(exposure)
+  if (times === null) return null
+
+  const isNI = studyType === 'non-inferiority'
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) return null
+  const rr0 = isNI ? margin : 1
+
+  const v1 = logRateRatioVariance(rate1, rate2, ratio, dispersion, times)
+  let v0 = v1
+  if (method === 'zhu-lakkis') {
+    const restricted1 = (rate1 + ratio * rate2) / (1 + ratio * rr0)
+    v0 = logRateRatioVariance(restricted1, rr0 * restricted1, ratio, dispersion, times)
+  }
+
+  return { logEffect: Math.log(rr0) - Math.log(rate2 / rate1), v0, v1, times }
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 计数终点（Poisson / 负二项）率比样本量
+ *
+ * @param {Object} params - 样本量参数
+ * @param {number} params.rate1 - 对照组单位时间事件率 λ₁
+ * @param {number} params.rate2 - 试验组单位时间事件率 λ₂
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n₂/n₁
+ * @param {'superiority'|'non-inferiority'} [params.studyType='superiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效界值 M（率比尺度，M > 1），仅非劣效使用
+ * @param {number} [params.dispersion=0] - 负二项离散度 κ（0 为 Poisson）
+ * @param {number|number[]} [params.exposure=1] - 每例暴露时间，或受试者暴露时间分布（等权重数组）
+ * @param {'zhu-lakkis'|'keene'} [params.method='zhu-lakkis'] - H₀ 方差方法
+ * @returns {object} - {n1, n2, totalN, events1, events2, method}：events 为各组期望事件数；
+ *   参数无效时各数值为 NaN，非劣效 RR ≥ M 时为 Infinity
+ *
+ * @example
+ * // 年急性加重率 0.8 → 0.6（RR = 0.75），κ = 0.4，随访 1 年
+ * calculateCountSampleSize({
+ *   rate1: 0.8, rate2: 0.6, alpha: 0.025, power: 0.9, dispersion: 0.4, exposure: 1
+ * })
+ */
+function calculateCountSampleSize(params) {
+  const {
+    rate1,
+    rate2,
+    alpha,
+    power,
+    ratio = 1,
+    studyType = 'superiority',
+    margin,
+    dispersion = 0,
+    exposure = 1,
+    method = 'zhu-lakkis'
+  } = params
+
+  const invalid = { n1: NaN, n2: NaN, totalN: NaN, events1: NaN, events2: NaN, method }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证与方差
+  // ═══════════════════════════════════════════════════════════
+  if (!validateStatParams({ alpha, power }).valid) return invalid
+  const prepared = prepareRateRatio({
+    rate1,
+    rate2,
+    ratio,
+    studyType,
+    margin,
+    dispersion,
+    exposure,
+    method
+  })
+  if (prepared === null) return invalid
+
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) return invalid
+
+  const { logEffect, v0, v1, times } = prepared
+  if (Math.abs(logEffect) < 1e-10) return invalid
+  if (studyType === 'non-inferiority' && logEffect < 0) {
+    return { ...invalid, n1: Infinity, n2: Infinity, totalN: Infinity }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 样本量
+  // ═══════════════════════════════════════════════════════════
+  const n1 = Math.ceil(
+    Math.pow(z_alpha * Math.sqrt(v0) + z_beta * Math.sqrt(v1), 2) / (logEffect * logEffect)
+  )
+  const n2 = Math.ceil(n1 * ratio)
+  const meanExposure = times.reduce((sum, t) => sum + t, 0) / times.length
+
+  return {
+    n1,
+    n2,
+    totalN: n1 + n2,
+    events1: n1 * rate1 * meanExposure,
+    events2: n2 * rate2 * meanExposure,
+    method
+  }
+}
+
+/**
+ * 计数终点（Poisson / 负二项）率比功效
+ *
+ * @formula power = Φ[(|ln RR₀ − ln RR|·√n₁ − Z_{1−α}·√V₀) / √V₁]
+ *   非劣效取带符号效应 ln M − ln RR（RR ≥ M 时功效 ≤ α）
+ *
+ * @param {Object} params - 功效参数（效应与暴露参数同 calculateCountSampleSize）
+ * @param {number} params.rate1 - 对照组单位时间事件率 λ₁
+ * @param {number} params.rate2 - 试验组单位时间事件率 λ₂
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.n1 - 对照组受试者数
+ * @param {number} [params.n2=n1] - 试验组受试者数
+ * @param {'superiority'|'non-inferiority'} [params.studyType='superiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效界值 M（M > 1）
+ * @param {number} [params.dispersion=0] - 负二项离散度 κ
+ * @param {number|number[]} [params.exposure=1] - 暴露时间或暴露时间分布
+ * @param {'zhu-lakkis'|'keene'} [params.method='zhu-lakkis'] - H₀ 方差方法
+ * @returns {{power: number, se: number}} se 为 H₁ 下 ln RR̂ 的标准误；参数无效时为 NaN
+ */
+function calculateCountPower(params) {
+  const {
+    rate1,
+    rate2,
+    alpha,
+    n1,
+    n2 = n1,
+    studyType = 'superiority',
+    margin,
+    dispersion = 0,
+    exposure = 1,
+    method = 'zhu-lakkis'
+  } = params
+
+  const invalid = { power: NaN, se: NaN }
+
+  if (!validateStatParams({ alpha, n1, n2 }).valid) return invalid
+  const prepared = prepareRateRatio({
+    rate1,
+    rate2,
+    ratio: n2 / n1,
+    studyType,
+    margin,
+    dispersion,
+    exposure,
+    method
+  })
+  if (prepared === null) return invalid
+
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) return invalid
+
+  const { logEffect, v0, v1 } = prepared
+  const effect = studyType === 'superiority' ? Math.abs(logEffect) : logEffect
+  const power = normalCDF((effect * Math.sqrt(n1) - z_alpha * Math.sqrt(v0)) / Math.sqrt(v1))
+
+  return { power, se: Math.sqrt(v1 / n1) }
+}
+
+export { calculateCountSampleSize, calculateCountPower }
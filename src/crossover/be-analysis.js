@@ -0,0 +1,199 @@
+/**
+ * @module crossover/be-analysis
+ * @description 2×2 交叉设计平均生物等效性分析 - 对数尺度方差分析、GMR 90% 置信区间与 BE 结论
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Chow SC, Liu JP. Design and Analysis of Bioavailability and Bioequivalence Studies.
+ *     3rd ed. Chapman and Hall/CRC; 2009. Chapters 3-4.（2×2 交叉 ANOVA）
+ * [2] Jones B, Kenward MG. Design and Analysis of Cross-Over Trials. 3rd ed.
+ *     Chapman and Hall/CRC; 2014. Chapter 2.
+ * [3] EMA. Guideline on the Investigation of Bioequivalence. CPMP/EWP/QWP/1401/98 Rev. 1; 2010.
+ *     （受试者(序列)、周期、制剂固定效应；90% CI 落入 80.00%–125.00%）
+ *
+ * @formula 对数值 y，序列 TR / RT 受试者数 n₁ / n₂，n = n₁ + n₂
+ *   周期差 d_i = (y_i2 − y_i1)/2，受试者和 u_i = y_i1 + y_i2
+ *   制剂效应 F̂ = d̄_RT − d̄_TR（ln T − ln R），周期效应 P̂ = d̄_RT + d̄_TR
+ *   σ̂_d² = ΣΣ(d_i − d̄_j)² / (n − 2)，MSE = 2σ̂_d²，SE(F̂) = σ̂_d·√(1/n₁ + 1/n₂)
+ *   90% CI = exp[F̂ ± t_{1−α, n−2}·SE(F̂)]，个体内 CV = √(exp(MSE) − 1)
+ *
+ *   ANOVA（III 型平方和，非均衡亦适用）:
+ *     序列      SS = (ū_RT − ū_TR)² / [2(1/n₁ + 1/n₂)]，以受试者(序列)均方为分母
+ *     受试者(序列) SS = ΣΣ(u_i − ū_j)² / 2，df = n − 2
+ *     周期      SS = 2P̂² / (1/n₁ + 1/n₂)
+ *     制剂      SS = 2F̂² / (1/n₁ + 1/n₂)
+ *     残差      SS = 2·ΣΣ(d_i − d̄_j)²，df = n − 2
+ *
+ * @note 仅支持完整数据（每名受试者两个周期均有观测值）；alpha 为单侧显著性水平（0.05 对应 90% CI）
+ */
+
+import { validateStatParams } from '../core/param-validator.js'
+import { tInverse, tSF, tCDF } from '../core/t-distribution.js'
+import { fSF } from '../core/f-distribution.js'
+import { sigmaToCV } from './be-sample-size.js'
+
+/** 序列标识: TR = 第 1 周期受试制剂，RT = 第 1 周期参比制剂 */
+const SEQUENCES = new Set(['TR', 'RT'])
+
+/**
+ * 均值
+ * @param {number[]} values
+ * @returns {number}
+ */
+function mean(values) {
+  return values.reduce((sum, v) => sum + v, 0) / values.length
+}
+
+/**
+ * 离均差平方和
+ * @param {number[]} values
+ * @returns {number}
+ */
+function sumOfSquares(values) {
+  const m = mean(values)
+  return values.reduce((sum, v) => sum + (v - m) * (v - m), 0)
+}
+
+/**
+ * ANOVA 表行
+ * @param {string} source - 变异来源
+ * @param {number} df - 自由度
+ * @param {number} ss - 平方和
+ * @param {number} denominatorMS - F 检验分母均方
+ * @param {number} denominatorDf - 分母自由度
+ * @returns {{source: string, df: number, ss: number, ms: number, f: number, p_value: number}}
+ */
+function anovaRow(source, df, ss, denominatorMS, denominatorDf) {
+  const ms = ss / df
+  const f = ms / denominatorMS
+  return { source, df, ss, ms, f, p_value: fSF(f, df, denominatorDf) }
+}
+
+/**
+ * 2×2 交叉设计平均生物等效性分析
+ *
+ * 对每名受试者的两个周期观测值（如 AUC、Cmax）取自然对数，按受试者(序列)、周期、制剂
+ * 固定效应模型做方差分析，给出 T/R 几何均值比的 (1 − 2α) 置信区间与 BE 结论。
+ *
+ * @param {Object} params - 分析参数
+ * @param {Array<{sequence: 'TR'|'RT', period1: number, period2: number}>} params.subjects -
+ *   受试者数据：序列与第 1、2 周期的原始观测值（> 0）
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平（0.05 对应 90% CI）
+ * @param {number} [params.lower=0.8] - 接受下限
+ * @param {number} [params.upper=1.25] - 接受上限
+ * @returns {object} - 分析结果；参数无效时各数值为 NaN、anova 为空、isBioequivalent 为 false
+ * @returns {number} returns.gmr - T/R 几何均值比点估计
+ * @returns {number} returns.ci_lower - GMR 置信区间下限
+ * @returns {number} returns.ci_upper - GMR 置信区间上限
+ * @returns {boolean} returns.isBioequivalent - 置信区间是否落入 [lower, upper]
+ * @returns {number} returns.intraSubjectCV - 个体内变异系数
+ * @returns {number} returns.mse - 残差均方（对数尺度）
+ * @returns {number} returns.p_value - TOST p 值（两个单侧检验中较大者）
+ * @returns {Array<object>} returns.anova - ANOVA 表 {source, df, ss, ms, f, p_value}：
+ *   'sequence'、'subject(sequence)'、'period'、'formulation'、'residual'
+ *
+ * @example
+ * calculateCrossoverBEResult({
+ *   subjects: [
+ *     { sequence: 'TR', period1: 105.2, period2: 98.7 },
+ *     { sequence: 'RT', period1: 87.3, period2: 92.1 }
+ *     // ...
+ *   ]
+ * })
+ */
+function calculateCrossoverBEResult(params) {
+  const { subjects, alpha = 0.05, lower = 0.8, upper = 1.25 } = params
+
+  const invalid = {
+    n: NaN,
+    gmr: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    isBioequivalent: false,
+    intraSubjectCV: NaN,
+    mse: NaN,
+    p_value: NaN,
+    anova: []
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return invalid
+  if (!(lower > 0 && upper > lower && Number.isFinite(upper))) return invalid
+  if (!Array.isArray(subjects)) return invalid
+  for (const s of subjects) {
+    if (!s || !SEQUENCES.has(s.sequence)) return invalid
+    if (!(Number.isFinite(s.period1) && s.period1 > 0)) return invalid
+    if (!(Number.isFinite(s.period2) && s.period2 > 0)) return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 对数变换，按序列计算周期差与受试者和
+  // ═══════════════════════════════════════════════════════════
+  const diffs = { TR: [], RT: [] }
+  const sums = { TR: [], RT: [] }
+  for (const s of subjects) {
+    const y1 = Math.log(s.period1)
+    const y2 = Math.log(s.period2)
+    diffs[s.sequence].push((y2 - y1) / 2)
+    sums[s.sequence].push(y1 + y2)
+  }
+  const n1 = diffs.TR.length
+  const n2 = diffs.RT.length
+  const n = n1 + n2
+  if (n1 < 1 || n2 < 1 || n < 3) return invalid
+
+  const df = n - 2
+  const harmonic = 1 / n1 + 1 / n2
+  const formulation = mean(diffs.RT) - mean(diffs.TR)
+  const period = mean(diffs.RT) + mean(diffs.TR)
+  const residualSS = 2 * (sumOfSquares(diffs.TR) + sumOfSquares(diffs.RT))
+  const mse = residualSS / df
+  if (!(mse > 0)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: GMR 置信区间与 TOST
+  // ═══════════════════════════════════════════════════════════
+  const se = Math.sqrt((mse / 2) * harmonic)
+  const t_alpha = tInverse(1 - alpha, df)
+  const ci_lower = Math.exp(formulation - t_alpha * se)
+  const ci_upper = Math.exp(formulation + t_alpha * se)
+  const t1 = (formulation - Math.log(lower)) / se
+  const t2 = (formulation - Math.log(upper)) / se
+  const p_value = Math.max(tSF(t1, df), tCDF(t2, df))
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 4: ANOVA 表
+  // ═══════════════════════════════════════════════════════════
+  const subjectSS = (sumOfSquares(sums.TR) + sumOfSquares(sums.RT)) / 2
+  const subjectMS = subjectSS / df
+  const sequenceSS = Math.pow(mean(sums.RT) - mean(sums.TR), 2) / (2 * harmonic)
+
+  const anova = [
+    anovaRow('sequence', 1, sequenceSS, subjectMS, df),
+    anovaRow('subject(sequence)', df, subjectSS, mse, df),
+    anovaRow('period', 1, (2 * period * period) / harmonic, mse, df),
+    anovaRow('formulation', 1, (2 * formulation * formulation) / harmonic, mse, df),
+    { source: 'residual', df, ss: residualSS, ms: mse, f: NaN, p_value: NaN }
+  ]
+
+  return {
+    n,
+    gmr: Math.exp(formulation),
+    ci_lower,
+    ci_upper,
+    isBioequivalent: ci_lower >= lower && ci_upper <= upper,
+    intraSubjectCV: sigmaToCV(Math.sqrt(mse)),
+    mse,
+    p_value,
+    anova,
+    testStatistic: (t1 + t2) / 2, // TOST 两侧 t 统计量的平均值
+    testStatisticType: 't',
+    df,
+    testStatisticLabel: `t₁(${df}) = ${t1.toFixed(2)}, t₂(${df}) = ${t2.toFixed(2)}`
+  }
+}
+
+export { calculateCrossoverBEResult }
@@ -0,0 +1,189 @@
+/**
+ * @module crossover/be-sample-size
+ * @description 2×2 交叉设计平均生物等效性（ABE）样本量与功效 - 个体内 CV、对数尺度 TOST、Owen's Q 精确功效
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Phillips KF. Power of the Two One-Sided Tests Procedure in Bioequivalence.
+ *     J Pharmacokinet Biopharm. 1990;18(2):137-144. DOI: 10.1007/BF01063556
+ * [2] Diletti E, Hauschke D, Steinijans VW. Sample size determination for bioequivalence
+ *     assessment by means of confidence intervals. Int J Clin Pharmacol Ther Toxicol.
+ *     1991;29(1):1-8.
+ * [3] Labes D, Schütz H, Lang B. PowerTOST. R package.（sampleN.TOST / power.TOST，design = "2x2"）
+ * [4] EMA. Guideline on the Investigation of Bioequivalence. CPMP/EWP/QWP/1401/98 Rev. 1; 2010.
+ *
+ * @formula
+ *   σ_w² = ln(1 + CV²)（个体内对数尺度方差）
+ *   SE = σ_w · √[(1/n₁ + 1/n₂) / 2]（n₁、n₂ 为两个序列的受试者数；均衡时 SE = σ_w·√(2/n)）
+ *   ν = n − 2
+ *   功效 = Q(ν, −t_{1−α,ν}, δ₂, 0, R) − Q(ν, t_{1−α,ν}, δ₁, 0, R)
+ *   δ₁ = (ln GMR − ln θ₁)/SE，δ₂ = (ln GMR − ln θ₂)/SE，R = (δ₁ − δ₂)√ν / (2 t_{1−α,ν})
+ *
+ * @note alpha 为每个单侧检验的显著性水平（0.05 对应 90% CI，BE 标准做法）
+ */
+
+import { normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { calculateTOSTPower, searchSampleSizeT } from '../sample-size/t-power.js'
+
+/** 默认 BE 接受限（80.00% – 125.00%） */
+const DEFAULT_LOWER_LIMIT = 0.8
+const DEFAULT_UPPER_LIMIT = 1.25
+
+/**
+ * 个体内 CV 换算为对数尺度标准差 σ_w = √ln(1 + CV²)
+ * @param {number} cv - 个体内变异系数（小数，如 0.3）
+ * @returns {number} σ_w；CV 无效时返回 NaN
+ */
+function cvToSigma(cv) {
+  if (!(Number.isFinite(cv) && cv > 0)) return NaN
+  return Math.sqrt(Math.log1p(cv * cv))
+}
+
+/**
+ * 对数尺度 σ_w 换算为个体内 CV = √(exp(σ_w²) − 1)
+ * @param {number} sigma - 对数尺度标准差
+ * @returns {number} CV；σ_w 无效时返回 NaN
+ */
+function sigmaToCV(sigma) {
+  if (!(Number.isFinite(sigma) && sigma > 0)) return NaN
+  return Math.sqrt(Math.expm1(sigma * sigma))
+}
+
+/**
+ * 接受限与 GMR 校验: 0 < θ₁ < GMR < θ₂
+ * @param {number} gmr - 预期几何均值比 T/R
+ * @param {number} lower - 接受下限 θ₁
+ * @param {number} upper - 接受上限 θ₂
+ * @returns {boolean}
+ */
+function isValidLimits(gmr, lower, upper) {
+  return lower > 0 && upper > lower && gmr > lower && gmr < upper && Number.isFinite(upper)
+}
+
+/**
+ * 给定两个序列受试者数的 TOST 精确功效（对数尺度，接受限平移为对称区间）
+ * @param {number} sigma - σ_w
+ * @param {number} gmr - 预期 GMR
+ * @param {number} n1 - 序列 1 受试者数
+ * @param {number} n2 - 序列 2 受试者数
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} lower - 接受下限
+ * @param {number} upper - 接受上限
+ * @returns {number}
+ */
+function powerAt(sigma, gmr, n1, n2, alpha, lower, upper) {
+  const center = (Math.log(lower) + Math.log(upper)) / 2
+  const margin = (Math.log(upper) - Math.log(lower)) / 2
+  const se = sigma * Math.sqrt((1 / n1 + 1 / n2) / 2)
+  return calculateTOSTPower(Math.log(gmr) - center, margin, se, n1 + n2 - 2, alpha)
+}
+
+/**
+ * 2×2 交叉设计 ABE 精确功效
+ *
+ * @param {Object} params - 功效参数
+ * @param {number} params.cv - 个体内变异系数（小数）
+ * @param {number} [params.gmr=0.95] - 预期几何均值比 T/R
+ * @param {number} params.n - 总受试者数（两序列尽量均衡分配，≥ 3）
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平（90% CI）
+ * @param {number} [params.lower=0.8] - 接受下限
+ * @param {number} [params.upper=1.25] - 接受上限
+ * @returns {number} 功效；参数无效时返回 NaN
+ *
+ * @example
+ * // PowerTOST: power.TOST(CV = 0.3, theta0 = 0.95, n = 40)
+ * calculateBEPower({ cv: 0.3, n: 40 })   // ≈ 0.81585
+ */
+function calculateBEPower(params) {
+  const {
+    cv,
+    gmr = 0.95,
+    n,
+    alpha = 0.05,
+    lower = DEFAULT_LOWER_LIMIT,
+    upper = DEFAULT_UPPER_LIMIT
+  } = params
+
+  const sigma = cvToSigma(cv)
+  if (Number.isNaN(sigma) || !validateStatParams({ alpha }).valid || !(alpha < 0.5)) return NaN
+  if (!isValidLimits(gmr, lower, upper) || !Number.isInteger(n) || n < 3) return NaN
+
+  const n1 = Math.floor(n / 2)
+  return powerAt(sigma, gmr, n1, n - n1, alpha, lower, upper)
+}
+
+/**
+ * 2×2 交叉设计 ABE 样本量（Owen's Q 精确 TOST 功效）
+ *
+ * 两序列均衡（TR / RT 各 n/2 例），以正态近似结果为初值搜索使精确功效达标的最小总样本量，
+ * 与 PowerTOST::sampleN.TOST(design = "2x2") 一致。
+ *
+ * @param {Object} params - 样本量参数
+ * @param {number} params.cv - 个体内变异系数（小数）
+ * @param {number} [params.gmr=0.95] - 预期几何均值比 T/R
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平（90% CI）
+ * @param {number} [params.power=0.8] - 目标功效
+ * @param {number} [params.lower=0.8] - 接受下限
+ * @param {number} [params.upper=1.25] - 接受上限
+ * @returns {object} - {n, nPerSequence, actualPower, sigmaW}；参数无效时各数值为 NaN，
+ *   超出搜索上限时 n 为 Infinity
+ *
+ * @example
+ * // PowerTOST: sampleN.TOST(CV = 0.3, theta0 = 0.95, targetpower = 0.8)
+ * calculateBESampleSize({ cv: 0.3 })   // { n: 40, nPerSequence: 20, actualPower ≈ 0.81585 }
+ */
+function calculateBESampleSize(params) {
+  const {
+    cv,
+    gmr = 0.95,
+    alpha = 0.05,
+    power = 0.8,
+    lower = DEFAULT_LOWER_LIMIT,
+    upper = DEFAULT_UPPER_LIMIT
+  } = params
+
+  const invalid = { n: NaN, nPerSequence: NaN, actualPower: NaN, sigmaW: NaN }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  const sigma = cvToSigma(cv)
+  if (Number.isNaN(sigma)) return invalid
+  if (!validateStatParams({ alpha, power }).valid || !(alpha < 0.5)) return invalid
+  if (!isValidLimits(gmr, lower, upper)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 正态近似初值（每序列）
+  // ═══════════════════════════════════════════════════════════
+  const logGMR = Math.log(gmr)
+  const distance = Math.min(logGMR - Math.log(lower), Math.log(upper) - logGMR)
+  // GMR 位于接受限中点时两侧对称，采用 Z_{1−β/2}
+  const symmetric = Math.abs(Math.log(lower) + Math.log(upper) - 2 * logGMR) < 1e-12
+  const zBeta = normalInverse(symmetric ? 1 - (1 - power) / 2 : power)
+  const zAlpha = normalInverse(1 - alpha)
+  // 总样本量 n ≈ 2σ²(z_α + z_β)² / d² ⇒ 每序列 n/2
+  const start = Math.ceil((sigma * sigma * Math.pow(zAlpha + zBeta, 2)) / (distance * distance))
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 精确功效搜索（每序列 m 例，总 n = 2m，ν = 2m − 2）
+  // ═══════════════════════════════════════════════════════════
+  const perSequence = searchSampleSizeT(
+    m => powerAt(sigma, gmr, m, m, alpha, lower, upper),
+    start,
+    power
+  )
+  if (!isFinite(perSequence)) {
+    return { n: Infinity, nPerSequence: Infinity, actualPower: NaN, sigmaW: sigma }
+  }
+
+  return {
+    n: 2 * perSequence,
+    nPerSequence: perSequence,
+    actualPower: powerAt(sigma, gmr, perSequence, perSequence, alpha, lower, upper),
+    sigmaW: sigma
+  }
+}
+
+export { cvToSigma, sigmaToCV, calculateBEPower, calculateBESampleSize }
@@ -0,0 +1,532 @@
+/**
+ * @module crossover/scaled-be
+ * @description 重复交叉设计参比制剂标度平均生物等效性 - FDA RSABE / EMA ABEL 模拟功效、样本量与分析
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Tothfalusi L, Endrenyi L. Sample sizes for designing bioequivalence studies for highly
+ *     variable drugs. J Pharm Pharm Sci. 2012;15(1):73-84.（关键统计量模拟法）
+ * [2] EMA. Guideline on the Investigation of Bioequivalence. CPMP/EWP/QWP/1401/98 Rev. 1; 2010.
+ *     §4.1.10（ABEL: CVwR > 30% 时放宽至 exp(±0.760·s_wR)，CVwR 上限 50%，GMR 限制 80.00%–125.00%）
+ * [3] FDA. Draft Guidance on Progesterone. 2011.（RSABE: s_wR ≥ 0.294 时用 Howe 线性化 95% 上界，
+ *     θ = (ln 1.25 / 0.25)²，个体内对比法）
+ * [4] Howe WG. Approximate confidence limits on the mean of X+Y where X and Y are two tabled
+ *     independent random variables. J Am Stat Assoc. 1974;69(347):789-794.
+ * [5] Labes D, Schütz H, Lang B. PowerTOST. R package.（power.scABEL / power.RSABE / sampleN.scABEL）
+ *
+ * @formula 对数尺度，序列 j 受试者数 n_j，s 个序列，p 个周期，每序列 T / R 重复次数 r_T / r_R
+ *   EMA 方法 A（固定效应 ANOVA: 受试者 + 周期 + 制剂）:
+ *     全部数据估计 PE 与 SE，df = n·p − n − p（2x3x3: 2n − 3；2x2x4: 3n − 4）
+ *     仅参比数据（受试者 + 周期）估计 s²_wR，df_RR = n − 2
+ *   FDA 个体内对比法:
+ *     I_i = ȳ_iT − ȳ_iR，Var(I) = σ²_wT/r_T + σ²_wR/r_R
+ *     PE = (1/s)·Σ Ī_j，SE = s_I·√(Σ 1/n_j) / s，df = n − s
+ *     参比重复差 D_i = y_iR1 − y_iR2，s²_wR = ΣΣ(D_i − D̄_j)² / [2(n − s)]，df_RR = n − s
+ *
+ *   EMA ABEL: CVwR ≤ 30% 时接受限 80.00%–125.00%，否则 exp(±0.760·s_wR)（s_wR 按 CVwR = 50% 封顶）；
+ *             90% CI 落入接受限且 GMR ∈ [0.80, 1.25]
+ *   FDA RSABE: s_wR < 0.294 时按 ABE（90% CI ⊂ [0.80, 1.25]）；否则
+ *             E = PE²，U_E = (|PE| + t_{1−α,df}·SE)²，A = −θ·s²_wR，U_A = A·df_RR / χ²_{1−α,df_RR}
+ *             Howe 上界 = E + A + √[(U_E − E)² + (U_A − A)²] ≤ 0 且 GMR ∈ [0.80, 1.25]
+ *
+ *   模拟（关键统计量）: PE ~ N(ln GMR, Var(I)·Σ(1/n_j)/s²)，s²_I ~ Var(I)·χ²_df/df，
+ *   s²_wR ~ σ²_wR·χ²_{df_RR}/df_RR，三者相互独立；df / df_RR 按监管机构取上述分析所用自由度，
+ *   与 PowerTOST power.scABEL / power.RSABE 一致（sampleN.scABEL(CV = 0.3) → 54，
+ *   sampleN.RSABE(CV = 0.3) → 45）
+ *
+ * @note 假定无受试者 × 制剂交互作用；alpha 为单侧显著性水平（0.05 对应 90% CI / 95% 上界）
+ */
+
+import { normalInverse } from '../core/normal-distribution.js'
+import { tInverse } from '../core/t-distribution.js'
+import { chiSquareInverse } from '../core/chi-square-distribution.js'
+import { createRandom } from '../core/random.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { searchSampleSizeT } from '../sample-size/t-power.js'
+import { cvToSigma, sigmaToCV } from './be-sample-size.js'
+
+/** 重复交叉设计: 部分重复（3 序列 3 周期）与完全重复（2 序列 4 周期） */
+const DESIGNS = {
+  '2x3x3': ['TRR', 'RTR', 'RRT'],
+  '2x2x4': ['TRTR', 'RTRT']
+}
+
+/** 常规 BE 接受限与 GMR 限制 */
+const ABE_LOWER = 0.8
+const ABE_UPPER = 1.25
+
+/** EMA ABEL: 放宽起点 CVwR、标度常数 k、CVwR 封顶值 */
+const EMA_CV_SWITCH = 0.3
+const EMA_K = 0.76
+const EMA_CV_CAP = 0.5
+
+/** FDA RSABE: 标度起点 s_wR、监管常数 θ = (ln 1.25 / σ_w0)²，σ_w0 = 0.25 */
+const FDA_SWR_SWITCH = 0.294
+const FDA_THETA = Math.pow(Math.log(1.25) / 0.25, 2)
+
+/** 默认模拟次数 */
+const DEFAULT_NSIMS = 100000
+
+/**
+ * 设计的序列与每序列 T / R 重复次数
+ * @param {string} design - '2x3x3' | '2x2x4'
+ * @returns {{sequences: string[], repsT: number, repsR: number}|null}
+ */
+function getDesign(design) {
+  if (!Object.prototype.hasOwnProperty.call(DESIGNS, design)) return null
+  const sequences = DESIGNS[design]
+  const repsT = sequences[0].split('').filter(c => c === 'T').length
+  return { sequences, repsT, repsR: sequences[0].length - repsT }
+}
+
+/**
+ * 置信区间与 s²_wR 的自由度
+ * - EMA 方法 A（受试者 / 周期 / 制剂固定效应 ANOVA）: 全部数据 df = n·p − n − p
+ *   （2x3x3: 2n − 3；2x2x4: 3n − 4）；仅参比数据 df_RR = 2n − n − 2 = n − 2
+ *   （两种设计中参比所在周期可估的周期效应均为 2 个）
+ * - FDA 个体内对比法: df = df_RR = n − s
+ * @param {number} n - 总受试者数
+ * @param {{sequences: string[], repsT: number, repsR: number}} layout - 设计
+ * @param {string} regulator - 'EMA' | 'FDA'
+ * @returns {{df: number, dfRR: number}}
+ */
+function degreesOfFreedom(n, layout, regulator) {
+  if (regulator === 'FDA') {
+    const df = n - layout.sequences.length
+    return { df, dfRR: df }
+  }
+  const periods = layout.repsT + layout.repsR
+  return { df: n * (periods - 1) - periods, dfRR: n - 2 }
+}
+
+/**
+ * 受试者固定效应最小二乘: 组内中心化消去受试者效应，周期列逐列修正 Gram-Schmidt 正交化
+ * （秩亏的周期列自动剔除），制剂列置于最后按 Frisch-Waugh 求估计与方差系数
+ *
+ * @param {Array<Array<{period: number, value: number, test: boolean}>>} rows - 各受试者对数观测
+ * @param {number} periods - 周期数
+ * @param {boolean} withFormulation - 是否含制剂效应
+ * @returns {{estimate: number, information: number, ss: number, df: number}}
+ *   estimate 为 T − R 效应，Var(estimate) = σ² / information（不含制剂效应时均为 NaN）；
+ *   ss / df 为残差平方和与自由度
+ */
+function fixedEffectsFit(rows, periods, withFormulation) {
+  const y = []
+  const periodColumns = Array.from({ length: periods - 1 }, () => [])
+  const formulation = []
+  for (const obs of rows) {
+    const centre = values => {
+      const mean = values.reduce((sum, v) => sum + v, 0) / values.length
+      return values.map(v => v - mean)
+    }
+    y.push(...centre(obs.map(o => o.value)))
+    periodColumns.forEach((column, k) =>
+      column.push(...centre(obs.map(o => +(o.period === k + 1))))
+    )
+    formulation.push(...centre(obs.map(o => +o.test)))
+  }
+
+  const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0)
+  const projectOut = (v, q) => {
+    const c = dot(q, v)
+    return v.map((x, i) => x - c * q[i])
+  }
+  const basis = []
+  for (const column of periodColumns) {
+    const v = basis.reduce(projectOut, column)
+    const norm = Math.sqrt(dot(v, v))
+    if (norm > 1e-8 * Math.sqrt(dot(column, column))) basis.push(v.map(x => x / norm))
+  }
+
+  let residual = basis.reduce(projectOut, y)
+  let estimate = NaN
+  let information = NaN
+  if (withFormulation) {
+    const f = basis.reduce(projectOut, formulation)
+    information = dot(f, f)
+    estimate = dot(f, residual) / information
+    residual = residual.map((r, i) => r - estimate * f[i])
+  }
+  const df = y.length - rows.length - basis.length - (withFormulation ? 1 : 0)
+  return { estimate, information, ss: dot(residual, residual), df }
+}
+
+/**
+ * EMA ABEL 放宽后的接受限
+ *
+ * @param {number} cvwR - 参比制剂个体内 CV（小数）
+ * @returns {{lower: number, upper: number}} 接受限；CV 无效时为 NaN
+ *
+ * @example
+ * calculateABELLimits(0.3)   // { lower: 0.8, upper: 1.25 }
+ * calculateABELLimits(0.5)   // { lower ≈ 0.6984, upper ≈ 1.4319 }
+ */
+function calculateABELLimits(cvwR) {
+  if (!(Number.isFinite(cvwR) && cvwR > 0)) return { lower: NaN, upper: NaN }
+  if (cvwR <= EMA_CV_SWITCH) return { lower: ABE_LOWER, upper: ABE_UPPER }
+  const upper = Math.exp(EMA_K * cvToSigma(Math.min(cvwR, EMA_CV_CAP)))
+  return { lower: 1 / upper, upper }
+}
+
+/**
+ * 单次研究的标度 BE 判定
+ * @param {number} pe - ln GMR 点估计
+ * @param {number} se - 点估计标准误
+ * @param {number} s2wR - 参比个体内方差估计
+ * @param {string} regulator - 'EMA' | 'FDA'
+ * @param {{t: number, chiSq: number, dfRR: number}} crit - t_{1−α,df}、χ²_{1−α,df_RR} 与 df_RR
+ * @returns {{lower: number, upper: number, scaled: boolean, criterion: number, pass: boolean}}
+ */
+function decide(pe, se, s2wR, regulator, crit) {
+  const ciLower = pe - crit.t * se
+  const ciUpper = pe + crit.t * se
+  const peInRange = pe >= Math.log(ABE_LOWER) && pe <= Math.log(ABE_UPPER)
+
+  if (regulator === 'FDA') {
+    if (Math.sqrt(s2wR) < FDA_SWR_SWITCH) {
+      return {
+        lower: ABE_LOWER,
+        upper: ABE_UPPER,
+        scaled: false,
+        criterion: NaN,
+        pass: ciLower >= Math.log(ABE_LOWER) && ciUpper <= Math.log(ABE_UPPER)
+      }
+    }
+    const e = pe * pe
+    const uE = Math.pow(Math.abs(pe) + crit.t * se, 2)
+    const a = -FDA_THETA * s2wR
+    const uA = (a * crit.dfRR) / crit.chiSq
+    const criterion = e + a + Math.sqrt(Math.pow(uE - e, 2) + Math.pow(uA - a, 2))
+    const limit = Math.exp(Math.sqrt(FDA_THETA * s2wR))
+    return {
+      lower: 1 / limit,
+      upper: limit,
+      scaled: true,
+      criterion,
+      pass: criterion <= 0 && peInRange
+    }
+  }
+
+  const cvwR = sigmaToCV(Math.sqrt(s2wR))
+  const { lower, upper } = calculateABELLimits(cvwR)
+  return {
+    lower,
+    upper,
+    scaled: cvwR > EMA_CV_SWITCH,
+    criterion: NaN,
+    pass: ciLower >= Math.log(lower) && ciUpper <= Math.log(upper) && peInRange
+  }
+}
+
+/**
+ * 模拟功效（关键统计量法，同一种子保证不同样本量间共用随机数）
+ * @param {number} s2wT - 受试制剂个体内方差
+ * @param {number} s2wR - 参比制剂个体内方差
+ * @param {number} gmr - 真实 GMR
+ * @param {number[]} perSequence - 各序列受试者数
+ * @param {{repsT: number, repsR: number}} layout - 每序列 T / R 重复次数
+ * @param {string} regulator - 'EMA' | 'FDA'
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} nsims - 模拟次数
+ * @param {number} seed - 随机数种子
+ * @returns {number}
+ */
+function simulatePower(s2wT, s2wR, gmr, perSequence, layout, regulator, alpha, nsims, seed) {
+  const s = perSequence.length
+  const n = perSequence.reduce((sum, m) => sum + m, 0)
+  const { df, dfRR } = degreesOfFreedom(n, layout, regulator)
+  const varI = s2wT / layout.repsT + s2wR / layout.repsR
+  const seFactor = Math.sqrt(perSequence.reduce((sum, m) => sum + 1 / m, 0)) / s
+  const crit = { t: tInverse(1 - alpha, df), chiSq: chiSquareInverse(1 - alpha, dfRR), dfRR }
+  const rng = createRandom(seed)
+  const logGMR = Math.log(gmr)
+
+  let successes = 0
+  for (let i = 0; i < nsims; i++) {
+    const pe = logGMR + rng.normal() * Math.sqrt(varI) * seFactor
+    const se = Math.sqrt((varI * rng.chiSquare(df)) / df) * seFactor
+    const s2wRHat = (s2wR * rng.chiSquare(dfRR)) / dfRR
+    if (decide(pe, se, s2wRHat, regulator, crit).pass) successes++
+  }
+  return successes / nsims
+}
+
+/**
+ * 总样本量在各序列间尽量均衡分配（余数依次分给前面的序列）
+ * @param {number} n - 总样本量
+ * @param {number} s - 序列数
+ * @returns {number[]}
+ */
+function allocate(n, s) {
+  const base = Math.floor(n / s)
+  return Array.from({ length: s }, (_, j) => base + (j < n % s ? 1 : 0))
+}
+
+/**
+ * 解析功效 / 样本量的公共参数
+ * @param {Object} params
+ * @returns {object|null} 参数无效时返回 null
+ */
+function resolveSimulationParams(params) {
+  const {
+    cvwR,
+    cvwT = cvwR,
+    gmr = 0.9,
+    design = '2x3x3',
+    regulator = 'EMA',
+    alpha = 0.05,
+    nsims = DEFAULT_NSIMS,
+    seed
+  } = params
+
+  const layout = getDesign(design)
+  const s2wR = Math.pow(cvToSigma(cvwR), 2)
+  const s2wT = Math.pow(cvToSigma(cvwT), 2)
+  if (!layout || Number.isNaN(s2wR) || Number.isNaN(s2wT)) return null
+  if (regulator !== 'EMA' && regulator !== 'FDA') return null
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return null
+  if (!(gmr >= ABE_LOWER && gmr <= ABE_UPPER)) return null
+  if (!Number.isInteger(nsims) || nsims < 1) return null
+
+  return { s2wT, s2wR, gmr, layout, regulator, alpha, nsims, seed }
+}
+
+/**
+ * 重复交叉设计标度平均生物等效性模拟功效
+ *
+ * @param {Object} params - 功效参数
+ * @param {number} params.cvwR - 参比制剂个体内 CV（小数）
+ * @param {number} [params.cvwT=cvwR] - 受试制剂个体内 CV
+ * @param {number} [params.gmr=0.9] - 预期几何均值比 T/R（0.80–1.25；取边界值时功效即 I 类错误率）
+ * @param {number} params.n - 总受试者数（各序列尽量均衡分配）
+ * @param {string} [params.design='2x3x3'] - '2x3x3'（TRR/RTR/RRT）| '2x2x4'（TRTR/RTRT）
+ * @param {string} [params.regulator='EMA'] - 'EMA'（ABEL）| 'FDA'（RSABE）
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平
+ * @param {number} [params.nsims=100000] - 模拟次数
+ * @param {number} [params.seed] - 随机数种子（默认固定种子，结果可复现）
+ * @returns {number} 功效；参数无效时返回 NaN
+ *
+ * @example
+ * calculateScaledBEPower({ cvwR: 0.45, n: 36 })                      // EMA ABEL，部分重复
+ * calculateScaledBEPower({ cvwR: 0.45, n: 24, design: '2x2x4', regulator: 'FDA' })
+ */
+function calculateScaledBEPower(params) {
+  const resolved = resolveSimulationParams(params)
+  const { n } = params
+  if (!resolved) return NaN
+  const s = resolved.layout.sequences.length
+  if (!Number.isInteger(n) || n < 2 * s) return NaN
+
+  const { s2wT, s2wR, gmr, layout, regulator, alpha, nsims, seed } = resolved
+  return simulatePower(s2wT, s2wR, gmr, allocate(n, s), layout, regulator, alpha, nsims, seed)
+}
+
+/**
+ * 重复交叉设计标度平均生物等效性样本量（模拟功效）
+ *
+ * 各序列等例数，以参比 CV 下的接受限作正态近似初值，按模拟功效搜索最小总样本量；
+ * 每个候选样本量使用同一种子（共用随机数），保证搜索稳定。
+ *
+ * @param {Object} params - 样本量参数（同 calculateScaledBEPower，另加 power）
+ * @param {number} params.cvwR - 参比制剂个体内 CV（小数）
+ * @param {number} [params.cvwT=cvwR] - 受试制剂个体内 CV
+ * @param {number} [params.gmr=0.9] - 预期几何均值比 T/R（须严格在 0.80–1.25 之间）
+ * @param {number} [params.power=0.8] - 目标功效
+ * @param {string} [params.design='2x3x3'] - '2x3x3' | '2x2x4'
+ * @param {string} [params.regulator='EMA'] - 'EMA' | 'FDA'
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平
+ * @param {number} [params.nsims=100000] - 模拟次数
+ * @param {number} [params.seed] - 随机数种子
+ * @returns {object} - {n, nPerSequence, actualPower}；参数无效时各数值为 NaN，超出搜索上限时 n 为 Infinity
+ *
+ * @example
+ * calculateScaledBESampleSize({ cvwR: 0.45 })   // EMA ABEL，TRR/RTR/RRT，GMR 0.90，80% 功效
+ */
+function calculateScaledBESampleSize(params) {
+  const { power = 0.8 } = params
+  const invalid = { n: NaN, nPerSequence: NaN, actualPower: NaN }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  const resolved = resolveSimulationParams(params)
+  if (!resolved || !validateStatParams({ power }).valid) return invalid
+  const { s2wT, s2wR, gmr, layout, regulator, alpha, nsims, seed } = resolved
+  if (gmr === ABE_LOWER || gmr === ABE_UPPER) return invalid
+  const s = layout.sequences.length
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 正态近似初值（按真实 CVwR 下的接受限）
+  // ═══════════════════════════════════════════════════════════
+  const expected = decide(Math.log(gmr), 0, s2wR, regulator, { t: 0, chiSq: 1, dfRR: 1 })
+  const distance = Math.min(
+    Math.log(gmr) - Math.log(expected.lower),
+    Math.log(expected.upper) - Math.log(gmr)
+  )
+  const varI = s2wT / layout.repsT + s2wR / layout.repsR
+  const zSum = normalInverse(1 - alpha) + normalInverse(power)
+  const start = Math.ceil((varI * zSum * zSum) / (distance * distance) / s)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 模拟功效搜索（每序列 m 例）
+  // ═══════════════════════════════════════════════════════════
+  const powerAt = m =>
+    simulatePower(s2wT, s2wR, gmr, allocate(s * m, s), layout, regulator, alpha, nsims, seed)
+  const perSequence = searchSampleSizeT(powerAt, start, power)
+  if (!isFinite(perSequence)) return { n: Infinity, nPerSequence: Infinity, actualPower: NaN }
+
+  return {
+    n: s * perSequence,
+    nPerSequence: perSequence,
+    actualPower: powerAt(perSequence)
+  }
+}
+
+/**
+ * 重复交叉设计标度平均生物等效性分析（个体内对比法）
+ *
+ * @param {Object} params - 分析参数
+ * @param {Array<{sequence: string, values: number[]}>} params.subjects - 受试者数据：
+ *   序列（如 'TRR'、'RTRT'）与按周期排列的原始观测值（> 0）
+ * @param {string} [params.design='2x3x3'] - '2x3x3' | '2x2x4'
+ * @param {string} [params.regulator='EMA'] - 'EMA'（ABEL）| 'FDA'（RSABE）
+ * @param {number} [params.alpha=0.05] - 单侧显著性水平
+ * @returns {object} - 分析结果；参数无效时各数值为 NaN、isBioequivalent 为 false
+ * @returns {number} returns.gmr - T/R 几何均值比点估计
+ * @returns {number} returns.ci_lower - GMR 90% CI 下限
+ * @returns {number} returns.ci_upper - GMR 90% CI 上限
+ * @returns {number} returns.swR - 参比制剂个体内标准差（对数尺度）
+ * @returns {number} returns.cvwR - 参比制剂个体内 CV
+ * @returns {boolean} returns.scaled - 是否采用标度方法
+ * @returns {number} returns.lower - 实际采用的接受下限（FDA 标度时为隐含限）
+ * @returns {number} returns.upper - 实际采用的接受上限
+ * @returns {number} returns.criterion - FDA Howe 95% 上界（EMA 或未标度时为 NaN）
+ * @returns {boolean} returns.pointEstimateOK - GMR 是否在 0.80–1.25 内
+ * @returns {boolean} returns.isBioequivalent - 生物等效结论
+ */
+function calculateScaledBEResult(params) {
+  const { subjects, design = '2x3x3', regulator = 'EMA', alpha = 0.05 } = params
+
+  const invalid = {
+    n: NaN,
+    gmr: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    swR: NaN,
+    cvwR: NaN,
+    scaled: false,
+    lower: NaN,
+    upper: NaN,
+    criterion: NaN,
+    pointEstimateOK: false,
+    isBioequivalent: false,
+    df: NaN
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  const layout = getDesign(design)
+  if (!layout || (regulator !== 'EMA' && regulator !== 'FDA')) return invalid
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return invalid
+  if (!Array.isArray(subjects)) return invalid
+  for (const subject of subjects) {
+    if (!subject || !layout.sequences.includes(subject.sequence)) return invalid
+    const { values } = subject
+    if (!Array.isArray(values) || values.length !== subject.sequence.length) return invalid
+    if (!values.every(v => Number.isFinite(v) && v > 0)) return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 点估计、标准误与 s²_wR
+  //   EMA 方法 A: 全部数据 ANOVA 估计 T − R，仅参比数据 ANOVA 估计 s²_wR
+  //   FDA: 个体内对比 I_i = ȳ_iT − ȳ_iR 与参比重复差 D_i（按序列合并）
+  // ═══════════════════════════════════════════════════════════
+  const s = layout.sequences.length
+  const n = subjects.length
+  const perSequence = layout.sequences.map(seq => subjects.filter(x => x.sequence === seq).length)
+  if (perSequence.some(count => count < 1)) return invalid
+  const { df, dfRR } = degreesOfFreedom(n, layout, regulator)
+  if (df < 1 || dfRR < 1) return invalid
+
+  let pe, se, s2wR
+  if (regulator === 'EMA') {
+    const periods = layout.repsT + layout.repsR
+    const rows = subjects.map(subject =>
+      subject.values.map((v, k) => ({
+        period: k,
+        value: Math.log(v),
+        test: subject.sequence[k] === 'T'
+      }))
+    )
+    const all = fixedEffectsFit(rows, periods, true)
+    const reference = fixedEffectsFit(
+      rows.map(obs => obs.filter(o => !o.test)),
+      periods,
+      false
+    )
+    pe = all.estimate
+    se = Math.sqrt(all.ss / all.df / all.information)
+    s2wR = reference.ss / reference.df
+  } else {
+    const contrasts = layout.sequences.map(() => [])
+    const refDiffs = layout.sequences.map(() => [])
+    for (const subject of subjects) {
+      const j = layout.sequences.indexOf(subject.sequence)
+      const logT = []
+      const logR = []
+      subject.sequence.split('').forEach((formulation, k) => {
+        if (formulation === 'T') logT.push(Math.log(subject.values[k]))
+        else logR.push(Math.log(subject.values[k]))
+      })
+      const meanT = logT.reduce((sum, v) => sum + v, 0) / logT.length
+      const meanR = logR.reduce((sum, v) => sum + v, 0) / logR.length
+      contrasts[j].push(meanT - meanR)
+      refDiffs[j].push(logR[0] - logR[1])
+    }
+
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length
+    const pooledSS = groups =>
+      groups.reduce((total, g) => {
+        const m = mean(g)
+        return total + g.reduce((sum, v) => sum + (v - m) * (v - m), 0)
+      }, 0)
+
+    const seFactor = Math.sqrt(perSequence.reduce((sum, m) => sum + 1 / m, 0)) / s
+    pe = mean(contrasts.map(mean))
+    se = Math.sqrt(pooledSS(contrasts) / df) * seFactor
+    s2wR = pooledSS(refDiffs) / (2 * dfRR)
+  }
+  if (!(se > 0) || !(s2wR > 0)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 标度判定
+  // ═══════════════════════════════════════════════════════════
+  const crit = { t: tInverse(1 - alpha, df), chiSq: chiSquareInverse(1 - alpha, dfRR), dfRR }
+  const decision = decide(pe, se, s2wR, regulator, crit)
+  const gmr = Math.exp(pe)
+
+  return {
+    n,
+    gmr,
+    ci_lower: Math.exp(pe - crit.t * se),
+    ci_upper: Math.exp(pe + crit.t * se),
+    swR: Math.sqrt(s2wR),
+    cvwR: sigmaToCV(Math.sqrt(s2wR)),
+    scaled: decision.scaled,
+    lower: decision.lower,
+    upper: decision.upper,
+    criterion: decision.criterion,
+    pointEstimateOK: gmr >= ABE_LOWER && gmr <= ABE_UPPER,
+    isBioequivalent: decision.pass,
+    df
+  }
+}
+
+export {
+  calculateABELLimits,
+  calculateScaledBEPower,
+  calculateScaledBESampleSize,
+  calculateScaledBEResult
+}
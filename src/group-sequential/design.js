@@ -0,0 +1,300 @@
+/**
+ * @module group-sequential/design
+ * @description 成组序贯设计 - Lan-DeMets α 消耗有效界值、非约束性 β 消耗无效界值、样本量膨胀因子
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lan KKG, DeMets DL. Discrete sequential boundaries for clinical trials.
+ *     Biometrika. 1983;70(3):659-663.
+ * [2] Jennison C, Turnbull BW. Group Sequential Methods with Applications to Clinical
+ *     Trials. Chapman and Hall/CRC; 2000. Chapters 7, 19.
+ * [3] Anderson KM. gsDesign: Group Sequential Design (R package).
+ *     （test.type = 1 单侧有效界值；test.type = 4 非约束性 β 消耗无效界值）
+ *
+ * @formula
+ *   有效界值 b_k（H0, θ = 0，忽略无效界值 → 非约束性）:
+ *     P_0(Z_1 < b_1, …, Z_{k−1} < b_{k−1}, Z_k ≥ b_k) = α(t_k) − α(t_{k−1})
+ *   无效界值 a_k（H1, 漂移 θ）:
+ *     P_θ(a_j < Z_j < b_j (j < k), Z_k ≤ a_k) = β(t_k) − β(t_{k−1})，a_K = b_K
+ *   漂移 θ 由功效条件确定，膨胀因子 IF = [θ / (Z_{1−α} + Z_{1−β})]²
+ *   成组序贯最大样本量 = 固定设计样本量 × IF
+ *
+ * @note alpha 为单侧显著性水平（与库内其余样本量函数约定一致）
+ */
+
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { SPENDING_TYPES, calculateSpending } from './spending-functions.js'
+import {
+  initialGrid,
+  crossingProbability,
+  propagateGrid,
+  solveBound,
+  computeEfficacyBounds,
+  groupSequentialProbabilities
+} from './recursive-integration.js'
+
+/** 最大分析次数 */
+const MAX_LOOKS = 20
+
+/** 漂移求根二分迭代次数 */
+const DRIFT_SEARCH_ITERATIONS = 60
+
+/**
+ * 校验并生成信息比例
+ * @param {number} k - 分析次数
+ * @param {number[]} [timing] - 信息比例（缺省为等间隔 1/K, 2/K, …, 1）
+ * @returns {number[]|null} 信息比例；无效时返回 null
+ */
+function resolveTiming(k, timing) {
+  if (timing === undefined) {
+    return Array.from({ length: k }, (_, i) => (i + 1) / k)
+  }
+  if (!Array.isArray(timing) || timing.length !== k) return null
+  for (let i = 0; i < k; i++) {
+    const prev = i === 0 ? 0 : timing[i - 1]
+    if (!Number.isFinite(timing[i]) || !(timing[i] > prev) || timing[i] > 1) return null
+  }
+  if (Math.abs(timing[k - 1] - 1) > 1e-12) return null
+  return timing.slice()
+}
+
+/**
+ * 给定漂移 θ 下按 β 消耗求解无效界值，并返回 II 类错误
+ * @param {number[]} timing - 信息比例
+ * @param {number[]} upper - 有效界值
+ * @param {number[]} cumulativeBeta - 各次分析的累积 β 消耗
+ * @param {number} theta - 漂移 θ
+ * @returns {{lower: number[], typeII: number}} 无效界值（a_K = b_K）与 II 类错误
+ */
+function computeFutilityBounds(timing, upper, cumulativeBeta, theta) {
+  const K = timing.length
+  const lower = []
+  let typeII = 0
+  let grid = initialGrid()
+
+  for (let k = 0; k < K; k++) {
+    let bound
+    if (k === K - 1) {
+      bound = upper[k]
+    } else {
+      const spend = cumulativeBeta[k] - (k === 0 ? 0 : cumulativeBeta[k - 1])
+      // 界值交叉时无效界值取有效界值（本次必然作出决策）
+      bound = Math.min(solveBound(grid, timing[k], theta, spend, 'lower'), upper[k])
+    }
+    lower.push(bound)
+    typeII += crossingProbability(grid, timing[k], theta, bound, 'lower')
+    if (k < K - 1) {
+      grid = propagateGrid(grid, timing[k], theta, bound, upper[k])
+    }
+  }
+
+  return { lower, typeII }
+}
+
+/**
+ * 二分求解单调函数的根: 在 [lo, hi] 上求 g(θ) = 0，g 关于 θ 递减
+ * @param {Function} g - (θ) => number
+ * @param {number} lo - 下限（g(lo) > 0）
+ * @param {number} hi - 上限（g(hi) < 0）
+ * @returns {number} 根
+ */
+function bisectDecreasing(g, lo, hi) {
+  for (let i = 0; i < DRIFT_SEARCH_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2
+    if (g(mid) > 0) lo = mid
+    else hi = mid
+  }
+  return (lo + hi) / 2
+}
+
+/**
+ * 期望信息比例 Σ t_k · P(在第 k 次分析停止)（以最大信息为 1）
+ * @param {number[]} timing - 信息比例
+ * @param {number[]} upper - 有效界值
+ * @param {number[]} lower - 无效界值
+ * @param {number} theta - 漂移 θ
+ * @returns {number}
+ */
+function expectedInformationFraction(timing, upper, lower, theta) {
+  const { upperCross, lowerCross } = groupSequentialProbabilities(timing, upper, lower, theta)
+  const K = timing.length
+  let expected = 0
+  let stopped = 0
+  for (let k = 0; k < K - 1; k++) {
+    const stop = upperCross[k] + lowerCross[k]
+    expected += timing[k] * stop
+    stopped += stop
+  }
+  return expected + timing[K - 1] * (1 - stopped)
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 成组序贯设计（K 次分析，单侧有效界值 + 可选非约束性无效界值）
+ *
+ * 有效界值按 α 消耗函数在 H0 下逐次求解（计算时不考虑无效界值，故无效界值为非约束性：
+ * 违背无效界值继续试验不会增加 I 类错误）。提供 futilitySpending 时，无效界值在 H1 下按
+ * β 消耗函数求解，并联合求解漂移 θ 使末次分析 a_K = b_K。
+ *
+ * @param {Object} params - 设计参数
+ * @param {number} params.k - 分析次数（含终末分析，2 ≤ K ≤ 20）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number[]} [params.timing] - 各次分析的信息比例（递增，末项为 1；缺省等间隔）
+ * @param {'obf'|'pocock'|'hsd'|'power'} [params.efficacySpending='obf'] - α 消耗函数
+ * @param {number} [params.efficacyParam] - α 消耗函数参数（hsd 的 γ，默认 −4；power 的 ρ，默认 3）
+ * @param {'obf'|'pocock'|'hsd'|'power'|null} [params.futilitySpending=null] - β 消耗函数（null 不设无效界值）
+ * @param {number} [params.futilityParam] - β 消耗函数参数
+ * @returns {Object} 设计结果；参数无效时各数值为 NaN、数组为空
+ * @returns {number[]} returns.timing - 信息比例
+ * @returns {number[]} returns.upper - 有效界值（Z 尺度，Z_k ≥ b_k 拒绝 H0）
+ * @returns {number[]|null} returns.lower - 无效界值（Z 尺度，Z_k ≤ a_k 停止；无无效界值时为 null）
+ * @returns {number[]} returns.nominalAlpha - 各次有效界值对应的名义单侧 p 值 1 − Φ(b_k)
+ * @returns {number[]} returns.cumulativeAlpha - 累积 α 消耗
+ * @returns {number[]|null} returns.cumulativeBeta - 累积 β 消耗（无无效界值时为 null）
+ * @returns {number} returns.drift - 漂移 θ（最大信息下的期望 Z 值）
+ * @returns {number} returns.inflationFactor - 样本量膨胀因子 IF（最大样本量 / 固定设计样本量）
+ * @returns {number} returns.power - 设计实际功效
+ * @returns {{h0: number, h1: number}} returns.expectedSampleSizeRatio - H0 / H1 下期望样本量与固定设计之比
+ *
+ * @example
+ * // 3 次等间隔分析，O'Brien-Fleming 型，α = 0.025（单侧），功效 90%
+ * const gs = calculateGroupSequentialDesign({ k: 3, alpha: 0.025, power: 0.9 })
+ * // gs.upper ≈ [3.710, 2.511, 1.993]
+ * applyInflationFactor(calculateSupSampleSize(0.6, 0.75, 0.025, 0.9, 1), gs.inflationFactor)
+ */
+function calculateGroupSequentialDesign(params) {
+  const {
+    k,
+    alpha,
+    power,
+    timing,
+    efficacySpending = 'obf',
+    efficacyParam,
+    futilitySpending = null,
+    futilityParam
+  } = params
+
+  const invalid = {
+    timing: [],
+    upper: [],
+    lower: null,
+    nominalAlpha: [],
+    cumulativeAlpha: [],
+    cumulativeBeta: null,
+    drift: NaN,
+    inflationFactor: NaN,
+    power: NaN,
+    expectedSampleSizeRatio: { h0: NaN, h1: NaN }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!validateStatParams({ alpha, power }).valid || !(alpha < 0.5) || !(power > 0.5)) {
+    return invalid
+  }
+  if (!Number.isInteger(k) || k < 2 || k > MAX_LOOKS) {
+    return invalid
+  }
+  if (!SPENDING_TYPES.has(efficacySpending)) {
+    return invalid
+  }
+  const hasFutility = futilitySpending !== null
+  if (hasFutility && !SPENDING_TYPES.has(futilitySpending)) {
+    return invalid
+  }
+  const t = resolveTiming(k, timing)
+  if (!t) {
+    return invalid
+  }
+
+  const beta = 1 - power
+  const cumulativeAlpha = t.map(x => calculateSpending(efficacySpending, x, alpha, efficacyParam))
+  const cumulativeBeta = hasFutility
+    ? t.map(x => calculateSpending(futilitySpending, x, beta, futilityParam))
+    : null
+  if (cumulativeAlpha.some(Number.isNaN) || (hasFutility && cumulativeBeta.some(Number.isNaN))) {
+    return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 有效界值（H0，非约束性）
+  // ═══════════════════════════════════════════════════════════
+  const upper = computeEfficacyBounds(t, cumulativeAlpha)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 漂移 θ（与无效界值联合求解）
+  // ═══════════════════════════════════════════════════════════
+  const fixedDrift = normalInverse(1 - alpha) + normalInverse(power)
+  const noFutility = t.map(() => -Infinity)
+  let drift
+  let lower = noFutility
+
+  if (hasFutility) {
+    // II 类错误随 θ 递减: 求 typeII(θ) = β
+    drift = bisectDecreasing(
+      theta => computeFutilityBounds(t, upper, cumulativeBeta, theta).typeII - beta,
+      0,
+      4 * fixedDrift
+    )
+    lower = computeFutilityBounds(t, upper, cumulativeBeta, drift).lower
+  } else {
+    // 功效随 θ 递增: 求 power − 实际功效 = 0
+    drift = bisectDecreasing(
+      theta => {
+        const { upperCross } = groupSequentialProbabilities(t, upper, noFutility, theta)
+        return power - upperCross.reduce((sum, p) => sum + p, 0)
+      },
+      0,
+      4 * fixedDrift
+    )
+  }
+
+  const { upperCross } = groupSequentialProbabilities(t, upper, lower, drift)
+  const attainedPower = upperCross.reduce((sum, p) => sum + p, 0)
+  const inflationFactor = Math.pow(drift / fixedDrift, 2)
+
+  return {
+    timing: t,
+    upper,
+    lower: hasFutility ? lower : null,
+    nominalAlpha: upper.map(b => normalSF(b)),
+    cumulativeAlpha,
+    cumulativeBeta,
+    drift,
+    inflationFactor,
+    power: attainedPower,
+    expectedSampleSizeRatio: {
+      h0: inflationFactor * expectedInformationFraction(t, upper, lower, 0),
+      h1: inflationFactor * expectedInformationFraction(t, upper, lower, drift)
+    }
+  }
+}
+
+/**
+ * 将成组序贯膨胀因子应用到固定设计样本量
+ *
+ * 各组分别乘以 IF 后向上取整；可直接接收 calculateSupSampleSize / calculateNISampleSize 等
+ * 返回的 {n1, n2}（单组试验 n2 = 0 保持为 0）。
+ *
+ * @param {{n1: number, n2: number}} sampleSize - 固定设计样本量
+ * @param {number} inflationFactor - 膨胀因子（calculateGroupSequentialDesign 返回）
+ * @returns {{n1: number, n2: number}} 成组序贯最大样本量；膨胀因子无效时返回 NaN
+ */
+function applyInflationFactor(sampleSize, inflationFactor) {
+  if (!Number.isFinite(inflationFactor) || inflationFactor <= 0) {
+    return { n1: NaN, n2: NaN }
+  }
+  return {
+    n1: Math.ceil(sampleSize.n1 * inflationFactor),
+    n2: Math.ceil(sampleSize.n2 * inflationFactor)
+  }
+}
+
+export { MAX_LOOKS, resolveTiming, calculateGroupSequentialDesign, applyInflationFactor }
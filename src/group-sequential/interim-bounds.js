@@ -0,0 +1,154 @@
+/**
+ * @module group-sequential/interim-bounds
+ * @description 期中分析界值更新 - 按实际信息比例重新计算有效界值与名义 p 值阈值
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lan KKG, DeMets DL. Discrete sequential boundaries for clinical trials.
+ *     Biometrika. 1983;70(3):659-663.（消耗函数法允许分析时间与次数偏离计划）
+ * [2] Jennison C, Turnbull BW. Group Sequential Methods with Applications to Clinical
+ *     Trials. Chapman and Hall/CRC; 2000. Section 7.2.
+ * [3] gsDesign (R): gsDesign(..., usTime, maxn.IPlan) 按实际信息更新界值
+ *
+ * @formula
+ *   实际信息比例 t_k = I_k / I_max（生存终点 I_k ∝ 事件数 d_k）
+ *   已完成分析: 消耗量 α(t_k) − α(t_{k−1})，t_k 为实际值
+ *   后续分析: 第 m 次之后的计划信息比例（剔除不大于最近一次实际值者），终末分析消耗全部剩余 α
+ *   界值仍按 P_0(Z_1 < b_1, …, Z_{k−1} < b_{k−1}, Z_k ≥ b_k) = α(t_k) − α(t_{k−1}) 逐次求解，
+ *   故总 I 类错误恒为 α；名义 p 值阈值 = 1 − Φ(b_k)
+ *
+ * @note 已完成分析的界值只依赖其自身及之前的实际信息比例，重复调用不会改变已使用的界值
+ */
+
+import { normalSF } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { SPENDING_TYPES, calculateSpending } from './spending-functions.js'
+import { computeEfficacyBounds } from './recursive-integration.js'
+import { MAX_LOOKS, resolveTiming } from './design.js'
+
+/**
+ * 由信息比例或事件数得到已完成分析的实际信息比例
+ * @param {number[]} [informationFraction] - 实际信息比例
+ * @param {number[]} [events] - 各次分析的累积事件数
+ * @param {number} [maxEvents] - 计划最大事件数
+ * @returns {number[]|null} 实际信息比例（递增；仅末项可 ≥ 1）；无效时返回 null
+ */
+function resolveObservedTiming(informationFraction, events, maxEvents) {
+  let observed = informationFraction
+  if (observed === undefined) {
+    if (!Array.isArray(events) || !Number.isFinite(maxEvents) || maxEvents <= 0) return null
+    observed = events.map(d => d / maxEvents)
+  }
+  if (!Array.isArray(observed) || observed.length === 0 || observed.length > MAX_LOOKS) return null
+
+  for (let i = 0; i < observed.length; i++) {
+    const prev = i === 0 ? 0 : observed[i - 1]
+    if (!Number.isFinite(observed[i]) || !(observed[i] > prev)) return null
+    // 达到或超过最大信息的分析即为终末分析，其后不应再有分析
+    if (i < observed.length - 1 && observed[i] >= 1) return null
+  }
+  return observed.slice()
+}
+
+/**
+ * 期中分析界值更新（Lan-DeMets 消耗函数法）
+ *
+ * 以原设计的 α 消耗函数与计划信息比例为基础，代入已完成分析的实际信息比例（或事件数），
+ * 重新求解全部有效界值：已完成的 m 次分析按实际时间消耗 α，其后沿用计划的第 m + 1 次起
+ * 的信息比例，终末分析消耗全部剩余 α。最近一次实际信息比例 ≥ 1（信息超额）或 final 为 true
+ * （提前结束 / 信息不足）时，该次分析即为终末分析。
+ *
+ * @param {Object} params - 更新参数
+ * @param {Object} params.design - 原设计参数（即传给 calculateGroupSequentialDesign 的对象，
+ *   使用其中的 k、alpha、timing、efficacySpending、efficacyParam）
+ * @param {number[]} [params.informationFraction] - 已完成分析的实际信息比例（递增）
+ * @param {number[]} [params.events] - 已完成分析的累积事件数（未提供 informationFraction 时使用）
+ * @param {number} [params.maxEvents] - 计划最大事件数（与 events 配合使用）
+ * @param {boolean} [params.final=false] - 最近一次分析是否为终末分析
+ * @returns {Object} 更新结果；参数无效时各数值为 NaN、数组为空
+ * @returns {number[]} returns.timing - 实际信息比例 + 后续计划信息比例
+ * @returns {number[]} returns.upper - 有效界值（Z 尺度，Z_k ≥ b_k 拒绝 H0）
+ * @returns {number[]} returns.nominalAlpha - 各次分析的名义单侧 p 值阈值 1 − Φ(b_k)
+ * @returns {number[]} returns.cumulativeAlpha - 累积 α 消耗（末项为 α）
+ * @returns {number} returns.observedLooks - 已完成分析次数（timing 前 observedLooks 项为实际值）
+ * @returns {number} returns.currentBound - 最近一次分析的有效界值
+ * @returns {number} returns.currentNominalAlpha - 最近一次分析的名义 p 值阈值
+ *
+ * @example
+ * // 计划 3 次等间隔 O'Brien-Fleming 型分析，首次期中实际在 120 / 330 个事件时进行
+ * const design = { k: 3, alpha: 0.025, power: 0.9 }
+ * const interim = calculateInterimBounds({ design, events: [120], maxEvents: 330 })
+ * // interim.timing ≈ [0.364, 0.667, 1]，p < interim.currentNominalAlpha 时拒绝 H0
+ */
+function calculateInterimBounds(params) {
+  const { design, informationFraction, events, maxEvents, final = false } = params
+
+  const invalid = {
+    timing: [],
+    upper: [],
+    nominalAlpha: [],
+    cumulativeAlpha: [],
+    observedLooks: NaN,
+    currentBound: NaN,
+    currentNominalAlpha: NaN
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证（原设计 + 实际信息比例）
+  // ═══════════════════════════════════════════════════════════
+  if (!design || typeof design !== 'object') {
+    return invalid
+  }
+  const { k, alpha, timing, efficacySpending = 'obf', efficacyParam } = design
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) {
+    return invalid
+  }
+  if (!Number.isInteger(k) || k < 2 || k > MAX_LOOKS || !SPENDING_TYPES.has(efficacySpending)) {
+    return invalid
+  }
+  const planned = resolveTiming(k, timing)
+  const observed = resolveObservedTiming(informationFraction, events, maxEvents)
+  if (!planned || !observed) {
+    return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 合并实际与后续计划信息比例
+  // ═══════════════════════════════════════════════════════════
+  const latest = observed[observed.length - 1]
+  const isFinal = final === true || latest >= 1
+  // 已完成的 m 次分析依次对应计划的前 m 次；计划次数用尽而信息未满时补一次 t = 1 的终末分析
+  let remaining = isFinal ? [] : planned.slice(observed.length).filter(x => x > latest)
+  if (!isFinal && remaining.length === 0) remaining = [1]
+  const t = observed.concat(remaining)
+  if (t.length > MAX_LOOKS) {
+    return invalid
+  }
+
+  // 信息超额时 t > 1，消耗函数取 α；终末分析无论实际时间均消耗全部剩余 α
+  const cumulativeAlpha = t.map(x => calculateSpending(efficacySpending, x, alpha, efficacyParam))
+  if (cumulativeAlpha.some(Number.isNaN)) {
+    return invalid
+  }
+  cumulativeAlpha[t.length - 1] = alpha
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 有效界值与名义 p 值阈值
+  // ═══════════════════════════════════════════════════════════
+  const upper = computeEfficacyBounds(t, cumulativeAlpha)
+  const nominalAlpha = upper.map(b => normalSF(b))
+  const current = observed.length - 1
+
+  return {
+    timing: t,
+    upper,
+    nominalAlpha,
+    cumulativeAlpha,
+    observedLooks: observed.length,
+    currentBound: upper[current],
+    currentNominalAlpha: nominalAlpha[current]
+  }
+}
+
+export { calculateInterimBounds }
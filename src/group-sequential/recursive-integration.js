@@ -0,0 +1,218 @@
+/**
+ * @module group-sequential/recursive-integration
+ * @description 成组序贯检验统计量的递推数值积分（Armitage-McPherson-Rowe）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Armitage P, McPherson CK, Rowe BC. Repeated significance tests on accumulating data.
+ *     J R Stat Soc A. 1969;132(2):235-244.
+ * [2] Jennison C, Turnbull BW. Group Sequential Methods with Applications to Clinical
+ *     Trials. Chapman and Hall/CRC; 2000. Chapter 19.（递推积分与网格）
+ *
+ * @formula 规范联合分布（信息比例 t_k，漂移 θ）
+ *   Z_k ~ N(θ√t_k, 1)，Z_k√t_k − Z_{k−1}√t_{k−1} ~ N(θΔ_k, Δ_k)，Δ_k = t_k − t_{k−1}，增量独立
+ *
+ *   f_k(z) = ∫ f_{k−1}(u) · φ((z√t_k − u√t_{k−1} − θΔ_k)/√Δ_k) · √(t_k/Δ_k) du
+ *   其中 f_{k−1} 为"前 k−1 次均未越界"的子密度（积分域为第 k−1 次的继续区间）
+ *
+ *   P(第 k 次越上界) = ∫ f_{k−1}(u) · [1 − Φ((b_k√t_k − u√t_{k−1} − θΔ_k)/√Δ_k)] du
+ *   P(第 k 次越下界) = ∫ f_{k−1}(u) · Φ((a_k√t_k − u√t_{k−1} − θΔ_k)/√Δ_k) du
+ *
+ * 实现: 子密度以 (节点, 权重×密度) 网格表示；每次分析的继续区间截断到 θ√t_k ± 8
+ * （边缘分布标准差为 1，截断误差 < 1e-15），用复合 Gauss-Legendre 求积。
+ */
+
+import { normalCDF, normalSF } from '../core/normal-distribution.js'
+import { gaussLegendre } from '../core/quadrature.js'
+
+/** 继续区间截断半宽（以 Z_k 边缘分布的标准差为单位） */
+const GRID_HALF_WIDTH = 8
+
+/** 每单位区间长度的 Gauss-Legendre 子区间个数 */
+const GRID_PANELS_PER_UNIT = 2
+
+/** 每个子区间的求积阶数 */
+const GRID_ORDER = 8
+
+/** 界值求根区间 */
+const BOUND_SEARCH_LIMIT = 40
+
+/** 界值二分迭代次数（区间宽 80，2⁻⁶⁰ 远超所需精度） */
+const BOUND_SEARCH_ITERATIONS = 60
+
+const INV_SQRT_2PI = 0.3989422804014327
+
+/**
+ * 初始网格: Z_0 = 0 处的点质量（t_0 = 0）
+ * @returns {{t: number, z: number[], w: number[]}}
+ */
+function initialGrid() {
+  return { t: 0, z: [0], w: [1] }
+}
+
+/**
+ * 第 k 次分析的单次越界概率（前 k−1 次均未越界）
+ * @param {{t: number, z: number[], w: number[]}} grid - 第 k−1 次分析后的子密度网格
+ * @param {number} t - 第 k 次信息比例
+ * @param {number} theta - 漂移 θ
+ * @param {number} bound - 界值
+ * @param {'upper'|'lower'} side - 'upper' 计算 P(Z_k ≥ bound)，'lower' 计算 P(Z_k ≤ bound)
+ * @returns {number} 越界概率
+ */
+function crossingProbability(grid, t, theta, bound, side) {
+  if (bound === Infinity) return side === 'upper' ? 0 : totalMass(grid)
+  if (bound === -Infinity) return side === 'upper' ? totalMass(grid) : 0
+
+  const delta = t - grid.t
+  const sd = Math.sqrt(delta)
+  const sqrtPrev = Math.sqrt(grid.t)
+  const shifted = bound * Math.sqrt(t) - theta * delta
+  const tail = side === 'upper' ? normalSF : normalCDF
+
+  let sum = 0
+  for (let j = 0; j < grid.z.length; j++) {
+    sum += grid.w[j] * tail((shifted - grid.z[j] * sqrtPrev) / sd)
+  }
+  return sum
+}
+
+/**
+ * 网格总质量（继续到当前分析的概率）
+ * @param {{w: number[]}} grid
+ * @returns {number}
+ */
+function totalMass(grid) {
+  let sum = 0
+  for (let j = 0; j < grid.w.length; j++) sum += grid.w[j]
+  return sum
+}
+
+/**
+ * 递推到第 k 次分析: 计算继续区间 (lower, upper) 上的子密度网格
+ * @param {{t: number, z: number[], w: number[]}} grid - 第 k−1 次分析后的网格
+ * @param {number} t - 第 k 次信息比例
+ * @param {number} theta - 漂移 θ
+ * @param {number} lower - 下界（无效界值，可为 −Infinity）
+ * @param {number} upper - 上界（有效界值，可为 Infinity）
+ * @returns {{t: number, z: number[], w: number[]}} 第 k 次分析后的网格
+ */
+function propagateGrid(grid, t, theta, lower, upper) {
+  const mean = theta * Math.sqrt(t)
+  const from = Math.max(lower, mean - GRID_HALF_WIDTH)
+  const to = Math.min(upper, mean + GRID_HALF_WIDTH)
+  if (!(to > from)) return { t, z: [], w: [] }
+
+  const delta = t - grid.t
+  const sd = Math.sqrt(delta)
+  const sqrtT = Math.sqrt(t)
+  const sqrtPrev = Math.sqrt(grid.t)
+  const scale = (sqrtT / sd) * INV_SQRT_2PI
+
+  const { nodes, weights } = gaussLegendre(GRID_ORDER)
+  const panels = Math.max(1, Math.ceil((to - from) * GRID_PANELS_PER_UNIT))
+  const width = (to - from) / panels
+  const z = []
+  const w = []
+
+  for (let p = 0; p < panels; p++) {
+    const mid = from + (p + 0.5) * width
+    for (let i = 0; i < GRID_ORDER; i++) {
+      const x = mid + (width / 2) * nodes[i]
+      const shifted = x * sqrtT - theta * delta
+      let density = 0
+      for (let j = 0; j < grid.z.length; j++) {
+        const u = (shifted - grid.z[j] * sqrtPrev) / sd
+        density += grid.w[j] * Math.exp(-0.5 * u * u)
+      }
+      z.push(x)
+      w.push(((weights[i] * width) / 2) * density * scale)
+    }
+  }
+
+  return { t, z, w }
+}
+
+/**
+ * 求解第 k 次分析的界值，使单次越界概率等于目标值
+ * @param {{t: number, z: number[], w: number[]}} grid - 第 k−1 次分析后的网格
+ * @param {number} t - 第 k 次信息比例
+ * @param {number} theta - 漂移 θ
+ * @param {number} target - 目标越界概率（本次消耗量）
+ * @param {'upper'|'lower'} side - 界值方向
+ * @returns {number} 界值；target ≤ 0 时返回 ±Infinity（本次不设界）
+ */
+function solveBound(grid, t, theta, target, side) {
+  if (!(target > 0)) return side === 'upper' ? Infinity : -Infinity
+
+  // 上界: 越界概率随界值递减；下界: 随界值递增
+  let lo = -BOUND_SEARCH_LIMIT
+  let hi = BOUND_SEARCH_LIMIT
+  for (let i = 0; i < BOUND_SEARCH_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2
+    const prob = crossingProbability(grid, t, theta, mid, side)
+    const tooMuch = prob > target
+    if (side === 'upper' ? tooMuch : !tooMuch) lo = mid
+    else hi = mid
+  }
+  return (lo + hi) / 2
+}
+
+/**
+ * 有效界值（H0 下按 α 消耗逐次求解，不考虑无效界值）
+ * @param {number[]} timing - 信息比例
+ * @param {number[]} cumulativeAlpha - 各次分析的累积 α 消耗
+ * @returns {number[]} 有效界值（Z 尺度）
+ */
+function computeEfficacyBounds(timing, cumulativeAlpha) {
+  const upper = []
+  let grid = initialGrid()
+  for (let k = 0; k < timing.length; k++) {
+    const spend = cumulativeAlpha[k] - (k === 0 ? 0 : cumulativeAlpha[k - 1])
+    upper.push(solveBound(grid, timing[k], 0, spend, 'upper'))
+    if (k < timing.length - 1) {
+      grid = propagateGrid(grid, timing[k], 0, -Infinity, upper[k])
+    }
+  }
+  return upper
+}
+
+/**
+ * 给定界值下各次分析的越界概率
+ *
+ * @param {number[]} timing - 信息比例 t_1 < … < t_K
+ * @param {number[]} upper - 有效界值（Z 尺度，可含 Infinity）
+ * @param {number[]} lower - 无效界值（Z 尺度，可含 −Infinity）
+ * @param {number} theta - 漂移 θ（H0 为 0）
+ * @returns {{upperCross: number[], lowerCross: number[]}} 各次分析首次越上界 / 下界的概率
+ *
+ * @example
+ * // Pocock 常数界值 C_P(5, α = 0.05) = 2.413（Jennison & Turnbull Table 2.1）
+ * const b = [2.413, 2.413, 2.413, 2.413, 2.413]
+ * groupSequentialProbabilities([0.2, 0.4, 0.6, 0.8, 1], b, b.map(x => -x), 0)
+ * // Σ upperCross + Σ lowerCross ≈ 0.05
+ */
+function groupSequentialProbabilities(timing, upper, lower, theta) {
+  const upperCross = []
+  const lowerCross = []
+  let grid = initialGrid()
+
+  for (let k = 0; k < timing.length; k++) {
+    upperCross.push(crossingProbability(grid, timing[k], theta, upper[k], 'upper'))
+    lowerCross.push(crossingProbability(grid, timing[k], theta, lower[k], 'lower'))
+    if (k < timing.length - 1) {
+      grid = propagateGrid(grid, timing[k], theta, lower[k], upper[k])
+    }
+  }
+
+  return { upperCross, lowerCross }
+}
+
+export {
+  initialGrid,
+  crossingProbability,
+  propagateGrid,
+  solveBound,
+  computeEfficacyBounds,
+  groupSequentialProbabilities
+}
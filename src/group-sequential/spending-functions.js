@@ -0,0 +1,111 @@
+/**
+ * @module group-sequential/spending-functions
+ * @description Lan-DeMets 误差消耗函数 - O'Brien-Fleming 型、Pocock 型、Hwang-Shih-DeCani、幂函数族
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lan KKG, DeMets DL. Discrete sequential boundaries for clinical trials.
+ *     Biometrika. 1983;70(3):659-663.（O'Brien-Fleming 型、Pocock 型消耗函数）
+ * [2] Hwang IK, Shih WJ, DeCani JS. Group sequential designs using a family of type I
+ *     error probability spending functions. Stat Med. 1990;9(12):1439-1445.
+ * [3] Jennison C, Turnbull BW. Group Sequential Methods with Applications to Clinical
+ *     Trials. Chapman and Hall/CRC; 2000. Chapter 7.（幂函数族 ρ）
+ * [4] gsDesign (R): sfLDOF / sfLDPocock / sfHSD / sfPower
+ *
+ * @formula 累积消耗 f(t)，t 为信息比例，总量 α（单侧）
+ *   O'Brien-Fleming 型: f(t) = 2 − 2Φ(Z_{1−α/2} / √t)
+ *   Pocock 型:          f(t) = α · ln(1 + (e − 1)t)
+ *   Hwang-Shih-DeCani:  f(t) = α · (1 − e^{−γt}) / (1 − e^{−γ})，γ = 0 时 f(t) = αt
+ *   幂函数族:           f(t) = α · t^ρ
+ *
+ * 同一组函数也用于 β 消耗（非约束性无效界值），总量取 β。
+ */
+
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
+
+/** 支持的消耗函数类型 */
+const SPENDING_TYPES = new Set(['obf', 'pocock', 'hsd', 'power'])
+
+/** 各类型的默认参数（HSD γ = −4 近似 O'Brien-Fleming；幂函数 ρ = 3） */
+const DEFAULT_SPENDING_PARAMS = { hsd: -4, power: 3 }
+
+/**
+ * O'Brien-Fleming 型消耗函数（Lan-DeMets）
+ * @param {number} t - 信息比例 [0, 1]
+ * @param {number} alpha - 总消耗量
+ * @returns {number} 累积消耗
+ */
+function obrienFlemingSpending(t, alpha) {
+  if (t <= 0) return 0
+  if (t >= 1) return alpha
+  return 2 * normalSF(normalInverse(1 - alpha / 2) / Math.sqrt(t))
+}
+
+/**
+ * Pocock 型消耗函数（Lan-DeMets）
+ * @param {number} t - 信息比例 [0, 1]
+ * @param {number} alpha - 总消耗量
+ * @returns {number} 累积消耗
+ */
+function pocockSpending(t, alpha) {
+  if (t <= 0) return 0
+  if (t >= 1) return alpha
+  return alpha * Math.log(1 + (Math.E - 1) * t)
+}
+
+/**
+ * Hwang-Shih-DeCani 消耗函数
+ * @param {number} t - 信息比例 [0, 1]
+ * @param {number} alpha - 总消耗量
+ * @param {number} [gamma=-4] - 形状参数（γ 越小越保守；−4 近似 OBF，1 近似 Pocock）
+ * @returns {number} 累积消耗
+ */
+function hwangShihDeCaniSpending(t, alpha, gamma = DEFAULT_SPENDING_PARAMS.hsd) {
+  if (t <= 0) return 0
+  if (t >= 1) return alpha
+  if (Math.abs(gamma) < 1e-10) return alpha * t
+  return (alpha * -Math.expm1(-gamma * t)) / -Math.expm1(-gamma)
+}
+
+/**
+ * 幂函数族消耗函数
+ * @param {number} t - 信息比例 [0, 1]
+ * @param {number} alpha - 总消耗量
+ * @param {number} [rho=3] - 幂指数 (> 0；ρ = 1 近似 Pocock，ρ = 3 近似 OBF)
+ * @returns {number} 累积消耗
+ */
+function powerFamilySpending(t, alpha, rho = DEFAULT_SPENDING_PARAMS.power) {
+  if (t <= 0) return 0
+  if (t >= 1) return alpha
+  return alpha * Math.pow(t, rho)
+}
+
+/**
+ * 按类型计算累积消耗
+ * @param {'obf'|'pocock'|'hsd'|'power'} type - 消耗函数类型
+ * @param {number} t - 信息比例 [0, 1]
+ * @param {number} total - 总消耗量（α 或 β）
+ * @param {number} [param] - 形状参数（hsd 的 γ、power 的 ρ；缺省取默认值）
+ * @returns {number} 累积消耗；类型或参数无效时返回 NaN
+ */
+function calculateSpending(type, t, total, param) {
+  if (!SPENDING_TYPES.has(type) || Number.isNaN(t)) return NaN
+  const shape = param === undefined ? DEFAULT_SPENDING_PARAMS[type] : param
+
+  if (type === 'obf') return obrienFlemingSpending(t, total)
+  if (type === 'pocock') return pocockSpending(t, total)
+  if (type === 'hsd') {
+    return Number.isFinite(shape) ? hwangShihDeCaniSpending(t, total, shape) : NaN
+  }
+  return Number.isFinite(shape) && shape > 0 ? powerFamilySpending(t, total, shape) : NaN
+}
+
+export {
+  SPENDING_TYPES,
+  obrienFlemingSpending,
+  pocockSpending,
+  hwangShihDeCaniSpending,
+  powerFamilySpending,
+  calculateSpending
+}
@@ -9,6 +9,7 @@
  * - 单组试验
  * - 配对设计
  * - 多组比较
+ * - 生存终点 (Log-rank)
  * - 置信区间估计
  * - 敏感性分析
  */
@@ -16,9 +17,20 @@
 // ========================================================
 // Core Modules - 核心模块
 // ========================================================
-import { normalCDF, normalInverse } from './core/normal-distribution.js'
+import { normalCDF, normalSF, normalInverse } from './core/normal-distribution.js'
+import { tCDF, tSF, tInverse } from './core/t-distribution.js'
+import { fCDF, fSF } from './core/f-distribution.js'
+import { chiSquareCDF, chiSquareSF, chiSquareInverse } from './core/chi-square-distribution.js'
+import { createRandom } from './core/random.js'
+import { noncentralTCDF, owensQ } from './core/noncentral-t.js'
 import { safeNumber, safeDivide } from './core/safe-math.js'
-import { calculateWilsonCI } from './core/confidence-interval.js'
+import { calculateWilsonCI, calculateClopperPearsonCI } from './core/confidence-interval.js'
+import { binomialPMF, binomialCDF, binomialSF } from './core/binomial.js'
+import {
+  fisherExactTest,
+  exactUnconditionalTest,
+  exactUnconditionalInterval
+} from './core/exact-two-proportion.js'
 import { validateStatParams } from './core/param-validator.js'
 
 // ========================================================
@@ -35,9 +47,12 @@ import {
 
 import {
   calculateOneSampleSize,
-  calculateOneSampleSizeContinuous
+  calculateOneSampleSizeContinuous,
+  calculateOneSampleExactPowerProfile
 } from './sample-size/one-sample.js'
 
+import { calculateSimonTwoStage, evaluateSimonDesign } from './sample-size/simon-two-stage.js'
+
 import {
   calculatePairedSampleSize,
   calculatePairedSampleSizeContinuous
@@ -48,6 +63,84 @@ import {
   calculateMultigroupSampleSizeContinuous
 } from './sample-size/multigroup.js'
 
+import { calculateRepeatedMeasuresSampleSize } from './sample-size/repeated-measures.js'
+
+import {
+  calculateOrdinalSampleSize,
+  calculateOrdinalPower,
+  calculateOrdinalMDE
+} from './sample-size/ordinal.js'
+
+import {
+  calculateMannWhitneySampleSize,
+  calculateMannWhitneyPower,
+  calculateSignedRankSampleSize,
+  calculateSignedRankPower
+} from './sample-size/nonparametric.js'
+
+import { calculateRatioSampleSize, calculateRatioPower } from './sample-size/ratio-of-means.js'
+
+// ========================================================
+// Survival Modules - 生存终点模块 (Log-rank)
+// ========================================================
+import { calculateSurvivalSampleSize } from './survival/log-rank-sample-size.js'
+
+// ========================================================
+// Count Modules - 计数终点模块 (Poisson / Negative Binomial)
+// ========================================================
+import { calculateCountSampleSize, calculateCountPower } from './count/count-sample-size.js'
+
+// ========================================================
+// Group Sequential Modules - 成组序贯设计模块
+// ========================================================
+import { calculateGroupSequentialDesign, applyInflationFactor } from './group-sequential/design.js'
+import { calculateInterimBounds } from './group-sequential/interim-bounds.js'
+import {
+  obrienFlemingSpending,
+  pocockSpending,
+  hwangShihDeCaniSpending,
+  powerFamilySpending,
+  calculateSpending
+} from './group-sequential/spending-functions.js'
+import { groupSequentialProbabilities } from './group-sequential/recursive-integration.js'
+
+// ========================================================
+// Interim Analysis Modules - 期中分析模块
+// ========================================================
+import {
+  calculateConditionalPower,
+  calculateConditionalPowerContinuous
+} from './interim-analysis/conditional-power.js'
+import {
+  calculateBlindedReestimation,
+  calculatePromisingZone,
+  calculateCHWTest
+} from './interim-analysis/sample-size-reestimation.js'
+
+// ========================================================
+// Crossover Modules - 交叉设计模块
+// ========================================================
+import {
+  cvToSigma,
+  sigmaToCV,
+  calculateBEPower,
+  calculateBESampleSize
+} from './crossover/be-sample-size.js'
+import { calculateCrossoverBEResult } from './crossover/be-analysis.js'
+import {
+  calculateABELLimits,
+  calculateScaledBEPower,
+  calculateScaledBESampleSize,
+  calculateScaledBEResult
+} from './crossover/scaled-be.js'
+
+// ========================================================
+// Cluster Randomization Modules - 整群随机设计模块
+// ========================================================
+import { calculateDesignEffect } from './cluster/design-effect.js'
+import { calculateClusterSampleSize, calculateClusterPower } from './cluster/cluster-sample-size.js'
+import { createSteppedWedgeDesign, calculateSteppedWedgePower } from './cluster/stepped-wedge.js'
+
 // ========================================================
 // Result Validation Modules - 结果验证模块
 // ========================================================
@@ -75,6 +168,13 @@ import {
   calculateMultigroupResultContinuous
 } from './result-validation/multigroup.js'
 
+import { calculateKaplanMeier, calculateSurvivalResult } from './result-validation/survival.js'
+import { estimateClusterICC, calculateClusterResult } from './result-validation/cluster.js'
+import { calculateCountResult } from './result-validation/count.js'
+import { calculateOrdinalResult } from './result-validation/ordinal.js'
+import { calculateHodgesLehmann } from './result-validation/nonparametric.js'
+import { calculateRatioResult } from './result-validation/ratio-of-means.js'
+
 // ========================================================
 // CI Estimation Modules - 置信区间估计模块
 // ========================================================
@@ -101,7 +201,8 @@ import {
   calculatePowerOneSample,
   calculatePowerOneSampleContinuous,
   calculatePowerPaired,
-  calculatePowerPairedContinuous
+  calculatePowerPairedContinuous,
+  calculatePowerSurvival
 } from './power-analysis/power-calculation.js'
 
 import {
@@ -115,7 +216,8 @@ import {
   calculateMDE_OneSample,
   calculateMDE_OneSampleContinuous,
   calculateMDE_Paired,
-  calculateMDE_PairedContinuous
+  calculateMDE_PairedContinuous,
+  calculateMDE_Survival
 } from './power-analysis/effect-size-calculation.js'
 
 // ========================================================
@@ -153,7 +255,26 @@ import {
 export {
   // 通用函数 (Universal)
   normalCDF,
+  normalSF,
   normalInverse,
+  tCDF,
+  tSF,
+  tInverse,
+  fCDF,
+  fSF,
+  chiSquareCDF,
+  chiSquareSF,
+  chiSquareInverse,
+  createRandom,
+  noncentralTCDF,
+  owensQ,
+  binomialPMF,
+  binomialCDF,
+  binomialSF,
+  calculateClopperPearsonCI,
+  fisherExactTest,
+  exactUnconditionalTest,
+  exactUnconditionalInterval,
 
   // 统一参数验证器 (Statistical Parameter Validator - W8/P0)
   validateStatParams,
@@ -182,9 +303,64 @@ export {
   calculateEqSampleSizeContinuous,
   calculateEqResultContinuous,
 
+  // 生存终点 - 风险比 (Time-to-Event - Hazard Ratio)
+  calculateSurvivalSampleSize,
+  calculateSurvivalResult,
+  calculateKaplanMeier,
+
+  // 计数终点 - 率比 (Count Outcomes - Rate Ratio)
+  calculateCountSampleSize,
+  calculateCountPower,
+  calculateCountResult,
+
+  // 成组序贯设计 (Group Sequential Design)
+  calculateGroupSequentialDesign,
+  applyInflationFactor,
+  calculateInterimBounds,
+  calculateSpending,
+  obrienFlemingSpending,
+  pocockSpending,
+  hwangShihDeCaniSpending,
+  powerFamilySpending,
+  groupSequentialProbabilities,
+
+  // 期中分析 (Interim Analysis)
+  calculateConditionalPower,
+  calculateConditionalPowerContinuous,
+  calculateBlindedReestimation,
+  calculatePromisingZone,
+  calculateCHWTest,
+
+  // 2×2 交叉设计生物等效性 (2×2 Crossover Bioequivalence)
+  cvToSigma,
+  sigmaToCV,
+  calculateBEPower,
+  calculateBESampleSize,
+  calculateCrossoverBEResult,
+
+  // 重复交叉设计标度生物等效性 (Reference-Scaled BE: EMA ABEL / FDA RSABE)
+  calculateABELLimits,
+  calculateScaledBEPower,
+  calculateScaledBESampleSize,
+  calculateScaledBEResult,
+
+  // 整群随机试验 (Cluster Randomized Trials)
+  calculateDesignEffect,
+  calculateClusterSampleSize,
+  calculateClusterPower,
+  createSteppedWedgeDesign,
+  calculateSteppedWedgePower,
+  estimateClusterICC,
+  calculateClusterResult,
+
   // 单组试验 - 率终点 (One-Sample - Proportion)
   calculateOneSampleSize,
   calculateOneSampleResult,
+  calculateOneSampleExactPowerProfile,
+
+  // Simon 两阶段 II 期设计 (Simon Two-Stage Phase II Design)
+  calculateSimonTwoStage,
+  evaluateSimonDesign,
 
   // 单组试验 - 连续终点 (One-Sample - Continuous)
   calculateOneSampleSizeContinuous,
@@ -214,6 +390,27 @@ export {
   calculateMultigroupSampleSizeContinuous,
   calculateMultigroupResultContinuous,
 
+  // 重复测量 MMRM (Repeated Measures - Longitudinal)
+  calculateRepeatedMeasuresSampleSize,
+
+  // 有序分类终点 (Ordinal - Whitehead Proportional Odds)
+  calculateOrdinalSampleSize,
+  calculateOrdinalPower,
+  calculateOrdinalMDE,
+  calculateOrdinalResult,
+
+  // 非参数检验 (Nonparametric - Wilcoxon / Hodges-Lehmann)
+  calculateMannWhitneySampleSize,
+  calculateMannWhitneyPower,
+  calculateSignedRankSampleSize,
+  calculateSignedRankPower,
+  calculateHodgesLehmann,
+
+  // 几何均值比 - 对数正态终点 (Ratio of Means - Log Scale)
+  calculateRatioSampleSize,
+  calculateRatioPower,
+  calculateRatioResult,
+
   // 敏感性分析 (Sensitivity Analysis)
   runSensitivityAnalysis,
 
@@ -237,6 +434,7 @@ export {
   calculatePowerOneSampleContinuous,
   calculatePowerPaired,
   calculatePowerPairedContinuous,
+  calculatePowerSurvival,
 
   // 效应量反推 MDE (Effect Size - P0-3.2)
   calculateMDE,
@@ -250,6 +448,7 @@ export {
   calculateMDE_OneSampleContinuous,
   calculateMDE_Paired,
   calculateMDE_PairedContinuous,
+  calculateMDE_Survival,
 
   // 诊断试验 (Diagnostic Test - P0-3.3)
   calculateDiagnosticSampleSize,
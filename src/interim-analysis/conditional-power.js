@@ -0,0 +1,319 @@
+/**
+ * @module interim-analysis/conditional-power
+ * @description 期中分析条件功效与预测概率 - 率终点和连续终点，支持非劣效 / 优效 / 等效
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lan KKG, Wittes J. The B-value: a tool for monitoring data. Biometrics.
+ *     1988;44(2):579-585.
+ * [2] Spiegelhalter DJ, Freedman LS, Blackburn PR. Monitoring clinical trials: conditional
+ *     or predictive power? Control Clin Trials. 1986;7(1):8-17.
+ * [3] Jennison C, Turnbull BW. Group Sequential Methods with Applications to Clinical
+ *     Trials. Chapman and Hall/CRC; 2000. Chapter 10.
+ *
+ * @formula 差值尺度（diff = 试验组 − 对照组），信息 I = 1/SE²
+ *   期中: d̂_n，I_n；终末: I_N（按计划终末样本量、期中方差估计）；信息比例 t = I_n / I_N
+ *   终末估计 d̂_N = [I_n·d̂_n + (I_N − I_n)·d̂_rest] / I_N
+ *
+ *   条件功效（真值 θ）:   d̂_N | d̂_n ~ N([I_n·d̂_n + (I_N − I_n)·θ] / I_N, (I_N − I_n) / I_N²)
+ *   预测概率（无信息先验）: θ | d̂_n ~ N(d̂_n, 1/I_n) ⇒ d̂_N | d̂_n ~ N(d̂_n, (I_N − I_n) / (I_N·I_n))
+ *
+ *   终末成功域（SE_N = 1/√I_N，z = Z_{1−α}）:
+ *     非劣效: d̂_N − z·SE_N > −δ；优效: d̂_N − z·SE_N > 0
+ *     等效:   −δ + z·SE_N < d̂_N < δ − z·SE_N（TOST）
+ *
+ *   优效等价于 B 值形式 CP(θ = d̂_n) = Φ[(Z_n/√t − z) / √(1 − t)]，
+ *   PP = Φ[(Z_n/√t − z)·√(t / (1 − t))]
+ *
+ * @note alpha 为单侧显著性水平（等效为 TOST 每侧 α），与库内其余函数约定一致
+ */
+
+import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** 支持的试验类型 */
+const STUDY_TYPES = new Set(['non-inferiority', 'superiority', 'equivalence'])
+
+/**
+ * 参数无效时的返回形态
+ * @returns {object}
+ */
+function invalidResult() {
+  return {
+    diff: NaN,
+    se: NaN,
+    informationFraction: NaN,
+    conditionalPower: { trend: NaN, h1: NaN, h0: NaN },
+    predictiveProbability: NaN
+  }
+}
+
+/**
+ * 期中与计划终末样本量校验: 期中各组 ≥ 1，终末各组不少于期中且总量更大
+ * @param {number} n1 - 期中对照组样本量
+ * @param {number} n2 - 期中试验组样本量
+ * @param {number} finalN1 - 计划终末对照组样本量
+ * @param {number} finalN2 - 计划终末试验组样本量
+ * @returns {boolean}
+ */
+function isValidSampleSizes(n1, n2, finalN1, finalN2) {
+  if (![n1, n2, finalN1, finalN2].every(Number.isInteger)) return false
+  if (n1 < 1 || n2 < 1 || finalN1 < n1 || finalN2 < n2) return false
+  return finalN1 + finalN2 > n1 + n2
+}
+
+/**
+ * 终末成功概率: d̂_N ~ N(mean, sd²) 落入成功域
+ * @param {number} mean - d̂_N 的条件均值
+ * @param {number} sd - d̂_N 的条件标准差
+ * @param {{lower: number, upper: number}} region - 成功域 (lower, upper)
+ * @returns {number}
+ */
+function successProbability(mean, sd, region) {
+  if (!(region.upper > region.lower)) return 0
+  const upperTail = region.upper === Infinity ? 1 : normalCDF((region.upper - mean) / sd)
+  return Math.max(0, upperTail - normalCDF((region.lower - mean) / sd))
+}
+
+/**
+ * 条件功效与预测概率核心计算（差值尺度，与终点类型无关）
+ * @param {number} diff - 期中差值估计 d̂_n
+ * @param {number} seInterim - 期中标准误
+ * @param {number} seFinal - 计划终末标准误
+ * @param {string} studyType - 试验类型
+ * @param {number} margin - 非劣效 / 等效界值 δ
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number|undefined} expectedDiff - H1 假定真值
+ * @returns {object}
+ */
+function computeConditionalOutcomes(
+  diff,
+  seInterim,
+  seFinal,
+  studyType,
+  margin,
+  alpha,
+  expectedDiff
+) {
+  const infoInterim = 1 / (seInterim * seInterim)
+  const infoFinal = 1 / (seFinal * seFinal)
+  const infoRest = infoFinal - infoInterim
+  const z = normalInverse(1 - alpha)
+
+  // 终末成功域（差值尺度）
+  let region
+  if (studyType === 'equivalence') {
+    region = { lower: -margin + z * seFinal, upper: margin - z * seFinal }
+  } else {
+    const nullValue = studyType === 'non-inferiority' ? -margin : 0
+    region = { lower: nullValue + z * seFinal, upper: Infinity }
+  }
+
+  const conditionalSd = Math.sqrt(infoRest) / infoFinal
+  const conditional = theta =>
+    successProbability((infoInterim * diff + infoRest * theta) / infoFinal, conditionalSd, region)
+
+  // H1 默认真值: 非劣效 / 等效取 0（两组相同）；优效须由计划给定
+  let h1Diff = expectedDiff
+  if (h1Diff === undefined && studyType !== 'superiority') h1Diff = 0
+
+  // H0: 非劣效取 −δ，优效取 0；等效取两侧界值中条件成功概率较大者（条件 I 类错误）
+  let h0
+  if (studyType === 'equivalence') {
+    h0 = Math.max(conditional(-margin), conditional(margin))
+  } else {
+    h0 = conditional(studyType === 'non-inferiority' ? -margin : 0)
+  }
+
+  const predictiveSd = Math.sqrt(infoRest / (infoFinal * infoInterim))
+
+  return {
+    diff,
+    se: seInterim,
+    informationFraction: infoInterim / infoFinal,
+    conditionalPower: {
+      trend: conditional(diff),
+      h1: Number.isFinite(h1Diff) ? conditional(h1Diff) : NaN,
+      h0
+    },
+    predictiveProbability: successProbability(diff, predictiveSd, region)
+  }
+}
+
+/**
+ * 公共参数校验（试验类型、界值、α、H1 真值）
+ * @param {string} studyType - 试验类型
+ * @param {number} margin - 非劣效 / 等效界值 δ
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number|undefined} expectedDiff - H1 假定真值
+ * @returns {boolean}
+ */
+function isValidDesign(studyType, margin, alpha, expectedDiff) {
+  if (!STUDY_TYPES.has(studyType)) return false
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return false
+  if (studyType !== 'superiority' && !(Number.isFinite(margin) && margin > 0)) return false
+  return expectedDiff === undefined || Number.isFinite(expectedDiff)
+}
+
+// ========================================================
+// 率终点 (Proportion Endpoint)
+// ========================================================
+
+/**
+ * 期中分析条件功效与预测概率（率终点）
+ *
+ * 期中数据与 calculateNIResult / calculateSupResult / calculateEqResult 的输入一致；
+ * 终末标准误按计划终末样本量与期中观察率估计（Wald）。
+ *
+ * @param {Object} params - 期中数据与计划参数
+ * @param {number} params.n1 - 期中对照组样本量
+ * @param {number} params.s1 - 期中对照组成功数
+ * @param {number} params.n2 - 期中试验组样本量
+ * @param {number} params.s2 - 期中试验组成功数
+ * @param {number} params.finalN1 - 计划终末对照组样本量
+ * @param {number} params.finalN2 - 计划终末试验组样本量
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效 / 等效界值 δ（率差，正值；优效忽略）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} [params.expectedDiff] - H1 假定率差 p2 − p1（非劣效 / 等效默认 0；优效未给定时 h1 为 NaN）
+ * @returns {object} - {diff, se, informationFraction, conditionalPower: {trend, h1, h0}, predictiveProbability}；
+ *   参数无效时各数值为 NaN
+ *
+ * @example
+ * // 非劣效（δ = 0.1）：期中各 100 例，对照 80 例、试验 78 例有效，计划各 200 例
+ * calculateConditionalPower({
+ *   n1: 100, s1: 80, n2: 100, s2: 78, finalN1: 200, finalN2: 200,
+ *   studyType: 'non-inferiority', margin: 0.1, alpha: 0.025
+ * })
+ */
+function calculateConditionalPower(params) {
+  const {
+    n1,
+    s1,
+    n2,
+    s2,
+    finalN1,
+    finalN2,
+    studyType = 'non-inferiority',
+    margin,
+    alpha,
+    expectedDiff
+  } = params
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!isValidDesign(studyType, margin, alpha, expectedDiff)) return invalidResult()
+  if (!isValidSampleSizes(n1, n2, finalN1, finalN2)) return invalidResult()
+  if (!Number.isInteger(s1) || !Number.isInteger(s2) || s1 < 0 || s2 < 0 || s1 > n1 || s2 > n2) {
+    return invalidResult()
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 期中估计与终末标准误
+  // ═══════════════════════════════════════════════════════════
+  const p1 = s1 / n1
+  const p2 = s2 / n2
+  const var1 = p1 * (1 - p1)
+  const var2 = p2 * (1 - p2)
+  const seInterim = Math.sqrt(var1 / n1 + var2 / n2)
+  const seFinal = Math.sqrt(var1 / finalN1 + var2 / finalN2)
+  if (!(seInterim > 0)) return invalidResult()
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 条件功效与预测概率
+  // ═══════════════════════════════════════════════════════════
+  return computeConditionalOutcomes(
+    p2 - p1,
+    seInterim,
+    seFinal,
+    studyType,
+    margin,
+    alpha,
+    expectedDiff
+  )
+}
+
+// ========================================================
+// 连续终点 (Continuous Endpoint)
+// ========================================================
+
+/**
+ * 期中分析条件功效与预测概率（连续终点）
+ *
+ * 期中数据与 calculateNIResultContinuous / calculateSupResultContinuous 的输入一致；
+ * 标准差取期中合并标准差（假设方差相等），终末检验按正态近似。
+ *
+ * @param {Object} params - 期中数据与计划参数
+ * @param {number} params.n1 - 期中对照组样本量
+ * @param {number} params.mean1 - 期中对照组均值
+ * @param {number} params.sd1 - 期中对照组标准差
+ * @param {number} params.n2 - 期中试验组样本量
+ * @param {number} params.mean2 - 期中试验组均值
+ * @param {number} params.sd2 - 期中试验组标准差
+ * @param {number} params.finalN1 - 计划终末对照组样本量
+ * @param {number} params.finalN2 - 计划终末试验组样本量
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效 / 等效界值 δ（正值；优效忽略）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} [params.expectedDiff] - H1 假定均值差 μ2 − μ1（非劣效 / 等效默认 0；优效未给定时 h1 为 NaN）
+ * @returns {object} - {diff, se, informationFraction, conditionalPower: {trend, h1, h0}, predictiveProbability}；
+ *   参数无效时各数值为 NaN
+ *
+ * @example
+ * // 优效：期中各 50 例，均值差 3，SD 10，计划各 100 例，H1 均值差 5
+ * calculateConditionalPowerContinuous({
+ *   n1: 50, mean1: 20, sd1: 10, n2: 50, mean2: 23, sd2: 10, finalN1: 100, finalN2: 100,
+ *   studyType: 'superiority', alpha: 0.025, expectedDiff: 5
+ * })
+ * // conditionalPower ≈ {trend: 0.590, h1: 0.890, h0: 0.102}，predictiveProbability ≈ 0.564
+ */
+function calculateConditionalPowerContinuous(params) {
+  const {
+    n1,
+    mean1,
+    sd1,
+    n2,
+    mean2,
+    sd2,
+    finalN1,
+    finalN2,
+    studyType = 'non-inferiority',
+    margin,
+    alpha,
+    expectedDiff
+  } = params
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!isValidDesign(studyType, margin, alpha, expectedDiff)) return invalidResult()
+  if (!isValidSampleSizes(n1, n2, finalN1, finalN2) || n1 + n2 < 3) return invalidResult()
+  if (!validateStatParams({ sd: sd1 }).valid || !validateStatParams({ sd: sd2 }).valid) {
+    return invalidResult()
+  }
+  if (!Number.isFinite(mean1) || !Number.isFinite(mean2)) return invalidResult()
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 期中估计与终末标准误（合并标准差）
+  // ═══════════════════════════════════════════════════════════
+  const pooledVar = ((n1 - 1) * sd1 * sd1 + (n2 - 1) * sd2 * sd2) / (n1 + n2 - 2)
+  const seInterim = Math.sqrt(pooledVar * (1 / n1 + 1 / n2))
+  const seFinal = Math.sqrt(pooledVar * (1 / finalN1 + 1 / finalN2))
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 条件功效与预测概率
+  // ═══════════════════════════════════════════════════════════
+  return computeConditionalOutcomes(
+    mean2 - mean1,
+    seInterim,
+    seFinal,
+    studyType,
+    margin,
+    alpha,
+    expectedDiff
+  )
+}
+
+export { calculateConditionalPower, calculateConditionalPowerContinuous }
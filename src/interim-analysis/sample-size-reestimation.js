@@ -0,0 +1,316 @@
+/**
+ * @module interim-analysis/sample-size-reestimation
+ * @description 样本量再估计 - 盲态（合并率 / 合并方差）与非盲态（Mehta-Pocock 有希望区域 + CHW 加权统计量）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Gould AL. Planning and revising the sample size for a trial. Stat Med.
+ *     1995;14(9-10):1039-1051.（盲态合并率再估计）
+ * [2] Kieser M, Friede T. Simple procedures for blinded sample size adjustment that do not
+ *     affect the type I error rate. Stat Med. 2003;22(23):3571-3581.（盲态合并方差）
+ * [3] Cui L, Hung HMJ, Wang SJ. Modification of sample size in group sequential clinical
+ *     trials. Biometrics. 1999;55(3):853-857.（CHW 加权统计量）
+ * [4] Mehta CR, Pocock SJ. Adaptive increase in sample size when interim results are
+ *     promising: a practical guide with examples. Stat Med. 2011;30(28):3267-3284.
+ *
+ * @formula
+ *   盲态（分配比 k = n2/n1，计划差值 Δ）:
+ *     率终点: p̄ = (p1 + k·p2)/(1 + k) ⇒ p1 = p̄ − k·Δ/(1 + k)，p2 = p1 + Δ
+ *     连续终点: σ̂² = S²_OS（单样本方差，默认）或 S²_OS − k·Δ²/(1 + k)²（调整）
+ *     以再估计的冗余参数代入 calculate*SampleSize 重新计算
+ *
+ *   非盲态（信息 I ∝ n1·n2/(n1 + n2)，t = I_interim / I_planned）:
+ *     CHW 权重 w1 = √t，w2 = √(1 − t)（按原计划固定，不随样本量调整改变）
+ *     终末统计量 Z_CHW = w1·Z_1 + w2·Z_2（Z_2 仅用第二阶段数据），Z_CHW ≥ Z_{1−α} 拒绝 H0
+ *     趋势下条件功效: CP(I*) = Φ[Z_1·√((I* − I_1)/I_1) − (Z_{1−α} − w1·Z_1)/w2]
+ *     区域: CP(I_planned) < cpMin 不利；≥ 目标功效 有利；其间为有希望区域，
+ *           增加样本量使 CP(I*) = 目标功效，且不超过最大样本量
+ *
+ * @note H0 下 Z_2 ~ N(0, 1) 与第二阶段样本量无关，故任意数据依赖的样本量调整下 I 类错误均为 α
+ */
+
+import { normalCDF, normalSF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import {
+  STUDY_TYPES,
+  proportionSampleSize,
+  continuousSampleSize
+} from '../sample-size/two-group/dispatch.js'
+
+/** 有希望区域默认下限（条件功效） */
+const DEFAULT_CP_MIN = 0.3
+
+/** 默认最大样本量倍数（Mehta & Pocock 示例为计划样本量的 2 倍） */
+const DEFAULT_MAX_MULTIPLIER = 2
+
+// ========================================================
+// 盲态再估计 (Blinded Re-estimation)
+// ========================================================
+
+/**
+ * 盲态样本量再估计（内部预试验）
+ *
+ * 期中仅使用不揭盲的合并数据估计冗余参数（率终点的对照组率、连续终点的标准差），
+ * 治疗效应沿用计划假设，再调用 calculateNISampleSize / calculateSupSampleSize /
+ * calculateEqSampleSize（或对应连续终点函数）重新计算样本量。
+ *
+ * @param {Object} params - 再估计参数
+ * @param {'proportion'|'continuous'} [params.endpoint='proportion'] - 终点类型
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} params.pooledN - 期中合并样本量（两组合计）
+ * @param {number} [params.pooledEvents] - 期中合并成功数（率终点）
+ * @param {number} [params.pooledSd] - 期中合并数据的单样本标准差（连续终点，不区分组别）
+ * @param {number} [params.expectedDiff=0] - 计划治疗效应 Δ（试验组 − 对照组）
+ * @param {number} [params.margin] - 非劣效 / 等效界值（优效忽略）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n2/n1
+ * @param {'z'|'t'} [params.method='z'] - 连续终点样本量方法（同 calculate*SampleSizeContinuous）
+ * @param {'unadjusted'|'adjusted'} [params.varianceMethod='unadjusted'] - 连续终点方差估计：
+ *   'unadjusted' 单样本方差（Kieser-Friede 推荐）；'adjusted' 扣除计划效应 k·Δ²/(1 + k)²
+ * @returns {object} - {n1, n2, p1, p2}（率终点）或 {n1, n2, sigma}（连续终点）；参数无效时为 NaN
+ *
+ * @example
+ * // 非劣效（δ = 0.1）：计划 p1 = p2 = 0.85，期中合并 120 例中 90 例有效
+ * calculateBlindedReestimation({
+ *   pooledN: 120, pooledEvents: 90, margin: 0.1, alpha: 0.025, power: 0.8
+ * })
+ * // p1 = p2 = 0.75 → 与 calculateNISampleSize(0.75, 0.75, 0.1, 0.025, 0.8, 1) 相同
+ */
+function calculateBlindedReestimation(params) {
+  const {
+    endpoint = 'proportion',
+    studyType = 'non-inferiority',
+    pooledN,
+    pooledEvents,
+    pooledSd,
+    expectedDiff = 0,
+    margin,
+    alpha,
+    power,
+    ratio = 1,
+    method = 'z',
+    varianceMethod = 'unadjusted'
+  } = params
+
+  const isProportion = endpoint === 'proportion'
+  const invalid = isProportion
+    ? { n1: NaN, n2: NaN, p1: NaN, p2: NaN }
+    : { n1: NaN, n2: NaN, sigma: NaN }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!isProportion && endpoint !== 'continuous') return invalid
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (!validateStatParams({ alpha, power, ratio }).valid || !Number.isFinite(expectedDiff)) {
+    return invalid
+  }
+  if (!Number.isInteger(pooledN) || pooledN < 2) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 冗余参数再估计 + 重新计算样本量
+  // ═══════════════════════════════════════════════════════════
+  if (isProportion) {
+    if (!Number.isInteger(pooledEvents) || pooledEvents < 0 || pooledEvents > pooledN)
+      return invalid
+    const pooledRate = pooledEvents / pooledN
+    const p1 = pooledRate - (ratio * expectedDiff) / (1 + ratio)
+    const p2 = p1 + expectedDiff
+    if (!validateStatParams({ p1, p2 }).valid) return invalid
+
+    const { n1, n2 } = proportionSampleSize(studyType, p1, p2, margin, alpha, power, ratio)
+    return { n1, n2, p1, p2 }
+  }
+
+  if (!validateStatParams({ sd: pooledSd }).valid) return invalid
+  if (varianceMethod !== 'unadjusted' && varianceMethod !== 'adjusted') return invalid
+  let variance = pooledSd * pooledSd
+  if (varianceMethod === 'adjusted') {
+    variance -= (ratio * expectedDiff * expectedDiff) / Math.pow(1 + ratio, 2)
+  }
+  if (!(variance > 0)) return invalid
+  const sigma = Math.sqrt(variance)
+
+  const { n1, n2 } = continuousSampleSize(
+    studyType,
+    sigma,
+    margin,
+    alpha,
+    power,
+    ratio,
+    expectedDiff,
+    method
+  )
+  return { n1, n2, sigma }
+}
+
+// ========================================================
+// 非盲态再估计 (Unblinded Re-estimation, Promising Zone)
+// ========================================================
+
+/**
+ * 两组样本量对应的信息（单位方差）: n1·n2 / (n1 + n2)
+ * @param {number} n1 - 对照组样本量
+ * @param {number} n2 - 试验组样本量
+ * @returns {number}
+ */
+function groupInformation(n1, n2) {
+  return (n1 * n2) / (n1 + n2)
+}
+
+/**
+ * 两组样本量参数校验（各组为正整数）
+ * @param {{n1: number, n2: number}} size - 各组样本量
+ * @returns {boolean}
+ */
+function isValidGroupSizes(size) {
+  return (
+    !!size && Number.isInteger(size.n1) && Number.isInteger(size.n2) && size.n1 > 0 && size.n2 > 0
+  )
+}
+
+/**
+ * 非盲态样本量再估计（Mehta-Pocock 有希望区域 + CHW 加权统计量）
+ *
+ * 以期中检验统计量 Z_1（非劣效为相对 −δ 的 Z 值）计算当前趋势下的条件功效并划分区域：
+ * 不利区域与有利区域维持计划样本量；有希望区域增加样本量使条件功效达到目标功效，
+ * 不超过最大样本量。终末检验使用按原计划固定权重的 CHW 加权统计量，I 类错误保持为 α。
+ * 分配比沿用计划样本量的 n2/n1。
+ *
+ * @param {Object} params - 再估计参数
+ * @param {number} params.zInterim - 期中检验统计量 Z_1（优效 / 非劣效单侧方向）
+ * @param {{n1: number, n2: number}} params.interimN - 期中各组样本量
+ * @param {{n1: number, n2: number}} params.plannedN - 计划终末各组样本量（如 calculateSupSampleSize 结果）
+ * @param {{n1: number, n2: number}} [params.maxN] - 最大各组样本量（默认计划样本量的 2 倍）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 目标条件功效（通常取计划功效）
+ * @param {number} [params.cpMin=0.3] - 有希望区域下限（条件功效）
+ * @returns {object} - 再估计结果；参数无效时各数值为 NaN、zone 为 null
+ * @returns {'unfavorable'|'promising'|'favorable'} returns.zone - 区域
+ * @returns {number} returns.n1 - 调整后终末对照组样本量
+ * @returns {number} returns.n2 - 调整后终末试验组样本量
+ * @returns {number} returns.conditionalPower - 计划样本量下的条件功效（当前趋势）
+ * @returns {number} returns.adjustedConditionalPower - 调整后样本量下的条件功效（CHW 检验）
+ * @returns {number} returns.informationFraction - 计划信息比例 t
+ * @returns {{w1: number, w2: number}} returns.weights - CHW 终末检验权重 √t、√(1 − t)
+ *
+ * @example
+ * // 计划各 221 例，期中各 104 例时 Z_1 = 1.3，目标功效 80%
+ * calculatePromisingZone({
+ *   zInterim: 1.3,
+ *   interimN: { n1: 104, n2: 104 },
+ *   plannedN: { n1: 221, n2: 221 },
+ *   alpha: 0.025,
+ *   power: 0.8
+ * })
+ */
+function calculatePromisingZone(params) {
+  const { zInterim, interimN, plannedN, alpha, power, cpMin = DEFAULT_CP_MIN } = params
+
+  const invalid = {
+    zone: null,
+    n1: NaN,
+    n2: NaN,
+    conditionalPower: NaN,
+    adjustedConditionalPower: NaN,
+    informationFraction: NaN,
+    weights: { w1: NaN, w2: NaN }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!validateStatParams({ alpha, power }).valid || !(alpha < 0.5)) return invalid
+  if (!Number.isFinite(zInterim) || !(cpMin > 0 && cpMin < power)) return invalid
+  if (!isValidGroupSizes(interimN) || !isValidGroupSizes(plannedN)) return invalid
+  const maxN =
+    params.maxN === undefined
+      ? {
+          n1: plannedN.n1 * DEFAULT_MAX_MULTIPLIER,
+          n2: plannedN.n2 * DEFAULT_MAX_MULTIPLIER
+        }
+      : params.maxN
+  if (!isValidGroupSizes(maxN) || maxN.n1 < plannedN.n1 || maxN.n2 < plannedN.n2) return invalid
+
+  const interimInfo = groupInformation(interimN.n1, interimN.n2)
+  const plannedInfo = groupInformation(plannedN.n1, plannedN.n2)
+  const t = interimInfo / plannedInfo
+  if (!(t > 0 && t < 1)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: CHW 权重与趋势下条件功效
+  // ═══════════════════════════════════════════════════════════
+  const w1 = Math.sqrt(t)
+  const w2 = Math.sqrt(1 - t)
+  const zAlpha = normalInverse(1 - alpha)
+  // 第二阶段 Z_2 需超过的临界值
+  const stage2Critical = (zAlpha - w1 * zInterim) / w2
+  const conditionalPowerAt = info =>
+    normalCDF(zInterim * Math.sqrt((info - interimInfo) / interimInfo) - stage2Critical)
+
+  const conditionalPower = conditionalPowerAt(plannedInfo)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 区域划分与样本量调整
+  // ═══════════════════════════════════════════════════════════
+  let zone
+  let n1 = plannedN.n1
+  let n2 = plannedN.n2
+
+  if (conditionalPower >= power) {
+    zone = 'favorable'
+  } else if (conditionalPower < cpMin || !(zInterim > 0)) {
+    zone = 'unfavorable'
+  } else {
+    zone = 'promising'
+    // CP(I*) = power ⇔ Z_1·√((I* − I_1)/I_1) = Z_{1−β} + 第二阶段临界值
+    const drift = (normalInverse(power) + stage2Critical) / zInterim
+    const requiredInfo = interimInfo * (1 + drift * drift)
+    // 按计划分配比换算对照组样本量: I = n1·k / (1 + k)
+    const ratio = plannedN.n2 / plannedN.n1
+    const required1 = Math.ceil((requiredInfo * (1 + ratio)) / ratio - 1e-9)
+    n1 = Math.min(Math.max(required1, plannedN.n1), maxN.n1)
+    n2 = Math.min(Math.ceil(n1 * ratio), maxN.n2)
+  }
+
+  return {
+    zone,
+    n1,
+    n2,
+    conditionalPower,
+    adjustedConditionalPower: conditionalPowerAt(groupInformation(n1, n2)),
+    informationFraction: t,
+    weights: { w1, w2 }
+  }
+}
+
+/**
+ * CHW 加权终末检验
+ *
+ * @param {number} zStage1 - 第一阶段检验统计量 Z_1
+ * @param {number} zStage2 - 第二阶段检验统计量 Z_2（仅用期中后入组的数据）
+ * @param {{w1: number, w2: number}} weights - calculatePromisingZone 返回的权重
+ * @param {number} alpha - 单侧显著性水平
+ * @returns {{statistic: number, p_value: number, reject: boolean}} 加权统计量、单侧 p 值与检验结论；
+ *   参数无效时 statistic / p_value 为 NaN、reject 为 false
+ */
+function calculateCHWTest(zStage1, zStage2, weights, alpha) {
+  if (
+    !Number.isFinite(zStage1) ||
+    !Number.isFinite(zStage2) ||
+    !weights ||
+    !(weights.w1 > 0 && weights.w2 > 0) ||
+    Math.abs(weights.w1 * weights.w1 + weights.w2 * weights.w2 - 1) > 1e-9 ||
+    !validateStatParams({ alpha }).valid
+  ) {
+    return { statistic: NaN, p_value: NaN, reject: false }
+  }
+
+  const statistic = weights.w1 * zStage1 + weights.w2 * zStage2
+  const p_value = normalSF(statistic)
+  return { statistic, p_value, reject: p_value <= alpha }
+}
+
+export { calculateBlindedReestimation, calculatePromisingZone, calculateCHWTest }
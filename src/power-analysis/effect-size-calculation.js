@@ -3,7 +3,7 @@
  * Effect Size Calculation (Reverse) Module
  *
  * 功能: 给定样本量、α 和效能，反推最小可检测效应量
- * 适用: 两组比较、单组试验、配对设计，各支持率终点和连续终点
+ * 适用: 两组比较、单组试验、配对设计，各支持率终点和连续终点；生存终点（最小可检测 HR）
  * 方法: 二分法迭代求解（因为样本量公式中效应量和方差都依赖效应量，无法代数反解）
  * 依赖: 现有样本量计算函数 + normal-distribution.js
  *
@@ -28,6 +28,10 @@
  *     The American Statistician. 2001;55(3):187-193. DOI: 10.1198/000313001317098149
  *     (MDE 的实际应用指南)
  *
+ * [4] Schoenfeld DA. Sample-size formula for the proportional-hazards regression model.
+ *     Biometrics. 1983;39(2):499-503. DOI: 10.2307/2531021
+ *     (生存终点: 事件数公式在 log HR 尺度上可代数反解)
+ *
  * @note 求解方法说明
  *
  * 直接代数反解不可行的原因:
@@ -49,11 +53,14 @@
 
 import { safeNumber } from '../core/safe-math.js'
 import { normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
 import { calculateNISampleSize } from '../sample-size/two-group/non-inferiority.js'
 import { calculateSupSampleSize } from '../sample-size/two-group/superiority.js'
 import { calculateEqSampleSize } from '../sample-size/two-group/equivalence.js'
 import { calculateOneSampleSize } from '../sample-size/one-sample.js'
 import { calculatePairedSampleSize } from '../sample-size/paired.js'
+import { isValidAncova, ancovaVarianceFactor, ancovaInflation } from '../sample-size/ancova.js'
+import { PROPORTION_SCALES, ratioEstimate } from '../core/proportion-score.js'
 
 /** 二分法最大迭代次数 */
 const MAX_ITERATIONS = 50
@@ -76,23 +83,29 @@ const TOLERANCE = 1e-6
  *   非劣效公式中效应量 = (p2 - p1) + delta
  *   当 p2 = p1 - delta 时效应量为 0（无法证明非劣效的边界）
  *   因此搜索下界为 p1 - delta + epsilon
+ *   比值尺度的边界为 θ(p2) = M：RR 时 p2 = M·p1，OR 时 p2 = M·p1 / (1 − p1 + M·p1)
  *
  * @reference Chow et al. (2017) Chapter 4
  * @reference Lenth (2001) Am Stat. 55(3):187-193
  *
  * @param {number} n1 - 对照组样本量
  * @param {number} p1 - 对照组预期率 (0-1)
- * @param {number} delta - 非劣效界值（正数）
+ * @param {number} delta - 非劣效界值（率差尺度为正数；比值尺度为 RR / OR 界值，如 0.9）
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能 (0-1)
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
  * @returns {{ mde: number, p2Min: number, effectSize: number, converged: boolean }}
- *   mde: 最小率差 (p2-p1)
+ *   mde: 最小率差 (p2-p1)；比值尺度为最小 RR / OR
  *   p2Min: 最小试验组率
- *   effectSize: 对应效应量 (p2-p1)+delta
+ *   effectSize: 对应效应量 (p2-p1)+delta；比值尺度为 ln(mde / M)
  *   converged: 是否收敛
  */
-function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
+function calculateMDE_NI(n1, p1, delta, alpha, power, ratio, scale = 'difference') {
+  if (!PROPORTION_SCALES.has(scale) || (scale !== 'difference' && !(delta > 0))) {
+    return { mde: NaN, p2Min: NaN, effectSize: NaN, converged: false }
+  }
+
   n1 = safeNumber(n1, 0)
   p1 = safeNumber(p1, 0)
   delta = safeNumber(delta, 0)
@@ -109,7 +122,10 @@ function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
   // 搜索范围: [p1 - delta + ε, min(1, p1 + 0.5)]
   // 对于非劣效，p2 通常 ≥ p1 - delta
   // ═══════════════════════════════════════════════════════════
-  const searchLow = Math.max(0.001, p1 - delta + 0.001)
+  let boundary = p1 - delta
+  if (scale === 'ratio') boundary = delta * p1
+  if (scale === 'oddsRatio') boundary = (delta * p1) / (1 - p1 + delta * p1)
+  const searchLow = Math.max(0.001, boundary + 0.001)
   const searchHigh = Math.min(0.999, p1 + 0.5)
 
   // 边界检查: 搜索范围无效
@@ -122,7 +138,7 @@ function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
 
   for (let i = 0; i < MAX_ITERATIONS; i++) {
     const mid = (low + high) / 2
-    const result = calculateNISampleSize(p1, mid, delta, alpha, power, ratio)
+    const result = calculateNISampleSize(p1, mid, delta, alpha, power, ratio, scale)
 
     if (isNaN(result.n1) || !isFinite(result.n1)) {
       // 无法计算，效应量太小，需要增大 p2
@@ -142,9 +158,15 @@ function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
   }
 
   const p2Min = (low + high) / 2
+  const converged = high - low < TOLERANCE * 10
+
+  if (scale !== 'difference') {
+    const mde = ratioEstimate(p1, p2Min, scale)
+    return { mde, p2Min, effectSize: Math.log(mde / delta), converged }
+  }
+
   const mde = p2Min - p1
   const effectSize = mde + delta
-  const converged = high - low < TOLERANCE * 10
 
   return { mde, p2Min, effectSize, converged }
 }
@@ -155,7 +177,7 @@ function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
  * @description 给定 n1, p1, alpha, power, ratio → 求最小可检测的率差 |p2-p1|
  *
  * @note 搜索变量是 p2，范围 [p1 + ε, min(0.999, p1 + 0.5)]
- *   优效公式中效应量 = p2 - p1
+ *   优效公式中效应量 = p2 - p1；比值尺度同样搜索 p2，结果换算为 RR / OR
  *
  * @reference Chow et al. (2017) Chapter 4
  *
@@ -164,9 +186,15 @@ function calculateMDE_NI(n1, p1, delta, alpha, power, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能 (0-1)
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
  * @returns {{ mde: number, p2Min: number, converged: boolean }}
+ *   mde: 最小率差 (p2-p1)；比值尺度为最小 RR / OR
  */
-function calculateMDE_Sup(n1, p1, alpha, power, ratio) {
+function calculateMDE_Sup(n1, p1, alpha, power, ratio, scale = 'difference') {
+  if (!PROPORTION_SCALES.has(scale)) {
+    return { mde: NaN, p2Min: NaN, converged: false }
+  }
+
   n1 = safeNumber(n1, 0)
   p1 = safeNumber(p1, 0)
   alpha = safeNumber(alpha, 0)
@@ -183,7 +211,7 @@ function calculateMDE_Sup(n1, p1, alpha, power, ratio) {
 
   // 扩展搜索上界直到找到可行区间
   while (high < 0.999) {
-    const result = calculateSupSampleSize(p1, high, alpha, power, ratio)
+    const result = calculateSupSampleSize(p1, high, alpha, power, ratio, scale)
     if (!isNaN(result.n1) && isFinite(result.n1) && result.n1 <= n1) break
     high = Math.min(0.999, high + 0.1)
   }
@@ -194,7 +222,7 @@ function calculateMDE_Sup(n1, p1, alpha, power, ratio) {
 
   for (let i = 0; i < MAX_ITERATIONS; i++) {
     const mid = (low + high) / 2
-    const result = calculateSupSampleSize(p1, mid, alpha, power, ratio)
+    const result = calculateSupSampleSize(p1, mid, alpha, power, ratio, scale)
 
     if (isNaN(result.n1) || !isFinite(result.n1)) {
       low = mid
@@ -211,7 +239,7 @@ function calculateMDE_Sup(n1, p1, alpha, power, ratio) {
   }
 
   const p2Min = (low + high) / 2
-  const mde = p2Min - p1
+  const mde = scale === 'difference' ? p2Min - p1 : ratioEstimate(p1, p2Min, scale)
   const converged = high - low < TOLERANCE * 10
 
   return { mde, p2Min, converged }
@@ -303,10 +331,16 @@ function calculateMDE_Eq(n1, p1, p2, alpha, power, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能 (0-1)
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ mde: number, converged: boolean }}
  *   mde: 最小可检测均值差（meanDiff 的最小值）
  */
-function calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio) {
+function calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio, ancova = null) {
+  if (!isValidAncova(ancova)) {
+    return { mde: NaN, converged: false }
+  }
+
   n1 = safeNumber(n1, 0)
   sigma = safeNumber(sigma, 1)
   delta = safeNumber(delta, 0)
@@ -326,8 +360,13 @@ function calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio) {
   }
 
   // 直接代数反解
-  // effectSize = (Z_α + Z_β) × σ × √(1+1/k) / √n₁
-  const effectSize = ((z_alpha + z_beta) * sigma * Math.sqrt(1 + 1 / ratio)) / Math.sqrt(n1)
+  // effectSize = (Z_α + Z_β) × σ × √(1+1/k) / √n₁（ANCOVA: σ²(1 − ρ²) 另乘小样本膨胀）
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { mde: NaN, converged: false }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
+  const effectSize = ((z_alpha + z_beta) * se) / Math.sqrt(n1)
 
   // meanDiff = effectSize - |delta|
   const mde = effectSize - Math.abs(delta)
@@ -348,9 +387,15 @@ function calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能 (0-1)
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ mde: number, converged: boolean }}
  */
-function calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio) {
+function calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio, ancova = null) {
+  if (!isValidAncova(ancova)) {
+    return { mde: NaN, converged: false }
+  }
+
   n1 = safeNumber(n1, 0)
   sigma = safeNumber(sigma, 1)
   alpha = safeNumber(alpha, 0)
@@ -368,8 +413,13 @@ function calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio) {
     return { mde: NaN, converged: false }
   }
 
-  // 直接代数反解: meanDiff = (Z_α + Z_β) × σ × √(1+1/k) / √n₁
-  const mde = ((z_alpha + z_beta) * sigma * Math.sqrt(1 + 1 / ratio)) / Math.sqrt(n1)
+  // 直接代数反解: meanDiff = (Z_α + Z_β) × σ × √(1+1/k) / √n₁（ANCOVA: σ²(1 − ρ²) 另乘小样本膨胀）
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { mde: NaN, converged: false }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
+  const mde = ((z_alpha + z_beta) * se) / Math.sqrt(n1)
 
   return { mde, converged: true }
 }
@@ -389,9 +439,15 @@ function calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio) {
  * @param {number} power - 检验效能 (0-1)
  * @param {number} ratio - 分配比例 k = n2/n1
  * @param {number} meanDiff - 预期均值差
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ mde: number, deltaMin: number, converged: boolean }}
  */
-function calculateMDE_EqContinuous(n1, sigma, alpha, power, ratio, meanDiff) {
+function calculateMDE_EqContinuous(n1, sigma, alpha, power, ratio, meanDiff, ancova = null) {
+  if (!isValidAncova(ancova)) {
+    return { mde: NaN, deltaMin: NaN, converged: false }
+  }
+
   n1 = safeNumber(n1, 0)
   sigma = safeNumber(sigma, 1)
   alpha = safeNumber(alpha, 0)
@@ -414,8 +470,13 @@ function calculateMDE_EqContinuous(n1, sigma, alpha, power, ratio, meanDiff) {
     return { mde: NaN, deltaMin: NaN, converged: false }
   }
 
-  // effectSize = (Z_α + Z_β) × σ × √(1+1/k) / √n₁
-  const effectSize = ((z_alpha + z_beta) * sigma * Math.sqrt(1 + 1 / ratio)) / Math.sqrt(n1)
+  // effectSize = (Z_α + Z_β) × σ × √(1+1/k) / √n₁（ANCOVA: σ²(1 − ρ²) 另乘小样本膨胀）
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { mde: NaN, deltaMin: NaN, converged: false }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
+  const effectSize = ((z_alpha + z_beta) * se) / Math.sqrt(n1)
 
   // delta = effectSize + |meanDiff|
   const deltaMin = effectSize + Math.abs(meanDiff)
@@ -679,6 +740,89 @@ function calculateMDE_PairedContinuous(
   }
 }
 
+// ========================================================
+// 生存终点 - 效应量反推
+// Time-to-Event (Log-rank) - MDE Calculation
+// ========================================================
+
+/**
+ * 生存终点 MDE - 给定事件数，求最小可检测风险比
+ *
+ * @description 给定事件数 D、α、效能 → 求试验组风险比的临界值
+ *   即: 真实 HR 至少要低到多少，才能以目标效能证明优效 / 非劣效？
+ *
+ * @formula Schoenfeld（闭式解）:
+ *   HR = HR₀ × exp[−(Z_α + Z_β) / √(D p₁ p₂)]，优效 HR₀ = 1，非劣效 HR₀ = M
+ *
+ * @formula Freedman（闭式解，仅优效）:
+ *   √(Dk)(1 − HR) = (Z_α + Z_β)(1 + k·HR)
+ *   → HR = [√(Dk) − (Z_α + Z_β)] / [√(Dk) + k(Z_α + Z_β)]
+ *
+ * @note 返回的 HR < HR₀（试验组风险更低方向）；优效时 1/HR 方向的检测能力对称
+ *
+ * @reference Schoenfeld (1983); Freedman (1982)
+ *
+ * @param {number} events - 事件总数 D
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} power - 检验效能 (0-1)
+ * @param {number} [ratio=1] - 分配比例 k = n₂/n₁
+ * @param {'superiority'|'non-inferiority'} [studyType='superiority'] - 试验类型
+ * @param {number} [margin] - 非劣效界值 M（HR 尺度，M > 1）
+ * @param {'schoenfeld'|'freedman'} [method='schoenfeld'] - 计算方法
+ * @returns {{ mde: number, logHR: number, converged: boolean }}
+ *   mde: 最小可检测风险比
+ *   logHR: 对应 ln HR
+ *   converged: 是否有解（Freedman 事件数过少时无解）
+ */
+function calculateMDE_Survival(
+  events,
+  alpha,
+  power,
+  ratio = 1,
+  studyType = 'superiority',
+  margin,
+  method = 'schoenfeld'
+) {
+  // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
+  if (!validateStatParams({ n: events, alpha, power, ratio }).valid) {
+    return { mde: NaN, logHR: NaN, converged: false }
+  }
+
+  const isNI = studyType === 'non-inferiority'
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) {
+    return { mde: NaN, logHR: NaN, converged: false }
+  }
+  if ((method !== 'schoenfeld' && method !== 'freedman') || (isNI && method === 'freedman')) {
+    return { mde: NaN, logHR: NaN, converged: false }
+  }
+
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) {
+    return { mde: NaN, logHR: NaN, converged: false }
+  }
+
+  const zSum = z_alpha + z_beta
+
+  if (method === 'freedman') {
+    const root = Math.sqrt(events * ratio)
+    // 事件数过少: 任何 HR > 0 都达不到目标效能
+    if (root <= zSum) {
+      return { mde: NaN, logHR: NaN, converged: false }
+    }
+    const hrMin = (root - zSum) / (root + ratio * zSum)
+    return { mde: hrMin, logHR: Math.log(hrMin), converged: true }
+  }
+
+  const p1 = 1 / (1 + ratio)
+  const p2 = ratio / (1 + ratio)
+  const hr0 = isNI ? margin : 1
+  const logHR = Math.log(hr0) - zSum / Math.sqrt(events * p1 * p2)
+
+  return { mde: Math.exp(logHR), logHR, converged: true }
+}
+
 // ========================================================
 // 统一入口函数
 // ========================================================
@@ -687,8 +831,9 @@ function calculateMDE_PairedContinuous(
  * 统一效应量反推入口
  *
  * @param {Object} params - 计算参数
- * @param {string} params.designType - 'two-group' | 'one-sample' | 'paired'
- * @param {string} params.studyType - 'non-inferiority' | 'superiority' | 'equivalence'
+ * @param {string} params.designType - 'two-group' | 'one-sample' | 'paired' | 'survival'
+ * @param {string} [params.studyType='non-inferiority'] - 'non-inferiority' | 'superiority' |
+ *   'equivalence'；生存终点默认 'superiority'
  * @param {string} params.endpointType - 'proportion' | 'mean'
  * @param {number} params.n1 - 样本量
  * @param {number} [params.p1] - 对照组率 / 历史率 p₀
@@ -697,10 +842,15 @@ function calculateMDE_PairedContinuous(
  * @param {number} [params.sigma] - 标准差
  * @param {number} [params.sigma_diff] - 配对差值标准差
  * @param {number} [params.meanDiff] - 预期均值差（等效时需要）
+ * @param {{correlation: number, covariates?: number}} [params.ancova] - 两组连续终点: ANCOVA 基线校正
  * @param {number} params.delta - 界值
  * @param {number} params.alpha - 单侧显著性水平
  * @param {number} params.power - 检验效能
  * @param {number} [params.ratio=1] - 分配比例
+ * @param {'difference'|'ratio'|'oddsRatio'} [params.scale='difference'] - 两组率终点非劣效 / 优效: 效应量尺度
+ * @param {number} [params.events] - 生存: 事件总数
+ * @param {number} [params.margin] - 生存: 非劣效界值（HR 尺度）
+ * @param {string} [params.method='schoenfeld'] - 生存: 'schoenfeld' | 'freedman'
  * @returns {Object} MDE 计算结果
  */
 function calculateMDE(params) {
@@ -715,28 +865,33 @@ function calculateMDE(params) {
     sigma,
     sigma_diff,
     meanDiff,
+    ancova = null,
     delta,
     alpha,
     power,
-    ratio = 1
+    ratio = 1,
+    scale = 'difference',
+    events,
+    margin,
+    method = 'schoenfeld'
   } = params
 
   if (designType === 'two-group') {
     if (endpointType === 'proportion') {
       if (studyType === 'non-inferiority') {
-        return calculateMDE_NI(n1, p1, delta, alpha, power, ratio)
+        return calculateMDE_NI(n1, p1, delta, alpha, power, ratio, scale)
       } else if (studyType === 'superiority') {
-        return calculateMDE_Sup(n1, p1, alpha, power, ratio)
+        return calculateMDE_Sup(n1, p1, alpha, power, ratio, scale)
       } else {
         return calculateMDE_Eq(n1, p1, p2, alpha, power, ratio)
       }
     } else {
       if (studyType === 'non-inferiority') {
-        return calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio)
+        return calculateMDE_NIContinuous(n1, sigma, delta, alpha, power, ratio, ancova)
       } else if (studyType === 'superiority') {
-        return calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio)
+        return calculateMDE_SupContinuous(n1, sigma, alpha, power, ratio, ancova)
       } else {
-        return calculateMDE_EqContinuous(n1, sigma, alpha, power, ratio, meanDiff)
+        return calculateMDE_EqContinuous(n1, sigma, alpha, power, ratio, meanDiff, ancova)
       }
     }
   }
@@ -757,6 +912,11 @@ function calculateMDE(params) {
     }
   }
 
+  if (designType === 'survival') {
+    // 生存终点未指定 studyType 时按优效（统一入口的非劣效默认值仅适用于两组 / 配对）
+    return calculateMDE_Survival(events, alpha, power, ratio, params.studyType, margin, method)
+  }
+
   return { mde: NaN, converged: false }
 }
 
@@ -780,5 +940,8 @@ export {
 
   // 配对设计
   calculateMDE_Paired,
-  calculateMDE_PairedContinuous
+  calculateMDE_PairedContinuous,
+
+  // 生存终点
+  calculateMDE_Survival
 }
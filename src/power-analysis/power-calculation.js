@@ -3,7 +3,7 @@
  * Power Calculation (Reverse) Module
  *
  * 功能: 给定样本量和效应量，反推检验效能 (Power)
- * 适用: 两组比较、单组试验、配对设计，各支持率终点和连续终点
+ * 适用: 两组比较、单组试验、配对设计，各支持率终点和连续终点；生存终点（Log-rank，按事件数）
  * 依赖: normal-distribution.js, safe-math.js
  *
  * @module utils/statistics/power-analysis/power-calculation
@@ -27,6 +27,18 @@
  *     J Pharmacokinet Biopharm. 1990;18(2):137-144. DOI: 10.1007/BF01063556
  *     (TOST 等效检验的效能计算)
  *
+ * [5] Schoenfeld DA. Sample-size formula for the proportional-hazards regression model.
+ *     Biometrics. 1983;39(2):499-503. DOI: 10.2307/2531021
+ *     (生存终点: 事件数公式的反解)
+ *
+ * [6] Freedman LS. Tables of the number of patients required in clinical trials
+ *     using the logrank test. Stat Med. 1982;1(2):121-129. DOI: 10.1002/sim.4780010204
+ *
+ * [7] Farrington CP, Manning G. Test statistics and sample size formulae for comparative
+ *     binomial trials with null hypothesis of non-zero risk difference or non-unity
+ *     relative risk. Stat Med. 1990;9(12):1447-1454. DOI: 10.1002/sim.4780091208
+ *     (率终点相对危险度尺度: H₀ / H₁ 方差不同时 Z_β = (E√n₁ − Z_α·σ₀)/σ₁)
+ *
  * @note 公式推导说明
  *
  * 样本量公式:
@@ -51,33 +63,61 @@
 import { safeNumber, safeDivide } from '../core/safe-math.js'
 import { normalCDF, normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import { isValidAncova, ancovaVarianceFactor, ancovaInflation } from '../sample-size/ancova.js'
+import { PROPORTION_SCALES, ratioScaleDesign } from '../core/proportion-score.js'
 
 // ========================================================
 // 两组比较 - 效能反推
 // Two-Group Comparison - Power Calculation
 // ========================================================
 
+/**
+ * 比值尺度效能（率终点非劣效 / 优效共用）
+ * @param {number} n1 - 对照组样本量
+ * @param {{effect: number, sdNull: number, sdAlt: number}} design - ratioScaleDesign 结果
+ * @param {number} z_alpha - Z_{1-α}
+ * @returns {{ power: number, z_beta: number }}
+ */
+function ratioScalePower(n1, design, z_alpha) {
+  const { effect, sdNull, sdAlt } = design
+  if (!(sdAlt > 0) || !isFinite(effect)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  const z_beta = (effect * Math.sqrt(n1) - z_alpha * sdNull) / sdAlt
+  return { power: normalCDF(z_beta), z_beta }
+}
+
 /**
  * 两组比较效能反推 - 率终点 - 非劣效
  *
  * @formula Z_β = [(p₂-p₁)+δ] × √n₁ / √[p₁(1-p₁) + p₂(1-p₂)/k] - Z_α
  *         Power = Φ(Z_β)
+ * @formula scale='ratio': Z_β = [(p₂ − M·p₁)√n₁ − Z_α·√(p̃₂q̃₂/k + M²p̃₁q̃₁)] / √(p₂q₂/k + M²p₁q₁)
+ *   scale='oddsRatio': Z_β = (ln OR − ln M) × √n₁ / √[1/(p₁q₁) + 1/(k·p₂q₂)] - Z_α
  *
  * @reference Chow et al. (2017) Chapter 4, 样本量公式的代数反解
+ * @reference Farrington & Manning (1990) Stat Med. 9(12):1447-1454
  *
  * @param {number} n1 - 对照组样本量
  * @param {number} p1 - 对照组预期率 (0-1)
  * @param {number} p2 - 试验组预期率 (0-1)
- * @param {number} delta - 非劣效界值（正数）
+ * @param {number} delta - 非劣效界值（率差尺度为正数；比值尺度为 RR / OR 界值，如 0.9）
  * @param {number} alpha - 单侧显著性水平
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
-function calculatePowerNI(n1, p1, p2, delta, alpha, ratio) {
+function calculatePowerNI(n1, p1, p2, delta, alpha, ratio, scale = 'difference') {
   // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
   if (!validateStatParams({ n1, p1, p2, alpha, ratio }).valid) {
     return { power: NaN, z_beta: NaN }
   }
+  if (!PROPORTION_SCALES.has(scale)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  if (scale !== 'difference' && !(Number.isFinite(delta) && delta > 0)) {
+    return { power: NaN, z_beta: NaN }
+  }
 
   n1 = safeNumber(n1, 0)
   p1 = safeNumber(p1, 0)
@@ -96,6 +136,10 @@ function calculatePowerNI(n1, p1, p2, delta, alpha, ratio) {
     return { power: NaN, z_beta: NaN }
   }
 
+  if (scale !== 'difference') {
+    return ratioScalePower(n1, ratioScaleDesign(p1, p2, delta, ratio, scale), z_alpha)
+  }
+
   // 效应量 = (p₂ - p₁) + δ
   const effectSize = p2 - p1 + delta
   if (Math.abs(effectSize) < 1e-10) {
@@ -120,6 +164,7 @@ function calculatePowerNI(n1, p1, p2, delta, alpha, ratio) {
  *
  * @formula Z_β = (p₂-p₁) × √n₁ / √[p₁(1-p₁) + p₂(1-p₂)/k] - Z_α
  *         Power = Φ(Z_β)
+ * @formula scale='ratio' / 'oddsRatio': 同非劣效比值尺度公式，θ₀ = 1，效应量取绝对值
  *
  * @reference Chow et al. (2017) Chapter 4
  *
@@ -128,13 +173,17 @@ function calculatePowerNI(n1, p1, p2, delta, alpha, ratio) {
  * @param {number} p2 - 试验组预期率 (0-1)
  * @param {number} alpha - 单侧显著性水平
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
-function calculatePowerSup(n1, p1, p2, alpha, ratio) {
+function calculatePowerSup(n1, p1, p2, alpha, ratio, scale = 'difference') {
   // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
   if (!validateStatParams({ n1, p1, p2, alpha, ratio }).valid) {
     return { power: NaN, z_beta: NaN }
   }
+  if (!PROPORTION_SCALES.has(scale)) {
+    return { power: NaN, z_beta: NaN }
+  }
 
   n1 = safeNumber(n1, 0)
   p1 = safeNumber(p1, 0)
@@ -157,6 +206,11 @@ function calculatePowerSup(n1, p1, p2, alpha, ratio) {
     return { power: 0, z_beta: -Infinity }
   }
 
+  if (scale !== 'difference') {
+    const design = ratioScaleDesign(p1, p2, 1, ratio, scale)
+    return ratioScalePower(n1, { ...design, effect: Math.abs(design.effect) }, z_alpha)
+  }
+
   const variance = p1 * (1 - p1) + safeDivide(p2 * (1 - p2), ratio, 0)
   if (variance <= 0) {
     return { power: NaN, z_beta: NaN }
@@ -270,11 +324,13 @@ function calculatePowerEq(n1, p1, p2, delta, alpha, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} ratio - 分配比例 k = n2/n1
  * @param {number} meanDiff - 预期均值差（试验组-对照组）
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
-function calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff) {
+function calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff, ancova = null) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0）→ 拒绝计算
-  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid) {
+  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid || !isValidAncova(ancova)) {
     return { power: NaN, z_beta: NaN }
   }
 
@@ -300,8 +356,12 @@ function calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff) {
     return { power: 0, z_beta: -Infinity }
   }
 
-  // SE = σ × √(1 + 1/k) / √n₁
-  const se = sigma * Math.sqrt(1 + 1 / ratio)
+  // SE = σ × √(1 + 1/k) / √n₁（ANCOVA: σ²(1 − ρ²) 另乘小样本膨胀）
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
 
   const z_beta = (effectSize * Math.sqrt(n1)) / se - z_alpha
   const power = normalCDF(z_beta)
@@ -322,11 +382,13 @@ function calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff) {
  * @param {number} meanDiff - 预期均值差（试验组-对照组）
  * @param {number} alpha - 单侧显著性水平
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
-function calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio) {
+function calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio, ancova = null) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0）→ 拒绝计算
-  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid) {
+  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid || !isValidAncova(ancova)) {
     return { power: NaN, z_beta: NaN }
   }
 
@@ -349,7 +411,11 @@ function calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio) {
     return { power: 0, z_beta: -Infinity }
   }
 
-  const se = sigma * Math.sqrt(1 + 1 / ratio)
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
   const z_beta = (meanDiff * Math.sqrt(n1)) / se - z_alpha
   const power = normalCDF(z_beta)
 
@@ -370,11 +436,13 @@ function calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} ratio - 分配比例 k = n2/n1
  * @param {number} meanDiff - 预期均值差
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正
+ *   （σ² × (1 − ρ²) × 小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k)）
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
-function calculatePowerEqContinuous(n1, sigma, delta, alpha, ratio, meanDiff) {
+function calculatePowerEqContinuous(n1, sigma, delta, alpha, ratio, meanDiff, ancova = null) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0）→ 拒绝计算
-  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid) {
+  if (!validateStatParams({ n1, sigma, alpha, ratio }).valid || !isValidAncova(ancova)) {
     return { power: NaN, z_beta: NaN }
   }
 
@@ -401,7 +469,11 @@ function calculatePowerEqContinuous(n1, sigma, delta, alpha, ratio, meanDiff) {
     return { power: 0, z_beta: -Infinity }
   }
 
-  const se = sigma * Math.sqrt(1 + 1 / ratio)
+  const inflation = ancovaInflation(n1 * (1 + ratio), ancova)
+  if (Number.isNaN(inflation)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * inflation * (1 + 1 / ratio))
   const sqrtNOverSE = Math.sqrt(n1) / se
 
   if (isZeroDiff) {
@@ -732,6 +804,86 @@ function calculatePowerPairedContinuous(
   return { power, z_beta }
 }
 
+// ========================================================
+// 生存终点 - 效能反推
+// Time-to-Event (Log-rank) - Power Calculation
+// ========================================================
+
+/**
+ * 生存终点效能反推 - 给定事件数
+ *
+ * @formula Schoenfeld: Z_β = |ln HR − ln HR₀| × √(D p₁ p₂) − Z_α
+ *          Freedman:   Z_β = √(D k) × |1 − HR| / (1 + k·HR) − Z_α
+ *         Power = Φ(Z_β)，p₁ = 1/(1+k)，p₂ = k/(1+k)
+ *
+ * @note 非劣效时效应量为 ln M − ln HR（不取绝对值），HR ≥ M 时效能低于 α
+ * @note Lachin-Foulkes 依赖入组/随访时间轴，不能仅由事件数反推，返回 NaN
+ *
+ * @reference Schoenfeld (1983); Freedman (1982)
+ *
+ * @param {number} events - 事件总数 D
+ * @param {number} hr - 预期风险比 HR = λ₂/λ₁（试验组/对照组）
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} [ratio=1] - 分配比例 k = n₂/n₁
+ * @param {'superiority'|'non-inferiority'} [studyType='superiority'] - 试验类型
+ * @param {number} [margin] - 非劣效界值 M（HR 尺度，M > 1）
+ * @param {'schoenfeld'|'freedman'} [method='schoenfeld'] - 计算方法
+ * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
+ */
+function calculatePowerSurvival(
+  events,
+  hr,
+  alpha,
+  ratio = 1,
+  studyType = 'superiority',
+  margin,
+  method = 'schoenfeld'
+) {
+  // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
+  if (!validateStatParams({ n: events, hr, alpha, ratio }).valid) {
+    return { power: NaN, z_beta: NaN }
+  }
+
+  const isNI = studyType === 'non-inferiority'
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) {
+    return { power: NaN, z_beta: NaN }
+  }
+  if (method !== 'schoenfeld' && method !== 'freedman') {
+    return { power: NaN, z_beta: NaN }
+  }
+  // Freedman 公式仅适用于 H₀: HR = 1
+  if (isNI && method === 'freedman') {
+    return { power: NaN, z_beta: NaN }
+  }
+
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) {
+    return { power: NaN, z_beta: NaN }
+  }
+
+  let z_beta
+  if (method === 'freedman') {
+    const effectSize = Math.abs(1 - hr)
+    if (effectSize < 1e-10) {
+      return { power: 0, z_beta: -Infinity }
+    }
+    z_beta = (Math.sqrt(events * ratio) * effectSize) / (1 + ratio * hr) - z_alpha
+  } else {
+    // 非劣效保留方向: ln M − ln HR；优效双向对称取绝对值
+    const logEffect = isNI ? Math.log(margin) - Math.log(hr) : Math.abs(Math.log(hr))
+    if (Math.abs(logEffect) < 1e-10) {
+      return { power: 0, z_beta: -Infinity }
+    }
+    const p1 = 1 / (1 + ratio)
+    const p2 = ratio / (1 + ratio)
+    z_beta = logEffect * Math.sqrt(events * p1 * p2) - z_alpha
+  }
+
+  const power = normalCDF(z_beta)
+
+  return { power, z_beta }
+}
+
 // ========================================================
 // 统一入口函数
 // Unified Entry Point
@@ -742,8 +894,9 @@ function calculatePowerPairedContinuous(
  * 根据 designType、studyType、endpointType 路由到对应的计算函数
  *
  * @param {Object} params - 计算参数
- * @param {string} params.designType - 'two-group' | 'one-sample' | 'paired'
- * @param {string} params.studyType - 'non-inferiority' | 'superiority' | 'equivalence'
+ * @param {string} params.designType - 'two-group' | 'one-sample' | 'paired' | 'survival'
+ * @param {string} [params.studyType='non-inferiority'] - 'non-inferiority' | 'superiority' |
+ *   'equivalence'；生存终点默认 'superiority'
  * @param {string} params.endpointType - 'proportion' | 'mean'
  * @param {number} params.n1 - 样本量（两组: 对照组; 单组/配对: 总量）
  * @param {number} [params.p1] - 对照组率 / 历史率 p₀ (率终点)
@@ -752,6 +905,7 @@ function calculatePowerPairedContinuous(
  * @param {number} [params.p01] - 配对: 失败→成功比例
  * @param {number} [params.sigma] - 标准差 (连续终点)
  * @param {number} [params.meanDiff] - 预期均值差 (连续终点)
+ * @param {{correlation: number, covariates?: number}} [params.ancova] - 两组连续终点: ANCOVA 基线校正
  * @param {number} [params.mu0] - 单组: 历史对照均值
  * @param {number} [params.mu1] - 单组: 预期均值
  * @param {number} [params.sigma_diff] - 配对: 差值标准差
@@ -759,6 +913,11 @@ function calculatePowerPairedContinuous(
  * @param {number} params.delta - 界值
  * @param {number} params.alpha - 单侧显著性水平
  * @param {number} [params.ratio=1] - 分配比例 (两组比较)
+ * @param {'difference'|'ratio'|'oddsRatio'} [params.scale='difference'] - 两组率终点非劣效 / 优效: 效应量尺度
+ * @param {number} [params.events] - 生存: 事件总数
+ * @param {number} [params.hr] - 生存: 预期风险比
+ * @param {number} [params.margin] - 生存: 非劣效界值（HR 尺度）
+ * @param {string} [params.method='schoenfeld'] - 生存: 'schoenfeld' | 'freedman'
  * @returns {{ power: number, z_beta: number }} 检验效能和 Z_β 值
  */
 function calculatePower(params) {
@@ -773,13 +932,19 @@ function calculatePower(params) {
     p01,
     sigma,
     meanDiff,
+    ancova = null,
     mu0,
     mu1,
     sigma_diff,
     mean_diff,
     delta,
     alpha,
-    ratio = 1
+    ratio = 1,
+    scale = 'difference',
+    events,
+    hr,
+    margin,
+    method = 'schoenfeld'
   } = params
 
   // ═══════════════════════════════════════════════════════════
@@ -789,20 +954,20 @@ function calculatePower(params) {
   if (designType === 'two-group') {
     if (endpointType === 'proportion') {
       if (studyType === 'non-inferiority') {
-        return calculatePowerNI(n1, p1, p2, delta, alpha, ratio)
+        return calculatePowerNI(n1, p1, p2, delta, alpha, ratio, scale)
       } else if (studyType === 'superiority') {
-        return calculatePowerSup(n1, p1, p2, alpha, ratio)
+        return calculatePowerSup(n1, p1, p2, alpha, ratio, scale)
       } else {
         return calculatePowerEq(n1, p1, p2, delta, alpha, ratio)
       }
     } else {
       // 连续终点
       if (studyType === 'non-inferiority') {
-        return calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff)
+        return calculatePowerNIContinuous(n1, sigma, delta, alpha, ratio, meanDiff, ancova)
       } else if (studyType === 'superiority') {
-        return calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio)
+        return calculatePowerSupContinuous(n1, sigma, meanDiff, alpha, ratio, ancova)
       } else {
-        return calculatePowerEqContinuous(n1, sigma, delta, alpha, ratio, meanDiff)
+        return calculatePowerEqContinuous(n1, sigma, delta, alpha, ratio, meanDiff, ancova)
       }
     }
   }
@@ -823,6 +988,11 @@ function calculatePower(params) {
     }
   }
 
+  if (designType === 'survival') {
+    // 生存终点未指定 studyType 时按优效（统一入口的非劣效默认值仅适用于两组 / 配对）
+    return calculatePowerSurvival(events, hr, alpha, ratio, params.studyType, margin, method)
+  }
+
   // 未知设计类型
   return { power: NaN, z_beta: NaN }
 }
@@ -847,5 +1017,8 @@ export {
 
   // 配对设计
   calculatePowerPaired,
-  calculatePowerPairedContinuous
+  calculatePowerPairedContinuous,
+
+  // 生存终点
+  calculatePowerSurvival
 }
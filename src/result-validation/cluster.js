@@ -0,0 +1,222 @@
+/**
+ * @module result-validation/cluster
+ * @description 整群随机试验结果验证 - 率终点，按组内相关校正标准误
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Donner A, Klar N. Design and Analysis of Cluster Randomization Trials in Health Research.
+ *     Arnold; 2000. Chapter 6.（调整卡方 / 调整 Wald 检验，df = K − 2）
+ * [2] Donner A, Klar N. Methods for comparing event rates in intervention studies when the unit
+ *     of allocation is a cluster. Am J Epidemiol. 1994;140(3):279-289.
+ * [3] Ridout MS, Demétrio CGB, Firth D. Estimating intraclass correlation for binary data.
+ *     Biometrics. 1999;55(1):137-148.（ANOVA 估计量）
+ *
+ * @formula 组 i 第 j 个群: 大小 n_ij、事件数 x_ij、率 p_ij；N_i = Σ_j n_ij，p̂_i = Σ_j x_ij / N_i
+ *   ICC（单因素方差分析估计，群嵌套于组，K 为总群数、N 为总例数）:
+ *     MSC = ΣΣ n_ij (p_ij − p̂_i)² / (K − 2)，MSW = ΣΣ n_ij p_ij (1 − p_ij) / (N − K)
+ *     n₀ = [N − Σ_i (Σ_j n_ij² / N_i)] / (K − 2)，ρ̂ = max{0, (MSC − MSW) / [MSC + (n₀ − 1)MSW]}
+ *   设计效应（按实际群大小）: DE_i = 1 + (Σ_j n_ij² / N_i − 1)·ρ
+ *   SE = √[DE₁·p̂₁(1 − p̂₁)/N₁ + DE₂·p̂₂(1 − p̂₂)/N₂]
+ *   检验统计量与 CI 同两组 Wald 法，临界值默认取 t 分布（df = K − 2）
+ */
+
+import { normalSF, normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { tInverse, tSF, tCDF } from '../core/t-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { STUDY_TYPES } from '../sample-size/two-group/dispatch.js'
+
+/**
+ * 校验群数据 [{n, events}]
+ * @param {Array<{n: number, events: number}>} clusters
+ * @returns {boolean}
+ */
+function isValidClusters(clusters) {
+  if (!Array.isArray(clusters) || clusters.length === 0) return false
+  return clusters.every(
+    c =>
+      c &&
+      Number.isInteger(c.n) &&
+      c.n >= 1 &&
+      Number.isInteger(c.events) &&
+      c.events >= 0 &&
+      c.events <= c.n
+  )
+}
+
+/**
+ * 单组汇总: 例数 N、率 p̂、Σn² / N（群大小的加权均值）
+ * @param {Array<{n: number, events: number}>} clusters
+ * @returns {{total: number, rate: number, weightedSize: number}}
+ */
+function summarizeArm(clusters) {
+  const total = clusters.reduce((sum, c) => sum + c.n, 0)
+  const events = clusters.reduce((sum, c) => sum + c.events, 0)
+  const sumSquares = clusters.reduce((sum, c) => sum + c.n * c.n, 0)
+  return { total, rate: events / total, weightedSize: sumSquares / total }
+}
+
+/**
+ * 二分类结局的 ICC 方差分析估计（群嵌套于组，截断于 0）
+ *
+ * @param {Array<{n: number, events: number}>} clusters1 - 对照组群数据
+ * @param {Array<{n: number, events: number}>} clusters2 - 试验组群数据
+ * @returns {number} ρ̂；总群数 ≤ 2 或无组内变异时返回 NaN
+ *
+ * @example
+ * estimateClusterICC(
+ *   [{ n: 20, events: 5 }, { n: 25, events: 9 }],
+ *   [{ n: 18, events: 8 }, { n: 30, events: 16 }, { n: 22, events: 9 }]
+ * )
+ */
+function estimateClusterICC(clusters1, clusters2) {
+  if (!isValidClusters(clusters1) || !isValidClusters(clusters2)) return NaN
+  const arms = [clusters1, clusters2]
+  const K = clusters1.length + clusters2.length
+  if (K <= 2) return NaN
+
+  let N = 0
+  let ssc = 0
+  let ssw = 0
+  let sizeTerm = 0
+  for (const arm of arms) {
+    const { total, rate, weightedSize } = summarizeArm(arm)
+    N += total
+    sizeTerm += weightedSize
+    for (const c of arm) {
+      const p = c.events / c.n
+      ssc += c.n * (p - rate) * (p - rate)
+      ssw += c.n * p * (1 - p)
+    }
+  }
+  if (N <= K) return NaN
+
+  const msc = ssc / (K - 2)
+  const msw = ssw / (N - K)
+  const n0 = (N - sizeTerm) / (K - 2)
+  const denominator = msc + (n0 - 1) * msw
+  if (!(denominator > 0)) return NaN
+  return Math.max(0, (msc - msw) / denominator)
+}
+
+/**
+ * 整群随机试验结果验证（率终点）
+ *
+ * 以群为单位汇总两组率差，按 ICC 与实际群大小计算设计效应并校正 Wald 标准误。
+ * ICC 未给定时由数据按方差分析法估计。
+ *
+ * @param {Object} params - 检验参数
+ * @param {Array<{n: number, events: number}>} params.clusters1 - 对照组各群例数与事件数
+ * @param {Array<{n: number, events: number}>} params.clusters2 - 试验组各群例数与事件数
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='non-inferiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效 / 等效界值（率差，正值）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} [params.icc] - 组内相关系数（省略时由数据估计）
+ * @param {'t'|'normal'} [params.distribution='t'] - 临界值 / p 值所用分布（t 分布 df = K − 2）
+ * @returns {object} - {p1, p2, diff, se, seUnadjusted, icc, designEffect1, designEffect2,
+ *   ci_lower, ci_upper, p_value, isNonInferior, ...}；参数无效时数值为 NaN、isNonInferior 为 false
+ */
+function calculateClusterResult(params) {
+  const {
+    clusters1,
+    clusters2,
+    studyType = 'non-inferiority',
+    margin,
+    alpha,
+    icc,
+    distribution = 't'
+  } = params
+
+  const invalid = {
+    p1: NaN,
+    p2: NaN,
+    diff: NaN,
+    se: NaN,
+    seUnadjusted: NaN,
+    icc: NaN,
+    designEffect1: NaN,
+    designEffect2: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    p_value: NaN,
+    testStatistic: NaN,
+    isNonInferior: false
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (!validateStatParams({ alpha }).valid || !(alpha < 0.5)) return invalid
+  if (studyType !== 'superiority' && !(Number.isFinite(margin) && margin > 0)) return invalid
+  if (distribution !== 't' && distribution !== 'normal') return invalid
+  if (!isValidClusters(clusters1) || !isValidClusters(clusters2)) return invalid
+
+  const rho = icc === undefined ? estimateClusterICC(clusters1, clusters2) : icc
+  if (!(Number.isFinite(rho) && rho >= 0 && rho < 1)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 设计效应校正的标准误
+  // ═══════════════════════════════════════════════════════════
+  const arm1 = summarizeArm(clusters1)
+  const arm2 = summarizeArm(clusters2)
+  const designEffect1 = 1 + (arm1.weightedSize - 1) * rho
+  const designEffect2 = 1 + (arm2.weightedSize - 1) * rho
+  const variance1 = (arm1.rate * (1 - arm1.rate)) / arm1.total
+  const variance2 = (arm2.rate * (1 - arm2.rate)) / arm2.total
+  const se = Math.sqrt(designEffect1 * variance1 + designEffect2 * variance2)
+  if (!(se > 0)) return invalid
+
+  const df = clusters1.length + clusters2.length - 2
+  const useT = distribution === 't'
+  if (useT && df < 1) return invalid
+  const critical = useT ? tInverse(1 - alpha, df) : normalInverse(1 - alpha)
+  const upperTail = stat => (useT ? tSF(stat, df) : normalSF(stat))
+  const lowerTail = stat => (useT ? tCDF(stat, df) : normalCDF(stat))
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 检验与置信区间
+  // ═══════════════════════════════════════════════════════════
+  const diff = arm2.rate - arm1.rate
+  const ci_lower = diff - critical * se
+  const ci_upper = diff + critical * se
+  const label = useT ? 't' : 'Z'
+  const dfLabel = useT ? `(${df})` : ''
+
+  let testStatistic, p_value, isNonInferior, testStatisticLabel
+  if (studyType === 'equivalence') {
+    const stat1 = (diff + margin) / se
+    const stat2 = (diff - margin) / se
+    testStatistic = (stat1 + stat2) / 2 // TOST 两侧统计量的平均值
+    p_value = Math.max(upperTail(stat1), lowerTail(stat2))
+    isNonInferior = ci_lower > -margin && ci_upper < margin
+    testStatisticLabel = `${label}₁${dfLabel} = ${stat1.toFixed(2)}, ${label}₂${dfLabel} = ${stat2.toFixed(2)}`
+  } else {
+    const shift = studyType === 'superiority' ? 0 : margin
+    testStatistic = (diff + shift) / se
+    p_value = upperTail(testStatistic)
+    isNonInferior = ci_lower > -shift
+    testStatisticLabel = `${label}${dfLabel} = ${testStatistic.toFixed(2)}`
+  }
+
+  return {
+    p1: arm1.rate,
+    p2: arm2.rate,
+    diff,
+    se,
+    seUnadjusted: Math.sqrt(variance1 + variance2),
+    icc: rho,
+    designEffect1,
+    designEffect2,
+    ci_lower,
+    ci_upper,
+    p_value,
+    testStatistic,
+    isNonInferior,
+    testStatisticType: label,
+    df: useT ? df : null,
+    testStatisticLabel
+  }
+}
+
+export { estimateClusterICC, calculateClusterResult }
@@ -0,0 +1,279 @@
+/**
+ * @module result-validation/count
+ * @description 计数终点结果验证 - Poisson / 负二项回归（暴露时间为偏移量）率比、置信区间与检验
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lawless JF. Negative binomial and mixed Poisson regression. Can J Stat. 1987;15(3):209-225.
+ *     （离散度与率参数的极大似然估计，二者 Fisher 信息正交）
+ * [2] Keene ON, Jones MKC, Lane PW, Anderson J. Analysis of exacerbation rates in asthma and
+ *     chronic obstructive pulmonary disease: example from the TRISTAN study. Pharm Stat.
+ *     2007;6(2):89-97.
+ * [3] Venables WN, Ripley BD. Modern Applied Statistics with S. 4th ed. Springer; 2002.
+ *     Section 7.4（MASS::glm.nb 的参考实现）
+ *
+ * @formula 受试者 i 事件数 y_i、暴露时间 t_i，组 g 的率 λ_g，μ_i = λ_g·t_i，Var(y_i) = μ_i + κμ_i²
+ *   对数似然（略去常数）: ℓ_i = Σ_{j<y_i} ln(1 + κj) + y_i ln μ_i − (y_i + 1/κ)·ln(1 + κμ_i)
+ *   给定 κ 时 λ̂_g 满足 Σ_i (y_i − λt_i)/(1 + κλt_i) = 0；κ̂ 由剖面似然最大化（κ ≥ 0）
+ *   Var(ln λ̂_g) = 1 / Σ_i μ̂_i/(1 + κ̂μ̂_i)，RR = λ̂₂/λ̂₁，SE(ln RR) = √[Var(ln λ̂₁) + Var(ln λ̂₂)]
+ *   Poisson（κ = 0）: λ̂_g = Σy/Σt，SE(ln RR) = √(1/Y₁ + 1/Y₂)
+ *   Wald 检验: Z = (ln RR₀ − ln RR̂)/SE，RR₀ 优效为 1、非劣效为 M；CI 为 1 − 2α 双侧区间
+ */
+
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** 剖面似然网格: ln κ 的范围与步长，随后在最优网格邻域内黄金分割细化 */
+const LOG_DISPERSION_GRID = { from: -12, to: 6, step: 0.25 }
+const GOLDEN_ITERATIONS = 60
+const RATE_ITERATIONS = 100
+
+/**
+ * 校验受试者数据 [{events, exposure}]
+ * @param {Array<{events: number, exposure: number}>} subjects
+ * @returns {boolean}
+ */
+function isValidSubjects(subjects) {
+  if (!Array.isArray(subjects) || subjects.length === 0) return false
+  return subjects.every(
+    s =>
+      s &&
+      Number.isInteger(s.events) &&
+      s.events >= 0 &&
+      Number.isFinite(s.exposure) &&
+      s.exposure > 0
+  )
+}
+
+/**
+ * 给定离散度时单组率的极大似然估计（得分方程关于 λ 单调递减，二分求根）
+ * @param {Array<{events: number, exposure: number}>} subjects
+ * @param {number} dispersion - 离散度 κ
+ * @returns {number} λ̂；κ = 0 时即 Σy/Σt
+ */
+function estimateRate(subjects, dispersion) {
+  const totalEvents = subjects.reduce((sum, s) => sum + s.events, 0)
+  const totalExposure = subjects.reduce((sum, s) => sum + s.exposure, 0)
+  const poissonRate = totalEvents / totalExposure
+  if (dispersion === 0 || totalEvents === 0) return poissonRate
+
+  const score = rate =>
+    subjects.reduce(
+      (sum, s) => sum + (s.events - rate * s.exposure) / (1 + dispersion * rate * s.exposure),
+      0
+    )
+  let lo = poissonRate
+  let hi = poissonRate
+  while (score(lo) < 0) lo /= 2
+  while (score(hi) > 0) hi *= 2
+  for (let i = 0; i < RATE_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2
+    if (score(mid) > 0) lo = mid
+    else hi = mid
+  }
+  return (lo + hi) / 2
+}
+
+/**
+ * 单组对数似然（略去 −ln y! 常数）
+ * @param {Array<{events: number, exposure: number}>} subjects
+ * @param {number} rate - λ
+ * @param {number} dispersion - κ
+ * @returns {number}
+ */
+function armLogLikelihood(subjects, rate, dispersion) {
+  let total = 0
+  for (const { events, exposure } of subjects) {
+    const mu = rate * exposure
+    if (events > 0) total += events * Math.log(mu)
+    if (dispersion === 0) {
+      total -= mu
+      continue
+    }
+    for (let j = 1; j < events; j++) total += Math.log1p(dispersion * j)
+    total -= (events + 1 / dispersion) * Math.log1p(dispersion * mu)
+  }
+  return total
+}
+
+/**
+ * 两组共同离散度下的剖面对数似然
+ * @param {Array<{events: number, exposure: number}>} subjects1
+ * @param {Array<{events: number, exposure: number}>} subjects2
+ * @param {number} dispersion - κ
+ * @returns {number}
+ */
+function profileLogLikelihood(subjects1, subjects2, dispersion) {
+  return (
+    armLogLikelihood(subjects1, estimateRate(subjects1, dispersion), dispersion) +
+    armLogLikelihood(subjects2, estimateRate(subjects2, dispersion), dispersion)
+  )
+}
+
+/**
+ * 离散度 κ 的极大似然估计（ln κ 网格 + 黄金分割；边界 κ = 0 即 Poisson）
+ * @param {Array<{events: number, exposure: number}>} subjects1
+ * @param {Array<{events: number, exposure: number}>} subjects2
+ * @returns {number} κ̂ ≥ 0
+ */
+function estimateDispersion(subjects1, subjects2) {
+  const { from, to, step } = LOG_DISPERSION_GRID
+  const objective = logK => profileLogLikelihood(subjects1, subjects2, Math.exp(logK))
+
+  let bestLogK = from
+  let bestValue = objective(from)
+  for (let logK = from + step; logK <= to + 1e-12; logK += step) {
+    const value = objective(logK)
+    if (value > bestValue) {
+      bestLogK = logK
+      bestValue = value
+    }
+  }
+  if (bestLogK === from) {
+    // 网格下端最优: 比较 Poisson 边界
+    return profileLogLikelihood(subjects1, subjects2, 0) >= bestValue ? 0 : Math.exp(from)
+  }
+
+  const ratio = (Math.sqrt(5) - 1) / 2
+  let lo = bestLogK - step
+  let hi = Math.min(bestLogK + step, to)
+  for (let i = 0; i < GOLDEN_ITERATIONS; i++) {
+    const left = hi - ratio * (hi - lo)
+    const right = lo + ratio * (hi - lo)
+    if (objective(left) >= objective(right)) hi = right
+    else lo = left
+  }
+  return Math.exp((lo + hi) / 2)
+}
+
+/**
+ * ln λ̂ 的方差 1 / Σ μ̂_i/(1 + κμ̂_i)
+ * @param {Array<{events: number, exposure: number}>} subjects
+ * @param {number} rate - λ̂
+ * @param {number} dispersion - κ
+ * @returns {number}
+ */
+function logRateVariance(subjects, rate, dispersion) {
+  const information = subjects.reduce((sum, s) => {
+    const mu = rate * s.exposure
+    return sum + mu / (1 + dispersion * mu)
+  }, 0)
+  return 1 / information
+}
+
+/**
+ * 计数终点结果验证（率比）
+ *
+ * 判断标准（RR = 试验组/对照组事件率，RR < 1 表示试验组更优）:
+ * - 非劣效: RR 置信区间上限 < M
+ * - 优效:   RR 置信区间上限 < 1
+ *
+ * @param {Object} params - 检验参数
+ * @param {Array<{events: number, exposure: number}>} params.subjects1 - 对照组各受试者事件数与暴露时间
+ * @param {Array<{events: number, exposure: number}>} params.subjects2 - 试验组各受试者事件数与暴露时间
+ * @param {'non-inferiority'|'superiority'} [params.studyType='non-inferiority'] - 检验类型
+ * @param {number} [params.margin] - 非劣效界值 M（率比尺度，> 1）；优效时忽略
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {'negative-binomial'|'poisson'} [params.model='negative-binomial'] - 计数模型
+ * @returns {object} - {rate1, rate2, rateRatio, se, dispersion, ci_lower, ci_upper, p_value,
+ *   testStatistic, isNonInferior, isSuperior, events, exposure, ...}；
+ *   参数无效或任一组无事件时数值为 NaN、判断为 false
+ *
+ * @example
+ * // 汇总数据按 Poisson 分析: 每组一行即可
+ * calculateCountResult({
+ *   subjects1: [{ events: 120, exposure: 150 }],
+ *   subjects2: [{ events: 90, exposure: 148 }],
+ *   studyType: 'superiority', alpha: 0.025, model: 'poisson'
+ * })
+ */
+function calculateCountResult(params) {
+  const {
+    subjects1,
+    subjects2,
+    studyType = 'non-inferiority',
+    margin,
+    alpha,
+    model = 'negative-binomial'
+  } = params
+
+  const isNI = studyType === 'non-inferiority'
+  const invalid = {
+    rate1: NaN,
+    rate2: NaN,
+    rateRatio: NaN,
+    se: NaN,
+    dispersion: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    p_value: 1,
+    testStatistic: 0,
+    isNonInferior: false,
+    isSuperior: false
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (studyType !== 'non-inferiority' && studyType !== 'superiority') return invalid
+  if (model !== 'negative-binomial' && model !== 'poisson') return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) return invalid
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) return invalid
+  if (!isValidSubjects(subjects1) || !isValidSubjects(subjects2)) return invalid
+
+  const sumOf = (subjects, key) => subjects.reduce((sum, s) => sum + s[key], 0)
+  const events = { control: sumOf(subjects1, 'events'), treatment: sumOf(subjects2, 'events') }
+  const exposure = {
+    control: sumOf(subjects1, 'exposure'),
+    treatment: sumOf(subjects2, 'exposure')
+  }
+  // 任一组无事件时 ln RR 不可估
+  if (events.control === 0 || events.treatment === 0) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 极大似然估计
+  // ═══════════════════════════════════════════════════════════
+  const dispersion = model === 'poisson' ? 0 : estimateDispersion(subjects1, subjects2)
+  const rate1 = estimateRate(subjects1, dispersion)
+  const rate2 = estimateRate(subjects2, dispersion)
+  const rateRatio = rate2 / rate1
+  const logRR = Math.log(rateRatio)
+  const se = Math.sqrt(
+    logRateVariance(subjects1, rate1, dispersion) + logRateVariance(subjects2, rate2, dispersion)
+  )
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: Wald 检验与置信区间
+  // ═══════════════════════════════════════════════════════════
+  const ci_lower = Math.exp(logRR - z_alpha * se)
+  const ci_upper = Math.exp(logRR + z_alpha * se)
+  const isSuperior = ci_upper < 1
+  const isNonInferior = isNI ? ci_upper < margin : isSuperior
+
+  const testStatistic = ((isNI ? Math.log(margin) : 0) - logRR) / se
+  const p_value = normalSF(testStatistic)
+
+  return {
+    rate1,
+    rate2,
+    rateRatio,
+    se,
+    dispersion,
+    ci_lower,
+    ci_upper,
+    p_value,
+    testStatistic,
+    isNonInferior,
+    isSuperior,
+    events,
+    exposure,
+    // P0-3.0: 检验统计量元数据
+    testStatisticType: 'Z',
+    df: null,
+    testStatisticLabel: `Z = ${testStatistic.toFixed(2)}`
+  }
+}
+
+export { calculateCountResult }
@@ -6,8 +6,9 @@
  */
 
 import { safeNumber, safeDivide } from '../core/safe-math.js'
-import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import { tInverse, tSF } from '../core/t-distribution.js'
 
 // ========================================================
 // 多组比较 (Multigroup Comparison)
@@ -94,12 +95,12 @@ function calculateMultigroupResult(
     if (studyType === 'non-inferiority') {
       // 非劣效: H0: p1-p0 <= -delta vs H1: p1-p0 > -delta
       z_score = safeDivide(diff + delta, se, 0)
-      p_value = 1 - normalCDF(z_score)
+      p_value = normalSF(z_score)
       isSuccess = ci_lower > -delta // CI下界 > -delta
     } else if (studyType === 'superiority') {
       // 优效: H0: p1-p0 <= 0 vs H1: p1-p0 > 0
       z_score = safeDivide(diff, se, 0)
-      p_value = 1 - normalCDF(z_score)
+      p_value = normalSF(z_score)
       isSuccess = ci_lower > 0 // CI下界 > 0
     } else if (studyType === 'equivalence') {
       // 等效: TOST方法, 需要证明 -delta < diff < +delta
@@ -107,8 +108,8 @@ function calculateMultigroupResult(
       // 检验2: diff < +delta (H0: diff >= +delta)
       const z1 = safeDivide(diff + delta, se, 0) // 检验下界
       const z2 = safeDivide(delta - diff, se, 0) // 检验上界
-      const p1 = 1 - normalCDF(z1)
-      const p2 = 1 - normalCDF(z2)
+      const p1 = normalSF(z1)
+      const p2 = normalSF(z2)
       // p值取两者较大值
       p_value = Math.max(p1, p2)
       z_score = Math.min(z1, z2) // 保守取较小的z值
@@ -116,7 +117,7 @@ function calculateMultigroupResult(
       isSuccess = ci_lower > -delta && ci_upper < delta
     } else {
       z_score = safeDivide(diff, se, 0)
-      p_value = 1 - normalCDF(z_score)
+      p_value = normalSF(z_score)
       isSuccess = false
     }
 
@@ -150,6 +151,7 @@ function calculateMultigroupResult(
 
 /**
  * 多组比较结果验证 - 连续终点
+ * 各组临界值与 p 值默认取 t 分布 (df = n0 + n_i - 2，调整后 α)；distribution = 'normal' 保留旧版正态近似
  *
  * @param {number} n0 - 对照组样本量
  * @param {number} mean0 - 对照组均值
@@ -160,6 +162,9 @@ function calculateMultigroupResult(
  * @param {number} delta - 非劣效界值
  * @param {number} alpha - 原始显著性水平 (单侧)
  * @param {string} studyType - 试验类型
+ * @param {number[]|null} [allocations=null] - 分配比例（保留参数）
+ * @param {'any'|'all'} [strategy='any'] - 成功判定策略
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
  * @returns {object} - {results: 各组结果数组, overall_success: 至少一组成功, alpha_adjusted, k}
  */
 function calculateMultigroupResultContinuous(
@@ -173,7 +178,8 @@ function calculateMultigroupResultContinuous(
   alpha,
   studyType,
   allocations = null,
-  strategy = 'any'
+  strategy = 'any',
+  distribution = 't'
 ) {
   // 统一参数验证（W8CR）：validate 消费**原始 alpha**，须在任何 safeNumber 兜底之前执行 ——
   // 否则 alpha 类型无效（NaN/undefined）被 safeNumber(…,0.025) 洗成合法默认值后 validator 判 valid，
@@ -190,6 +196,7 @@ function calculateMultigroupResultContinuous(
   const k = n_groups.length
   const alpha_adjusted = strategy === 'all' ? alpha : alpha / k
   const z_alpha = normalInverse(1 - alpha_adjusted)
+  const useT = distribution !== 'normal'
 
   // alpha 类型无效 / 数学域外与 z 不可算同判；alphaValid 已在 safeNumber 之前对原始入参求值
   if (!alphaValid || !isFinite(z_alpha)) {
@@ -225,9 +232,14 @@ function calculateMultigroupResultContinuous(
       continue
     }
 
+    // 各组自由度不同，临界值按组计算（使用调整后的alpha）
+    const df_group = n0 + n1 - 2
+    const t_alpha = useT ? tInverse(1 - alpha_adjusted, df_group) : z_alpha
+    const tailProb = t => (useT ? tSF(t, df_group) : normalSF(t))
+
     // 置信区间 (使用调整后的alpha)
-    const ci_lower = diff - z_alpha * se
-    const ci_upper = diff + z_alpha * se
+    const ci_lower = diff - t_alpha * se
+    const ci_upper = diff + t_alpha * se
 
     // t统计量和p值
     let t_score, p_value, isSuccess
@@ -235,12 +247,12 @@ function calculateMultigroupResultContinuous(
     if (studyType === 'non-inferiority') {
       // 非劣效: H0: mean1-mean0 <= -delta vs H1: mean1-mean0 > -delta
       t_score = safeDivide(diff + delta, se, 0)
-      p_value = 1 - normalCDF(t_score) // 使用正态近似
+      p_value = tailProb(t_score)
       isSuccess = ci_lower > -delta // CI下界 > -delta
     } else if (studyType === 'superiority') {
       // 优效: H0: mean1-mean0 <= 0 vs H1: mean1-mean0 > 0
       t_score = safeDivide(diff, se, 0)
-      p_value = 1 - normalCDF(t_score)
+      p_value = tailProb(t_score)
       isSuccess = ci_lower > 0 // CI下界 > 0
     } else if (studyType === 'equivalence') {
       // 等效: TOST方法, 需要证明 -delta < diff < +delta
@@ -248,8 +260,8 @@ function calculateMultigroupResultContinuous(
       // 检验2: diff < +delta (H0: diff >= +delta)
       const t1 = safeDivide(diff + Math.abs(delta), se, 0) // 检验下界
       const t2 = safeDivide(Math.abs(delta) - diff, se, 0) // 检验上界
-      const p1 = 1 - normalCDF(t1)
-      const p2 = 1 - normalCDF(t2)
+      const p1 = tailProb(t1)
+      const p2 = tailProb(t2)
       // p值取两者较大值
       p_value = Math.max(p1, p2)
       t_score = Math.min(t1, t2) // 保守取较小的t值
@@ -258,11 +270,10 @@ function calculateMultigroupResultContinuous(
       isSuccess = ci_lower > -abs_delta && ci_upper < abs_delta
     } else {
       t_score = safeDivide(diff, se, 0)
-      p_value = 1 - normalCDF(t_score)
+      p_value = tailProb(t_score)
       isSuccess = false
     }
 
-    const df_group = n0 + n1 - 2
     results.push({
       diff,
       ci_lower,
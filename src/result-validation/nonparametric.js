@@ -0,0 +1,231 @@
+/**
+ * @module result-validation/nonparametric
+ * @description 非参数位移估计 - Hodges-Lehmann 估计及其精确 / 正态近似置信区间（两样本、配对）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Hodges JL, Lehmann EL. Estimates of location based on rank tests. Ann Math Stat.
+ *     1963;34(2):598-611. DOI: 10.1214/aoms/1177704172
+ * [2] Hollander M, Wolfe DA. Nonparametric Statistical Methods. 2nd ed. Wiley; 1999.
+ *     Sections 3.3, 4.3.（基于 Walsh 平均 / 两两差值次序统计量的区间）
+ * [3] R Core Team. stats::wilcox.test(conf.int = TRUE)（精确区间的参考实现）
+ *
+ * @formula
+ *   两样本: Dᵢⱼ = yⱼ − xᵢ（试验组 − 对照组），M = n₁n₂，估计值 = median(Dᵢⱼ)
+ *   配对:   dᵢ = yᵢ − xᵢ，Walsh 平均 (dᵢ + dⱼ)/2（i ≤ j），M = n(n + 1)/2，估计值 = median(Walsh)
+ *   区间: [D₍C₎, D₍M+1−C₎]（升序，1 起）
+ *     精确:     C = min{u : P₀(U ≤ u) ≥ α}（C = 0 时取 1），实际置信水平 1 − 2P₀(U ≤ C − 1)
+ *     正态近似: C = round(M/2 − Z_{1−α}·√Var₀(U))，
+ *       两样本 Var₀ = n₁n₂/12·[(N + 1) − Σ(t³ − t)/(N(N − 1))]
+ *       配对   Var₀ = n(n + 1)(2n + 1)/24 − Σ(t³ − t)/48
+ *   U 的零分布: 两样本为 {1…N} 中 n₂ 元子集秩和减 n₂(n₂ + 1)/2；配对为 {1…n} 子集和
+ *
+ * @note alpha 为单侧显著性水平，区间为 1 − 2α 双侧区间（与 R 的 conf.level = 1 − 2α 对应）；
+ *   存在结（配对时含零差值）或样本量 ≥ 50 时精确法退化为正态近似
+ */
+
+import { normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** 精确零分布的样本量上限（与 R wilcox.test 默认一致） */
+const EXACT_MAX_N = 50
+
+/** 支持的区间方法 */
+const HL_METHODS = new Set(['exact', 'normal'])
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 校验观测值数组
+ * @param {number[]} values
+ * @returns {boolean}
+ */
+function isValidSample(values) {
+  return Array.isArray(values) && values.length > 0 && values.every(v => Number.isFinite(v))
+}
+
+/**
+ * 各组结的大小（只返回 t > 1 的组）
+ * @param {number[]} values
+ * @returns {number[]}
+ */
+function tieSizes(values) {
+  const counts = new Map()
+  values.forEach(v => counts.set(v, (counts.get(v) || 0) + 1))
+  return [...counts.values()].filter(t => t > 1)
+}
+
+/**
+ * 升序数组的中位数
+ * @param {number[]} sorted
+ * @returns {number}
+ */
+function median(sorted) {
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+/**
+ * Mann-Whitney U 的精确零分布（{1…N} 中 n₂ 元子集秩和的计数，逐元素累加）
+ * @param {number} n1
+ * @param {number} n2
+ * @returns {number[]} P₀(U = u)，u = 0…n₁n₂
+ */
+function mannWhitneyNullDistribution(n1, n2) {
+  const maxU = n1 * n2
+  // ways[j][u]: 已处理元素中选 j 个、U 值为 u 的子集数（U = 秩和 − j(j + 1)/2）
+  const ways = Array.from({ length: n2 + 1 }, () => new Array(maxU + 1).fill(0))
+  ways[0][0] = 1
+  for (let rank = 1; rank <= n1 + n2; rank++) {
+    for (let j = Math.min(rank, n2); j >= 1; j--) {
+      // 第 j 个被选元素的秩为 rank，对 U 的贡献为 rank − j
+      const shift = rank - j
+      if (shift > n1) continue
+      for (let u = maxU; u >= shift; u--) ways[j][u] += ways[j - 1][u - shift]
+    }
+  }
+  const total = ways[n2].reduce((sum, w) => sum + w, 0)
+  return ways[n2].map(w => w / total)
+}
+
+/**
+ * Wilcoxon 符号秩统计量的精确零分布（{1…n} 子集和的计数）
+ * @param {number} n
+ * @returns {number[]} P₀(V = v)，v = 0…n(n + 1)/2
+ */
+function signedRankNullDistribution(n) {
+  const maxV = (n * (n + 1)) / 2
+  const ways = new Array(maxV + 1).fill(0)
+  ways[0] = 1
+  for (let rank = 1; rank <= n; rank++) {
+    for (let v = maxV; v >= rank; v--) ways[v] += ways[v - rank]
+  }
+  const total = Math.pow(2, n)
+  return ways.map(w => w / total)
+}
+
+/**
+ * 精确区间的次序号: C = min{u : P₀(U ≤ u) ≥ α}，C = 0 时取 1
+ * @param {number[]} distribution - 零分布概率
+ * @param {number} alpha
+ * @returns {{order: number, confidenceLevel: number}}
+ */
+function exactOrder(distribution, alpha) {
+  let cumulative = 0
+  let u = 0
+  while (u < distribution.length - 1 && cumulative + distribution[u] < alpha) {
+    cumulative += distribution[u]
+    u++
+  }
+  const order = Math.max(u, 1)
+  const below = distribution.slice(0, order).reduce((sum, p) => sum + p, 0)
+  return { order, confidenceLevel: 1 - 2 * below }
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Hodges-Lehmann 位移估计与置信区间
+ *
+ * @param {Object} params - 估计参数
+ * @param {number[]} params.x - 对照组观测值（配对时为基线 / 对照测量）
+ * @param {number[]} params.y - 试验组观测值（配对时与 x 等长、逐一对应）
+ * @param {boolean} [params.paired=false] - 是否为配对设计（基于差值的 Walsh 平均）
+ * @param {'exact'|'normal'} [params.method='exact'] - 精确零分布或正态近似
+ * @param {number} params.alpha - 单侧显著性水平（区间为 1 − 2α 双侧）
+ * @returns {object} - {estimate, ci_lower, ci_upper, confidenceLevel, method, n1, n2, paired}：
+ *   method 为实际使用的方法（有结或样本量 ≥ 50 时由 'exact' 退化为 'normal'），
+ *   confidenceLevel 为实际置信水平（精确法）或名义水平；参数无效时数值为 NaN
+ *
+ * @example
+ * // 住院天数（天）
+ * calculateHodgesLehmann({ x: [8, 11, 6, 14, 9], y: [5, 7, 4, 10, 3, 6], alpha: 0.025 })
+ */
+function calculateHodgesLehmann(params) {
+  const { x, y, paired = false, method = 'exact', alpha } = params
+
+  const invalid = {
+    estimate: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    confidenceLevel: NaN,
+    method,
+    n1: NaN,
+    n2: NaN,
+    paired
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!HL_METHODS.has(method)) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) return invalid
+  if (!isValidSample(x) || !isValidSample(y)) return invalid
+  if (paired && x.length !== y.length) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 两两差值（两样本）或 Walsh 平均（配对）
+  // ═══════════════════════════════════════════════════════════
+  const values = []
+  let ties
+  let nullVariance
+  let exactDistribution
+  if (paired) {
+    const d = y.map((v, i) => v - x[i])
+    const n = d.length
+    for (let i = 0; i < n; i++) {
+      for (let j = i; j < n; j++) values.push((d[i] + d[j]) / 2)
+    }
+    ties = tieSizes(d.map(Math.abs))
+    const hasZero = d.some(v => v === 0)
+    nullVariance =
+      (n * (n + 1) * (2 * n + 1)) / 24 - ties.reduce((sum, t) => sum + t * t * t - t, 0) / 48
+    exactDistribution =
+      ties.length === 0 && !hasZero && n < EXACT_MAX_N ? () => signedRankNullDistribution(n) : null
+  } else {
+    x.forEach(xi => y.forEach(yj => values.push(yj - xi)))
+    const total = x.length + y.length
+    ties = tieSizes([...x, ...y])
+    nullVariance =
+      ((x.length * y.length) / 12) *
+      (total + 1 - ties.reduce((sum, t) => sum + t * t * t - t, 0) / (total * (total - 1)))
+    exactDistribution =
+      ties.length === 0 && x.length < EXACT_MAX_N && y.length < EXACT_MAX_N
+        ? () => mannWhitneyNullDistribution(x.length, y.length)
+        : null
+  }
+  values.sort((a, b) => a - b)
+  const count = values.length
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 区间次序号
+  // ═══════════════════════════════════════════════════════════
+  let interval
+  if (method === 'exact' && exactDistribution !== null) {
+    interval = { ...exactOrder(exactDistribution(), alpha), method: 'exact' }
+  } else {
+    // 方差为 0（全部为结）时区间退化为全部差值范围
+    const spread = nullVariance > 0 ? z_alpha * Math.sqrt(nullVariance) : 0
+    const order = Math.min(Math.max(Math.round(count / 2 - spread), 1), Math.ceil(count / 2))
+    interval = { order, confidenceLevel: 1 - 2 * alpha, method: 'normal' }
+  }
+
+  return {
+    estimate: median(values),
+    ci_lower: values[interval.order - 1],
+    ci_upper: values[count - interval.order],
+    confidenceLevel: interval.confidenceLevel,
+    method: interval.method,
+    n1: x.length,
+    n2: y.length,
+    paired
+  }
+}
+
+export { calculateHodgesLehmann }
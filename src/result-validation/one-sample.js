@@ -6,8 +6,12 @@
  */
 
 import { safeNumber, safeDivide } from '../core/safe-math.js'
-import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import { tInverse, tSF } from '../core/t-distribution.js'
+import { binomialSF } from '../core/binomial.js'
+import { calculateClopperPearsonCI } from '../core/confidence-interval.js'
+import { PROPORTION_METHODS } from '../sample-size/one-sample.js'
 
 // ========================================================
 // 单组试验 (Single-Arm Trial / One-Sample Test)
@@ -16,14 +20,33 @@ import { validateStatParams } from '../core/param-validator.js'
 /**
  * 单组试验结果验证 (率终点)
  * 判断标准: CI下限 > p0（更保守的判断标准）
+ * method='exact' 时改用 Clopper-Pearson 精确 CI 与精确二项单侧 p 值（见 calculateOneSampleResultExact）
  * @param {number} n - 样本量
  * @param {number} s - 成功次数
  * @param {number} p0 - 历史对照率 (0-1)
  * @param {number} alpha - 单侧显著性水平
- * @param {boolean} [useContinuity=false] - 是否使用连续性校正
- * @returns {object} - 检验结果 {p, p0, diff, ci_lower, ci_upper, p_value, ...}
+ * @param {boolean} [useContinuity=false] - 是否使用连续性校正（仅 'normal'）
+ * @param {'normal'|'exact'} [method='normal'] - 'normal' Wald/Z 近似；'exact' 精确二项
+ * @returns {object} - 检验结果 {p, p0, diff, ci_lower, ci_upper, p_value, ...}；
+ *   method 未知时估计与 p 值均为 NaN
  */
-function calculateOneSampleResult(n, s, p0, alpha, useContinuity) {
+function calculateOneSampleResult(n, s, p0, alpha, useContinuity, method = 'normal') {
+  if (!PROPORTION_METHODS.has(method)) {
+    return {
+      p: NaN,
+      p0,
+      diff: NaN,
+      ci_lower: NaN,
+      ci_upper: NaN,
+      p_value: NaN,
+      testStatistic: NaN,
+      isNonInferior: false
+    }
+  }
+  if (method === 'exact') {
+    return calculateOneSampleResultExact(n, s, p0, alpha)
+  }
+
   n = safeNumber(n, 1)
   s = safeNumber(s, 0)
   p0 = safeNumber(p0, 0)
@@ -77,7 +100,7 @@ function calculateOneSampleResult(n, s, p0, alpha, useContinuity) {
   // Z检验统计量 (使用H0下的标准误)
   const se0 = Math.sqrt(safeDivide(p0 * (1 - p0), n, 0))
   const z_score = safeDivide(p - p0, se0, 0)
-  const p_value = 1 - normalCDF(z_score)
+  const p_value = normalSF(z_score)
 
   return {
     p,
@@ -95,17 +118,76 @@ function calculateOneSampleResult(n, s, p0, alpha, useContinuity) {
   }
 }
 
+/**
+ * 单组试验结果验证 (率终点，精确二项)
+ *
+ * CI: Clopper-Pearson 精确区间，每侧 α（置信水平 1 - 2α）
+ * p 值: P(X ≥ s | n, p0)（精确单侧）
+ * 判断标准: CI下限 > p0，与 p 值 < α 等价
+ *
+ * @reference Clopper CJ, Pearson ES. Biometrika. 1934;26(4):404-413.
+ * @param {number} n - 样本量（正整数）
+ * @param {number} s - 成功次数（0 ≤ s ≤ n 的整数）
+ * @param {number} p0 - 历史对照率 (0-1)
+ * @param {number} alpha - 单侧显著性水平
+ * @returns {object} - 检验结果 {p, p0, diff, ci_lower, ci_upper, p_value, ...}
+ */
+function calculateOneSampleResultExact(n, s, p0, alpha) {
+  n = safeNumber(n, 1)
+  s = safeNumber(s, 0)
+  p0 = safeNumber(p0, 0)
+  alpha = safeNumber(alpha, 0)
+
+  const p = safeDivide(s, n, 0)
+  const diff = p - p0
+  const { lower, upper } = calculateClopperPearsonCI(s, n, alpha)
+
+  // 统一参数验证（W8）：alpha 数学域外、n / s 非整数或越界时 CI 不可算，沿用既有 fallback 形态
+  if (!validateStatParams({ alpha, p0 }).valid || !isFinite(lower) || !isFinite(upper)) {
+    return {
+      p,
+      p0,
+      diff,
+      ci_lower: 0,
+      ci_upper: 0,
+      p_value: 1,
+      testStatistic: 0,
+      isNonInferior: false
+    }
+  }
+
+  // 精确单侧 p 值: P(X ≥ s | p0) = P(X > s - 1 | p0)
+  const p_value = binomialSF(s - 1, n, p0)
+
+  return {
+    p,
+    p0,
+    diff,
+    ci_lower: lower,
+    ci_upper: upper,
+    p_value,
+    testStatistic: s,
+    isNonInferior: lower > p0, // 拒绝原假设 = CI下限 > p0
+    // P0-3.0: 检验统计量元数据（精确检验无近似分布，统计量为成功次数）
+    testStatisticType: 'exact',
+    df: null,
+    testStatisticLabel: `X = ${s}/${n}`
+  }
+}
+
 /**
  * 单组试验结果验证 (连续终点)
  * 判断标准: CI下限 > mu0
+ * 临界值与 p 值默认取 t 分布 (df = n - 1)；distribution = 'normal' 保留旧版正态近似
  * @param {number} n - 样本量
  * @param {number} mean - 样本均值
  * @param {number} sd - 样本标准差
  * @param {number} mu0 - 历史对照均值
  * @param {number} alpha - 单侧显著性水平
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
  * @returns {object} - 检验结果 {mean, mu0, diff, ci_lower, ci_upper, p_value, ...}
  */
-function calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha) {
+function calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha, distribution = 't') {
   n = safeNumber(n, 1)
   mean = safeNumber(mean, 0)
   sd = safeNumber(sd, 1)
@@ -128,9 +210,12 @@ function calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha) {
     }
   }
 
-  const z_alpha = normalInverse(1 - alpha)
-  // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // 临界值: t 分布（df = n - 1），distribution = 'normal' 时退回正态近似
+  const df = n - 1
+  const useT = distribution !== 'normal'
+  const t_alpha = useT ? tInverse(1 - alpha, df) : normalInverse(1 - alpha)
+  // 统一参数验证（W8）：alpha 数学域外与临界值不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
+  if (!validateStatParams({ alpha }).valid || !isFinite(t_alpha)) {
     return {
       mean,
       mu0,
@@ -143,13 +228,12 @@ function calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha) {
     }
   }
 
-  const ci_lower = mean - z_alpha * se
-  const ci_upper = mean + z_alpha * se
+  const ci_lower = mean - t_alpha * se
+  const ci_upper = mean + t_alpha * se
 
   const t_score = safeDivide(diff, se, 0)
-  const p_value = 1 - normalCDF(t_score)
+  const p_value = useT ? tSF(t_score, df) : normalSF(t_score)
 
-  const df = n - 1
   return {
     mean,
     mu0,
@@ -0,0 +1,133 @@
+/**
+ * @module result-validation/ordinal
+ * @description 有序分类终点结果验证 - Wilcoxon-Mann-Whitney 检验（结校正）与 Whitehead 共同 OR 估计
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lehmann EL. Nonparametrics: Statistical Methods Based on Ranks. Holden-Day; 1975.
+ *     Chapter 1.（秩和检验的结校正方差）
+ * [2] Whitehead J. Sample size calculations for ordered categorical data. Stat Med.
+ *     1993;12(24):2257-2271.（有效得分 S 与 Fisher 信息 V，ln OR ≈ S/V）
+ * [3] Agresti A. Categorical Data Analysis. 3rd ed. Wiley; 2013. Section 2.5.（有序表的 WMW 检验）
+ *
+ * @formula 对照组 / 试验组第 i 类例数 c₁ᵢ / c₂ᵢ，nⱼ = Σcⱼᵢ，N = n₁ + n₂，tᵢ = c₁ᵢ + c₂ᵢ
+ *   U = Σᵢ c₂ᵢ·[Σ_{j>i} c₁ⱼ + c₁ᵢ/2]（试验组类别序号更低的对数，结计 1/2）
+ *   Var(U) = n₁n₂/12·[(N + 1) − Σ(tᵢ³ − tᵢ)/(N(N − 1))]，Z = (U − n₁n₂/2)/√Var(U)
+ *   Whitehead: S = 2(U − n₁n₂/2)/(N + 1)，V = n₁n₂N(1 − Σ(tᵢ/N)³)/[3(N + 1)²]
+ *   ln OR = S/V，SE = 1/√V，CI 为 1 − 2α 双侧区间
+ *
+ * @note 类别按顺序排列，OR > 1 / 胜率 > 0.5 表示试验组偏向低序号类别（如 mRS 越低越好）
+ */
+
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/**
+ * 校验各类别例数: 非负整数、两组类别数相同且各至少一例
+ * @param {number[]} counts1
+ * @param {number[]} counts2
+ * @returns {boolean}
+ */
+function isValidTable(counts1, counts2) {
+  if (!Array.isArray(counts1) || !Array.isArray(counts2)) return false
+  if (counts1.length < 2 || counts1.length !== counts2.length) return false
+  const isCount = c => Number.isInteger(c) && c >= 0
+  if (!counts1.every(isCount) || !counts2.every(isCount)) return false
+  return counts1.some(c => c > 0) && counts2.some(c => c > 0)
+}
+
+/**
+ * 有序分类终点结果验证（Wilcoxon-Mann-Whitney 优效检验）
+ *
+ * 检验试验组是否偏向低序号类别；优效判断基于结校正 WMW 单侧 p 值，
+ * 同时给出 Whitehead 有效得分估计的共同 OR 及置信区间。
+ *
+ * @param {Object} params - 检验参数
+ * @param {number[]} params.counts1 - 对照组各类别例数（按类别顺序）
+ * @param {number[]} params.counts2 - 试验组各类别例数
+ * @param {number} params.alpha - 单侧显著性水平
+ * @returns {object} - {n1, n2, U, winProbability, oddsRatio, se, ci_lower, ci_upper, p_value,
+ *   testStatistic, isSuperior, ...}：winProbability = U/(n₁n₂)；参数无效时数值为 NaN、isSuperior 为 false
+ *
+ * @example
+ * // mRS 0-6
+ * calculateOrdinalResult({
+ *   counts1: [8, 14, 20, 28, 30, 22, 28], counts2: [14, 22, 26, 30, 24, 16, 18], alpha: 0.025
+ * })
+ */
+function calculateOrdinalResult(params) {
+  const { counts1, counts2, alpha } = params
+
+  const invalid = {
+    n1: NaN,
+    n2: NaN,
+    U: NaN,
+    winProbability: NaN,
+    oddsRatio: NaN,
+    se: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    p_value: 1,
+    testStatistic: 0,
+    isSuperior: false
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  const z_alpha = normalInverse(1 - alpha)
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) return invalid
+  if (!isValidTable(counts1, counts2)) return invalid
+
+  const n1 = counts1.reduce((sum, c) => sum + c, 0)
+  const n2 = counts2.reduce((sum, c) => sum + c, 0)
+  const total = n1 + n2
+  const ties = counts1.map((c, i) => c + counts2[i])
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: Mann-Whitney U 与结校正方差
+  // ═══════════════════════════════════════════════════════════
+  let U = 0
+  let controlAbove = n1
+  counts2.forEach((c2, i) => {
+    controlAbove -= counts1[i]
+    U += c2 * (controlAbove + counts1[i] / 2)
+  })
+  const tieSum = ties.reduce((sum, t) => sum + t * t * t - t, 0)
+  const varianceU = ((n1 * n2) / 12) * (total + 1 - tieSum / (total * (total - 1)))
+  // 全部观测落在同一类别时无法检验
+  if (!(varianceU > 0)) return invalid
+
+  const testStatistic = (U - (n1 * n2) / 2) / Math.sqrt(varianceU)
+  const p_value = normalSF(testStatistic)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: Whitehead 共同 OR
+  // ═══════════════════════════════════════════════════════════
+  const score = (2 * (U - (n1 * n2) / 2)) / (total + 1)
+  const cubes = ties.reduce((sum, t) => sum + Math.pow(t / total, 3), 0)
+  const information = (n1 * n2 * total * (1 - cubes)) / (3 * (total + 1) * (total + 1))
+  const logOR = score / information
+  const se = 1 / Math.sqrt(information)
+
+  return {
+    n1,
+    n2,
+    U,
+    winProbability: U / (n1 * n2),
+    oddsRatio: Math.exp(logOR),
+    se,
+    ci_lower: Math.exp(logOR - z_alpha * se),
+    ci_upper: Math.exp(logOR + z_alpha * se),
+    p_value,
+    testStatistic,
+    isSuperior: p_value < alpha,
+    // P0-3.0: 检验统计量元数据
+    testStatisticType: 'Z',
+    df: null,
+    testStatisticLabel: `Z = ${testStatistic.toFixed(2)}`
+  }
+}
+
+export { calculateOrdinalResult }
@@ -6,8 +6,9 @@
  */
 
 import { safeDivide } from '../core/safe-math.js'
-import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import { tInverse, tSF } from '../core/t-distribution.js'
 
 // ========================================================
 // 配对设计 - 率终点 (Paired Design - Proportion, McNemar Test)
@@ -68,7 +69,7 @@ function calculatePairedResult(
 
   // 计算p值 (使用正态近似)
   const z_score = Math.sqrt(chi2) * (n01 > n10 ? 1 : -1)
-  const p_value = 1 - normalCDF(Math.abs(z_score))
+  const p_value = normalSF(Math.abs(z_score))
 
   // 置信区间 (使用正态近似)
   const z_alpha = normalInverse(1 - alpha)
@@ -105,12 +106,14 @@ function calculatePairedResult(
 
 /**
  * 配对t检验结果计算
+ * 临界值与 p 值默认取 t 分布 (df = n - 1)；distribution = 'normal' 保留旧版正态近似
  * @param {number} n - 配对数
  * @param {number} mean_diff - 观察到的差值均值
  * @param {number} sd_diff - 观察到的差值标准差
  * @param {number} delta - 非劣效界值
  * @param {number} alpha - 单侧显著性水平
  * @param {string} studyType - 检验类型
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
  * @returns {object} - 检验结果
  */
 function calculatePairedResultContinuous(
@@ -119,7 +122,8 @@ function calculatePairedResultContinuous(
   sd_diff,
   delta,
   alpha,
-  studyType = 'non-inferiority'
+  studyType = 'non-inferiority',
+  distribution = 't'
 ) {
   if (n <= 0 || sd_diff < 0) {
     return {
@@ -133,10 +137,13 @@ function calculatePairedResultContinuous(
   }
 
   const se = sd_diff / Math.sqrt(n)
-  const z_alpha = normalInverse(1 - alpha)
+  // 临界值: t 分布（df = n - 1），distribution = 'normal' 时退回正态近似
+  const df = n - 1
+  const useT = distribution !== 'normal'
+  const t_alpha = useT ? tInverse(1 - alpha, df) : normalInverse(1 - alpha)
 
-  // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // 统一参数验证（W8）：alpha 数学域外与临界值不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
+  if (!validateStatParams({ alpha }).valid || !isFinite(t_alpha)) {
     return {
       diff: mean_diff,
       ci_lower: mean_diff,
@@ -148,12 +155,12 @@ function calculatePairedResultContinuous(
   }
 
   // 置信区间
-  const ci_lower = mean_diff - z_alpha * se
-  const ci_upper = mean_diff + z_alpha * se
+  const ci_lower = mean_diff - t_alpha * se
+  const ci_upper = mean_diff + t_alpha * se
 
   // t统计量和p值
   const t_score = safeDivide(mean_diff, se, 0)
-  const p_value = 1 - normalCDF(Math.abs(t_score))
+  const p_value = useT ? tSF(Math.abs(t_score), df) : normalSF(Math.abs(t_score))
 
   let isNonInferior
   if (studyType === 'equivalence') {
@@ -164,7 +171,6 @@ function calculatePairedResultContinuous(
     isNonInferior = ci_lower > -delta
   }
 
-  const df = n - 1
   return {
     diff: mean_diff,
     ci_lower,
@@ -0,0 +1,183 @@
+/**
+ * @module result-validation/ratio-of-means
+ * @description 对数正态终点平行组结果验证 - 由对数尺度汇总统计量计算几何均值比（GMR）及回变换置信区间
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Julious SA. Sample Sizes for Clinical Trials. Chapman and Hall/CRC; 2009. Chapter 5.
+ * [2] Hauschke D, Steinijans V, Pigeot I. Bioequivalence Studies in Drug Development.
+ *     Wiley; 2007. Chapter 5.（平行组比值的 t 区间与 TOST）
+ *
+ * @formula 对数值的组均值 ȳ₁ / ȳ₂、标准差 s₁ / s₂，ν = n₁ + n₂ − 2
+ *   s_p² = [(n₁ − 1)s₁² + (n₂ − 1)s₂²]/ν，SE = s_p·√(1/n₁ + 1/n₂)，d = ȳ₂ − ȳ₁
+ *   GMR = exp(d)，CI = exp(d ± t_{1−α,ν}·SE)（1 − 2α 双侧区间），合并 CV = √(exp(s_p²) − 1)
+ *   优效:   越高越好时 t = d/SE、CI 下限 > 1；越低越好时 t = −d/SE、CI 上限 < 1
+ *   非劣效: M < 1 时 t = (d − ln M)/SE、CI 下限 > M；M > 1 时 t = (ln M − d)/SE、CI 上限 < M
+ *   等效:   t₁ = (d − ln θ₁)/SE，t₂ = (d − ln θ₂)/SE，p = max(P(T > t₁), P(T < t₂))，
+ *           CI ⊂ (θ₁, θ₂) 即等效
+ *
+ * @note alpha 为单侧显著性水平；GMR = 试验组 / 对照组
+ */
+
+import { validateStatParams } from '../core/param-validator.js'
+import { tInverse, tSF, tCDF } from '../core/t-distribution.js'
+import { sigmaToCV } from '../crossover/be-sample-size.js'
+
+/** 默认等效限（80.00% – 125.00%） */
+const DEFAULT_LOWER_LIMIT = 0.8
+const DEFAULT_UPPER_LIMIT = 1.25
+
+/** 支持的检验类型 */
+const RATIO_STUDY_TYPES = new Set(['superiority', 'non-inferiority', 'equivalence'])
+
+/**
+ * 单组对数尺度汇总统计量校验
+ * @param {number} n
+ * @param {number} mean
+ * @param {number} sd
+ * @returns {boolean}
+ */
+function isValidGroup(n, mean, sd) {
+  return Number.isInteger(n) && n >= 1 && Number.isFinite(mean) && Number.isFinite(sd) && sd >= 0
+}
+
+/**
+ * 平行组几何均值比结果验证（对数尺度 t 检验）
+ *
+ * @param {Object} params - 检验参数
+ * @param {'superiority'|'non-inferiority'|'equivalence'} [params.studyType='superiority'] - 检验类型
+ * @param {number} params.n1 - 对照组例数
+ * @param {number} params.logMean1 - 对照组对数值均值
+ * @param {number} params.logSD1 - 对照组对数值标准差
+ * @param {number} params.n2 - 试验组例数
+ * @param {number} params.logMean2 - 试验组对数值均值
+ * @param {number} params.logSD2 - 试验组对数值标准差
+ * @param {number} [params.margin] - 非劣效界值（如 0.8；> 1 表示越低越好）
+ * @param {number} [params.lower=0.8] - 等效下限
+ * @param {number} [params.upper=1.25] - 等效上限
+ * @param {boolean} [params.higherIsBetter=true] - 优效方向：true 为 GMR > 1 更优，false 为 GMR < 1 更优
+ *   （非劣效方向由界值 M 决定）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @returns {object} - {gmr, ci_lower, ci_upper, logDiff, se, cv, p_value, testStatistic,
+ *   isSuperior, isNonInferior, isEquivalent, ...}：置信区间已回变换到比值尺度，
+ *   cv 为合并组内 CV；参数无效时数值为 NaN、各结论为 false
+ *
+ * @example
+ * // AUC 对数值汇总，非劣效界值 0.8
+ * calculateRatioResult({
+ *   studyType: 'non-inferiority', n1: 40, logMean1: 4.61, logSD1: 0.29,
+ *   n2: 40, logMean2: 4.58, logSD2: 0.31, margin: 0.8, alpha: 0.025
+ * })
+ */
+function calculateRatioResult(params) {
+  const {
+    studyType = 'superiority',
+    n1,
+    logMean1,
+    logSD1,
+    n2,
+    logMean2,
+    logSD2,
+    margin,
+    lower = DEFAULT_LOWER_LIMIT,
+    upper = DEFAULT_UPPER_LIMIT,
+    higherIsBetter = true,
+    alpha
+  } = params
+
+  const invalid = {
+    gmr: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    logDiff: NaN,
+    se: NaN,
+    cv: NaN,
+    p_value: 1,
+    testStatistic: 0,
+    isSuperior: false,
+    isNonInferior: false,
+    isEquivalent: false
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!RATIO_STUDY_TYPES.has(studyType) || !validateStatParams({ alpha }).valid) return invalid
+  if (typeof higherIsBetter !== 'boolean') return invalid
+  if (!isValidGroup(n1, logMean1, logSD1) || !isValidGroup(n2, logMean2, logSD2)) return invalid
+  const df = n1 + n2 - 2
+  if (df < 1) return invalid
+  if (studyType === 'non-inferiority') {
+    if (!(Number.isFinite(margin) && margin > 0) || margin === 1) return invalid
+  }
+  if (studyType === 'equivalence' && !(lower > 0 && upper > lower && Number.isFinite(upper))) {
+    return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 对数尺度差值与合并标准误
+  // ═══════════════════════════════════════════════════════════
+  const pooledVar = ((n1 - 1) * logSD1 * logSD1 + (n2 - 1) * logSD2 * logSD2) / df
+  const se = Math.sqrt(pooledVar * (1 / n1 + 1 / n2))
+  const t_alpha = tInverse(1 - alpha, df)
+  if (!(se > 0) || !isFinite(t_alpha)) return invalid
+
+  const logDiff = logMean2 - logMean1
+  const ci_lower = Math.exp(logDiff - t_alpha * se)
+  const ci_upper = Math.exp(logDiff + t_alpha * se)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 按检验类型计算统计量与结论
+  // ═══════════════════════════════════════════════════════════
+  let testStatistic
+  let p_value
+  let testStatisticLabel
+  if (studyType === 'equivalence') {
+    const t1 = (logDiff - Math.log(lower)) / se
+    const t2 = (logDiff - Math.log(upper)) / se
+    p_value = Math.max(tSF(t1, df), tCDF(t2, df))
+    testStatistic = (t1 + t2) / 2 // TOST 两侧 t 统计量的平均值
+    testStatisticLabel = `t₁(${df}) = ${t1.toFixed(2)}, t₂(${df}) = ${t2.toFixed(2)}`
+  } else {
+    if (studyType === 'non-inferiority') {
+      const logMargin = Math.log(margin)
+      testStatistic = margin < 1 ? (logDiff - logMargin) / se : (logMargin - logDiff) / se
+    } else {
+      // 优效: 按预设方向的单侧检验
+      testStatistic = higherIsBetter ? logDiff / se : -logDiff / se
+    }
+    p_value = tSF(testStatistic, df)
+    testStatisticLabel = `t(${df}) = ${testStatistic.toFixed(2)}`
+  }
+
+  const favourLower = studyType === 'non-inferiority' ? margin > 1 : !higherIsBetter
+  const isSuperior = favourLower ? ci_upper < 1 : ci_lower > 1
+  let isNonInferior
+  if (studyType === 'superiority') {
+    isNonInferior = isSuperior
+  } else {
+    isNonInferior =
+      studyType === 'non-inferiority' && (favourLower ? ci_upper < margin : ci_lower > margin)
+  }
+
+  return {
+    gmr: Math.exp(logDiff),
+    ci_lower,
+    ci_upper,
+    logDiff,
+    se,
+    cv: sigmaToCV(Math.sqrt(pooledVar)),
+    p_value,
+    testStatistic,
+    isSuperior,
+    isNonInferior,
+    isEquivalent: studyType === 'equivalence' && ci_lower > lower && ci_upper < upper,
+    // P0-3.0: 检验统计量元数据
+    testStatisticType: 't',
+    df,
+    testStatisticLabel
+  }
+}
+
+export { calculateRatioResult }
@@ -0,0 +1,389 @@
+/**
+ * @module result-validation/survival
+ * @description 生存终点结果验证 - Kaplan-Meier 估计、Log-rank 检验、风险比
+ * @author Device Helper Team
+ * @date 2026-01-18
+ */
+
+import { normalSF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+// ========================================================
+// 输入整理辅助函数
+// ========================================================
+
+/**
+ * 校验并整理 (time, event, group) 数组
+ * @param {number[]} time - 生存/删失时间 (≥ 0)
+ * @param {Array<number|boolean>} event - 事件指示 (1/true = 事件, 0/false = 删失)
+ * @param {number[]} [group] - 分组 (1 = 对照组, 2 = 试验组)；单组估计时省略
+ * @returns {Array<{time: number, event: number, group: number}>|null} 整理后的记录；无效时返回 null
+ */
+function normalizeSurvivalData(time, event, group) {
+  if (!Array.isArray(time) || !Array.isArray(event) || time.length === 0) return null
+  if (event.length !== time.length) return null
+  if (group !== undefined && (!Array.isArray(group) || group.length !== time.length)) return null
+
+  const records = []
+  for (let i = 0; i < time.length; i++) {
+    const t = time[i]
+    if (typeof t !== 'number' || !Number.isFinite(t) || t < 0) return null
+    const g = group === undefined ? 1 : group[i]
+    if (g !== 1 && g !== 2) return null
+    records.push({ time: t, event: event[i] ? 1 : 0, group: g })
+  }
+  return records
+}
+
+/**
+ * 在 KM 阶梯曲线上找首个 ≤ 0.5 的时间点（R survfit 约定）
+ * 恰好等于 0.5 的平台取该平台左右端点的中点
+ * @param {number[]} times - 事件时间（升序）
+ * @param {number[]} values - 对应时间点右侧的曲线值
+ * @returns {number} 中位时间；未达到 0.5 时返回 NaN
+ */
+function findMedianCrossing(times, values) {
+  for (let j = 0; j < times.length; j++) {
+    if (values[j] < 0.5 - 1e-12) return times[j]
+    if (Math.abs(values[j] - 0.5) <= 1e-12) {
+      return j + 1 < times.length ? (times[j] + times[j + 1]) / 2 : times[j]
+    }
+  }
+  return NaN
+}
+
+// ========================================================
+// Kaplan-Meier 估计
+// ========================================================
+
+/**
+ * Kaplan-Meier 生存曲线 (单组)
+ *
+ * - 方差: Greenwood 公式 Var[S(t)] = S(t)² Σ dⱼ / [nⱼ(nⱼ - dⱼ)]
+ * - 置信区间: 默认 log-log 变换 S(t)^exp(±z·σ/|ln S(t)|)，保证落在 [0, 1] 内
+ * - 中位生存时间 CI: Brookmeyer-Crowley —— 由逐点置信带与 0.5 的交点反演
+ *
+ * @reference Kaplan EL, Meier P. J Am Stat Assoc. 1958;53(282):457-481.
+ * @reference Greenwood M. Reports on Public Health and Medical Subjects. 1926;33:1-26.
+ * @reference Brookmeyer R, Crowley J. Biometrics. 1982;38(1):29-41.
+ *
+ * @param {number[]} time - 生存/删失时间
+ * @param {Array<number|boolean>} event - 事件指示 (1 = 事件, 0 = 删失)
+ * @param {number} alpha - 单侧显著性水平（CI 为 1-2α 双侧区间，与库内其余 CI 一致）
+ * @param {'log-log'|'log'|'plain'} [ciType='log-log'] - 置信区间变换
+ * @returns {object} - {times, atRisk, events, survival, se, ci_lower, ci_upper,
+ *   median, median_ci_lower, median_ci_upper, n, totalEvents}；中位数未达到时为 NaN
+ */
+function calculateKaplanMeier(time, event, alpha, ciType = 'log-log') {
+  const invalid = {
+    times: [],
+    atRisk: [],
+    events: [],
+    survival: [],
+    se: [],
+    ci_lower: [],
+    ci_upper: [],
+    median: NaN,
+    median_ci_lower: NaN,
+    median_ci_upper: NaN,
+    n: 0,
+    totalEvents: 0
+  }
+
+  const z_alpha = normalInverse(1 - alpha)
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+    return invalid
+  }
+
+  const records = normalizeSurvivalData(time, event)
+  if (records === null) {
+    return invalid
+  }
+  records.sort((a, b) => a.time - b.time)
+
+  const times = []
+  const atRisk = []
+  const events = []
+  const survival = []
+  const se = []
+  const ci_lower = []
+  const ci_upper = []
+
+  let nRisk = records.length
+  let s = 1
+  let greenwoodSum = 0
+  let totalEvents = 0
+
+  let i = 0
+  while (i < records.length) {
+    const t = records[i].time
+    let d = 0
+    let c = 0
+    while (i < records.length && records[i].time === t) {
+      if (records[i].event) d++
+      else c++
+      i++
+    }
+
+    if (d > 0) {
+      s *= 1 - d / nRisk
+      // n = d 时（最后一人发生事件）S = 0，Greenwood 项发散，方差按 0 处理
+      if (nRisk > d) {
+        greenwoodSum += d / (nRisk * (nRisk - d))
+      }
+      totalEvents += d
+
+      const seS = s * Math.sqrt(greenwoodSum)
+      let lower, upper
+      if (s <= 0) {
+        // S = 0 时对数类变换无定义（与 R survfit 的 NA 一致），plain 退化为 0
+        lower = ciType === 'plain' ? 0 : NaN
+        upper = ciType === 'plain' ? 0 : NaN
+      } else if (s >= 1) {
+        lower = 1
+        upper = 1
+      } else if (ciType === 'plain') {
+        lower = Math.max(0, s - z_alpha * seS)
+        upper = Math.min(1, s + z_alpha * seS)
+      } else if (ciType === 'log') {
+        const seLog = Math.sqrt(greenwoodSum)
+        lower = s * Math.exp(-z_alpha * seLog)
+        upper = Math.min(1, s * Math.exp(z_alpha * seLog))
+      } else {
+        const seLogLog = Math.sqrt(greenwoodSum) / Math.abs(Math.log(s))
+        lower = Math.pow(s, Math.exp(z_alpha * seLogLog))
+        upper = Math.pow(s, Math.exp(-z_alpha * seLogLog))
+      }
+
+      times.push(t)
+      atRisk.push(nRisk)
+      events.push(d)
+      survival.push(s)
+      se.push(seS)
+      ci_lower.push(lower)
+      ci_upper.push(upper)
+    }
+
+    nRisk -= d + c
+  }
+
+  return {
+    times,
+    atRisk,
+    events,
+    survival,
+    se,
+    ci_lower,
+    ci_upper,
+    median: findMedianCrossing(times, survival),
+    // Brookmeyer-Crowley: {t : 下置信带 ≤ 0.5 ≤ 上置信带}，
+    // 下置信带先跨过 0.5 给出下限，上置信带跨过 0.5 给出上限
+    median_ci_lower: findMedianCrossing(times, ci_lower),
+    median_ci_upper: findMedianCrossing(times, ci_upper),
+    n: records.length,
+    totalEvents
+  }
+}
+
+// ========================================================
+// Log-rank 检验与风险比
+// ========================================================
+
+/**
+ * Log-rank 检验统计量（按合并的不同事件时间逐点累计）
+ *
+ * @formula E₂ = Σ dⱼ n₂ⱼ / nⱼ
+ *          V  = Σ dⱼ n₁ⱼ n₂ⱼ (nⱼ - dⱼ) / [nⱼ² (nⱼ - 1)]
+ *          χ² = (O₂ - E₂)² / V，自由度 1
+ *
+ * @param {Array<{time: number, event: number, group: number}>} records - 整理后的记录
+ * @returns {{O1: number, E1: number, O2: number, E2: number, V: number}}
+ */
+function calculateLogRankStatistics(records) {
+  const sorted = [...records].sort((a, b) => a.time - b.time)
+
+  let n1 = sorted.filter(r => r.group === 1).length
+  let n2 = sorted.length - n1
+  let O1 = 0
+  let O2 = 0
+  let E1 = 0
+  let E2 = 0
+  let V = 0
+
+  let i = 0
+  while (i < sorted.length) {
+    const t = sorted[i].time
+    let d1 = 0
+    let d2 = 0
+    let leave1 = 0
+    let leave2 = 0
+    while (i < sorted.length && sorted[i].time === t) {
+      const r = sorted[i]
+      if (r.group === 1) {
+        leave1++
+        if (r.event) d1++
+      } else {
+        leave2++
+        if (r.event) d2++
+      }
+      i++
+    }
+
+    const n = n1 + n2
+    const d = d1 + d2
+    if (d > 0) {
+      O1 += d1
+      O2 += d2
+      E1 += (d * n1) / n
+      E2 += (d * n2) / n
+      if (n > 1) {
+        V += (d * n1 * n2 * (n - d)) / (n * n * (n - 1))
+      }
+    }
+
+    n1 -= leave1
+    n2 -= leave2
+  }
+
+  return { O1, E1, O2, E2, V }
+}
+
+/**
+ * 生存终点结果验证 (Log-rank 检验 + Pike 风险比)
+ *
+ * 判断标准（HR = 试验组/对照组风险比，HR < 1 表示试验组更优）:
+ * - 非劣效: HR 置信区间上限 < M
+ * - 优效:   HR 置信区间上限 < 1
+ *
+ * 风险比采用 Pike 估计 HR = (O₂/E₂) / (O₁/E₁)，ln HR 的标准误 √(1/E₁ + 1/E₂)。
+ * 优效 p 值为单侧 log-rank 检验 (试验组事件少于期望)，非劣效 p 值为 ln HR 对 ln M 的单侧 Wald 检验。
+ *
+ * @reference Peto R, Pike MC, et al. Br J Cancer. 1977;35(1):1-39.（Log-rank 检验）
+ * @reference Pike MC. J R Stat Soc Ser C. 1972;21(1):18-26.（O/E 风险比）
+ * @reference Berry G, Kitchin RM, Mock PA. Stat Med. 1991;10(5):749-755.（Pike 估计的偏倚与方差）
+ *
+ * @param {number[]} time - 生存/删失时间
+ * @param {Array<number|boolean>} event - 事件指示 (1 = 事件, 0 = 删失)
+ * @param {number[]} group - 分组 (1 = 对照组, 2 = 试验组)
+ * @param {number} margin - 非劣效界值 M（HR 尺度，> 1）；优效时忽略
+ * @param {number} alpha - 单侧显著性水平
+ * @param {'non-inferiority'|'superiority'} [studyType='non-inferiority'] - 检验类型
+ * @returns {object} - 检验结果 {hr, ci_lower, ci_upper, p_value, chiSquare, logrank_p_value,
+ *   isNonInferior, isSuperior, observed, expected, curves, ...}
+ */
+function calculateSurvivalResult(time, event, group, margin, alpha, studyType = 'non-inferiority') {
+  const isNI = studyType === 'non-inferiority'
+  const invalid = {
+    hr: NaN,
+    ci_lower: NaN,
+    ci_upper: NaN,
+    p_value: 1,
+    chiSquare: NaN,
+    logrank_p_value: NaN,
+    testStatistic: 0,
+    isNonInferior: false,
+    isSuperior: false
+  }
+
+  const z_alpha = normalInverse(1 - alpha)
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+    return invalid
+  }
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) {
+    return invalid
+  }
+
+  const records = normalizeSurvivalData(time, event, group)
+  if (records === null) {
+    return invalid
+  }
+
+  const controlRecords = records.filter(r => r.group === 1)
+  const treatRecords = records.filter(r => r.group === 2)
+  if (controlRecords.length === 0 || treatRecords.length === 0) {
+    return invalid
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: Log-rank 统计量
+  // ═══════════════════════════════════════════════════════════
+  const { O1, E1, O2, E2, V } = calculateLogRankStatistics(records)
+  if (E1 <= 0 || E2 <= 0 || V <= 0) {
+    return invalid
+  }
+
+  const z_logrank = (O2 - E2) / Math.sqrt(V)
+  const chiSquare = z_logrank * z_logrank
+  const logrank_p_value = 2 * normalSF(Math.abs(z_logrank))
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: Pike 风险比及其置信区间
+  // 任一组 O = 0 时 ln HR 不可估，CI 退化为 NaN
+  // ═══════════════════════════════════════════════════════════
+  const hr = O2 / E2 / (O1 / E1)
+  const logHR = Math.log(hr)
+  const seLogHR = Math.sqrt(1 / E1 + 1 / E2)
+  const ci_lower = isFinite(logHR) ? Math.exp(logHR - z_alpha * seLogHR) : NaN
+  const ci_upper = isFinite(logHR) ? Math.exp(logHR + z_alpha * seLogHR) : NaN
+
+  const isSuperior = ci_upper < 1
+  const isNonInferior = isNI ? ci_upper < margin : isSuperior
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 检验统计量与单侧 p 值
+  // ═══════════════════════════════════════════════════════════
+  let testStatistic, p_value, testStatisticType, df, testStatisticLabel
+  if (isNI) {
+    testStatistic = isFinite(logHR) ? (Math.log(margin) - logHR) / seLogHR : 0
+    p_value = isFinite(logHR) ? normalSF(testStatistic) : 1
+    testStatisticType = 'Z'
+    df = null
+    testStatisticLabel = `Z = ${testStatistic.toFixed(2)}`
+  } else {
+    testStatistic = chiSquare
+    p_value = normalSF(-z_logrank)
+    testStatisticType = 'χ²'
+    df = 1
+    testStatisticLabel = `χ²(1) = ${chiSquare.toFixed(2)}`
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 4: 各组 KM 曲线
+  // ═══════════════════════════════════════════════════════════
+  const curves = {
+    control: calculateKaplanMeier(
+      controlRecords.map(r => r.time),
+      controlRecords.map(r => r.event),
+      alpha
+    ),
+    treatment: calculateKaplanMeier(
+      treatRecords.map(r => r.time),
+      treatRecords.map(r => r.event),
+      alpha
+    )
+  }
+
+  return {
+    hr,
+    ci_lower,
+    ci_upper,
+    p_value,
+    chiSquare,
+    logrank_p_value,
+    testStatistic,
+    isNonInferior,
+    isSuperior,
+    observed: { control: O1, treatment: O2 },
+    expected: { control: E1, treatment: E2 },
+    variance: V,
+    median1: curves.control.median,
+    median2: curves.treatment.median,
+    curves,
+    // P0-3.0: 检验统计量元数据
+    testStatisticType,
+    df,
+    testStatisticLabel
+  }
+}
+
+export { calculateKaplanMeier, calculateSurvivalResult }
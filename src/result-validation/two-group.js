@@ -6,160 +6,31 @@
  */
 
 import { safeNumber, safeDivide } from '../core/safe-math.js'
-import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { normalCDF, normalSF, normalInverse } from '../core/normal-distribution.js'
 import { calculateWilsonCI } from '../core/confidence-interval.js'
 import { validateStatParams } from '../core/param-validator.js'
-
-// ========================================================
-// Farrington-Manning 方法辅助函数
-// ========================================================
-
-/**
- * 计算 Farrington-Manning 方法的 RMLE (Restricted Maximum Likelihood Estimate)
- * 在 H0: p2 - p1 = delta0 约束下的最大似然估计
- * @param {number} p1_obs - 观测到的对照组比例
- * @param {number} p2_obs - 观测到的试验组比例
- * @param {number} n1 - 对照组样本量
- * @param {number} n2 - 试验组样本量
- * @param {number} delta0 - 零假设下的差值 (如非劣效中的 -delta)
- * @returns {Object} {p1_rmle, p2_rmle} RMLE估计
- */
-function calculateFMRMLE(p1_obs, p2_obs, n1, n2, delta0) {
-  // 使用Newton-Raphson方法求解约束下的MLE
-  // 在 p2 - p1 = delta0 约束下，只需求解 p1
-  // 目标：最大化似然 L = p1^(n1*p1_obs) * (1-p1)^(n1*(1-p1_obs)) * p2^(n2*p2_obs) * (1-p2)^(n2*(1-p2_obs))
-  // 其中 p2 = p1 + delta0
-
-  // 合并比例的加权平均作为初始值
-  const p_pooled = (n1 * p1_obs + n2 * p2_obs) / (n1 + n2)
-  let p1_est = Math.max(0.001, Math.min(0.999, p_pooled - delta0 / 2))
-
-  // Newton-Raphson迭代
-  for (let iter = 0; iter < 20; iter++) {
-    const p2_est = p1_est + delta0
-
-    // 边界检查
-    if (p2_est <= 0 || p2_est >= 1 || p1_est <= 0 || p1_est >= 1) {
-      // 如果越界，使用简单的约束估计
-      p1_est = Math.max(0.001, Math.min(0.999 - delta0, p_pooled - delta0 / 2))
-      break
-    }
-
-    // Score equation: d(log L)/d(p1) = 0
-    // = n1*(p1_obs/p1 - (1-p1_obs)/(1-p1)) + n2*(p2_obs/p2 - (1-p2_obs)/(1-p2))
-    const score =
-      n1 * (p1_obs / p1_est - (1 - p1_obs) / (1 - p1_est)) +
-      n2 * (p2_obs / p2_est - (1 - p2_obs) / (1 - p2_est))
-
-    // 信息矩阵 (负的二阶导数)
-    const info =
-      n1 * (p1_obs / (p1_est * p1_est) + (1 - p1_obs) / ((1 - p1_est) * (1 - p1_est))) +
-      n2 * (p2_obs / (p2_est * p2_est) + (1 - p2_obs) / ((1 - p2_est) * (1 - p2_est)))
-
-    const delta_p = score / info
-    p1_est = p1_est + delta_p
-
-    // 收敛检查
-    if (Math.abs(delta_p) < 1e-8) break
-
-    // 边界约束
-    p1_est = Math.max(0.001, Math.min(0.999 - Math.max(0, delta0), p1_est))
-  }
-
-  const p2_est = Math.max(0.001, Math.min(0.999, p1_est + delta0))
-
-  return {
-    p1_rmle: p1_est,
-    p2_rmle: p2_est
-  }
-}
+import { tInverse, tSF, tCDF } from '../core/t-distribution.js'
+import {
+  PROPORTION_SCALES,
+  restrictedMLE,
+  ratioEstimate,
+  scoreStatistic,
+  scoreInterval
+} from '../core/proportion-score.js'
+import {
+  EXACT_METHODS,
+  fisherExactTest,
+  exactUnconditionalTest,
+  exactUnconditionalInterval
+} from '../core/exact-two-proportion.js'
+
+/** 连续终点临界值 / p 值所用分布: 't'（df = n1 + n2 - 2）/ 'normal'（旧版 z 近似） */
+const DISTRIBUTIONS = new Set(['t', 'normal'])
 
 // ========================================================
 // Miettinen-Nurminen 方法辅助函数 (精确概率法/Score方法)
 // ========================================================
 
-/**
- * 计算 Miettinen-Nurminen 方法的约束 MLE
- * 在 H0: p2 - p1 = delta0 约束下，通过数值优化获得 MLE
- * 参考: Miettinen & Nurminen (1985), Statistics in Medicine
- *
- * 使用数值优化方法（比解析三次方程更稳健）：
- * 最大化约束对数似然函数，约束条件 p2 = p1 + delta0
- *
- * @param {number} x1 - 对照组成功数
- * @param {number} n1 - 对照组样本量
- * @param {number} x2 - 试验组成功数
- * @param {number} n2 - 试验组样本量
- * @param {number} delta0 - 零假设差值
- * @returns {Object} {p1_mle, p2_mle} 约束 MLE
- */
-function calculateMNConstrainedMLE(x1, n1, x2, n2, delta0) {
-  const N = n1 + n2
-
-  // 特殊情况处理
-  if (Math.abs(delta0) < 1e-10) {
-    // delta0 ≈ 0 时，使用合并估计
-    const p_pooled = (x1 + x2) / N
-    return { p1_mle: p_pooled, p2_mle: p_pooled }
-  }
-
-  // 数值优化方法：最大化约束对数似然函数
-  // L(p1) = x1*log(p1) + (n1-x1)*log(1-p1) + x2*log(p1+delta0) + (n2-x2)*log(1-p1-delta0)
-  // 约束：p2 = p1 + delta0
-
-  // p1 的有效范围（确保 p1 和 p2 都在 (0, 1) 内）
-  const p1_min = Math.max(1e-8, -delta0 + 1e-8)
-  const p1_max = Math.min(1 - 1e-8, 1 - delta0 - 1e-8)
-
-  // 如果范围无效，返回边界值
-  if (p1_min >= p1_max) {
-    const p1_est = Math.max(1e-8, Math.min(1 - 1e-8, (p1_min + p1_max) / 2))
-    const p2_est = Math.max(1e-8, Math.min(1 - 1e-8, p1_est + delta0))
-    return { p1_mle: p1_est, p2_mle: p2_est }
-  }
-
-  // 对数似然函数对 p1 的导数（Score 方程）
-  // dL/dp1 = x1/p1 - (n1-x1)/(1-p1) + x2/(p1+delta0) - (n2-x2)/(1-p1-delta0)
-  const scoreFunc = p1 => {
-    const p2 = p1 + delta0
-    return x1 / p1 - (n1 - x1) / (1 - p1) + x2 / p2 - (n2 - x2) / (1 - p2)
-  }
-
-  // 检查边界处的导数符号
-  const score_lo = scoreFunc(p1_min)
-  const score_hi = scoreFunc(p1_max)
-
-  // 如果导数不变号，MLE 在边界
-  if (score_lo <= 0) {
-    return { p1_mle: p1_min, p2_mle: p1_min + delta0 }
-  }
-  if (score_hi >= 0) {
-    return { p1_mle: p1_max, p2_mle: p1_max + delta0 }
-  }
-
-  // 使用二分法找到 Score = 0 的点
-  let lo = p1_min
-  let hi = p1_max
-
-  for (let i = 0; i < 100; i++) {
-    const mid = (lo + hi) / 2
-    const score_mid = scoreFunc(mid)
-
-    if (Math.abs(score_mid) < 1e-12 || Math.abs(hi - lo) < 1e-12) {
-      return { p1_mle: mid, p2_mle: mid + delta0 }
-    }
-
-    if (score_mid > 0) {
-      lo = mid
-    } else {
-      hi = mid
-    }
-  }
-
-  const p1_est = (lo + hi) / 2
-  return { p1_mle: p1_est, p2_mle: p1_est + delta0 }
-}
-
 /**
  * 使用 Miettinen-Nurminen 方法计算率差的置信区间和 p 值
  * 这是 SAS PROC FREQ 中使用的 Score 方法（精确概率法）
@@ -177,20 +48,19 @@ function calculateMNResult(x1, n1, x2, n2, delta0, z_alpha) {
   const diff = p2_obs - p1_obs
 
   // 计算在 H0: delta = delta0 约束下的 MLE
-  const mle = calculateMNConstrainedMLE(x1, n1, x2, n2, delta0)
+  const mle = restrictedMLE(p1_obs, p2_obs, n1, n2, 'difference', delta0)
 
   // 计算 Score 统计量的方差 (Miettinen-Nurminen 公式)
   // V = p1_mle*(1-p1_mle)/n1 + p2_mle*(1-p2_mle)/n2
   // 加上校正因子 N/(N-1)，其中 N = n1 + n2
   const N = n1 + n2
   const correction = N / (N - 1)
-  const var_mn =
-    correction * ((mle.p1_mle * (1 - mle.p1_mle)) / n1 + (mle.p2_mle * (1 - mle.p2_mle)) / n2)
+  const var_mn = correction * ((mle.p1 * (1 - mle.p1)) / n1 + (mle.p2 * (1 - mle.p2)) / n2)
   const se_mn = Math.sqrt(var_mn)
 
   // Score 统计量
   const z_score = se_mn > 0 ? (diff - delta0) / se_mn : 0
-  const p_value = 1 - normalCDF(z_score)
+  const p_value = normalSF(z_score)
 
   // 通过反转检验构建置信区间
   // 使用二分搜索找到使 |z(delta)| = z_alpha 的 delta 值
@@ -223,9 +93,8 @@ function findMNCIBound(x1, n1, x2, n2, diff, z_alpha, bound) {
 
   // 计算给定 delta0 的 z 统计量
   const calcZ = delta0 => {
-    const mle = calculateMNConstrainedMLE(x1, n1, x2, n2, delta0)
-    const var_mn =
-      correction * ((mle.p1_mle * (1 - mle.p1_mle)) / n1 + (mle.p2_mle * (1 - mle.p2_mle)) / n2)
+    const mle = restrictedMLE(x1 / n1, x2 / n2, n1, n2, 'difference', delta0)
+    const var_mn = correction * ((mle.p1 * (1 - mle.p1)) / n1 + (mle.p2 * (1 - mle.p2)) / n2)
     const se_mn = Math.sqrt(Math.max(var_mn, 1e-12))
     return (diff - delta0) / se_mn
   }
@@ -283,9 +152,8 @@ function findMNCIBound(x1, n1, x2, n2, diff, z_alpha, bound) {
 function findFMCIBound(p1, p2, n1, n2, diff, z_alpha, bound) {
   // 给定 delta0 计算 FM score z 统计量（RMLE 方差，无 N/(N-1) 校正）
   const calcZ = delta0 => {
-    const rmle = calculateFMRMLE(p1, p2, n1, n2, delta0)
-    const var_fm =
-      (rmle.p1_rmle * (1 - rmle.p1_rmle)) / n1 + (rmle.p2_rmle * (1 - rmle.p2_rmle)) / n2
+    const rmle = restrictedMLE(p1, p2, n1, n2, 'difference', delta0)
+    const var_fm = (rmle.p1 * (1 - rmle.p1)) / n1 + (rmle.p2 * (1 - rmle.p2)) / n2
     const se_fm = Math.sqrt(Math.max(var_fm, 1e-12))
     return (diff - delta0) / se_fm
   }
@@ -339,16 +207,16 @@ function calculateFMResult(p1, p2, n1, n2, delta0, z_alpha) {
   const diff = p2 - p1
 
   // 计算在 H0 下的 RMLE
-  const rmle = calculateFMRMLE(p1, p2, n1, n2, delta0)
+  const rmle = restrictedMLE(p1, p2, n1, n2, 'difference', delta0)
 
   // 使用 RMLE 估计计算标准误
-  const var1 = (rmle.p1_rmle * (1 - rmle.p1_rmle)) / n1
-  const var2 = (rmle.p2_rmle * (1 - rmle.p2_rmle)) / n2
+  const var1 = (rmle.p1 * (1 - rmle.p1)) / n1
+  const var2 = (rmle.p2 * (1 - rmle.p2)) / n2
   const se_h0 = Math.sqrt(var1 + var2)
 
   // FM score 统计量
   const z_score = se_h0 > 0 ? (diff - delta0) / se_h0 : 0
-  const p_value = 1 - normalCDF(z_score)
+  const p_value = normalSF(z_score)
 
   // 通过反演 FM score 统计量构建置信区间（二分搜索，RMLE 方差、无 N/(N-1) 校正）
   const ci_lower = findFMCIBound(p1, p2, n1, n2, diff, z_alpha, 'lower')
@@ -363,24 +231,218 @@ function calculateFMResult(p1, p2, n1, n2, delta0, z_alpha) {
   }
 }
 
+/**
+ * 比值尺度（RR / OR）结果: Farrington-Manning RMLE score 检验 + Miettinen-Nurminen score 置信区间
+ * @param {number} p1 - 对照组比例
+ * @param {number} p2 - 试验组比例
+ * @param {number} n1 - 对照组样本量
+ * @param {number} n2 - 试验组样本量
+ * @param {number} theta0 - 零假设比值（非劣效界值 M，优效为 1）
+ * @param {number} z_alpha - 临界 z 值
+ * @param {'ratio'|'oddsRatio'} scale - 效应量尺度
+ * @returns {Object} {estimate, ci_lower, ci_upper, z_score, p_value}
+ */
+function calculateRatioScaleResult(p1, p2, n1, n2, theta0, z_alpha, scale) {
+  const z_score = scoreStatistic(p1, p2, n1, n2, scale, theta0)
+  const interval = scoreInterval(p1, p2, n1, n2, scale, z_alpha)
+  return {
+    estimate: ratioEstimate(p1, p2, scale),
+    ci_lower: interval.lower,
+    ci_upper: interval.upper,
+    z_score,
+    p_value: normalSF(z_score)
+  }
+}
+
+// ========================================================
+// 精确检验辅助函数 (Fisher / Barnard / Boschloo)
+// ========================================================
+
+/**
+ * 精确单侧检验 H0: p2 - p1 ≤ delta0（率差尺度，不做连续性校正）
+ * - fisher: 条件于合计的超几何上尾概率，仅适用于 delta0 = 0；CI 取 Barnard（score 排序）检验反演区间，
+ *   与 Fisher p 值的判定可能不一致
+ * - barnard: score 统计量排序的非条件检验（delta0 ≠ 0 即 Chan 1998 非劣效检验）
+ * - boschloo: Fisher p 值排序的非条件检验
+ * barnard / boschloo 的 CI 为同一排序统计量的检验反演区间，CI下限 > delta0 与 p 值 < α 一致
+ * （CI 精度 1e-6；每组上千例时耗时为秒级，见 core/exact-two-proportion）
+ * @param {number} n1 - 对照组样本量
+ * @param {number} s1 - 对照组成功数
+ * @param {number} n2 - 试验组样本量
+ * @param {number} s2 - 试验组成功数
+ * @param {number} delta0 - 零假设差值（非劣效为 -δ，优效为 0）
+ * @param {number} alpha - 单侧显著性水平
+ * @param {'fisher'|'barnard'|'boschloo'} method - 精确检验方法
+ * @returns {Object|null} {ci_lower, ci_upper, p_value, testStatistic, testStatisticLabel}；
+ *   四格表无效（非整数 / 越界）或 fisher 配合非零界值时返回 null
+ */
+function calculateExactTest(n1, s1, n2, s2, delta0, alpha, method) {
+  if (method === 'fisher' && delta0 !== 0) return null
+
+  const ordering = method === 'fisher' ? 'barnard' : method
+  const interval = exactUnconditionalInterval(s1, n1, s2, n2, alpha, ordering)
+  if (!isFinite(interval.lower) || !isFinite(interval.upper)) return null
+
+  if (method === 'fisher') {
+    return {
+      ci_lower: interval.lower,
+      ci_upper: interval.upper,
+      p_value: fisherExactTest(s1, n1, s2, n2),
+      testStatistic: s2,
+      testStatisticLabel: `X = ${s2}/${n2} vs ${s1}/${n1}`
+    }
+  }
+
+  const test = exactUnconditionalTest(s1, n1, s2, n2, delta0, method)
+  if (!isFinite(test.p_value)) return null
+  return {
+    ci_lower: interval.lower,
+    ci_upper: interval.upper,
+    p_value: test.p_value,
+    testStatistic: test.statistic,
+    testStatisticLabel:
+      method === 'barnard'
+        ? `Z = ${test.statistic.toFixed(2)}`
+        : `P_F = ${test.statistic.toFixed(4)}`
+  }
+}
+
+/**
+ * 精确检验结果（非劣效 / 优效，率差尺度）
+ * 判断标准: p 值 < α（精确检验以 p 值判定，CI 为检验反演区间）
+ * @param {number} n1 - 对照组样本量
+ * @param {number} s1 - 对照组成功数
+ * @param {number} n2 - 试验组样本量
+ * @param {number} s2 - 试验组成功数
+ * @param {number} delta0 - 零假设差值（非劣效为 -δ，优效为 0）
+ * @param {number} alpha - 单侧显著性水平
+ * @param {'fisher'|'barnard'|'boschloo'} method - 精确检验方法
+ * @returns {object} - 检验结果 {p1, p2, diff, estimate, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ */
+function calculateExactResult(n1, s1, n2, s2, delta0, alpha, method) {
+  const exact = calculateExactTest(n1, s1, n2, s2, delta0, alpha, method)
+  if (exact === null) {
+    return {
+      p1: 0,
+      p2: 0,
+      diff: 0,
+      ci_lower: 0,
+      ci_upper: 0,
+      p_value: 1,
+      testStatistic: 0,
+      isNonInferior: false
+    }
+  }
+
+  const p1 = s1 / n1
+  const p2 = s2 / n2
+  return {
+    p1,
+    p2,
+    diff: p2 - p1,
+    ci_lower: exact.ci_lower,
+    ci_upper: exact.ci_upper,
+    p_value: exact.p_value,
+    testStatistic: exact.testStatistic,
+    isNonInferior: exact.p_value < alpha, // 拒绝原假设 = 精确 p 值 < α
+    scale: 'difference',
+    estimate: p2 - p1,
+    // P0-3.0: 检验统计量元数据（精确检验无近似分布）
+    testStatisticType: 'exact',
+    df: null,
+    testStatisticLabel: exact.testStatisticLabel
+  }
+}
+
+/**
+ * 精确检验等效结果（TOST，率差尺度）
+ * 两个单侧非条件检验: H0: p2 - p1 ≤ -δ 与 H0: p2 - p1 ≥ δ（交换两组后按 -δ 检验），p = max(p₁, p₂)
+ * 判断标准: p 值 < α；fisher 仅适用于零界值，返回无效结果
+ * @param {number} n1 - 对照组样本量
+ * @param {number} s1 - 对照组成功数
+ * @param {number} n2 - 试验组样本量
+ * @param {number} s2 - 试验组成功数
+ * @param {number} delta - 等效界值
+ * @param {number} alpha - 单侧显著性水平
+ * @param {'fisher'|'barnard'|'boschloo'} method - 精确检验方法
+ * @returns {object} - 检验结果 {p1, p2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ */
+function calculateExactEqResult(n1, s1, n2, s2, delta, alpha, method) {
+  const lowerTest = calculateExactTest(n1, s1, n2, s2, -delta, alpha, method)
+  const upperTest =
+    method === 'fisher' ? null : exactUnconditionalTest(s2, n2, s1, n1, -delta, method)
+  if (lowerTest === null || upperTest === null || !isFinite(upperTest.p_value)) {
+    return {
+      p1: 0,
+      p2: 0,
+      diff: 0,
+      ci_lower: 0,
+      ci_upper: 0,
+      p_value: 1,
+      testStatistic: 0,
+      isNonInferior: false
+    }
+  }
+
+  const p1 = s1 / n1
+  const p2 = s2 / n2
+  const p_value = Math.max(lowerTest.p_value, upperTest.p_value)
+  let testStatistic, testStatisticLabel
+  if (method === 'barnard') {
+    // 交换两组后的 score 统计量取负即为原方向的上界检验统计量
+    const z1 = lowerTest.testStatistic
+    const z2 = -upperTest.statistic
+    testStatistic = (z1 + z2) / 2 // TOST 两侧 Z 统计量的平均值
+    testStatisticLabel = `Z₁ = ${z1.toFixed(2)}, Z₂ = ${z2.toFixed(2)}`
+  } else {
+    const pF1 = lowerTest.testStatistic
+    const pF2 = upperTest.statistic
+    testStatistic = Math.max(pF1, pF2) // 两侧 Fisher p 值中较大者
+    testStatisticLabel = `P_F₁ = ${pF1.toFixed(4)}, P_F₂ = ${pF2.toFixed(4)}`
+  }
+
+  return {
+    p1,
+    p2,
+    diff: p2 - p1,
+    ci_lower: lowerTest.ci_lower,
+    ci_upper: lowerTest.ci_upper,
+    p_value,
+    testStatistic,
+    isNonInferior: p_value < alpha, // 等效成立 = 两个单侧精确 p 值均 < α
+    // P0-3.0: 检验统计量元数据（精确 TOST）
+    testStatisticType: 'exact',
+    df: null,
+    testStatisticLabel
+  }
+}
+
 // ========================================================
 // 非劣效试验 (Non-Inferiority Trial)
 // ========================================================
 
 /**
  * 非劣效试验结果验证 (率终点)
- * 判断标准: CI下限 > -δ
+ * 判断标准: CI下限 > -δ（比值尺度: CI 下限 > M）
+ * 比值尺度 (scale = 'ratio' | 'oddsRatio') 固定使用 Farrington-Manning RMLE score 检验 H₀: θ ≤ M，
+ * 置信区间为 Miettinen-Nurminen score 区间，method 不适用
+ * 精确检验 (method = 'barnard' | 'boschloo') 为 Chan 1998 非零界值非条件检验，按精确 p 值 < α 判定；
+ * CI 为同一排序统计量的检验反演非条件区间（精度 1e-6，约 42 次完整 p 值计算，每组上千例时为秒级）；
+ * 'fisher' 仅适用于零界值，非劣效时直接返回无效结果（不计算 CI）
  * @param {number} n1 - 对照组样本量
  * @param {number} s1 - 对照组成功数
  * @param {number} n2 - 试验组样本量
  * @param {number} s2 - 试验组成功数
- * @param {number} delta - 非劣效界值 (率差，正值)
+ * @param {number} delta - 非劣效界值 (率差，正值；比值尺度为 RR / OR 界值，如 0.9)
  * @param {number} alpha - 单侧显著性水平
  * @param {boolean} [useContinuity=false] - 是否使用连续性校正
- * @param {'wald'|'fm'|'wilson'|'mn'} [method='wald'] - 置信区间计算方法
- * @returns {object} - 检验结果 {p1, p2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ * @param {'wald'|'fm'|'wilson'|'mn'|'fisher'|'barnard'|'boschloo'} [method='wald'] - 置信区间计算方法
+ *   （率差尺度）；'fisher' | 'barnard' | 'boschloo' 为精确检验（见 calculateExactTest）
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
+ * @returns {object} - 检验结果 {p1, p2, diff, estimate, ci_lower, ci_upper, p_value, isNonInferior, ...}：
+ *   estimate 与 ci_lower / ci_upper 为所选尺度上的估计（率差 / RR / OR）
  */
-function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method) {
+function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method, scale) {
   // 输入清洗
   n1 = safeNumber(n1, 1)
   s1 = safeNumber(s1, 0)
@@ -390,6 +452,7 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
   alpha = safeNumber(alpha, 0)
   useContinuity = useContinuity || false
   method = method || 'wald' // 默认使用Wald方法
+  scale = scale || 'difference'
 
   // 计算率
   let p1, p2
@@ -405,7 +468,13 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
   const z_alpha = normalInverse(1 - alpha)
 
   // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // 比值尺度另需界值为正的比值
+  if (
+    !validateStatParams({ alpha }).valid ||
+    !isFinite(z_alpha) ||
+    !PROPORTION_SCALES.has(scale) ||
+    (scale !== 'difference' && !(delta > 0))
+  ) {
     return {
       p1: 0,
       p2: 0,
@@ -418,9 +487,23 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
     }
   }
 
+  // 精确检验（率差尺度）: 按原始计数计算，忽略连续性校正
+  if (scale === 'difference' && EXACT_METHODS.has(method)) {
+    return calculateExactResult(n1, s1, n2, s2, -delta, alpha, method)
+  }
+
+  let estimate = diff
   let ci_lower, ci_upper, se, z_score, p_value
 
-  if (method === 'fm') {
+  if (scale !== 'difference') {
+    // 比值尺度: H0: θ ≤ M
+    const ratioResult = calculateRatioScaleResult(p1, p2, n1, n2, delta, z_alpha, scale)
+    estimate = ratioResult.estimate
+    ci_lower = ratioResult.ci_lower
+    ci_upper = ratioResult.ci_upper
+    z_score = ratioResult.z_score
+    p_value = ratioResult.p_value
+  } else if (method === 'fm') {
     // Farrington-Manning方法（推荐用于非劣效检验）
     // 使用RMLE在零假设约束下估计方差
     const fmResult = calculateFMResult(p1, p2, n1, n2, -delta, z_alpha)
@@ -453,7 +536,7 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
     const variance2 = safeDivide(p2 * (1 - p2), n2, 0)
     se = Math.sqrt(variance1 + variance2)
     z_score = safeDivide(diff + delta, se, 0)
-    p_value = 1 - normalCDF(z_score)
+    p_value = normalSF(z_score)
   } else if (method === 'mn') {
     // Miettinen-Nurminen方法（精确概率法/Score方法）
     // 与 SAS PROC FREQ 结果一致，国内器械临床常用
@@ -486,7 +569,7 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
     ci_lower = diff - z_alpha * se
     ci_upper = diff + z_alpha * se
     z_score = safeDivide(diff + delta, se, 0)
-    p_value = 1 - normalCDF(z_score)
+    p_value = normalSF(z_score)
   }
 
   return {
@@ -497,7 +580,9 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
     ci_upper,
     p_value,
     testStatistic: z_score,
-    isNonInferior: ci_lower > -delta,
+    isNonInferior: scale === 'difference' ? ci_lower > -delta : ci_lower > delta,
+    scale,
+    estimate,
     // P0-3.0: 检验统计量元数据
     testStatisticType: 'Z',
     df: null,
@@ -512,6 +597,7 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
 /**
  * 非劣效试验结果验证 (连续终点，基于 t 检验)
  * 判断标准: CI下限 > -δ
+ * 临界值与 p 值默认取 t 分布 (df = n1 + n2 - 2)；distribution = 'normal' 保留旧版正态近似
  * @param {number} n1 - 对照组样本量
  * @param {number} mean1 - 对照组均值
  * @param {number} sd1 - 对照组标准差
@@ -520,9 +606,22 @@ function calculateNIResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
  * @param {number} sd2 - 试验组标准差
  * @param {number} delta - 非劣效界值
  * @param {number} alpha - 单侧显著性水平
- * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
+ * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}；
+ *   testStatisticType / df / testStatisticLabel 按实际所用分布给出（'normal' 时为 Z，df 为 null），
+ *   distribution 未知时估计与 p 值均为 NaN
  */
-function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alpha) {
+function calculateNIResultContinuous(
+  n1,
+  mean1,
+  sd1,
+  n2,
+  mean2,
+  sd2,
+  delta,
+  alpha,
+  distribution = 't'
+) {
   // 输入清洗
   n1 = safeNumber(n1, 1)
   mean1 = safeNumber(mean1, 0)
@@ -533,6 +632,20 @@ function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
   delta = safeNumber(delta, 0)
   alpha = safeNumber(alpha, 0)
 
+  // 未知分布 → 拒绝计算（不回退到 t 分布）
+  if (!DISTRIBUTIONS.has(distribution)) {
+    return {
+      mean1: NaN,
+      mean2: NaN,
+      diff: NaN,
+      ci_lower: NaN,
+      ci_upper: NaN,
+      p_value: NaN,
+      testStatistic: NaN,
+      isNonInferior: false
+    }
+  }
+
   // 均值差
   const diff = mean2 - mean1
 
@@ -554,11 +667,12 @@ function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
     }
   }
 
-  // 使用正态近似（大样本）或t分布
-  // 大样本时z和t接近，这里用z简化
-  const z_alpha = normalInverse(1 - alpha)
-  // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // 临界值: t 分布（df = n1 + n2 - 2），distribution = 'normal' 时退回正态近似
+  const df = n1 + n2 - 2
+  const useT = distribution === 't'
+  const t_alpha = useT ? tInverse(1 - alpha, df) : normalInverse(1 - alpha)
+  // 统一参数验证（W8）：alpha 数学域外与临界值不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
+  if (!validateStatParams({ alpha }).valid || !isFinite(t_alpha)) {
     return {
       mean1,
       mean2,
@@ -571,14 +685,13 @@ function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
     }
   }
 
-  const ci_lower = diff - z_alpha * se
-  const ci_upper = diff + z_alpha * se
+  const ci_lower = diff - t_alpha * se
+  const ci_upper = diff + t_alpha * se
 
   // t分数和p值（非劣效检验）
   const t_score = safeDivide(diff + delta, se, 0)
-  const p_value = 1 - normalCDF(t_score)
+  const p_value = useT ? tSF(t_score, df) : normalSF(t_score)
 
-  const df = n1 + n2 - 2
   return {
     mean1,
     mean2,
@@ -589,9 +702,9 @@ function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
     testStatistic: t_score,
     isNonInferior: ci_lower > -delta,
     // P0-3.0: 检验统计量元数据
-    testStatisticType: 't',
-    df,
-    testStatisticLabel: `t(${df}) = ${t_score.toFixed(2)}`
+    testStatisticType: useT ? 't' : 'Z',
+    df: useT ? df : null,
+    testStatisticLabel: useT ? `t(${df}) = ${t_score.toFixed(2)}` : `Z = ${t_score.toFixed(2)}`
   }
 }
 
@@ -601,17 +714,26 @@ function calculateNIResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
 
 /**
  * 优效试验结果验证 (率终点)
- * 判断标准: CI下限 > 0
+ * 判断标准: CI下限 > 0（比值尺度: CI 下限 > 1）
+ * 比值尺度 (scale = 'ratio' | 'oddsRatio') 固定使用 Farrington-Manning RMLE score 检验 H₀: θ ≤ 1，
+ * 置信区间为 Miettinen-Nurminen score 区间，method 不适用
+ * 精确检验 (method = 'fisher' | 'barnard' | 'boschloo') 按精确 p 值 < α 判定，适用于稀疏事件；
+ * CI 为检验反演非条件区间（精度 1e-6，约 42 次完整 p 值计算，每组上千例时为秒级）。
+ * 'fisher' 没有对应的条件区间，报告的是 Barnard（score 排序）区间：耗时与 'barnard' 相同，
+ * 且 CI 下限 > 0 与 Fisher p 值 < α 可能不一致，判定以 Fisher p 值为准
  * @param {number} n1 - 对照组样本量
  * @param {number} s1 - 对照组成功数
  * @param {number} n2 - 试验组样本量
  * @param {number} s2 - 试验组成功数
  * @param {number} alpha - 单侧显著性水平
  * @param {boolean} [useContinuity=false] - 是否使用连续性校正
- * @param {'wald'|'fm'|'wilson'|'mn'} [method='wald'] - 置信区间计算方法
- * @returns {object} - 检验结果 {p1, p2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ * @param {'wald'|'fm'|'wilson'|'mn'|'fisher'|'barnard'|'boschloo'} [method='wald'] - 置信区间计算方法
+ *   （率差尺度）；'fisher' | 'barnard' | 'boschloo' 为精确检验（见 calculateExactTest）
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度
+ * @returns {object} - 检验结果 {p1, p2, diff, estimate, ci_lower, ci_upper, p_value, isNonInferior, ...}：
+ *   estimate 与 ci_lower / ci_upper 为所选尺度上的估计（率差 / RR / OR）
  */
-function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
+function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method, scale) {
   // 输入清洗
   n1 = safeNumber(n1, 1)
   s1 = safeNumber(s1, 0)
@@ -620,6 +742,7 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
   alpha = safeNumber(alpha, 0)
   useContinuity = useContinuity || false
   method = method || 'wald'
+  scale = scale || 'difference'
 
   // 计算率
   let p1, p2
@@ -635,7 +758,7 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
   const z_alpha = normalInverse(1 - alpha)
 
   // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha) || !PROPORTION_SCALES.has(scale)) {
     return {
       p1: 0,
       p2: 0,
@@ -648,9 +771,23 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
     }
   }
 
+  // 精确检验（率差尺度）: 按原始计数计算，忽略连续性校正
+  if (scale === 'difference' && EXACT_METHODS.has(method)) {
+    return calculateExactResult(n1, s1, n2, s2, 0, alpha, method)
+  }
+
+  let estimate = diff
   let ci_lower, ci_upper, se, z_score, p_value
 
-  if (method === 'fm') {
+  if (scale !== 'difference') {
+    // 比值尺度: H0: θ ≤ 1（θ₀ = 1 时 RMLE 为合并率）
+    const ratioResult = calculateRatioScaleResult(p1, p2, n1, n2, 1, z_alpha, scale)
+    estimate = ratioResult.estimate
+    ci_lower = ratioResult.ci_lower
+    ci_upper = ratioResult.ci_upper
+    z_score = ratioResult.z_score
+    p_value = ratioResult.p_value
+  } else if (method === 'fm') {
     // Farrington-Manning方法
     // 优效检验 H0: p2 - p1 <= 0，使用 delta0 = 0
     const fmResult = calculateFMResult(p1, p2, n1, n2, 0, z_alpha)
@@ -676,7 +813,7 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
     const variance2 = safeDivide(p2 * (1 - p2), n2, 0)
     se = Math.sqrt(variance1 + variance2)
     z_score = safeDivide(diff, se, 0)
-    p_value = 1 - normalCDF(z_score)
+    p_value = normalSF(z_score)
   } else if (method === 'mn') {
     // Miettinen-Nurminen方法（精确概率法/Score方法）
     // 优效检验 H0: p2 - p1 <= 0，使用 delta0 = 0
@@ -708,7 +845,7 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
     ci_lower = diff - z_alpha * se
     ci_upper = diff + z_alpha * se
     z_score = safeDivide(diff, se, 0)
-    p_value = 1 - normalCDF(z_score)
+    p_value = normalSF(z_score)
   }
 
   return {
@@ -719,7 +856,9 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
     ci_upper,
     p_value,
     testStatistic: z_score,
-    isNonInferior: ci_lower > 0, // 优效成立 = CI下限 > 0
+    isNonInferior: ci_lower > (scale === 'difference' ? 0 : 1), // 优效成立 = CI下限 > 0（比值尺度 > 1）
+    scale,
+    estimate,
     // P0-3.0: 检验统计量元数据
     testStatisticType: 'Z',
     df: null,
@@ -730,6 +869,7 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
 /**
  * 优效试验结果验证 (连续终点)
  * 判断标准: CI下限 > 0
+ * 临界值与 p 值默认取 t 分布 (df = n1 + n2 - 2)；distribution = 'normal' 保留旧版正态近似
  * @param {number} n1 - 对照组样本量
  * @param {number} mean1 - 对照组均值
  * @param {number} sd1 - 对照组标准差
@@ -737,9 +877,12 @@ function calculateSupResult(n1, s1, n2, s2, alpha, useContinuity, method) {
  * @param {number} mean2 - 试验组均值
  * @param {number} sd2 - 试验组标准差
  * @param {number} alpha - 单侧显著性水平
- * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
+ * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}；
+ *   testStatisticType / df / testStatisticLabel 按实际所用分布给出（'normal' 时为 Z，df 为 null），
+ *   distribution 未知时估计与 p 值均为 NaN
  */
-function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
+function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha, distribution = 't') {
   n1 = safeNumber(n1, 1)
   mean1 = safeNumber(mean1, 0)
   sd1 = safeNumber(sd1, 1)
@@ -748,6 +891,20 @@ function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
   sd2 = safeNumber(sd2, 1)
   alpha = safeNumber(alpha, 0)
 
+  // 未知分布 → 拒绝计算（不回退到 t 分布）
+  if (!DISTRIBUTIONS.has(distribution)) {
+    return {
+      mean1: NaN,
+      mean2: NaN,
+      diff: NaN,
+      ci_lower: NaN,
+      ci_upper: NaN,
+      p_value: NaN,
+      testStatistic: NaN,
+      isNonInferior: false
+    }
+  }
+
   const diff = mean2 - mean1
 
   const pooledVar = safeDivide((n1 - 1) * sd1 * sd1 + (n2 - 1) * sd2 * sd2, n1 + n2 - 2, 0)
@@ -766,9 +923,12 @@ function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
     }
   }
 
-  const z_alpha = normalInverse(1 - alpha)
-  // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // 临界值: t 分布（df = n1 + n2 - 2），distribution = 'normal' 时退回正态近似
+  const df_sup = n1 + n2 - 2
+  const useT = distribution === 't'
+  const t_alpha = useT ? tInverse(1 - alpha, df_sup) : normalInverse(1 - alpha)
+  // 统一参数验证（W8）：alpha 数学域外与临界值不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
+  if (!validateStatParams({ alpha }).valid || !isFinite(t_alpha)) {
     return {
       mean1,
       mean2,
@@ -781,13 +941,12 @@ function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
     }
   }
 
-  const ci_lower = diff - z_alpha * se
-  const ci_upper = diff + z_alpha * se
+  const ci_lower = diff - t_alpha * se
+  const ci_upper = diff + t_alpha * se
 
   const t_score = safeDivide(diff, se, 0)
-  const p_value = 1 - normalCDF(t_score)
+  const p_value = useT ? tSF(t_score, df_sup) : normalSF(t_score)
 
-  const df_sup = n1 + n2 - 2
   return {
     mean1,
     mean2,
@@ -798,9 +957,9 @@ function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
     testStatistic: t_score,
     isNonInferior: ci_lower > 0, // 优效成立 = CI下限 > 0
     // P0-3.0: 检验统计量元数据
-    testStatisticType: 't',
-    df: df_sup,
-    testStatisticLabel: `t(${df_sup}) = ${t_score.toFixed(2)}`
+    testStatisticType: useT ? 't' : 'Z',
+    df: useT ? df_sup : null,
+    testStatisticLabel: useT ? `t(${df_sup}) = ${t_score.toFixed(2)}` : `Z = ${t_score.toFixed(2)}`
   }
 }
 
@@ -818,7 +977,8 @@ function calculateSupResultContinuous(n1, mean1, sd1, n2, mean2, sd2, alpha) {
  * @param {number} delta - 等效界值
  * @param {number} alpha - 单侧显著性水平（TOST 每个单侧检验的 α，如 0.025，对应 95% CI；与样本量计算 calculateEqSampleSize 约定一致）
  * @param {boolean} [useContinuity=false] - 是否使用连续性校正
- * @param {'wald'|'fm'|'wilson'|'mn'} [method='wald'] - 置信区间计算方法
+ * @param {'wald'|'fm'|'wilson'|'mn'|'barnard'|'boschloo'} [method='wald'] - 置信区间计算方法；
+ *   'barnard' | 'boschloo' 为精确非条件 TOST，按 p 值 < α 判定（'fisher' 不适用于非零界值）
  * @returns {object} - 检验结果 {p1, p2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
  */
 function calculateEqResult(n1, s1, n2, s2, delta, alpha, useContinuity, method) {
@@ -863,6 +1023,11 @@ function calculateEqResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
     }
   }
 
+  // 精确检验: 按原始计数计算，忽略连续性校正
+  if (EXACT_METHODS.has(method)) {
+    return calculateExactEqResult(n1, s1, n2, s2, delta, alpha, method)
+  }
+
   let ci_lower, ci_upper, se
 
   if (method === 'fm') {
@@ -921,7 +1086,7 @@ function calculateEqResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
   // Test 2: H0: diff ≥ δ vs H1: diff < δ（左尾检验）
   const z1 = safeDivide(diff + delta, se, 0) // 下界检验统计量
   const z2 = safeDivide(diff - delta, se, 0) // 上界检验统计量
-  const p1_value = 1 - normalCDF(z1) // 右尾P值
+  const p1_value = normalSF(z1) // 右尾P值
   const p2_value = normalCDF(z2) // 左尾P值
   const p_value = Math.max(p1_value, p2_value) // 取较大的P值
 
@@ -944,6 +1109,7 @@ function calculateEqResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
 /**
  * 等效试验结果验证 (连续终点，TOST 双单侧检验)
  * 判断标准: -δ < CI下限 且 CI上限 < δ
+ * 临界值与 p 值默认取 t 分布 (df = n1 + n2 - 2)；distribution = 'normal' 保留旧版正态近似
  * @param {number} n1 - 对照组样本量
  * @param {number} mean1 - 对照组均值
  * @param {number} sd1 - 对照组标准差
@@ -952,9 +1118,22 @@ function calculateEqResult(n1, s1, n2, s2, delta, alpha, useContinuity, method)
  * @param {number} sd2 - 试验组标准差
  * @param {number} delta - 等效界值
  * @param {number} alpha - 单侧显著性水平（TOST 每个单侧检验的 α，如 0.025，对应 95% CI；与样本量计算 calculateEqSampleSize 约定一致）
- * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}
+ * @param {'t'|'normal'} [distribution='t'] - 临界值/p 值所用分布（'normal' 为旧版 z 近似）
+ * @returns {object} - 检验结果 {mean1, mean2, diff, ci_lower, ci_upper, p_value, isNonInferior, ...}；
+ *   testStatisticType / df / testStatisticLabel 按实际所用分布给出（'normal' 时为 Z，df 为 null），
+ *   distribution 未知时估计与 p 值均为 NaN
  */
-function calculateEqResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alpha) {
+function calculateEqResultContinuous(
+  n1,
+  mean1,
+  sd1,
+  n2,
+  mean2,
+  sd2,
+  delta,
+  alpha,
+  distribution = 't'
+) {
   n1 = safeNumber(n1, 1)
   mean1 = safeNumber(mean1, 0)
   sd1 = safeNumber(sd1, 1)
@@ -964,6 +1143,20 @@ function calculateEqResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
   delta = safeNumber(delta, 0)
   alpha = safeNumber(alpha, 0)
 
+  // 未知分布 → 拒绝计算（不回退到 t 分布）
+  if (!DISTRIBUTIONS.has(distribution)) {
+    return {
+      mean1: NaN,
+      mean2: NaN,
+      diff: NaN,
+      ci_lower: NaN,
+      ci_upper: NaN,
+      p_value: NaN,
+      testStatistic: NaN,
+      isNonInferior: false
+    }
+  }
+
   const diff = mean2 - mean1
 
   const pooledVar = safeDivide((n1 - 1) * sd1 * sd1 + (n2 - 1) * sd2 * sd2, n1 + n2 - 2, 0)
@@ -985,10 +1178,12 @@ function calculateEqResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
   // 等效检验TOST方法（alpha 为单侧 α，与样本量计算 calculateEqSampleSize 约定一致）:
   // - alpha: 单侧显著性水平（TOST 每个单侧检验的 α，如 0.025）
   // - 置信区间: (1-2·alpha)×100% CI (如 α=0.025 对应 95% CI)
-  // - z值: Φ⁻¹(1 - alpha)
-  const z_alpha = normalInverse(1 - alpha)
-  // 统一参数验证（W8）：alpha 数学域外与 z 不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
-  if (!validateStatParams({ alpha }).valid || !isFinite(z_alpha)) {
+  // - 临界值: t_{1-alpha, n1+n2-2}；distribution = 'normal' 时为 Φ⁻¹(1 - alpha)
+  const df_eq = n1 + n2 - 2
+  const useT = distribution === 't'
+  const t_alpha = useT ? tInverse(1 - alpha, df_eq) : normalInverse(1 - alpha)
+  // 统一参数验证（W8）：alpha 数学域外与临界值不可算同判（belt-and-suspenders，行为等价，沿用既有 fallback 形态）
+  if (!validateStatParams({ alpha }).valid || !isFinite(t_alpha)) {
     return {
       mean1,
       mean2,
@@ -1001,19 +1196,18 @@ function calculateEqResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
     }
   }
 
-  const ci_lower = diff - z_alpha * se
-  const ci_upper = diff + z_alpha * se
+  const ci_lower = diff - t_alpha * se
+  const ci_upper = diff + t_alpha * se
 
   // TOST方法: 两个单侧检验
   // Test 1: H0: diff ≤ -δ vs H1: diff > -δ（右尾检验）
   // Test 2: H0: diff ≥ δ vs H1: diff < δ（左尾检验）
   const t1 = safeDivide(diff + delta, se, 0)
   const t2 = safeDivide(diff - delta, se, 0)
-  const p1_value = 1 - normalCDF(t1) // 右尾P值
-  const p2_value = normalCDF(t2) // 左尾P值
+  const p1_value = useT ? tSF(t1, df_eq) : normalSF(t1) // 右尾P值
+  const p2_value = useT ? tCDF(t2, df_eq) : normalCDF(t2) // 左尾P值
   const p_value = Math.max(p1_value, p2_value)
 
-  const df_eq = n1 + n2 - 2
   return {
     mean1,
     mean2,
@@ -1024,9 +1218,11 @@ function calculateEqResultContinuous(n1, mean1, sd1, n2, mean2, sd2, delta, alph
     testStatistic: (t1 + t2) / 2, // TOST 两侧 t 统计量的平均值
     isNonInferior: ci_lower > -delta && ci_upper < delta, // 等效成立条件
     // P0-3.0: 检验统计量元数据（TOST 双侧检验）
-    testStatisticType: 't',
-    df: df_eq,
-    testStatisticLabel: `t₁(${df_eq}) = ${t1.toFixed(2)}, t₂(${df_eq}) = ${t2.toFixed(2)}`
+    testStatisticType: useT ? 't' : 'Z',
+    df: useT ? df_eq : null,
+    testStatisticLabel: useT
+      ? `t₁(${df_eq}) = ${t1.toFixed(2)}, t₂(${df_eq}) = ${t2.toFixed(2)}`
+      : `Z₁ = ${t1.toFixed(2)}, Z₂ = ${t2.toFixed(2)}`
   }
 }
 
@@ -0,0 +1,105 @@
+/**
+ * @module sample-size/ancova
+ * @description 基线协变量校正（ANCOVA）- 连续终点方差缩减因子 (1 − ρ²) 与小样本自由度校正
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Borm GF, Fransen J, Lemmens WA. A simple sample size formula for analysis of covariance
+ *     in randomized clinical trials. J Clin Epidemiol. 2007;60(12):1234-1238.
+ *     DOI: 10.1016/j.jclinepi.2007.02.006（n_ANCOVA = (1 − ρ²)·n_t-test）
+ * [2] EMA. Guideline on adjustment for baseline covariates in clinical trials.
+ *     EMA/CHMP/295050/2013; 2015.
+ * [3] Shieh G. Power analysis and sample size planning in ANCOVA designs. Psychometrika.
+ *     2020;85(1):101-120.（随机协变量下处理效应方差的期望与 df = N − 2 − q）
+ *
+ * @formula ρ 为基线与结局的相关系数，q 为协变量个数，N = n₁ + n₂
+ *   残差方差 σ²_adj = σ²(1 − ρ²)
+ *   z 法（Borm）: SE = σ√(1 − ρ²)·√(1/n₁ + 1/n₂)，样本量 / 功效 / MDE 均另乘小样本膨胀
+ *   小样本校正（t 法）: df = N − 2 − q，
+ *     E[Var(θ̂)] = σ²(1 − ρ²)(1/n₁ + 1/n₂)·(N − 3)/(N − 3 − q)（协变量组间不平衡的期望膨胀）
+ *
+ * @note ancova 选项为 null / undefined 时不做校正，结果与两样本 t 检验完全一致
+ */
+
+/**
+ * 校验 ANCOVA 选项
+ * @param {{correlation: number, covariates?: number}|null|undefined} ancova -
+ *   correlation 为基线-结局相关系数 ρ（−1 < ρ < 1），covariates 为协变量个数 q（默认 1）
+ * @returns {boolean} 未提供或有效时为 true
+ */
+function isValidAncova(ancova) {
+  if (ancova === null || ancova === undefined) return true
+  if (typeof ancova !== 'object') return false
+  const { correlation, covariates = 1 } = ancova
+  if (!(Number.isFinite(correlation) && correlation > -1 && correlation < 1)) return false
+  return Number.isInteger(covariates) && covariates >= 1
+}
+
+/**
+ * 方差缩减因子 1 − ρ²（未提供 ANCOVA 选项时为 1）
+ * @param {{correlation: number, covariates?: number}|null|undefined} ancova
+ * @returns {number}
+ */
+function ancovaVarianceFactor(ancova) {
+  if (ancova === null || ancova === undefined) return 1
+  return 1 - ancova.correlation * ancova.correlation
+}
+
+/**
+ * 小样本方差膨胀因子 (N − 3)/(N − 3 − q)（未提供 ANCOVA 选项时为 1）
+ * @param {number} total - 总样本量 N = n₁ + n₂
+ * @param {{correlation: number, covariates?: number}|null|undefined} ancova
+ * @returns {number} 自由度不足（N − 3 − q < 1）时为 NaN
+ */
+function ancovaInflation(total, ancova) {
+  if (ancova === null || ancova === undefined) return 1
+  const covariates = ancova.covariates === undefined ? 1 : ancova.covariates
+  const df = total - 2 - covariates
+  if (df < 2) return NaN
+  return (total - 3) / (df - 1)
+}
+
+/**
+ * z 法样本量的小样本校正: 最小 n₁ 使 n₁ / 膨胀(N) ≥ n₁_raw（N = n₁(1 + k)，与功效 / MDE 反推一致）
+ * 膨胀因子随 N 单调递减，由 ⌈n₁_raw⌉ 逐一递增；自由度不足（膨胀为 NaN）视为未达标
+ *
+ * @param {number} n1Raw - z 公式样本量（方差已含 1 − ρ²）
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {{correlation: number, covariates?: number}|null|undefined} ancova - ANCOVA 选项
+ * @returns {number} 对照组样本量 n₁；未提供 ANCOVA 选项时为 ⌈n₁_raw⌉
+ */
+function ancovaSampleSize(n1Raw, ratio, ancova) {
+  let n1 = Math.ceil(n1Raw)
+  while (!(n1 >= n1Raw * ancovaInflation(n1 * (1 + ratio), ancova))) n1++
+  return n1
+}
+
+/**
+ * t 法的均值差标准误与自由度（含小样本校正）
+ *
+ * @param {number} sigma - 结局标准差 σ
+ * @param {number} n1 - 对照组样本量
+ * @param {number} n2 - 试验组样本量
+ * @param {{correlation: number, covariates?: number}|null|undefined} ancova - ANCOVA 选项
+ * @returns {{se: number, df: number}} 自由度不足（N − 3 − q < 1）时均为 NaN
+ */
+function ancovaStandardError(sigma, n1, n2, ancova) {
+  const total = n1 + n2
+  if (ancova === null || ancova === undefined) {
+    return { se: sigma * Math.sqrt(1 / n1 + 1 / n2), df: total - 2 }
+  }
+  const inflation = ancovaInflation(total, ancova)
+  if (Number.isNaN(inflation)) return { se: NaN, df: NaN }
+  const covariates = ancova.covariates === undefined ? 1 : ancova.covariates
+  const se = sigma * Math.sqrt(ancovaVarianceFactor(ancova) * (1 / n1 + 1 / n2) * inflation)
+  return { se, df: total - 2 - covariates }
+}
+
+export {
+  isValidAncova,
+  ancovaVarianceFactor,
+  ancovaInflation,
+  ancovaSampleSize,
+  ancovaStandardError
+}
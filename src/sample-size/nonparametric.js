@@ -0,0 +1,311 @@
+/**
+ * @module sample-size/nonparametric
+ * @description 非参数检验样本量与功效 - Wilcoxon-Mann-Whitney 两样本检验、Wilcoxon 符号秩检验
+ *   （Noether 法与 ARE 校正 t 检验法）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Noether GE. Sample size determination for some common nonparametric tests.
+ *     J Am Stat Assoc. 1987;82(398):645-647. DOI: 10.1080/01621459.1987.10478478
+ * [2] Lehmann EL. Nonparametrics: Statistical Methods Based on Ranks. Holden-Day; 1975.
+ *     Chapter 2, Section 4.（渐近相对效率 ARE）
+ * [3] Faul F, Erdfelder E, Lang AG, Buchner A. G*Power 3. Behav Res Methods. 2007;39(2):175-191.
+ *     （ARE 法: 以 N·ARE 代入非中心 t 分布）
+ *
+ * @formula
+ *   Mann-Whitney（Noether）: p = P(X < Y)，X 为对照组、Y 为试验组，k = n₂/n₁
+ *     n₁ = (1 + k)(Z_{1−α} + Z_{1−β})² / [12k(p − 1/2)²]
+ *     功效 = Φ(|p − 1/2|·√[12k·n₁/(1 + k)] − Z_{1−α})
+ *   符号秩（Noether）: p′ = P(D + D′ > 0)，D、D′ 为两个独立配对差值
+ *     n = (Z_{1−α} + Z_{1−β})² / [3(p′ − 1/2)²]
+ *     功效 = Φ(|p′ − 1/2|·√(3n) − Z_{1−α})
+ *   ARE 法: 有效样本量 n·ARE 代入 t 检验精确功效
+ *     两样本 λ = |Δ| / [σ√((1/n₁ + 1/n₂)/ARE)]，ν = (n₁ + n₂)·ARE − 2
+ *     配对   λ = |Δ|·√(n·ARE) / σ_d，ν = n·ARE − 1
+ *   ARE（相对 t 检验）: 正态 3/π，Logistic π²/9，Laplace 3/2，均匀 1，下界 0.864（108/125）
+ *
+ * @note alpha 为单侧显著性水平；正态位移模型下 p = Φ(Δ/(σ√2))、p′ = Φ(√2·Δ/σ_d)
+ */
+
+import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { calculateTTestPower, searchSampleSizeT } from './t-power.js'
+
+/** 各分布下 Wilcoxon 检验相对 t 检验的渐近相对效率 */
+const ARE_BY_DISTRIBUTION = {
+  normal: 3 / Math.PI,
+  logistic: (Math.PI * Math.PI) / 9,
+  laplace: 1.5,
+  uniform: 1,
+  conservative: 108 / 125
+}
+
+/** 支持的方法 */
+const NONPARAMETRIC_METHODS = new Set(['noether', 'are'])
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 解析 ARE: 分布名称或直接给定的数值（0 < ARE）
+ * @param {string|number} are
+ * @returns {number} ARE；无效时返回 NaN
+ */
+function resolveARE(are) {
+  if (typeof are === 'number') return Number.isFinite(are) && are > 0 ? are : NaN
+  return Object.prototype.hasOwnProperty.call(ARE_BY_DISTRIBUTION, are)
+    ? ARE_BY_DISTRIBUTION[are]
+    : NaN
+}
+
+/**
+ * 概率型效应量校验: p ∈ (0, 1) 且 p ≠ 1/2
+ * @param {number} probability
+ * @returns {boolean}
+ */
+function isValidProbabilityEffect(probability) {
+  return (
+    Number.isFinite(probability) &&
+    probability > 0 &&
+    probability < 1 &&
+    Math.abs(probability - 0.5) > 1e-10
+  )
+}
+
+/**
+ * 均值差型效应量校验（ARE 法）
+ * @param {number} meanDiff
+ * @param {number} sigma
+ * @returns {boolean}
+ */
+function isValidShift(meanDiff, sigma) {
+  return (
+    Number.isFinite(meanDiff) && Math.abs(meanDiff) > 1e-10 && Number.isFinite(sigma) && sigma > 0
+  )
+}
+
+/**
+ * 两样本 ARE 法功效
+ * @returns {number}
+ */
+function twoSampleAREPower(meanDiff, sigma, n1, n2, are, alpha) {
+  const se = sigma * Math.sqrt((1 / n1 + 1 / n2) / are)
+  return calculateTTestPower(Math.abs(meanDiff) / se, (n1 + n2) * are - 2, alpha)
+}
+
+/**
+ * 配对 ARE 法功效
+ * @returns {number}
+ */
+function pairedAREPower(meanDiff, sigma, n, are, alpha) {
+  return calculateTTestPower((Math.abs(meanDiff) * Math.sqrt(n * are)) / sigma, n * are - 1, alpha)
+}
+
+// ═══════════════════════════════════════════════════════════
+// Mann-Whitney 两样本检验
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Wilcoxon-Mann-Whitney 两样本检验样本量
+ *
+ * @param {Object} params - 样本量参数
+ * @param {'noether'|'are'} [params.method='noether'] - Noether 法（按 P(X < Y)）或 ARE 校正 t 检验法
+ * @param {number} [params.probability] - P(X < Y)，X 为对照组、Y 为试验组（Noether 法）
+ * @param {number} [params.meanDiff] - 位移 Δ（ARE 法）
+ * @param {number} [params.sigma] - 标准差 σ（ARE 法）
+ * @param {'normal'|'logistic'|'laplace'|'uniform'|'conservative'|number} [params.are='normal'] -
+ *   分布形状对应的 ARE，或直接给定数值（ARE 法）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n₂/n₁
+ * @returns {{n1: number, n2: number, method: string}} 参数无效时 n1 / n2 为 NaN
+ *
+ * @example
+ * // 住院天数: 试验组更短的概率 P(X < Y) = 0.35（Noether）
+ * calculateMannWhitneySampleSize({ probability: 0.35, alpha: 0.025, power: 0.8 })
+ * // ARE 法: Δ = 1.5 天，σ = 3 天，Laplace 型重尾分布
+ * calculateMannWhitneySampleSize({
+ *   method: 'are', meanDiff: 1.5, sigma: 3, are: 'laplace', alpha: 0.025, power: 0.8
+ * })
+ */
+function calculateMannWhitneySampleSize(params) {
+  const {
+    method = 'noether',
+    probability,
+    meanDiff,
+    sigma,
+    are = 'normal',
+    alpha,
+    power,
+    ratio = 1
+  } = params
+
+  const invalid = { n1: NaN, n2: NaN, method }
+
+  if (!NONPARAMETRIC_METHODS.has(method)) return invalid
+  if (!validateStatParams({ alpha, power, ratio }).valid) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) return invalid
+
+  let n1
+  if (method === 'noether') {
+    if (!isValidProbabilityEffect(probability)) return invalid
+    const shift = probability - 0.5
+    n1 = Math.ceil(((1 + ratio) * Math.pow(z_alpha + z_beta, 2)) / (12 * ratio * shift * shift))
+  } else {
+    const efficiency = resolveARE(are)
+    if (!isValidShift(meanDiff, sigma) || Number.isNaN(efficiency)) return invalid
+    const start =
+      (Math.pow(z_alpha + z_beta, 2) * sigma * sigma * (1 + 1 / ratio)) /
+      (meanDiff * meanDiff * efficiency)
+    n1 = searchSampleSizeT(
+      m => twoSampleAREPower(meanDiff, sigma, m, m * ratio, efficiency, alpha),
+      start,
+      power
+    )
+  }
+
+  return { n1, n2: Math.ceil(n1 * ratio), method }
+}
+
+/**
+ * Wilcoxon-Mann-Whitney 两样本检验功效
+ *
+ * @param {Object} params - 功效参数（效应参数同 calculateMannWhitneySampleSize）
+ * @param {'noether'|'are'} [params.method='noether'] - 计算方法
+ * @param {number} [params.probability] - P(X < Y)（Noether 法）
+ * @param {number} [params.meanDiff] - 位移 Δ（ARE 法）
+ * @param {number} [params.sigma] - 标准差 σ（ARE 法）
+ * @param {string|number} [params.are='normal'] - ARE（ARE 法）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.n1 - 对照组例数
+ * @param {number} [params.n2=n1] - 试验组例数
+ * @returns {{power: number, method: string}} 参数无效时 power 为 NaN
+ */
+function calculateMannWhitneyPower(params) {
+  const {
+    method = 'noether',
+    probability,
+    meanDiff,
+    sigma,
+    are = 'normal',
+    alpha,
+    n1,
+    n2 = n1
+  } = params
+
+  const invalid = { power: NaN, method }
+
+  if (!NONPARAMETRIC_METHODS.has(method)) return invalid
+  if (!validateStatParams({ alpha, n1, n2 }).valid) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) return invalid
+
+  if (method === 'noether') {
+    if (!isValidProbabilityEffect(probability)) return invalid
+    const ratio = n2 / n1
+    const power = normalCDF(
+      Math.abs(probability - 0.5) * Math.sqrt((12 * ratio * n1) / (1 + ratio)) - z_alpha
+    )
+    return { power, method }
+  }
+
+  const efficiency = resolveARE(are)
+  if (!isValidShift(meanDiff, sigma) || Number.isNaN(efficiency)) return invalid
+  return { power: twoSampleAREPower(meanDiff, sigma, n1, n2, efficiency, alpha), method }
+}
+
+// ═══════════════════════════════════════════════════════════
+// Wilcoxon 符号秩检验（配对）
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * Wilcoxon 符号秩检验（配对设计）样本量
+ *
+ * @param {Object} params - 样本量参数
+ * @param {'noether'|'are'} [params.method='noether'] - Noether 法或 ARE 校正配对 t 检验法
+ * @param {number} [params.probability] - p′ = P(D + D′ > 0)，D 为配对差值（Noether 法）
+ * @param {number} [params.meanDiff] - 配对差值均值 Δ（ARE 法）
+ * @param {number} [params.sigma] - 配对差值标准差 σ_d（ARE 法）
+ * @param {string|number} [params.are='normal'] - ARE（ARE 法）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @returns {{n: number, method: string}} 对子数；参数无效时 n 为 NaN
+ *
+ * @example
+ * calculateSignedRankSampleSize({ probability: 0.7, alpha: 0.025, power: 0.8 })
+ */
+function calculateSignedRankSampleSize(params) {
+  const { method = 'noether', probability, meanDiff, sigma, are = 'normal', alpha, power } = params
+
+  const invalid = { n: NaN, method }
+
+  if (!NONPARAMETRIC_METHODS.has(method)) return invalid
+  if (!validateStatParams({ alpha, power }).valid) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) return invalid
+
+  if (method === 'noether') {
+    if (!isValidProbabilityEffect(probability)) return invalid
+    const shift = probability - 0.5
+    return { n: Math.ceil(Math.pow(z_alpha + z_beta, 2) / (3 * shift * shift)), method }
+  }
+
+  const efficiency = resolveARE(are)
+  if (!isValidShift(meanDiff, sigma) || Number.isNaN(efficiency)) return invalid
+  const start = (Math.pow(z_alpha + z_beta, 2) * sigma * sigma) / (meanDiff * meanDiff * efficiency)
+  const n = searchSampleSizeT(
+    m => pairedAREPower(meanDiff, sigma, m, efficiency, alpha),
+    start,
+    power
+  )
+  return { n, method }
+}
+
+/**
+ * Wilcoxon 符号秩检验（配对设计）功效
+ *
+ * @param {Object} params - 功效参数（效应参数同 calculateSignedRankSampleSize）
+ * @param {'noether'|'are'} [params.method='noether'] - 计算方法
+ * @param {number} [params.probability] - p′ = P(D + D′ > 0)（Noether 法）
+ * @param {number} [params.meanDiff] - 配对差值均值 Δ（ARE 法）
+ * @param {number} [params.sigma] - 配对差值标准差 σ_d（ARE 法）
+ * @param {string|number} [params.are='normal'] - ARE（ARE 法）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.n - 对子数
+ * @returns {{power: number, method: string}} 参数无效时 power 为 NaN
+ */
+function calculateSignedRankPower(params) {
+  const { method = 'noether', probability, meanDiff, sigma, are = 'normal', alpha, n } = params
+
+  const invalid = { power: NaN, method }
+
+  if (!NONPARAMETRIC_METHODS.has(method)) return invalid
+  if (!validateStatParams({ alpha, n }).valid) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) return invalid
+
+  if (method === 'noether') {
+    if (!isValidProbabilityEffect(probability)) return invalid
+    return {
+      power: normalCDF(Math.abs(probability - 0.5) * Math.sqrt(3 * n) - z_alpha),
+      method
+    }
+  }
+
+  const efficiency = resolveARE(are)
+  if (!isValidShift(meanDiff, sigma) || Number.isNaN(efficiency)) return invalid
+  return { power: pairedAREPower(meanDiff, sigma, n, efficiency, alpha), method }
+}
+
+export {
+  ARE_BY_DISTRIBUTION,
+  calculateMannWhitneySampleSize,
+  calculateMannWhitneyPower,
+  calculateSignedRankSampleSize,
+  calculateSignedRankPower
+}
@@ -8,6 +8,17 @@
 import { safeNumber, safeDivide } from '../core/safe-math.js'
 import { normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import { binomialSF } from '../core/binomial.js'
+import { CONTINUOUS_METHODS, calculateTTestPower, searchSampleSizeT } from './t-power.js'
+
+/** 单组率终点方法: 'normal' 正态近似公式 / 'exact' 精确二项 */
+const PROPORTION_METHODS = new Set(['normal', 'exact'])
+
+/** 精确二项逐例搜索的样本量上限（超过视为不可达） */
+const EXACT_MAX_SAMPLE_SIZE = 1e5
+
+/** 功效曲线单次允许的最大点数 */
+const PROFILE_MAX_POINTS = 1e4
 
 // ========================================================
 // 单组试验 (Single-Arm Trial / One-Sample Test)
@@ -16,15 +27,18 @@ import { validateStatParams } from '../core/param-validator.js'
 /**
  * 单组试验样本量计算 (率终点)
  * H0: p ≤ p0, H1: p > p0（单侧检验）
+ * method='exact' 时按精确二项检验逐例搜索（见 calculateOneSampleSizeExact），仅支持 p1 > p0
  * @param {number} p0 - 历史对照率 (0-1)
  * @param {number} p1 - 预期试验组率 (0-1)
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
- * @returns {object} - {n1: 样本量, n2: 0}（单组试验无对照组 n2）
+ * @param {'normal'|'exact'} [method='normal'] - 'normal' 正态近似公式；'exact' 精确二项
+ * @returns {object} - {n1: 样本量, n2: 0}（单组试验无对照组 n2）；
+ *   'exact' 另含 {r: 临界成功数, actualAlpha, actualPower}；method 未知时返回 NaN
  */
-function calculateOneSampleSize(p0, p1, alpha, power) {
-  // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
-  if (!validateStatParams({ p0, p1, alpha, power }).valid) {
+function calculateOneSampleSize(p0, p1, alpha, power, method = 'normal') {
+  // 统一参数验证（W8）：类型无效 / 数学域外 / 未知方法 → 拒绝计算
+  if (!validateStatParams({ p0, p1, alpha, power }).valid || !PROPORTION_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -47,6 +61,10 @@ function calculateOneSampleSize(p0, p1, alpha, power) {
     return { n1: NaN, n2: NaN }
   }
 
+  if (method === 'exact') {
+    return calculateOneSampleSizeExact(p0, p1, alpha, power)
+  }
+
   // Formula: n = (z_α√[p0(1-p0)] + z_β√[p1(1-p1)])² / (p1-p0)²
   const numer = Math.pow(z_alpha * Math.sqrt(p0 * (1 - p0)) + z_beta * Math.sqrt(p1 * (1 - p1)), 2)
   const denom = Math.pow(effectSize, 2)
@@ -66,20 +84,160 @@ function calculateOneSampleSize(p0, p1, alpha, power) {
   return { n1, n2: 0 } // 单组试验没有n2
 }
 
+// ========================================================
+// 精确二项设计 (Exact Binomial Design)
+// ========================================================
+
+/**
+ * 精确二项检验临界成功数: 使 P(X ≥ r | n, p0) ≤ α 的最小 r
+ * r = n + 1 表示该 n 下任何结果都无法拒绝 H0
+ * @param {number} n - 样本量
+ * @param {number} p0 - 目标值
+ * @param {number} alpha - 单侧显著性水平
+ * @returns {number} 临界成功数 r
+ */
+function exactCriticalValue(n, p0, alpha) {
+  // P(X ≥ r) 关于 r 递减: 二分求首个 ≤ α 的 r
+  let lo = 0
+  let hi = n + 1
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2)
+    if (binomialSF(mid - 1, n, p0) <= alpha) hi = mid
+    else lo = mid
+  }
+  return hi
+}
+
+/**
+ * 逐例计算精确二项设计 (n, r, 实际 α, 实际功效)
+ *
+ * 利用 r(n) ≤ r(n+1) ≤ r(n) + 1：n 每加 1，临界值至多加 1，
+ * 因此只在起点二分一次，之后每个 n 仅需一次尾概率判断。
+ *
+ * @param {number} p0 - 目标值
+ * @param {number} p1 - 预期率
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} nFrom - 起始样本量
+ * @param {Function} visit - ({n, r, actualAlpha, actualPower}) => boolean，返回 true 时停止
+ */
+function scanExactDesigns(p0, p1, alpha, nFrom, visit) {
+  let r = exactCriticalValue(nFrom, p0, alpha)
+  for (let n = nFrom; n <= EXACT_MAX_SAMPLE_SIZE; n++) {
+    if (n > nFrom && binomialSF(r - 1, n, p0) > alpha) r++
+    const point = {
+      n,
+      r,
+      actualAlpha: binomialSF(r - 1, n, p0),
+      actualPower: binomialSF(r - 1, n, p1)
+    }
+    if (visit(point)) return
+  }
+}
+
+/**
+ * 单组试验样本量计算 (率终点，精确二项检验)
+ *
+ * 求最小 n 及临界成功数 r，使 P(X ≥ r | p0) ≤ α 且 P(X ≥ r | p1) ≥ 1-β。
+ * 离散性使功效随 n 呈锯齿状（n 增加时功效可能下降），稳健的 n 见
+ * calculateOneSampleExactPowerProfile。
+ *
+ * @reference Chernick MR, Liu CY. The saw-toothed behavior of power versus sample size
+ *   and software solutions: single binomial proportion using exact methods.
+ *   Am Stat. 2002;56(2):149-155.
+ * @param {number} p0 - 目标值（性能目标值）
+ * @param {number} p1 - 预期率 (> p0)
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} power - 检验效能
+ * @returns {object} - {n1, n2: 0, r, actualAlpha, actualPower}；p1 ≤ p0 返回 NaN，
+ *   超过搜索上限返回 Infinity
+ */
+function calculateOneSampleSizeExact(p0, p1, alpha, power) {
+  if (!(p1 > p0)) {
+    return { n1: NaN, n2: NaN }
+  }
+
+  let found = null
+  scanExactDesigns(p0, p1, alpha, 1, point => {
+    if (point.actualPower >= power) found = point
+    return found !== null
+  })
+
+  if (!found) {
+    return { n1: Infinity, n2: Infinity }
+  }
+
+  return {
+    n1: found.n,
+    n2: 0,
+    r: found.r,
+    actualAlpha: found.actualAlpha,
+    actualPower: found.actualPower
+  }
+}
+
+/**
+ * 精确二项设计的功效曲线（锯齿图）
+ *
+ * 列出 [nFrom, nTo] 内每个 n 的临界成功数与实际 α / 功效，并给出:
+ * - nFirst: 区间内首个功效达标的 n（即精确样本量，若位于区间内）
+ * - nStable: 区间内从该 n 起直至 nTo 功效均达标的最小 n（稳健选择）
+ *
+ * @param {number} p0 - 目标值
+ * @param {number} p1 - 预期率 (> p0)
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} power - 目标功效
+ * @param {number} nFrom - 起始样本量（正整数）
+ * @param {number} nTo - 终止样本量（整数，≥ nFrom，区间点数 ≤ 10000）
+ * @returns {object} - {profile: [{n, r, actualAlpha, actualPower}], nFirst, nStable}；
+ *   区间内不达标时 nFirst / nStable 为 null，参数无效时 profile 为空、nFirst / nStable 为 NaN
+ */
+function calculateOneSampleExactPowerProfile(p0, p1, alpha, power, nFrom, nTo) {
+  const invalid = { profile: [], nFirst: NaN, nStable: NaN }
+  if (!validateStatParams({ p0, p1, alpha, power }).valid || !(p1 > p0)) {
+    return invalid
+  }
+  if (
+    !Number.isInteger(nFrom) ||
+    !Number.isInteger(nTo) ||
+    nFrom < 1 ||
+    nTo < nFrom ||
+    nTo > EXACT_MAX_SAMPLE_SIZE ||
+    nTo - nFrom + 1 > PROFILE_MAX_POINTS
+  ) {
+    return invalid
+  }
+
+  const profile = []
+  scanExactDesigns(p0, p1, alpha, nFrom, point => {
+    profile.push(point)
+    return point.n >= nTo
+  })
+
+  const first = profile.find(point => point.actualPower >= power)
+  let nStable = null
+  for (let i = profile.length - 1; i >= 0 && profile[i].actualPower >= power; i--) {
+    nStable = profile[i].n
+  }
+
+  return { profile, nFirst: first ? first.n : null, nStable }
+}
+
 /**
  * 单组试验样本量计算 (连续终点)
  * H0: μ ≤ μ0, H1: μ > μ0（单侧检验）
+ * method='t' 时以 z 公式为初值，迭代 n 至单样本 t 检验精确功效（非中心 t，df = n - 1）达标
  * @param {number} mu0 - 历史对照均值
  * @param {number} mu1 - 预期试验组均值
  * @param {number} sigma - 总体标准差
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
+ * @param {'z'|'t'} [method='z'] - 'z' 正态近似公式；'t' 非中心 t 精确功效迭代
  * @returns {object} - {n1: 样本量, n2: 0}（单组试验无对照组 n2）
  */
-function calculateOneSampleSizeContinuous(mu0, mu1, sigma, alpha, power) {
+function calculateOneSampleSizeContinuous(mu0, mu1, sigma, alpha, power, method = 'z') {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0）→ 拒绝计算
   // mu0 / mu1 无域约束（任意实数），不参与校验
-  if (!validateStatParams({ sigma, alpha, power }).valid) {
+  if (!validateStatParams({ sigma, alpha, power }).valid || !CONTINUOUS_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -117,9 +275,26 @@ function calculateOneSampleSizeContinuous(mu0, mu1, sigma, alpha, power) {
     return { n1: Infinity, n2: Infinity }
   }
 
-  const n1 = Math.ceil(n_raw)
+  let n1 = Math.ceil(n_raw)
+
+  // method='t': z 公式结果为初值，迭代至非中心 t 精确功效达标
+  if (method === 't') {
+    n1 = searchSampleSizeT(
+      m => calculateTTestPower((Math.abs(effectSize) * Math.sqrt(m)) / sigma, m - 1, alpha),
+      n1,
+      power
+    )
+    if (!isFinite(n1)) {
+      return { n1: Infinity, n2: Infinity }
+    }
+  }
 
   return { n1, n2: 0 }
 }
 
-export { calculateOneSampleSize, calculateOneSampleSizeContinuous }
+export {
+  PROPORTION_METHODS,
+  calculateOneSampleSize,
+  calculateOneSampleSizeContinuous,
+  calculateOneSampleExactPowerProfile
+}
@@ -0,0 +1,263 @@
+/**
+ * @module sample-size/ordinal
+ * @description 有序分类终点样本量 / 功效 / MDE - Whitehead 比例优势模型（如改良 Rankin 量表）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Whitehead J. Sample size calculations for ordered categorical data. Stat Med.
+ *     1993;12(24):2257-2271. DOI: 10.1002/sim.4780122404
+ * [2] McCullagh P. Regression models for ordinal data. J R Stat Soc Series B. 1980;42(2):109-142.
+ *     （比例优势模型）
+ * [3] Harrell FE. Hmisc::popower / posamsize (R)（同一公式的参考实现）
+ *
+ * @formula 类别 1…c 按顺序排列，p₁ᵢ 为对照组第 i 类比例，Cᵢ = Σ_{j≤i} p₁ⱼ 为累积比例
+ *   比例优势: 试验组累积比例 Tᵢ = OR·Cᵢ / [1 − Cᵢ + OR·Cᵢ]（OR > 1 表示试验组偏向低序号类别）
+ *   p̄ᵢ = (p₁ᵢ + k·p₂ᵢ)/(1 + k)，k = n₂/n₁
+ *   n₁ = 3(1 + k)(Z_{1−α} + Z_{1−β})² / [k·(ln OR)²·(1 − Σ p̄ᵢ³)]，n₂ = ⌈n₁·k⌉
+ *   功效: Φ(|ln OR|·√[n₁k(1 − Σp̄ᵢ³) / (3(1 + k))] − Z_{1−α})
+ *   给定完整试验组分布时按效率得分近似 ln OR ≈ 3[P(T < C) − P(T > C)] / (1 − Σ p̄ᵢ³)
+ *
+ * @note 两类时 1 − Σp̄³ = 3p̄(1 − p̄)，公式退化为对数 OR 的两组率比较；alpha 为单侧显著性水平
+ */
+
+import { normalCDF, normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** MDE 搜索: ln OR 上限与二分次数 */
+const MAX_LOG_OR = 10
+const MDE_ITERATIONS = 100
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 校验类别分布: 至少两类、非负、和为 1
+ * @param {number[]} probs
+ * @returns {boolean}
+ */
+function isValidDistribution(probs) {
+  if (!Array.isArray(probs) || probs.length < 2) return false
+  if (!probs.every(p => Number.isFinite(p) && p >= 0)) return false
+  return Math.abs(probs.reduce((sum, p) => sum + p, 0) - 1) < 1e-8
+}
+
+/**
+ * 由对照组分布与共同 OR 构造试验组分布（比例优势）
+ * @param {number[]} control - 对照组类别比例
+ * @param {number} oddsRatio - 累积优势比 OR
+ * @returns {number[]} 试验组类别比例
+ */
+function shiftDistribution(control, oddsRatio) {
+  const treatment = []
+  let cumulative = 0
+  let previous = 0
+  control.forEach((p, i) => {
+    cumulative += p
+    const shifted =
+      i === control.length - 1
+        ? 1
+        : (oddsRatio * cumulative) / (1 - cumulative + oddsRatio * cumulative)
+    treatment.push(shifted - previous)
+    previous = shifted
+  })
+  return treatment
+}
+
+/**
+ * 1 − Σ p̄ᵢ³（按分配比例加权的合并分布）
+ * @param {number[]} control
+ * @param {number[]} treatment
+ * @param {number} ratio - k = n₂/n₁
+ * @returns {number}
+ */
+function tieFactor(control, treatment, ratio) {
+  return (
+    1 -
+    control.reduce((sum, p, i) => sum + Math.pow((p + ratio * treatment[i]) / (1 + ratio), 3), 0)
+  )
+}
+
+/**
+ * 效率得分近似的 ln OR: 3[P(T < C) − P(T > C)] / (1 − Σ p̄ᵢ³)
+ * @param {number[]} control
+ * @param {number[]} treatment
+ * @param {number} ratio
+ * @returns {number}
+ */
+function scoreLogOddsRatio(control, treatment, ratio) {
+  let lower = 0
+  let higher = 0
+  let cumulative = 0
+  treatment.forEach((t, i) => {
+    // 对照组中类别序号高于 / 低于 i 的比例
+    higher += t * (1 - cumulative - control[i])
+    lower += t * cumulative
+    cumulative += control[i]
+  })
+  return (3 * (higher - lower)) / tieFactor(control, treatment, ratio)
+}
+
+/**
+ * 整理效应: 由 OR 或试验组分布得到 {logOR, treatment, factor}
+ * @param {number[]} p1 - 对照组分布
+ * @param {number} [oddsRatio] - 共同 OR
+ * @param {number[]} [p2] - 试验组分布（提供时优先）
+ * @param {number} ratio
+ * @returns {{logOR: number, treatment: number[], factor: number}|null}
+ */
+function resolveEffect(p1, oddsRatio, p2, ratio) {
+  if (!isValidDistribution(p1)) return null
+  let treatment
+  let logOR
+  if (p2 !== undefined) {
+    if (!isValidDistribution(p2) || p2.length !== p1.length) return null
+    treatment = p2
+    logOR = scoreLogOddsRatio(p1, p2, ratio)
+  } else {
+    if (!(Number.isFinite(oddsRatio) && oddsRatio > 0)) return null
+    treatment = shiftDistribution(p1, oddsRatio)
+    logOR = Math.log(oddsRatio)
+  }
+  const factor = tieFactor(p1, treatment, ratio)
+  if (!(factor > 0) || !Number.isFinite(logOR)) return null
+  return { logOR, treatment, factor }
+}
+
+/**
+ * Whitehead 功效
+ * @param {number} logOR
+ * @param {number} factor - 1 − Σ p̄ᵢ³
+ * @param {number} n1
+ * @param {number} ratio
+ * @param {number} zAlpha
+ * @returns {number}
+ */
+function whiteheadPower(logOR, factor, n1, ratio, zAlpha) {
+  return normalCDF(Math.abs(logOR) * Math.sqrt((n1 * ratio * factor) / (3 * (1 + ratio))) - zAlpha)
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 有序分类终点样本量（Whitehead 比例优势）
+ *
+ * @param {Object} params - 样本量参数
+ * @param {number[]} params.p1 - 对照组各类别比例（按类别顺序，和为 1）
+ * @param {number} [params.oddsRatio] - 共同累积优势比（OR > 1 表示试验组偏向低序号类别）
+ * @param {number[]} [params.p2] - 试验组各类别比例（提供时按效率得分近似得到 OR）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n₂/n₁
+ * @returns {object} - {n1, n2, totalN, oddsRatio, p2}：p2 为（推算的）试验组分布；参数无效时为 NaN
+ *
+ * @example
+ * // mRS 0-6 对照组分布，共同 OR = 1.5
+ * calculateOrdinalSampleSize({
+ *   p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15], oddsRatio: 1.5, alpha: 0.025, power: 0.8
+ * })
+ */
+function calculateOrdinalSampleSize(params) {
+  const { p1, oddsRatio, p2, alpha, power, ratio = 1 } = params
+
+  const invalid = { n1: NaN, n2: NaN, totalN: NaN, oddsRatio: NaN, p2: [] }
+
+  if (!validateStatParams({ alpha, power, ratio }).valid) return invalid
+  const effect = resolveEffect(p1, oddsRatio, p2, ratio)
+  if (effect === null || Math.abs(effect.logOR) < 1e-10) return invalid
+
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) return invalid
+
+  const { logOR, treatment, factor } = effect
+  const n1 = Math.ceil(
+    (3 * (1 + ratio) * Math.pow(z_alpha + z_beta, 2)) / (ratio * logOR * logOR * factor)
+  )
+  const n2 = Math.ceil(n1 * ratio)
+
+  return { n1, n2, totalN: n1 + n2, oddsRatio: Math.exp(logOR), p2: treatment }
+}
+
+/**
+ * 有序分类终点功效（Whitehead 比例优势）
+ *
+ * @param {Object} params - 功效参数（效应参数同 calculateOrdinalSampleSize）
+ * @param {number[]} params.p1 - 对照组各类别比例
+ * @param {number} [params.oddsRatio] - 共同累积优势比
+ * @param {number[]} [params.p2] - 试验组各类别比例
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.n1 - 对照组例数
+ * @param {number} [params.n2=n1] - 试验组例数
+ * @returns {{power: number, oddsRatio: number}} 参数无效时为 NaN
+ */
+function calculateOrdinalPower(params) {
+  const { p1, oddsRatio, p2, alpha, n1, n2 = n1 } = params
+
+  const invalid = { power: NaN, oddsRatio: NaN }
+
+  if (!validateStatParams({ alpha, n1, n2 }).valid) return invalid
+  const ratio = n2 / n1
+  const effect = resolveEffect(p1, oddsRatio, p2, ratio)
+  if (effect === null) return invalid
+
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) return invalid
+
+  return {
+    power: whiteheadPower(effect.logOR, effect.factor, n1, ratio, z_alpha),
+    oddsRatio: Math.exp(effect.logOR)
+  }
+}
+
+/**
+ * 有序分类终点最小可检测 OR（Whitehead 比例优势）
+ *
+ * 1 − Σp̄ᵢ³ 随 OR 变化，按 ln OR 二分求解功效 = 目标功效。
+ *
+ * @param {Object} params - MDE 参数
+ * @param {number[]} params.p1 - 对照组各类别比例
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 目标功效
+ * @param {number} params.n1 - 对照组例数
+ * @param {number} [params.n2=n1] - 试验组例数
+ * @returns {{mde: number, p2: number[]}} mde 为最小可检测 OR（> 1），p2 为对应试验组分布；
+ *   参数无效时 mde 为 NaN
+ */
+function calculateOrdinalMDE(params) {
+  const { p1, alpha, power, n1, n2 = n1 } = params
+
+  const invalid = { mde: NaN, p2: [] }
+
+  if (!validateStatParams({ alpha, power, n1, n2 }).valid) return invalid
+  if (!isValidDistribution(p1)) return invalid
+  const z_alpha = normalInverse(1 - alpha)
+  if (!isFinite(z_alpha)) return invalid
+
+  const ratio = n2 / n1
+  const powerAt = logOR =>
+    whiteheadPower(
+      logOR,
+      tieFactor(p1, shiftDistribution(p1, Math.exp(logOR)), ratio),
+      n1,
+      ratio,
+      z_alpha
+    )
+  if (!(powerAt(MAX_LOG_OR) > power)) return invalid
+
+  let lo = 0
+  let hi = MAX_LOG_OR
+  for (let i = 0; i < MDE_ITERATIONS; i++) {
+    const mid = (lo + hi) / 2
+    if (powerAt(mid) < power) lo = mid
+    else hi = mid
+  }
+  const mde = Math.exp(hi)
+
+  return { mde, p2: shiftDistribution(p1, mde) }
+}
+
+export { calculateOrdinalSampleSize, calculateOrdinalPower, calculateOrdinalMDE }
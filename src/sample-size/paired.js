@@ -7,6 +7,12 @@
 
 import { normalInverse } from '../core/normal-distribution.js'
 import { validateStatParams } from '../core/param-validator.js'
+import {
+  CONTINUOUS_METHODS,
+  calculateTTestPower,
+  calculateTOSTPower,
+  searchSampleSizeT
+} from './t-power.js'
 
 // ========================================================
 // 配对设计 - 率终点 (Paired Design - Proportion, McNemar Test)
@@ -90,12 +96,15 @@ function calculatePairedSampleSize(p10, p01, delta, alpha, power, studyType = 'n
 
 /**
  * 配对t检验样本量计算
+ * method='t' 时以 z 公式为初值，迭代 n 至配对 t 检验精确功效（df = n - 1）达标；
+ * 等效设计用 Owen's Q 计算 TOST 精确功效
  * @param {number} sigma_diff - 差值的标准差
  * @param {number} mean_diff - 预期差值均值
  * @param {number} delta - 非劣效界值
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
  * @param {string} studyType - 检验类型
+ * @param {'z'|'t'} [method='z'] - 'z' 正态近似公式；'t' 非中心 t / Owen's Q 精确功效迭代
  * @returns {object} - {n: 配对数}
  */
 function calculatePairedSampleSizeContinuous(
@@ -104,7 +113,8 @@ function calculatePairedSampleSizeContinuous(
   delta,
   alpha,
   power,
-  studyType = 'non-inferiority'
+  studyType = 'non-inferiority',
+  method = 'z'
 ) {
   // 标准差无效时返回 NaN（未定义）
   // W8CR：sigma_diff 不进共享 validator（键名不在 POSITIVE_PARAMS）；此处须先挡类型无效
@@ -114,7 +124,7 @@ function calculatePairedSampleSizeContinuous(
   }
 
   // 统一参数验证（W8）：alpha/power 类型无效 / 数学域外 → 拒绝计算
-  if (!validateStatParams({ alpha, power }).valid) {
+  if (!validateStatParams({ alpha, power }).valid || !CONTINUOUS_METHODS.has(method)) {
     return { n: NaN }
   }
 
@@ -160,6 +170,15 @@ function calculatePairedSampleSizeContinuous(
     return { n: Infinity }
   }
 
+  // method='t': z 公式结果为初值，迭代至精确功效达标
+  if (method === 't') {
+    const powerAt =
+      studyType === 'equivalence'
+        ? m => calculateTOSTPower(mean_diff, delta, sigma_diff / Math.sqrt(m), m - 1, alpha)
+        : m => calculateTTestPower((Math.abs(effectSize) * Math.sqrt(m)) / sigma_diff, m - 1, alpha)
+    return { n: searchSampleSizeT(powerAt, n_raw, power) }
+  }
+
   return { n: Math.ceil(n_raw) }
 }
 
@@ -0,0 +1,205 @@
+/**
+ * @module sample-size/ratio-of-means
+ * @description 对数正态终点平行组几何均值比（GMR）样本量与功效 - 优效 / 非劣效 / 等效，按 CV 与真实比值设定
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Julious SA. Sample Sizes for Clinical Trials. Chapman and Hall/CRC; 2009.
+ *     Chapter 5.（对数尺度比值设计: σ² = ln(1 + CV²)）
+ * [2] Hauschke D, Steinijans V, Pigeot I. Bioequivalence Studies in Drug Development.
+ *     Wiley; 2007. Chapter 5.（平行组比值等效）
+ * [3] Labes D, Schütz H, Lang B. PowerTOST. R package.（sampleN.TOST(design = "parallel")）
+ *
+ * @formula 对数尺度 σ = √ln(1 + CV²)，μ₂ − μ₁ = ln GMR（GMR = 试验组 / 对照组）
+ *   优效:   H₀: ln GMR = 0，单侧方向与 GMR 一致
+ *   非劣效: 界值 M < 1 时 H₀: GMR ≤ M（越高越好）；M > 1 时 H₀: GMR ≥ M（越低越好）
+ *           效应量 |ln M| + ln GMR（M < 1）或 |ln M| − ln GMR（M > 1）
+ *   等效:   H₀: GMR ≤ θ₁ 或 GMR ≥ θ₂，对数尺度中心 c = (ln θ₁ + ln θ₂)/2、
+ *           半宽 δ = (ln θ₂ − ln θ₁)/2，预期差 ln GMR − c
+ *   随后按连续终点公式计算: n₁ = (Z_{1−α} + Z_{1−β})²·σ²·(1 + 1/k) / 效应量²；
+ *   method = 't' 时以非中心 t（等效为 Owen's Q TOST）精确功效迭代
+ *
+ * @note alpha 为单侧显著性水平（等效时为每个单侧检验的 α，0.05 对应 90% CI）；
+ *   CV 为组内（受试者间）变异系数
+ */
+
+import { validateStatParams } from '../core/param-validator.js'
+import { cvToSigma } from '../crossover/be-sample-size.js'
+import { STUDY_TYPES, continuousSampleSize } from './two-group/dispatch.js'
+import { calculateTTestPower, calculateTOSTPower } from './t-power.js'
+import {
+  calculatePowerNIContinuous,
+  calculatePowerSupContinuous,
+  calculatePowerEqContinuous
+} from '../power-analysis/power-calculation.js'
+
+/** 默认等效限（80.00% – 125.00%） */
+const DEFAULT_LOWER_LIMIT = 0.8
+const DEFAULT_UPPER_LIMIT = 1.25
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 比值假设换算到对数尺度的均值差设计
+ * @param {string} studyType - 试验类型
+ * @param {number} gmr - 真实 GMR
+ * @param {number} margin - 非劣效界值 M
+ * @param {number} lower - 等效下限 θ₁
+ * @param {number} upper - 等效上限 θ₂
+ * @returns {{meanDiff: number, margin: number}|null} margin 为对数尺度界值（非劣效 / 等效）；
+ *   假设不成立（如 GMR 不在备择假设一侧）时返回 null
+ */
+function toLogScale(studyType, gmr, margin, lower, upper) {
+  if (!STUDY_TYPES.has(studyType) || !(Number.isFinite(gmr) && gmr > 0)) return null
+  const logGMR = Math.log(gmr)
+
+  if (studyType === 'superiority') {
+    return Math.abs(logGMR) < 1e-10 ? null : { meanDiff: logGMR, margin: 0 }
+  }
+
+  if (studyType === 'non-inferiority') {
+    if (!(Number.isFinite(margin) && margin > 0) || Math.abs(margin - 1) < 1e-10) return null
+    // M > 1（越低越好）时翻转方向，使效应量统一为 ln GMR + |ln M|
+    const meanDiff = margin < 1 ? logGMR : -logGMR
+    const logMargin = Math.log(margin)
+    return meanDiff + Math.abs(logMargin) > 1e-10 ? { meanDiff, margin: logMargin } : null
+  }
+
+  if (!(lower > 0 && upper > lower && Number.isFinite(upper))) return null
+  if (!(gmr > lower && gmr < upper)) return null
+  const center = (Math.log(lower) + Math.log(upper)) / 2
+  return { meanDiff: logGMR - center, margin: (Math.log(upper) - Math.log(lower)) / 2 }
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 平行组几何均值比样本量（对数正态终点）
+ *
+ * @param {Object} params - 样本量参数
+ * @param {'superiority'|'non-inferiority'|'equivalence'} [params.studyType='superiority'] - 试验类型
+ * @param {number} params.cv - 组内变异系数（小数，如 0.3）
+ * @param {number} params.gmr - 真实几何均值比（试验组 / 对照组）
+ * @param {number} [params.margin] - 非劣效界值（如 0.8；> 1 表示越低越好）
+ * @param {number} [params.lower=0.8] - 等效下限
+ * @param {number} [params.upper=1.25] - 等效上限
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n₂/n₁
+ * @param {'z'|'t'} [params.method='z'] - 'z' 正态近似公式；'t' 非中心 t / Owen's Q 精确功效迭代
+ * @returns {object} - {n1, n2, totalN, sigmaLog}：sigmaLog 为对数尺度标准差；参数无效时为 NaN
+ *
+ * @example
+ * // PK 参数非劣效: CV = 0.3，GMR = 0.95，界值 0.8
+ * calculateRatioSampleSize({
+ *   studyType: 'non-inferiority', cv: 0.3, gmr: 0.95, margin: 0.8, alpha: 0.025, power: 0.8
+ * })
+ */
+function calculateRatioSampleSize(params) {
+  const {
+    studyType = 'superiority',
+    cv,
+    gmr,
+    margin,
+    lower = DEFAULT_LOWER_LIMIT,
+    upper = DEFAULT_UPPER_LIMIT,
+    alpha,
+    power,
+    ratio = 1,
+    method = 'z'
+  } = params
+
+  const invalid = { n1: NaN, n2: NaN, totalN: NaN, sigmaLog: NaN }
+
+  const sigma = cvToSigma(cv)
+  if (Number.isNaN(sigma) || (method !== 'z' && method !== 't')) return invalid
+  if (!validateStatParams({ alpha, power, ratio }).valid) return invalid
+  const design = toLogScale(studyType, gmr, margin, lower, upper)
+  if (design === null) return invalid
+
+  const { n1, n2 } = continuousSampleSize(
+    studyType,
+    sigma,
+    design.margin,
+    alpha,
+    power,
+    ratio,
+    design.meanDiff,
+    method
+  )
+
+  return { n1, n2, totalN: n1 + n2, sigmaLog: sigma }
+}
+
+/**
+ * 平行组几何均值比功效（对数正态终点）
+ *
+ * @param {Object} params - 功效参数（设计参数同 calculateRatioSampleSize）
+ * @param {string} [params.studyType='superiority'] - 试验类型
+ * @param {number} params.cv - 组内变异系数
+ * @param {number} params.gmr - 真实几何均值比
+ * @param {number} [params.margin] - 非劣效界值
+ * @param {number} [params.lower=0.8] - 等效下限
+ * @param {number} [params.upper=1.25] - 等效上限
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.n1 - 对照组例数
+ * @param {number} [params.n2=n1] - 试验组例数
+ * @param {'z'|'t'} [params.method='z'] - 'z' 正态近似；'t' 非中心 t / Owen's Q 精确功效
+ * @returns {{power: number, sigmaLog: number}} 参数无效时为 NaN
+ */
+function calculateRatioPower(params) {
+  const {
+    studyType = 'superiority',
+    cv,
+    gmr,
+    margin,
+    lower = DEFAULT_LOWER_LIMIT,
+    upper = DEFAULT_UPPER_LIMIT,
+    alpha,
+    n1,
+    n2 = n1,
+    method = 'z'
+  } = params
+
+  const invalid = { power: NaN, sigmaLog: NaN }
+
+  const sigma = cvToSigma(cv)
+  if (Number.isNaN(sigma) || (method !== 'z' && method !== 't')) return invalid
+  if (!validateStatParams({ alpha, n1, n2 }).valid) return invalid
+  const design = toLogScale(studyType, gmr, margin, lower, upper)
+  if (design === null) return invalid
+
+  const { meanDiff } = design
+  const ratio = n2 / n1
+
+  if (method === 'z') {
+    let result
+    if (studyType === 'superiority') {
+      result = calculatePowerSupContinuous(n1, sigma, Math.abs(meanDiff), alpha, ratio)
+    } else if (studyType === 'non-inferiority') {
+      result = calculatePowerNIContinuous(n1, sigma, design.margin, alpha, ratio, meanDiff)
+    } else {
+      result = calculatePowerEqContinuous(n1, sigma, design.margin, alpha, ratio, meanDiff)
+    }
+    return { power: result.power, sigmaLog: sigma }
+  }
+
+  const se = sigma * Math.sqrt(1 / n1 + 1 / n2)
+  const df = n1 + n2 - 2
+  let power
+  if (studyType === 'equivalence') {
+    power = calculateTOSTPower(meanDiff, design.margin, se, df, alpha)
+  } else {
+    const effect =
+      studyType === 'superiority' ? Math.abs(meanDiff) : meanDiff + Math.abs(design.margin)
+    power = calculateTTestPower(effect / se, df, alpha)
+  }
+  return { power, sigmaLog: sigma }
+}
+
+export { calculateRatioSampleSize, calculateRatioPower }
@@ -0,0 +1,237 @@
+/**
+ * @module sample-size/repeated-measures
+ * @description 重复测量（MMRM）样本量 - 末次访视对比或斜率对比，复合对称 / AR(1) / 非结构化相关，单调脱落校正
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Lu K, Luo X, Chen PY. Sample size estimation for repeated measures analysis in randomized
+ *     clinical trials with missing data. Int J Biostat. 2008;4(1):Article 9.
+ *     DOI: 10.2202/1557-4679.1098（单调脱落下的信息矩阵与方差膨胀因子 φ）
+ * [2] Mallinckrodt CH, Lipkovich I. Analyzing Longitudinal Clinical Trial Data: A Practical Guide.
+ *     Chapman and Hall/CRC; 2016.（MMRM 末次访视对比）
+ * [3] Diggle PJ, Heagerty P, Liang KY, Zeger SL. Analysis of Longitudinal Data. 2nd ed.
+ *     Oxford University Press; 2002. Chapter 2.（斜率对比的样本量）
+ *
+ * @formula J 次访视，协方差阵 Σ = D·R·D（D 为各访视标准差），r_j 为第 j 次访视的保留率
+ *   （r₁ ≥ r₂ ≥ … ≥ r_J > 0，r_{J+1} = 0），Σ_j 为 Σ 的前 j 阶主子阵
+ *   每例信息矩阵 I = Σ_j (r_j − r_{j+1})·[Σ_j⁻¹ 补零至 J 阶]
+ *   对比 c 的每例方差 V = cᵀ I⁻¹ c：末次访视 c = e_J；斜率 c_j = (t_j − t̄) / Σ(t_j − t̄)²
+ *   方差膨胀因子 φ = V / cᵀΣc（无脱落时 φ = 1）
+ *   n₁ = (Z_{1−α} + Z_{1−β})²·(V₁ + V₂/k) / effect²，n₂ = ⌈n₁·k⌉
+ *   effect：优效 |Δ|，非劣效 Δ + δ，等效 δ − |Δ|（Δ = 0 时用 Z_{1−β/2}）
+ *
+ * @note AR(1) 相关按访视序号定义 ρ^|i−j|；alpha 为单侧显著性水平
+ */
+
+import { normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+import { invertMatrix, isPositiveDefinite } from '../core/linear-algebra.js'
+import { STUDY_TYPES } from './two-group/dispatch.js'
+
+/**
+ * 构造相关矩阵
+ * @param {'cs'|'ar1'|'unstructured'} structure - 相关结构
+ * @param {number} visits - 访视次数 J
+ * @param {number} [rho] - 复合对称 / AR(1) 相关系数
+ * @param {number[][]} [correlationMatrix] - 非结构化相关矩阵
+ * @returns {number[][]|null} J × J 正定相关矩阵；参数无效时返回 null
+ */
+function buildCorrelation(structure, visits, rho, correlationMatrix) {
+  let matrix
+  if (structure === 'cs' || structure === 'ar1') {
+    if (!Number.isFinite(rho)) return null
+    matrix = Array.from({ length: visits }, (_, i) =>
+      Array.from({ length: visits }, (__, j) => {
+        if (i === j) return 1
+        return structure === 'cs' ? rho : Math.pow(rho, Math.abs(i - j))
+      })
+    )
+  } else if (structure === 'unstructured') {
+    if (!Array.isArray(correlationMatrix) || correlationMatrix.length !== visits) return null
+    if (!correlationMatrix.every((row, i) => Array.isArray(row) && row[i] === 1)) return null
+    matrix = correlationMatrix
+  } else {
+    return null
+  }
+  return isPositiveDefinite(matrix) ? matrix : null
+}
+
+/**
+ * 保留率校验: 长度 J，取值 (0, 1]，单调不增
+ * @param {number[]} retention
+ * @param {number} visits
+ * @returns {boolean}
+ */
+function isValidRetention(retention, visits) {
+  if (!Array.isArray(retention) || retention.length !== visits) return false
+  return retention.every(
+    (r, j) => Number.isFinite(r) && r > 0 && r <= 1 && (j === 0 || r <= retention[j - 1])
+  )
+}
+
+/**
+ * 单调脱落下对比 c 的每例方差 cᵀ I⁻¹ c（Lu, Luo & Chen 2008）
+ * @param {number[][]} covariance - J × J 协方差阵
+ * @param {number[]} retention - 各访视保留率
+ * @param {number[]} contrast - 对比向量 c
+ * @returns {number} 每例方差；信息矩阵奇异时返回 NaN
+ */
+function contrastVariance(covariance, retention, contrast) {
+  const visits = covariance.length
+  const information = Array.from({ length: visits }, () => new Array(visits).fill(0))
+  for (let j = 1; j <= visits; j++) {
+    const weight = retention[j - 1] - (j < visits ? retention[j] : 0)
+    if (weight === 0) continue
+    const block = invertMatrix(covariance.slice(0, j).map(row => row.slice(0, j)))
+    if (block === null) return NaN
+    for (let a = 0; a < j; a++) {
+      for (let b = 0; b < j; b++) information[a][b] += weight * block[a][b]
+    }
+  }
+  const inverse = invertMatrix(information)
+  if (inverse === null) return NaN
+  let variance = 0
+  for (let a = 0; a < visits; a++) {
+    for (let b = 0; b < visits; b++) variance += contrast[a] * inverse[a][b] * contrast[b]
+  }
+  return variance
+}
+
+/**
+ * 重复测量（MMRM）样本量
+ *
+ * 按 Lu, Luo & Chen (2008) 的单调脱落信息矩阵计算末次访视组间差或组间斜率差的方差，
+ * 再代入两组比较正态近似公式。无脱落时末次访视对比与 calculate*SampleSizeContinuous
+ * （σ 取末次访视标准差）一致。
+ *
+ * @param {Object} params - 样本量参数
+ * @param {'non-inferiority'|'superiority'|'equivalence'} [params.studyType='superiority'] - 试验类型
+ * @param {'final'|'slope'} [params.contrast='final'] - 末次访视对比 / 时间斜率对比
+ * @param {number} params.meanDiff - 预期组间差 Δ（末次访视均值差，或每单位时间的斜率差）
+ * @param {number} [params.margin] - 非劣效 / 等效界值（与 meanDiff 同尺度，正值）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n2/n1
+ * @param {number} params.visits - 访视次数 J（≥ 2）
+ * @param {number[]} [params.times] - 访视时间（斜率对比用，默认 1, 2, …, J）
+ * @param {number|number[]} params.sigma - 标准差（各访视相同）或各访视标准差数组
+ * @param {'cs'|'ar1'|'unstructured'} [params.structure='cs'] - 相关结构
+ * @param {number} [params.rho] - 复合对称 / AR(1) 相关系数
+ * @param {number[][]} [params.correlationMatrix] - 非结构化相关矩阵（structure = 'unstructured'）
+ * @param {number[]} [params.retention1] - 对照组各访视保留率（单调不增，默认全为 1）
+ * @param {number[]} [params.retention2] - 试验组各访视保留率（默认同对照组）
+ * @returns {object} - {n1, n2, variance1, variance2, inflation1, inflation2}：
+ *   variance 为每例对比方差 V，inflation 为脱落导致的方差膨胀因子 φ；参数无效时各数值为 NaN
+ *
+ * @example
+ * // 第 4、8、12、24 周访视，σ = 10，复合对称 ρ = 0.5，第 24 周保留 80%
+ * calculateRepeatedMeasuresSampleSize({
+ *   meanDiff: 5, alpha: 0.025, power: 0.8, visits: 4, sigma: 10, rho: 0.5,
+ *   retention1: [1, 0.9, 0.85, 0.8]
+ * })   // { n1: 74, n2: 74, inflation1 ≈ 1.1729, ... }
+ */
+function calculateRepeatedMeasuresSampleSize(params) {
+  const {
+    studyType = 'superiority',
+    contrast = 'final',
+    meanDiff,
+    margin,
+    alpha,
+    power,
+    ratio = 1,
+    visits,
+    times,
+    sigma,
+    structure = 'cs',
+    rho,
+    correlationMatrix,
+    retention1,
+    retention2 = retention1
+  } = params
+
+  const invalid = {
+    n1: NaN,
+    n2: NaN,
+    variance1: NaN,
+    variance2: NaN,
+    inflation1: NaN,
+    inflation2: NaN
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!STUDY_TYPES.has(studyType)) return invalid
+  if (contrast !== 'final' && contrast !== 'slope') return invalid
+  if (!validateStatParams({ alpha, power, ratio }).valid || !(alpha < 0.5)) return invalid
+  if (!Number.isFinite(meanDiff)) return invalid
+  if (studyType !== 'superiority' && !(Number.isFinite(margin) && margin > 0)) return invalid
+  if (!Number.isInteger(visits) || visits < 2) return invalid
+
+  const sds = Array.isArray(sigma) ? sigma : new Array(visits).fill(sigma)
+  if (sds.length !== visits || !sds.every(s => Number.isFinite(s) && s > 0)) return invalid
+
+  const timePoints = times === undefined ? Array.from({ length: visits }, (_, j) => j + 1) : times
+  if (!Array.isArray(timePoints) || timePoints.length !== visits) return invalid
+  if (!timePoints.every(Number.isFinite)) return invalid
+
+  const full = new Array(visits).fill(1)
+  const r1 = retention1 === undefined ? full : retention1
+  const r2 = retention2 === undefined ? full : retention2
+  if (!isValidRetention(r1, visits) || !isValidRetention(r2, visits)) return invalid
+
+  const correlation = buildCorrelation(structure, visits, rho, correlationMatrix)
+  if (correlation === null) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 对比向量与每例方差
+  // ═══════════════════════════════════════════════════════════
+  const covariance = correlation.map((row, i) => row.map((r, j) => r * sds[i] * sds[j]))
+  let weights
+  if (contrast === 'final') {
+    weights = timePoints.map((_, j) => (j === visits - 1 ? 1 : 0))
+  } else {
+    const tBar = timePoints.reduce((sum, t) => sum + t, 0) / visits
+    const stt = timePoints.reduce((sum, t) => sum + (t - tBar) * (t - tBar), 0)
+    if (!(stt > 0)) return invalid
+    weights = timePoints.map(t => (t - tBar) / stt)
+  }
+
+  const variance1 = contrastVariance(covariance, r1, weights)
+  const variance2 = contrastVariance(covariance, r2, weights)
+  const complete = contrastVariance(covariance, full, weights)
+  if (!(variance1 > 0 && variance2 > 0 && complete > 0)) return invalid
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 样本量
+  // ═══════════════════════════════════════════════════════════
+  const isZeroDiff = Math.abs(meanDiff) < 1e-10
+  let effect = Math.abs(meanDiff)
+  let zBeta = normalInverse(power)
+  if (studyType === 'non-inferiority') {
+    effect = meanDiff + margin
+  } else if (studyType === 'equivalence') {
+    effect = margin - Math.abs(meanDiff)
+    if (isZeroDiff) zBeta = normalInverse((1 + power) / 2)
+  }
+
+  const result = {
+    variance1,
+    variance2,
+    inflation1: variance1 / complete,
+    inflation2: variance2 / complete
+  }
+  if (!(effect > 1e-10)) {
+    // 优效 Δ = 0 无法证明；非劣效 / 等效效应不为正时不可达
+    return studyType === 'superiority' ? invalid : { ...result, n1: Infinity, n2: Infinity }
+  }
+
+  const zAlpha = normalInverse(1 - alpha)
+  const n1 = Math.ceil(
+    (Math.pow(zAlpha + zBeta, 2) * (variance1 + variance2 / ratio)) / (effect * effect)
+  )
+  return { n1, n2: Math.ceil(n1 * ratio), ...result }
+}
+
+export { calculateRepeatedMeasuresSampleSize }
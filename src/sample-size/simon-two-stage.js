@@ -0,0 +1,230 @@
+/**
+ * @module sample-size/simon-two-stage
+ * @description Simon 两阶段 II 期设计 - 最优设计与极小极大设计搜索、给定设计的精确评估
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Simon R. Optimal two-stage designs for phase II clinical trials.
+ *     Control Clin Trials. 1989;10(1):1-10. DOI: 10.1016/0197-2456(89)90015-9
+ * [2] R 包 clinfun::ph2simon（同一搜索口径）
+ *
+ * @formula
+ *   第一阶段入组 n1 例，应答数 X1 ≤ r1 则因无效提前终止；
+ *   否则第二阶段再入组 n2 = n − n1 例，总应答数 X1 + X2 ≤ r 判定无效，> r 判定有效。
+ *
+ *   P(判定有效 | p) = Σ_{x1=r1+1}^{n1} b(x1; n1, p) · P(X2 > r − x1 | n2, p)
+ *   PET(p) = P(X1 ≤ r1 | n1, p)（提前终止概率）
+ *   EN(p)  = n1 + (1 − PET(p)) · n2（期望样本量）
+ *
+ *   约束: P(判定有效 | p0) ≤ α，P(判定有效 | p1) ≥ 1-β
+ *   最优设计: EN(p0) 最小；极小极大设计: n 最小，其次 EN(p0) 最小
+ */
+
+import { validateStatParams } from '../core/param-validator.js'
+import { binomialPMF } from '../core/binomial.js'
+
+/** 默认最大总样本量（同 clinfun::ph2simon nmax） */
+const DEFAULT_MAX_N = 100
+
+/** 搜索允许的最大总样本量上限（搜索量约为 O(n⁴)） */
+const MAX_SEARCH_N = 300
+
+/**
+ * 预计算 m = 0..maxN 的二项概率表
+ * @param {number} p - 应答率
+ * @param {number} maxN - 最大试验次数
+ * @returns {{pmf: number[][], tail: number[][]}} pmf[m][k] = P(X = k)，tail[m][j] = P(X ≥ j)
+ */
+function buildBinomialTables(p, maxN) {
+  const pmf = []
+  const tail = []
+  for (let m = 0; m <= maxN; m++) {
+    const row = []
+    for (let k = 0; k <= m; k++) row.push(binomialPMF(k, m, p))
+    const upper = new Array(m + 2).fill(0)
+    for (let k = m; k >= 0; k--) upper[k] = upper[k + 1] + row[k]
+    pmf.push(row)
+    tail.push(upper)
+  }
+  return { pmf, tail }
+}
+
+/**
+ * P(X ≥ j) 查表（j ≤ 0 时为 1）
+ * @param {number[]} upper - tail[m]
+ * @param {number} j - 阈值
+ * @returns {number}
+ */
+function tailAt(upper, j) {
+  if (j <= 0) return 1
+  return j < upper.length ? upper[j] : 0
+}
+
+/**
+ * 给定设计在应答率 p 下的判定有效概率与提前终止概率
+ * @param {number} r1 - 第一阶段终止界值
+ * @param {number} n1 - 第一阶段样本量
+ * @param {number} r - 总体判定界值
+ * @param {number} n - 总样本量
+ * @param {number} p - 应答率
+ * @returns {{reject: number, pet: number}}
+ */
+function simonOperatingCharacteristics(r1, n1, r, n, p) {
+  const n2 = n - n1
+  let reject = 0
+  let pet = 0
+  for (let x1 = 0; x1 <= n1; x1++) {
+    const b = binomialPMF(x1, n1, p)
+    if (x1 <= r1) {
+      pet += b
+    } else {
+      // P(X2 > r − x1) = P(X2 ≥ r − x1 + 1)
+      const need = r - x1 + 1
+      let tail = 0
+      if (need <= 0) tail = 1
+      else for (let x2 = need; x2 <= n2; x2++) tail += binomialPMF(x2, n2, p)
+      reject += b * tail
+    }
+  }
+  return { reject, pet }
+}
+
+/**
+ * Simon 两阶段设计搜索 - 最优设计与极小极大设计
+ *
+ * 遍历 n ≤ maxN、1 ≤ n1 < n、0 ≤ r1 < n1、r1 ≤ r < n 的全部设计；对每组 (n, n1, r)，
+ * 各 r1 的判定有效概率由第一阶段应答数的后缀和一次算出。
+ *
+ * @reference Simon (1989) Control Clin Trials 10(1):1-10
+ * @param {number} p0 - 无效应答率（H0）
+ * @param {number} p1 - 期望应答率（H1，> p0）
+ * @param {number} alpha - 单侧 I 类错误
+ * @param {number} power - 检验效能
+ * @param {number} [maxN=100] - 最大总样本量（≤ 300）
+ * @returns {object} - {optimal, minimax}，每个设计为
+ *   {r1, n1, r, n, expectedN, pet, actualAlpha, actualPower}（expectedN / pet 为 H0 下取值）；
+ *   maxN 内无可行设计时为 null，参数无效时为 NaN
+ *
+ * @example
+ * // Simon (1989) Table 1: p0 = 0.10, p1 = 0.30, α = 0.05, β = 0.20
+ * calculateSimonTwoStage(0.1, 0.3, 0.05, 0.8)
+ * // optimal: 1/10, 5/29, EN(p0) = 15.0, PET(p0) = 0.74
+ * // minimax: 1/15, 5/25, EN(p0) = 19.5, PET(p0) = 0.55
+ */
+function calculateSimonTwoStage(p0, p1, alpha, power, maxN = DEFAULT_MAX_N) {
+  // 统一参数验证（W8）：类型无效 / 数学域外 → 拒绝计算
+  if (
+    !validateStatParams({ p0, p1, alpha, power }).valid ||
+    !(p1 > p0) ||
+    !Number.isInteger(maxN) ||
+    maxN < 2 ||
+    maxN > MAX_SEARCH_N
+  ) {
+    return { optimal: NaN, minimax: NaN }
+  }
+
+  const h0 = buildBinomialTables(p0, maxN)
+  const h1 = buildBinomialTables(p1, maxN)
+
+  let optimal = null
+  let minimax = null
+
+  // ═══════════════════════════════════════════════════════════
+  // 穷举 (n, n1, r)，r1 由后缀和一次覆盖
+  // ═══════════════════════════════════════════════════════════
+  for (let n = 2; n <= maxN; n++) {
+    for (let n1 = 1; n1 < n; n1++) {
+      const n2 = n - n1
+      const b0 = h0.pmf[n1]
+      const b1 = h1.pmf[n1]
+      const t0 = h0.tail[n2]
+      const t1 = h1.tail[n2]
+
+      // PET(p0) = P(X1 ≤ r1) 的前缀和
+      const pet0 = []
+      let cumulative = 0
+      for (let x1 = 0; x1 < n1; x1++) {
+        cumulative += b0[x1]
+        pet0.push(cumulative)
+      }
+
+      for (let r = 0; r < n; r++) {
+        // 后缀和: reject(r1) = Σ_{x1 > r1} b(x1) · P(X2 ≥ r − x1 + 1)
+        let reject0 = 0
+        let reject1 = 0
+        for (let x1 = n1; x1 >= 1; x1--) {
+          reject0 += b0[x1] * tailAt(t0, r - x1 + 1)
+          reject1 += b1[x1] * tailAt(t1, r - x1 + 1)
+          const r1 = x1 - 1
+          if (r1 > r) continue
+          if (reject0 > alpha || reject1 < power) continue
+
+          const pet = pet0[r1]
+          const expectedN = n1 + (1 - pet) * n2
+          const design = {
+            r1,
+            n1,
+            r,
+            n,
+            expectedN,
+            pet,
+            actualAlpha: reject0,
+            actualPower: reject1
+          }
+
+          if (!optimal || expectedN < optimal.expectedN) {
+            optimal = design
+          }
+          // n 升序遍历: 首个可行设计的 n 即最小 n，之后只在同一 n 内比较 EN(p0)
+          if (!minimax || (n === minimax.n && expectedN < minimax.expectedN)) {
+            minimax = design
+          }
+        }
+      }
+    }
+  }
+
+  return { optimal, minimax }
+}
+
+/**
+ * 评估给定 Simon 两阶段设计的精确工作特征
+ *
+ * @param {number} r1 - 第一阶段终止界值（X1 ≤ r1 终止）
+ * @param {number} n1 - 第一阶段样本量
+ * @param {number} r - 总体判定界值（X ≤ r 判定无效）
+ * @param {number} n - 总样本量
+ * @param {number} p0 - 无效应答率（H0）
+ * @param {number} p1 - 期望应答率（H1）
+ * @returns {object} - {actualAlpha, actualPower, pet, expectedN, pet1, expectedN1}
+ *   （pet / expectedN 为 H0 下取值，pet1 / expectedN1 为 H1 下取值）；参数无效时各项为 NaN
+ */
+function evaluateSimonDesign(r1, n1, r, n, p0, p1) {
+  const invalid = {
+    actualAlpha: NaN,
+    actualPower: NaN,
+    pet: NaN,
+    expectedN: NaN,
+    pet1: NaN,
+    expectedN1: NaN
+  }
+  if (!validateStatParams({ p0, p1 }).valid) return invalid
+  if (![r1, n1, r, n].every(Number.isInteger)) return invalid
+  if (!(r1 >= 0 && r1 < n1 && n1 < n && r >= r1 && r < n)) return invalid
+
+  const h0 = simonOperatingCharacteristics(r1, n1, r, n, p0)
+  const h1 = simonOperatingCharacteristics(r1, n1, r, n, p1)
+  const n2 = n - n1
+
+  return {
+    actualAlpha: h0.reject,
+    actualPower: h1.reject,
+    pet: h0.pet,
+    expectedN: n1 + (1 - h0.pet) * n2,
+    pet1: h1.pet,
+    expectedN1: n1 + (1 - h1.pet) * n2
+  }
+}
+
+export { calculateSimonTwoStage, evaluateSimonDesign }
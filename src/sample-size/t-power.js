@@ -0,0 +1,114 @@
+/**
+ * @module sample-size/t-power
+ * @description 连续终点 t 检验精确功效与样本量迭代（method = 't' 路径共用）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ *
+ * @references
+ * [1] Julious SA. Sample Sizes for Clinical Trials. Chapman and Hall/CRC; 2009. Chapter 3
+ *     （非中心 t 精确样本量 vs 正态近似：小样本每组少 1-3 例）
+ * [2] Phillips KF. Power of the Two One-Sided Tests Procedure in Bioequivalence.
+ *     J Pharmacokinet Biopharm. 1990;18(2):137-144. DOI: 10.1007/BF01063556
+ * [3] Labes D, Schütz H, Lang B. PowerTOST. R package.（power.TOST 精确法）
+ *
+ * @formula
+ *   单侧 t 检验: power = 1 − F_{ν,λ}(t_{1−α,ν})，λ = |效应| / SE
+ *   TOST:       power = Q(ν, −t_{1−α,ν}, δ₂, 0, R) − Q(ν, t_{1−α,ν}, δ₁, 0, R)
+ *               δ₁ = (Δ + θ)/SE, δ₂ = (Δ − θ)/SE, R = (δ₁ − δ₂)√ν / (2 t_{1−α,ν})
+ */
+
+import { tInverse } from '../core/t-distribution.js'
+import { noncentralTCDF, owensQ } from '../core/noncentral-t.js'
+
+/** 连续终点样本量方法: 'z' 正态近似公式 / 't' 非中心 t 精确功效迭代 */
+const CONTINUOUS_METHODS = new Set(['z', 't'])
+
+/** 迭代搜索的样本量上限（超过视为不可达） */
+const MAX_SAMPLE_SIZE = 1e7
+
+/**
+ * 单侧 t 检验精确功效（非中心 t）
+ * @param {number} ncp - 非中心参数 λ = |效应| / SE
+ * @param {number} df - 自由度
+ * @param {number} alpha - 单侧显著性水平
+ * @returns {number} 功效；df 无效时返回 NaN
+ */
+function calculateTTestPower(ncp, df, alpha) {
+  const t_alpha = tInverse(1 - alpha, df)
+  if (!isFinite(t_alpha)) return NaN
+  return 1 - noncentralTCDF(t_alpha, df, ncp)
+}
+
+/**
+ * TOST 精确功效（Owen's Q）
+ * @param {number} meanDiff - 预期均值差 Δ
+ * @param {number} margin - 等效界值 θ（对称界限 [−θ, θ]）
+ * @param {number} se - 均值差的标准误
+ * @param {number} df - 自由度
+ * @param {number} alpha - 单侧显著性水平（每个单侧检验）
+ * @returns {number} 功效 ∈ [0, 1]；df 无效时返回 NaN
+ */
+function calculateTOSTPower(meanDiff, margin, se, df, alpha) {
+  const t_alpha = tInverse(1 - alpha, df)
+  if (!isFinite(t_alpha)) return NaN
+  const delta1 = (meanDiff + margin) / se
+  const delta2 = (meanDiff - margin) / se
+  const R = ((delta1 - delta2) * Math.sqrt(df)) / (2 * t_alpha)
+  const power = owensQ(df, -t_alpha, delta2, 0, R) - owensQ(df, t_alpha, delta1, 0, R)
+  return Math.max(0, power)
+}
+
+/**
+ * 搜索使精确功效达标的最小样本量
+ *
+ * 以 z 公式结果为初值：功效不足时倍增步长向上找括号，已达标时倍增步长向下找括号，
+ * 最后在括号内二分。
+ *
+ * @param {Function} powerAt - (n) => 该样本量下的精确功效
+ * @param {number} start - 初值（通常为 z 公式样本量）
+ * @param {number} target - 目标功效
+ * @param {number} [minN=2] - 允许的最小样本量（保证 df ≥ 1）
+ * @returns {number} 最小样本量；超过上限返回 Infinity
+ */
+function searchSampleSizeT(powerAt, start, target, minN = 2) {
+  const n = Math.max(minN, Math.ceil(start))
+  let lo
+  let hi
+
+  if (powerAt(n) >= target) {
+    // 初值已达标 → 向下找首个不达标点
+    hi = n
+    let step = 1
+    lo = n - step
+    while (lo >= minN && powerAt(lo) >= target) {
+      hi = lo
+      step *= 2
+      lo = n - step
+    }
+    if (lo < minN) {
+      if (powerAt(minN) >= target) return minN
+      lo = minN
+    }
+  } else {
+    // 初值不达标 → 向上找首个达标点
+    lo = n
+    let step = 1
+    hi = n + step
+    while (!(powerAt(hi) >= target)) {
+      lo = hi
+      step *= 2
+      hi = n + step
+      if (hi > MAX_SAMPLE_SIZE) return Infinity
+    }
+  }
+
+  // 括号内二分: powerAt(lo) < target ≤ powerAt(hi)
+  while (hi - lo > 1) {
+    const mid = Math.floor((lo + hi) / 2)
+    if (powerAt(mid) >= target) hi = mid
+    else lo = mid
+  }
+  return hi
+}
+
+export { CONTINUOUS_METHODS, calculateTTestPower, calculateTOSTPower, searchSampleSizeT }
@@ -0,0 +1,55 @@
+/**
+ * @module sample-size/two-group/dispatch
+ * @description 两组比较样本量 - 按试验类型分发到非劣效 / 优效 / 等效函数（供再估计、整群设计等上层模块复用）
+ * @author Device Helper Team
+ * @date 2026-01-18
+ */
+
+import { calculateNISampleSize, calculateNISampleSizeContinuous } from './non-inferiority.js'
+import { calculateSupSampleSize, calculateSupSampleSizeContinuous } from './superiority.js'
+import { calculateEqSampleSize, calculateEqSampleSizeContinuous } from './equivalence.js'
+
+/** 支持的试验类型 */
+const STUDY_TYPES = new Set(['non-inferiority', 'superiority', 'equivalence'])
+
+/**
+ * 按试验类型调用既有样本量函数（率终点）
+ * @param {string} studyType - 试验类型
+ * @param {number} p1 - 对照组率
+ * @param {number} p2 - 试验组率
+ * @param {number} margin - 非劣效 / 等效界值
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} power - 检验效能
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @returns {{n1: number, n2: number}}
+ */
+function proportionSampleSize(studyType, p1, p2, margin, alpha, power, ratio) {
+  if (studyType === 'non-inferiority')
+    return calculateNISampleSize(p1, p2, margin, alpha, power, ratio)
+  if (studyType === 'superiority') return calculateSupSampleSize(p1, p2, alpha, power, ratio)
+  return calculateEqSampleSize(p1, p2, margin, alpha, power, ratio)
+}
+
+/**
+ * 按试验类型调用既有样本量函数（连续终点）
+ * @param {string} studyType - 试验类型
+ * @param {number} sigma - 标准差
+ * @param {number} margin - 非劣效 / 等效界值
+ * @param {number} alpha - 单侧显著性水平
+ * @param {number} power - 检验效能
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {number} meanDiff - 预期均值差
+ * @param {'z'|'t'} method - 样本量方法
+ * @returns {{n1: number, n2: number}}
+ */
+function continuousSampleSize(studyType, sigma, margin, alpha, power, ratio, meanDiff, method) {
+  if (studyType === 'non-inferiority') {
+    return calculateNISampleSizeContinuous(sigma, margin, alpha, power, ratio, meanDiff, method)
+  }
+  if (studyType === 'superiority') {
+    return calculateSupSampleSizeContinuous(sigma, meanDiff, alpha, power, ratio, method)
+  }
+  return calculateEqSampleSizeContinuous(sigma, margin, alpha, power, ratio, meanDiff, method)
+}
+
+export { STUDY_TYPES, proportionSampleSize, continuousSampleSize }
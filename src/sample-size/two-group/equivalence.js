@@ -30,6 +30,10 @@
  *     J Pharmacokinet Biopharm. 1990;18(2):137-144. DOI: 10.1007/BF01063556
  *     (TOST检验功效理论基础)
  *
+ * [6] Farrington CP, Manning G. Test statistics and sample size formulae for comparative
+ *     binomial trials with null hypothesis of non-zero risk difference or non-unity
+ *     relative risk. Stat Med. 1990;9(12):1447-1454. (RMLE 方差)
+ *
  * @note 公式选择说明
  * - 等效 (TOST双侧检验)：
  *   • 当预期差异 Δ=0 (对称场景): 使用 Z_{1-β/2}，确保联合功效达到指定水平
@@ -45,6 +49,15 @@
 import { safeNumber, safeDivide, floatGte, floatLte } from '../../core/safe-math.js'
 import { normalInverse } from '../../core/normal-distribution.js'
 import { validateStatParams } from '../../core/param-validator.js'
+import { differenceScaleDesign } from '../../core/proportion-score.js'
+import { VARIANCE_METHODS, scoreSampleSize } from './non-inferiority.js'
+import { CONTINUOUS_METHODS, calculateTOSTPower, searchSampleSizeT } from '../t-power.js'
+import {
+  isValidAncova,
+  ancovaVarianceFactor,
+  ancovaSampleSize,
+  ancovaStandardError
+} from '../ancova.js'
 
 /**
  * 等效试验样本量计算 - 率终点
@@ -52,6 +65,8 @@ import { validateStatParams } from '../../core/param-validator.js'
  * @formula
  *   当 p1=p2 时: n₁ = (Z_{1-α} + Z_{1-β/2})² × [p₁(1-p₁) + p₂(1-p₂)/k] / δ²
  *   当 p1≠p2 时: n₁ = (Z_{1-α} + Z_{1-β})² × [p₁(1-p₁) + p₂(1-p₂)/k] / [δ - |p₂-p₁|]²
+ *   method='fm' / 'mn': 两个单侧检验分别按 δ₀ = −δ、+δ 的 RMLE 方差（mn 再乘 N/(N − 1)）计算，
+ *   Z_{1-β} / Z_{1-β/2} 选择同上，取两侧较大者
  *
  * @hypothesis H₀: |p₂ - p₁| ≥ δ, H₁: |p₂ - p₁| < δ (TOST双侧检验)
  *
@@ -78,11 +93,12 @@ import { validateStatParams } from '../../core/param-validator.js'
  * @param {number} alpha - 单侧显著性水平（TOST每个单侧检验使用的α，如0.025对应95% CI）
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'wald'|'fm'|'mn'} [method='wald'] - H₀ 方差（与结果验证 method 对应）
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateEqSampleSize(p1, p2, delta, alpha, power, ratio) {
+function calculateEqSampleSize(p1, p2, delta, alpha, power, ratio, method = 'wald') {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 ratio≤0 slip-through）→ 拒绝计算
-  if (!validateStatParams({ p1, p2, alpha, power, ratio }).valid) {
+  if (!validateStatParams({ p1, p2, alpha, power, ratio }).valid || !VARIANCE_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -127,7 +143,27 @@ function calculateEqSampleSize(p1, p2, delta, alpha, power, ratio) {
   }
 
   // ═══════════════════════════════════════════════════════════
-  // Step 3: 计算样本量
+  // Step 3: Score 方差（FM / MN）
+  // ───────────────────────────────────────────────────────────
+  // 下侧 H₀: p₂ − p₁ ≤ −δ，上侧 H₀: p₂ − p₁ ≥ δ（效应量取反），取两侧较大者
+  // ═══════════════════════════════════════════════════════════
+  if (method !== 'wald') {
+    const lowerSide = differenceScaleDesign(p1, p2, -delta, ratio)
+    const upperSide = differenceScaleDesign(p1, p2, delta, ratio)
+    const mnCorrection = method === 'mn'
+    const lower = scoreSampleSize(lowerSide, z_alpha, z_beta, ratio, mnCorrection)
+    const upper = scoreSampleSize(
+      { ...upperSide, effect: -upperSide.effect },
+      z_alpha,
+      z_beta,
+      ratio,
+      mnCorrection
+    )
+    return lower.n1 >= upper.n1 ? lower : upper
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 4: 计算样本量（Wald）
   // Formula: n1 = (z_α + z_β)² × [p1(1-p1) + p2(1-p2)/k] / [δ - |p2-p1|]²
   // ═══════════════════════════════════════════════════════════
   const numer =
@@ -169,17 +205,38 @@ function calculateEqSampleSize(p1, p2, delta, alpha, power, ratio) {
  *   - Δ=0 场景: C-05 Julious (meanDiff=0) 计算832 vs 文献832，完美匹配
  *   - Δ≠0 场景: C-01 Flight (meanDiff=-5) 计算418 vs 文献417，偏差0.2%
  *
+ * @note method='t': 以上述 z 公式结果为初值，迭代 n₁ 至 TOST 精确功效
+ *   （Owen's Q，同 PowerTOST power.TOST 精确法）达到 1-β，ν = n₁ + n₂ − 2
+ *
+ * @note ANCOVA: σ² 替换为 σ²(1 − ρ²)（Borm 2007）；method='t' 时 ν = N − 2 − q，
+ *   SE² 再乘 (N − 3)/(N − 3 − q)（见 sample-size/ancova）
+ *
  * @param {number} sigma - 标准差
  * @param {number} delta - 等效界值（正数，对称界限 [-δ, δ]）
  * @param {number} alpha - 单侧显著性水平（TOST每个单侧检验使用的α，如0.025对应95% CI）
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
  * @param {number} meanDiff - 预期均值差（通常假设为0）
+ * @param {'z'|'t'} [method='z'] - 'z' 正态近似公式；'t' Owen's Q 精确 TOST 功效迭代
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正：
+ *   correlation 为基线-结局相关系数 ρ，covariates 为协变量个数（默认 1）；null 为不校正
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateEqSampleSizeContinuous(sigma, delta, alpha, power, ratio, meanDiff) {
+function calculateEqSampleSizeContinuous(
+  sigma,
+  delta,
+  alpha,
+  power,
+  ratio,
+  meanDiff,
+  method = 'z',
+  ancova = null
+) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0 slip-through）→ 拒绝计算
-  if (!validateStatParams({ sigma, alpha, power, ratio }).valid) {
+  if (!validateStatParams({ sigma, alpha, power, ratio }).valid || !isValidAncova(ancova)) {
+    return { n1: NaN, n2: NaN }
+  }
+  if (!CONTINUOUS_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -225,7 +282,8 @@ function calculateEqSampleSizeContinuous(sigma, delta, alpha, power, ratio, mean
   // Step 3: 计算样本量
   // Formula: n1 = (z_α + z_β)² × σ² × (1 + 1/k) / [δ - |μ2-μ1|]²
   // ═══════════════════════════════════════════════════════════
-  const numer = Math.pow(z_alpha + z_beta, 2) * Math.pow(sigma, 2) * (1 + 1 / ratio)
+  const variance = Math.pow(sigma, 2) * ancovaVarianceFactor(ancova) // ANCOVA: σ²(1 − ρ²)
+  const numer = Math.pow(z_alpha + z_beta, 2) * variance * (1 + 1 / ratio)
   const denom = Math.pow(effectSize, 2)
 
   const n1_raw = safeDivide(numer, denom, 0)
@@ -234,8 +292,27 @@ function calculateEqSampleSizeContinuous(sigma, delta, alpha, power, ratio, mean
     return { n1: Infinity, n2: Infinity }
   }
 
-  // 先对n1取整，然后n2严格按比例计算
-  const n1 = Math.ceil(n1_raw)
+  // 先对n1取整（ANCOVA 另计小样本膨胀），然后n2严格按比例计算
+  let n1 = ancovaSampleSize(n1_raw, ratio, ancova)
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 4 (method='t'): z 公式结果为初值，迭代至 TOST 精确功效达标
+  // ═══════════════════════════════════════════════════════════
+  if (method === 't') {
+    n1 = searchSampleSizeT(
+      m => {
+        const m2 = Math.ceil(m * ratio)
+        const { se, df } = ancovaStandardError(sigma, m, m2, ancova)
+        return calculateTOSTPower(meanDiff, delta, se, df, alpha)
+      },
+      n1,
+      power
+    )
+    if (!isFinite(n1)) {
+      return { n1: Infinity, n2: Infinity }
+    }
+  }
+
   const n2 = Math.ceil(n1 * ratio) // 严格保持比例关系
 
   return { n1, n2 }
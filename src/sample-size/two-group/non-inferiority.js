@@ -22,6 +22,13 @@
  *     group clinical trials with binary data. Stat Med. 2012;31:2904-2936.
  *     DOI: 10.1002/sim.5381
  *
+ * [4] Farrington CP, Manning G. Test statistics and sample size formulae for comparative
+ *     binomial trials with null hypothesis of non-zero risk difference or non-unity
+ *     relative risk. Stat Med. 1990;9(12):1447-1454. (相对危险度尺度 / RMLE 方差)
+ *
+ * [5] Miettinen O, Nurminen M. Comparative analysis of two rates. Stat Med. 1985;4(2):213-226.
+ *     DOI: 10.1002/sim.4780040211 (N/(N−1) 方差校正)
+ *
  * @validated 验证状态 (2026-01-25)
  * - 率终点: 与 NMPA 鼻用糖皮质激素非劣效试验完美匹配
  * - 连续终点: 与 ICORG 05-03 放疗试验完美匹配
@@ -30,15 +37,75 @@
 import { safeNumber, safeDivide } from '../../core/safe-math.js'
 import { normalInverse } from '../../core/normal-distribution.js'
 import { validateStatParams } from '../../core/param-validator.js'
+import {
+  PROPORTION_SCALES,
+  ratioScaleDesign,
+  differenceScaleDesign
+} from '../../core/proportion-score.js'
+import { CONTINUOUS_METHODS, calculateTTestPower, searchSampleSizeT } from '../t-power.js'
+import {
+  isValidAncova,
+  ancovaVarianceFactor,
+  ancovaSampleSize,
+  ancovaStandardError
+} from '../ancova.js'
+
+/** 率差尺度设计方差: Wald（unpooled，Chow）/ Farrington-Manning RMLE / Miettinen-Nurminen */
+const VARIANCE_METHODS = new Set(['wald', 'fm', 'mn'])
+
+/**
+ * Score 检验设计样本量（H₀ / H₁ 方差分离；非劣效 / 优效 / 等效共用）
+ * @param {{effect: number, sdNull: number, sdAlt: number}} design - ratioScaleDesign /
+ *   differenceScaleDesign 结果
+ * @param {number} z_alpha - Z_{1-α}
+ * @param {number} z_beta - Z_{1-β}
+ * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {boolean} [mnCorrection=false] - H₀ 方差是否乘 N/(N − 1)（Miettinen-Nurminen）
+ * @returns {{n1: number, n2: number}} 预期效应不在备择假设一侧时为 NaN
+ */
+function scoreSampleSize(design, z_alpha, z_beta, ratio, mnCorrection = false) {
+  const { effect, sdNull, sdAlt } = design
+  if (!(effect > 1e-10)) {
+    return { n1: NaN, n2: NaN }
+  }
+
+  const required = correction =>
+    Math.pow((z_alpha * sdNull * Math.sqrt(correction) + z_beta * sdAlt) / effect, 2)
+  const n1_raw = required(1)
+  if (!isFinite(n1_raw)) {
+    return { n1: Infinity, n2: Infinity }
+  }
+
+  let n1 = Math.ceil(n1_raw)
+  if (mnCorrection) {
+    // 校正因子依赖总例数 N，自 FM 结果逐例递增至满足要求
+    const correctionAt = n => {
+      const N = n + Math.ceil(n * ratio)
+      return N / (N - 1)
+    }
+    while (n1 < required(correctionAt(n1))) n1++
+  }
+  const n2 = Math.ceil(n1 * ratio)
+  return { n1, n2 }
+}
 
 /**
  * 非劣效试验样本量计算 - 率终点
  *
  * @formula n₁ = (Z_{1-α} + Z_{1-β})² × [p₁(1-p₁) + p₂(1-p₂)/k] / [(p₂-p₁)+δ]²
+ * @formula scale='ratio'（H₀: p₂/p₁ ≤ M，Farrington-Manning RMLE）:
+ *   n₁ = [Z_{1-α}·√(p̃₂q̃₂/k + M²p̃₁q̃₁) + Z_{1-β}·√(p₂q₂/k + M²p₁q₁)]² / (p₂ − M·p₁)²
+ * @formula scale='oddsRatio'（H₀: OR ≤ M）:
+ *   n₁ = (Z_{1-α} + Z_{1-β})² × [1/(p₁q₁) + 1/(k·p₂q₂)] / (ln OR − ln M)²
+ * @formula method='fm'（率差尺度，H₀ 方差取 p₂ − p₁ = −δ 约束下的 RMLE p̃₁、p̃₂）:
+ *   n₁ = [Z_{1-α}·√(p̃₁q̃₁ + p̃₂q̃₂/k) + Z_{1-β}·√(p₁q₁ + p₂q₂/k)]² / [(p₂-p₁)+δ]²
+ *   method='mn': H₀ 方差再乘 N/(N − 1)，取满足上式的最小整数 n₁
  *
  * @reference Chow et al. (2017) Chapter 4, Page 90-92
+ * @reference Farrington & Manning (1990) Stat Med. 9(12):1447-1454
  * @reference Julious & Campbell (2012) Stat Med. 31:2904-2936
  * @validated 与以下临床试验数据验证一致：
+ *   - method='fm': gsDesign::nBinomial 对称场景连续值一致（tests/fixtures golden）
  *   - 鼻用糖皮质激素非劣效试验 (NMPA)
  *   - 复方嗜酸乳杆菌非劣效试验
  *   - 布地奈德雾化非劣效试验
@@ -46,18 +113,37 @@ import { validateStatParams } from '../../core/param-validator.js'
  *
  * @param {number} p1 - 对照组预期率
  * @param {number} p2 - 试验组预期率
- * @param {number} delta - 非劣效界值（正数）
+ * @param {number} delta - 非劣效界值（率差尺度为正数；比值尺度为 RR / OR 界值，如 0.9）
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度（率差 / 相对危险度 / 比值比）
+ * @param {'wald'|'fm'|'mn'} [method='wald'] - 率差尺度 H₀ 方差（与结果验证 method 对应）；
+ *   比值尺度固定为 Farrington-Manning RMLE，method 不适用
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateNISampleSize(p1, p2, delta, alpha, power, ratio) {
+function calculateNISampleSize(
+  p1,
+  p2,
+  delta,
+  alpha,
+  power,
+  ratio,
+  scale = 'difference',
+  method = 'wald'
+) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 ratio≤0 slip-through）→ 拒绝计算
   // delta 无域约束（非劣效界值可为负），不参与校验
   if (!validateStatParams({ p1, p2, alpha, power, ratio }).valid) {
     return { n1: NaN, n2: NaN }
   }
+  if (!PROPORTION_SCALES.has(scale) || !VARIANCE_METHODS.has(method)) {
+    return { n1: NaN, n2: NaN }
+  }
+  // 比值尺度界值必须为正的比值
+  if (scale !== 'difference' && !(Number.isFinite(delta) && delta > 0)) {
+    return { n1: NaN, n2: NaN }
+  }
 
   // 输入清洗 - 确保所有参数都是有效数字
   p1 = safeNumber(p1, 0)
@@ -75,6 +161,16 @@ function calculateNISampleSize(p1, p2, delta, alpha, power, ratio) {
     return { n1: NaN, n2: NaN }
   }
 
+  if (scale !== 'difference') {
+    const design = ratioScaleDesign(p1, p2, delta, ratio, scale)
+    return scoreSampleSize(design, z_alpha, z_beta, ratio)
+  }
+
+  if (method !== 'wald') {
+    const design = differenceScaleDesign(p1, p2, -delta, ratio)
+    return scoreSampleSize(design, z_alpha, z_beta, ratio, method === 'mn')
+  }
+
   // Formula: n1 = (z_α + z_β)² × [p1(1-p1) + p2(1-p2)/k] / [(p2-p1)+δ]²
   const numer =
     Math.pow(z_alpha + z_beta, 2) * (p1 * (1 - p1) + safeDivide(p2 * (1 - p2), ratio, 0))
@@ -107,9 +203,14 @@ function calculateNISampleSize(p1, p2, delta, alpha, power, ratio) {
  * 非劣效试验样本量计算 - 连续终点
  *
  * @formula n₁ = (Z_{1-α} + Z_{1-β})² × σ² × (1 + 1/k) / [(μ₂-μ₁)+δ]²
+ * @formula method='t': 以 z 公式为初值，迭代 n₁ 至 1 − F_{ν,λ}(t_{1-α,ν}) ≥ 1-β，
+ *   ν = n₁ + n₂ − 2，λ = |(μ₂-μ₁)+δ| / (σ√(1/n₁ + 1/n₂))
+ * @formula ANCOVA: σ² 替换为 σ²(1 − ρ²)（Borm 2007）；method='t' 时 ν = N − 2 − q，
+ *   SE² 再乘 (N − 3)/(N − 3 − q)（见 sample-size/ancova）
  *
  * @reference Chow et al. (2017) Chapter 4
  * @reference Julious (2009) Sample Sizes for Clinical Trials
+ * @reference Borm et al. (2007) J Clin Epidemiol. 60(12):1234-1238
  * @validated 与以下临床试验数据验证一致：
  *   - ICORG 05-03 放疗试验 (完美匹配)
  *   - 关节腔几丁糖非劣效试验
@@ -120,12 +221,27 @@ function calculateNISampleSize(p1, p2, delta, alpha, power, ratio) {
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
  * @param {number} meanDiff - 预期均值差（试验组-对照组）
+ * @param {'z'|'t'} [method='z'] - 'z' 正态近似公式；'t' 非中心 t 精确功效迭代
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正：
+ *   correlation 为基线-结局相关系数 ρ，covariates 为协变量个数（默认 1）；null 为不校正
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateNISampleSizeContinuous(sigma, delta, alpha, power, ratio, meanDiff) {
+function calculateNISampleSizeContinuous(
+  sigma,
+  delta,
+  alpha,
+  power,
+  ratio,
+  meanDiff,
+  method = 'z',
+  ancova = null
+) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0 slip-through）→ 拒绝计算
   // delta / meanDiff 无域约束，不参与校验
-  if (!validateStatParams({ sigma, alpha, power, ratio }).valid) {
+  if (!validateStatParams({ sigma, alpha, power, ratio }).valid || !isValidAncova(ancova)) {
+    return { n1: NaN, n2: NaN }
+  }
+  if (!CONTINUOUS_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -156,7 +272,8 @@ function calculateNISampleSizeContinuous(sigma, delta, alpha, power, ratio, mean
   }
 
   // 公式：n1 = (z_α + z_β)² × σ² × (1 + 1/k) / effect²
-  const numer = Math.pow(z_alpha + z_beta, 2) * Math.pow(sigma, 2) * (1 + 1 / ratio)
+  const variance = Math.pow(sigma, 2) * ancovaVarianceFactor(ancova) // ANCOVA: σ²(1 − ρ²)
+  const numer = Math.pow(z_alpha + z_beta, 2) * variance * (1 + 1 / ratio)
   const denom = Math.pow(effectSize, 2)
 
   const n1_raw = numer / denom
@@ -169,11 +286,28 @@ function calculateNISampleSizeContinuous(sigma, delta, alpha, power, ratio, mean
     return { n1: Infinity, n2: Infinity }
   }
 
-  // 先对n1取整，然后n2严格按比例计算
-  const n1 = Math.ceil(n1_raw)
+  // 先对n1取整（ANCOVA 另计小样本膨胀），然后n2严格按比例计算
+  let n1 = ancovaSampleSize(n1_raw, ratio, ancova)
+
+  // method='t': z 公式结果为初值，迭代至非中心 t 精确功效达标
+  if (method === 't') {
+    n1 = searchSampleSizeT(
+      m => {
+        const m2 = Math.ceil(m * ratio)
+        const { se, df } = ancovaStandardError(sigma, m, m2, ancova)
+        return calculateTTestPower(Math.abs(effectSize) / se, df, alpha)
+      },
+      n1,
+      power
+    )
+    if (!isFinite(n1)) {
+      return { n1: Infinity, n2: Infinity }
+    }
+  }
+
   const n2 = Math.ceil(n1 * ratio) // 严格保持比例关系
 
   return { n1, n2 }
 }
 
-export { calculateNISampleSize, calculateNISampleSizeContinuous }
+export { calculateNISampleSize, calculateNISampleSizeContinuous, VARIANCE_METHODS, scoreSampleSize }
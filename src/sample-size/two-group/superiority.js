@@ -22,6 +22,10 @@
  *     group clinical trials with binary data. Stat Med. 2012;31:2904-2936.
  *     DOI: 10.1002/sim.5381
  *
+ * [4] Farrington CP, Manning G. Test statistics and sample size formulae for comparative
+ *     binomial trials with null hypothesis of non-zero risk difference or non-unity
+ *     relative risk. Stat Med. 1990;9(12):1447-1454. (RMLE 方差)
+ *
  * @validated 验证状态 (2026-01-25)
  * - 率终点: 与婴儿败血症治疗率试验完美匹配
  * - 连续终点: 与疼痛评分改善试验完美匹配
@@ -30,13 +34,32 @@
 import { safeNumber, safeDivide } from '../../core/safe-math.js'
 import { normalInverse } from '../../core/normal-distribution.js'
 import { validateStatParams } from '../../core/param-validator.js'
+import {
+  PROPORTION_SCALES,
+  ratioScaleDesign,
+  differenceScaleDesign
+} from '../../core/proportion-score.js'
+import { VARIANCE_METHODS, scoreSampleSize } from './non-inferiority.js'
+import { CONTINUOUS_METHODS, calculateTTestPower, searchSampleSizeT } from '../t-power.js'
+import {
+  isValidAncova,
+  ancovaVarianceFactor,
+  ancovaSampleSize,
+  ancovaStandardError
+} from '../ancova.js'
 
 /**
  * 优效试验样本量计算 - 率终点
  *
  * @formula n₁ = (Z_{1-α} + Z_{1-β})² × [p₁(1-p₁) + p₂(1-p₂)/k] / (p₂-p₁)²
  *
- * @hypothesis H₀: p₂ - p₁ ≤ 0, H₁: p₂ - p₁ > 0
+ * @formula scale='ratio'（Farrington-Manning RMLE，θ₀ = 1 时为合并率 p̄ = (p₁ + k·p₂)/(1 + k)）:
+ *   n₁ = [Z_{1-α}·√(p̄q̄(1 + 1/k)) + Z_{1-β}·√(p₁q₁ + p₂q₂/k)]² / (p₂-p₁)²
+ * @formula scale='oddsRatio': n₁ = (Z_{1-α} + Z_{1-β})² × [1/(p₁q₁) + 1/(k·p₂q₂)] / (ln OR)²
+ * @formula method='fm'（率差尺度）: H₀ 方差取合并率 p̄，与 scale='ratio' 的 FM 公式相同；
+ *   method='mn': H₀ 方差再乘 N/(N − 1)
+ *
+ * @hypothesis H₀: p₂ - p₁ ≤ 0, H₁: p₂ - p₁ > 0（比值尺度: H₀: θ ≤ 1）
  *
  * @reference Chow et al. (2017) Chapter 4
  * @reference Julious & Campbell (2012) Stat Med. 31:2904-2936
@@ -49,13 +72,26 @@ import { validateStatParams } from '../../core/param-validator.js'
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'difference'|'ratio'|'oddsRatio'} [scale='difference'] - 效应量尺度（率差 / 相对危险度 / 比值比）
+ * @param {'wald'|'fm'|'mn'} [method='wald'] - 率差尺度 H₀ 方差（比值尺度不适用）
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateSupSampleSize(p1, p2, alpha, power, ratio) {
+function calculateSupSampleSize(
+  p1,
+  p2,
+  alpha,
+  power,
+  ratio,
+  scale = 'difference',
+  method = 'wald'
+) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 ratio≤0 slip-through）→ 拒绝计算
   if (!validateStatParams({ p1, p2, alpha, power, ratio }).valid) {
     return { n1: NaN, n2: NaN }
   }
+  if (!PROPORTION_SCALES.has(scale) || !VARIANCE_METHODS.has(method)) {
+    return { n1: NaN, n2: NaN }
+  }
 
   // 输入清洗
   p1 = safeNumber(p1, 0)
@@ -78,6 +114,21 @@ function calculateSupSampleSize(p1, p2, alpha, power, ratio) {
     return { n1: NaN, n2: NaN }
   }
 
+  // 比值尺度（H₀: θ = 1）与率差 score 方差（H₀: p₂ − p₁ = 0）: 与 Wald 相同按 |效应量| 计算
+  if (scale !== 'difference' || method !== 'wald') {
+    const design =
+      scale === 'difference'
+        ? differenceScaleDesign(p1, p2, 0, ratio)
+        : ratioScaleDesign(p1, p2, 1, ratio, scale)
+    return scoreSampleSize(
+      { ...design, effect: Math.abs(design.effect) },
+      z_alpha,
+      z_beta,
+      ratio,
+      scale === 'difference' && method === 'mn'
+    )
+  }
+
   // Formula: n1 = (z_α + z_β)² × [p1(1-p1) + p2(1-p2)/k] / (p2-p1)²
   const numer =
     Math.pow(z_alpha + z_beta, 2) * (p1 * (1 - p1) + safeDivide(p2 * (1 - p2), ratio, 0))
@@ -104,9 +155,14 @@ function calculateSupSampleSize(p1, p2, alpha, power, ratio) {
  * 优效试验样本量计算 - 连续终点
  *
  * @formula n₁ = (Z_{1-α} + Z_{1-β})² × σ² × (1 + 1/k) / (μ₂-μ₁)²
+ * @formula method='t': 以 z 公式为初值，迭代 n₁ 至 1 − F_{ν,λ}(t_{1-α,ν}) ≥ 1-β，
+ *   ν = n₁ + n₂ − 2，λ = |μ₂-μ₁| / (σ√(1/n₁ + 1/n₂))
+ * @formula ANCOVA: σ² 替换为 σ²(1 − ρ²)（Borm 2007）；method='t' 时 ν = N − 2 − q，
+ *   SE² 再乘 (N − 3)/(N − 3 − q)（见 sample-size/ancova）
  *
  * @reference Chow et al. (2017) Chapter 4
  * @reference Julious (2009) Sample Sizes for Clinical Trials
+ * @reference Borm et al. (2007) J Clin Epidemiol. 60(12):1234-1238
  * @validated 与以下临床试验数据验证一致：
  *   - 降压药物比较试验 (Dtsch Arztebl Int 2010) - 差1例
  *   - 疼痛评分改善试验 (Perspect Clin Res 2010) - 完美匹配
@@ -117,11 +173,25 @@ function calculateSupSampleSize(p1, p2, alpha, power, ratio) {
  * @param {number} alpha - 单侧显著性水平
  * @param {number} power - 检验效能
  * @param {number} ratio - 分配比例 k = n2/n1
+ * @param {'z'|'t'} [method='z'] - 'z' 正态近似公式；'t' 非中心 t 精确功效迭代
+ * @param {{correlation: number, covariates?: number}|null} [ancova=null] - ANCOVA 基线校正：
+ *   correlation 为基线-结局相关系数 ρ，covariates 为协变量个数（默认 1）；null 为不校正
  * @returns {{n1: number, n2: number}} 各组样本量
  */
-function calculateSupSampleSizeContinuous(sigma, meanDiff, alpha, power, ratio) {
+function calculateSupSampleSizeContinuous(
+  sigma,
+  meanDiff,
+  alpha,
+  power,
+  ratio,
+  method = 'z',
+  ancova = null
+) {
   // 统一参数验证（W8）：类型无效 / 数学域外（含 sigma≤0、ratio≤0 slip-through）→ 拒绝计算
-  if (!validateStatParams({ sigma, alpha, power, ratio }).valid) {
+  if (!validateStatParams({ sigma, alpha, power, ratio }).valid || !isValidAncova(ancova)) {
+    return { n1: NaN, n2: NaN }
+  }
+  if (!CONTINUOUS_METHODS.has(method)) {
     return { n1: NaN, n2: NaN }
   }
 
@@ -144,7 +214,8 @@ function calculateSupSampleSizeContinuous(sigma, meanDiff, alpha, power, ratio)
     return { n1: NaN, n2: NaN }
   }
 
-  const numer = Math.pow(z_alpha + z_beta, 2) * Math.pow(sigma, 2) * (1 + 1 / ratio)
+  const variance = Math.pow(sigma, 2) * ancovaVarianceFactor(ancova) // ANCOVA: σ²(1 − ρ²)
+  const numer = Math.pow(z_alpha + z_beta, 2) * variance * (1 + 1 / ratio)
   const denom = Math.pow(meanDiff, 2)
 
   const n1_raw = numer / denom
@@ -157,8 +228,25 @@ function calculateSupSampleSizeContinuous(sigma, meanDiff, alpha, power, ratio)
     return { n1: Infinity, n2: Infinity }
   }
 
-  // 先对n1取整，然后n2严格按比例计算
-  const n1 = Math.ceil(n1_raw)
+  // 先对n1取整（ANCOVA 另计小样本膨胀），然后n2严格按比例计算
+  let n1 = ancovaSampleSize(n1_raw, ratio, ancova)
+
+  // method='t': z 公式结果为初值，迭代至非中心 t 精确功效达标
+  if (method === 't') {
+    n1 = searchSampleSizeT(
+      m => {
+        const m2 = Math.ceil(m * ratio)
+        const { se, df } = ancovaStandardError(sigma, m, m2, ancova)
+        return calculateTTestPower(Math.abs(meanDiff) / se, df, alpha)
+      },
+      n1,
+      power
+    )
+    if (!isFinite(n1)) {
+      return { n1: Infinity, n2: Infinity }
+    }
+  }
+
   const n2 = Math.ceil(n1 * ratio) // 严格保持比例关系
 
   return { n1, n2 }
@@ -0,0 +1,354 @@
+/**
+ * 生存终点样本量计算模块 (Log-rank 检验)
+ * Time-to-Event (Log-rank) Sample Size Calculation Module
+ *
+ * 功能: 计算风险比 (HR) 尺度上优效 / 非劣效试验所需的事件数与总受试者数
+ * 场景: 肿瘤 OS/PFS、器械无事件生存等时间-事件终点
+ * 依赖: normal-distribution.js, param-validator.js
+ *
+ * @module utils/statistics/survival/log-rank-sample-size
+ * @requires ../core/normal-distribution
+ * @requires ../core/param-validator
+ *
+ * @references 公式来源
+ *
+ * [1] Schoenfeld DA. Sample-size formula for the proportional-hazards regression model.
+ *     Biometrics. 1983;39(2):499-503. DOI: 10.2307/2531021
+ *     (事件数公式，log HR 尺度)
+ *
+ * [2] Freedman LS. Tables of the number of patients required in clinical trials
+ *     using the logrank test. Stat Med. 1982;1(2):121-129. DOI: 10.1002/sim.4780010204
+ *     (事件数公式，HR 原尺度)
+ *
+ * [3] Lachin JM, Foulkes MA. Evaluation of sample size and power for analyses of
+ *     survival with allowance for nonuniform patient entry, losses to follow-up,
+ *     noncompliance, and stratification. Biometrics. 1986;42(3):507-519.
+ *     DOI: 10.2307/2531201
+ *     (入组期/随访期/脱落下的受试者数公式，H₀/H₁ 方差分离)
+ *
+ * [4] Jennison C, Turnbull BW. Group Sequential Methods with Applications to
+ *     Clinical Trials. Chapman and Hall/CRC; 2000. Chapter 13.
+ *     (事件概率积分与分段均匀入组)
+ *
+ * [5] gsDesign::nSurvival / nEvents (R) — Lachin-Foulkes 与 Schoenfeld 的参考实现
+ *
+ * @formula 核心公式（k = n₂/n₁，p₁ = 1/(1+k)，p₂ = k/(1+k)，HR = λ₂/λ₁）
+ *
+ * Schoenfeld 事件数:
+ *   D = (Z_{1-α} + Z_{1-β})² / [p₁ p₂ (ln HR − ln HR₀)²]
+ *
+ * Freedman 事件数（仅优效 HR₀ = 1）:
+ *   D = (Z_{1-α} + Z_{1-β})² (1 + k·HR)² / [k (1 − HR)²]
+ *
+ * 受试者数（Schoenfeld / Freedman）:
+ *   N = D / (p₁ d₁ + p₂ d₂)，d_i 为第 i 组在研究期内发生事件的概率
+ *
+ * Lachin-Foulkes（风险差尺度，H₀: λ₂ = M·λ₁ 的推广，M=1 即原式）:
+ *   N = [Z_{1-α} √V₀ + Z_{1-β} √V₁]² / (M·λ₁ − λ₂)²
+ *   V₁ = M² φ(λ₁)/p₁ + φ(λ₂)/p₂，φ(λ) = λ² / d(λ)
+ *   V₀ 同式，代入 H₀ 约束风险 λ₁⁰ = λ̄/(p₁ + p₂M)，λ₂⁰ = M·λ₁⁰，λ̄ = p₁λ₁ + p₂λ₂
+ *
+ * 事件概率（入组区间 [a, b] 内均匀入组，研究总时长 S = 入组期 + 随访期，
+ *          风险 λ、脱落风险 η，θ = λ + η）:
+ *   d = λ/θ × {1 − [e^{−θ(S−b)} − e^{−θ(S−a)}] / [θ(b − a)]}
+ *   分段均匀入组按各段入组人数占比加权
+ *
+ * @note 假设方向
+ * - HR = 试验组风险 / 对照组风险，HR < 1 表示试验组更优
+ * - 优效: H₀: HR = 1；非劣效: H₀: HR ≥ M (M > 1)，H₁: HR < M
+ * - alpha 为单侧显著性水平（与库内其余样本量函数约定一致）
+ *
+ * @validated 验证说明
+ * - Schoenfeld: HR=0.7, α=0.025(单侧), power=0.8, 1:1 → D = 247（Schoenfeld 1983 公式手算）
+ * - Freedman: 同上参数 → D = 253
+ */
+
+import { normalInverse } from '../core/normal-distribution.js'
+import { validateStatParams } from '../core/param-validator.js'
+
+/** 支持的事件数/样本量方法 */
+const SURVIVAL_METHODS = new Set(['schoenfeld', 'freedman', 'lachin-foulkes'])
+
+// ═══════════════════════════════════════════════════════════
+// 辅助函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 由入组参数构造分段均匀入组区间
+ *
+ * - 分段均匀: 提供 accrualDurations（各段时长）与 accrualRates（各段相对入组速率）
+ * - 均匀入组: 仅提供 accrualTime，视为单段
+ *
+ * @param {number} [accrualTime] - 入组期时长（均匀入组）
+ * @param {number[]} [accrualDurations] - 各段入组时长（分段均匀入组）
+ * @param {number[]} [accrualRates] - 各段相对入组速率（与 accrualDurations 等长）
+ * @returns {Array<{start: number, end: number, weight: number}>|null}
+ *   各段入组区间及入组人数占比；参数无效时返回 null
+ */
+function buildAccrualPieces(accrualTime, accrualDurations, accrualRates) {
+  if (Array.isArray(accrualDurations)) {
+    const rates = Array.isArray(accrualRates) ? accrualRates : accrualDurations.map(() => 1)
+    if (rates.length !== accrualDurations.length || accrualDurations.length === 0) return null
+    if (
+      accrualDurations.some(d => !Number.isFinite(d) || d < 0) ||
+      rates.some(r => !Number.isFinite(r) || r < 0)
+    ) {
+      return null
+    }
+
+    const totalWeight = accrualDurations.reduce((sum, d, j) => sum + d * rates[j], 0)
+    if (totalWeight <= 0) return null
+
+    const pieces = []
+    let start = 0
+    for (let j = 0; j < accrualDurations.length; j++) {
+      const end = start + accrualDurations[j]
+      pieces.push({ start, end, weight: (accrualDurations[j] * rates[j]) / totalWeight })
+      start = end
+    }
+    return pieces
+  }
+
+  if (!Number.isFinite(accrualTime) || accrualTime < 0) return null
+  return [{ start: 0, end: accrualTime, weight: 1 }]
+}
+
+/**
+ * 研究期内发生事件的概率（指数生存 + 指数脱落，竞争风险）
+ *
+ * @formula 区间 [a, b] 内均匀入组:
+ *   d = λ/θ × {1 − [e^{−θ(S−b)} − e^{−θ(S−a)}] / [θ(b − a)]}，θ = λ + η
+ *   b = a（瞬时入组）时退化为 d = λ/θ × (1 − e^{−θ(S−a)})
+ *
+ * @param {number} lambda - 事件风险率 λ (> 0)
+ * @param {number} dropoutRate - 脱落风险率 η (≥ 0)
+ * @param {Array<{start: number, end: number, weight: number}>} pieces - 入组区间
+ * @param {number} followUpTime - 末例入组后的随访期时长
+ * @returns {number} 事件概率 d ∈ (0, 1)
+ */
+function calculateEventProbability(lambda, dropoutRate, pieces, followUpTime) {
+  const theta = lambda + dropoutRate
+  const studyEnd = pieces[pieces.length - 1].end + followUpTime
+
+  let prob = 0
+  for (const { start, end, weight } of pieces) {
+    if (weight <= 0) continue
+    const width = end - start
+    let pieceProb
+    if (width < 1e-12) {
+      pieceProb = 1 - Math.exp(-theta * (studyEnd - start))
+    } else {
+      // e^{−θ(S−b)} − e^{−θ(S−a)}，用 expm1 避免 θ·width 很小时的相消
+      const tail = Math.exp(-theta * (studyEnd - end)) * -Math.expm1(-theta * width)
+      pieceProb = 1 - tail / (theta * width)
+    }
+    prob += weight * pieceProb
+  }
+
+  return (lambda / theta) * prob
+}
+
+/**
+ * 由对照组风险率或中位生存时间得到 λ₁
+ * @param {number} [lambda1] - 对照组风险率
+ * @param {number} [median1] - 对照组中位生存时间（指数模型 λ = ln2 / median）
+ * @returns {number} λ₁；均未提供或无效时返回 NaN
+ */
+function resolveControlHazard(lambda1, median1) {
+  if (Number.isFinite(lambda1) && lambda1 > 0) return lambda1
+  if (Number.isFinite(median1) && median1 > 0) return Math.LN2 / median1
+  return NaN
+}
+
+// ═══════════════════════════════════════════════════════════
+// 主函数
+// ═══════════════════════════════════════════════════════════
+
+/**
+ * 生存终点（Log-rank）样本量计算
+ *
+ * 先计算所需事件数 D，再按入组/随访/脱落假设得到事件概率并换算为受试者数。
+ * 未提供入组与随访参数（或对照组风险）时仅返回事件数，受试者数为 NaN。
+ *
+ * @param {Object} params - 计算参数
+ * @param {number} params.hr - 预期风险比 HR = λ₂/λ₁（试验组/对照组）
+ * @param {number} params.alpha - 单侧显著性水平
+ * @param {number} params.power - 检验效能
+ * @param {number} [params.ratio=1] - 分配比例 k = n₂/n₁
+ * @param {'superiority'|'non-inferiority'} [params.studyType='superiority'] - 试验类型
+ * @param {number} [params.margin] - 非劣效界值 M（HR 尺度，M > 1），仅非劣效使用
+ * @param {'schoenfeld'|'freedman'|'lachin-foulkes'} [params.method='schoenfeld'] - 计算方法
+ * @param {number} [params.lambda1] - 对照组风险率（与 median1 二选一）
+ * @param {number} [params.median1] - 对照组中位生存时间
+ * @param {number} [params.accrualTime] - 入组期时长（均匀入组）
+ * @param {number[]} [params.accrualDurations] - 分段入组各段时长（提供时按分段均匀入组）
+ * @param {number[]} [params.accrualRates] - 分段入组各段相对速率
+ * @param {number} [params.followUpTime] - 末例入组后的随访期时长
+ * @param {number} [params.dropoutRate=0] - 指数脱落风险率 η（两组相同）
+ * @returns {Object} 计算结果
+ * @returns {number} returns.events - 所需事件数
+ * @returns {number} returns.n1 - 对照组受试者数
+ * @returns {number} returns.n2 - 试验组受试者数
+ * @returns {number} returns.totalN - 总受试者数
+ * @returns {number} returns.eventProbability - 合并事件概率 p₁d₁ + p₂d₂
+ * @returns {string} returns.method - 实际使用的方法
+ *
+ * @example
+ * // HR=0.7，对照组中位生存 12 个月，入组 24 个月，随访 12 个月，年脱落 5%
+ * calculateSurvivalSampleSize({
+ *   hr: 0.7, alpha: 0.025, power: 0.8,
+ *   median1: 12, accrualTime: 24, followUpTime: 12,
+ *   dropoutRate: -Math.log(0.95) / 12
+ * })
+ * // => { events: 247, n1: ..., n2: ..., totalN: ..., ... }
+ */
+function calculateSurvivalSampleSize(params) {
+  const {
+    hr,
+    alpha,
+    power,
+    ratio = 1,
+    studyType = 'superiority',
+    margin,
+    method = 'schoenfeld',
+    lambda1,
+    median1,
+    accrualTime,
+    accrualDurations,
+    accrualRates,
+    followUpTime,
+    dropoutRate = 0
+  } = params
+
+  const invalid = {
+    events: NaN,
+    n1: NaN,
+    n2: NaN,
+    totalN: NaN,
+    eventProbability: NaN,
+    method
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 1: 参数验证
+  // ═══════════════════════════════════════════════════════════
+  if (!validateStatParams({ hr, alpha, power, ratio }).valid || !SURVIVAL_METHODS.has(method)) {
+    return invalid
+  }
+
+  const isNI = studyType === 'non-inferiority'
+  if (isNI && !(Number.isFinite(margin) && margin > 1)) {
+    return invalid
+  }
+  // Freedman 公式基于 H₀: HR = 1 下的风险集比例，不适用于非劣效界值
+  if (isNI && method === 'freedman') {
+    return invalid
+  }
+  if (!Number.isFinite(dropoutRate) || dropoutRate < 0) {
+    return invalid
+  }
+
+  const z_alpha = normalInverse(1 - alpha)
+  const z_beta = normalInverse(power)
+  if (!isFinite(z_alpha) || !isFinite(z_beta)) {
+    return invalid
+  }
+
+  const hr0 = isNI ? margin : 1
+  const p1 = 1 / (1 + ratio)
+  const p2 = ratio / (1 + ratio)
+
+  // 非劣效: ln M − ln HR 须 > 0（HR ≥ M 时无法证明非劣效）
+  const logEffect = Math.log(hr0) - Math.log(hr)
+  if (Math.abs(logEffect) < 1e-10) {
+    return invalid
+  }
+  if (isNI && logEffect < 0) {
+    return { ...invalid, events: Infinity, n1: Infinity, n2: Infinity, totalN: Infinity }
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 2: 事件概率（需要对照组风险 + 入组/随访参数）
+  // ═══════════════════════════════════════════════════════════
+  const lambdaControl = resolveControlHazard(lambda1, median1)
+  const pieces = buildAccrualPieces(accrualTime, accrualDurations, accrualRates)
+  const hasTimeline =
+    Number.isFinite(lambdaControl) &&
+    pieces !== null &&
+    Number.isFinite(followUpTime) &&
+    followUpTime >= 0 &&
+    pieces[pieces.length - 1].end + followUpTime > 0
+
+  let d1 = NaN
+  let d2 = NaN
+  let eventProbability = NaN
+  if (hasTimeline) {
+    d1 = calculateEventProbability(lambdaControl, dropoutRate, pieces, followUpTime)
+    d2 = calculateEventProbability(lambdaControl * hr, dropoutRate, pieces, followUpTime)
+    eventProbability = p1 * d1 + p2 * d2
+  }
+
+  // ═══════════════════════════════════════════════════════════
+  // Step 3: 事件数 / 受试者数
+  // ═══════════════════════════════════════════════════════════
+  let events_raw
+  let totalN_raw
+
+  if (method === 'lachin-foulkes') {
+    // Lachin-Foulkes 直接给出受试者数，必须有入组/随访参数
+    if (!hasTimeline) {
+      return invalid
+    }
+    const lambdaTreat = lambdaControl * hr
+    const phi = (lambda, d) => (lambda * lambda) / d
+
+    // H₀ 约束风险: 保持合并风险 λ̄ 不变，λ₂⁰ = M·λ₁⁰
+    const lambdaBar = p1 * lambdaControl + p2 * lambdaTreat
+    const lambda1_0 = lambdaBar / (p1 + p2 * hr0)
+    const lambda2_0 = hr0 * lambda1_0
+    const d1_0 = calculateEventProbability(lambda1_0, dropoutRate, pieces, followUpTime)
+    const d2_0 = calculateEventProbability(lambda2_0, dropoutRate, pieces, followUpTime)
+
+    const v1 = (hr0 * hr0 * phi(lambdaControl, d1)) / p1 + phi(lambdaTreat, d2) / p2
+    const v0 = (hr0 * hr0 * phi(lambda1_0, d1_0)) / p1 + phi(lambda2_0, d2_0) / p2
+    const hazardEffect = hr0 * lambdaControl - lambdaTreat
+
+    totalN_raw =
+      Math.pow(z_alpha * Math.sqrt(v0) + z_beta * Math.sqrt(v1), 2) / Math.pow(hazardEffect, 2)
+    events_raw = totalN_raw * eventProbability
+  } else {
+    if (method === 'freedman') {
+      events_raw =
+        (Math.pow(z_alpha + z_beta, 2) * Math.pow(1 + ratio * hr, 2)) /
+        (ratio * Math.pow(1 - hr, 2))
+    } else {
+      events_raw = Math.pow(z_alpha + z_beta, 2) / (p1 * p2 * logEffect * logEffect)
+    }
+    totalN_raw = hasTimeline ? Math.ceil(events_raw) / eventProbability : NaN
+  }
+
+  if (!isFinite(events_raw) || events_raw < 0) {
+    return invalid
+  }
+
+  const events = Math.ceil(events_raw)
+
+  if (!Number.isFinite(totalN_raw)) {
+    return { events, n1: NaN, n2: NaN, totalN: NaN, eventProbability, method }
+  }
+
+  // 先对 n1 取整，然后 n2 严格按比例计算（与两组样本量函数一致）
+  const n1 = Math.ceil(totalN_raw * p1)
+  const n2 = Math.ceil(n1 * ratio)
+
+  return {
+    events,
+    n1,
+    n2,
+    totalN: n1 + n2,
+    eventProbability,
+    method
+  }
+}
+
+export { calculateSurvivalSampleSize, calculateEventProbability, buildAccrualPieces }
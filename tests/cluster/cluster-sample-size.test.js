@@ -0,0 +1,154 @@
+/**
+ * @file cluster-sample-size.test.js
+ * @description 整群随机试验样本量与功效测试
+ *
+ * 验证数据来源:
+ * - 组合公式: 每组群数 k = ⌈n_个体·DE / m̄⌉（Donner & Klar 2000 §5.2）
+ * - 性质检验: ρ = 0 且每群 1 例时退化为个体随机；所得群数下功效达标、少 1 个群则不达标
+ * - method = 't': 按群数自由度 df = k₁ + k₂ − 2 的非中心 t 功效，样本量与功效互相回代一致
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateClusterSampleSize,
+  calculateClusterPower
+} from '../../src/cluster/cluster-sample-size'
+import { calculateSupSampleSize } from '../../src/sample-size/two-group/superiority'
+import { calculateNISampleSizeContinuous } from '../../src/sample-size/two-group/non-inferiority'
+import { calculateTTestPower } from '../../src/sample-size/t-power'
+
+describe('cluster/cluster-sample-size', () => {
+  const base = { studyType: 'superiority', p1: 0.3, p2: 0.4, alpha: 0.025, power: 0.8 }
+
+  describe('calculateClusterSampleSize', () => {
+    it('个体样本量 × 设计效应 → 群数', () => {
+      const individual = calculateSupSampleSize(0.3, 0.4, 0.025, 0.8, 1)
+      const result = calculateClusterSampleSize({ ...base, icc: 0.02, clusterSize: 20 })
+      expect(result.individualN1).toBe(individual.n1)
+      expect(result.designEffect).toBeCloseTo(1.38, 12)
+      expect(result.clusters1).toBe(Math.ceil((individual.n1 * 1.38) / 20))
+      expect(result.n1).toBe(result.clusters1 * 20)
+    })
+
+    it('ρ = 0 且每群 1 例时退化为个体随机', () => {
+      const individual = calculateSupSampleSize(0.3, 0.4, 0.025, 0.8, 2)
+      const result = calculateClusterSampleSize({ ...base, ratio: 2, icc: 0, clusterSize: 1 })
+      expect(result.n1).toBe(individual.n1)
+      expect(result.n2).toBe(individual.n2)
+    })
+
+    it('连续终点与群大小变异系数', () => {
+      const individual = calculateNISampleSizeContinuous(10, 3, 0.025, 0.9, 1, 0, 'z')
+      const result = calculateClusterSampleSize({
+        endpoint: 'continuous',
+        sigma: 10,
+        margin: 3,
+        alpha: 0.025,
+        power: 0.9,
+        icc: 0.05,
+        clusterSize: 15,
+        cv: 0.4
+      })
+      expect(result.designEffect).toBeCloseTo(1 + (1.16 * 15 - 1) * 0.05, 12)
+      expect(result.clusters1).toBe(Math.ceil((individual.n1 * result.designEffect) / 15))
+    })
+
+    it('参数无效返回 NaN', () => {
+      expect(calculateClusterSampleSize({ ...base, icc: 1.2, clusterSize: 20 }).clusters1).toBeNaN()
+      expect(calculateClusterSampleSize({ ...base, icc: 0.02 }).clusters1).toBeNaN()
+      expect(
+        calculateClusterSampleSize({ ...base, endpoint: 'count', icc: 0.02, clusterSize: 20 }).n1
+      ).toBeNaN()
+    })
+  })
+
+  describe('calculateClusterPower', () => {
+    it('样本量结果群数下功效达标，少 1 个群则不达标', () => {
+      const design = { ...base, icc: 0.02, clusterSize: 20 }
+      const { clusters1 } = calculateClusterSampleSize(design)
+      expect(calculateClusterPower({ ...design, clusters1 }).power).toBeGreaterThanOrEqual(0.8)
+      expect(calculateClusterPower({ ...design, clusters1: clusters1 - 1 }).power).toBeLessThan(0.8)
+    })
+
+    it('有效样本量 = k·m̄ / DE', () => {
+      const result = calculateClusterPower({
+        ...base,
+        clusters1: 10,
+        clusters2: 12,
+        icc: 0.05,
+        clusterSize: 20
+      })
+      expect(result.effectiveN1).toBeCloseTo(200 / 1.95, 10)
+      expect(result.effectiveN2).toBeCloseTo(240 / 1.95, 10)
+    })
+
+    it("method = 't': 样本量与功效按群数自由度回代一致", () => {
+      for (const [studyType, meanDiff] of [
+        ['superiority', 6],
+        ['non-inferiority', 0],
+        ['equivalence', 1]
+      ]) {
+        const design = {
+          endpoint: 'continuous',
+          studyType,
+          sigma: 10,
+          meanDiff,
+          margin: 4,
+          alpha: 0.025,
+          power: 0.8,
+          method: 't',
+          icc: 0.05,
+          clusterSize: 20
+        }
+        const { clusters1, clusters2 } = calculateClusterSampleSize(design)
+        expect(clusters2).toBe(clusters1)
+        expect(calculateClusterPower({ ...design, clusters1 }).power).toBeGreaterThanOrEqual(0.8)
+        expect(calculateClusterPower({ ...design, clusters1: clusters1 - 1 }).power).toBeLessThan(
+          0.8
+        )
+      }
+    })
+
+    it("method = 't' 的 df 取群数: 少群时功效低于 z 近似且等于 df = 2k − 2 的非中心 t", () => {
+      const design = {
+        endpoint: 'continuous',
+        studyType: 'superiority',
+        sigma: 10,
+        meanDiff: 6,
+        alpha: 0.025,
+        clusters1: 5,
+        icc: 0.05,
+        clusterSize: 20
+      }
+      const z = calculateClusterPower(design).power
+      const t = calculateClusterPower({ ...design, method: 't' }).power
+      const se = 10 * Math.sqrt((2 * 1.95) / 100)
+      expect(t).toBeCloseTo(calculateTTestPower(6 / se, 8, 0.025), 12)
+      expect(t).toBeLessThan(z)
+    })
+
+    it('未知 method 返回 NaN', () => {
+      const result = calculateClusterPower({
+        endpoint: 'continuous',
+        studyType: 'superiority',
+        sigma: 10,
+        meanDiff: 6,
+        alpha: 0.025,
+        method: 'welch',
+        clusters1: 5,
+        icc: 0.05,
+        clusterSize: 20
+      })
+      expect(result.power).toBeNaN()
+    })
+
+    it('群数无效返回 NaN', () => {
+      expect(
+        calculateClusterPower({ ...base, clusters1: 0, icc: 0.05, clusterSize: 20 }).power
+      ).toBeNaN()
+      expect(
+        calculateClusterPower({ ...base, clusters1: 2.5, icc: 0.05, clusterSize: 20 }).power
+      ).toBeNaN()
+    })
+  })
+})
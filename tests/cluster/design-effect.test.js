@@ -0,0 +1,31 @@
+/**
+ * @file design-effect.test.js
+ * @description 整群随机设计效应测试
+ *
+ * 验证数据来源:
+ * - Donner & Klar (2000): 等群大小 DE = 1 + (m − 1)ρ
+ * - Eldridge, Ashby & Kerry (2006): 群大小不等 DE = 1 + ((CV² + 1)m̄ − 1)ρ
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateDesignEffect } from '../../src/cluster/design-effect'
+
+describe('cluster/design-effect', () => {
+  it('等群大小', () => {
+    expect(calculateDesignEffect(0.05, 20)).toBeCloseTo(1.95, 12)
+    expect(calculateDesignEffect(0, 50)).toBe(1)
+    expect(calculateDesignEffect(0.3, 1)).toBe(1)
+  })
+
+  it('群大小变异系数使设计效应增大', () => {
+    expect(calculateDesignEffect(0.05, 20, 0.5)).toBeCloseTo(2.2, 12)
+    expect(calculateDesignEffect(0.05, 20, 0.5)).toBeGreaterThan(calculateDesignEffect(0.05, 20))
+  })
+
+  it('参数无效返回 NaN', () => {
+    expect(calculateDesignEffect(-0.1, 20)).toBeNaN()
+    expect(calculateDesignEffect(1, 20)).toBeNaN()
+    expect(calculateDesignEffect(0.05, 0.5)).toBeNaN()
+    expect(calculateDesignEffect(0.05, 20, -1)).toBeNaN()
+  })
+})
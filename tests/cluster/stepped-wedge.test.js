@@ -0,0 +1,333 @@
+/**
+ * @file stepped-wedge.test.js
+ * @description 阶梯楔形整群随机设计功效测试
+ *
+ * 验证数据来源:
+ * - Hussey & Hughes (2007) 式 (8): Var(θ̂) = Iσ²(σ² + Tτ²) / [(IU − W)σ² + (U² + ITU − TW − IV)τ²]
+ *   （σ² = σ_e²/m，与 GLS 数值解对照）
+ * - Hooper et al. (2016) 群自相关 / 闭合队列协方差结构：tests/fixtures/python/stepped-wedge-gls.py
+ *   （精确有理数 GLS，全协方差阵直接求逆）计算的 Var(θ̂) 与功效
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  createSteppedWedgeDesign,
+  calculateSteppedWedgePower
+} from '../../src/cluster/stepped-wedge'
+
+/** Hussey & Hughes (2007) 闭式方差 */
+function husseyHughesVariance(design, tau2, sigma2) {
+  const I = design.length
+  const T = design[0].length
+  const U = design.flat().reduce((s, x) => s + x, 0)
+  let W = 0
+  for (let j = 0; j < T; j++)
+    W += Math.pow(
+      design.reduce((s, row) => s + row[j], 0),
+      2
+    )
+  const V = design.reduce(
+    (s, row) =>
+      s +
+      Math.pow(
+        row.reduce((a, x) => a + x, 0),
+        2
+      ),
+    0
+  )
+  return (
+    (I * sigma2 * (sigma2 + T * tau2)) /
+    ((I * U - W) * sigma2 + (U * U + I * T * U - T * W - I * V) * tau2)
+  )
+}
+
+describe('cluster/stepped-wedge', () => {
+  describe('createSteppedWedgeDesign', () => {
+    it('标准阶梯楔形矩阵', () => {
+      expect(createSteppedWedgeDesign(3)).toEqual([
+        [0, 1, 1, 1],
+        [0, 0, 1, 1],
+        [0, 0, 0, 1]
+      ])
+      const design = createSteppedWedgeDesign(4, 3)
+      expect(design).toHaveLength(12)
+      expect(design[2]).toEqual([0, 1, 1, 1, 1])
+      expect(design[3]).toEqual([0, 0, 1, 1, 1])
+    })
+
+    it('参数无效返回空数组', () => {
+      expect(createSteppedWedgeDesign(0)).toEqual([])
+      expect(createSteppedWedgeDesign(3, 1.5)).toEqual([])
+    })
+  })
+
+  describe('Hussey-Hughes 横断面模型', () => {
+    it('GLS 方差与 Hussey & Hughes 闭式解一致', () => {
+      // 4 步 × 每步 3 群，每群每周期 20 人，ICC = 0.05，效应 0.3σ
+      const result = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      })
+      const variance = husseyHughesVariance(createSteppedWedgeDesign(4, 3), 0.05, 0.95 / 20)
+      expect(result.se * result.se).toBeCloseTo(variance, 12)
+      expect(result.se * result.se).toBeCloseTo(0.009540084388185655, 12)
+      expect(result.power).toBeCloseTo(0.86682298, 6)
+      expect(result.clusters).toBe(12)
+      expect(result.periods).toBe(5)
+      expect(result.measurements).toBe(1200)
+    })
+
+    it('率终点（方差取 p̄(1 − p̄)）', () => {
+      const result = calculateSteppedWedgePower({
+        endpoint: 'proportion',
+        p1: 0.3,
+        p2: 0.4,
+        alpha: 0.025,
+        steps: 5,
+        clustersPerStep: 2,
+        clusterSize: 15,
+        icc: 0.02
+      })
+      const variance = husseyHughesVariance(
+        createSteppedWedgeDesign(5, 2),
+        0.02 * 0.2275,
+        (0.98 * 0.2275) / 15
+      )
+      expect(result.se * result.se).toBeCloseTo(variance, 12)
+      expect(result.power).toBeCloseTo(0.50898855, 6)
+    })
+
+    it('群数增加时功效上升；群自相关降低时功效下降', () => {
+      const power = (clustersPerStep, cac) =>
+        calculateSteppedWedgePower({
+          sigma: 1,
+          meanDiff: 0.3,
+          alpha: 0.025,
+          steps: 4,
+          clustersPerStep,
+          clusterSize: 20,
+          icc: 0.05,
+          cac
+        }).power
+      expect(power(3, 0.5)).toBeLessThan(power(3, 1))
+      expect(power(4, 1)).toBeGreaterThan(power(3, 1))
+    })
+  })
+
+  describe('群自相关与闭合队列', () => {
+    it('群自相关 r = 0.8（横断面）', () => {
+      const result = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05,
+        cac: 0.8
+      })
+      expect(result.se * result.se).toBeCloseTo(0.011122065727699531, 12)
+      expect(result.power).toBeCloseTo(0.81183645, 6)
+    })
+
+    it('闭合队列 r = 0.8、π = 0.5', () => {
+      const result = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05,
+        cac: 0.8,
+        iac: 0.5
+      })
+      expect(result.se * result.se).toBeCloseTo(0.00705, 12)
+      expect(result.power).toBeCloseTo(0.94662601, 6)
+    })
+  })
+
+  describe('自定义设计矩阵', () => {
+    it('不完整设计（null 为无观测）', () => {
+      const result = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.5,
+        alpha: 0.025,
+        design: [
+          [0, 1, 1, null],
+          [0, 0, 1, 1],
+          [null, 0, 0, 1],
+          [0, null, 0, 1]
+        ],
+        clusterSize: 10,
+        icc: 0.1,
+        cac: 0.9
+      })
+      expect(result.se * result.se).toBeCloseTo(0.0951409978308026, 12)
+      expect(result.power).toBeCloseTo(0.36732284, 6)
+      expect(result.measurements).toBe(130)
+    })
+
+    it('显式传入标准矩阵与 steps 参数结果相同', () => {
+      const explicit = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        design: createSteppedWedgeDesign(4, 3),
+        clusterSize: 20,
+        icc: 0.05
+      })
+      const generated = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      })
+      expect(explicit.power).toBeCloseTo(generated.power, 12)
+    })
+
+    it('干预效应不可估计时返回 NaN', () => {
+      const result = calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        clusterSize: 20,
+        icc: 0.05,
+        design: [
+          [0, 0, 0],
+          [0, 0, 0]
+        ]
+      })
+      expect(result.power).toBeNaN()
+    })
+  })
+
+  describe('试验类型', () => {
+    // 同一设计下优效功效 0.86682298（见 Hussey-Hughes 横断面模型）
+    it('非劣效：效应为 0 时以界值为检验距离', () => {
+      const ni = calculateSteppedWedgePower({
+        studyType: 'non-inferiority',
+        sigma: 1,
+        meanDiff: 0,
+        margin: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      })
+      expect(ni.power).toBeCloseTo(0.86682298, 6)
+    })
+
+    it('等效：对称 TOST 功效 = 2Φ(δ/SE − Z_α) − 1', () => {
+      const eq = calculateSteppedWedgePower({
+        studyType: 'equivalence',
+        sigma: 1,
+        meanDiff: 0,
+        margin: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      })
+      expect(eq.power).toBeCloseTo(2 * 0.86682298 - 1, 6)
+    })
+  })
+
+  it('参数无效返回 NaN', () => {
+    // ICC = 1：群内方差为零
+    expect(
+      calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 1
+      }).power
+    ).toBeNaN()
+    // 群自相关 / 个体自相关越界
+    expect(
+      calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05,
+        cac: 1.2
+      }).power
+    ).toBeNaN()
+    expect(
+      calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05,
+        iac: 1
+      }).power
+    ).toBeNaN()
+    // 既无 steps 也无 design
+    expect(
+      calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      }).power
+    ).toBeNaN()
+    // 设计矩阵行长不一致
+    expect(
+      calculateSteppedWedgePower({
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        design: [[0, 1], [0]],
+        clusterSize: 20,
+        icc: 0.05
+      }).power
+    ).toBeNaN()
+    // 等效试验缺少界值
+    expect(
+      calculateSteppedWedgePower({
+        studyType: 'equivalence',
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      }).power
+    ).toBeNaN()
+    // 未知终点类型
+    expect(
+      calculateSteppedWedgePower({
+        endpoint: 'rate',
+        sigma: 1,
+        meanDiff: 0.3,
+        alpha: 0.025,
+        steps: 4,
+        clustersPerStep: 3,
+        clusterSize: 20,
+        icc: 0.05
+      }).power
+    ).toBeNaN()
+  })
+})
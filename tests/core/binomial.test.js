@@ -0,0 +1,78 @@
+/**
+ * @file binomial.test.js
+ * @description 二项分布函数与 Clopper-Pearson 精确置信区间测试
+ *
+ * 验证数据来源:
+ * - 直接求和 Σ C(n,i) p^i (1-p)^(n-i)（Python math.comb 复核）
+ * - R 语言 binom.test(85, 100)$conf.int = [0.7646925, 0.9135456]
+ * - 闭式恒等式: x = n 时 Clopper-Pearson 下限 = α^(1/n)
+ */
+
+import { describe, it, expect } from 'vitest'
+import { binomialPMF, binomialCDF, binomialSF } from '../../src/core/binomial'
+import { calculateClopperPearsonCI } from '../../src/core/confidence-interval'
+
+describe('binomial', () => {
+  // ========================================================
+  // binomialPMF / binomialCDF / binomialSF 测试
+  // ========================================================
+  describe('binomialPMF / binomialCDF / binomialSF', () => {
+    it('与直接求和一致', () => {
+      expect(binomialSF(84, 100, 0.75)).toBeCloseTo(0.011083267507460144, 14)
+      expect(binomialCDF(84, 100, 0.75)).toBeCloseTo(1 - 0.011083267507460144, 14)
+      expect(binomialPMF(3, 10, 0.3)).toBeCloseTo(0.266827932, 9)
+    })
+
+    it('CDF 与 PMF 累加一致，两尾互补', () => {
+      let sum = 0
+      for (let k = 0; k <= 7; k++) sum += binomialPMF(k, 20, 0.4)
+      expect(binomialCDF(7, 20, 0.4)).toBeCloseTo(sum, 14)
+      expect(binomialCDF(7, 20, 0.4) + binomialSF(7, 20, 0.4)).toBeCloseTo(1, 14)
+    })
+
+    it('极端尾部不因相减丢失精度', () => {
+      // P(X ≥ 20 | n = 20, p = 0.1) = 1e-20
+      expect(binomialSF(19, 20, 0.1) / 1e-20).toBeCloseTo(1, 10)
+    })
+
+    it('边界与无效参数', () => {
+      expect(binomialCDF(-1, 10, 0.5)).toBe(0)
+      expect(binomialCDF(10, 10, 0.5)).toBe(1)
+      expect(binomialSF(-1, 10, 0.5)).toBe(1)
+      expect(binomialSF(10, 10, 0.5)).toBe(0)
+      expect(binomialPMF(0, 10, 0)).toBe(1)
+      expect(binomialPMF(11, 10, 0.5)).toBe(0)
+      expect(binomialCDF(3, 10.5, 0.5)).toBeNaN()
+      expect(binomialSF(3, 10, 1.2)).toBeNaN()
+      expect(binomialPMF(NaN, 10, 0.5)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // calculateClopperPearsonCI 测试
+  // ========================================================
+  describe('calculateClopperPearsonCI', () => {
+    it('与 R binom.test 一致', () => {
+      const { lower, upper } = calculateClopperPearsonCI(85, 100, 0.025)
+      expect(lower).toBeCloseTo(0.7646925, 7)
+      expect(upper).toBeCloseTo(0.9135456, 7)
+    })
+
+    it('x = 0 / x = n 时单侧闭式解', () => {
+      expect(calculateClopperPearsonCI(20, 20, 0.025)).toEqual({
+        lower: expect.closeTo(Math.pow(0.025, 1 / 20), 12),
+        upper: 1
+      })
+      expect(calculateClopperPearsonCI(0, 20, 0.025)).toEqual({
+        lower: 0,
+        upper: expect.closeTo(1 - Math.pow(0.025, 1 / 20), 12)
+      })
+    })
+
+    it('无效参数返回 NaN', () => {
+      expect(calculateClopperPearsonCI(21, 20, 0.025).lower).toBeNaN()
+      expect(calculateClopperPearsonCI(5.5, 20, 0.025).lower).toBeNaN()
+      expect(calculateClopperPearsonCI(5, 20, 0).upper).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,57 @@
+/**
+ * @file chi-square-distribution.test.js
+ * @description 卡方分布函数测试
+ *
+ * 验证数据来源:
+ * - 卡方分布表（R qchisq）: χ²₀.₉₅(1) = 3.841459，χ²₀.₉₅(10) = 18.307038，χ²₀.₀₅(10) = 3.940299
+ * - 闭式解: ν = 2 时 P(χ² > x) = e^(−x/2)；χ²(1) = Z²
+ */
+
+import { describe, it, expect } from 'vitest'
+import { chiSquareCDF, chiSquareSF, chiSquareInverse } from '../../src/core/chi-square-distribution'
+import { normalSF } from '../../src/core/normal-distribution'
+
+describe('chi-square-distribution', () => {
+  describe('chiSquareCDF / chiSquareSF', () => {
+    it('分布表临界值', () => {
+      expect(chiSquareCDF(3.841459, 1)).toBeCloseTo(0.95, 7)
+      expect(chiSquareSF(18.307038, 10)).toBeCloseTo(0.05, 7)
+    })
+
+    it('闭式解: ν = 2 与 χ²(1) = Z²', () => {
+      expect(chiSquareSF(7, 2)).toBeCloseTo(Math.exp(-3.5), 14)
+      expect(chiSquareSF(2.5 * 2.5, 1)).toBeCloseTo(2 * normalSF(2.5), 12)
+    })
+
+    it('边界与无效参数', () => {
+      expect(chiSquareCDF(0, 3)).toBe(0)
+      expect(chiSquareSF(-1, 3)).toBe(1)
+      expect(chiSquareCDF(1, 0)).toBeNaN()
+      expect(chiSquareSF(NaN, 3)).toBeNaN()
+    })
+  })
+
+  describe('chiSquareInverse', () => {
+    it('分布表分位数', () => {
+      expect(chiSquareInverse(0.95, 10)).toBeCloseTo(18.307038, 5)
+      expect(chiSquareInverse(0.05, 10)).toBeCloseTo(3.940299, 5)
+      expect(chiSquareInverse(0.95, 9)).toBeCloseTo(16.918978, 5)
+    })
+
+    it('与正向函数互逆（含大自由度）', () => {
+      for (const [p, df] of [
+        [0.001, 3],
+        [0.5, 0.5],
+        [0.999, 200]
+      ]) {
+        expect(chiSquareCDF(chiSquareInverse(p, df), df)).toBeCloseTo(p, 12)
+      }
+    })
+
+    it('边界与无效参数', () => {
+      expect(chiSquareInverse(0, 4)).toBe(0)
+      expect(chiSquareInverse(1, 4)).toBe(Infinity)
+      expect(chiSquareInverse(1.2, 4)).toBeNaN()
+    })
+  })
+})
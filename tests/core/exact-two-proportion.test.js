@@ -0,0 +1,129 @@
+/**
+ * @file exact-two-proportion.test.js
+ * @description 两独立比例精确检验（Fisher / Barnard / Boschloo）与检验反演置信区间测试
+ *
+ * 验证数据来源:
+ * - SciPy 文档示例（alternative 取试验组更优方向）:
+ *   fisher_exact / boschloo_exact: 74/117 vs 31/63 → Fisher p = 0.0483，Boschloo p = 0.0355
+ *   barnard_exact 疫苗例: 12/15 vs 7/15 → z = 1.894，p ≈ 0.0341
+ * - tests/fixtures/python/exact-two-proportion.py（枚举全部四格表；RMLE 取 FM 三次方程闭式解；
+ *   冗余参数 1000 等分网格 + 黄金分割；置信限对 δ₀ 二分 27 次）:
+ *   12/15 vs 7/15: Barnard p = 0.034109154662；δ₀ = −0.1 时 z = 2.46051898，
+ *     Barnard / Boschloo p = 0.0083547598074
+ *     95% CI: Barnard (−0.02385976, 0.63698633)，Boschloo (−0.02385976, 0.65246321)
+ *   11/20 vs 10/20，δ₀ = −0.3: Barnard p = 0.017281177884，Boschloo p = 0.017280809323
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  EXACT_METHODS,
+  fisherExactTest,
+  exactUnconditionalTest,
+  exactUnconditionalInterval
+} from '../../src/core/exact-two-proportion'
+
+describe('core/exact-two-proportion', () => {
+  it('EXACT_METHODS', () => {
+    expect([...EXACT_METHODS]).toEqual(['fisher', 'barnard', 'boschloo'])
+  })
+
+  describe('fisherExactTest', () => {
+    it('SciPy 文档示例: 单侧 p = 0.0483', () => {
+      expect(fisherExactTest(31, 63, 74, 117)).toBeCloseTo(0.04831221008691, 12)
+    })
+
+    it('观测值为最不极端表时 p = 1；合计为 0 时 p = 1', () => {
+      expect(fisherExactTest(10, 10, 0, 10)).toBeCloseTo(1, 12)
+      expect(fisherExactTest(0, 10, 0, 10)).toBeCloseTo(1, 12)
+    })
+
+    it('大样本不下溢（对数尺度）', () => {
+      const p = fisherExactTest(100, 2000, 180, 2000)
+      expect(p).toBeGreaterThan(0)
+      expect(p).toBeLessThan(1e-6)
+    })
+
+    it('四格表无效返回 NaN', () => {
+      expect(fisherExactTest(11, 10, 0, 10)).toBeNaN()
+      expect(fisherExactTest(1.5, 10, 0, 10)).toBeNaN()
+      expect(fisherExactTest(0, 0, 0, 10)).toBeNaN()
+    })
+  })
+
+  describe('exactUnconditionalTest', () => {
+    it('Barnard 疫苗例: score z 与 p 值', () => {
+      const result = exactUnconditionalTest(7, 15, 12, 15)
+      expect(result.statistic).toBeCloseTo(1.89433808, 8)
+      expect(result.p_value).toBeCloseTo(0.034109154662, 10)
+    })
+
+    it('Boschloo SciPy 文档示例: p = 0.0355，statistic 为 Fisher p 值', () => {
+      const result = exactUnconditionalTest(31, 63, 74, 117, 0, 'boschloo')
+      expect(result.p_value).toBeCloseTo(0.035564064302, 10)
+      expect(result.statistic).toBeCloseTo(0.04831221008691, 12)
+      // Boschloo 一致优于 Fisher
+      expect(result.p_value).toBeLessThan(result.statistic)
+    })
+
+    it('非零界值（Chan 1998）: δ₀ = −0.1', () => {
+      const barnard = exactUnconditionalTest(7, 15, 12, 15, -0.1, 'barnard')
+      expect(barnard.statistic).toBeCloseTo(2.46051898, 8)
+      expect(barnard.p_value).toBeCloseTo(0.0083547598074, 12)
+      const boschloo = exactUnconditionalTest(7, 15, 12, 15, -0.1, 'boschloo')
+      expect(boschloo.p_value).toBeCloseTo(0.0083547598074, 12)
+    })
+
+    it('非零界值: 11/20 vs 10/20，δ₀ = −0.3', () => {
+      expect(exactUnconditionalTest(10, 20, 11, 20, -0.3).p_value).toBeCloseTo(0.017281177884, 10)
+      const boschloo = exactUnconditionalTest(10, 20, 11, 20, -0.3, 'boschloo')
+      expect(boschloo.p_value).toBeCloseTo(0.017280809323, 10)
+    })
+
+    it('界值放宽时 p 值单调减小', () => {
+      const margins = [0, -0.05, -0.1, -0.2]
+      const pValues = margins.map(d => exactUnconditionalTest(20, 40, 24, 40, d).p_value)
+      for (let i = 1; i < pValues.length; i++) expect(pValues[i]).toBeLessThan(pValues[i - 1])
+    })
+
+    it('参数无效返回 NaN', () => {
+      expect(exactUnconditionalTest(7, 15, 16, 15).p_value).toBeNaN()
+      expect(exactUnconditionalTest(7, 15, 12, 15, -1).p_value).toBeNaN()
+      expect(exactUnconditionalTest(7, 15, 12, 15, 0, 'fisher').p_value).toBeNaN()
+    })
+  })
+
+  describe('exactUnconditionalInterval', () => {
+    it('检验反演区间: 独立计算值（二分精度 1e-6）', () => {
+      const barnard = exactUnconditionalInterval(7, 15, 12, 15, 0.025)
+      expect(barnard.lower).toBeCloseTo(-0.02385976, 5)
+      expect(barnard.upper).toBeCloseTo(0.63698633, 5)
+      const boschloo = exactUnconditionalInterval(7, 15, 12, 15, 0.025, 'boschloo')
+      expect(boschloo.lower).toBeCloseTo(-0.02385976, 5)
+      expect(boschloo.upper).toBeCloseTo(0.65246321, 5)
+    })
+
+    it('下限处 p 值跨过 α', () => {
+      const { lower } = exactUnconditionalInterval(20, 40, 30, 40, 0.025)
+      const pAt = delta0 => exactUnconditionalTest(20, 40, 30, 40, delta0).p_value
+      expect(pAt(lower - 1e-6)).toBeLessThanOrEqual(0.025)
+      expect(pAt(lower + 1e-6)).toBeGreaterThan(0.025)
+    })
+
+    it('交换两组时区间对称；零事件与全事件表', () => {
+      const forward = exactUnconditionalInterval(3, 12, 8, 14, 0.05)
+      const swapped = exactUnconditionalInterval(8, 14, 3, 12, 0.05)
+      expect(swapped.lower).toBeCloseTo(-forward.upper, 10)
+      expect(swapped.upper).toBeCloseTo(-forward.lower, 10)
+
+      const zero = exactUnconditionalInterval(0, 10, 0, 10, 0.025)
+      expect(zero.lower).toBeCloseTo(-zero.upper, 10)
+      expect(zero.upper).toBeGreaterThan(0)
+      expect(exactUnconditionalInterval(10, 10, 0, 10, 0.025).lower).toBe(-1)
+    })
+
+    it('参数无效返回 NaN', () => {
+      expect(exactUnconditionalInterval(7, 15, 12, 15, 0).lower).toBeNaN()
+      expect(exactUnconditionalInterval(-1, 15, 12, 15, 0.025).upper).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,47 @@
+/**
+ * @file f-distribution.test.js
+ * @description F 分布函数测试
+ *
+ * 验证数据来源:
+ * - F 分布表 5% 临界值（R qf(0.95, d1, d2)）
+ * - 恒等式 F(1, ν) = t²(ν)、F(2, ν) 闭式解 P(F > f) = (1 + 2f/ν)^(−ν/2)
+ */
+
+import { describe, it, expect } from 'vitest'
+import { fCDF, fSF } from '../../src/core/f-distribution'
+import { tSF } from '../../src/core/t-distribution'
+
+describe('f-distribution', () => {
+  describe('fCDF / fSF', () => {
+    it('5% 临界值处上尾概率为 0.05', () => {
+      expect(fSF(4.964603, 1, 10)).toBeCloseTo(0.05, 6)
+      expect(fSF(3.492828, 2, 20)).toBeCloseTo(0.05, 6)
+      expect(fCDF(2.533555, 5, 30)).toBeCloseTo(0.95, 6)
+    })
+
+    it('F(1, ν) = t²(ν)', () => {
+      for (const df of [3, 12, 40]) {
+        expect(fSF(2.2 * 2.2, 1, df)).toBeCloseTo(2 * tSF(2.2, df), 12)
+      }
+    })
+
+    it('F(2, ν) 闭式解', () => {
+      expect(fSF(3, 2, 8)).toBeCloseTo(Math.pow(1 + (2 * 3) / 8, -4), 12)
+    })
+
+    it('CDF + SF = 1，极端上尾不丢失精度', () => {
+      expect(fCDF(1.7, 4, 9) + fSF(1.7, 4, 9)).toBeCloseTo(1, 14)
+      const tail = fSF(400, 1, 20)
+      expect(tail).toBeGreaterThan(0)
+      expect(tail).toBeCloseTo(2 * tSF(20, 20), 20)
+    })
+
+    it('边界与无效输入', () => {
+      expect(fCDF(0, 3, 5)).toBe(0)
+      expect(fSF(-1, 3, 5)).toBe(1)
+      expect(fSF(Infinity, 3, 5)).toBe(0)
+      expect(fCDF(1, 0, 5)).toBeNaN()
+      expect(fSF(NaN, 3, 5)).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,66 @@
+/**
+ * @file linear-algebra.test.js
+ * @description 小型稠密矩阵运算测试
+ *
+ * 验证数据来源:
+ * - 手算 2×2 / 3×3 逆矩阵与线性方程组解
+ * - Cholesky 正定判断: 复合对称阵 ρ > −1/(J − 1) 时正定
+ */
+
+import { describe, it, expect } from 'vitest'
+import { solveLinearSystem, invertMatrix, isPositiveDefinite } from '../../src/core/linear-algebra'
+
+describe('core/linear-algebra', () => {
+  it('solveLinearSystem: 需要换主元的 3×3 方程组', () => {
+    // x = 1, y = 2, z = 3
+    const solution = solveLinearSystem(
+      [
+        [0, 2, 1],
+        [1, 1, 1],
+        [2, 0, 3]
+      ],
+      [7, 6, 11]
+    )
+    expect(solution[0]).toBeCloseTo(1, 12)
+    expect(solution[1]).toBeCloseTo(2, 12)
+    expect(solution[2]).toBeCloseTo(3, 12)
+  })
+
+  it('invertMatrix: 2×2 逆矩阵', () => {
+    const inverse = invertMatrix([
+      [4, 7],
+      [2, 6]
+    ])
+    expect(inverse[0][0]).toBeCloseTo(0.6, 12)
+    expect(inverse[0][1]).toBeCloseTo(-0.7, 12)
+    expect(inverse[1][0]).toBeCloseTo(-0.2, 12)
+    expect(inverse[1][1]).toBeCloseTo(0.4, 12)
+  })
+
+  it('奇异矩阵返回 null', () => {
+    const singular = [
+      [1, 2],
+      [2, 4]
+    ]
+    expect(invertMatrix(singular)).toBeNull()
+    expect(solveLinearSystem(singular, [1, 2])).toBeNull()
+  })
+
+  it('isPositiveDefinite', () => {
+    const cs = rho => [
+      [1, rho, rho],
+      [rho, 1, rho],
+      [rho, rho, 1]
+    ]
+    expect(isPositiveDefinite(cs(0.5))).toBe(true)
+    expect(isPositiveDefinite(cs(-0.4))).toBe(true)
+    expect(isPositiveDefinite(cs(-0.5))).toBe(false)
+    expect(
+      isPositiveDefinite([
+        [1, 0.5],
+        [0.4, 1]
+      ])
+    ).toBe(false)
+    expect(isPositiveDefinite([[1, 0], [0]])).toBe(false)
+  })
+})
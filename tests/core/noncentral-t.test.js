@@ -0,0 +1,75 @@
+/**
+ * @file noncentral-t.test.js
+ * @description 非中心 t 分布与 Owen's Q 函数测试
+ *
+ * 验证数据来源:
+ * - R 语言 pt(q, df, ncp) / power.t.test
+ * - 恒等式: ncp = 0 时退化为中心 t 分布；Q(ν, t, δ, 0, ∞) = P(T ≤ t | ν, δ)
+ */
+
+import { describe, it, expect } from 'vitest'
+import { noncentralTCDF, owensQ } from '../../src/core/noncentral-t'
+import { tCDF, tInverse } from '../../src/core/t-distribution'
+import { normalCDF } from '../../src/core/normal-distribution'
+
+describe('noncentral-t', () => {
+  // ========================================================
+  // noncentralTCDF 测试
+  // ========================================================
+  describe('noncentralTCDF', () => {
+    it('与 R power.t.test 一致', () => {
+      // power.t.test(n = 20, delta = 1)$power = 0.8689528 = 1 - pt(qt(0.975, 38), 38, sqrt(10))
+      const power = 1 - noncentralTCDF(tInverse(0.975, 38), 38, Math.sqrt(10))
+      expect(power).toBeCloseTo(0.8689528, 7)
+    })
+
+    it('ncp = 0 退化为中心 t 分布', () => {
+      for (const [t, df] of [
+        [1.3, 5],
+        [-2, 3],
+        [2, 1],
+        [0.5, 500]
+      ]) {
+        expect(noncentralTCDF(t, df, 0)).toBeCloseTo(tCDF(t, df), 12)
+      }
+    })
+
+    it('关于 (t, δ) 的反射对称: F(t; δ) = 1 - F(-t; -δ)', () => {
+      expect(noncentralTCDF(1.2, 7, 0.8) + noncentralTCDF(-1.2, 7, -0.8)).toBeCloseTo(1, 12)
+    })
+
+    it('df = Infinity 退化为 N(δ, 1)', () => {
+      expect(noncentralTCDF(2, Infinity, 0.5)).toBe(normalCDF(1.5))
+    })
+
+    it('±Infinity 与无效输入', () => {
+      expect(noncentralTCDF(Infinity, 5, 1)).toBe(1)
+      expect(noncentralTCDF(-Infinity, 5, 1)).toBe(0)
+      expect(noncentralTCDF(1, 0, 1)).toBeNaN()
+      expect(noncentralTCDF(NaN, 5, 1)).toBeNaN()
+      expect(noncentralTCDF(1, 5, NaN)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // owensQ 测试
+  // ========================================================
+  describe('owensQ', () => {
+    it('积分上限为 ∞ 时等于非中心 t CDF', () => {
+      expect(owensQ(12, 1.5, 2, 0, Infinity)).toBeCloseTo(noncentralTCDF(1.5, 12, 2), 14)
+    })
+
+    it('区间可加: Q(0, c) + Q(c, ∞) = Q(0, ∞)', () => {
+      const whole = owensQ(20, 1.7, 1, 0, Infinity)
+      const split = owensQ(20, 1.7, 1, 0, 4) + owensQ(20, 1.7, 1, 4, Infinity)
+      expect(split).toBeCloseTo(whole, 10)
+    })
+
+    it('空区间返回 0，无效参数返回 NaN', () => {
+      expect(owensQ(10, 1, 1, 3, 3)).toBe(0)
+      expect(owensQ(10, 1, 1, 3, 1)).toBe(0)
+      expect(owensQ(0, 1, 1, 0, 1)).toBeNaN()
+      expect(owensQ(10, 1, 1, -1, 1)).toBeNaN()
+    })
+  })
+})
@@ -11,6 +11,7 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import {
   normalCDF,
+  normalSF,
   normalInverse,
   clearNormalInverseCache
 } from '../../src/core/normal-distribution'
@@ -151,6 +152,58 @@ describe('normal-distribution', () => {
       })
     })
 
+    it('normalCDF 全域相对精度 < 1e-12（Cody 算法，对照 R pnorm / erfc）', () => {
+      // 验证数据: R pnorm(x)，与 Python 0.5 * math.erfc(-x / sqrt(2)) 一致
+      const testCases = [
+        { x: 1, expected: 0.8413447460685429 },
+        { x: -1.96, expected: 0.024997895148220435 },
+        { x: -3, expected: 0.0013498980316300957 },
+        { x: -5, expected: 2.866515718791946e-7 },
+        { x: -8, expected: 6.220960574271819e-16 },
+        { x: -10, expected: 7.619853024160593e-24 },
+        { x: -20, expected: 2.7536241186063314e-89 },
+        { x: -37.5, expected: 4.605353009582584e-308 }
+      ]
+
+      testCases.forEach(({ x, expected }) => {
+        expect(Math.abs(normalCDF(x) - expected) / expected).toBeLessThan(1e-12)
+      })
+    })
+
+    it('normalSF 上尾不相消（R: pnorm(x, lower.tail = FALSE)）', () => {
+      const testCases = [
+        { x: 3, expected: 0.0013498980316300957 },
+        { x: 7.034, expected: 1.0034756170348642e-12 },
+        { x: 8.5, expected: 9.479534822203355e-18 },
+        { x: 20, expected: 2.7536241186063314e-89 }
+      ]
+
+      testCases.forEach(({ x, expected }) => {
+        expect(Math.abs(normalSF(x) - expected) / expected).toBeLessThan(1e-13)
+      })
+
+      // 1 - normalCDF(8.5) 在双精度下相消为 0，normalSF 保留完整精度
+      expect(1 - normalCDF(8.5)).toBe(0)
+      expect(normalSF(8.5)).toBeGreaterThan(0)
+    })
+
+    it('normalSF 与 normalCDF 互补，且满足 normalSF(x) = normalCDF(-x)', () => {
+      ;[-4, -1.5, -0.3, 0, 0.3, 0.7, 1.5, 4].forEach(x => {
+        expect(normalCDF(x) + normalSF(x)).toBeCloseTo(1, 15)
+        expect(normalSF(x)).toBe(normalCDF(-x))
+      })
+    })
+
+    it('极值与非法输入', () => {
+      expect(normalCDF(Infinity)).toBe(1)
+      expect(normalCDF(-Infinity)).toBe(0)
+      expect(normalSF(Infinity)).toBe(0)
+      expect(normalSF(-Infinity)).toBe(1)
+      expect(normalCDF(NaN)).toBeNaN()
+      expect(normalSF(NaN)).toBeNaN()
+      expect(normalSF(40)).toBe(0)
+    })
+
     it('normalInverse 精度应达到 6 位小数', () => {
       // 验证数据来自 R: qnorm(p)
       const testCases = [
@@ -69,7 +69,7 @@ describe('validateStatParams', () => {
   })
 
   // ========================================================
-  // 正数类参数 > 0：sigma / sd / ratio / n / n1
+  // 正数类参数 > 0：sigma / sd / ratio / n / n1 / hr
   // ========================================================
   describe('正数类参数 - 数学域 >0', () => {
     it('正值 → valid', () => {
@@ -89,6 +89,13 @@ describe('validateStatParams', () => {
       expect(validateStatParams({ sigma: -0.5 }).valid).toBe(false)
     })
 
+    it('hr（风险比）: >0 valid，=0 / <0 拒绝', () => {
+      expect(validateStatParams({ hr: 0.7 }).valid).toBe(true)
+      expect(validateStatParams({ hr: 1.3 }).valid).toBe(true)
+      expect(validateStatParams({ hr: 0 }).valid).toBe(false)
+      expect(validateStatParams({ hr: -0.5 }).valid).toBe(false)
+    })
+
     it('n>0 不强制整数（非整数正值仍 valid）', () => {
       expect(validateStatParams({ n: 12.5 }).valid).toBe(true)
       expect(validateStatParams({ n1: 0.5 }).valid).toBe(true)
@@ -0,0 +1,91 @@
+/**
+ * @file proportion-score.test.js
+ * @description 比值尺度（RR / OR）约束 MLE 与 score 统计量测试
+ *
+ * 验证数据来源:
+ * - Farrington & Manning (1990) / Miettinen & Nurminen (1985) 闭式 RMLE:
+ *   以约束对数似然的导数为零（score 方程）回代验证；θ₀ = 1 时退化为合并率
+ * - tests/fixtures/python/proportion-ratio-scale.py（似然导数二分求 RMLE）:
+ *   170/200 vs 176/200，RR θ₀ = 0.9: FM z = 3.34672344；MN 校正 CI (0.95690465, 1.12264162)
+ * - 率差闭式 RMLE（restrictedMLE 'difference'，结果验证 / 样本量 / 精确检验共用）同样以 score 方程回代验证；
+ *   δ₀ = 0 时设计方差与 RR θ₀ = 1 一致；12/15 vs 7/15 合并方差 z = 1.89433808（SciPy barnard_exact 文档示例）
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  ratioEstimate,
+  restrictedMLE,
+  scoreStatistic,
+  scoreInterval,
+  ratioScaleDesign,
+  differenceScaleDesign
+} from '../../src/core/proportion-score'
+
+/** 约束对数似然对 p̃₁ 的导数（p̃₂ 为 p̃₁ 的函数） */
+function constrainedScore(p1, p2, n1, n2, rmle, dp2) {
+  const x1 = n1 * p1
+  const x2 = n2 * p2
+  return x1 / rmle.p1 - (n1 - x1) / (1 - rmle.p1) + (x2 / rmle.p2 - (n2 - x2) / (1 - rmle.p2)) * dp2
+}
+
+describe('core/proportion-score', () => {
+  describe('restrictedMLE', () => {
+    it('RR: 满足约束且 score 方程为零', () => {
+      const rmle = restrictedMLE(0.85, 0.88, 200, 200, 'ratio', 0.9)
+      expect(rmle.p2 / rmle.p1).toBeCloseTo(0.9, 12)
+      expect(constrainedScore(0.85, 0.88, 200, 200, rmle, 0.9)).toBeCloseTo(0, 8)
+    })
+
+    it('OR: 满足约束且 score 方程为零', () => {
+      const theta = 0.5
+      const rmle = restrictedMLE(0.85, 0.88, 200, 150, 'oddsRatio', theta)
+      expect(ratioEstimate(rmle.p1, rmle.p2, 'oddsRatio')).toBeCloseTo(theta, 12)
+      const dp2 = theta / Math.pow(1 - rmle.p1 + theta * rmle.p1, 2)
+      expect(constrainedScore(0.85, 0.88, 200, 150, rmle, dp2)).toBeCloseTo(0, 8)
+    })
+
+    it('θ₀ = 1 时为合并率', () => {
+      for (const scale of ['ratio', 'oddsRatio']) {
+        const rmle = restrictedMLE(0.5, 0.65, 200, 100, scale, 1)
+        expect(rmle.p1).toBeCloseTo(0.55, 12)
+        expect(rmle.p2).toBeCloseTo(0.55, 12)
+      }
+    })
+
+    it('率差闭式解: 满足约束且 score 方程为零，边界表不截断', () => {
+      const rmle = restrictedMLE(0.85, 0.88, 200, 150, 'difference', -0.1)
+      expect(rmle.p2 - rmle.p1).toBeCloseTo(-0.1, 12)
+      expect(constrainedScore(0.85, 0.88, 200, 150, rmle, 1)).toBeCloseTo(0, 8)
+      const unequal = restrictedMLE(0.45, 1 / 9, 20, 9, 'difference', -0.05)
+      expect(constrainedScore(0.45, 1 / 9, 20, 9, unequal, 1)).toBeCloseTo(0, 8)
+      // 零事件表: p̃₂ = 0，p̃₁ = −δ₀
+      expect(restrictedMLE(0, 0, 10, 10, 'difference', -0.1)).toEqual({ p1: 0.1, p2: 0 })
+      expect(scoreStatistic(7 / 15, 0.8, 15, 15, 'difference', 0)).toBeCloseTo(1.89433808, 8)
+    })
+  })
+
+  it('scoreStatistic / scoreInterval: RR 独立计算值', () => {
+    expect(scoreStatistic(0.85, 0.88, 200, 200, 'ratio', 0.9)).toBeCloseTo(3.34672344, 8)
+    const interval = scoreInterval(0.85, 0.88, 200, 200, 'ratio', 1.959963984540054)
+    expect(interval.lower).toBeCloseTo(0.95690465, 8)
+    expect(interval.upper).toBeCloseTo(1.12264162, 8)
+  })
+
+  it('ratioScaleDesign: OR 为 log OR 方差，θ₀ = 1 时 RR 的 H₀ 方差为合并率', () => {
+    const or = ratioScaleDesign(0.85, 0.85, 0.5, 1, 'oddsRatio')
+    expect(or.effect).toBeCloseTo(Math.log(2), 12)
+    expect(or.sdNull).toBe(or.sdAlt)
+    const rr = ratioScaleDesign(0.6, 0.75, 1, 1, 'ratio')
+    expect(rr.effect).toBeCloseTo(0.15, 12)
+    expect(rr.sdNull).toBeCloseTo(Math.sqrt(2 * 0.675 * 0.325), 12)
+  })
+
+  it('differenceScaleDesign: δ₀ = 0 时与 RR θ₀ = 1 的 score 设计相同', () => {
+    const diff = differenceScaleDesign(0.6, 0.75, 0, 2)
+    const rr = ratioScaleDesign(0.6, 0.75, 1, 2, 'ratio')
+    expect(diff.effect).toBeCloseTo(rr.effect, 12)
+    expect(diff.sdNull).toBeCloseTo(rr.sdNull, 8)
+    expect(diff.sdAlt).toBeCloseTo(rr.sdAlt, 12)
+    expect(differenceScaleDesign(0.85, 0.85, -0.1, 1).effect).toBeCloseTo(0.1, 12)
+  })
+})
@@ -0,0 +1,58 @@
+/**
+ * @file random.test.js
+ * @description 可设种子随机数发生器测试
+ *
+ * 验证数据来源:
+ * - 性质检验: 同一种子序列完全相同；大样本矩与理论值一致（正态 0 / 1，卡方 ν / 2ν）
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createRandom } from '../../src/core/random'
+
+/** 抽样均值与方差 */
+const moments = (draw, count) => {
+  let sum = 0
+  let sumSq = 0
+  for (let i = 0; i < count; i++) {
+    const x = draw()
+    sum += x
+    sumSq += x * x
+  }
+  const mean = sum / count
+  return { mean, variance: sumSq / count - mean * mean }
+}
+
+describe('random', () => {
+  it('同一种子可复现，不同种子序列不同', () => {
+    const a = createRandom(2026)
+    const b = createRandom(2026)
+    const c = createRandom(2027)
+    const seqA = [a.uniform(), a.normal(), a.chiSquare(3)]
+    expect([b.uniform(), b.normal(), b.chiSquare(3)]).toEqual(seqA)
+    expect(c.uniform()).not.toBe(seqA[0])
+  })
+
+  it('均匀分布落在 (0, 1) 内', () => {
+    const rng = createRandom(1)
+    for (let i = 0; i < 10000; i++) {
+      const u = rng.uniform()
+      expect(u > 0 && u < 1).toBe(true)
+    }
+  })
+
+  it('标准正态矩', () => {
+    const rng = createRandom(7)
+    const { mean, variance } = moments(rng.normal, 100000)
+    expect(Math.abs(mean)).toBeLessThan(0.01)
+    expect(variance).toBeCloseTo(1, 1)
+  })
+
+  it('卡方矩（整数与非整数自由度）', () => {
+    const rng = createRandom(11)
+    for (const df of [0.6, 5, 40]) {
+      const { mean, variance } = moments(() => rng.chiSquare(df), 100000)
+      expect(mean / df).toBeCloseTo(1, 1)
+      expect(variance / (2 * df)).toBeCloseTo(1, 1)
+    }
+  })
+})
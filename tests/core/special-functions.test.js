@@ -0,0 +1,154 @@
+/**
+ * @file special-functions.test.js
+ * @description 特殊函数测试（对数伽马、对数贝塔、正则化不完全贝塔及其逆函数、正则化不完全伽马）
+ *
+ * 验证数据来源:
+ * - R 语言 lgamma / pbeta 函数
+ * - 闭式恒等式: I_x(1, b) = 1 - (1-x)^b，I_x(a, 1) = x^a，I_½(a, a) = ½
+ * - 闭式恒等式: P(1, x) = 1 - e^(-x)，P(½, x) = 2Φ(√(2x)) − 1，整数 a 时 Q(a, x) 为泊松累积概率
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  logGamma,
+  logBeta,
+  regularizedIncompleteBeta,
+  inverseRegularizedIncompleteBeta,
+  regularizedGammaP,
+  regularizedGammaQ
+} from '../../src/core/special-functions'
+import { normalCDF } from '../../src/core/normal-distribution'
+
+describe('special-functions', () => {
+  // ========================================================
+  // logGamma 测试
+  // ========================================================
+  describe('logGamma', () => {
+    it('整数与半整数点与 R lgamma() 一致', () => {
+      expect(logGamma(1)).toBeCloseTo(0, 13)
+      expect(logGamma(2)).toBeCloseTo(0, 13)
+      expect(logGamma(10)).toBeCloseTo(Math.log(362880), 12)
+      expect(logGamma(0.5)).toBeCloseTo(0.5723649429247004, 13) // ln √π
+      expect(logGamma(100.5)).toBeCloseTo(361.4355404677776, 10)
+    })
+
+    it('x < 0.5 使用反射公式（返回 ln|Γ(x)|）', () => {
+      expect(logGamma(-0.5)).toBeCloseTo(1.265512123484645, 12) // Γ(-½) = -2√π
+    })
+
+    it('非正整数极点返回 Infinity，NaN 透传', () => {
+      expect(logGamma(0)).toBe(Infinity)
+      expect(logGamma(-3)).toBe(Infinity)
+      expect(logGamma(NaN)).toBeNaN()
+    })
+  })
+
+  describe('logBeta', () => {
+    it('B(a, b) = Γ(a)Γ(b)/Γ(a+b)', () => {
+      expect(logBeta(1, 1)).toBeCloseTo(0, 13)
+      expect(logBeta(2, 3)).toBeCloseTo(Math.log(1 / 12), 13)
+      expect(logBeta(0.5, 0.5)).toBeCloseTo(Math.log(Math.PI), 13)
+    })
+  })
+
+  // ========================================================
+  // regularizedIncompleteBeta 测试
+  // ========================================================
+  describe('regularizedIncompleteBeta', () => {
+    it('闭式恒等式', () => {
+      expect(regularizedIncompleteBeta(0.3, 1, 4)).toBeCloseTo(1 - Math.pow(0.7, 4), 13)
+      expect(regularizedIncompleteBeta(0.3, 2.5, 1)).toBeCloseTo(Math.pow(0.3, 2.5), 13)
+      expect(regularizedIncompleteBeta(0.5, 7, 7)).toBeCloseTo(0.5, 13)
+    })
+
+    it('对称关系 I_x(a, b) = 1 - I_{1-x}(b, a)', () => {
+      const v = regularizedIncompleteBeta(0.2, 3.5, 8)
+      expect(v + regularizedIncompleteBeta(0.8, 8, 3.5)).toBeCloseTo(1, 13)
+    })
+
+    it('可传入精确 1 - x 避免相消', () => {
+      const x = 1 - 1e-12
+      expect(regularizedIncompleteBeta(x, 2, 3, 1e-12)).toBeCloseTo(1, 13)
+    })
+
+    it('边界: x = 0 → 0，x = 1 → 1', () => {
+      expect(regularizedIncompleteBeta(0, 2, 3)).toBe(0)
+      expect(regularizedIncompleteBeta(1, 2, 3)).toBe(1)
+    })
+
+    it('无效参数返回 NaN', () => {
+      expect(regularizedIncompleteBeta(-0.1, 2, 3)).toBeNaN()
+      expect(regularizedIncompleteBeta(1.1, 2, 3)).toBeNaN()
+      expect(regularizedIncompleteBeta(0.5, 0, 3)).toBeNaN()
+      expect(regularizedIncompleteBeta(0.5, 2, -1)).toBeNaN()
+      expect(regularizedIncompleteBeta(NaN, 2, 3)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // inverseRegularizedIncompleteBeta 测试
+  // ========================================================
+  describe('inverseRegularizedIncompleteBeta', () => {
+    it('闭式恒等式: I_x(a, 1) = x^a，I_x(1, b) = 1 - (1-x)^b', () => {
+      expect(inverseRegularizedIncompleteBeta(0.025, 20, 1)).toBeCloseTo(
+        Math.pow(0.025, 1 / 20),
+        14
+      )
+      // 极小分位数仍保持相对精度
+      const x = inverseRegularizedIncompleteBeta(1e-10, 1, 50)
+      expect(-Math.expm1(50 * Math.log1p(-x)) / 1e-10).toBeCloseTo(1, 10)
+    })
+
+    it('与正向函数互逆', () => {
+      for (const [p, a, b] of [
+        [0.025, 85, 16],
+        [0.975, 86, 15],
+        [0.5, 2.5, 7]
+      ]) {
+        expect(
+          regularizedIncompleteBeta(inverseRegularizedIncompleteBeta(p, a, b), a, b)
+        ).toBeCloseTo(p, 12)
+      }
+    })
+
+    it('边界与无效参数', () => {
+      expect(inverseRegularizedIncompleteBeta(0, 2, 3)).toBe(0)
+      expect(inverseRegularizedIncompleteBeta(1, 2, 3)).toBe(1)
+      expect(inverseRegularizedIncompleteBeta(1.1, 2, 3)).toBeNaN()
+      expect(inverseRegularizedIncompleteBeta(0.5, 0, 3)).toBeNaN()
+      expect(inverseRegularizedIncompleteBeta(NaN, 2, 3)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // regularizedGammaP / regularizedGammaQ 测试
+  // ========================================================
+  describe('regularizedGammaP / regularizedGammaQ', () => {
+    it('闭式恒等式: P(1, x) = 1 - e^(-x)', () => {
+      for (const x of [0.1, 1, 5, 30]) {
+        expect(regularizedGammaP(1, x)).toBeCloseTo(-Math.expm1(-x), 14)
+        expect(regularizedGammaQ(1, x) / Math.exp(-x)).toBeCloseTo(1, 12)
+      }
+    })
+
+    it('闭式恒等式: P(½, x) = 2Φ(√(2x)) − 1（级数与连分式两支）', () => {
+      for (const x of [0.2, 3]) {
+        expect(regularizedGammaP(0.5, x)).toBeCloseTo(2 * normalCDF(Math.sqrt(2 * x)) - 1, 12)
+      }
+    })
+
+    it('P + Q = 1，上尾极小时不丢失精度', () => {
+      expect(regularizedGammaP(4.5, 3.2) + regularizedGammaQ(4.5, 3.2)).toBeCloseTo(1, 14)
+      // 整数 a: Q(a, x) = e^(-x)·Σ_{k<a} x^k / k!（泊松累积）
+      const poisson = Math.exp(-60) * (1 + 60 + 1800 + 36000 + 540000)
+      expect(regularizedGammaQ(5, 60) / poisson).toBeCloseTo(1, 12)
+    })
+
+    it('边界与无效参数', () => {
+      expect(regularizedGammaP(2, 0)).toBe(0)
+      expect(regularizedGammaQ(2, 0)).toBe(1)
+      expect(regularizedGammaP(0, 1)).toBeNaN()
+      expect(regularizedGammaQ(2, -1)).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,141 @@
+/**
+ * @file t-distribution.test.js
+ * @description Student t 分布函数测试
+ *
+ * 验证数据来源:
+ * - R 语言 pt/qt 函数
+ * - Abramowitz & Stegun 26.7.3 / 26.7.4 整数自由度精确级数
+ */
+
+import { describe, it, expect } from 'vitest'
+import { tPDF, tCDF, tSF, tInverse } from '../../src/core/t-distribution'
+import { normalCDF, normalInverse } from '../../src/core/normal-distribution'
+
+describe('t-distribution', () => {
+  // ========================================================
+  // tCDF / tSF 测试 - 累积分布函数与上尾概率
+  // ========================================================
+  describe('tCDF', () => {
+    it('应与 R pt() 一致', () => {
+      expect(tCDF(2, 10)).toBeCloseTo(0.9633059826146299, 10)
+      expect(tCDF(-1.5, 3)).toBeCloseTo(0.11529193262241144, 10)
+      expect(tCDF(0.7, 7)).toBeCloseTo(0.7467412239022, 10)
+      expect(tCDF(-6, 4)).toBeCloseTo(0.0019412685234802551, 12)
+    })
+
+    it('t = 0 → 0.5（对称性）', () => {
+      expect(tCDF(0, 1)).toBe(0.5)
+      expect(tCDF(0, 25)).toBe(0.5)
+    })
+
+    it('对称性: F(-t) = 1 - F(t)', () => {
+      for (const df of [1, 2, 5, 30, 2.5]) {
+        expect(tCDF(-1.3, df) + tCDF(1.3, df)).toBeCloseTo(1, 12)
+      }
+    })
+
+    it('df = 1 (Cauchy) 有闭式解 ½ + atan(t)/π', () => {
+      expect(tCDF(1, 1)).toBeCloseTo(0.75, 12)
+      expect(tCDF(-3, 1)).toBeCloseTo(0.5 + Math.atan(-3) / Math.PI, 12)
+    })
+
+    it('大自由度趋近正态分布，df = Infinity 退化为 normalCDF', () => {
+      expect(tCDF(1.96, 1e7)).toBeCloseTo(normalCDF(1.96), 6)
+      expect(tCDF(1.96, Infinity)).toBe(normalCDF(1.96))
+    })
+
+    it('±Infinity 边界', () => {
+      expect(tCDF(Infinity, 5)).toBe(1)
+      expect(tCDF(-Infinity, 5)).toBe(0)
+    })
+
+    it('无效输入返回 NaN', () => {
+      expect(tCDF(NaN, 5)).toBeNaN()
+      expect(tCDF(1, 0)).toBeNaN()
+      expect(tCDF(1, -3)).toBeNaN()
+      expect(tCDF(1, NaN)).toBeNaN()
+    })
+  })
+
+  describe('tSF', () => {
+    it('上尾概率与 1 - tCDF 一致', () => {
+      expect(tSF(2, 10)).toBeCloseTo(1 - 0.9633059826146299, 10)
+      expect(tSF(-1.5, 3)).toBeCloseTo(1 - 0.11529193262241144, 10)
+    })
+
+    it('极小尾概率保持相对精度（不经 1 - tCDF 相消）', () => {
+      // pt(-10, 5) = 8.547378787143733e-05
+      expect(tSF(10, 5) / 8.547378787143733e-5).toBeCloseTo(1, 9)
+      // 尾部远超 1 - F 的双精度分辨率
+      expect(tSF(1e4, 10)).toBeGreaterThan(0)
+      expect(tSF(1e4, 10)).toBeLessThan(1e-30)
+    })
+
+    it('±Infinity 边界', () => {
+      expect(tSF(Infinity, 5)).toBe(0)
+      expect(tSF(-Infinity, 5)).toBe(1)
+    })
+  })
+
+  // ========================================================
+  // tPDF 测试 - 概率密度函数
+  // ========================================================
+  describe('tPDF', () => {
+    it('df = 1 为 Cauchy 密度 1/(π(1+t²))', () => {
+      expect(tPDF(0, 1)).toBeCloseTo(1 / Math.PI, 12)
+      expect(tPDF(2, 1)).toBeCloseTo(1 / (5 * Math.PI), 12)
+    })
+
+    it('df = Infinity 为标准正态密度', () => {
+      expect(tPDF(0, Infinity)).toBeCloseTo(1 / Math.sqrt(2 * Math.PI), 12)
+    })
+  })
+
+  // ========================================================
+  // tInverse 测试 - 分位数函数
+  // ========================================================
+  describe('tInverse', () => {
+    it('应与 R qt() 一致（常用临界值）', () => {
+      expect(tInverse(0.975, 15)).toBeCloseTo(2.131449545559323, 10)
+      expect(tInverse(0.975, 5)).toBeCloseTo(2.570581835636314, 10)
+      expect(tInverse(0.975, 30)).toBeCloseTo(2.042272456301238, 10)
+      expect(tInverse(0.95, 10)).toBeCloseTo(1.812461122811676, 10)
+      expect(tInverse(0.99, 3)).toBeCloseTo(4.540702858568109, 10)
+      expect(tInverse(0.9, 7)).toBeCloseTo(1.4149239276505072, 10)
+    })
+
+    // 1 - 0.975 在双精度下并非精确 0.025，闭式解按 9 位比较
+    it('df = 1、2 闭式解', () => {
+      expect(tInverse(0.975, 1)).toBeCloseTo(12.70620473617471, 8)
+      expect(tInverse(0.975, 2)).toBeCloseTo(4.302652729911275, 9)
+    })
+
+    it('下尾分位数为上尾的相反数', () => {
+      expect(tInverse(0.025, 15)).toBeCloseTo(-2.131449545559323, 10)
+      expect(tInverse(0.5, 8)).toBe(0)
+    })
+
+    it('与 tCDF 互逆（含非整数自由度）', () => {
+      for (const df of [1, 2, 3.5, 8, 49, 198]) {
+        for (const p of [0.001, 0.05, 0.3, 0.9, 0.9999]) {
+          expect(tCDF(tInverse(p, df), df)).toBeCloseTo(p, 10)
+        }
+      }
+    })
+
+    it('df = Infinity 退化为 normalInverse', () => {
+      expect(tInverse(0.975, Infinity)).toBe(normalInverse(0.975))
+    })
+
+    it('p 边界: p ≤ 0 → -Infinity，p ≥ 1 → Infinity', () => {
+      expect(tInverse(0, 10)).toBe(-Infinity)
+      expect(tInverse(1, 10)).toBe(Infinity)
+    })
+
+    it('无效输入返回 NaN', () => {
+      expect(tInverse(NaN, 10)).toBeNaN()
+      expect(tInverse(0.975, 0)).toBeNaN()
+      expect(tInverse(0.975, NaN)).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,324 @@
+/**
+ * @file count-sample-size.test.js
+ * @description 计数终点（Poisson / 负二项）率比样本量与功效测试
+ *
+ * 验证数据来源:
+ * - Poisson Wald 公式手算: λ₁ = 1、λ₂ = 0.5、t = 1 → V = 1 + 2 = 3，n = 7.849 × 3 / ln(2)² = 49.01 → 50
+ * - Zhu H, Lakkis H. Stat Med. 2014;33(3):376-387. 方法 3 闭式
+ *   V₀ = (1 + k)/(k·μ_t·λ̄) + (1 + k)κ/k，V₁ = (1/μ_t)(1/λ₁ + 1/(kλ₂)) + (1 + k)κ/k
+ * - tests/fixtures/python/count-sample-size.py：方法 1 / 方法 3 未取整样本量与功效，
+ *   可变暴露与非劣效限制方差按 I(λ) = E_t[λt/(1 + κλt)] 计算，并与上述闭式复核
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateCountSampleSize, calculateCountPower } from '../../src/count/count-sample-size.js'
+
+describe('count (rate ratio) sample size', () => {
+  // ========================================================
+  // 优效
+  // ========================================================
+  describe('优效', () => {
+    it('Poisson Wald（keene）: λ₁ = 1、λ₂ = 0.5 → 50', () => {
+      const result = calculateCountSampleSize({
+        rate1: 1,
+        rate2: 0.5,
+        alpha: 0.025,
+        power: 0.8,
+        method: 'keene'
+      })
+      expect(result.n1).toBe(50)
+      expect(result.n2).toBe(50)
+      expect(result.events1).toBe(50)
+      expect(result.events2).toBe(25)
+    })
+
+    it('负二项 Zhu-Lakkis 方法 3: 0.8 → 0.6，κ = 0.4，power = 0.9 → 468', () => {
+      // n = 467.295
+      const result = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4
+      })
+      expect(result.n1).toBe(468)
+      expect(result.totalN).toBe(936)
+      expect(result.method).toBe('zhu-lakkis')
+    })
+
+    it('负二项方法 1（V₀ = V₁）: 471.872 → 472', () => {
+      const result = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4,
+        method: 'keene'
+      })
+      expect(result.n1).toBe(472)
+    })
+
+    it('可变暴露时间: 部分受试者随访减半', () => {
+      // 同一平均暴露下，负二项的信息量取决于暴露分布: 524.903 → 525
+      const result = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4,
+        exposure: [0.5, 1, 1, 1]
+      })
+      expect(result.n1).toBe(525)
+      expect(result.events1).toBeCloseTo(525 * 0.8 * 0.875, 10)
+    })
+
+    it('κ = 0 时暴露时间只通过总量起作用', () => {
+      // 暴露 2 个单位 ≡ 率加倍、暴露 1 个单位
+      const longer = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0,
+        exposure: 2
+      })
+      const doubled = calculateCountSampleSize({
+        rate1: 1.6,
+        rate2: 1.2,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0
+      })
+      expect(longer.n1).toBe(doubled.n1)
+    })
+
+    it('离散度越大样本量越大', () => {
+      const low = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.2
+      })
+      // κ = 0.4 时 n₁ = 468（见上）
+      expect(low.n1).toBeLessThan(468)
+    })
+  })
+
+  // ========================================================
+  // 非劣效
+  // ========================================================
+  describe('非劣效', () => {
+    it('RR = 1，M = 1.2，κ = 0.5，2:1 分配', () => {
+      // 方法 3: 548.645 → 549
+      const result = calculateCountSampleSize({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1,
+        margin: 1.2,
+        alpha: 0.025,
+        power: 0.8,
+        dispersion: 0.5,
+        ratio: 2
+      })
+      expect(result).toMatchObject({ n1: 549, n2: 1098, totalN: 1647 })
+
+      // 方法 1: 531.269 → 532
+      const keene = calculateCountSampleSize({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1,
+        margin: 1.2,
+        alpha: 0.025,
+        power: 0.8,
+        dispersion: 0.5,
+        ratio: 2,
+        method: 'keene'
+      })
+      expect(keene.n1).toBe(532)
+    })
+
+    it('RR ≥ M 时不可达', () => {
+      const result = calculateCountSampleSize({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1.3,
+        margin: 1.2,
+        alpha: 0.025,
+        power: 0.8,
+        dispersion: 0.5,
+        ratio: 2
+      })
+      expect(result.n1).toBe(Infinity)
+    })
+  })
+
+  // ========================================================
+  // 功效
+  // ========================================================
+  describe('功效', () => {
+    it('与样本量互逆', () => {
+      const at468 = calculateCountPower({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        dispersion: 0.4,
+        n1: 468
+      })
+      expect(at468.power).toBeGreaterThanOrEqual(0.9)
+      const at467 = calculateCountPower({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        dispersion: 0.4,
+        n1: 467
+      })
+      expect(at467.power).toBeLessThan(0.9)
+    })
+
+    it('非劣效方法 3: n₁ = 549、n₂ = 1098', () => {
+      const result = calculateCountPower({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1,
+        margin: 1.2,
+        alpha: 0.025,
+        dispersion: 0.5,
+        n1: 549,
+        n2: 1098
+      })
+      expect(result.power).toBeCloseTo(0.80025774, 6)
+    })
+
+    it('标准误 √(V₁/n₁)', () => {
+      // V₁ = (1/0.8 + 1/0.6) + 2 × 0.4 = 3.716667
+      const { se } = calculateCountPower({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        dispersion: 0.4,
+        n1: 468
+      })
+      expect(se).toBeCloseTo(Math.sqrt(3.7166666666666667 / 468), 12)
+    })
+
+    it('非劣效 RR ≥ M 时功效不超过 α', () => {
+      const { power } = calculateCountPower({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1.2,
+        margin: 1.2,
+        alpha: 0.025,
+        dispersion: 0.5,
+        ratio: 2,
+        n1: 500
+      })
+      expect(power).toBeLessThanOrEqual(0.025 + 1e-12)
+    })
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效', () => {
+    it('率或离散度无效返回 NaN', () => {
+      // 试验组率为 0
+      const result1 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4
+      })
+      expect(result1.n1).toBeNaN()
+
+      // 优效试验两组率相等
+      const result2 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.8,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 离散度为负
+      const result3 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: -0.1
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('暴露时间无效返回 NaN', () => {
+      const result1 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4,
+        exposure: [1, 0]
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4,
+        exposure: []
+      })
+      expect(result2.n1).toBeNaN()
+    })
+
+    it('方法、试验类型或界值无效返回 NaN', () => {
+      const result1 = calculateCountSampleSize({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4,
+        method: 'wald'
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateCountSampleSize({
+        studyType: 'equivalence',
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        power: 0.9,
+        dispersion: 0.4
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 非劣效界值须 > 1
+      const result3 = calculateCountSampleSize({
+        studyType: 'non-inferiority',
+        rate1: 1,
+        rate2: 1,
+        margin: 0.8,
+        alpha: 0.025,
+        power: 0.8,
+        dispersion: 0.5,
+        ratio: 2
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('功效: 样本量无效返回 NaN', () => {
+      const result = calculateCountPower({
+        rate1: 0.8,
+        rate2: 0.6,
+        alpha: 0.025,
+        dispersion: 0.4,
+        n1: 0
+      })
+      expect(result.power).toBeNaN()
+    })
+  })
+})
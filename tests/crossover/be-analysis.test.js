@@ -0,0 +1,104 @@
+/**
+ * @file be-analysis.test.js
+ * @description 2×2 交叉设计平均生物等效性分析测试
+ *
+ * 验证数据来源:
+ * - 非均衡示例数据（TR 7 例、RT 5 例）按完整线性模型 y = 受试者 + 周期 + 制剂 的最小二乘拟合
+ *   （独立实现）: ln GMR = 0.0378572，SE = 0.0207142，MSE = 0.00250295，df = 10
+ * - 性质检验: 制剂 F = (F̂/SE)²；均衡设计下 ANOVA 平方和可加
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateCrossoverBEResult } from '../../src/crossover/be-analysis'
+
+const DATA = [
+  ['TR', 105.2, 98.7],
+  ['TR', 88.1, 95.4],
+  ['TR', 120.5, 110.2],
+  ['TR', 76.3, 80.9],
+  ['TR', 99.0, 91.6],
+  ['TR', 130.4, 118.8],
+  ['TR', 84.7, 90.2],
+  ['RT', 92.3, 101.5],
+  ['RT', 110.8, 118.3],
+  ['RT', 70.2, 73.9],
+  ['RT', 95.6, 92.8],
+  ['RT', 101.1, 112.7]
+]
+const subjects = DATA.map(([sequence, period1, period2]) => ({ sequence, period1, period2 }))
+
+const row = (result, source) => result.anova.find(r => r.source === source)
+
+describe('crossover/be-analysis', () => {
+  // ========================================================
+  // 与线性模型最小二乘对照
+  // ========================================================
+  describe('非均衡数据', () => {
+    const result = calculateCrossoverBEResult({ subjects })
+
+    it('GMR、MSE 与最小二乘拟合一致', () => {
+      expect(result.n).toBe(12)
+      expect(result.df).toBe(10)
+      expect(Math.log(result.gmr)).toBeCloseTo(0.0378572, 6)
+      expect(result.mse).toBeCloseTo(0.00250295, 7)
+      expect(result.intraSubjectCV).toBeCloseTo(0.0500608, 6)
+    })
+
+    it('90% CI = exp(F̂ ± t₀.₉₅,₁₀·SE)', () => {
+      const se = 0.0207142
+      const t = 1.812461
+      expect(result.ci_lower).toBeCloseTo(Math.exp(0.0378572 - t * se), 5)
+      expect(result.ci_upper).toBeCloseTo(Math.exp(0.0378572 + t * se), 5)
+      expect(result.isBioequivalent).toBe(true)
+      expect(result.p_value).toBeLessThan(0.05)
+    })
+
+    it('制剂 F 检验等价于 t 检验', () => {
+      const formulation = row(result, 'formulation')
+      expect(formulation.f).toBeCloseTo(Math.pow(0.0378572 / 0.0207142, 2), 3)
+      expect(formulation.p_value).toBeGreaterThan(0.05)
+      expect(row(result, 'residual').ss).toBeCloseTo(0.0250295, 6)
+    })
+  })
+
+  describe('均衡设计', () => {
+    const balanced = subjects.slice(2)
+    const result = calculateCrossoverBEResult({ subjects: balanced })
+
+    it('平方和可加: 总 SS = 序列 + 受试者(序列) + 周期 + 制剂 + 残差', () => {
+      const logs = balanced.flatMap(s => [Math.log(s.period1), Math.log(s.period2)])
+      const grand = logs.reduce((a, b) => a + b, 0) / logs.length
+      const totalSS = logs.reduce((acc, y) => acc + (y - grand) * (y - grand), 0)
+      const sum = result.anova.reduce((acc, r) => acc + r.ss, 0)
+      expect(sum).toBeCloseTo(totalSS, 10)
+      expect(result.anova.map(r => r.df)).toEqual([1, 8, 1, 1, 8])
+    })
+  })
+
+  describe('BE 结论', () => {
+    it('T 制剂系统性偏低时不等效', () => {
+      const shifted = subjects.map(s =>
+        s.sequence === 'TR'
+          ? { ...s, period1: s.period1 * 0.75 }
+          : { ...s, period2: s.period2 * 0.75 }
+      )
+      const result = calculateCrossoverBEResult({ subjects: shifted })
+      expect(result.gmr).toBeLessThan(0.8)
+      expect(result.isBioequivalent).toBe(false)
+      expect(result.p_value).toBeGreaterThan(0.05)
+    })
+  })
+
+  describe('无效输入', () => {
+    it('观测值非正、序列缺失或样本不足返回 NaN', () => {
+      expect(
+        calculateCrossoverBEResult({ subjects: [{ sequence: 'TR', period1: 0, period2: 1 }] }).gmr
+      ).toBeNaN()
+      expect(calculateCrossoverBEResult({ subjects: subjects.slice(0, 7) }).gmr).toBeNaN()
+      expect(
+        calculateCrossoverBEResult({ subjects: [{ sequence: 'AB', period1: 1, period2: 1 }] }).gmr
+      ).toBeNaN()
+      expect(calculateCrossoverBEResult({ subjects, alpha: 0.6 }).isBioequivalent).toBe(false)
+    })
+  })
+})
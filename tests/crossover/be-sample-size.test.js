@@ -0,0 +1,85 @@
+/**
+ * @file be-sample-size.test.js
+ * @description 2×2 交叉设计平均生物等效性样本量与功效测试
+ *
+ * 验证数据来源:
+ * - PowerTOST::sampleN.TOST(design = "2x2", theta0 = 0.95, 80%–125%, α = 0.05)
+ *   CV 0.20 → n = 20 (power 0.834680)；CV 0.25 → 28 (0.807439)；CV 0.30 → 40 (0.815845)
+ *   CV 0.30 目标功效 0.9 → 52；CV 0.30 theta0 = 1 → 32；CV 0.10 → 8；CV 0.40 theta0 = 0.9 → 134
+ * - 换算恒等式 σ_w² = ln(1 + CV²)
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  cvToSigma,
+  sigmaToCV,
+  calculateBEPower,
+  calculateBESampleSize
+} from '../../src/crossover/be-sample-size'
+
+describe('crossover/be-sample-size', () => {
+  describe('CV 与 σ_w 换算', () => {
+    it('σ_w = √ln(1 + CV²)', () => {
+      expect(cvToSigma(0.3)).toBeCloseTo(Math.sqrt(Math.log(1.09)), 12)
+      expect(sigmaToCV(cvToSigma(0.25))).toBeCloseTo(0.25, 12)
+    })
+
+    it('无效输入返回 NaN', () => {
+      expect(cvToSigma(0)).toBeNaN()
+      expect(sigmaToCV(-1)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // PowerTOST 对照
+  // ========================================================
+  describe('calculateBESampleSize', () => {
+    it('与 sampleN.TOST 一致（GMR 0.95，功效 80%）', () => {
+      const cases = [
+        [0.2, 20, 0.83468],
+        [0.25, 28, 0.807439],
+        [0.3, 40, 0.815845]
+      ]
+      for (const [cv, n, power] of cases) {
+        const result = calculateBESampleSize({ cv })
+        expect(result.n).toBe(n)
+        expect(result.nPerSequence).toBe(n / 2)
+        expect(result.actualPower).toBeCloseTo(power, 5)
+      }
+    })
+
+    it('其他目标功效、GMR 与 CV', () => {
+      expect(calculateBESampleSize({ cv: 0.3, power: 0.9 }).n).toBe(52)
+      expect(calculateBESampleSize({ cv: 0.3, gmr: 1 }).n).toBe(32)
+      expect(calculateBESampleSize({ cv: 0.1 }).n).toBe(8)
+      expect(calculateBESampleSize({ cv: 0.4, gmr: 0.9 }).n).toBe(134)
+    })
+
+    it('所得样本量为满足功效的最小值', () => {
+      const result = calculateBESampleSize({ cv: 0.25 })
+      expect(calculateBEPower({ cv: 0.25, n: result.n - 2 })).toBeLessThan(0.8)
+    })
+
+    it('GMR 在接受限之外或参数无效时返回 NaN', () => {
+      expect(calculateBESampleSize({ cv: 0.3, gmr: 1.3 }).n).toBeNaN()
+      expect(calculateBESampleSize({ cv: 0 }).n).toBeNaN()
+      expect(calculateBESampleSize({ cv: 0.3, power: 1.2 }).n).toBeNaN()
+    })
+  })
+
+  describe('calculateBEPower', () => {
+    it('power.TOST(CV = 0.3, theta0 = 0.95, n = 40)', () => {
+      expect(calculateBEPower({ cv: 0.3, n: 40 })).toBeCloseTo(0.815845, 5)
+    })
+
+    it('功效随样本量单调增加', () => {
+      const p24 = calculateBEPower({ cv: 0.25, n: 24 })
+      const p28 = calculateBEPower({ cv: 0.25, n: 28 })
+      expect(p28).toBeGreaterThan(p24)
+    })
+
+    it('n < 3 返回 NaN', () => {
+      expect(calculateBEPower({ cv: 0.3, n: 2 })).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,209 @@
+/**
+ * @file scaled-be.test.js
+ * @description 重复交叉设计标度平均生物等效性（EMA ABEL / FDA RSABE）测试
+ *
+ * 验证数据来源:
+ * - EMA BE 指南 ABEL 放宽限表: CVwR 35% → 77.23%–129.48%，50%（封顶）→ 69.84%–143.19%
+ * - CVwR 很小时标度从不启用，模拟功效应与 Owen's Q 精确 TOST 功效一致（蒙特卡洛误差内）
+ * - GMR = 1.25 时功效即 I 类错误率 ≈ α
+ * - PowerTOST 帮助页示例（2x3x3，θ₀ = 0.90，目标功效 0.80，1e5 次模拟）:
+ *   sampleN.scABEL(CV = 0.3) → n = 54，功效 0.8159；sampleN.RSABE(CV = 0.3) → n = 45，功效 0.8035
+ * - 分析示例数据（TRR/RTR/RRT 各 4 例）:
+ *   EMA 方法 A 由 tests/fixtures/python/scaled-be-anova.py（哑变量 OLS）生成:
+ *   ln GMR = 0.048109287，SE = 0.114481313，df = 21，s²_wR = 0.098058430（CVwR 32.10%，df 10），
+ *   t₀.₉₅(21) = 1.720743
+ *   FDA 个体内对比法: SE = 0.0782419，s²_wR = 0.1068846（CVwR 33.59%），
+ *   t₀.₉₅(9) = 1.833113，χ²₀.₉₅(9) = 16.918978，Howe 上界 = −0.0302091
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateABELLimits,
+  calculateScaledBEPower,
+  calculateScaledBESampleSize,
+  calculateScaledBEResult
+} from '../../src/crossover/scaled-be'
+import { calculateTOSTPower } from '../../src/sample-size/t-power'
+
+const DATA = [
+  ['TRR', [66.5, 83.6, 45.3]],
+  ['RTR', [49.8, 67.1, 84.5]],
+  ['RRT', [31.5, 74.3, 72.3]],
+  ['TRR', [340.2, 209.4, 198.7]],
+  ['RTR', [318.6, 277.4, 232.1]],
+  ['RRT', [110.9, 92.1, 111.2]],
+  ['TRR', [160.3, 184.4, 129.6]],
+  ['RTR', [54.6, 24.0, 39.4]],
+  ['RRT', [47.7, 35.0, 57.0]],
+  ['TRR', [533.6, 752.9, 309.3]],
+  ['RTR', [113.8, 88.9, 104.7]],
+  ['RRT', [68.7, 135.4, 81.5]]
+]
+const subjects = DATA.map(([sequence, values]) => ({ sequence, values }))
+
+describe('crossover/scaled-be', () => {
+  describe('calculateABELLimits', () => {
+    it('EMA 放宽限表', () => {
+      expect(calculateABELLimits(0.3)).toEqual({ lower: 0.8, upper: 1.25 })
+      const cv35 = calculateABELLimits(0.35)
+      expect(cv35.lower).toBeCloseTo(0.7723, 4)
+      expect(cv35.upper).toBeCloseTo(1.2948, 4)
+      const capped = calculateABELLimits(0.8)
+      expect(capped.lower).toBeCloseTo(0.6984, 4)
+      expect(capped.upper).toBeCloseTo(1.4319, 4)
+    })
+
+    it('无效 CV 返回 NaN', () => {
+      expect(calculateABELLimits(0).upper).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 模拟功效
+  // ========================================================
+  describe('calculateScaledBEPower', () => {
+    it('CVwR 很小时与 ABE 精确功效一致', () => {
+      const s2 = Math.log(1 + 0.15 * 0.15)
+      const cases = [
+        // [design, n, 序列数, Var(I)]
+        ['2x3x3', 9, 3, 1.5 * s2],
+        ['2x2x4', 6, 2, s2]
+      ]
+      for (const [design, n, s, varI] of cases) {
+        const se = Math.sqrt((varI * s * s) / n) / s
+        const periods = design === '2x3x3' ? 3 : 4
+        // EMA 方法 A 取 ANOVA 自由度，FDA 取个体内对比自由度
+        const dfs = { EMA: n * (periods - 1) - periods, FDA: n - s }
+        for (const regulator of ['EMA', 'FDA']) {
+          const exact = calculateTOSTPower(Math.log(0.95), Math.log(1.25), se, dfs[regulator], 0.05)
+          const simulated = calculateScaledBEPower({ cvwR: 0.15, gmr: 0.95, n, design, regulator })
+          expect(Math.abs(simulated - exact)).toBeLessThan(0.01)
+        }
+      }
+    })
+
+    it('GMR 位于 1.25 时功效即 I 类错误率（CVwR 很小）', () => {
+      const typeI = calculateScaledBEPower({ cvwR: 0.15, gmr: 1.25, n: 18 })
+      expect(Math.abs(typeI - 0.05)).toBeLessThan(0.005)
+    })
+
+    it('固定种子可复现，不同种子结果接近', () => {
+      const a = calculateScaledBEPower({ cvwR: 0.45, n: 36, nsims: 20000, seed: 5 })
+      const b = calculateScaledBEPower({ cvwR: 0.45, n: 36, nsims: 20000, seed: 5 })
+      const c = calculateScaledBEPower({ cvwR: 0.45, n: 36, nsims: 20000, seed: 6 })
+      expect(a).toBe(b)
+      expect(Math.abs(a - c)).toBeLessThan(0.02)
+    })
+
+    it('参数无效返回 NaN', () => {
+      expect(calculateScaledBEPower({ cvwR: 0.45, n: 36, design: '2x2' })).toBeNaN()
+      expect(calculateScaledBEPower({ cvwR: 0.45, n: 36, regulator: 'WHO' })).toBeNaN()
+      expect(calculateScaledBEPower({ cvwR: 0.45, n: 36, gmr: 1.3 })).toBeNaN()
+      expect(calculateScaledBEPower({ cvwR: 0.45, n: 5 })).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 模拟样本量
+  // ========================================================
+  describe('calculateScaledBESampleSize', () => {
+    const nsims = 20000
+
+    it('所得样本量为满足功效的最小值（各序列等例数）', () => {
+      const result = calculateScaledBESampleSize({ cvwR: 0.45, nsims })
+      expect(result.n % 3).toBe(0)
+      expect(result.actualPower).toBeGreaterThanOrEqual(0.8)
+      const smaller = calculateScaledBEPower({ cvwR: 0.45, n: result.n - 3, nsims })
+      expect(smaller).toBeLessThan(0.8)
+    })
+
+    it('FDA RSABE 比 EMA ABEL 宽松，完全重复设计比部分重复所需例数少', () => {
+      const ema = calculateScaledBESampleSize({ cvwR: 0.45, nsims }).n
+      const fda = calculateScaledBESampleSize({ cvwR: 0.45, regulator: 'FDA', nsims }).n
+      const full = calculateScaledBESampleSize({ cvwR: 0.45, design: '2x2x4', nsims }).n
+      expect(fda).toBeLessThan(ema)
+      expect(full).toBeLessThan(ema)
+    })
+
+    it('EMA 放宽限封顶后 CVwR 继续增大所需例数回升', () => {
+      const cv50 = calculateScaledBESampleSize({ cvwR: 0.5, nsims }).n
+      const cv70 = calculateScaledBESampleSize({ cvwR: 0.7, nsims }).n
+      expect(cv70).toBeGreaterThan(cv50)
+    })
+
+    it('与 PowerTOST sampleN.scABEL / sampleN.RSABE 一致（CVwR = 0.3，默认 1e5 次模拟）', () => {
+      const ema = calculateScaledBESampleSize({ cvwR: 0.3 })
+      expect(ema.n).toBe(54)
+      expect(Math.abs(ema.actualPower - 0.8159)).toBeLessThan(0.01)
+      const fda = calculateScaledBESampleSize({ cvwR: 0.3, regulator: 'FDA' })
+      expect(fda.n).toBe(45)
+      expect(Math.abs(fda.actualPower - 0.8035)).toBeLessThan(0.01)
+    })
+
+    it('GMR 位于接受限边界时返回 NaN', () => {
+      expect(calculateScaledBESampleSize({ cvwR: 0.45, gmr: 1.25 }).n).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 分析
+  // ========================================================
+  describe('calculateScaledBEResult', () => {
+    it('EMA 方法 A ANOVA 估计与对照脚本一致', () => {
+      const result = calculateScaledBEResult({ subjects })
+      expect(result.df).toBe(21)
+      expect(Math.log(result.gmr)).toBeCloseTo(0.048109287, 8)
+      expect(result.swR * result.swR).toBeCloseTo(0.09805843, 8)
+      expect(result.cvwR).toBeCloseTo(0.320978556, 8)
+      expect(result.ci_lower).toBeCloseTo(Math.exp(0.048109287 - 1.720743 * 0.114481313), 5)
+      expect(result.ci_upper).toBeCloseTo(Math.exp(0.048109287 + 1.720743 * 0.114481313), 5)
+    })
+
+    it('FDA 个体内对比估计与独立计算一致', () => {
+      const result = calculateScaledBEResult({ subjects, regulator: 'FDA' })
+      expect(result.df).toBe(9)
+      expect(Math.log(result.gmr)).toBeCloseTo(0.0481093, 6)
+      expect(result.swR * result.swR).toBeCloseTo(0.1068846, 6)
+      expect(result.cvwR).toBeCloseTo(0.3358657, 6)
+      expect(result.ci_lower).toBeCloseTo(Math.exp(0.0481093 - 1.833113 * 0.0782419), 5)
+      expect(result.ci_upper).toBeCloseTo(Math.exp(0.0481093 + 1.833113 * 0.0782419), 5)
+    })
+
+    it('EMA ABEL: CVwR > 30% 放宽接受限', () => {
+      const result = calculateScaledBEResult({ subjects })
+      const limits = calculateABELLimits(result.cvwR)
+      expect(result.scaled).toBe(true)
+      expect(result.lower).toBeCloseTo(limits.lower, 12)
+      expect(result.upper).toBeCloseTo(limits.upper, 12)
+      expect(result.pointEstimateOK).toBe(true)
+      // 90% CI 上限 1.2778 超出放宽上限 1.2687
+      expect(result.ci_upper).toBeGreaterThan(result.upper)
+      expect(result.isBioequivalent).toBe(false)
+    })
+
+    it('FDA RSABE: Howe 线性化上界', () => {
+      const result = calculateScaledBEResult({ subjects, regulator: 'FDA' })
+      expect(result.scaled).toBe(true)
+      expect(result.criterion).toBeCloseTo(-0.0302091, 6)
+      expect(result.isBioequivalent).toBe(true)
+    })
+
+    it('GMR 超出 0.80–1.25 时不等效', () => {
+      const shifted = subjects.map(s => ({
+        ...s,
+        values: s.values.map((v, k) => (s.sequence[k] === 'T' ? v * 1.35 : v))
+      }))
+      const result = calculateScaledBEResult({ subjects: shifted })
+      expect(result.pointEstimateOK).toBe(false)
+      expect(result.isBioequivalent).toBe(false)
+    })
+
+    it('无效输入返回 NaN', () => {
+      expect(calculateScaledBEResult({ subjects, design: '2x2x4' }).gmr).toBeNaN()
+      expect(
+        calculateScaledBEResult({ subjects: [{ sequence: 'TRR', values: [1, 2] }] }).gmr
+      ).toBeNaN()
+      expect(calculateScaledBEResult({ subjects: subjects.slice(0, 2) }).gmr).toBeNaN()
+    })
+  })
+})
@@ -19,6 +19,11 @@
  *  边界 (p>=0.85: README 0.85 / 高率 0.90) 达 2.5~2.9%。后者系【方法学差异非实现缺陷】,
  *  在 JSON 标 known_deviation:true, 主测试跳过, 单列"已知偏差清单"锁定当前偏差值。
  *  （FM 非对称 NI 符号约定实测存在歧义 → fm_reference 仅覆盖对称 ratio=1 场景。）
+ *
+ * ── 设计阶段 method='fm'（FM 受约束 MLE 方差）────────────────────────────
+ *  calculateNISampleSize(..., 'difference', 'fm') 与 gsDesign::nBinomial 为同一公式:
+ *  逐条断言 n1 = ⌈fm_reference.per_arm⌉ 精确相等（含上述 2 例 known_deviation），
+ *  默认 method='wald' 的主 golden / 已知偏差断言保持不变。
  */
 
 import { describe, it, expect } from 'vitest'
@@ -36,9 +41,18 @@ const METHOD_BAND = fixture.meta.method_band
 const relDev = (actual, golden) => Math.abs(actual - golden) / golden
 
 /** 从记录 inputs 调用本库 */
-const runLib = (r) => {
+const runLib = (r, method) => {
   const i = r.inputs
-  return calculateNISampleSize(i.p1, i.p2, i.delta, i.alpha, i.power, i.ratio)
+  return calculateNISampleSize(
+    i.p1,
+    i.p2,
+    i.delta,
+    i.alpha,
+    i.power,
+    i.ratio,
+    'difference',
+    method
+  )
 }
 
 describe('golden two-group NI (R 对照验证)', () => {
@@ -98,6 +112,18 @@ describe('golden two-group NI (R 对照验证)', () => {
     })
   })
 
+  // ── 设计阶段 FM 方差: method='fm' 与 gsDesign 同公式, 逐条精确相等（含 known_deviation）──
+  describe("method='fm' 保真度（vs gsDesign Farrington-Manning）", () => {
+    const withFm = fixture.records.filter((r) => r.fm_reference !== null)
+
+    it.each(withFm.map((r) => [r.id, r]))('%s', (_id, r) => {
+      const res = runLib(r, 'fm')
+      expect(res.n1).toBe(Math.ceil(r.fm_reference.per_arm))
+      expect(relDev(res.n1, r.fm_reference.per_arm)).toBeLessThanOrEqual(REL_TOL)
+      expect(res.n2).toBe(Math.ceil(res.n1 * r.inputs.ratio))
+    })
+  })
+
   // ── 已知偏差清单: 主测试跳过的高基线方法差异, 锁定现值, 待第三批 P1 精度项评估 ──
   describe('已知偏差清单（known_deviation, 待第三批 P1 精度）', () => {
     const known = fixture.records.filter((r) => r.known_deviation === true)
@@ -0,0 +1,91 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 负二项率比结果验证对照值 / Negative binomial rate ratio reference values
+#
+# 目的: 为 tests/result-validation/count.test.js 的逐例示例数据（每组 20 例，可变暴露）
+#       计算负二项极大似然估计、Wald 区间与检验统计量，以及 Poisson 汇总结果。
+#       与 JS 实现（κ 的剖面得分方程求根）独立：此处直接最大化 lgamma 形式的对数似然。
+#
+# 方法学（与 MASS::glm.nb(y ~ group + offset(log(t))) 的估计和 Wald 标准误同义）:
+#   - ℓ = Σ [lnΓ(y + 1/κ) − lnΓ(1/κ) − ln y! + y·ln(κμ) − (y + 1/κ)·ln(1 + κμ)]，μ = λt
+#   - 给定 κ: 各组 ln λ 用 Newton 法求解 Σ (y − λt)/(1 + κλt) = 0
+#   - κ̂: 三分搜索最大化剖面似然
+#   - Var(ln λ̂_g) = 1 / Σ λ̂t/(1 + κ̂λ̂t)，SE(ln RR) = √(Var₁ + Var₂)
+#   - Poisson: λ̂ = Σy/Σt，SE(ln RR) = √(1/Y₁ + 1/Y₂)
+#
+# 运行: python3 tests/fixtures/python/count-negative-binomial.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+
+Y1 = [0, 2, 1, 5, 0, 3, 1, 0, 7, 2, 1, 0, 4, 2, 0, 1, 3, 0, 2, 6]
+T1 = [1, 1, .5, 1, 1, .75, 1, 1, 1, 1, .5, 1, 1, 1, .25, 1, 1, 1, 1, 1]
+Y2 = [0, 1, 0, 2, 0, 1, 3, 0, 0, 1, 2, 0, 1, 0, 4, 0, 1, 0, 0, 2]
+T2 = [1, 1, 1, .5, 1, 1, 1, 1, .8, 1, 1, 1, 1, 1, 1, .6, 1, 1, 1, 1]
+Z = NORMAL.inv_cdf(0.975)
+
+
+def log_likelihood(ys, ts, rate, kappa):
+    a = 1 / kappa
+    total = 0.0
+    for y, t in zip(ys, ts):
+        mu = rate * t
+        total += (math.lgamma(y + a) - math.lgamma(a) - math.lgamma(y + 1)
+                  + y * math.log(kappa * mu) - (y + a) * math.log(1 + kappa * mu))
+    return total
+
+
+def rate_mle(ys, ts, kappa):
+    log_rate = math.log(sum(ys) / sum(ts))
+    for _ in range(100):
+        r = math.exp(log_rate)
+        g = sum((y - r * t) / (1 + kappa * r * t) for y, t in zip(ys, ts))
+        h = sum(-r * t * (1 + kappa * y) / (1 + kappa * r * t) ** 2 for y, t in zip(ys, ts))
+        log_rate -= g / h
+    return math.exp(log_rate)
+
+
+def profile(kappa):
+    return (log_likelihood(Y1, T1, rate_mle(Y1, T1, kappa), kappa)
+            + log_likelihood(Y2, T2, rate_mle(Y2, T2, kappa), kappa))
+
+
+lo, hi = 1e-4, 20.0
+for _ in range(200):
+    m1 = lo + (hi - lo) / 3
+    m2 = hi - (hi - lo) / 3
+    if profile(m1) < profile(m2):
+        lo = m1
+    else:
+        hi = m2
+kappa = (lo + hi) / 2
+r1 = rate_mle(Y1, T1, kappa)
+r2 = rate_mle(Y2, T2, kappa)
+
+
+def log_rate_variance(ts, rate):
+    return 1 / sum(rate * t / (1 + kappa * rate * t) for t in ts)
+
+
+se = math.sqrt(log_rate_variance(T1, r1) + log_rate_variance(T2, r2))
+rr = r2 / r1
+z_sup = -math.log(rr) / se
+z_ni = (math.log(1.25) - math.log(rr)) / se
+print('NB:  kappa = %.8f  rate1 = %.9f  rate2 = %.9f  RR = %.9f  SE = %.9f'
+      % (kappa, r1, r2, rr, se))
+print('     95%% CI = (%.9f, %.9f)' % (math.exp(math.log(rr) - Z * se),
+                                      math.exp(math.log(rr) + Z * se)))
+print('     superiority Z = %.8f  p = %.9f' % (z_sup, 1 - NORMAL.cdf(z_sup)))
+print('     NI (M = 1.25) Z = %.8f  p = %.9f' % (z_ni, 1 - NORMAL.cdf(z_ni)))
+
+e1, x1, e2, x2 = sum(Y1), sum(T1), sum(Y2), sum(T2)
+rr = (e2 / x2) / (e1 / x1)
+se = math.sqrt(1 / e1 + 1 / e2)
+print('Poisson: events %d / %d, exposure %.2f / %.2f  RR = %.9f  SE = %.9f'
+      % (e1, e2, x1, x2, rr, se))
+print('     95%% CI = (%.9f, %.9f)  superiority p = %.9f'
+      % (math.exp(math.log(rr) - Z * se), math.exp(math.log(rr) + Z * se),
+         1 - NORMAL.cdf(-math.log(rr) / se)))
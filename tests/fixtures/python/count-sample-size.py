@@ -0,0 +1,85 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 计数终点样本量对照值 / Count (rate ratio) sample size reference values
+#
+# 目的: 为 tests/count/count-sample-size.test.js 计算 Poisson / 负二项率比的
+#       未取整样本量与功效，含可变暴露时间示例。
+#
+# 方法学:
+#   - 每例信息量 I(λ) = E_t[λt / (1 + κλt)]（Tang 2015），V(λ₁, λ₂) = 1/I(λ₁) + 1/[k·I(λ₂)]
+#   - n₁ = [z_{1−α}√V₀ + z_{1−β}√V₁]² / (ln RR₀ − ln RR)²，V₁ = V(λ₁, λ₂)
+#   - 方法 1 (Keene / Zhu-Lakkis 方法 1): V₀ = V₁
+#   - 方法 3 (Zhu & Lakkis 2014): V₀ = V(λ̃, RR₀·λ̃)，λ̃ = (λ₁ + kλ₂)/(1 + k·RR₀)
+#   - 功效 = Φ[(|ln RR₀ − ln RR|√n₁ − z_{1−α}√V₀) / √V₁]
+#   - 固定暴露 μ_t 时另按 Zhu & Lakkis (2014) 原文闭式
+#     V₀ = (1 + k)/(k·μ_t·λ̄) + (1 + k)κ/k，V₁ = (1/μ_t)(1/λ₁ + 1/(kλ₂)) + (1 + k)κ/k 复核
+#
+# 运行: python3 tests/fixtures/python/count-sample-size.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+
+
+def variances(rate1, rate2, k, dispersion, times, rr0, method):
+    def info(rate):
+        return sum(rate * t / (1 + dispersion * rate * t) for t in times) / len(times)
+
+    def v(a, b):
+        return 1 / info(a) + 1 / (k * info(b))
+
+    v1 = v(rate1, rate2)
+    if method == 'keene':
+        return v1, v1
+    pooled = (rate1 + k * rate2) / (1 + k * rr0)
+    return v(pooled, rr0 * pooled), v1
+
+
+def sample_size(rate1, rate2, alpha, power, k=1, margin=None, dispersion=0, times=(1,),
+                method='zhu-lakkis'):
+    rr0 = margin if margin else 1
+    v0, v1 = variances(rate1, rate2, k, dispersion, times, rr0, method)
+    effect = math.log(rr0) - math.log(rate2 / rate1)
+    z = NORMAL.inv_cdf(1 - alpha) * math.sqrt(v0) + NORMAL.inv_cdf(power) * math.sqrt(v1)
+    return (z / effect) ** 2
+
+
+def power_at(n1, rate1, rate2, alpha, k=1, margin=None, dispersion=0, times=(1,),
+             method='zhu-lakkis'):
+    rr0 = margin if margin else 1
+    v0, v1 = variances(rate1, rate2, k, dispersion, times, rr0, method)
+    effect = abs(math.log(rr0) - math.log(rate2 / rate1))
+    return NORMAL.cdf((effect * math.sqrt(n1) - NORMAL.inv_cdf(1 - alpha) * math.sqrt(v0))
+                      / math.sqrt(v1))
+
+
+def report(label, raw):
+    print('%-44s n1 = %.3f -> %d' % (label, raw, math.ceil(raw)))
+
+
+report('Poisson Wald 1 vs 0.5, power 0.8',
+       sample_size(1, 0.5, 0.025, 0.8, method='keene'))
+report('NB 0.8 vs 0.6, kappa 0.4, method 3',
+       sample_size(0.8, 0.6, 0.025, 0.9, dispersion=0.4))
+report('NB 0.8 vs 0.6, kappa 0.4, method 1',
+       sample_size(0.8, 0.6, 0.025, 0.9, dispersion=0.4, method='keene'))
+report('NB 0.8 vs 0.6, exposure [0.5, 1, 1, 1]',
+       sample_size(0.8, 0.6, 0.025, 0.9, dispersion=0.4, times=(0.5, 1, 1, 1)))
+report('NI RR 1, M 1.2, kappa 0.5, k 2, method 3',
+       sample_size(1, 1, 0.025, 0.8, k=2, margin=1.2, dispersion=0.5))
+report('NI RR 1, M 1.2, kappa 0.5, k 2, method 1',
+       sample_size(1, 1, 0.025, 0.8, k=2, margin=1.2, dispersion=0.5, method='keene'))
+print('%-44s power = %.8f' % ('NI method 3 at n1 = 549, n2 = 1098',
+                               power_at(549, 1, 1, 0.025, k=2, margin=1.2, dispersion=0.5)))
+
+# Zhu & Lakkis (2014) 方法 3 原文闭式（固定暴露 μ_t = 1、k = 1）
+r1, r2, kappa, mu_t, k = 0.8, 0.6, 0.4, 1.0, 1.0
+pooled = (r1 + k * r2) / (1 + k)
+v0 = (1 + k) / (k * mu_t * pooled) + (1 + k) * kappa / k
+v1 = (1 / mu_t) * (1 / r1 + 1 / (k * r2)) + (1 + k) * kappa / k
+raw = ((NORMAL.inv_cdf(0.975) * math.sqrt(v0) + NORMAL.inv_cdf(0.9) * math.sqrt(v1))
+       / math.log(r2 / r1)) ** 2
+report('  Zhu-Lakkis closed form (same design)', raw)
+print('%-44s V1 = %.16g' % ('', v1))
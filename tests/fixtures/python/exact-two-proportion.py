@@ -0,0 +1,126 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 两独立比例精确检验对照值 / Exact two-proportion (Barnard / Boschloo) reference values
+#
+# 目的: 为 tests/core/exact-two-proportion.test.js 与 tests/result-validation/two-group.test.js
+#       计算非条件精确检验 p 值与检验反演置信区间。与 JS 实现（按 y₁ 求阈值后累加尾概率）
+#       独立：此处逐一枚举全部 (n₁ + 1)(n₂ + 1) 个四格表并标记极端区域。
+#
+# 方法学 (Chan 1998, Stat Med 17:1403-1413; Boschloo 1970, Stat Neerl 24:19-35):
+#   - H₀: p₂ − p₁ = δ₀，冗余参数 p₁ ∈ [max(0, −δ₀), min(1, 1 − δ₀)]
+#   - Barnard: 统计量为 FM score z，RMLE 取 Farrington & Manning (1990) 三次方程闭式解；
+#     极端区域 {z ≥ z_obs}
+#   - Boschloo: 统计量为单侧 Fisher p 值，极端区域 {p_F ≤ p_F,obs}
+#   - p = sup_{p₁} P(极端区域)，1000 等分网格取最大后在相邻区间黄金分割细化
+#   - 置信限: 对 δ₀ 二分 27 次求 p(δ₀) = α 的边界；上限由交换两组得到
+#
+# 运行: python3 tests/fixtures/python/exact-two-proportion.py（仅用标准库，确定性输出，约 10 秒）
+# ---------------------------------------------------------------------------
+
+import math
+from math import exp, lgamma, log
+
+GRID = 1000
+GOLDEN = (math.sqrt(5) - 1) / 2
+TIE = 1e-9
+
+
+def lchoose(n, k):
+    return lgamma(n + 1) - lgamma(k + 1) - lgamma(n - k + 1)
+
+
+def binomial_pmf(x, n, p):
+    if p <= 0:
+        return 1.0 if x == 0 else 0.0
+    if p >= 1:
+        return 1.0 if x == n else 0.0
+    return exp(lchoose(n, x) + x * log(p) + (n - x) * log(1 - p))
+
+
+def rmle(x1, n1, x2, n2, d0):
+    """FM 三次方程闭式解（A = 组 2，B = 组 1），返回 (p̃₁, p̃₂)"""
+    pa, pb, theta = x2 / n2, x1 / n1, n1 / n2
+    a = 1 + theta
+    b = -(1 + theta + pa + theta * pb + d0 * (theta + 2))
+    c = d0 * d0 + d0 * (2 * pa + theta + 1) + pa + theta * pb
+    d = -pa * d0 * (1 + d0)
+    v = b ** 3 / (27 * a ** 3) - b * c / (6 * a * a) + d / (2 * a)
+    u = math.copysign(1, v) * math.sqrt(max(b * b / (9 * a * a) - c / (3 * a), 0))
+    arg = 0 if u == 0 else max(-1, min(1, v / u ** 3))
+    p2 = 2 * u * math.cos((math.pi + math.acos(arg)) / 3) - b / (3 * a)
+    return p2 - d0, p2
+
+
+def score_z(x1, n1, x2, n2, d0):
+    q1, q2 = rmle(x1, n1, x2, n2, d0)
+    variance = q1 * (1 - q1) / n1 + q2 * (1 - q2) / n2
+    return (x2 / n2 - x1 / n1 - d0) / math.sqrt(variance) if variance > 0 else 0.0
+
+
+def fisher_upper(x1, n1, x2, n2):
+    """单侧 Fisher p 值 P(Y₂ ≥ x₂ | Y₁ + Y₂ = x₁ + x₂)"""
+    s = x1 + x2
+    return sum(exp(lchoose(n2, k) + lchoose(n1, s - k) - lchoose(n1 + n2, s))
+               for k in range(x2, min(s, n2) + 1) if s - k <= n1)
+
+
+def extreme_tables(x1, n1, x2, n2, d0, method):
+    tables = [(a, b) for a in range(n1 + 1) for b in range(n2 + 1)]
+    if method == 'barnard':
+        observed = score_z(x1, n1, x2, n2, d0)
+        return [(a, b) for a, b in tables if score_z(a, n1, b, n2, d0) >= observed - TIE]
+    observed = fisher_upper(x1, n1, x2, n2)
+    return [(a, b) for a, b in tables if fisher_upper(a, n1, b, n2) <= observed * (1 + TIE)]
+
+
+def p_value(x1, n1, x2, n2, d0, method='barnard'):
+    region = extreme_tables(x1, n1, x2, n2, d0, method)
+    lower, upper = max(0.0, -d0), min(1.0, 1 - d0)
+
+    def probability(q):
+        b1 = [binomial_pmf(a, n1, q) for a in range(n1 + 1)]
+        b2 = [binomial_pmf(b, n2, q + d0) for b in range(n2 + 1)]
+        return sum(b1[a] * b2[b] for a, b in region)
+
+    step = (upper - lower) / GRID
+    values = [probability(lower + i * step) for i in range(GRID + 1)]
+    best_index = max(range(GRID + 1), key=values.__getitem__)
+    a = lower + max(best_index - 1, 0) * step
+    b = lower + min(best_index + 1, GRID) * step
+    for _ in range(80):
+        c, d = b - GOLDEN * (b - a), a + GOLDEN * (b - a)
+        if probability(c) > probability(d):
+            b = d
+        else:
+            a = c
+    return max(values[best_index], probability((a + b) / 2))
+
+
+def lower_limit(x1, n1, x2, n2, alpha, method):
+    lo, hi = -1 + 1e-12, x2 / n2 - x1 / n1
+    for _ in range(27):
+        mid = (lo + hi) / 2
+        if p_value(x1, n1, x2, n2, mid, method) > alpha:
+            hi = mid
+        else:
+            lo = mid
+    return (lo + hi) / 2
+
+
+print('Fisher 31/63 vs 74/117:           p = %.14f' % fisher_upper(31, 63, 74, 117))
+print('Boschloo 31/63 vs 74/117:         p = %.12f' % p_value(31, 63, 74, 117, 0, 'boschloo'))
+print('Barnard 7/15 vs 12/15:            z = %.8f  p = %.12f'
+      % (score_z(7, 15, 12, 15, 0), p_value(7, 15, 12, 15, 0)))
+print('7/15 vs 12/15, d0 = -0.1:         z = %.8f  Barnard p = %.13f  Boschloo p = %.13f'
+      % (score_z(7, 15, 12, 15, -0.1), p_value(7, 15, 12, 15, -0.1),
+         p_value(7, 15, 12, 15, -0.1, 'boschloo')))
+
+# 等效 TOST: 两个单侧检验（下侧为 10/20 vs 11/20，上侧交换两组）
+for method in ('barnard', 'boschloo'):
+    print('%-8s 10/20 vs 11/20, d0 = -0.3:  lower p = %.12f  upper p = %.12f'
+          % (method, p_value(10, 20, 11, 20, -0.3, method), p_value(11, 20, 10, 20, -0.3, method)))
+
+for method in ('barnard', 'boschloo'):
+    print('%-8s 7/15 vs 12/15 95%% CI = (%.8f, %.8f)'
+          % (method, lower_limit(7, 15, 12, 15, 0.025, method),
+             -lower_limit(12, 15, 7, 15, 0.025, method)))
@@ -0,0 +1,48 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# Hodges-Lehmann 两样本精确区间对照值 / Two-sample Hodges-Lehmann exact interval reference values
+#
+# 目的: 为 tests/result-validation/nonparametric.test.js 的两样本示例（n₁ = 8, n₂ = 9）计算
+#       HL 位移估计、精确置信区间与实际置信水平。与 JS 实现（计数递推求 Mann-Whitney
+#       零分布）独立：此处穷举 C(17, 9) = 24310 个秩子集得到精确零分布。
+#
+# 方法学 (Hollander & Wolfe 1999 §4.3):
+#   - HL = median(y_j − x_i)；D 为 n₁n₂ 个差值的升序排列
+#   - C = 使 P(U ≤ C − 1) ≤ α 的最大值（U 为 Mann-Whitney 统计量），区间 (D_C, D_{n₁n₂+1−C})
+#   - 实际置信水平 = 1 − 2·P(U ≤ C − 1)
+#   - 正态近似: C = round(n₁n₂/2 − z_{1−α}·√[n₁n₂(N + 1)/12])
+#
+# 运行: python3 tests/fixtures/python/hodges-lehmann-exact.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from itertools import combinations
+from statistics import NormalDist, median
+
+X = [8.2, 11.5, 6.1, 14.3, 9.7, 12.8, 10.4, 7.9]
+Y = [5.3, 7.2, 4.4, 10.1, 3.6, 6.8, 8.5, 5.9, 9.2]
+ALPHA = 0.025
+
+n1, n2 = len(X), len(Y)
+total = n1 + n2
+counts = {}
+for ranks in combinations(range(1, total + 1), n2):
+    u = sum(ranks) - n2 * (n2 + 1) // 2
+    counts[u] = counts.get(u, 0) + 1
+subsets = sum(counts.values())
+
+cumulative = 0.0
+u = 0
+while cumulative + counts.get(u, 0) / subsets < ALPHA:
+    cumulative += counts.get(u, 0) / subsets
+    u += 1
+c = max(u, 1)
+lower_tail = sum(counts.get(v, 0) for v in range(c)) / subsets
+
+diffs = sorted(b - a for a in X for b in Y)
+print('exact:  C = %d  HL = %.2f  CI = (%.1f, %.1f)  confidence = %.8f'
+      % (c, median(diffs), diffs[c - 1], diffs[len(diffs) - c], 1 - 2 * lower_tail))
+
+z = NormalDist().inv_cdf(1 - ALPHA)
+c_normal = round(len(diffs) / 2 - z * math.sqrt(n1 * n2 * (total + 1) / 12))
+print('normal: C = %d  CI = (%.1f, %.1f)' % (c_normal, diffs[c_normal - 1], diffs[len(diffs) - c_normal]))
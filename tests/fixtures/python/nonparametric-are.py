@@ -0,0 +1,90 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 非参数检验 ARE 法对照值 / Nonparametric (ARE method) power reference values
+#
+# 目的: 为 tests/sample-size/nonparametric.test.js 计算 ARE 法的功效与最小样本量。
+#       与 JS 实现（src/core/t-distribution 的非中心 t 级数）独立：此处对卡方密度做
+#       Simpson 数值积分得到（非中心）t 尾概率，自由度可为分数。
+#
+# 方法学 (G*Power 3, Faul et al. 2007 的 A.R.E. 法):
+#   - Mann-Whitney: ν = (n₁ + n₂)·ARE − 2，λ = |Δ| / (σ·√[(1/n₁ + 1/n₂)/ARE])
+#   - 符号秩: ν = n·ARE − 1，λ = |Δ|·√(n·ARE)/σ
+#   - 功效 = P(T_ν(λ) > t_{1−α, ν})，P(T > t) = ∫ f_χ²ν(v)·[1 − Φ(t√(v/ν) − λ)] dv
+#   - ARE: 正态 3/π，logistic π²/9，Laplace 1.5，均匀 1，保守下界 108/125
+#
+# 运行: python3 tests/fixtures/python/nonparametric-are.py（仅用标准库，确定性输出，约 10 秒）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+ARE = {
+    'normal': 3 / math.pi,
+    'logistic': math.pi ** 2 / 9,
+    'laplace': 1.5,
+    'uniform': 1,
+    'conservative': 108 / 125,
+    '0.9': 0.9
+}
+
+
+def chi2_pdf(v, nu):
+    return math.exp((nu / 2 - 1) * math.log(v) - v / 2 - math.lgamma(nu / 2) - nu / 2 * math.log(2))
+
+
+def t_sf(t, nu, ncp=0.0, steps=4000):
+    """P(T_ν(λ) > t)，对卡方分量做 Simpson 积分"""
+    hi = nu + 40 * math.sqrt(2 * nu) + 60
+    h = hi / steps
+    total = 0.0
+    for i in range(steps + 1):
+        v = max(i * h, 1e-12)
+        w = 1 if i in (0, steps) else (4 if i % 2 else 2)
+        total += w * chi2_pdf(v, nu) * (1 - NORMAL.cdf(t * math.sqrt(v / nu) - ncp))
+    return total * h / 3
+
+
+def t_quantile(p, nu):
+    lo, hi = 0.0, 20.0
+    for _ in range(60):
+        mid = (lo + hi) / 2
+        if t_sf(mid, nu) > 1 - p:
+            lo = mid
+        else:
+            hi = mid
+    return (lo + hi) / 2
+
+
+def mann_whitney_power(delta, sigma, n1, are, alpha=0.025):
+    nu = 2 * n1 * are - 2
+    ncp = abs(delta) / (sigma * math.sqrt((2 / n1) / are))
+    return t_sf(t_quantile(1 - alpha, nu), nu, ncp)
+
+
+def signed_rank_power(delta, sigma, n, are, alpha=0.025):
+    nu = n * are - 1
+    ncp = abs(delta) * math.sqrt(n * are) / sigma
+    return t_sf(t_quantile(1 - alpha, nu), nu, ncp)
+
+
+def smallest_n(power_fn, start, target=0.8):
+    n = start
+    while power_fn(n) < target:
+        n += 1
+    return n
+
+
+normal = ARE['normal']
+for n1 in (66, 67):
+    print('Mann-Whitney normal, n1 = %d: power = %.8f'
+          % (n1, mann_whitney_power(1.5, 3, n1, normal)))
+for n in (34, 35):
+    print('signed rank normal,  n  = %d: power = %.8f' % (n, signed_rank_power(1, 2, n, normal)))
+
+# 正态近似 n₁ ≈ 2(z_{1−α} + z_{1−β})²σ²/(Δ²·ARE) 起步向上搜索
+z = NORMAL.inv_cdf(0.975) + NORMAL.inv_cdf(0.8)
+for name, are in ARE.items():
+    start = math.floor(2 * z * z * 9 / (1.5 ** 2 * are))
+    n1 = smallest_n(lambda n: mann_whitney_power(1.5, 3, n, are), start)
+    print('Mann-Whitney Δ = 1.5, σ = 3, ARE %-12s n1 = %d' % (name, n1))
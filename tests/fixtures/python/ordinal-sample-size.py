@@ -0,0 +1,88 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 有序分类样本量对照值 / Ordinal (Whitehead proportional odds) sample size reference values
+#
+# 目的: 为 tests/sample-size/ordinal.test.js 计算 mRS 0-6 示例的未取整样本量、功效、MDE，
+#       以及给定试验组分布时的有效得分 OR。
+#
+# 方法学 (Whitehead 1993, Stat Med 12:2257-2271):
+#   - 比例优势推算试验组累积概率 T_j = OR·C_j / (1 − C_j + OR·C_j)
+#   - n₁ = 3(1 + k)(z_{1−α} + z_{1−β})² / [k·(ln OR)²·(1 − Σ p̄_j³)]，p̄ = (p₁ + k·p₂)/(1 + k)
+#   - 功效 = Φ(|ln OR|·√[n₁k(1 − Σp̄³)/(3(1 + k))] − z_{1−α})；MDE 对 ln OR 二分
+#   - 给定试验组分布: ln OR = 3[P(T < C) − P(T > C)] / (1 − Σ p̄³)，逐类别双重求和
+#   - 两类时与对数 OR 公式 n₁ = 2(z_{1−α} + z_{1−β})² / [(ln OR)² p̄(1 − p̄)] 对照
+#
+# 运行: python3 tests/fixtures/python/ordinal-sample-size.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+MRS = [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15]
+
+
+def shift(p, odds_ratio):
+    cumulative = 0.0
+    previous = 0.0
+    out = []
+    for i, x in enumerate(p):
+        cumulative += x
+        if i == len(p) - 1:
+            t = 1.0
+        else:
+            t = odds_ratio * cumulative / (1 - cumulative + odds_ratio * cumulative)
+        out.append(t - previous)
+        previous = t
+    return out
+
+
+def tie_factor(p, q, k):
+    return 1 - sum(((a + k * b) / (1 + k)) ** 3 for a, b in zip(p, q))
+
+
+def sample_size(p, alpha, power, k=1, odds_ratio=None, q=None):
+    if q is None:
+        q = shift(p, odds_ratio)
+        log_or = math.log(odds_ratio)
+    else:
+        size = len(p)
+        lower = sum(q[i] * p[j] for i in range(size) for j in range(size) if i < j)
+        higher = sum(q[i] * p[j] for i in range(size) for j in range(size) if i > j)
+        log_or = 3 * (lower - higher) / tie_factor(p, q, k)
+    z = NORMAL.inv_cdf(1 - alpha) + NORMAL.inv_cdf(power)
+    raw = 3 * (1 + k) * z * z / (k * log_or * log_or * tie_factor(p, q, k))
+    return raw, math.exp(log_or)
+
+
+def power_at(p, odds_ratio, n1, alpha, k=1):
+    q = shift(p, odds_ratio)
+    scale = math.sqrt(n1 * k * tie_factor(p, q, k) / (3 * (1 + k)))
+    return NORMAL.cdf(abs(math.log(odds_ratio)) * scale - NORMAL.inv_cdf(1 - alpha))
+
+
+def report(label, result):
+    raw, odds_ratio = result
+    print('%-40s n1 = %.4f -> %d  OR = %.8f' % (label, raw, math.ceil(raw), odds_ratio))
+
+
+report('mRS, OR 1.5, power 0.8', sample_size(MRS, 0.025, 0.8, odds_ratio=1.5))
+report('mRS, OR 1.5, power 0.9, k = 2', sample_size(MRS, 0.025, 0.9, k=2, odds_ratio=1.5))
+print('  shifted p2[0] = %.10f' % shift(MRS, 1.5)[0])
+
+report('two categories [0.3, 0.7], OR 2', sample_size([0.3, 0.7], 0.025, 0.8, odds_ratio=2))
+pbar = [(a + b) / 2 for a, b in zip([0.3, 0.7], shift([0.3, 0.7], 2))]
+z = NORMAL.inv_cdf(0.975) + NORMAL.inv_cdf(0.8)
+print('  log-OR formula n1 = %.4f' % (2 * z * z / (math.log(2) ** 2 * pbar[0] * pbar[1])))
+
+report('mRS vs given p2', sample_size(MRS, 0.025, 0.8, q=[0.08, 0.14, 0.18, 0.2, 0.18, 0.12, 0.1]))
+
+print('power at n1 = 300: %.8f' % power_at(MRS, 1.5, 300, 0.025))
+lo, hi = 0.0, 10.0
+for _ in range(200):
+    mid = (lo + hi) / 2
+    if power_at(MRS, math.exp(mid), 300, 0.025) < 0.8:
+        lo = mid
+    else:
+        hi = mid
+print('MDE at n1 = 300:   %.8f' % math.exp(hi))
@@ -0,0 +1,53 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 有序分类结果验证对照值 / Ordinal WMW + Whitehead OR reference values
+#
+# 目的: 为 tests/result-validation/ordinal.test.js 的 mRS 0-6 汇总表计算 WMW 检验与
+#       Whitehead 共同 OR。与 JS 实现（按类别累积计数）独立：此处将有序表展开为逐例数据，
+#       排序后按中秩计算秩和。
+#
+# 方法学:
+#   - U = n₁n₂ + n₂(n₂ + 1)/2 − R₂（R₂ 为试验组中秩和；U 大表示试验组取值更低 / 更优）
+#   - 结校正方差 Var(U) = n₁n₂/12·[(N + 1) − Σ(t³ − t)/(N(N − 1))]，Z = (U − n₁n₂/2)/√Var(U)
+#   - Whitehead (1993): S = 2(U − n₁n₂/2)/(N + 1)，V = n₁n₂N(1 − Σ(t/N)³)/(3(N + 1)²)，
+#     ln OR = S/V，SE = 1/√V，95% CI = exp(S/V ± z₀.₉₇₅/√V)
+#
+# 运行: python3 tests/fixtures/python/ordinal-wmw.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+COUNTS1 = [8, 14, 20, 28, 30, 22, 28]
+COUNTS2 = [14, 22, 26, 30, 24, 16, 18]
+
+control = [i for i, c in enumerate(COUNTS1) for _ in range(c)]
+treatment = [i for i, c in enumerate(COUNTS2) for _ in range(c)]
+pooled = sorted(control + treatment)
+n1, n2 = len(control), len(treatment)
+n = n1 + n2
+
+midrank = {}
+i = 0
+while i < n:
+    j = i
+    while j < n and pooled[j] == pooled[i]:
+        j += 1
+    midrank[pooled[i]] = (i + 1 + j) / 2
+    i = j
+
+r2 = sum(midrank[v] for v in treatment)
+u = n1 * n2 + n2 * (n2 + 1) / 2 - r2
+ties = [a + b for a, b in zip(COUNTS1, COUNTS2)]
+var_u = n1 * n2 / 12 * ((n + 1) - sum(t ** 3 - t for t in ties) / (n * (n - 1)))
+z = (u - n1 * n2 / 2) / math.sqrt(var_u)
+print('WMW: U = %g  P(T better) = %.6f  Z = %.8f  one-sided p = %.8f'
+      % (u, u / (n1 * n2), z, 1 - NORMAL.cdf(z)))
+
+s = 2 * (u - n1 * n2 / 2) / (n + 1)
+v = n1 * n2 * n * (1 - sum((t / n) ** 3 for t in ties)) / (3 * (n + 1) ** 2)
+z975 = NORMAL.inv_cdf(0.975)
+print('Whitehead: OR = %.8f  SE = %.8f  95%% CI = (%.8f, %.8f)'
+      % (math.exp(s / v), 1 / math.sqrt(v),
+         math.exp(s / v - z975 / math.sqrt(v)), math.exp(s / v + z975 / math.sqrt(v))))
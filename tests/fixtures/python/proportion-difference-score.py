@@ -0,0 +1,87 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 率差 score 方差样本量对照值 / Risk-difference score (FM / MN) sample size reference values
+#
+# 目的: 为 tests/sample-size/two-group.test.js 中 method = 'fm' / 'mn' 的非劣效、优效与
+#       等效样本量计算未取整值。与 JS 实现（restrictedMLE 的三次方程闭式解）独立：此处对
+#       约束对数似然的导数二分求根得到 RMLE。
+#
+# 方法学 (Farrington & Manning 1990, Stat Med 9:1447-1454):
+#   - H₀: p₂ − p₁ = δ₀（非劣效 δ₀ = −δ，优效 δ₀ = 0，等效两侧分别为 ∓δ），k = n₂/n₁
+#   - 以设计值 p₁、p₂ 作为"观测率"求 RMLE (p̃₁, p̃₁ + δ₀)
+#   - σ₀ = √[p̃₁q̃₁ + p̃₂q̃₂/k]，σ₁ = √[p₁q₁ + p₂q₂/k]
+#   - n₁ = [z_{1−α}σ₀ + z_{1−β}σ₁]² / (p₂ − p₁ − δ₀)²（FM，= gsDesign::nBinomial）
+#   - MN: 最小整数 n₁ 使 n₁ ≥ [z_{1−α}σ₀√(N/(N − 1)) + z_{1−β}σ₁]² / (p₂ − p₁ − δ₀)²，N = n₁ + ⌈k·n₁⌉
+#   - 等效: 两个单侧检验分别计算取较大者；p₁ = p₂ 时用 z_{1−β/2}
+#
+# 运行: python3 tests/fixtures/python/proportion-difference-score.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+Z_ALPHA = NORMAL.inv_cdf(0.975)
+
+
+def rmle(p1, p2, k, d0):
+    """约束 p̃₂ = p̃₁ + δ₀，对约束对数似然导数二分（单例对照组、k 例试验组）"""
+    x1, n1 = p1, 1
+    x2, n2 = k * p2, k
+
+    def derivative(q):
+        return x1 / q - (n1 - x1) / (1 - q) + x2 / (q + d0) - (n2 - x2) / (1 - q - d0)
+
+    lo = max(0.0, -d0) + 1e-14
+    hi = min(1.0, 1 - d0) - 1e-14
+    for _ in range(300):
+        mid = (lo + hi) / 2
+        if derivative(mid) > 0:
+            lo = mid
+        else:
+            hi = mid
+    q = (lo + hi) / 2
+    return q, q + d0
+
+
+def design(p1, p2, d0, k):
+    q1, q2 = rmle(p1, p2, k, d0)
+    sigma0 = math.sqrt(q1 * (1 - q1) + q2 * (1 - q2) / k)
+    sigma1 = math.sqrt(p1 * (1 - p1) + p2 * (1 - p2) / k)
+    return abs(p2 - p1 - d0), sigma0, sigma1
+
+
+def sample_size(p1, p2, d0, k, z_beta):
+    """返回 (FM 未取整 n₁, FM n₁, MN n₁)"""
+    effect, sigma0, sigma1 = design(p1, p2, d0, k)
+    raw = ((Z_ALPHA * sigma0 + z_beta * sigma1) / effect) ** 2
+    n = math.ceil(raw)
+    while True:
+        total = n + math.ceil(n * k)
+        c = total / (total - 1)
+        if n >= ((Z_ALPHA * sigma0 * math.sqrt(c) + z_beta * sigma1) / effect) ** 2:
+            break
+        n += 1
+    return raw, math.ceil(raw), n
+
+
+def report(label, result, k):
+    raw, fm, mn = result
+    print('%-40s FM %.3f -> %d (n2 = %d)  MN %d' % (label, raw, fm, math.ceil(fm * k), mn))
+
+
+z80 = NORMAL.inv_cdf(0.8)
+z90 = NORMAL.inv_cdf(0.9)
+
+report('NI 0.85 / 0.85, delta 0.1', sample_size(0.85, 0.85, -0.1, 1, z80), 1)
+report('NI 0.7 / 0.7, delta 0.1, k = 2', sample_size(0.7, 0.7, -0.1, 2, z80), 2)
+report('NI 0.75 vs 0.8, delta 0.1', sample_size(0.75, 0.8, -0.1, 1, z80), 1)
+report('Sup 0.6 vs 0.75, power 0.9', sample_size(0.6, 0.75, 0, 1, z90), 1)
+report('Sup 0.6 vs 0.75, power 0.9, k = 2', sample_size(0.6, 0.75, 0, 2, z90), 2)
+
+# 等效: 下侧 H₀: p₂ − p₁ = −δ，上侧 H₀: p₂ − p₁ = +δ
+for p1, p2, delta, k in ((0.85, 0.85, 0.1, 1), (0.7, 0.7, 0.1, 2), (0.7, 0.75, 0.15, 1)):
+    z_beta = z90 if p1 == p2 else z80
+    for side, d0 in (('lower', -delta), ('upper', delta)):
+        report('Eq %.2f vs %.2f, delta %.2f, k = %d, %s' % (p1, p2, delta, k, side),
+               sample_size(p1, p2, d0, k, z_beta), k)
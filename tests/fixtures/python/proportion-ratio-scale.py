@@ -0,0 +1,137 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 率的比值尺度（RR / OR）对照值 / Relative risk and odds ratio scale reference values
+#
+# 目的: 为以下测试计算 RR / OR 尺度的约束 MLE、score 统计量、MN 区间、样本量与功效:
+#   tests/core/proportion-score.test.js、tests/result-validation/two-group.test.js（scale）、
+#   tests/sample-size/two-group.test.js（scale）、tests/power-analysis/power-calculation.test.js
+#   与 JS 实现（FM / MN 闭式 RMLE：RR 二次方程、OR 二次方程）独立：此处对约束对数似然的
+#   导数二分求根得到 RMLE。
+#
+# 方法学:
+#   - 约束 H₀: p₂ = θ₀·p₁（RR）或 odds₂ = θ₀·odds₁（OR），RMLE (p̃₁, p̃₂) 使约束似然最大
+#   - RR (Farrington & Manning 1990): z = (p̂₂ − θ₀p̂₁) / √[(p̃₂q̃₂/n₂ + θ₀²p̃₁q̃₁/n₁)·c]
+#   - OR (Miettinen & Nurminen 1985): z = n₂(p̂₂ − p̃₂)·√[(1/(n₁p̃₁q̃₁) + 1/(n₂p̃₂q̃₂))/c]
+#   - c = 1（FM）或 N/(N − 1)（MN）；95% MN 区间在 ln θ 上二分反演 z = ±z₀.₉₇₅
+#   - 样本量 RR: n₁ = [z_{1−α}σ₀ + z_{1−β}σ₁]² / (p₂ − Mp₁)²，σ₀ 用 RMLE、σ₁ 用设计值（k = n₂/n₁）
+#     OR: n₁ = (z_{1−α} + z_{1−β})²·[1/(p₁q₁) + 1/(k·p₂q₂)] / (ln OR − ln M)²
+#   - RR 功效 = Φ[((p₂ − Mp₁)√n₁ − z_{1−α}σ₀) / σ₁]
+#
+# 运行: python3 tests/fixtures/python/proportion-ratio-scale.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+Z975 = NORMAL.inv_cdf(0.975)
+
+
+def constrained_p2(p1, scale, theta):
+    if scale == 'ratio':
+        return theta * p1
+    odds = theta * p1 / (1 - p1)
+    return odds / (1 + odds)
+
+
+def dp2_dp1(p1, scale, theta):
+    if scale == 'ratio':
+        return theta
+    return theta / (1 - p1 + theta * p1) ** 2
+
+
+def rmle(x1, n1, x2, n2, scale, theta):
+    """约束对数似然导数（对 p̃₁，凹函数故单调递减）二分求根"""
+    def derivative(p1):
+        p2 = constrained_p2(p1, scale, theta)
+        return (x1 / p1 - (n1 - x1) / (1 - p1)
+                + (x2 / p2 - (n2 - x2) / (1 - p2)) * dp2_dp1(p1, scale, theta))
+
+    lo = 1e-15
+    hi = min(1.0, 1 / theta) - 1e-15 if scale == 'ratio' else 1 - 1e-15
+    for _ in range(200):
+        mid = (lo + hi) / 2
+        if derivative(mid) > 0:
+            lo = mid
+        else:
+            hi = mid
+    p1 = (lo + hi) / 2
+    return p1, constrained_p2(p1, scale, theta)
+
+
+def score(x1, n1, x2, n2, scale, theta, c=1.0):
+    q1, q2 = rmle(x1, n1, x2, n2, scale, theta)
+    p1, p2 = x1 / n1, x2 / n2
+    if scale == 'ratio':
+        variance = (q2 * (1 - q2) / n2 + theta * theta * q1 * (1 - q1) / n1) * c
+        return (p2 - theta * p1) / math.sqrt(variance)
+    information = 1 / (n1 * q1 * (1 - q1)) + 1 / (n2 * q2 * (1 - q2))
+    return n2 * (p2 - q2) * math.sqrt(information / c)
+
+
+def mn_interval(x1, n1, x2, n2, scale):
+    c = (n1 + n2) / (n1 + n2 - 1)
+
+    def invert(target):
+        lo, hi = math.log(1e-8), math.log(1e8)
+        for _ in range(200):
+            mid = (lo + hi) / 2
+            if score(x1, n1, x2, n2, scale, math.exp(mid), c) > target:
+                lo = mid
+            else:
+                hi = mid
+        return math.exp((lo + hi) / 2)
+
+    return invert(Z975), invert(-Z975)
+
+
+def rr_sigmas(p1, p2, margin, k):
+    q1, q2 = rmle(p1, 1, k * p2, k, 'ratio', margin)
+    sigma0 = math.sqrt(q2 * (1 - q2) / k + margin * margin * q1 * (1 - q1))
+    sigma1 = math.sqrt(p2 * (1 - p2) / k + margin * margin * p1 * (1 - p1))
+    return sigma0, sigma1
+
+
+def rr_sample_size(p1, p2, margin, k, alpha=0.025, power=0.8):
+    sigma0, sigma1 = rr_sigmas(p1, p2, margin, k)
+    z = NORMAL.inv_cdf(1 - alpha) * sigma0 + NORMAL.inv_cdf(power) * sigma1
+    return (z / (p2 - margin * p1)) ** 2
+
+
+def rr_power(n1, p1, p2, margin, k, alpha=0.025):
+    sigma0, sigma1 = rr_sigmas(p1, p2, margin, k)
+    return NORMAL.cdf(((p2 - margin * p1) * math.sqrt(n1) - NORMAL.inv_cdf(1 - alpha) * sigma0)
+                      / sigma1)
+
+
+def or_sample_size(p1, p2, margin, k, alpha=0.025, power=0.8):
+    odds_ratio = p2 * (1 - p1) / (p1 * (1 - p2))
+    z = NORMAL.inv_cdf(1 - alpha) + NORMAL.inv_cdf(power)
+    variance = 1 / (p1 * (1 - p1)) + 1 / (k * p2 * (1 - p2))
+    return z * z * variance / (math.log(odds_ratio) - math.log(margin)) ** 2
+
+
+# ═══ score 检验与 MN 区间 ═══
+for scale, margin in (('ratio', 0.9), ('oddsRatio', 0.5)):
+    z = score(170, 200, 176, 200, scale, margin)
+    lower, upper = mn_interval(170, 200, 176, 200, scale)
+    print('170/200 vs 176/200 %-9s theta0 = %.1f: FM z = %.8f  p = %.11f  MN CI = (%.8f, %.8f)'
+          % (scale, margin, z, 1 - NORMAL.cdf(z), lower, upper))
+for scale in ('ratio', 'oddsRatio'):
+    z = score(100, 200, 130, 200, scale, 1)
+    lower, upper = mn_interval(100, 200, 130, 200, scale)
+    print('100/200 vs 130/200 %-9s theta0 = 1:   FM z = %.8f  MN CI = (%.8f, %.8f)'
+          % (scale, z, lower, upper))
+
+# ═══ 样本量与功效 ═══
+for p1, p2, margin, k in ((0.85, 0.85, 0.9, 1), (0.85, 0.85, 0.9, 2), (0.6, 0.75, 1, 1)):
+    n = rr_sample_size(p1, p2, margin, k)
+    print('RR n1: p1 = %.2f, p2 = %.2f, M = %.1f, k = %d: %.2f -> %d'
+          % (p1, p2, margin, k, n, math.ceil(n)))
+for p1, p2, margin in ((0.85, 0.85, 0.5), (0.6, 0.75, 1)):
+    n = or_sample_size(p1, p2, margin, 1)
+    print('OR n1: p1 = %.2f, p2 = %.2f, M = %.1f, k = 1: %.2f -> %d'
+          % (p1, p2, margin, n, math.ceil(n)))
+for n1 in (263, 264):
+    print('RR power: p1 = p2 = 0.85, M = 0.9, n1 = %d: %.8f'
+          % (n1, rr_power(n1, 0.85, 0.85, 0.9, 1)))
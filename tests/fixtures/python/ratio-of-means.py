@@ -0,0 +1,109 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 几何均值比对照值 / Geometric mean ratio reference values
+#
+# 目的: 为 tests/sample-size/ratio-of-means.test.js（method = 't' 的功效）与
+#       tests/result-validation/ratio-of-means.test.js（对数尺度 t 区间与 p 值）计算对照值。
+#       与 JS 实现（src/core/t-distribution 的级数展开）独立：此处对卡方密度做 Simpson
+#       数值积分得到（非中心）t 尾概率，分位数由二分求得。
+#
+# 方法学（对数尺度，σ = √ln(1 + CV²)）:
+#   - 非劣效 / 优效: ν = 2n − 2，λ = |ln GMR − ln M| / (σ√(2/n))，功效 = P(T_ν(λ) > t_{1−α, ν})
+#   - 等效 TOST: 对 s²ν/σ² ~ χ²_ν 积分条件概率
+#     P(ln L + t·s·c < d̂ < ln U − t·s·c | s)，c = √(1/n₁ + 1/n₂)（Owen 1965）
+#   - 结果验证: 合并对数方差 s²_p，SE = s_p·√(1/n₁ + 1/n₂)，区间 exp(d ± t_{1−α, ν}·SE)，
+#     非劣效 p = P(T_ν > (d − ln M)/SE)，合并 CV = √(exp(s²_p) − 1)
+#
+# 运行: python3 tests/fixtures/python/ratio-of-means.py（仅用标准库，确定性输出，约 5 秒）
+# ---------------------------------------------------------------------------
+
+import math
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+STEPS = 4000
+
+
+def chi2_pdf(v, nu):
+    return math.exp((nu / 2 - 1) * math.log(v) - v / 2 - math.lgamma(nu / 2) - nu / 2 * math.log(2))
+
+
+def simpson_over_chi2(f, nu):
+    """∫ f(v)·f_χ²ν(v) dv，Simpson 积分"""
+    hi = nu + 40 * math.sqrt(2 * nu) + 60
+    h = hi / STEPS
+    total = 0.0
+    for i in range(STEPS + 1):
+        v = max(i * h, 1e-12)
+        w = 1 if i in (0, STEPS) else (4 if i % 2 else 2)
+        total += w * chi2_pdf(v, nu) * f(v)
+    return total * h / 3
+
+
+def t_sf(t, nu, ncp=0.0):
+    return simpson_over_chi2(lambda v: 1 - NORMAL.cdf(t * math.sqrt(v / nu) - ncp), nu)
+
+
+def t_quantile(p, nu):
+    lo, hi = 0.0, 20.0
+    for _ in range(60):
+        mid = (lo + hi) / 2
+        if t_sf(mid, nu) > 1 - p:
+            lo = mid
+        else:
+            hi = mid
+    return (lo + hi) / 2
+
+
+# ═══ 样本量: method = 't' 的功效（CV = 0.3）═══
+SIGMA = math.sqrt(math.log(1 + 0.3 ** 2))
+
+
+def one_sided_power(n, effect, alpha=0.025):
+    nu = 2 * n - 2
+    return t_sf(t_quantile(1 - alpha, nu), nu, abs(effect) / (SIGMA * math.sqrt(2 / n)))
+
+
+def tost_power(n, gmr, lower=0.8, upper=1.25, alpha=0.05):
+    nu = 2 * n - 2
+    c = math.sqrt(2 / n)
+    t = t_quantile(1 - alpha, nu)
+    mu = math.log(gmr)
+
+    def conditional(v):
+        s = SIGMA * math.sqrt(v / nu)
+        lo = math.log(lower) + t * s * c
+        up = math.log(upper) - t * s * c
+        if up <= lo:
+            return 0.0
+        return NORMAL.cdf((up - mu) / (SIGMA * c)) - NORMAL.cdf((lo - mu) / (SIGMA * c))
+
+    return simpson_over_chi2(conditional, nu)
+
+
+print('sigma_log = %.8f' % SIGMA)
+for n in (37, 38):
+    print('equivalence GMR 0.95, n1 = %d: power = %.8f' % (n, tost_power(n, 0.95)))
+for n in (30, 31):
+    print('equivalence GMR 1,    n1 = %d: power = %.8f' % (n, tost_power(n, 1)))
+for n in (46, 47):
+    print('NI GMR 0.95, M 0.8,   n1 = %d: power = %.8f'
+          % (n, one_sided_power(n, math.log(0.95) - math.log(0.8))))
+for n in (28, 29):
+    print('superiority GMR 1.25, n1 = %d: power = %.8f' % (n, one_sided_power(n, math.log(1.25))))
+
+# ═══ 结果验证: n = 40 / 40，对数均值 4.61 / 4.58，对数标准差 0.29 / 0.31 ═══
+n1, n2 = 40, 40
+nu = n1 + n2 - 2
+pooled = ((n1 - 1) * 0.29 ** 2 + (n2 - 1) * 0.31 ** 2) / nu
+se = math.sqrt(pooled * (1 / n1 + 1 / n2))
+d = 4.58 - 4.61
+print('result: SE = %.8f  GMR = %.8f  pooled CV = %.8f'
+      % (se, math.exp(d), math.sqrt(math.exp(pooled) - 1)))
+for alpha in (0.025, 0.05):
+    t = t_quantile(1 - alpha, nu)
+    print('  %d%% CI = (%.8f, %.8f)' % (round(100 * (1 - 2 * alpha)), math.exp(d - t * se),
+                                        math.exp(d + t * se)))
+print('  NI M = 0.8:  t = %.4f  p = %.8f' % ((d - math.log(0.8)) / se,
+                                             t_sf((d - math.log(0.8)) / se, nu)))
+print('  NI M = 1.25: p = %.8f' % t_sf((math.log(1.25) - d) / se, nu))
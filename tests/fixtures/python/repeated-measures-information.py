@@ -0,0 +1,115 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 重复测量（MMRM）方差对照值 / Repeated-measures (MMRM) variance reference values
+#
+# 目的: 为 tests/sample-size/repeated-measures.test.js 计算各示例的对比方差与样本量。
+#       与 JS 实现（浮点 Cholesky）独立：此处用 fractions 精确有理数求逆，
+#       仅在最后输出时转为浮点。
+#
+# 方法学 (Lu, Luo & Chen 2008, Stat Biopharm Res 1:10-19):
+#   - 单调脱落下单例信息矩阵 I = Σ_j (r_j − r_{j+1}) · Σ_j⁻¹（Σ_j 为前 j 次访视的
+#     协方差子阵，r_j 为第 j 次访视保留率，r_{J+1} = 0），对比方差 V = cᵀ I⁻¹ c
+#   - 末次访视 c = (0, …, 0, 1)；斜率 c_j = (t_j − t̄) / Σ(t − t̄)²
+#   - n₁ = ⌈(z_{1−α} + z_{1−β})² (V₁ + V₂/k) / Δ²⌉，n₂ = ⌈k·n₁⌉
+#
+# 运行: python3 tests/fixtures/python/repeated-measures-information.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+from fractions import Fraction as F
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+
+
+def invert(a):
+    """精确有理数高斯-约当求逆"""
+    size = len(a)
+    m = [row[:] + [F(int(i == j)) for j in range(size)] for i, row in enumerate(a)]
+    for col in range(size):
+        pivot = next(r for r in range(col, size) if m[r][col] != 0)
+        m[col], m[pivot] = m[pivot], m[col]
+        p = m[col][col]
+        m[col] = [v / p for v in m[col]]
+        for r in range(size):
+            if r != col and m[r][col] != 0:
+                f = m[r][col]
+                m[r] = [v - f * w for v, w in zip(m[r], m[col])]
+    return [row[size:] for row in m]
+
+
+def covariance(corr, sd):
+    return [[corr[i][j] * sd[i] * sd[j] for j in range(len(corr))] for i in range(len(corr))]
+
+
+def compound_symmetry(visits, rho):
+    return [[F(1) if i == j else F(rho) for j in range(visits)] for i in range(visits)]
+
+
+def ar1(visits, rho):
+    return [[F(rho) ** abs(i - j) for j in range(visits)] for i in range(visits)]
+
+
+def contrast_variance(sigma, retention, c):
+    visits = len(sigma)
+    info = [[F(0)] * visits for _ in range(visits)]
+    r = list(retention) + [F(0)]
+    for j in range(1, visits + 1):
+        weight = r[j - 1] - r[j]
+        if weight == 0:
+            continue
+        sub_inv = invert([row[:j] for row in sigma[:j]])
+        for a in range(j):
+            for b in range(j):
+                info[a][b] += weight * sub_inv[a][b]
+    info_inv = invert(info)
+    return sum(c[a] * info_inv[a][b] * c[b] for a in range(visits) for b in range(visits))
+
+
+def slope_contrast(times):
+    mean = F(sum(times), len(times))
+    sxx = sum((t - mean) ** 2 for t in times)
+    return [(t - mean) / sxx for t in times]
+
+
+def sample_size(v1, v2, effect, alpha=0.025, power=0.8, k=1):
+    z = NORMAL.inv_cdf(1 - alpha) + NORMAL.inv_cdf(power)
+    raw = z * z * (float(v1) + float(v2) / k) / float(effect) ** 2
+    n1 = math.ceil(raw)
+    return '%.4f -> n1 = %d, n2 = %d' % (raw, n1, math.ceil(n1 * k))
+
+
+SD = [F(10)] * 4
+TIMES = [4, 8, 12, 24]
+RETENTION = [F(1), F(9, 10), F(85, 100), F(8, 10)]
+COMPLETE = [F(1)] * 4
+FINAL = [0, 0, 0, 1]
+SLOPE = slope_contrast(TIMES)
+
+cs = covariance(compound_symmetry(4, F(1, 2)), SD)
+v = contrast_variance(cs, RETENTION, FINAL)
+print('CS rho = 0.5, final visit:   V = %.17g  inflation = %.9f  %s'
+      % (float(v), float(v / 100), sample_size(v, v, 5)))
+
+ar = covariance(ar1(4, F(7, 10)), SD)
+v = contrast_variance(ar, RETENTION, FINAL)
+print('AR(1) rho = 0.7, final:      V = %.17g  %s' % (float(v), sample_size(v, v, 5)))
+
+v = contrast_variance(ar, RETENTION, SLOPE)
+complete = contrast_variance(ar, COMPLETE, SLOPE)
+print('AR(1) rho = 0.7, slope:      V = %.17g  inflation = %.9f  %s'
+      % (float(v), float(v / complete), sample_size(v, v, F(1, 4))))
+
+v = contrast_variance(cs, COMPLETE, SLOPE)
+print('CS complete, slope:          V = %.17g  (sigma^2 (1 - rho) / Sxx = %.17g)'
+      % (float(v), 100 * 0.5 / 224))
+
+UN = [[F(1), F(6, 10), F(5, 10), F(4, 10)],
+      [F(6, 10), F(1), F(6, 10), F(5, 10)],
+      [F(5, 10), F(6, 10), F(1), F(6, 10)],
+      [F(4, 10), F(5, 10), F(6, 10), F(1)]]
+un = covariance(UN, [F(8), F(9), F(10), F(12)])
+v1 = contrast_variance(un, RETENTION, FINAL)
+v2 = contrast_variance(un, [F(1), F(85, 100), F(75, 100), F(7, 10)], FINAL)
+print('UN, arm-specific retention:  V1 = %.17g  V2 = %.17g  %s'
+      % (float(v1), float(v2), sample_size(v1, v2, 6, power=0.9, k=2)))
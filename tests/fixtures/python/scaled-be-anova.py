@@ -0,0 +1,84 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 标度 BE 分析对照值 / Scaled BE (EMA Method A) reference values
+#
+# 目的: 为 tests/crossover/scaled-be.test.js 的分析示例数据（TRR/RTR/RRT 各 4 例）
+#       计算 EMA 方法 A 的对照值，与 JS 实现（组内中心化 + Gram-Schmidt）独立：
+#       此处直接构造受试者 / 周期 / 制剂哑变量设计矩阵，解正规方程（高斯消元）。
+#
+# 方法学:
+#   - 全部数据: ln y ~ subject + period + formulation（均为固定效应，同 SAS PROC GLM /
+#     R lm(log(y) ~ subject + period + treatment)），得 T − R 估计、SE 与残差 df
+#   - 仅参比数据: ln y ~ subject + period，s²_wR = 残差均方
+#
+# 运行: python3 tests/fixtures/python/scaled-be-anova.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+import math
+
+DATA = [
+    ('TRR', [66.5, 83.6, 45.3]),
+    ('RTR', [49.8, 67.1, 84.5]),
+    ('RRT', [31.5, 74.3, 72.3]),
+    ('TRR', [340.2, 209.4, 198.7]),
+    ('RTR', [318.6, 277.4, 232.1]),
+    ('RRT', [110.9, 92.1, 111.2]),
+    ('TRR', [160.3, 184.4, 129.6]),
+    ('RTR', [54.6, 24.0, 39.4]),
+    ('RRT', [47.7, 35.0, 57.0]),
+    ('TRR', [533.6, 752.9, 309.3]),
+    ('RTR', [113.8, 88.9, 104.7]),
+    ('RRT', [68.7, 135.4, 81.5]),
+]
+
+
+def invert(a):
+    """部分主元高斯-约当求逆"""
+    size = len(a)
+    m = [row[:] + [1.0 if i == j else 0.0 for j in range(size)] for i, row in enumerate(a)]
+    for col in range(size):
+        pivot = max(range(col, size), key=lambda r: abs(m[r][col]))
+        m[col], m[pivot] = m[pivot], m[col]
+        p = m[col][col]
+        m[col] = [v / p for v in m[col]]
+        for r in range(size):
+            if r != col and m[r][col] != 0:
+                f = m[r][col]
+                m[r] = [v - f * w for v, w in zip(m[r], m[col])]
+    return [row[size:] for row in m]
+
+
+def ols(rows, y):
+    """返回 (beta, (X'X)^-1, 残差平方和, 残差 df)"""
+    p = len(rows[0])
+    xtx = [[sum(r[i] * r[j] for r in rows) for j in range(p)] for i in range(p)]
+    xty = [sum(r[i] * v for r, v in zip(rows, y)) for i in range(p)]
+    inv = invert(xtx)
+    beta = [sum(inv[i][j] * xty[j] for j in range(p)) for i in range(p)]
+    ss = sum((v - sum(b * x for b, x in zip(beta, r))) ** 2 for r, v in zip(rows, y))
+    return beta, inv, ss, len(y) - p
+
+
+def design(reference_only):
+    n = len(DATA)
+    rows, y = [], []
+    for i, (sequence, values) in enumerate(DATA):
+        for k, (formulation, value) in enumerate(zip(sequence, values)):
+            if reference_only and formulation == 'T':
+                continue
+            subject = [1.0 if i == j else 0.0 for j in range(n)]
+            period = [1.0 if k == 1 else 0.0, 1.0 if k == 2 else 0.0]
+            treatment = [] if reference_only else [1.0 if formulation == 'T' else 0.0]
+            rows.append(subject + period + treatment)
+            y.append(math.log(value))
+    return rows, y
+
+
+beta, inv, ss, df = ols(*design(False))
+mse = ss / df
+print('all data:  ln GMR = %.9f  SE = %.9f  MSE = %.9f  df = %d'
+      % (beta[-1], math.sqrt(mse * inv[-1][-1]), mse, df))
+
+_, _, ss_r, df_r = ols(*design(True))
+s2wr = ss_r / df_r
+print('reference: s2wR = %.9f  CVwR = %.9f  df = %d' % (s2wr, math.sqrt(math.exp(s2wr) - 1), df_r))
@@ -0,0 +1,68 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# Simon 两阶段设计对照值 / Simon two-stage design reference values
+#
+# 目的: 为 tests/sample-size/simon-two-stage.test.js 复核 p0 = 0.10, p1 = 0.30,
+#       α = 0.05, 1 − β = 0.80 的最优 / 极小极大设计及其完整工作特征。
+#       与 JS 实现（累积二项表 + 剪枝）独立：此处对 (r1, n1, r, n) 全部组合
+#       用 math.comb 直接求和暴力穷举。
+#
+# 方法学 (Simon 1989, Control Clin Trials 10:1-10):
+#   - 第一阶段 n1 例中反应数 ≤ r1 则终止；否则共 n 例中反应数 > r 拒绝 H0
+#   - PET(p) = P(X1 ≤ r1)，EN(p) = n1 + (1 − PET(p))·(n − n1)
+#   - 最优设计: 满足 α / 把握度约束下 EN(p0) 最小；极小极大: n 最小，同 n 取 EN(p0) 最小
+#
+# 运行: python3 tests/fixtures/python/simon-two-stage.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+from math import comb
+
+P0, P1, ALPHA, POWER, MAX_N = 0.1, 0.3, 0.05, 0.8, 30
+
+
+def pmf(k, n, p):
+    return comb(n, k) * p ** k * (1 - p) ** (n - k)
+
+
+def reject(r1, n1, r, n, p):
+    """P(X1 > r1 且 X1 + X2 > r)"""
+    n2 = n - n1
+    total = 0.0
+    for x1 in range(r1 + 1, n1 + 1):
+        need = max(r - x1 + 1, 0)
+        total += pmf(x1, n1, p) * sum(pmf(x2, n2, p) for x2 in range(need, n2 + 1))
+    return total
+
+
+def characteristics(r1, n1, r, n):
+    pet = sum(pmf(x, n1, P0) for x in range(r1 + 1))
+    pet1 = sum(pmf(x, n1, P1) for x in range(r1 + 1))
+    return {
+        'r1': r1, 'n1': n1, 'r': r, 'n': n,
+        'alpha': reject(r1, n1, r, n, P0),
+        'power': reject(r1, n1, r, n, P1),
+        'pet': pet,
+        'EN': n1 + (1 - pet) * (n - n1),
+        'pet1': pet1,
+        'EN1': n1 + (1 - pet1) * (n - n1)
+    }
+
+
+optimal = minimax = None
+for n in range(2, MAX_N + 1):
+    for n1 in range(1, n):
+        for r in range(n):
+            for r1 in range(min(n1, r + 1)):
+                if reject(r1, n1, r, n, P0) > ALPHA or reject(r1, n1, r, n, P1) < POWER:
+                    continue
+                d = characteristics(r1, n1, r, n)
+                if optimal is None or d['EN'] < optimal['EN']:
+                    optimal = d
+                if minimax is None or (n, d['EN']) < (minimax['n'], minimax['EN']):
+                    minimax = d
+
+for label, d in (('optimal', optimal), ('minimax', minimax)):
+    print('%s: r1 = %d  n1 = %d  r = %d  n = %d' % (label, d['r1'], d['n1'], d['r'], d['n']))
+    print('  alpha = %.10f  power = %.10f  PET(p0) = %.10f  EN(p0) = %.10f'
+          % (d['alpha'], d['power'], d['pet'], d['EN']))
+    print('  PET(p1) = %.10f  EN(p1) = %.10f' % (d['pet1'], d['EN1']))
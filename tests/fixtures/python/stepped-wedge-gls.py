@@ -0,0 +1,100 @@
+#!/usr/bin/env python3
+# ---------------------------------------------------------------------------
+# 阶梯楔形设计 GLS 方差对照值 / Stepped-wedge GLS variance reference values
+#
+# 目的: 为 tests/cluster/stepped-wedge.test.js 计算各示例的 Var(θ̂) 与功效。
+#       与 JS 实现（按群累加 Z'V⁻¹Z、浮点运算）独立：此处用 fractions 精确有理数
+#       构造每个群的完整协方差阵并直接求逆，仅在最后输出时转为浮点。
+#
+# 方法学:
+#   - 群均值模型 ȳ_ij = μ + β_j + θ·X_ij + 误差（周期固定效应，σ² 归一）
+#   - Hooper et al. (2016) 协方差: Var(ȳ_ij) = ρ + (1 − ρ)/m，
+#     Cov(ȳ_ij, ȳ_ij') = ρ·r + (1 − ρ)·π/m（r 为群自相关，π 为个体自相关；
+#     r = 1、π = 0 即 Hussey & Hughes 2007 横断面模型）
+#   - Var(θ̂) = [(Σ Z'V⁻¹Z)⁻¹]_θθ；功效 = Φ(|θ|/SE − z_{1−α})
+#   - Hussey & Hughes (2007) 式 (8) 闭式解同时输出以供比对
+#
+# 运行: python3 tests/fixtures/python/stepped-wedge-gls.py（仅用标准库，确定性输出）
+# ---------------------------------------------------------------------------
+
+from fractions import Fraction as F
+from statistics import NormalDist
+
+NORMAL = NormalDist()
+
+
+def invert(a):
+    """精确有理数高斯-约当求逆"""
+    size = len(a)
+    m = [row[:] + [F(int(i == j)) for j in range(size)] for i, row in enumerate(a)]
+    for col in range(size):
+        pivot = next(r for r in range(col, size) if m[r][col] != 0)
+        m[col], m[pivot] = m[pivot], m[col]
+        p = m[col][col]
+        m[col] = [v / p for v in m[col]]
+        for r in range(size):
+            if r != col and m[r][col] != 0:
+                f = m[r][col]
+                m[r] = [v - f * w for v, w in zip(m[r], m[col])]
+    return [row[size:] for row in m]
+
+
+def gls_variance(design, icc, m, cac=1, iac=0, sigma2=1):
+    """design 中 None 表示该群该周期无观测"""
+    icc, cac, iac, sigma2 = F(icc), F(cac), F(iac), F(sigma2)
+    diag = sigma2 * (icc + (1 - icc) / m)
+    off = sigma2 * (icc * cac + (1 - icc) * iac / m)
+    periods = len(design[0])
+    size = periods + 1
+    info = [[F(0)] * size for _ in range(size)]
+    for row in design:
+        observed = [j for j, x in enumerate(row) if x is not None]
+        k = len(observed)
+        v_inv = invert([[diag if u == v else off for v in range(k)] for u in range(k)])
+        z = [[F(int(c == j)) for c in range(periods)] + [F(row[j])] for j in observed]
+        for p in range(size):
+            for q in range(size):
+                info[p][q] += sum(z[u][p] * v_inv[u][v] * z[v][q]
+                                  for u in range(k) for v in range(k))
+    return invert(info)[periods][periods]
+
+
+def hussey_hughes(design, tau2, sigma2):
+    i = len(design)
+    t = len(design[0])
+    u = sum(map(sum, design))
+    w = sum(sum(design[r][j] for r in range(i)) ** 2 for j in range(t))
+    v = sum(sum(row) ** 2 for row in design)
+    return (i * sigma2 * (sigma2 + t * tau2)
+            / ((i * u - w) * sigma2 + (u * u + i * t * u - t * w - i * v) * tau2))
+
+
+def stepped_wedge(steps, per_step):
+    return [[1 if j >= s else 0 for j in range(steps + 1)]
+            for s in range(1, steps + 1) for _ in range(per_step)]
+
+
+def report(label, variance, effect, alpha=F(1, 40)):
+    power = NORMAL.cdf(abs(effect) / float(variance) ** 0.5 - NORMAL.inv_cdf(1 - float(alpha)))
+    print('%-32s Var = %.16g  power = %.8f' % (label, float(variance), power))
+
+
+standard = stepped_wedge(4, 3)
+report('HH (4 steps x 3, m = 20)', gls_variance(standard, F(1, 20), 20), 0.3)
+print('%-32s Var = %.16g' % ('  HH closed form',
+                             float(hussey_hughes(standard, F(1, 20), F(19, 400)))))
+
+report('cross-sectional r = 0.8', gls_variance(standard, F(1, 20), 20, F(4, 5)), 0.3)
+report('closed cohort r = 0.8, pi = 0.5',
+       gls_variance(standard, F(1, 20), 20, F(4, 5), F(1, 2)), 0.3)
+
+incomplete = [[0, 1, 1, None], [0, 0, 1, 1], [None, 0, 0, 1], [0, None, 0, 1]]
+report('incomplete, r = 0.9', gls_variance(incomplete, F(1, 10), 10, F(9, 10)), 0.5)
+
+# 率终点: p1 = 0.3, p2 = 0.4，σ² = p̄(1 − p̄)
+pbar = F(35, 100)
+s2 = pbar * (1 - pbar)
+binary = stepped_wedge(5, 2)
+report('proportion (5 steps x 2)', gls_variance(binary, F(1, 50), 15, 1, 0, s2), 0.1)
+print('%-32s Var = %.16g' % ('  HH closed form',
+                             float(hussey_hughes(binary, F(1, 50) * s2, F(49, 50) * s2 / 15))))
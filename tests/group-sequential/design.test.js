@@ -0,0 +1,154 @@
+/**
+ * @file design.test.js
+ * @description 成组序贯设计测试（α 消耗有效界值、非约束性无效界值、膨胀因子）
+ *
+ * 验证数据来源:
+ * - Lan-DeMets O'Brien-Fleming 型 / Pocock 型 K = 5 等间隔界值（单侧 0.025，双侧 0.05 对称），
+ *   文献常用值 4.877 / 3.357 / 2.680 / 2.290 / 2.031 与 2.438 / 2.427 / 2.410 / 2.397 / 2.386
+ * - gsDesign::gsDesign() 默认设计（k = 3, test.type = 4, sfHSD γ = −4 / −2, α = 0.025, β = 0.1）:
+ *   上界 3.01 / 2.55 / 2.00，下界 −0.24 / 0.94 / 2.00
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateGroupSequentialDesign,
+  applyInflationFactor
+} from '../../src/group-sequential/design'
+import { groupSequentialProbabilities } from '../../src/group-sequential/recursive-integration'
+import { calculateSupSampleSize } from '../../src/sample-size/two-group/superiority'
+
+const sum = values => values.reduce((acc, v) => acc + v, 0)
+
+describe('group-sequential/design', () => {
+  // ========================================================
+  // 有效界值
+  // ========================================================
+  describe('有效界值（α 消耗）', () => {
+    it("Lan-DeMets O'Brien-Fleming 型，K = 5", () => {
+      const gs = calculateGroupSequentialDesign({ k: 5, alpha: 0.025, power: 0.9 })
+      const expected = [4.877, 3.357, 2.68, 2.29, 2.031]
+      gs.upper.forEach((b, i) => expect(b).toBeCloseTo(expected[i], 3))
+      expect(gs.lower).toBeNull()
+      expect(gs.cumulativeAlpha[4]).toBe(0.025)
+    })
+
+    it('Lan-DeMets Pocock 型，K = 5', () => {
+      const gs = calculateGroupSequentialDesign({
+        k: 5,
+        alpha: 0.025,
+        power: 0.9,
+        efficacySpending: 'pocock'
+      })
+      const expected = [2.438, 2.427, 2.41, 2.397, 2.386]
+      gs.upper.forEach((b, i) => expect(b).toBeCloseTo(expected[i], 3))
+    })
+
+    it('H0 下总 I 类错误等于 α，名义 p 值为 1 − Φ(b_k)', () => {
+      const gs = calculateGroupSequentialDesign({
+        k: 4,
+        alpha: 0.025,
+        power: 0.8,
+        timing: [0.3, 0.5, 0.75, 1],
+        efficacySpending: 'hsd',
+        efficacyParam: 1
+      })
+      const noFutility = gs.upper.map(() => -Infinity)
+      const { upperCross } = groupSequentialProbabilities(gs.timing, gs.upper, noFutility, 0)
+      expect(sum(upperCross)).toBeCloseTo(0.025, 10)
+      expect(gs.nominalAlpha[0]).toBeCloseTo(upperCross[0], 12)
+    })
+  })
+
+  // ========================================================
+  // 膨胀因子
+  // ========================================================
+  describe('膨胀因子与期望样本量', () => {
+    it('达到目标功效，IF > 1；Pocock 型膨胀大于 OBF 型', () => {
+      const obf = calculateGroupSequentialDesign({ k: 5, alpha: 0.025, power: 0.9 })
+      const pocock = calculateGroupSequentialDesign({
+        k: 5,
+        alpha: 0.025,
+        power: 0.9,
+        efficacySpending: 'pocock'
+      })
+      expect(obf.power).toBeCloseTo(0.9, 10)
+      expect(obf.inflationFactor).toBeCloseTo(1.0231, 4)
+      expect(pocock.inflationFactor).toBeCloseTo(1.1923, 4)
+      // Pocock 型最大样本量更大，但 H1 下期望样本量更小
+      expect(pocock.expectedSampleSizeRatio.h1).toBeLessThan(obf.expectedSampleSizeRatio.h1)
+    })
+
+    it('applyInflationFactor 作用于 calculateSupSampleSize 结果', () => {
+      const fixed = calculateSupSampleSize(0.6, 0.75, 0.025, 0.9, 1)
+      const gs = calculateGroupSequentialDesign({ k: 3, alpha: 0.025, power: 0.9 })
+      const inflated = applyInflationFactor(fixed, gs.inflationFactor)
+      expect(inflated.n1).toBe(Math.ceil(fixed.n1 * gs.inflationFactor))
+      expect(inflated.n1).toBeGreaterThan(fixed.n1)
+      expect(applyInflationFactor({ n1: 50, n2: 0 }, 1.02)).toEqual({ n1: 51, n2: 0 })
+      expect(applyInflationFactor(fixed, NaN).n1).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 非约束性无效界值
+  // ========================================================
+  describe('非约束性无效界值（β 消耗）', () => {
+    const gs = calculateGroupSequentialDesign({
+      k: 3,
+      alpha: 0.025,
+      power: 0.9,
+      efficacySpending: 'hsd',
+      efficacyParam: -4,
+      futilitySpending: 'hsd',
+      futilityParam: -2
+    })
+
+    it('与 gsDesign 默认设计一致', () => {
+      expect(gs.upper[0]).toBeCloseTo(3.0107, 3)
+      expect(gs.upper[1]).toBeCloseTo(2.5465, 3)
+      expect(gs.upper[2]).toBeCloseTo(1.9992, 3)
+      expect(gs.lower[0]).toBeCloseTo(-0.2387, 3)
+      expect(gs.lower[1]).toBeCloseTo(0.9411, 3)
+      expect(gs.lower[2]).toBe(gs.upper[2])
+    })
+
+    it('有效界值不受无效界值影响（非约束性），功效达标', () => {
+      const efficacyOnly = calculateGroupSequentialDesign({
+        k: 3,
+        alpha: 0.025,
+        power: 0.9,
+        efficacySpending: 'hsd',
+        efficacyParam: -4
+      })
+      expect(gs.upper).toEqual(efficacyOnly.upper)
+      expect(gs.power).toBeCloseTo(0.9, 8)
+      expect(gs.inflationFactor).toBeGreaterThan(efficacyOnly.inflationFactor)
+      expect(gs.cumulativeBeta[2]).toBeCloseTo(0.1, 12)
+    })
+
+    it('H0 下期望样本量因提前无效终止而显著降低', () => {
+      expect(gs.expectedSampleSizeRatio.h0).toBeLessThan(0.7)
+    })
+  })
+
+  // ========================================================
+  // 参数无效
+  // ========================================================
+  describe('参数无效', () => {
+    it('返回 NaN 形态', () => {
+      for (const params of [
+        { k: 1, alpha: 0.025, power: 0.9 },
+        { k: 3, alpha: 0, power: 0.9 },
+        { k: 3, alpha: 0.025, power: 0.9, efficacySpending: 'linear' },
+        { k: 3, alpha: 0.025, power: 0.9, futilitySpending: 'linear' },
+        { k: 3, alpha: 0.025, power: 0.9, timing: [0.5, 0.4, 1] },
+        { k: 3, alpha: 0.025, power: 0.9, timing: [0.3, 0.6, 0.9] },
+        { k: 3, alpha: 0.025, power: 0.9, efficacySpending: 'power', efficacyParam: -1 }
+      ]) {
+        const gs = calculateGroupSequentialDesign(params)
+        expect(gs.inflationFactor).toBeNaN()
+        expect(gs.upper).toEqual([])
+      }
+    })
+  })
+})
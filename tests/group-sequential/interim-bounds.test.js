@@ -0,0 +1,135 @@
+/**
+ * @file interim-bounds.test.js
+ * @description 期中分析界值更新测试（按实际信息比例重新计算有效界值）
+ *
+ * 验证数据来源:
+ * - Lan-DeMets O'Brien-Fleming 型 K = 2（t = 0.5, 1），单侧 α = 0.025: 2.963 / 1.969
+ * - 性质检验: H0 下总 I 类错误恒为 α；实际信息比例等于计划值时与 calculateGroupSequentialDesign 一致
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateInterimBounds } from '../../src/group-sequential/interim-bounds'
+import { calculateGroupSequentialDesign } from '../../src/group-sequential/design'
+import { groupSequentialProbabilities } from '../../src/group-sequential/recursive-integration'
+
+const sum = values => values.reduce((acc, v) => acc + v, 0)
+
+/** H0 下（无无效界值）各次分析越上界概率之和 */
+const totalAlpha = result => {
+  const noFutility = result.upper.map(() => -Infinity)
+  return sum(groupSequentialProbabilities(result.timing, result.upper, noFutility, 0).upperCross)
+}
+
+describe('group-sequential/interim-bounds', () => {
+  const design = { k: 3, alpha: 0.025, power: 0.9 }
+
+  // ========================================================
+  // 与设计阶段一致
+  // ========================================================
+  describe('实际信息比例等于计划值', () => {
+    it("Lan-DeMets O'Brien-Fleming 型 K = 2 文献值", () => {
+      const interim = calculateInterimBounds({
+        design: { k: 2, alpha: 0.025 },
+        informationFraction: [0.5]
+      })
+      expect(interim.timing).toEqual([0.5, 1])
+      expect(interim.upper[0]).toBeCloseTo(2.963, 3)
+      expect(interim.upper[1]).toBeCloseTo(1.969, 3)
+      expect(interim.currentNominalAlpha).toBeCloseTo(0.0015253, 7)
+    })
+
+    it('与 calculateGroupSequentialDesign 界值相同', () => {
+      const gs = calculateGroupSequentialDesign({
+        ...design,
+        efficacySpending: 'hsd',
+        efficacyParam: -2
+      })
+      const interim = calculateInterimBounds({
+        design: { ...design, efficacySpending: 'hsd', efficacyParam: -2 },
+        informationFraction: [1 / 3, 2 / 3]
+      })
+      interim.upper.forEach((b, i) => expect(b).toBeCloseTo(gs.upper[i], 10))
+      expect(interim.nominalAlpha[2]).toBeCloseTo(gs.nominalAlpha[2], 12)
+    })
+  })
+
+  // ========================================================
+  // 实际信息比例偏离计划
+  // ========================================================
+  describe('实际信息比例偏离计划', () => {
+    it('按事件数更新首次期中界值，总 α 保持不变', () => {
+      const interim = calculateInterimBounds({ design, events: [120], maxEvents: 330 })
+      expect(interim.timing[0]).toBeCloseTo(120 / 330, 12)
+      expect(interim.timing.slice(1)).toEqual([2 / 3, 1])
+      expect(interim.observedLooks).toBe(1)
+      expect(interim.currentBound).toBeCloseTo(3.5379, 3)
+      expect(totalAlpha(interim)).toBeCloseTo(0.025, 10)
+    })
+
+    it('已使用的界值不因后续更新而改变', () => {
+      const first = calculateInterimBounds({ design, informationFraction: [0.3] })
+      const second = calculateInterimBounds({ design, informationFraction: [0.3, 0.62] })
+      expect(second.upper[0]).toBe(first.upper[0])
+      expect(second.timing).toEqual([0.3, 0.62, 1])
+      expect(totalAlpha(second)).toBeCloseTo(0.025, 10)
+    })
+
+    it('计划分析次数用尽而信息未满时补一次终末分析', () => {
+      const interim = calculateInterimBounds({ design, informationFraction: [0.3, 0.7, 0.8] })
+      expect(interim.timing).toEqual([0.3, 0.7, 0.8, 1])
+      expect(interim.cumulativeAlpha[3]).toBe(0.025)
+      expect(totalAlpha(interim)).toBeCloseTo(0.025, 10)
+    })
+  })
+
+  // ========================================================
+  // 终末分析
+  // ========================================================
+  describe('终末分析消耗全部剩余 α', () => {
+    it('信息不足时 final = true 提前结束', () => {
+      const interim = calculateInterimBounds({
+        design,
+        informationFraction: [0.33, 0.67, 0.95],
+        final: true
+      })
+      expect(interim.timing).toEqual([0.33, 0.67, 0.95])
+      expect(interim.cumulativeAlpha[2]).toBe(0.025)
+      expect(totalAlpha(interim)).toBeCloseTo(0.025, 10)
+    })
+
+    it('信息超额（t > 1）时该次分析即为终末分析', () => {
+      const overrun = calculateInterimBounds({ design, informationFraction: [0.33, 0.67, 1.08] })
+      const underrun = calculateInterimBounds({
+        design,
+        informationFraction: [0.33, 0.67, 0.95],
+        final: true
+      })
+      expect(overrun.timing).toHaveLength(3)
+      expect(totalAlpha(overrun)).toBeCloseTo(0.025, 10)
+      // 末次与前次相关性更低，终末界值更高
+      expect(overrun.upper[2]).toBeGreaterThan(underrun.upper[2])
+    })
+  })
+
+  // ========================================================
+  // 参数无效
+  // ========================================================
+  describe('参数无效', () => {
+    it('返回 NaN 形态', () => {
+      for (const params of [
+        { informationFraction: [0.5] },
+        { design: { k: 3, alpha: 0 }, informationFraction: [0.5] },
+        { design: { k: 3, alpha: 0.025, efficacySpending: 'linear' }, informationFraction: [0.5] },
+        { design, informationFraction: [] },
+        { design, informationFraction: [0.5, 0.4] },
+        { design, informationFraction: [1.1, 1.2] },
+        { design, events: [100] },
+        { design, events: [100], maxEvents: 0 }
+      ]) {
+        const interim = calculateInterimBounds(params)
+        expect(interim.upper).toEqual([])
+        expect(interim.currentNominalAlpha).toBeNaN()
+      }
+    })
+  })
+})
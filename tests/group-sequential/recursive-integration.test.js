@@ -0,0 +1,84 @@
+/**
+ * @file recursive-integration.test.js
+ * @description 成组序贯递推数值积分测试
+ *
+ * 验证数据来源:
+ * - Jennison & Turnbull (2000) Table 2.1: 双侧 α = 0.05 的 Pocock 常数 C_P(K) 与
+ *   O'Brien-Fleming 常数 C_B(K)（界值 C_B √(K/k)）
+ * - 单次分析退化为标准正态尾概率
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  initialGrid,
+  crossingProbability,
+  propagateGrid,
+  solveBound,
+  groupSequentialProbabilities
+} from '../../src/group-sequential/recursive-integration'
+import { normalSF } from '../../src/core/normal-distribution'
+
+const sum = values => values.reduce((acc, v) => acc + v, 0)
+const equalTiming = K => Array.from({ length: K }, (_, i) => (i + 1) / K)
+
+describe('group-sequential/recursive-integration', () => {
+  it('首次分析退化为正态尾概率', () => {
+    expect(crossingProbability(initialGrid(), 0.4, 0, 1.96, 'upper')).toBeCloseTo(
+      normalSF(1.96),
+      15
+    )
+    // 漂移 θ 下 Z_1 ~ N(θ√t, 1)
+    expect(crossingProbability(initialGrid(), 0.25, 2, 1.5, 'lower')).toBeCloseTo(
+      1 - normalSF(0.5),
+      15
+    )
+  })
+
+  it('继续区间无界时质量守恒', () => {
+    const grid = propagateGrid(initialGrid(), 0.5, 1, -Infinity, Infinity)
+    expect(sum(grid.w)).toBeCloseTo(1, 12)
+  })
+
+  it('Jennison & Turnbull Table 2.1: Pocock 常数界值', () => {
+    for (const [K, c] of [
+      [2, 2.178],
+      [3, 2.289],
+      [5, 2.413],
+      [10, 2.555]
+    ]) {
+      const upper = equalTiming(K).map(() => c)
+      const r = groupSequentialProbabilities(
+        equalTiming(K),
+        upper,
+        upper.map(b => -b),
+        0
+      )
+      expect(sum(r.upperCross) + sum(r.lowerCross)).toBeCloseTo(0.05, 3)
+    }
+  })
+
+  it("Jennison & Turnbull Table 2.1: O'Brien-Fleming 常数界值", () => {
+    for (const [K, c] of [
+      [2, 1.977],
+      [3, 2.004],
+      [5, 2.04]
+    ]) {
+      const upper = equalTiming(K).map((_, i) => c * Math.sqrt(K / (i + 1)))
+      const r = groupSequentialProbabilities(
+        equalTiming(K),
+        upper,
+        upper.map(b => -b),
+        0
+      )
+      expect(sum(r.upperCross) + sum(r.lowerCross)).toBeCloseTo(0.05, 3)
+    }
+  })
+
+  it('solveBound 与 crossingProbability 互逆；消耗为 0 时不设界', () => {
+    const grid = propagateGrid(initialGrid(), 0.5, 0, -Infinity, 2.8)
+    const b = solveBound(grid, 1, 0, 0.02, 'upper')
+    expect(crossingProbability(grid, 1, 0, b, 'upper')).toBeCloseTo(0.02, 12)
+    expect(solveBound(grid, 1, 0, 0, 'upper')).toBe(Infinity)
+    expect(solveBound(grid, 1, 0, 0, 'lower')).toBe(-Infinity)
+  })
+})
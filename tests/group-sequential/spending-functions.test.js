@@ -0,0 +1,71 @@
+/**
+ * @file spending-functions.test.js
+ * @description Lan-DeMets 误差消耗函数测试
+ *
+ * 验证数据来源:
+ * - 闭式定义（Lan & DeMets 1983；Hwang, Shih & DeCani 1990；Jennison & Turnbull 2000 Ch.7）
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  obrienFlemingSpending,
+  pocockSpending,
+  hwangShihDeCaniSpending,
+  powerFamilySpending,
+  calculateSpending
+} from '../../src/group-sequential/spending-functions'
+import { normalSF, normalInverse } from '../../src/core/normal-distribution'
+
+describe('group-sequential/spending-functions', () => {
+  it('端点: f(0) = 0，f(1) = α', () => {
+    for (const f of [
+      obrienFlemingSpending,
+      pocockSpending,
+      hwangShihDeCaniSpending,
+      powerFamilySpending
+    ]) {
+      expect(f(0, 0.025)).toBe(0)
+      expect(f(1, 0.025)).toBe(0.025)
+    }
+  })
+
+  it("O'Brien-Fleming 型: 2 − 2Φ(Z_{1−α/2}/√t)", () => {
+    const expected = 2 * normalSF(normalInverse(1 - 0.0125) / Math.sqrt(0.5))
+    expect(obrienFlemingSpending(0.5, 0.025)).toBeCloseTo(expected, 15)
+    expect(obrienFlemingSpending(0.5, 0.025)).toBeCloseTo(0.00152532, 8)
+  })
+
+  it('Pocock 型: α ln(1 + (e − 1)t)', () => {
+    expect(pocockSpending(0.5, 0.025)).toBeCloseTo(0.025 * Math.log(1 + (Math.E - 1) / 2), 15)
+  })
+
+  it('Hwang-Shih-DeCani: γ = 0 退化为线性，γ = 1 闭式', () => {
+    expect(hwangShihDeCaniSpending(0.3, 0.025, 0)).toBeCloseTo(0.0075, 15)
+    expect(hwangShihDeCaniSpending(0.3, 0.025, 1)).toBeCloseTo(
+      (0.025 * (1 - Math.exp(-0.3))) / (1 - Math.exp(-1)),
+      15
+    )
+    // γ 越小越保守
+    expect(hwangShihDeCaniSpending(0.3, 0.025, -4)).toBeLessThan(
+      hwangShihDeCaniSpending(0.3, 0.025, 1)
+    )
+  })
+
+  it('幂函数族: α t^ρ', () => {
+    expect(powerFamilySpending(0.5, 0.025, 2)).toBeCloseTo(0.00625, 15)
+  })
+
+  it('calculateSpending 按类型分发，缺省参数取默认值', () => {
+    expect(calculateSpending('obf', 0.5, 0.025)).toBe(obrienFlemingSpending(0.5, 0.025))
+    expect(calculateSpending('hsd', 0.5, 0.025)).toBe(hwangShihDeCaniSpending(0.5, 0.025, -4))
+    expect(calculateSpending('power', 0.5, 0.1)).toBe(powerFamilySpending(0.5, 0.1, 3))
+    expect(calculateSpending('power', 0.5, 0.1, 1)).toBeCloseTo(0.05, 15)
+  })
+
+  it('类型或参数无效返回 NaN', () => {
+    expect(calculateSpending('linear', 0.5, 0.025)).toBeNaN()
+    expect(calculateSpending('power', 0.5, 0.025, -1)).toBeNaN()
+    expect(calculateSpending('hsd', 0.5, 0.025, NaN)).toBeNaN()
+    expect(calculateSpending('obf', NaN, 0.025)).toBeNaN()
+  })
+})
@@ -0,0 +1,217 @@
+/**
+ * @file conditional-power.test.js
+ * @description 期中分析条件功效与预测概率测试
+ *
+ * 验证数据来源:
+ * - Lan & Wittes (1988) B 值公式: CP(θ = 趋势) = Φ[(Z_n/√t − z) / √(1 − t)]，
+ *   CP(θ) = Φ[(Z_n·√t + θ·√I_N·(1 − t) − z) / √(1 − t)]
+ * - Spiegelhalter et al. (1986) 预测概率: PP = Φ[(Z_n/√t − z)·√(t / (1 − t))]
+ * - 手算示例: 期中各 50 例，均值差 3，SD 10（SE = 2, Z_n = 1.5, t = 0.5），α = 0.025
+ *   CP_trend = 0.5903，CP_H1(θ = 5) = 0.8903，CP_H0 = 0.1017，PP = 0.5641
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateConditionalPower,
+  calculateConditionalPowerContinuous
+} from '../../src/interim-analysis/conditional-power'
+import { normalCDF, normalInverse } from '../../src/core/normal-distribution'
+
+const Z_ALPHA = normalInverse(0.975)
+
+describe('interim-analysis/conditional-power', () => {
+  const interim = {
+    n1: 50,
+    mean1: 20,
+    sd1: 10,
+    n2: 50,
+    mean2: 23,
+    sd2: 10,
+    finalN1: 100,
+    finalN2: 100
+  }
+
+  // ========================================================
+  // 连续终点
+  // ========================================================
+  describe('连续终点', () => {
+    it('优效: 与手算值一致', () => {
+      const result = calculateConditionalPowerContinuous({
+        ...interim,
+        studyType: 'superiority',
+        alpha: 0.025,
+        expectedDiff: 5
+      })
+      expect(result.diff).toBe(3)
+      expect(result.se).toBeCloseTo(2, 12)
+      expect(result.informationFraction).toBeCloseTo(0.5, 12)
+      expect(result.conditionalPower.trend).toBeCloseTo(0.5903, 4)
+      expect(result.conditionalPower.h1).toBeCloseTo(0.8903, 4)
+      expect(result.conditionalPower.h0).toBeCloseTo(0.1017, 4)
+      expect(result.predictiveProbability).toBeCloseTo(0.5641, 4)
+    })
+
+    it('优效: 与 B 值公式一致（不等信息比例）', () => {
+      const result = calculateConditionalPowerContinuous({
+        ...interim,
+        finalN1: 160,
+        finalN2: 160,
+        studyType: 'superiority',
+        alpha: 0.025
+      })
+      const t = 50 / 160
+      const zn = 1.5
+      expect(result.informationFraction).toBeCloseTo(t, 12)
+      expect(result.conditionalPower.trend).toBeCloseTo(
+        normalCDF((zn / Math.sqrt(t) - Z_ALPHA) / Math.sqrt(1 - t)),
+        10
+      )
+      expect(result.predictiveProbability).toBeCloseTo(
+        normalCDF((zn / Math.sqrt(t) - Z_ALPHA) * Math.sqrt(t / (1 - t))),
+        10
+      )
+      // 优效未给定 H1 真值
+      expect(result.conditionalPower.h1).toBeNaN()
+    })
+
+    it('非劣效: H0 取 −δ，H1 默认两组相同', () => {
+      const result = calculateConditionalPowerContinuous({
+        ...interim,
+        studyType: 'non-inferiority',
+        margin: 4,
+        alpha: 0.025
+      })
+      // 以 −δ 为零点: Z_n = (3 + 4) / 2 = 3.5，θ 相对零点的漂移 = (θ + δ)·√I_N
+      const t = 0.5
+      const sqrtInfoFinal = 1 / Math.sqrt(2)
+      const cp = theta =>
+        normalCDF(
+          (3.5 * Math.sqrt(t) + (theta + 4) * sqrtInfoFinal * (1 - t) - Z_ALPHA) / Math.sqrt(1 - t)
+        )
+      expect(result.conditionalPower.h0).toBeCloseTo(cp(-4), 10)
+      expect(result.conditionalPower.h1).toBeCloseTo(cp(0), 10)
+      expect(result.conditionalPower.trend).toBeCloseTo(cp(3), 10)
+    })
+
+    it('等效: 成功域为 TOST 双侧，H0 取条件成功概率较大的界值', () => {
+      const result = calculateConditionalPowerContinuous({
+        ...interim,
+        studyType: 'equivalence',
+        margin: 8,
+        alpha: 0.025
+      })
+      // 终末 SE = √2，成功域 (−8 + z√2, 8 − z√2)；期中 I_n = I_N / 2 ⇒ 条件 SD = 1
+      const bound = 8 - Z_ALPHA * Math.sqrt(2)
+      const cp = theta => {
+        const mean = (3 + theta) / 2
+        return normalCDF(bound - mean) - normalCDF(-bound - mean)
+      }
+      expect(result.conditionalPower.trend).toBeCloseTo(cp(3), 10)
+      expect(result.conditionalPower.h1).toBeCloseTo(cp(0), 10)
+      expect(result.conditionalPower.h0).toBeCloseTo(Math.max(cp(8), cp(-8)), 10)
+      expect(result.conditionalPower.h0).toBeLessThan(result.conditionalPower.h1)
+    })
+
+    it('预测概率介于 0.5 与趋势条件功效之间（趋势有利时）', () => {
+      const result = calculateConditionalPowerContinuous({
+        ...interim,
+        mean2: 26,
+        studyType: 'superiority',
+        alpha: 0.025
+      })
+      expect(result.predictiveProbability).toBeGreaterThan(0.5)
+      expect(result.predictiveProbability).toBeLessThan(result.conditionalPower.trend)
+    })
+  })
+
+  // ========================================================
+  // 率终点
+  // ========================================================
+  describe('率终点', () => {
+    it('非劣效: 与 B 值公式一致', () => {
+      const result = calculateConditionalPower({
+        n1: 100,
+        s1: 80,
+        n2: 100,
+        s2: 78,
+        finalN1: 200,
+        finalN2: 200,
+        studyType: 'non-inferiority',
+        margin: 0.1,
+        alpha: 0.025
+      })
+      const se = Math.sqrt((0.8 * 0.2 + 0.78 * 0.22) / 100)
+      const zn = (-0.02 + 0.1) / se
+      const t = 0.5
+      expect(result.diff).toBeCloseTo(-0.02, 12)
+      expect(result.se).toBeCloseTo(se, 12)
+      expect(result.conditionalPower.trend).toBeCloseTo(
+        normalCDF((zn / Math.sqrt(t) - Z_ALPHA) / Math.sqrt(1 - t)),
+        10
+      )
+      expect(result.predictiveProbability).toBeCloseTo(
+        normalCDF((zn / Math.sqrt(t) - Z_ALPHA) * Math.sqrt(t / (1 - t))),
+        10
+      )
+      expect(result.conditionalPower.h1).toBeGreaterThan(result.conditionalPower.trend)
+      expect(result.conditionalPower.h0).toBeLessThan(0.1)
+    })
+
+    it('优效: 给定 H1 率差时 CP_H1 > CP_H0', () => {
+      const result = calculateConditionalPower({
+        n1: 60,
+        s1: 30,
+        n2: 60,
+        s2: 39,
+        finalN1: 120,
+        finalN2: 120,
+        studyType: 'superiority',
+        alpha: 0.025,
+        expectedDiff: 0.15
+      })
+      expect(result.conditionalPower.h1).toBeGreaterThan(result.conditionalPower.h0)
+      expect(result.conditionalPower.trend).toBeGreaterThan(result.conditionalPower.h0)
+    })
+  })
+
+  // ========================================================
+  // 参数无效
+  // ========================================================
+  describe('参数无效', () => {
+    const base = {
+      n1: 50,
+      s1: 40,
+      n2: 50,
+      s2: 38,
+      finalN1: 100,
+      finalN2: 100,
+      margin: 0.1,
+      alpha: 0.025
+    }
+
+    it('返回 NaN 形态', () => {
+      for (const params of [
+        { ...base, studyType: 'bioequivalence' },
+        { ...base, margin: 0 },
+        { ...base, alpha: 0 },
+        { ...base, finalN1: 50, finalN2: 50 },
+        { ...base, finalN1: 40 },
+        { ...base, s1: 51 },
+        { ...base, s1: 0, s2: 0 },
+        { ...base, expectedDiff: NaN }
+      ]) {
+        const result = calculateConditionalPower(params)
+        expect(result.conditionalPower.trend).toBeNaN()
+        expect(result.predictiveProbability).toBeNaN()
+      }
+      expect(
+        calculateConditionalPowerContinuous({
+          ...interim,
+          sd1: 0,
+          studyType: 'superiority',
+          alpha: 0.025
+        }).conditionalPower.trend
+      ).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,410 @@
+/**
+ * @file sample-size-reestimation.test.js
+ * @description 样本量再估计测试（盲态合并率 / 合并方差、Mehta-Pocock 有希望区域、CHW 加权检验）
+ *
+ * 验证数据来源:
+ * - 盲态: 再估计参数代入 calculate*SampleSize 的结果应与直接调用一致
+ * - 非盲态: 趋势下条件功效 CP = Φ[(Z_1/√t − Z_{1−α}) / √(1 − t)]（Lan & Wittes 1988，计划样本量下
+ *   CHW 统计量与常规统计量相同）；调整后条件功效达到目标功效
+ * - CHW: H0 下 ∫ P(Z_CHW ≥ Z_{1−α} | Z_1) φ(Z_1) dZ_1 = α（与第二阶段样本量无关）
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateBlindedReestimation,
+  calculatePromisingZone,
+  calculateCHWTest
+} from '../../src/interim-analysis/sample-size-reestimation'
+import { calculateNISampleSize } from '../../src/sample-size/two-group/non-inferiority'
+import {
+  calculateSupSampleSize,
+  calculateSupSampleSizeContinuous
+} from '../../src/sample-size/two-group/superiority'
+import { calculateEqSampleSizeContinuous } from '../../src/sample-size/two-group/equivalence'
+import { normalCDF, normalInverse } from '../../src/core/normal-distribution'
+import { integrate } from '../../src/core/quadrature'
+
+describe('interim-analysis/sample-size-reestimation', () => {
+  // ========================================================
+  // 盲态再估计
+  // ========================================================
+  describe('盲态再估计', () => {
+    it('率终点非劣效: 合并率即两组共同率', () => {
+      const result = calculateBlindedReestimation({
+        pooledN: 120,
+        pooledEvents: 90,
+        margin: 0.1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.p1).toBeCloseTo(0.75, 12)
+      expect(result.p2).toBeCloseTo(0.75, 12)
+      const direct = calculateNISampleSize(0.75, 0.75, 0.1, 0.025, 0.8, 1)
+      expect(result.n1).toBe(direct.n1)
+      expect(result.n2).toBe(direct.n2)
+    })
+
+    it('率终点优效: 按分配比拆分合并率', () => {
+      // k = 2，Δ = 0.15，p̄ = 0.5 ⇒ p1 = 0.5 − 2·0.15/3 = 0.4，p2 = 0.55
+      const result = calculateBlindedReestimation({
+        studyType: 'superiority',
+        pooledN: 90,
+        pooledEvents: 45,
+        expectedDiff: 0.15,
+        alpha: 0.025,
+        power: 0.9,
+        ratio: 2
+      })
+      expect(result.p1).toBeCloseTo(0.4, 12)
+      expect(result.p2).toBeCloseTo(0.55, 12)
+      const direct = calculateSupSampleSize(0.4, 0.55, 0.025, 0.9, 2)
+      expect(result.n1).toBe(direct.n1)
+      expect(result.n2).toBe(direct.n2)
+    })
+
+    it('连续终点: 单样本方差（默认）', () => {
+      const result = calculateBlindedReestimation({
+        endpoint: 'continuous',
+        studyType: 'superiority',
+        pooledN: 100,
+        pooledSd: 8,
+        expectedDiff: 2,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.sigma).toBe(8)
+      expect(result.n1).toBe(calculateSupSampleSizeContinuous(8, 2, 0.025, 0.8, 1).n1)
+    })
+
+    it('连续终点: 调整方差 σ̂² = S² − Δ²/4（k = 1）', () => {
+      const result = calculateBlindedReestimation({
+        endpoint: 'continuous',
+        studyType: 'superiority',
+        pooledN: 100,
+        pooledSd: 8,
+        expectedDiff: 2,
+        alpha: 0.025,
+        power: 0.8,
+        varianceMethod: 'adjusted'
+      })
+      expect(result.sigma).toBeCloseTo(Math.sqrt(63), 12)
+      expect(result.n1).toBe(calculateSupSampleSizeContinuous(Math.sqrt(63), 2, 0.025, 0.8, 1).n1)
+      expect(result.n1).toBeLessThan(calculateSupSampleSizeContinuous(8, 2, 0.025, 0.8, 1).n1)
+    })
+
+    it('连续终点等效: 传递 method 至样本量函数', () => {
+      const result = calculateBlindedReestimation({
+        endpoint: 'continuous',
+        studyType: 'equivalence',
+        pooledN: 60,
+        pooledSd: 10,
+        margin: 5,
+        alpha: 0.025,
+        power: 0.9,
+        method: 't'
+      })
+      expect(result.n1).toBe(calculateEqSampleSizeContinuous(10, 5, 0.025, 0.9, 1, 0, 't').n1)
+    })
+
+    it('参数无效返回 NaN: 不支持的终点与研究类型', () => {
+      const count = calculateBlindedReestimation({
+        endpoint: 'count',
+        pooledN: 100,
+        pooledEvents: 50,
+        margin: 0.1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(count.n1).toBeNaN()
+
+      const bioequivalence = calculateBlindedReestimation({
+        studyType: 'bioequivalence',
+        pooledN: 100,
+        pooledEvents: 50,
+        margin: 0.1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(bioequivalence.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN: 合并事件数超过合并例数', () => {
+      const result = calculateBlindedReestimation({
+        pooledN: 100,
+        pooledEvents: 101,
+        margin: 0.1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN: 拆分后的率越界', () => {
+      // p̄ = 0.05，p1 = 0.05 − 0.2/2 < 0
+      const result = calculateBlindedReestimation({
+        pooledN: 100,
+        pooledEvents: 5,
+        expectedDiff: 0.2,
+        margin: 0.1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN: 合并标准差为 0', () => {
+      const result = calculateBlindedReestimation({
+        endpoint: 'continuous',
+        pooledN: 100,
+        pooledSd: 0,
+        margin: 2,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN: 调整方差非正', () => {
+      // S² − Δ²/4 = 1 − 9/4 < 0
+      const result = calculateBlindedReestimation({
+        endpoint: 'continuous',
+        studyType: 'superiority',
+        pooledN: 100,
+        pooledSd: 1,
+        expectedDiff: 3,
+        alpha: 0.025,
+        power: 0.8,
+        varianceMethod: 'adjusted'
+      })
+      expect(result.n1).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 非盲态再估计（有希望区域）
+  // ========================================================
+  describe('有希望区域', () => {
+    // 计划各 221 例，期中各 104 例
+    const interimN = { n1: 104, n2: 104 }
+    const plannedN = { n1: 221, n2: 221 }
+    const t = 104 / 221
+    const zAlpha = normalInverse(0.975)
+
+    it('计划样本量下条件功效与 B 值公式一致，CHW 权重为 √t、√(1 − t)', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.informationFraction).toBeCloseTo(t, 12)
+      expect(result.weights.w1).toBeCloseTo(Math.sqrt(t), 12)
+      expect(result.weights.w2).toBeCloseTo(Math.sqrt(1 - t), 12)
+      expect(result.conditionalPower).toBeCloseTo(
+        normalCDF((1.3 / Math.sqrt(t) - zAlpha) / Math.sqrt(1 - t)),
+        10
+      )
+    })
+
+    it('不利区域: 维持计划样本量', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.0,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.zone).toBe('unfavorable')
+      expect(result.n1).toBe(221)
+    })
+
+    it('有希望区域: 增加至目标功效的最小样本量', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.6,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.zone).toBe('promising')
+      expect(result.n1).toBeGreaterThan(221)
+      expect(result.adjustedConditionalPower).toBeGreaterThanOrEqual(0.8)
+
+      // 最小增量: 少 1 例即达不到目标功效
+      const short = calculatePromisingZone({
+        zInterim: 1.6,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8,
+        maxN: { n1: result.n1 - 1, n2: result.n2 - 1 }
+      })
+      expect(short.adjustedConditionalPower).toBeLessThan(0.8)
+    })
+
+    it('有利区域: 维持计划样本量', () => {
+      const result = calculatePromisingZone({
+        zInterim: 2.2,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.zone).toBe('favorable')
+      expect(result.n1).toBe(221)
+      expect(result.adjustedConditionalPower).toBe(result.conditionalPower)
+    })
+
+    it('样本量增加不超过最大样本量（默认 2 倍）', () => {
+      const capped = calculatePromisingZone({
+        zInterim: 1.15,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(capped.zone).toBe('promising')
+      expect(capped.n1).toBe(442)
+      expect(capped.adjustedConditionalPower).toBeLessThan(0.8)
+    })
+
+    it('样本量增加不超过自定义最大样本量', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.15,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8,
+        maxN: { n1: 300, n2: 300 }
+      })
+      expect(result.n1).toBe(300)
+    })
+
+    it('cpMin 决定有希望区域下限', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.0,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8,
+        cpMin: 0.2
+      })
+      expect(result.zone).toBe('promising')
+    })
+
+    it('非等分配: 保持计划分配比', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.6,
+        interimN: { n1: 60, n2: 120 },
+        plannedN: { n1: 130, n2: 260 },
+        alpha: 0.025,
+        power: 0.9
+      })
+      expect(result.zone).toBe('promising')
+      expect(result.n2).toBe(2 * result.n1)
+    })
+
+    it('参数无效返回 NaN 形态: 期中 Z 值或 α 无效', () => {
+      const zInterim = calculatePromisingZone({
+        zInterim: NaN,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(zInterim.zone).toBeNull()
+      expect(zInterim.n1).toBeNaN()
+
+      const alpha = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN,
+        plannedN,
+        alpha: 0,
+        power: 0.8
+      })
+      expect(alpha.zone).toBeNull()
+      expect(alpha.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN 形态: cpMin 不低于目标功效', () => {
+      const result = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8,
+        cpMin: 0.9
+      })
+      expect(result.zone).toBeNull()
+      expect(result.n1).toBeNaN()
+    })
+
+    it('参数无效返回 NaN 形态: 样本量关系无效', () => {
+      // 期中样本量达到计划样本量
+      const interimAtPlanned = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN: { n1: 221, n2: 221 },
+        plannedN,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(interimAtPlanned.zone).toBeNull()
+      expect(interimAtPlanned.n1).toBeNaN()
+
+      // 最大样本量小于计划样本量
+      const maxBelowPlanned = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN,
+        plannedN,
+        alpha: 0.025,
+        power: 0.8,
+        maxN: { n1: 200, n2: 200 }
+      })
+      expect(maxBelowPlanned.zone).toBeNull()
+      expect(maxBelowPlanned.n1).toBeNaN()
+
+      const emptyPlanned = calculatePromisingZone({
+        zInterim: 1.3,
+        interimN,
+        plannedN: { n1: 0, n2: 221 },
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(emptyPlanned.zone).toBeNull()
+      expect(emptyPlanned.n1).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // CHW 加权检验
+  // ========================================================
+  describe('CHW 加权检验', () => {
+    const weights = { w1: Math.sqrt(0.5), w2: Math.sqrt(0.5) }
+
+    it('加权统计量与检验结论', () => {
+      const result = calculateCHWTest(1.5, 1.4, weights, 0.025)
+      expect(result.statistic).toBeCloseTo((1.5 + 1.4) / Math.sqrt(2), 12)
+      expect(result.reject).toBe(true)
+      expect(calculateCHWTest(1.5, 1.0, weights, 0.025).reject).toBe(false)
+    })
+
+    it('H0 下 I 类错误为 α（与第二阶段样本量无关）', () => {
+      const zAlpha = normalInverse(0.975)
+      const typeI = integrate(
+        z1 =>
+          (Math.exp(-0.5 * z1 * z1) / Math.sqrt(2 * Math.PI)) *
+          (1 - normalCDF((zAlpha - weights.w1 * z1) / weights.w2)),
+        -10,
+        10,
+        40
+      )
+      expect(typeI).toBeCloseTo(0.025, 8)
+    })
+
+    it('权重无效返回 NaN', () => {
+      expect(calculateCHWTest(1.5, 1.4, { w1: 0.5, w2: 0.5 }, 0.025).statistic).toBeNaN()
+      expect(calculateCHWTest(1.5, NaN, weights, 0.025).reject).toBe(false)
+    })
+  })
+})
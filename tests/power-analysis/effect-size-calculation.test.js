@@ -33,8 +33,10 @@ import {
   calculateMDE_OneSample,
   calculateMDE_OneSampleContinuous,
   calculateMDE_Paired,
-  calculateMDE_PairedContinuous
+  calculateMDE_PairedContinuous,
+  calculateMDE_Survival
 } from '../../src/power-analysis/effect-size-calculation'
+import { calculatePowerSurvival } from '../../src/power-analysis/power-calculation'
 import {
   calculateNISampleSize,
   calculateNISampleSizeContinuous
@@ -55,6 +57,7 @@ import {
   calculatePairedSampleSize,
   calculatePairedSampleSizeContinuous
 } from '../../src/sample-size/paired'
+import { calculateSurvivalSampleSize } from '../../src/survival/log-rank-sample-size'
 
 // 率终点（二分搜索）绝对容差
 const P_TOL = 0.01
@@ -143,6 +146,51 @@ describe('calculateMDE_Sup - 两组优效率终点', () => {
   })
 })
 
+// ══════════════════════════════════════════════════════════════
+// 两组比较 - 率终点 - 比值尺度（RR / OR）
+// 反推变量: p2；mde 换算为 RR / OR，effectSize = ln(mde / M)
+// 函数签名: calculateMDE_NI(n1, p1, delta, alpha, power, ratio, scale)
+// ══════════════════════════════════════════════════════════════
+describe('calculateMDE_NI / calculateMDE_Sup - 比值尺度', () => {
+  it('RR 非劣效回代闭环: p1=p2=0.85 M=0.9 → p2Min≈0.85，mde≈1', () => {
+    const f = calculateNISampleSize(0.85, 0.85, 0.9, 0.025, 0.8, 1, 'ratio')
+    const r = calculateMDE_NI(f.n1, 0.85, 0.9, 0.025, 0.8, 1, 'ratio')
+    expect(r.converged).toBe(true)
+    expectPropClose(r.p2Min, 0.85)
+    expect(r.mde).toBeCloseTo(r.p2Min / 0.85, 12)
+    expect(r.effectSize).toBeCloseTo(Math.log(r.mde / 0.9), 12)
+  })
+
+  it('OR 非劣效回代闭环: p1=p2=0.85 M=0.5', () => {
+    const f = calculateNISampleSize(0.85, 0.85, 0.5, 0.025, 0.8, 1, 'oddsRatio')
+    const r = calculateMDE_NI(f.n1, 0.85, 0.5, 0.025, 0.8, 1, 'oddsRatio')
+    expectPropClose(r.p2Min, 0.85)
+    expect(r.mde).toBeLessThan(1)
+    expect(r.mde).toBeGreaterThan(0.95)
+  })
+
+  it('优效回代闭环: p1=0.6 p2=0.75 → RR≈1.25，统一入口透传 scale', () => {
+    const f = calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'ratio')
+    const r = calculateMDE_Sup(f.n1, 0.6, 0.025, 0.8, 1, 'ratio')
+    expectPropClose(r.p2Min, 0.75)
+    expect(r.mde).toBeCloseTo(r.p2Min / 0.6, 12)
+    const viaEntry = calculateMDE({
+      studyType: 'superiority',
+      n1: f.n1,
+      p1: 0.6,
+      alpha: 0.025,
+      power: 0.8,
+      scale: 'ratio'
+    })
+    expect(viaEntry).toEqual(r)
+  })
+
+  it('无效尺度或界值 → NaN', () => {
+    expect(calculateMDE_NI(264, 0.85, 0, 0.025, 0.8, 1, 'ratio').mde).toBeNaN()
+    expect(calculateMDE_Sup(152, 0.6, 0.025, 0.8, 1, 'rr').mde).toBeNaN()
+  })
+})
+
 // ══════════════════════════════════════════════════════════════
 // 两组比较 - 率终点 - 等效
 // 反推变量: delta；闭环 calculateEqSampleSize(p1,p2,delta,α,power,k)=n1
@@ -409,6 +457,59 @@ describe('calculateMDE_PairedContinuous - 配对连续终点', () => {
 // 统一入口 calculateMDE —— 验证路由分派正确
 // 分派结果应与直接调用对应 MDE 函数完全一致
 // ══════════════════════════════════════════════════════════════
+// ══════════════════════════════════════════════════════════════
+// 生存终点 - 最小可检测 HR
+// 闭式解；闭环 calculateSurvivalSampleSize({hr}) 事件数 ≈ events
+// 函数签名: calculateMDE_Survival(events, alpha, power, ratio, studyType, margin, method)
+// ══════════════════════════════════════════════════════════════
+describe('calculateMDE_Survival - 生存终点 (Log-rank)', () => {
+  it('Schoenfeld 闭环: MDE-HR 回代样本量 → 事件数一致', () => {
+    const r = calculateMDE_Survival(247, 0.025, 0.8)
+    expect(r.converged).toBe(true)
+    expect(r.mde).toBeLessThan(1)
+    expect(r.logHR).toBeCloseTo(Math.log(r.mde), 12)
+    const back = calculateSurvivalSampleSize({ hr: r.mde, alpha: 0.025, power: 0.8 })
+    // 回代 D_raw 恰为 247，ceil 受浮点误差影响允许 ±1
+    expect(Math.abs(back.events - 247)).toBeLessThanOrEqual(1)
+  })
+
+  it('事件数 / HR / 效能三者自洽: power(events, MDE-HR) = 目标效能', () => {
+    const r = calculateMDE_Survival(300, 0.025, 0.9, 2)
+    const p = calculatePowerSurvival(300, r.mde, 0.025, 2)
+    expect(p.power).toBeCloseTo(0.9, 6)
+  })
+
+  it('Freedman 闭环: power(events, MDE-HR) = 目标效能', () => {
+    const r = calculateMDE_Survival(253, 0.025, 0.8, 1, 'superiority', undefined, 'freedman')
+    expect(r.converged).toBe(true)
+    const p = calculatePowerSurvival(253, r.mde, 0.025, 1, 'superiority', undefined, 'freedman')
+    expect(p.power).toBeCloseTo(0.8, 6)
+  })
+
+  it('非劣效: MDE-HR < 界值，事件数越多越接近界值', () => {
+    const small = calculateMDE_Survival(200, 0.025, 0.8, 1, 'non-inferiority', 1.3)
+    const large = calculateMDE_Survival(800, 0.025, 0.8, 1, 'non-inferiority', 1.3)
+    expect(small.mde).toBeLessThan(large.mde)
+    expect(large.mde).toBeLessThan(1.3)
+  })
+
+  it('Freedman 事件数过少 → 无解', () => {
+    const r = calculateMDE_Survival(5, 0.025, 0.8, 1, 'superiority', undefined, 'freedman')
+    expect(r.mde).toBeNaN()
+    expect(r.converged).toBe(false)
+  })
+
+  it('无效输入 → NaN', () => {
+    expect(calculateMDE_Survival(0, 0.025, 0.8).mde).toBeNaN()
+    expect(calculateMDE_Survival(300, 0.025, 0.8, 1, 'non-inferiority').mde).toBeNaN()
+    expect(calculateMDE_Survival(300, 0.025, 0.8, 1, 'non-inferiority', 1.3, 'freedman').mde).toBeNaN()
+    // 统一参数验证: 类型无效 / 域外
+    expect(calculateMDE_Survival(NaN, 0.025, 0.8).mde).toBeNaN()
+    expect(calculateMDE_Survival(300, 0.025, 0.8, 0).mde).toBeNaN()
+    expect(calculateMDE_Survival(300, 0.025, 1).converged).toBe(false)
+  })
+})
+
 describe('calculateMDE - 统一入口路由', () => {
   it('two-group / non-inferiority / proportion 路由 → calculateMDE_NI', () => {
     const viaEntry = calculateMDE({
@@ -445,6 +546,22 @@ describe('calculateMDE - 统一入口路由', () => {
     expect(viaEntry.p01Min).toBe(direct.p01Min)
   })
 
+  it('survival 路由 → calculateMDE_Survival', () => {
+    const viaEntry = calculateMDE({
+      designType: 'survival',
+      studyType: 'non-inferiority',
+      events: 400, margin: 1.3, alpha: 0.025, power: 0.8, ratio: 1
+    })
+    const direct = calculateMDE_Survival(400, 0.025, 0.8, 1, 'non-inferiority', 1.3)
+    expect(viaEntry.mde).toBe(direct.mde)
+  })
+
+  it('survival 路由: 未指定 studyType 时按优效', () => {
+    const viaEntry = calculateMDE({ designType: 'survival', events: 247, alpha: 0.025, power: 0.8 })
+    expect(viaEntry.mde).toBeCloseTo(0.7, 2)
+    expect(viaEntry).toEqual(calculateMDE_Survival(247, 0.025, 0.8, 1, 'superiority'))
+  })
+
   it('未知设计类型 → mde NaN（现状锁定）', () => {
     const r = calculateMDE({ designType: 'xxx' })
     expect(r.mde).toBeNaN()
@@ -10,6 +10,9 @@
  * @references
  * [1] Chow SC et al. Sample Size Calculations in Clinical Research. 3rd ed. 2017.
  * [2] Cohen J. Statistical Power Analysis for the Behavioral Sciences. 2nd ed. 1988.
+ * [3] Farrington CP, Manning G. Stat Med. 1990;9(12):1447-1454.
+ *     (RR 尺度: tests/fixtures/python/proportion-ratio-scale.py，p₁ = p₂ = 0.85、M = 0.9:
+ *     n₁ = 263 → 0.79904369，264 → 0.80057039)
  */
 
 import { describe, it, expect } from 'vitest'
@@ -22,10 +25,12 @@ import {
   calculatePowerOneSample,
   calculatePowerOneSampleContinuous,
   calculatePowerPaired,
-  calculatePowerPairedContinuous
+  calculatePowerPairedContinuous,
+  calculatePowerSurvival
 } from '../../src/power-analysis/power-calculation'
 import { calculateNISampleSize } from '../../src/sample-size/two-group/non-inferiority'
 import { calculateSupSampleSize } from '../../src/sample-size/two-group/superiority'
+import { calculateSurvivalSampleSize } from '../../src/survival/log-rank-sample-size'
 
 describe('效能反推计算', () => {
   // ========================================================
@@ -74,6 +79,49 @@ describe('效能反推计算', () => {
     })
   })
 
+  // ========================================================
+  // 两组比较 - 率终点 - 比值尺度（RR / OR）
+  // 函数签名: calculatePowerNI(n1, p1, p2, delta, alpha, ratio, scale)
+  // ========================================================
+  describe('两组率终点 - 比值尺度', () => {
+    it('RR 非劣效: Farrington-Manning 效能与样本量互逆', () => {
+      expect(calculatePowerNI(263, 0.85, 0.85, 0.9, 0.025, 1, 'ratio').power).toBeCloseTo(
+        0.79904369,
+        7
+      )
+      expect(calculatePowerNI(264, 0.85, 0.85, 0.9, 0.025, 1, 'ratio').power).toBeCloseTo(
+        0.80057039,
+        7
+      )
+    })
+
+    it('OR 非劣效 / 优效: 反向验证', () => {
+      const ni = calculateNISampleSize(0.85, 0.85, 0.5, 0.025, 0.8, 1, 'oddsRatio')
+      expect(
+        calculatePowerNI(ni.n1, 0.85, 0.85, 0.5, 0.025, 1, 'oddsRatio').power
+      ).toBeGreaterThanOrEqual(0.8)
+      expect(
+        calculatePowerNI(ni.n1 - 1, 0.85, 0.85, 0.5, 0.025, 1, 'oddsRatio').power
+      ).toBeLessThan(0.8)
+
+      const sup = calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'ratio')
+      expect(calculatePowerSup(sup.n1, 0.6, 0.75, 0.025, 1, 'ratio').power).toBeGreaterThanOrEqual(
+        0.8
+      )
+      expect(calculatePowerSup(sup.n1 - 1, 0.6, 0.75, 0.025, 1, 'ratio').power).toBeLessThan(0.8)
+    })
+
+    it('统一入口透传 scale；界值无效返回 NaN', () => {
+      const result = calculatePower({
+        studyType: 'non-inferiority',
+        n1: 264, p1: 0.85, p2: 0.85, delta: 0.9, alpha: 0.025, scale: 'ratio'
+      })
+      expect(result).toEqual(calculatePowerNI(264, 0.85, 0.85, 0.9, 0.025, 1, 'ratio'))
+      expect(calculatePowerNI(264, 0.85, 0.85, -0.1, 0.025, 1, 'ratio').power).toBeNaN()
+      expect(calculatePowerSup(100, 0.6, 0.75, 0.025, 1, 'relative').power).toBeNaN()
+    })
+  })
+
   // ========================================================
   // 两组比较 - 等效 (TOST)
   // 函数签名: calculatePowerEq(n1, p1, p2, delta, alpha, ratio)
@@ -158,6 +206,54 @@ describe('效能反推计算', () => {
     })
   })
 
+  // 函数签名: calculatePowerSurvival(events, hr, alpha, ratio, studyType, margin, method)
+  describe('生存终点 - Log-rank', () => {
+    it('反向验证: Schoenfeld 事件数 → 效能 ≥ 目标且接近', () => {
+      const ss = calculateSurvivalSampleSize({ hr: 0.7, alpha: 0.025, power: 0.8 })
+      const result = calculatePowerSurvival(ss.events, 0.7, 0.025)
+      expect(result.power).toBeGreaterThanOrEqual(0.8)
+      expect(result.power).toBeLessThan(0.805)
+    })
+
+    it('反向验证: Freedman 事件数 → 效能 ≥ 目标且接近', () => {
+      const ss = calculateSurvivalSampleSize({ hr: 0.7, alpha: 0.025, power: 0.8, method: 'freedman' })
+      const result = calculatePowerSurvival(ss.events, 0.7, 0.025, 1, 'superiority', undefined, 'freedman')
+      expect(result.power).toBeGreaterThanOrEqual(0.8)
+      expect(result.power).toBeLessThan(0.805)
+    })
+
+    it('反向验证: 非劣效 + 2:1 分配', () => {
+      const ss = calculateSurvivalSampleSize({
+        hr: 1, alpha: 0.025, power: 0.9, ratio: 2, studyType: 'non-inferiority', margin: 1.25
+      })
+      const result = calculatePowerSurvival(ss.events, 1, 0.025, 2, 'non-inferiority', 1.25)
+      expect(result.power).toBeGreaterThanOrEqual(0.9)
+      expect(result.power).toBeLessThan(0.905)
+    })
+
+    it('非劣效: 真实 HR 超过界值时效能低于 α', () => {
+      const result = calculatePowerSurvival(400, 1.4, 0.025, 1, 'non-inferiority', 1.3)
+      expect(result.power).toBeLessThan(0.025)
+    })
+
+    it('HR = 1 优效 → power 0', () => {
+      const result = calculatePowerSurvival(300, 1, 0.025)
+      expect(result.power).toBe(0)
+    })
+
+    it('无效输入 → NaN（事件数 ≤ 0 / 缺界值 / Freedman 非劣效 / LF）', () => {
+      expect(calculatePowerSurvival(0, 0.7, 0.025).power).toBeNaN()
+      expect(calculatePowerSurvival(300, 0, 0.025).power).toBeNaN()
+      expect(calculatePowerSurvival(300, 1, 0.025, 1, 'non-inferiority').power).toBeNaN()
+      expect(
+        calculatePowerSurvival(300, 1, 0.025, 1, 'non-inferiority', 1.3, 'freedman').power
+      ).toBeNaN()
+      expect(
+        calculatePowerSurvival(300, 0.7, 0.025, 1, 'superiority', undefined, 'lachin-foulkes').power
+      ).toBeNaN()
+    })
+  })
+
   // ========================================================
   // 统一入口（使用对象参数）
   // ========================================================
@@ -173,6 +269,21 @@ describe('效能反推计算', () => {
       expect(result.power).toBeGreaterThan(0.5)
     })
 
+    it('survival 路由 → calculatePowerSurvival', () => {
+      const result = calculatePower({
+        designType: 'survival',
+        studyType: 'superiority',
+        events: 247, hr: 0.7, alpha: 0.025, ratio: 1
+      })
+      expect(result).toEqual(calculatePowerSurvival(247, 0.7, 0.025, 1, 'superiority'))
+    })
+
+    it('survival 路由: 未指定 studyType 时按优效', () => {
+      const result = calculatePower({ designType: 'survival', events: 247, hr: 0.7, alpha: 0.025 })
+      expect(result.power).toBeCloseTo(0.8, 2)
+      expect(result).toEqual(calculatePowerSurvival(247, 0.7, 0.025, 1, 'superiority'))
+    })
+
     it('未知设计类型返回 NaN power', () => {
       const result = calculatePower({
         designType: 'unknown',
@@ -0,0 +1,138 @@
+/**
+ * @file cluster.test.js
+ * @description 整群随机试验结果验证测试（率终点，ICC 校正标准误）
+ *
+ * 验证数据来源:
+ * - 示例数据（每组 6 个群）按个体水平 0/1 数据单因素方差分析（群嵌套于组）独立计算:
+ *   ρ̂ = 0.1435422，DE₁ = 4.122595，DE₂ = 4.260609，SE = 0.1228438（未校正 0.0599993）
+ * - 性质检验: ρ = 0 且正态临界值时与 calculateSupResult（Wald）一致；
+ *   按实际群大小的 DE 等于 Eldridge 公式（CV 取总体标准差 / 均值）
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateClusterResult, estimateClusterICC } from '../../src/result-validation/cluster'
+import { calculateSupResult } from '../../src/result-validation/two-group'
+import { calculateDesignEffect } from '../../src/cluster/design-effect'
+
+const toClusters = rows => rows.map(([n, events]) => ({ n, events }))
+const clusters1 = toClusters([
+  [20, 2],
+  [25, 12],
+  [15, 3],
+  [30, 18],
+  [22, 4],
+  [18, 9]
+])
+const clusters2 = toClusters([
+  [18, 12],
+  [30, 10],
+  [22, 15],
+  [26, 8],
+  [17, 11],
+  [24, 19]
+])
+
+describe('result-validation/cluster', () => {
+  describe('estimateClusterICC', () => {
+    it('与个体水平方差分析一致', () => {
+      expect(estimateClusterICC(clusters1, clusters2)).toBeCloseTo(0.1435422, 6)
+    })
+
+    it('群间变异小于期望时截断为 0', () => {
+      const homogeneous = toClusters([
+        [20, 10],
+        [20, 10],
+        [20, 10]
+      ])
+      expect(estimateClusterICC(homogeneous, homogeneous)).toBe(0)
+    })
+  })
+
+  describe('calculateClusterResult', () => {
+    it('ICC 校正标准误', () => {
+      const result = calculateClusterResult({
+        clusters1,
+        clusters2,
+        studyType: 'superiority',
+        alpha: 0.025
+      })
+      expect(result.icc).toBeCloseTo(0.1435422, 6)
+      expect(result.designEffect1).toBeCloseTo(4.122595, 5)
+      expect(result.designEffect2).toBeCloseTo(4.260609, 5)
+      expect(result.se).toBeCloseTo(0.1228438, 6)
+      expect(result.seUnadjusted).toBeCloseTo(0.0599993, 6)
+      expect(result.df).toBe(10)
+      expect(result.diff).toBeCloseTo(0.1782145, 6)
+      // 未校正时显著，校正后不显著
+      expect(result.isNonInferior).toBe(false)
+      expect(result.p_value).toBeGreaterThan(0.025)
+    })
+
+    it('ρ = 0、正态临界值时与两组 Wald 检验一致', () => {
+      const result = calculateClusterResult({
+        clusters1,
+        clusters2,
+        studyType: 'superiority',
+        alpha: 0.025,
+        icc: 0,
+        distribution: 'normal'
+      })
+      const wald = calculateSupResult(130, 48, 137, 75, 0.025, false, 'wald')
+      expect(result.ci_lower).toBeCloseTo(wald.ci_lower, 12)
+      expect(result.p_value).toBeCloseTo(wald.p_value, 12)
+      expect(result.testStatisticLabel).toBe(wald.testStatisticLabel)
+    })
+
+    it('按实际群大小的设计效应等于 Eldridge 公式', () => {
+      const sizes = clusters1.map(c => c.n)
+      const mean = sizes.reduce((a, b) => a + b, 0) / sizes.length
+      const sd = Math.sqrt(
+        sizes.reduce((acc, n) => acc + (n - mean) * (n - mean), 0) / sizes.length
+      )
+      const result = calculateClusterResult({
+        clusters1,
+        clusters2,
+        studyType: 'superiority',
+        alpha: 0.025,
+        icc: 0.05
+      })
+      expect(result.designEffect1).toBeCloseTo(calculateDesignEffect(0.05, mean, sd / mean), 12)
+    })
+
+    it('非劣效与等效判定', () => {
+      const ni = calculateClusterResult({ clusters1, clusters2, margin: 0.1, alpha: 0.025 })
+      expect(ni.ci_lower).toBeGreaterThan(-0.1)
+      expect(ni.isNonInferior).toBe(true)
+      const eq = calculateClusterResult({
+        clusters1,
+        clusters2,
+        studyType: 'equivalence',
+        margin: 0.1,
+        alpha: 0.05
+      })
+      expect(eq.isNonInferior).toBe(false)
+      expect(eq.testStatisticLabel).toMatch(/^t₁\(10\)/)
+    })
+
+    it('参数无效返回 NaN', () => {
+      expect(calculateClusterResult({ clusters1, clusters2, alpha: 0.025 }).p_value).toBeNaN()
+      expect(
+        calculateClusterResult({
+          clusters1: [{ n: 5, events: 6 }],
+          clusters2,
+          studyType: 'superiority',
+          alpha: 0.025
+        }).se
+      ).toBeNaN()
+      expect(
+        calculateClusterResult({
+          clusters1,
+          clusters2,
+          studyType: 'superiority',
+          alpha: 0.025,
+          icc: 1
+        }).se
+      ).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,167 @@
+/**
+ * @file count.test.js
+ * @description 计数终点结果验证测试（Poisson / 负二项率比）
+ *
+ * 验证数据来源:
+ * - tests/fixtures/python/count-negative-binomial.py：lgamma 形式的负二项对数似然，给定 κ 时
+ *   Newton 法求 λ̂_g，三分搜索最大化剖面似然得 κ̂（与 MASS::glm.nb 的估计与 Wald 标准误同义）
+ * - Poisson: λ̂ = Σy/Σt，SE(ln RR) = √(1/Y₁ + 1/Y₂) 手算
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateCountResult } from '../../src/result-validation/count.js'
+
+const toSubjects = (events, exposure) =>
+  events.map((e, i) => ({ events: e, exposure: exposure[i] }))
+
+const subjects1 = toSubjects(
+  [0, 2, 1, 5, 0, 3, 1, 0, 7, 2, 1, 0, 4, 2, 0, 1, 3, 0, 2, 6],
+  [1, 1, 0.5, 1, 1, 0.75, 1, 1, 1, 1, 0.5, 1, 1, 1, 0.25, 1, 1, 1, 1, 1]
+)
+const subjects2 = toSubjects(
+  [0, 1, 0, 2, 0, 1, 3, 0, 0, 1, 2, 0, 1, 0, 4, 0, 1, 0, 0, 2],
+  [1, 1, 1, 0.5, 1, 1, 1, 1, 0.8, 1, 1, 1, 1, 1, 1, 0.6, 1, 1, 1, 1]
+)
+
+describe('result-validation/count', () => {
+  describe('负二项', () => {
+    const result = calculateCountResult({
+      subjects1,
+      subjects2,
+      studyType: 'superiority',
+      alpha: 0.025
+    })
+
+    it('离散度与率的极大似然估计', () => {
+      expect(result.dispersion).toBeCloseTo(0.5748918, 6)
+      expect(result.rate1).toBeCloseTo(2.20772418, 7)
+      expect(result.rate2).toBeCloseTo(0.96159832, 7)
+      expect(result.rateRatio).toBeCloseTo(0.43556089, 7)
+      expect(result.se).toBeCloseTo(0.37313897, 7)
+    })
+
+    it('优效: Wald CI 与单侧 p 值', () => {
+      expect(result.ci_lower).toBeCloseTo(0.20961986, 7)
+      expect(result.ci_upper).toBeCloseTo(0.90503494, 7)
+      expect(result.testStatistic).toBeCloseTo(2.2273757, 6)
+      expect(result.p_value).toBeCloseTo(0.01296109, 7)
+      expect(result.isSuperior).toBe(true)
+      expect(result.events).toEqual({ control: 40, treatment: 18 })
+      expect(result.exposure.treatment).toBeCloseTo(18.9, 12)
+      expect(result.testStatisticLabel).toBe('Z = 2.23')
+    })
+
+    it('非劣效: Z = (ln M − ln RR)/SE', () => {
+      const niResult = calculateCountResult({ subjects1, subjects2, margin: 1.25, alpha: 0.025 })
+      expect(niResult.testStatistic).toBeCloseTo(2.825393, 6)
+      expect(niResult.p_value).toBeCloseTo(0.00236113, 7)
+      expect(niResult.isNonInferior).toBe(true)
+    })
+
+    it('欠离散数据 κ̂ = 0，退化为 Poisson', () => {
+      const flat1 = toSubjects([1, 1, 1, 1, 2, 2], [1, 1, 1, 1, 1, 1])
+      const flat2 = toSubjects([1, 1, 1, 1, 1, 1], [1, 1, 1, 1, 1, 1])
+      const nb = calculateCountResult({
+        subjects1: flat1,
+        subjects2: flat2,
+        studyType: 'superiority',
+        alpha: 0.025
+      })
+      const poisson = calculateCountResult({
+        subjects1: flat1,
+        subjects2: flat2,
+        studyType: 'superiority',
+        alpha: 0.025,
+        model: 'poisson'
+      })
+      expect(nb.dispersion).toBe(0)
+      expect(nb.se).toBeCloseTo(poisson.se, 12)
+    })
+  })
+
+  describe('Poisson', () => {
+    it('汇总计数: RR = (18/18.9)/(40/18)，SE = √(1/40 + 1/18)', () => {
+      const result = calculateCountResult({
+        subjects1: [{ events: 40, exposure: 18 }],
+        subjects2: [{ events: 18, exposure: 18.9 }],
+        studyType: 'superiority',
+        alpha: 0.025,
+        model: 'poisson'
+      })
+      expect(result.dispersion).toBe(0)
+      expect(result.rateRatio).toBeCloseTo(0.42857143, 8)
+      expect(result.se).toBeCloseTo(Math.sqrt(1 / 40 + 1 / 18), 12)
+      expect(result.ci_lower).toBeCloseTo(0.2457155, 6)
+      expect(result.ci_upper).toBeCloseTo(0.7475046, 6)
+      expect(result.p_value).toBeCloseTo(0.00141649, 7)
+    })
+
+    it('逐例数据与汇总数据结果相同', () => {
+      const individual = calculateCountResult({
+        subjects1,
+        subjects2,
+        studyType: 'superiority',
+        alpha: 0.025,
+        model: 'poisson'
+      })
+      expect(individual.rateRatio).toBeCloseTo(0.42857143, 8)
+      expect(individual.se).toBeCloseTo(Math.sqrt(1 / 40 + 1 / 18), 12)
+    })
+  })
+
+  describe('参数无效', () => {
+    it('非劣效界值须 > 1', () => {
+      const result = calculateCountResult({ subjects1, subjects2, margin: 1, alpha: 0.025 })
+      expect(result.isNonInferior).toBe(false)
+    })
+
+    it('模型或试验类型无效返回 NaN', () => {
+      const result1 = calculateCountResult({
+        subjects1,
+        subjects2,
+        margin: 1.25,
+        alpha: 0.025,
+        model: 'zip'
+      })
+      expect(result1.rateRatio).toBeNaN()
+
+      const result2 = calculateCountResult({
+        subjects1,
+        subjects2,
+        studyType: 'equivalence',
+        margin: 1.25,
+        alpha: 0.025
+      })
+      expect(result2.rateRatio).toBeNaN()
+    })
+
+    it('事件数非整数或暴露时间为 0 返回 NaN', () => {
+      const result1 = calculateCountResult({
+        subjects1,
+        subjects2: [{ events: 1.5, exposure: 1 }],
+        margin: 1.25,
+        alpha: 0.025
+      })
+      expect(result1.rateRatio).toBeNaN()
+
+      const result2 = calculateCountResult({
+        subjects1,
+        subjects2: [{ events: 1, exposure: 0 }],
+        margin: 1.25,
+        alpha: 0.025
+      })
+      expect(result2.rateRatio).toBeNaN()
+    })
+
+    it('一组无事件时率比不可估计，p 值为 1', () => {
+      const result = calculateCountResult({
+        subjects1,
+        subjects2: [{ events: 0, exposure: 10 }],
+        margin: 1.25,
+        alpha: 0.025
+      })
+      expect(result.rateRatio).toBeNaN()
+      expect(result.p_value).toBe(1)
+    })
+  })
+})
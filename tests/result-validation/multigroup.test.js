@@ -8,7 +8,7 @@
  *
  * 被测导出（src/result-validation/multigroup.js）：
  *   - calculateMultigroupResult(n0, x0, n_groups, x_groups, delta, alpha, studyType, allocations, strategy)          // 率终点
- *   - calculateMultigroupResultContinuous(n0, mean0, sd0, n_groups, mean_groups, sd_groups, delta, alpha, studyType, allocations, strategy) // 连续终点
+ *   - calculateMultigroupResultContinuous(n0, mean0, sd0, n_groups, mean_groups, sd_groups, delta, alpha, studyType, allocations, strategy, distribution) // 连续终点
  *
  * 多组用 Bonferroni 校正：strategy!=='all' 时 alpha_adjusted = alpha / k；strategy==='all' 时 = alpha。
  */
@@ -142,20 +142,20 @@ describe('result-validation/multigroup', () => {
       expect(r.alpha_adjusted).toBeCloseTo(0.0125, 10)
 
       expect(r.results[0].diff).toBe(1)
-      expect(r.results[0].ci_lower).toBeCloseTo(-0.344842, 5)
-      expect(r.results[0].ci_upper).toBeCloseTo(2.344842, 5)
-      expect(r.results[0].p_value).toBeCloseTo(0.000429, 6)
+      expect(r.results[0].ci_lower).toBeCloseTo(-0.365817, 5)
+      expect(r.results[0].ci_upper).toBeCloseTo(2.365817, 5)
+      expect(r.results[0].p_value).toBeCloseTo(0.000606, 6)
       expect(r.results[0].testStatistic).toBeCloseTo(3.333333, 5)
       expect(r.results[0].isSuccess).toBe(true)
-      // 现状锁定，待核：标注 t(98) 且给出 df，但 p 值经 normalCDF（正态近似）计算，非 t 分布
+      // 临界值取 t_{1-α/k, 98}，p 值取 t(98) 分布
       expect(r.results[0].testStatisticType).toBe('t')
       expect(r.results[0].df).toBe(98)
       expect(r.results[0].testStatisticLabel).toBe('t(98) = 3.33')
 
       expect(r.results[1].diff).toBe(2)
-      expect(r.results[1].ci_lower).toBeCloseTo(0.655158, 5)
-      expect(r.results[1].ci_upper).toBeCloseTo(3.344842, 5)
-      expect(r.results[1].p_value).toBeCloseTo(2.871e-7, 9)
+      expect(r.results[1].ci_lower).toBeCloseTo(0.634183, 5)
+      expect(r.results[1].ci_upper).toBeCloseTo(3.365817, 5)
+      expect(r.results[1].p_value).toBeCloseTo(1.2568e-6, 9)
       expect(r.results[1].testStatistic).toBeCloseTo(5.0, 5)
       expect(r.results[1].isSuccess).toBe(true)
 
@@ -169,16 +169,16 @@ describe('result-validation/multigroup', () => {
 
       expect(r.alpha_adjusted).toBeCloseTo(0.025, 10)
       expect(r.results[0].diff).toBe(2)
-      expect(r.results[0].ci_lower).toBeCloseTo(0.824022, 5)
-      expect(r.results[0].ci_upper).toBeCloseTo(3.175978, 5)
-      expect(r.results[0].p_value).toBeCloseTo(0.000429, 6)
+      expect(r.results[0].ci_lower).toBeCloseTo(0.80932, 5)
+      expect(r.results[0].ci_upper).toBeCloseTo(3.19068, 5)
+      expect(r.results[0].p_value).toBeCloseTo(0.000606, 6)
       expect(r.results[0].testStatistic).toBeCloseTo(3.333333, 5)
       expect(r.results[0].isSuccess).toBe(true)
 
       expect(r.results[1].diff).toBe(3)
-      expect(r.results[1].ci_lower).toBeCloseTo(1.824022, 5)
-      expect(r.results[1].ci_upper).toBeCloseTo(4.175978, 5)
-      expect(r.results[1].p_value).toBeCloseTo(2.871e-7, 9)
+      expect(r.results[1].ci_lower).toBeCloseTo(1.80932, 5)
+      expect(r.results[1].ci_upper).toBeCloseTo(4.19068, 5)
+      expect(r.results[1].p_value).toBeCloseTo(1.2568e-6, 9)
       expect(r.results[1].testStatistic).toBeCloseTo(5.0, 5)
       expect(r.results[1].isSuccess).toBe(true)
 
@@ -192,14 +192,42 @@ describe('result-validation/multigroup', () => {
 
       expect(r.k).toBe(1)
       expect(r.results[0].diff).toBeCloseTo(0.2, 6)
-      expect(r.results[0].ci_lower).toBeCloseTo(-0.975978, 5)
-      expect(r.results[0].ci_upper).toBeCloseTo(1.375978, 5)
-      expect(r.results[0].p_value).toBeCloseTo(0.001350, 5)
+      expect(r.results[0].ci_lower).toBeCloseTo(-0.99068, 5)
+      expect(r.results[0].ci_upper).toBeCloseTo(1.39068, 5)
+      expect(r.results[0].p_value).toBeCloseTo(0.001712, 5)
       expect(r.results[0].testStatistic).toBeCloseTo(3.0, 5)
       expect(r.results[0].isSuccess).toBe(true)
       expect(r.overall_success).toBe(true)
     })
 
+    it("distribution='normal'：复现旧版正态近似", () => {
+      const r = calculateMultigroupResultContinuous(
+        50, 10, 3, [50, 50], [11, 12], [3, 3], 1, 0.025, 'non-inferiority', null, 'any', 'normal'
+      )
+
+      expect(r.results[0].ci_lower).toBeCloseTo(-0.344842, 5)
+      expect(r.results[0].ci_upper).toBeCloseTo(2.344842, 5)
+      expect(r.results[0].p_value).toBeCloseTo(0.000429, 6)
+      expect(r.results[1].p_value).toBeCloseTo(2.871e-7, 9)
+      expect(r.results[0].df).toBe(98)
+    })
+
+    it('各组自由度不同：临界值按 n0 + n_i - 2 分组计算', () => {
+      const r = calculateMultigroupResultContinuous(
+        20, 10, 3, [20, 80], [11, 11], [3, 3], 1, 0.025, 'non-inferiority', null, 'any'
+      )
+      const half0 = r.results[0].ci_upper - r.results[0].diff
+      const half1 = r.results[1].ci_upper - r.results[1].diff
+      const se0 = 3 * Math.sqrt(1 / 20 + 1 / 20)
+      const se1 = 3 * Math.sqrt(1 / 20 + 1 / 80)
+
+      expect(r.results[0].df).toBe(38)
+      expect(r.results[1].df).toBe(98)
+      // t_{1-0.0125, 38} = 2.333721, t_{1-0.0125, 98} = 2.276362
+      expect(half0 / se0).toBeCloseTo(2.333721, 5)
+      expect(half1 / se1).toBeCloseTo(2.276362, 5)
+    })
+
     it('边界-se=0：对照与试验组 SD 均为 0 → sp=0 → se=0，走提前返回分支', () => {
       const r = calculateMultigroupResultContinuous(
         50, 10, 0, [50], [11], [0], 1, 0.025, 'non-inferiority', null, 'any'
@@ -0,0 +1,81 @@
+/**
+ * @file nonparametric.test.js
+ * @description Hodges-Lehmann 位移估计与置信区间测试（两样本、配对）
+ *
+ * 验证数据来源:
+ * - Hollander M, Wolfe DA. Nonparametric Statistical Methods (1999) 抑郁量表配对数据
+ *   （R wilcox.test 帮助页示例）: HL = 0.46，95% CI (0.010, 0.786)，实际置信水平 0.9609
+ * - 两样本: tests/fixtures/python/hodges-lehmann-exact.py 穷举 C(17, 9) 个秩子集得精确零分布，
+ *   C = 16，HL = −3.35，CI (−6.0, −0.7)，实际置信水平 0.95359934
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateHodgesLehmann } from '../../src/result-validation/nonparametric'
+
+const x = [8.2, 11.5, 6.1, 14.3, 9.7, 12.8, 10.4, 7.9]
+const y = [5.3, 7.2, 4.4, 10.1, 3.6, 6.8, 8.5, 5.9, 9.2]
+
+// Hollander & Wolfe: 治疗前 / 治疗后 Hamilton 抑郁量表
+const before = [1.83, 0.5, 1.62, 2.48, 1.68, 1.88, 1.55, 3.06, 1.3]
+const after = [0.878, 0.647, 0.598, 2.05, 1.06, 1.29, 1.06, 3.14, 1.29]
+
+describe('result-validation/nonparametric', () => {
+  it('两样本精确区间', () => {
+    const result = calculateHodgesLehmann({ x, y, alpha: 0.025 })
+    expect(result.method).toBe('exact')
+    expect(result.estimate).toBeCloseTo(-3.35, 12)
+    expect(result.ci_lower).toBeCloseTo(-6.0, 12)
+    expect(result.ci_upper).toBeCloseTo(-0.7, 12)
+    expect(result.confidenceLevel).toBeCloseTo(0.95359934, 8)
+    expect(result).toMatchObject({ n1: 8, n2: 9, paired: false })
+  })
+
+  it('两样本正态近似: C = round(36 − 1.96 × √114) = 16', () => {
+    const result = calculateHodgesLehmann({ x, y, alpha: 0.025, method: 'normal' })
+    expect(result.method).toBe('normal')
+    expect(result.ci_lower).toBeCloseTo(-6.0, 12)
+    expect(result.ci_upper).toBeCloseTo(-0.7, 12)
+    expect(result.confidenceLevel).toBeCloseTo(0.95, 12)
+  })
+
+  it('配对: Walsh 平均（Hollander & Wolfe 抑郁量表）', () => {
+    const result = calculateHodgesLehmann({ x: before, y: after, paired: true, alpha: 0.025 })
+    expect(result.method).toBe('exact')
+    expect(result.estimate).toBeCloseTo(-0.46, 12)
+    expect(result.ci_lower).toBeCloseTo(-0.786, 12)
+    expect(result.ci_upper).toBeCloseTo(-0.01, 12)
+    expect(result.confidenceLevel).toBeCloseTo(0.9609375, 12)
+  })
+
+  it('两组互换时估计与区间取反', () => {
+    const forward = calculateHodgesLehmann({ x, y, alpha: 0.025 })
+    const reverse = calculateHodgesLehmann({ x: y, y: x, alpha: 0.025 })
+    expect(reverse.estimate).toBeCloseTo(-forward.estimate, 12)
+    expect(reverse.ci_lower).toBeCloseTo(-forward.ci_upper, 12)
+    expect(reverse.ci_upper).toBeCloseTo(-forward.ci_lower, 12)
+  })
+
+  it('有结时精确法退化为正态近似', () => {
+    const result = calculateHodgesLehmann({ x: [1, 2, 2, 3], y: [2, 3, 3, 5], alpha: 0.025 })
+    expect(result.method).toBe('normal')
+    expect(result.estimate).toBe(1)
+    expect(result.ci_lower).toBeLessThanOrEqual(result.estimate)
+    expect(result.ci_upper).toBeGreaterThanOrEqual(result.estimate)
+  })
+
+  describe('参数无效返回 NaN', () => {
+    it('样本为空或含非有限值', () => {
+      expect(calculateHodgesLehmann({ x: [], y, alpha: 0.025 }).estimate).toBeNaN()
+      expect(calculateHodgesLehmann({ x, y: [1, NaN], alpha: 0.025 }).estimate).toBeNaN()
+    })
+
+    it('配对时两组例数不同', () => {
+      expect(calculateHodgesLehmann({ x, y, paired: true, alpha: 0.025 }).estimate).toBeNaN()
+    })
+
+    it('方法或 alpha 无效', () => {
+      expect(calculateHodgesLehmann({ x, y, alpha: 0.025, method: 'bootstrap' }).estimate).toBeNaN()
+      expect(calculateHodgesLehmann({ x, y, alpha: 0 }).estimate).toBeNaN()
+    })
+  })
+})
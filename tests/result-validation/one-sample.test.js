@@ -7,8 +7,8 @@
  *      锁定的是当前（可能存疑）行为，⛔ 未在本波修改，待后续核对。
  *
  * 被测导出（src/result-validation/one-sample.js）：
- *   - calculateOneSampleResult(n, s, p0, alpha, useContinuity)          // 率终点
- *   - calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha)       // 连续终点
+ *   - calculateOneSampleResult(n, s, p0, alpha, useContinuity, method)  // 率终点
+ *   - calculateOneSampleResultContinuous(n, mean, sd, mu0, alpha, distribution) // 连续终点
  */
 
 import { describe, it, expect } from 'vitest'
@@ -87,6 +87,69 @@ describe('result-validation/one-sample', () => {
     })
   })
 
+  // ========================================================
+  // calculateOneSampleResult method='exact' — 精确二项 / Clopper-Pearson
+  // ========================================================
+  describe("calculateOneSampleResult method='exact'", () => {
+    it('Clopper-Pearson CI 与精确单侧 p 值（R binom.test）', () => {
+      // binom.test(85, 100, 0.75, alternative = 'greater')$p.value = 0.01108327
+      const r = calculateOneSampleResult(100, 85, 0.75, 0.025, false, 'exact')
+
+      expect(r.p).toBeCloseTo(0.85, 10)
+      expect(r.ci_lower).toBeCloseTo(0.7646925, 7)
+      expect(r.ci_upper).toBeCloseTo(0.9135456, 7)
+      expect(r.p_value).toBeCloseTo(0.01108327, 8)
+      expect(r.testStatistic).toBe(85)
+      expect(r.isNonInferior).toBe(true)
+      expect(r.testStatisticType).toBe('exact')
+      expect(r.df).toBeNull()
+      expect(r.testStatisticLabel).toBe('X = 85/100')
+    })
+
+    it('判定与精确 p 值 < alpha 等价（全部成功时 Wald 法无法计算）', () => {
+      // 20/20 vs p0 = 0.83: Wald se = 0 走提前返回；精确法 P(X ≥ 20) = 0.83^20 = 0.0241
+      const r = calculateOneSampleResult(20, 20, 0.83, 0.025, false, 'exact')
+      expect(r.ci_lower).toBeCloseTo(Math.pow(0.025, 1 / 20), 10)
+      expect(r.ci_upper).toBe(1)
+      expect(r.p_value).toBeCloseTo(Math.pow(0.83, 20), 12)
+      expect(r.isNonInferior).toBe(true)
+      expect(r.p_value < 0.025).toBe(r.isNonInferior)
+
+      const r2 = calculateOneSampleResult(20, 20, 0.84, 0.025, false, 'exact')
+      expect(r2.isNonInferior).toBe(false)
+      expect(r2.p_value).toBeGreaterThan(0.025)
+    })
+
+    it('s = 0: 下限为 0，p 值为 1', () => {
+      const r = calculateOneSampleResult(20, 0, 0.1, 0.025, false, 'exact')
+      expect(r.ci_lower).toBe(0)
+      expect(r.ci_upper).toBeCloseTo(1 - Math.pow(0.025, 1 / 20), 12)
+      expect(r.p_value).toBe(1)
+      expect(r.isNonInferior).toBe(false)
+    })
+
+    it('s > n 或 alpha=0：走 fallback 分支', () => {
+      for (const r of [
+        calculateOneSampleResult(20, 21, 0.1, 0.025, false, 'exact'),
+        calculateOneSampleResult(20, 10, 0.1, 0, false, 'exact')
+      ]) {
+        expect(r.ci_lower).toBe(0)
+        expect(r.ci_upper).toBe(0)
+        expect(r.p_value).toBe(1)
+        expect(r.isNonInferior).toBe(false)
+        expect(r.testStatisticType).toBeUndefined()
+      }
+    })
+
+    it('未知 method 返回 NaN，不回退到正态近似', () => {
+      const r = calculateOneSampleResult(100, 85, 0.75, 0.025, false, 'wilson')
+      expect(r.p).toBeNaN()
+      expect(r.ci_lower).toBeNaN()
+      expect(r.p_value).toBeNaN()
+      expect(r.isNonInferior).toBe(false)
+    })
+  })
+
   // ========================================================
   // calculateOneSampleResultContinuous — 连续终点 (single-arm mean)
   // ========================================================
@@ -97,18 +160,27 @@ describe('result-validation/one-sample', () => {
       expect(r.mean).toBe(10.5)
       expect(r.mu0).toBe(9)
       expect(r.diff).toBe(1.5)
-      expect(r.ci_lower).toBeCloseTo(9.668458, 5)
-      expect(r.ci_upper).toBeCloseTo(11.331542, 5)
-      expect(r.p_value).toBeCloseTo(0.0002035, 6)
+      // t_{0.975,49} = 2.009575
+      expect(r.ci_lower).toBeCloseTo(9.647409, 5)
+      expect(r.ci_upper).toBeCloseTo(11.352591, 5)
+      expect(r.p_value).toBeCloseTo(0.00045, 6)
       expect(r.testStatistic).toBeCloseTo(3.535534, 5)
       expect(r.isNonInferior).toBe(true)
-      // 现状锁定，待核：统计量标注 t(df) 且给出 df，但 p 值经 normalCDF（正态近似）计算，
-      //   并非 t 分布——小样本下会低估尾部概率
+      // 临界值与 p 值均取 t(49) 分布，与标注的 df 一致
       expect(r.testStatisticType).toBe('t')
       expect(r.df).toBe(49)
       expect(r.testStatisticLabel).toBe('t(49) = 3.54')
     })
 
+    it("distribution='normal'：复现旧版正态近似", () => {
+      const r = calculateOneSampleResultContinuous(50, 10.5, 3, 9, 0.025, 'normal')
+
+      expect(r.ci_lower).toBeCloseTo(9.668458, 5)
+      expect(r.ci_upper).toBeCloseTo(11.331542, 5)
+      expect(r.p_value).toBeCloseTo(0.0002035, 6)
+      expect(r.df).toBe(49)
+    })
+
     it('边界-sd=0 → se=0，走提前返回分支', () => {
       const r = calculateOneSampleResultContinuous(50, 10.5, 0, 9, 0.025)
 
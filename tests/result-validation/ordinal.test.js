@@ -0,0 +1,84 @@
+/**
+ * @file ordinal.test.js
+ * @description 有序分类终点结果验证测试（Wilcoxon-Mann-Whitney + Whitehead OR）
+ *
+ * 验证数据来源:
+ * - tests/fixtures/python/ordinal-wmw.py：将有序表展开为逐例数据，按中秩计算秩和 R₂，
+ *   U = n₁n₂ + n₂(n₂ + 1)/2 − R₂，结校正方差 n₁n₂/12·[(N + 1) − Σ(t³ − t)/(N(N − 1))]
+ * - Whitehead (1993) 有效得分 S 与信息 V 手算
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateOrdinalResult } from '../../src/result-validation/ordinal'
+
+const counts1 = [8, 14, 20, 28, 30, 22, 28]
+const counts2 = [14, 22, 26, 30, 24, 16, 18]
+
+describe('result-validation/ordinal', () => {
+  it('mRS 0-6: WMW 检验与 Whitehead OR', () => {
+    const result = calculateOrdinalResult({ counts1, counts2, alpha: 0.025 })
+    expect(result.n1).toBe(150)
+    expect(result.n2).toBe(150)
+    expect(result.U).toBe(13338)
+    expect(result.winProbability).toBeCloseTo(0.5928, 12)
+    expect(result.testStatistic).toBeCloseTo(2.81393101, 7)
+    expect(result.p_value).toBeCloseTo(0.00244699, 7)
+    expect(result.isSuperior).toBe(true)
+    expect(result.oddsRatio).toBeCloseTo(1.77294444, 7)
+    expect(result.se).toBeCloseTo(0.20316294, 7)
+    expect(result.ci_lower).toBeCloseTo(1.19059079, 7)
+    expect(result.ci_upper).toBeCloseTo(2.64014472, 7)
+    expect(result.testStatisticLabel).toBe('Z = 2.81')
+  })
+
+  it('两组互换: U 互补，OR 取倒数', () => {
+    const forward = calculateOrdinalResult({ counts1, counts2, alpha: 0.025 })
+    const reverse = calculateOrdinalResult({ counts1: counts2, counts2: counts1, alpha: 0.025 })
+    expect(reverse.U).toBe(150 * 150 - forward.U)
+    expect(reverse.oddsRatio).toBeCloseTo(1 / forward.oddsRatio, 12)
+    expect(reverse.isSuperior).toBe(false)
+  })
+
+  it('分布相同时 Z = 0', () => {
+    const result = calculateOrdinalResult({
+      counts1: [10, 20, 30],
+      counts2: [5, 10, 15],
+      alpha: 0.025
+    })
+    expect(result.testStatistic).toBeCloseTo(0, 12)
+    expect(result.oddsRatio).toBeCloseTo(1, 12)
+    expect(result.p_value).toBeCloseTo(0.5, 12)
+  })
+
+  describe('参数无效返回无效结果', () => {
+    it('两组类别数不同', () => {
+      const result = calculateOrdinalResult({ counts1: [1, 2], counts2: [1, 2, 3], alpha: 0.025 })
+      expect(result.U).toBeNaN()
+      expect(result.isSuperior).toBe(false)
+    })
+
+    it('计数非整数', () => {
+      const result = calculateOrdinalResult({ counts1: [1.5, 2], counts2: [1, 2], alpha: 0.025 })
+      expect(result.U).toBeNaN()
+      expect(result.isSuperior).toBe(false)
+    })
+
+    it('一组无观测', () => {
+      const result = calculateOrdinalResult({ counts1: [0, 0], counts2: [1, 2], alpha: 0.025 })
+      expect(result.U).toBeNaN()
+      expect(result.isSuperior).toBe(false)
+    })
+
+    it('全部观测落在同一类别', () => {
+      const result = calculateOrdinalResult({ counts1: [5, 0], counts2: [3, 0], alpha: 0.025 })
+      expect(result.U).toBeNaN()
+      expect(result.isSuperior).toBe(false)
+    })
+
+    it('alpha 无效', () => {
+      const result = calculateOrdinalResult({ counts1, counts2, alpha: 0 })
+      expect(result.U).toBeNaN()
+      expect(result.isSuperior).toBe(false)
+    })
+  })
+})
@@ -8,7 +8,7 @@
  *
  * 被测导出（src/result-validation/paired.js）：
  *   - calculatePairedResult(n10, n01, delta, alpha, useContinuity, studyType)        // 率终点 McNemar
- *   - calculatePairedResultContinuous(n, mean_diff, sd_diff, delta, alpha, studyType) // 连续终点 配对 t
+ *   - calculatePairedResultContinuous(n, mean_diff, sd_diff, delta, alpha, studyType, distribution) // 连续终点 配对 t
  *
  * McNemar 语义：n10 = 前成功/后失败的不一致对；n01 = 前失败/后成功的不一致对。
  *   率差 diff = (n01 - n10) / (n10 + n01)。
@@ -100,12 +100,12 @@ describe('result-validation/paired', () => {
       const r = calculatePairedResultContinuous(30, 2, 5, 1, 0.025, 'non-inferiority')
 
       expect(r.diff).toBe(2)
-      expect(r.ci_lower).toBeCloseTo(0.210806, 5)
-      expect(r.ci_upper).toBeCloseTo(3.789194, 5)
-      expect(r.p_value).toBeCloseTo(0.014230, 5)
+      expect(r.ci_lower).toBeCloseTo(0.132969, 5)
+      expect(r.ci_upper).toBeCloseTo(3.867031, 5)
+      expect(r.p_value).toBeCloseTo(0.018322, 5)
       expect(r.testStatistic).toBeCloseTo(2.190890, 5)
       expect(r.isNonInferior).toBe(true)
-      // 现状锁定，待核：统计量标注 t(29) 且给出 df，但 p 值经 normalCDF（正态近似）计算，非 t 分布
+      // 临界值与 p 值均取 t(29) 分布：t_{0.975,29} = 2.045230
       expect(r.testStatisticType).toBe('t')
       expect(r.df).toBe(29)
       expect(r.testStatisticLabel).toBe('t(29) = 2.19')
@@ -115,11 +115,20 @@ describe('result-validation/paired', () => {
       const r = calculatePairedResultContinuous(30, 2, 5, 1, 0.025, 'superiority')
 
       // 现状锁定：CI/统计量与非劣效用例相同（判据不同但此输入两者均成立）
+      expect(r.ci_lower).toBeCloseTo(0.132969, 5)
+      expect(r.ci_upper).toBeCloseTo(3.867031, 5)
+      expect(r.p_value).toBeCloseTo(0.018322, 5)
+      expect(r.testStatistic).toBeCloseTo(2.190890, 5)
+      expect(r.isNonInferior).toBe(true)
+    })
+
+    it("distribution='normal'：复现旧版正态近似", () => {
+      const r = calculatePairedResultContinuous(30, 2, 5, 1, 0.025, 'non-inferiority', 'normal')
+
       expect(r.ci_lower).toBeCloseTo(0.210806, 5)
       expect(r.ci_upper).toBeCloseTo(3.789194, 5)
       expect(r.p_value).toBeCloseTo(0.014230, 5)
-      expect(r.testStatistic).toBeCloseTo(2.190890, 5)
-      expect(r.isNonInferior).toBe(true)
+      expect(r.df).toBe(29)
     })
 
     it('边界-n<=0：走提前返回分支，CI 退化为 mean_diff', () => {
@@ -0,0 +1,267 @@
+/**
+ * @file ratio-of-means.test.js
+ * @description 对数正态终点几何均值比（GMR）结果验证测试
+ *
+ * 验证数据来源:
+ * - tests/fixtures/python/ratio-of-means.py（t 分位数由卡方密度数值积分二分求得）:
+ *   n = 40 / 40，对数均值 4.61 / 4.58，对数标准差 0.29 / 0.31
+ *   SE = 0.06711930，GMR = exp(−0.03) = 0.97044553
+ *   95% CI (0.84906099, 1.10918361)，90% CI (0.86785690, 1.08516108)
+ *   非劣效 M = 0.8: p = 0.00258343；M = 1.25: p = 0.00015708；合并 CV = 0.30705652
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateRatioResult } from '../../src/result-validation/ratio-of-means'
+
+describe('result-validation/ratio-of-means', () => {
+  // ========================================================
+  // 非劣效 / 等效
+  // ========================================================
+  it('非劣效: 界值 0.8', () => {
+    const result = calculateRatioResult({
+      studyType: 'non-inferiority',
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.58,
+      logSD2: 0.31,
+      margin: 0.8,
+      alpha: 0.025
+    })
+    expect(result.gmr).toBeCloseTo(0.97044553, 8)
+    expect(result.ci_lower).toBeCloseTo(0.84906099, 8)
+    expect(result.ci_upper).toBeCloseTo(1.10918361, 8)
+    expect(result.se).toBeCloseTo(0.0671193, 8)
+    expect(result.cv).toBeCloseTo(0.30705652, 8)
+    expect(result.p_value).toBeCloseTo(0.00258343, 8)
+    expect(result.isNonInferior).toBe(true)
+    expect(result.isSuperior).toBe(false)
+    expect(result.testStatisticLabel).toBe('t(78) = 2.88')
+  })
+
+  it('非劣效: 界值 1.25（越低越好）', () => {
+    const result = calculateRatioResult({
+      studyType: 'non-inferiority',
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.58,
+      logSD2: 0.31,
+      margin: 1.25,
+      alpha: 0.025
+    })
+    expect(result.p_value).toBeCloseTo(0.00015708, 8)
+    expect(result.isNonInferior).toBe(true)
+  })
+
+  it('等效: 90% CI 落入 80%–125%', () => {
+    const result = calculateRatioResult({
+      studyType: 'equivalence',
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.58,
+      logSD2: 0.31,
+      alpha: 0.05
+    })
+    expect(result.ci_lower).toBeCloseTo(0.8678569, 8)
+    expect(result.ci_upper).toBeCloseTo(1.08516108, 8)
+    expect(result.isEquivalent).toBe(true)
+    expect(result.p_value).toBeCloseTo(0.00258343, 8)
+  })
+
+  it('等效: 自定义区间 90%–111% 时不成立', () => {
+    const result = calculateRatioResult({
+      studyType: 'equivalence',
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.58,
+      logSD2: 0.31,
+      lower: 0.9,
+      upper: 1.11,
+      alpha: 0.05
+    })
+    expect(result.isEquivalent).toBe(false)
+  })
+
+  // ========================================================
+  // 优效（默认试验类型）
+  // ========================================================
+  it('优效: CI 不含 1', () => {
+    const result = calculateRatioResult({
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.8,
+      logSD2: 0.31,
+      alpha: 0.025
+    })
+    expect(result.gmr).toBeCloseTo(Math.exp(0.19), 12)
+    expect(result.ci_lower).toBeGreaterThan(1)
+    expect(result.isSuperior).toBe(true)
+  })
+
+  it('优效: CI 含 1 时不成立', () => {
+    const result = calculateRatioResult({
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.58,
+      logSD2: 0.31,
+      alpha: 0.025
+    })
+    expect(result.isSuperior).toBe(false)
+  })
+
+  it('优效方向: 试验组显著更差时不成立，higherIsBetter = false 时成立', () => {
+    const worse = calculateRatioResult({
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.3,
+      logSD2: 0.31,
+      alpha: 0.025
+    })
+    expect(worse.gmr).toBeCloseTo(Math.exp(-0.31), 12)
+    expect(worse.ci_upper).toBeLessThan(1)
+    expect(worse.isSuperior).toBe(false)
+    expect(worse.isNonInferior).toBe(false)
+    expect(worse.p_value).toBeGreaterThan(0.5)
+
+    const lowerBetter = calculateRatioResult({
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.3,
+      logSD2: 0.31,
+      alpha: 0.025,
+      higherIsBetter: false
+    })
+    expect(lowerBetter.isSuperior).toBe(true)
+    expect(lowerBetter.isNonInferior).toBe(true)
+    expect(lowerBetter.p_value).toBeCloseTo(1 - worse.p_value, 12)
+
+    const higherWhenLowerBetter = calculateRatioResult({
+      n1: 40,
+      logMean1: 4.61,
+      logSD1: 0.29,
+      n2: 40,
+      logMean2: 4.8,
+      logSD2: 0.31,
+      alpha: 0.025,
+      higherIsBetter: false
+    })
+    expect(higherWhenLowerBetter.isSuperior).toBe(false)
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效返回无效结果', () => {
+    it('样本量或标准差无效', () => {
+      const result1 = calculateRatioResult({
+        n1: 0,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0.31,
+        alpha: 0.025
+      })
+      expect(result1.gmr).toBeNaN()
+      expect(result1.isNonInferior).toBe(false)
+
+      const result2 = calculateRatioResult({
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: -0.1,
+        alpha: 0.025
+      })
+      expect(result2.gmr).toBeNaN()
+      expect(result2.isNonInferior).toBe(false)
+
+      // 两组标准差均为 0
+      const result3 = calculateRatioResult({
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0,
+        alpha: 0.025
+      })
+      expect(result3.gmr).toBeNaN()
+      expect(result3.isNonInferior).toBe(false)
+    })
+
+    it('界值或等效区间无效', () => {
+      const result1 = calculateRatioResult({
+        studyType: 'non-inferiority',
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0.31,
+        margin: 1,
+        alpha: 0.025
+      })
+      expect(result1.gmr).toBeNaN()
+      expect(result1.isNonInferior).toBe(false)
+
+      const result2 = calculateRatioResult({
+        studyType: 'equivalence',
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0.31,
+        lower: 1.25,
+        upper: 0.8,
+        alpha: 0.025
+      })
+      expect(result2.gmr).toBeNaN()
+      expect(result2.isNonInferior).toBe(false)
+    })
+
+    it('alpha 或 higherIsBetter 无效', () => {
+      const result1 = calculateRatioResult({
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0.31,
+        alpha: 0
+      })
+      expect(result1.gmr).toBeNaN()
+      expect(result1.isNonInferior).toBe(false)
+
+      const result2 = calculateRatioResult({
+        n1: 40,
+        logMean1: 4.61,
+        logSD1: 0.29,
+        n2: 40,
+        logMean2: 4.58,
+        logSD2: 0.31,
+        alpha: 0.025,
+        higherIsBetter: 'yes'
+      })
+      expect(result2.gmr).toBeNaN()
+      expect(result2.isNonInferior).toBe(false)
+    })
+  })
+})
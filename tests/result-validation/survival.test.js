@@ -0,0 +1,170 @@
+/**
+ * @file survival.test.js
+ * @description 生存终点「结果验证」测试 —— Kaplan-Meier / Log-rank / Pike HR
+ *
+ * 对照数据: R survival 包 aml 数据集（急性髓系白血病维持化疗）
+ *   Maintained:    9, 13, 13+, 18, 23, 28+, 31, 34, 45+, 48, 161+
+ *   Nonmaintained: 5, 5, 8, 8, 12, 16+, 23, 27, 30, 33, 43, 45
+ *
+ * R 对照值:
+ *   survfit(Surv(time, status) ~ x, data = aml)           # conf.type = "log"
+ *     Maintained    median 31, 0.95LCL 18, 0.95UCL NA
+ *     Nonmaintained median 23, 0.95LCL  8, 0.95UCL NA
+ *   survdiff(Surv(time, status) ~ x, data = aml)
+ *     O = 7 / 11，E = 10.69 / 7.31，Chisq = 3.4 on 1 df，p = 0.07
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateKaplanMeier, calculateSurvivalResult } from '../../src/result-validation/survival'
+
+const maintainedTime = [9, 13, 13, 18, 23, 28, 31, 34, 45, 48, 161]
+const maintainedEvent = [1, 1, 0, 1, 1, 0, 1, 1, 0, 1, 0]
+const nonMaintainedTime = [5, 5, 8, 8, 12, 16, 23, 27, 30, 33, 43, 45]
+const nonMaintainedEvent = [1, 1, 1, 1, 1, 0, 1, 1, 1, 1, 1, 1]
+
+// 对照组 = Nonmaintained (1)，试验组 = Maintained (2)
+const time = [...nonMaintainedTime, ...maintainedTime]
+const event = [...nonMaintainedEvent, ...maintainedEvent]
+const group = [...nonMaintainedTime.map(() => 1), ...maintainedTime.map(() => 2)]
+
+// ========================================================
+// calculateKaplanMeier
+// 签名: (time, event, alpha, ciType)
+// ========================================================
+describe('calculateKaplanMeier', () => {
+  it('aml Maintained: KM 估计与 Greenwood SE 对照 R survfit', () => {
+    const km = calculateKaplanMeier(maintainedTime, maintainedEvent, 0.025, 'log')
+    expect(km.times).toEqual([9, 13, 18, 23, 31, 34, 48])
+    expect(km.atRisk).toEqual([11, 10, 8, 7, 5, 4, 2])
+    expect(km.survival[0]).toBeCloseTo(0.9091, 4)
+    expect(km.survival[2]).toBeCloseTo(0.7159, 4)
+    expect(km.survival[6]).toBeCloseTo(0.1841, 4)
+    expect(km.se[0]).toBeCloseTo(0.0867, 4)
+    expect(km.se[4]).toBeCloseTo(0.1642, 4)
+    // R: lower 95% CI at t=9 = 0.754, upper 截断为 1
+    expect(km.ci_lower[0]).toBeCloseTo(0.754, 3)
+    expect(km.ci_upper[0]).toBe(1)
+    expect(km.totalEvents).toBe(7)
+  })
+
+  it('aml 中位生存时间与 Brookmeyer-Crowley CI 对照 R (conf.type = "log")', () => {
+    const m = calculateKaplanMeier(maintainedTime, maintainedEvent, 0.025, 'log')
+    expect(m.median).toBe(31)
+    expect(m.median_ci_lower).toBe(18)
+    expect(m.median_ci_upper).toBeNaN()
+
+    const nm = calculateKaplanMeier(nonMaintainedTime, nonMaintainedEvent, 0.025, 'log')
+    expect(nm.median).toBe(23)
+    expect(nm.median_ci_lower).toBe(8)
+    expect(nm.median_ci_upper).toBeNaN()
+  })
+
+  it('默认 log-log CI 落在 [0, 1] 内且包含点估计', () => {
+    const km = calculateKaplanMeier(maintainedTime, maintainedEvent, 0.025)
+    km.survival.forEach((s, j) => {
+      expect(km.ci_lower[j]).toBeGreaterThanOrEqual(0)
+      expect(km.ci_upper[j]).toBeLessThanOrEqual(1)
+      expect(km.ci_lower[j]).toBeLessThanOrEqual(s)
+      expect(km.ci_upper[j]).toBeGreaterThanOrEqual(s)
+    })
+  })
+
+  it('S 恰好等于 0.5 的平台: 中位数取平台两端中点（R 约定）', () => {
+    // 4 人 t=1,2,3,4 全部事件: S(2) = 0.5 → median = (2 + 3) / 2
+    const km = calculateKaplanMeier([1, 2, 3, 4], [1, 1, 1, 1], 0.025)
+    expect(km.median).toBe(2.5)
+  })
+
+  it('无事件 → 空曲线，中位数未达到', () => {
+    const km = calculateKaplanMeier([1, 2, 3], [0, 0, 0], 0.025)
+    expect(km.times).toEqual([])
+    expect(km.median).toBeNaN()
+  })
+
+  it('无效输入 → 空结果（长度不一致 / 负时间 / alpha 越界）', () => {
+    expect(calculateKaplanMeier([1, 2], [1], 0.025).n).toBe(0)
+    expect(calculateKaplanMeier([-1, 2], [1, 1], 0.025).n).toBe(0)
+    expect(calculateKaplanMeier([1, 2], [1, 1], 0).n).toBe(0)
+  })
+})
+
+// ========================================================
+// calculateSurvivalResult
+// 签名: (time, event, group, margin, alpha, studyType)
+// ========================================================
+describe('calculateSurvivalResult', () => {
+  it('aml: log-rank O/E 与 χ² 对照 R survdiff', () => {
+    const r = calculateSurvivalResult(time, event, group, 1.3, 0.025, 'superiority')
+    expect(r.observed).toEqual({ control: 11, treatment: 7 })
+    expect(r.expected.treatment).toBeCloseTo(10.69, 2)
+    expect(r.expected.control).toBeCloseTo(7.31, 2)
+    expect(r.chiSquare).toBeCloseTo(3.396, 3)
+    expect(r.logrank_p_value).toBeCloseTo(0.0653, 3)
+    expect(r.testStatisticType).toBe('χ²')
+    expect(r.df).toBe(1)
+    expect(r.testStatisticLabel).toBe('χ²(1) = 3.40')
+  })
+
+  it('aml: Pike HR = (O₂/E₂)/(O₁/E₁)，CI 基于 √(1/E₁ + 1/E₂)', () => {
+    const r = calculateSurvivalResult(time, event, group, 1.3, 0.025, 'superiority')
+    const E1 = r.expected.control
+    const E2 = r.expected.treatment
+    const hr = 7 / E2 / (11 / E1)
+    expect(r.hr).toBeCloseTo(hr, 12)
+    expect(r.hr).toBeCloseTo(0.435, 3)
+    const se = Math.sqrt(1 / E1 + 1 / E2)
+    expect(Math.log(r.ci_upper)).toBeCloseTo(Math.log(hr) + 1.959964 * se, 5)
+  })
+
+  it('aml 优效: CI 上限 > 1 → 不成立；单侧 p 为双侧 log-rank p 的一半', () => {
+    const r = calculateSurvivalResult(time, event, group, 1.3, 0.025, 'superiority')
+    expect(r.isSuperior).toBe(false)
+    expect(r.isNonInferior).toBe(false)
+    expect(r.p_value).toBeCloseTo(r.logrank_p_value / 2, 10)
+  })
+
+  it('aml 非劣效: M = 1.3 时 CI 上限 1.11 < 1.3 → 非劣效成立', () => {
+    const r = calculateSurvivalResult(time, event, group, 1.3, 0.025, 'non-inferiority')
+    expect(r.ci_upper).toBeLessThan(1.3)
+    expect(r.isNonInferior).toBe(true)
+    expect(r.isSuperior).toBe(false)
+    expect(r.p_value).toBeLessThan(0.025)
+    expect(r.testStatisticType).toBe('Z')
+    expect(r.df).toBeNull()
+  })
+
+  it('返回各组 KM 曲线与中位数', () => {
+    const r = calculateSurvivalResult(time, event, group, 1.3, 0.025)
+    expect(r.median1).toBe(23)
+    expect(r.median2).toBe(31)
+    expect(r.curves.control.n).toBe(12)
+    expect(r.curves.treatment.n).toBe(11)
+  })
+
+  it('分组交换 → HR 取倒数，χ² 不变', () => {
+    const swapped = group.map(g => (g === 1 ? 2 : 1))
+    const a = calculateSurvivalResult(time, event, group, 1.3, 0.025, 'superiority')
+    const b = calculateSurvivalResult(time, event, swapped, 1.3, 0.025, 'superiority')
+    expect(b.hr).toBeCloseTo(1 / a.hr, 12)
+    expect(b.chiSquare).toBeCloseTo(a.chiSquare, 12)
+  })
+
+  it('无效输入 → isNonInferior false（单组 / 分组编码非法 / 缺界值 / alpha 越界）', () => {
+    expect(calculateSurvivalResult([1, 2], [1, 1], [1, 1], 1.3, 0.025).isNonInferior).toBe(false)
+    expect(calculateSurvivalResult([1, 2], [1, 1], [0, 1], 1.3, 0.025).hr).toBeNaN()
+    expect(calculateSurvivalResult(time, event, group, undefined, 0.025).hr).toBeNaN()
+    expect(calculateSurvivalResult(time, event, group, 1.3, 1).hr).toBeNaN()
+  })
+
+  it('非劣效界值 M ≤ 1 → 无效；优效时忽略界值', () => {
+    for (const margin of [1, 0.9, 0]) {
+      const r = calculateSurvivalResult(time, event, group, margin, 0.025)
+      expect(r.hr).toBeNaN()
+      expect(r.isNonInferior).toBe(false)
+    }
+    expect(calculateSurvivalResult(time, event, group, 0.9, 0.025, 'superiority').hr).toBeCloseTo(
+      calculateSurvivalResult(time, event, group, 1.3, 0.025, 'superiority').hr,
+      12
+    )
+  })
+})
@@ -20,8 +20,25 @@
  *   calculateNIResult / calculateNIResultContinuous / calculateSupResult /
  *   calculateSupResultContinuous / calculateEqResult / calculateEqResultContinuous
  *
- * 注：内部辅助 (calculateFMResult / calculateMNResult / calculateMNConstrainedMLE /
- *   findMNCIBound / calculateFMRMLE) 非导出，经 method 分支 (fm/mn) 间接锁定。
+ * 注：内部辅助 (calculateFMResult / calculateMNResult / findMNCIBound) 非导出，经 method 分支
+ *   (fm/mn) 间接锁定；率差 RMLE 由 core/proportion-score 的 restrictedMLE 提供（与样本量
+ *   method='fm' / 'mn' 及精确检验共用），见 tests/core/proportion-score.test.js。
+ *
+ * 比值尺度（scale = 'ratio' | 'oddsRatio'）为锁定正确值，对照脚本
+ *   tests/fixtures/python/proportion-ratio-scale.py（RMLE 由似然导数二分求得，
+ *   CI 在 ln θ 上二分反演 MN score）:
+ *   170/200 vs 176/200: RR = 1.03529412，M = 0.9 时 FM z = 3.34672344，p = 0.00040886374，
+ *     95% MN CI (0.95690465, 1.12264162)；OR = 1.29411765，M = 0.5 时 z = 3.31297170，
+ *     p = 0.00046155160，CI (0.73019038, 2.29310629)
+ *   100/200 vs 130/200（优效）: z = 3.03433042（θ₀ = 1 时与率差 FM 相同），
+ *     RR CI (1.09671167, 1.54950712)，OR CI (1.24320377, 2.77423476)
+ *
+ * 精确检验（method = 'fisher' | 'barnard' | 'boschloo'）为锁定正确值：SciPy 文档示例与
+ *   tests/fixtures/python/exact-two-proportion.py 枚举计算:
+ *   12/15 vs 7/15: Barnard p = 0.034109154662，非劣效 δ = 0.1 时 p = 0.0083547598074，
+ *     95% CI (−0.02385976, 0.63698633)；74/117 vs 31/63: Fisher p = 0.0483，Boschloo p = 0.0355
+ *   等效 11/20 vs 10/20，δ = 0.3: TOST p = max(0.017281177884, 0.069919894721)（Barnard）、
+ *     max(0.017280809323, 0.052189364294)（Boschloo）
  */
 
 import { describe, it, expect } from 'vitest'
@@ -34,6 +51,7 @@ import {
   calculateEqResultContinuous
 } from '../../src/result-validation/two-group'
 import { normalInverse } from '../../src/core/normal-distribution'
+import { tInverse } from '../../src/core/t-distribution'
 
 // ========================================================
 // calculateNIResult —— 非劣效试验（率终点）
@@ -49,7 +67,7 @@ describe('calculateNIResult (非劣效-率)', () => {
     expect(r.diff).toBeCloseTo(0.03, 6)
     expect(r.ci_lower).toBeCloseTo(-0.03691203376626771, 6)
     expect(r.ci_upper).toBeCloseTo(0.09691203376626777, 6)
-    expect(r.p_value).toBeCloseTo(0.00007009573932503788, 8)
+    expect(r.p_value).toBeCloseTo(7.007179203099751e-05, 8)
     expect(r.testStatistic).toBeCloseTo(3.8079147180858066, 5)
     expect(r.isNonInferior).toBe(true)
     expect(r.testStatisticType).toBe('Z')
@@ -67,7 +85,7 @@ describe('calculateNIResult (非劣效-率)', () => {
     expect(fm.ci_lower).toBeCloseTo(-0.0376753222942352, 6)
     expect(fm.ci_upper).toBeCloseTo(0.0982986453175545, 6)
     // p_value/z_score 用 RMLE SE（FM score，修复前后一致）
-    expect(fm.p_value).toBeCloseTo(0.00013177960245458475, 8)
+    expect(fm.p_value).toBeCloseTo(0.0001317458273463775, 8)
     expect(fm.testStatistic).toBeCloseTo(3.6487770411045464, 5)
     expect(fm.isNonInferior).toBe(true)
   })
@@ -77,7 +95,7 @@ describe('calculateNIResult (非劣效-率)', () => {
     expect(r.ci_lower).toBeCloseTo(-0.03765402815323077, 6)
     expect(r.ci_upper).toBeCloseTo(0.0977331371246284, 6)
     // Wilson 的 p 值仍用 Wald，与 Wald 分支一致
-    expect(r.p_value).toBeCloseTo(0.00007009573932503788, 8)
+    expect(r.p_value).toBeCloseTo(7.007179203099751e-05, 8)
     expect(r.testStatistic).toBeCloseTo(3.8079147180858066, 5)
   })
 
@@ -85,7 +103,7 @@ describe('calculateNIResult (非劣效-率)', () => {
     const r = calculateNIResult(200, 170, 200, 176, 0.1, 0.025, false, 'mn')
     expect(r.ci_lower).toBeCloseTo(-0.03776237487792966, 6)
     expect(r.ci_upper).toBeCloseTo(0.09838699430227282, 6)
-    expect(r.p_value).toBeCloseTo(0.00013413958834196382, 8)
+    expect(r.p_value).toBeCloseTo(0.00013410550553753515, 8)
     expect(r.testStatistic).toBeCloseTo(3.6442132156241445, 5)
     expect(r.isNonInferior).toBe(true)
   })
@@ -133,7 +151,9 @@ describe('calculateNIResult (非劣效-率)', () => {
     expect(r.diff).toBe(0.5)
     expect(r.ci_lower).toBeCloseTo(0.4020018006939903, 6)
     expect(r.ci_upper).toBeCloseTo(0.5979981993060097, 6)
-    expect(r.p_value).toBe(0)
+    // normalSF 直接算上尾: Z=12 → 1.78e-33（旧 1 - normalCDF 相消为 0）
+    expect(r.p_value).toBeGreaterThan(0)
+    expect(r.p_value).toBeCloseTo(1.7764821120777174e-33, 40)
     expect(r.testStatistic).toBeCloseTo(11.999999999999998, 5)
     expect(r.isNonInferior).toBe(true)
   })
@@ -149,15 +169,15 @@ describe('calculateNIResult (非劣效-率)', () => {
 
 // ========================================================
 // calculateNIResultContinuous —— 非劣效试验（连续终点，t 检验）
-// 签名: (n1, mean1, sd1, n2, mean2, sd2, delta, alpha)
+// 签名: (n1, mean1, sd1, n2, mean2, sd2, delta, alpha, distribution='t')
 // ========================================================
 describe('calculateNIResultContinuous (非劣效-连续)', () => {
   it('典型场景 · n=100/100 均值 50/52 sd 10/11 delta=5 alpha=0.025', () => {
     const r = calculateNIResultContinuous(100, 50, 10, 100, 52, 11, 5, 0.025)
     expect(r.diff).toBe(2)
-    expect(r.ci_lower).toBeCloseTo(-0.9136959359931232, 6)
-    expect(r.ci_upper).toBeCloseTo(4.913695935993124, 6)
-    expect(r.p_value).toBeCloseTo(0.0000012479090105710355, 9)
+    expect(r.ci_lower).toBeCloseTo(-0.9316147396427787, 6)
+    expect(r.ci_upper).toBeCloseTo(4.931614739642779, 6)
+    expect(r.p_value).toBeCloseTo(2.3405401274323445e-06, 9)
     expect(r.testStatistic).toBeCloseTo(4.708709557974187, 5)
     expect(r.isNonInferior).toBe(true)
     expect(r.testStatisticType).toBe('t')
@@ -168,9 +188,9 @@ describe('calculateNIResultContinuous (非劣效-连续)', () => {
   it('文献复用 · ICORG 05-03 (sigma=4, delta=1.5)', () => {
     const r = calculateNIResultContinuous(112, 0, 4, 112, 0, 4, 1.5, 0.025)
     expect(r.diff).toBe(0)
-    expect(r.ci_lower).toBeCloseTo(-1.047644818068218, 6)
-    expect(r.ci_upper).toBeCloseTo(1.047644818068218, 6)
-    expect(r.p_value).toBeCloseTo(0.0025062044204285927, 8)
+    expect(r.ci_lower).toBeCloseTo(-1.0533874118386626, 6)
+    expect(r.ci_upper).toBeCloseTo(1.0533874118386626, 6)
+    expect(r.p_value).toBeCloseTo(0.002728829643675712, 8)
     expect(r.testStatistic).toBeCloseTo(2.806243040080456, 5)
     expect(r.df).toBe(222)
   })
@@ -178,8 +198,8 @@ describe('calculateNIResultContinuous (非劣效-连续)', () => {
   it('边界 · 零效应差（均值相等）', () => {
     const r = calculateNIResultContinuous(100, 50, 10, 100, 50, 10, 5, 0.025)
     expect(r.diff).toBe(0)
-    expect(r.ci_lower).toBeCloseTo(-2.7718076509340124, 6)
-    expect(r.ci_upper).toBeCloseTo(2.7718076509340124, 6)
+    expect(r.ci_lower).toBeCloseTo(-2.788853862392852, 6)
+    expect(r.ci_upper).toBeCloseTo(2.788853862392852, 6)
     expect(r.testStatistic).toBeCloseTo(3.5355339059327373, 5)
     expect(r.isNonInferior).toBe(true)
   })
@@ -206,6 +226,32 @@ describe('calculateNIResultContinuous (非劣效-连续)', () => {
     expect(r.p_value).toBe(1)
     expect(r.isNonInferior).toBe(false)
   })
+
+  // 向后兼容：distribution='normal' 复现旧版 z 临界值与正态 p 值
+  it("distribution='normal' → 旧版正态近似", () => {
+    const r = calculateNIResultContinuous(100, 50, 10, 100, 52, 11, 5, 0.025, 'normal')
+    expect(r.ci_lower).toBeCloseTo(-0.9136959359931232, 6)
+    expect(r.ci_upper).toBeCloseTo(4.913695935993124, 6)
+    expect(r.p_value).toBeCloseTo(1.2464499370452578e-06, 9)
+    expect(r.testStatisticType).toBe('Z')
+    expect(r.df).toBeNull()
+    expect(r.testStatisticLabel).toBe(`Z = ${r.testStatistic.toFixed(2)}`)
+  })
+
+  it('未知 distribution → NaN，不回退到 t', () => {
+    const r = calculateNIResultContinuous(100, 50, 10, 100, 52, 11, 5, 0.025, 'z')
+    expect(r.ci_lower).toBeNaN()
+    expect(r.p_value).toBeNaN()
+    expect(r.isNonInferior).toBe(false)
+  })
+
+  // 小样本时 t 临界值明显大于 z：n=5/5 → df=8，t_{0.975,8}=2.306004
+  it('小样本 · t 临界值 (df=8) 宽于 z', () => {
+    const r = calculateNIResultContinuous(5, 0, 1, 5, 0, 1, 1, 0.025)
+    const se = Math.sqrt(2 / 5)
+    expect(r.ci_upper / se).toBeCloseTo(2.306004135204166, 8)
+    expect(r.ci_upper / se).toBeGreaterThan(normalInverse(0.975))
+  })
 })
 
 // ========================================================
@@ -221,7 +267,7 @@ describe('calculateSupResult (优效-率)', () => {
     expect(r.diff).toBeCloseTo(0.15, 6)
     expect(r.ci_lower).toBeCloseTo(0.05423214031213036, 6)
     expect(r.ci_upper).toBeCloseTo(0.24576785968786968, 6)
-    expect(r.p_value).toBeCloseTo(0.0010708390508749055, 7)
+    expect(r.p_value).toBeCloseTo(0.0010707703530708006, 7)
     expect(r.testStatistic).toBeCloseTo(3.069867060579906, 5)
     expect(r.isNonInferior).toBe(true)
     expect(r.testStatisticType).toBe('Z')
@@ -238,7 +284,7 @@ describe('calculateSupResult (优效-率)', () => {
     expect(fm.ci_lower).toBeCloseTo(0.053275325894355796, 6)
     expect(fm.ci_upper).toBeCloseTo(0.24399916231632235, 6)
     // p 值用 RMLE SE，与 Wald 略不同（修复前后一致）
-    expect(fm.p_value).toBeCloseTo(0.0012054203347062753, 7)
+    expect(fm.p_value).toBeCloseTo(0.0012053511875378096, 7)
     expect(fm.testStatistic).toBeCloseTo(3.034330424545042, 5)
   })
 
@@ -246,14 +292,14 @@ describe('calculateSupResult (优效-率)', () => {
     const r = calculateSupResult(200, 100, 200, 130, 0.025, false, 'wilson')
     expect(r.ci_lower).toBeCloseTo(0.05312299757970029, 6)
     expect(r.ci_upper).toBeCloseTo(0.2429736322313167, 6)
-    expect(r.p_value).toBeCloseTo(0.0010708390508749055, 7)
+    expect(r.p_value).toBeCloseTo(0.0010707703530708006, 7)
   })
 
   it('MN 分支 · score CI', () => {
     const r = calculateSupResult(200, 100, 200, 130, 0.025, false, 'mn')
     expect(r.ci_lower).toBeCloseTo(0.053153523802757285, 6)
     expect(r.ci_upper).toBeCloseTo(0.24411418437957766, 6)
-    expect(r.p_value).toBeCloseTo(0.0012206730706205704, 7)
+    expect(r.p_value).toBeCloseTo(0.0012206038991587635, 7)
     expect(r.testStatistic).toBeCloseTo(3.0305351379758654, 5)
   })
 
@@ -275,7 +321,7 @@ describe('calculateSupResult (优效-率)', () => {
     expect(r.diff).toBe(0)
     expect(r.ci_lower).toBeCloseTo(-0.09799819930600975, 6)
     expect(r.ci_upper).toBeCloseTo(0.09799819930600975, 6)
-    expect(r.p_value).toBeCloseTo(0.49999999947519136, 6)
+    expect(r.p_value).toBeCloseTo(0.5, 6)
     expect(r.testStatistic).toBe(0)
     expect(r.isNonInferior).toBe(false)
   })
@@ -297,7 +343,9 @@ describe('calculateSupResult (优效-率)', () => {
     expect(r.diff).toBe(0.65)
     expect(r.ci_lower).toBeCloseTo(0.5838966005746657, 6)
     expect(r.ci_upper).toBeCloseTo(0.7161033994253343, 6)
-    expect(r.p_value).toBe(0)
+    // normalSF 直接算上尾: Z=19.27 → 4.57e-83（旧 1 - normalCDF 相消为 0）
+    expect(r.p_value).toBeGreaterThan(0)
+    expect(r.p_value).toBeCloseTo(4.572160091619389e-83, 90)
     expect(r.testStatistic).toBeCloseTo(19.272482233188633, 5)
     expect(r.isNonInferior).toBe(true)
   })
@@ -313,15 +361,15 @@ describe('calculateSupResult (优效-率)', () => {
 
 // ========================================================
 // calculateSupResultContinuous —— 优效试验（连续终点）
-// 签名: (n1, mean1, sd1, n2, mean2, sd2, alpha)
+// 签名: (n1, mean1, sd1, n2, mean2, sd2, alpha, distribution='t')
 // ========================================================
 describe('calculateSupResultContinuous (优效-连续)', () => {
   it('典型场景 · n=60/60 均值 10/15 sd 10/10 alpha=0.025', () => {
     const r = calculateSupResultContinuous(60, 10, 10, 60, 15, 10, 0.025)
     expect(r.diff).toBe(5)
-    expect(r.ci_lower).toBeCloseTo(1.4216117096807563, 6)
-    expect(r.ci_upper).toBeCloseTo(8.578388290319243, 6)
-    expect(r.p_value).toBeCloseTo(0.0030850037213199233, 7)
+    expect(r.ci_lower).toBeCloseTo(1.3845340635723975, 6)
+    expect(r.ci_upper).toBeCloseTo(8.615465936427603, 6)
+    expect(r.p_value).toBeCloseTo(0.003563445526260367, 7)
     expect(r.testStatistic).toBeCloseTo(2.7386127875258306, 5)
     expect(r.isNonInferior).toBe(true)
     expect(r.testStatisticType).toBe('t')
@@ -332,9 +380,9 @@ describe('calculateSupResultContinuous (优效-连续)', () => {
   it('文献复用 · 疼痛评分 (sigma=4, meanDiff=2, alpha=0.05)', () => {
     const r = calculateSupResultContinuous(50, 0, 4, 50, 2, 4, 0.05)
     expect(r.diff).toBe(2)
-    expect(r.ci_lower).toBeCloseTo(0.6841170998930408, 6)
-    expect(r.ci_upper).toBeCloseTo(3.315882900106959, 6)
-    expect(r.p_value).toBeCloseTo(0.006209679853494854, 7)
+    expect(r.ci_lower).toBeCloseTo(0.6715590263475002, 6)
+    expect(r.ci_upper).toBeCloseTo(3.3284409736524996, 6)
+    expect(r.p_value).toBeCloseTo(0.007039877687386176, 7)
     expect(r.testStatistic).toBeCloseTo(2.5, 5)
     expect(r.df).toBe(98)
   })
@@ -342,9 +390,9 @@ describe('calculateSupResultContinuous (优效-连续)', () => {
   it('边界 · 零效应差（均值相等）', () => {
     const r = calculateSupResultContinuous(60, 10, 10, 60, 10, 10, 0.025)
     expect(r.diff).toBe(0)
-    expect(r.ci_lower).toBeCloseTo(-3.5783882903192437, 6)
-    expect(r.ci_upper).toBeCloseTo(3.5783882903192437, 6)
-    expect(r.p_value).toBeCloseTo(0.49999999947519136, 6)
+    expect(r.ci_lower).toBeCloseTo(-3.6154659364276025, 6)
+    expect(r.ci_upper).toBeCloseTo(3.6154659364276025, 6)
+    expect(r.p_value).toBeCloseTo(0.5, 6)
     expect(r.testStatistic).toBe(0)
     expect(r.isNonInferior).toBe(false)
   })
@@ -358,6 +406,21 @@ describe('calculateSupResultContinuous (优效-连续)', () => {
     expect(r.isNonInferior).toBe(false)
   })
 
+  it("distribution='normal' → Z 统计量元数据", () => {
+    const r = calculateSupResultContinuous(60, 10, 10, 60, 15, 10, 0.025, 'normal')
+    expect(r.ci_lower).toBeCloseTo(5 - normalInverse(0.975) * Math.sqrt(10 / 3), 8)
+    expect(r.testStatisticType).toBe('Z')
+    expect(r.df).toBeNull()
+    expect(r.testStatisticLabel).toBe('Z = 2.74')
+  })
+
+  it('未知 distribution → NaN，不回退到 t', () => {
+    const r = calculateSupResultContinuous(60, 10, 10, 60, 15, 10, 0.025, 'T')
+    expect(r.diff).toBeNaN()
+    expect(r.p_value).toBeNaN()
+    expect(r.isNonInferior).toBe(false)
+  })
+
   it('边界 · alpha=0 → 保留 mean 的 fallback', () => {
     const r = calculateSupResultContinuous(60, 10, 10, 60, 15, 10, 0)
     expect(r.mean1).toBe(10)
@@ -370,6 +433,146 @@ describe('calculateSupResultContinuous (优效-连续)', () => {
   })
 })
 
+// ========================================================
+// 比值尺度 —— calculateNIResult / calculateSupResult 的 scale 参数
+// 签名: (..., useContinuity, method, scale)
+// 判定: 非劣效 CI 下限 > M；优效 CI 下限 > 1
+// ========================================================
+describe('比值尺度 (RR / OR) 结果验证', () => {
+  it('非劣效 RR 界值 0.9: FM score 检验 + MN score CI', () => {
+    const r = calculateNIResult(200, 170, 200, 176, 0.9, 0.025, false, undefined, 'ratio')
+    expect(r.scale).toBe('ratio')
+    expect(r.estimate).toBeCloseTo(1.03529412, 8)
+    expect(r.diff).toBeCloseTo(0.03, 10)
+    expect(r.testStatistic).toBeCloseTo(3.34672344, 8)
+    expect(r.p_value).toBeCloseTo(0.00040886374, 10)
+    expect(r.ci_lower).toBeCloseTo(0.95690465, 8)
+    expect(r.ci_upper).toBeCloseTo(1.12264162, 8)
+    expect(r.isNonInferior).toBe(true)
+  })
+
+  it('非劣效 OR: 界值 0.9 不成立，0.5 成立；method 不影响比值尺度', () => {
+    const strict = calculateNIResult(200, 170, 200, 176, 0.9, 0.025, false, 'wald', 'oddsRatio')
+    expect(strict.estimate).toBeCloseTo(1.29411765, 8)
+    expect(strict.ci_lower).toBeCloseTo(0.73019038, 8)
+    expect(strict.ci_upper).toBeCloseTo(2.29310629, 8)
+    expect(strict.isNonInferior).toBe(false)
+
+    const loose = calculateNIResult(200, 170, 200, 176, 0.5, 0.025, false, 'mn', 'oddsRatio')
+    expect(loose.testStatistic).toBeCloseTo(3.3129717, 7)
+    expect(loose.p_value).toBeCloseTo(0.0004615516, 10)
+    expect(loose.isNonInferior).toBe(true)
+  })
+
+  it('优效: θ₀ = 1 时 score 检验与率差 FM 一致，CI 在比值尺度', () => {
+    const fm = calculateSupResult(200, 100, 200, 130, 0.025, false, 'fm')
+    const rr = calculateSupResult(200, 100, 200, 130, 0.025, false, undefined, 'ratio')
+    const or = calculateSupResult(200, 100, 200, 130, 0.025, false, undefined, 'oddsRatio')
+    expect(rr.testStatistic).toBeCloseTo(fm.testStatistic, 10)
+    expect(or.p_value).toBeCloseTo(fm.p_value, 10)
+    expect(rr.estimate).toBeCloseTo(1.3, 10)
+    expect(rr.ci_lower).toBeCloseTo(1.09671167, 8)
+    expect(rr.ci_upper).toBeCloseTo(1.54950712, 8)
+    expect(or.ci_lower).toBeCloseTo(1.24320377, 8)
+    expect(or.ci_upper).toBeCloseTo(2.77423476, 8)
+    expect(rr.isNonInferior).toBe(true)
+    expect(or.isNonInferior).toBe(true)
+  })
+
+  it('零事件: 无界的一侧为 0 / Infinity', () => {
+    const r = calculateNIResult(50, 0, 50, 10, 0.9, 0.025, false, undefined, 'ratio')
+    expect(r.ci_upper).toBe(Infinity)
+    expect(r.ci_lower).toBeGreaterThan(1)
+    expect(calculateNIResult(50, 40, 50, 0, 0.9, 0.025, false, undefined, 'ratio').ci_lower).toBe(0)
+  })
+
+  it('无效尺度 / 比值界值 ≤ 0 → fallback', () => {
+    const badScale = calculateNIResult(200, 170, 200, 176, 0.9, 0.025, false, 'mn', 'logit')
+    expect(badScale.isNonInferior).toBe(false)
+    expect(calculateNIResult(200, 170, 200, 176, -0.1, 0.025, false, 'mn', 'ratio').p_value).toBe(1)
+    expect(calculateSupResult(200, 100, 200, 130, 0.025, false, 'fm', 'rr').testStatistic).toBe(0)
+    // 默认率差尺度，新增字段 estimate = diff
+    const diff = calculateNIResult(200, 170, 200, 176, 0.1, 0.025, false, 'wald')
+    expect(diff.scale).toBe('difference')
+    expect(diff.estimate).toBe(diff.diff)
+  })
+})
+
+// ========================================================
+// 精确检验 —— method = 'fisher' | 'barnard' | 'boschloo'（率差尺度）
+// 判定: 精确 p 值 < α；CI 为检验反演区间（fisher 取 score 排序区间）
+// ========================================================
+describe('精确检验 (Fisher / Barnard / Boschloo) 结果验证', () => {
+  it('优效 Barnard: 疫苗例 p = 0.0341，CI 含 0 → 不成立', () => {
+    const r = calculateSupResult(15, 7, 15, 12, 0.025, false, 'barnard')
+    expect(r.p_value).toBeCloseTo(0.034109154662, 10)
+    expect(r.testStatistic).toBeCloseTo(1.89433808, 8)
+    expect(r.ci_lower).toBeCloseTo(-0.02385976, 5)
+    expect(r.ci_upper).toBeCloseTo(0.63698633, 5)
+    expect(r.isNonInferior).toBe(false)
+    expect(r.testStatisticType).toBe('exact')
+    expect(r.testStatisticLabel).toBe('Z = 1.89')
+    // α = 0.05 时成立，且与 CI 下限 > 0 一致
+    const loose = calculateSupResult(15, 7, 15, 12, 0.05, false, 'barnard')
+    expect(loose.isNonInferior).toBe(true)
+    expect(loose.ci_lower).toBeGreaterThan(0)
+  })
+
+  it('优效 Fisher / Boschloo: SciPy 文档示例', () => {
+    const fisher = calculateSupResult(63, 31, 117, 74, 0.05, false, 'fisher')
+    expect(fisher.p_value).toBeCloseTo(0.04831221008691, 12)
+    expect(fisher.testStatistic).toBe(74)
+    expect(fisher.testStatisticLabel).toBe('X = 74/117 vs 31/63')
+    expect(fisher.isNonInferior).toBe(true)
+
+    const boschloo = calculateSupResult(63, 31, 117, 74, 0.025, false, 'boschloo')
+    expect(boschloo.p_value).toBeCloseTo(0.035564064302, 10)
+    expect(boschloo.testStatisticLabel).toBe('P_F = 0.0483')
+    expect(boschloo.isNonInferior).toBe(false)
+  })
+
+  it('非劣效 Barnard（Chan 1998）: δ = 0.1，连续性校正不影响精确检验', () => {
+    const r = calculateNIResult(15, 7, 15, 12, 0.1, 0.025, false, 'barnard')
+    expect(r.p_value).toBeCloseTo(0.0083547598074, 12)
+    expect(r.testStatistic).toBeCloseTo(2.46051898, 8)
+    expect(r.isNonInferior).toBe(true)
+    expect(r.diff).toBeCloseTo(1 / 3, 12)
+    expect(r.scale).toBe('difference')
+    const cc = calculateNIResult(15, 7, 15, 12, 0.1, 0.025, true, 'barnard')
+    expect(cc.p_value).toBe(r.p_value)
+    expect(cc.p1).toBe(r.p1)
+  })
+
+  it('稀疏事件: 不良事件 0/40 vs 6/40', () => {
+    const barnard = calculateSupResult(40, 0, 40, 6, 0.025, false, 'barnard')
+    const fisher = calculateSupResult(40, 0, 40, 6, 0.025, false, 'fisher')
+    expect(barnard.isNonInferior).toBe(true)
+    expect(barnard.p_value).toBeLessThan(fisher.p_value)
+    expect(barnard.ci_lower).toBeGreaterThan(0)
+  })
+
+  it('等效 TOST: p 值取两侧较大者', () => {
+    const barnard = calculateEqResult(20, 10, 20, 11, 0.3, 0.05, false, 'barnard')
+    expect(barnard.p_value).toBeCloseTo(0.069919894721, 10)
+    expect(barnard.isNonInferior).toBe(false)
+    expect(barnard.testStatisticLabel).toBe('Z₁ = 2.32, Z₂ = -1.66')
+    const boschloo = calculateEqResult(20, 10, 20, 11, 0.3, 0.05, false, 'boschloo')
+    expect(boschloo.p_value).toBeCloseTo(0.052189364294, 10)
+    expect(boschloo.testStatisticType).toBe('exact')
+    expect(calculateEqResult(20, 10, 20, 11, 0.4, 0.05, false, 'barnard').isNonInferior).toBe(true)
+  })
+
+  it('无效输入 → fallback: 非整数计数、fisher 配合非零界值', () => {
+    expect(calculateSupResult(15, 7.5, 15, 12, 0.025, false, 'barnard').p_value).toBe(1)
+    expect(calculateSupResult(15, 7, 15, 16, 0.025, false, 'boschloo').isNonInferior).toBe(false)
+    expect(calculateNIResult(15, 7, 15, 12, 0.1, 0.025, false, 'fisher').p_value).toBe(1)
+    expect(calculateEqResult(20, 10, 20, 11, 0.3, 0.05, false, 'fisher').testStatistic).toBe(0)
+    // 比值尺度不受精确方法影响
+    const rr = calculateSupResult(200, 100, 200, 130, 0.025, false, 'barnard', 'ratio')
+    expect(rr.testStatistic).toBeCloseTo(3.03433042, 8)
+  })
+})
+
 // ========================================================
 // calculateEqResult —— 等效试验（率终点，TOST）
 // 签名: (n1, s1, n2, s2, delta, alpha, useContinuity, method)
@@ -426,7 +629,7 @@ describe('calculateEqResult (等效-率)', () => {
     expect(r.diff).toBe(0)
     expect(r.ci_lower).toBeCloseTo(-0.08224268125668495, 6)
     expect(r.ci_upper).toBeCloseTo(0.08224268125668495, 6)
-    expect(r.p_value).toBeCloseTo(0.0013499672222352377, 7)
+    expect(r.p_value).toBeCloseTo(0.0013498980316300965, 7)
     expect(r.testStatistic).toBe(0)
     expect(r.isNonInferior).toBe(true)
   })
@@ -464,15 +667,15 @@ describe('calculateEqResult (等效-率)', () => {
 
 // ========================================================
 // calculateEqResultContinuous —— 等效试验（连续终点，TOST）
-// 签名: (n1, mean1, sd1, n2, mean2, sd2, delta, alpha)
+// 签名: (n1, mean1, sd1, n2, mean2, sd2, delta, alpha, distribution='t')
 // ========================================================
 describe('calculateEqResultContinuous (等效-连续)', () => {
   it('典型场景 · n=50/50 均值 100/101 sd 8/8 delta=5 alpha=0.05', () => {
     const r = calculateEqResultContinuous(50, 100, 8, 50, 101, 8, 5, 0.05)
     expect(r.diff).toBe(1)
-    expect(r.ci_lower).toBeCloseTo(-1.6317658002139184, 6)
-    expect(r.ci_upper).toBeCloseTo(3.6317658002139184, 6)
-    expect(r.p_value).toBeCloseTo(0.006209679853494854, 7)
+    expect(r.ci_lower).toBeCloseTo(-1.6568819473049996, 6)
+    expect(r.ci_upper).toBeCloseTo(3.6568819473049996, 6)
+    expect(r.p_value).toBeCloseTo(0.007039877687386176, 7)
     expect(r.testStatistic).toBeCloseTo(0.625, 6)
     expect(r.isNonInferior).toBe(true)
     expect(r.testStatisticType).toBe('t')
@@ -484,9 +687,9 @@ describe('calculateEqResultContinuous (等效-连续)', () => {
   it('文献复用 · Julious (sigma=8, delta=5)', () => {
     const r = calculateEqResultContinuous(44, 0, 8, 44, 0, 8, 5, 0.05)
     expect(r.diff).toBe(0)
-    expect(r.ci_lower).toBeCloseTo(-2.8054717694290185, 6)
-    expect(r.ci_upper).toBeCloseTo(2.8054717694290185, 6)
-    expect(r.p_value).toBeCloseTo(0.00168666134942419, 7)
+    expect(r.ci_lower).toBeCloseTo(-2.8360222795629437, 6)
+    expect(r.ci_upper).toBeCloseTo(2.8360222795629437, 6)
+    expect(r.p_value).toBeCloseTo(0.002160326498680698, 7)
     expect(r.testStatistic).toBe(0)
     expect(r.df).toBe(86)
   })
@@ -494,9 +697,9 @@ describe('calculateEqResultContinuous (等效-连续)', () => {
   it('边界 · 零效应差（均值相等）→ 等效成立', () => {
     const r = calculateEqResultContinuous(50, 100, 8, 50, 100, 8, 5, 0.05)
     expect(r.diff).toBe(0)
-    expect(r.ci_lower).toBeCloseTo(-2.6317658002139184, 6)
-    expect(r.ci_upper).toBeCloseTo(2.6317658002139184, 6)
-    expect(r.p_value).toBeCloseTo(0.0008890925719067244, 8)
+    expect(r.ci_lower).toBeCloseTo(-2.6568819473049996, 6)
+    expect(r.ci_upper).toBeCloseTo(2.6568819473049996, 6)
+    expect(r.p_value).toBeCloseTo(0.0011696945471112996, 8)
     expect(r.testStatistic).toBe(0)
     expect(r.isNonInferior).toBe(true)
   })
@@ -539,20 +742,38 @@ describe('等效结果验证 - alpha 单侧语义锁定（P3-1）', () => {
     // n1=n2=100, sd1=sd2=10, mean 相等 → diff=0
     // pooledVar=100, se=sqrt(100*(1/100+1/100))=sqrt(2)≈1.41421
     const SE = Math.sqrt(2)
+    const DF = 198
+    const T_SINGLE_SIDED = tInverse(1 - ALPHA, DF) // ≈ 1.97202
+    const T_BUGGY_HALVED = tInverse(1 - ALPHA / 2, DF)
     const r = calculateEqResultContinuous(100, 0, 10, 100, 0, 10, 5, ALPHA)
+    const rNormal = calculateEqResultContinuous(100, 0, 10, 100, 0, 10, 5, ALPHA, 'normal')
 
-    it('CI 半宽使用单侧 α 的 z=Φ⁻¹(1−α)≈1.96（不再 /2）', () => {
-      // 半宽 = z * se；diff=0 故 ci_upper = z*se
-      expect(r.ci_upper / SE).toBeCloseTo(Z_SINGLE_SIDED, 4)
+    it('CI 半宽使用单侧 α 的 t=t_{1−α, df}≈1.97（不再 /2）', () => {
+      // 半宽 = t * se；diff=0 故 ci_upper = t*se
+      expect(r.ci_upper / SE).toBeCloseTo(T_SINGLE_SIDED, 4)
     })
 
-    it('回归防护：CI 半宽的 z 不等于修复前的 Φ⁻¹(1−α/2)≈2.24', () => {
-      expect(r.ci_upper / SE).not.toBeCloseTo(Z_BUGGY_HALVED, 2)
+    it('回归防护：CI 半宽的 t 不等于修复前的 t_{1−α/2, df}', () => {
+      expect(r.ci_upper / SE).not.toBeCloseTo(T_BUGGY_HALVED, 2)
+    })
+
+    it('ci_upper 数值锁定 ≈ 2.7889（1.97202×√2）', () => {
+      expect(r.ci_upper).toBeCloseTo(T_SINGLE_SIDED * SE, 4)
+      expect(r.ci_lower).toBeCloseTo(-T_SINGLE_SIDED * SE, 4)
+    })
+
+    it("distribution='normal'：保留 z=Φ⁻¹(1−α)≈1.96 的旧版口径", () => {
+      expect(rNormal.ci_upper / SE).toBeCloseTo(Z_SINGLE_SIDED, 4)
+      expect(rNormal.ci_upper / SE).not.toBeCloseTo(Z_BUGGY_HALVED, 2)
+      expect(rNormal.testStatisticType).toBe('Z')
+      expect(rNormal.df).toBeNull()
+      expect(rNormal.testStatisticLabel).toBe('Z₁ = 3.54, Z₂ = -3.54')
     })
 
-    it('ci_upper 数值锁定 ≈ 2.7718（1.95996×√2）', () => {
-      expect(r.ci_upper).toBeCloseTo(Z_SINGLE_SIDED * SE, 4)
-      expect(r.ci_lower).toBeCloseTo(-Z_SINGLE_SIDED * SE, 4)
+    it('未知 distribution → NaN，不回退到 t', () => {
+      const invalid = calculateEqResultContinuous(100, 0, 10, 100, 0, 10, 5, ALPHA, 'welch')
+      expect(invalid.ci_upper).toBeNaN()
+      expect(invalid.isNonInferior).toBe(false)
     })
   })
 
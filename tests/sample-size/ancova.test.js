@@ -0,0 +1,202 @@
+/**
+ * @file ancova.test.js
+ * @description ANCOVA 基线校正样本量 / 功效 / MDE 测试
+ *
+ * 验证数据来源:
+ * - Borm et al. (2007): n_ANCOVA = (1 − ρ²)·n_t-test（z 公式手算），再取最小 n₁ 使
+ *   n₁(N − 3 − q)/(N − 3) ≥ n₁_raw（与功效 / MDE 反推的小样本膨胀一致）
+ * - method='t': 对 χ² 分布的独立 Simpson 数值积分计算非中心 t 功效，
+ *   df = N − 2 − q，SE² = σ²(1 − ρ²)(1/n₁ + 1/n₂)(N − 3)/(N − 3 − q)
+ *   （σ = 10, Δ = 5, α = 0.025, ρ = 0.6: q = 1 时 n₁ = 41 → 0.79319、42 → 0.80303；
+ *    q = 3 时 n₁ = 42 → 0.79283、43 → 0.80270）
+ * - 功效 / MDE 反推（z 法）同样乘小样本膨胀 (N − 3)/(N − 3 − q)，N = n₁(1 + k):
+ *   n₁ = 41: q = 1 时 Z_β = 0.851877 → 0.80285872；q = 3 时 Z_β = 0.815593 → 0.79263361
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  isValidAncova,
+  ancovaVarianceFactor,
+  ancovaStandardError
+} from '../../src/sample-size/ancova'
+import {
+  calculateSupSampleSizeContinuous,
+  calculateNISampleSizeContinuous,
+  calculateEqSampleSizeContinuous
+} from '../../src/sample-size/two-group'
+import { calculatePower } from '../../src/power-analysis/power-calculation'
+import { calculateMDE } from '../../src/power-analysis/effect-size-calculation'
+
+const ancova = { correlation: 0.6 }
+
+describe('sample-size/ancova', () => {
+  describe('辅助函数', () => {
+    it('选项校验', () => {
+      expect(isValidAncova(null)).toBe(true)
+      expect(isValidAncova(undefined)).toBe(true)
+      expect(isValidAncova({ correlation: -0.5, covariates: 2 })).toBe(true)
+      expect(isValidAncova({ correlation: 1 })).toBe(false)
+      expect(isValidAncova({ correlation: 0.5, covariates: 0 })).toBe(false)
+      expect(isValidAncova({ correlation: 0.5, covariates: 1.5 })).toBe(false)
+      expect(isValidAncova(0.5)).toBe(false)
+    })
+
+    it('方差缩减因子 1 − ρ²', () => {
+      expect(ancovaVarianceFactor(null)).toBe(1)
+      expect(ancovaVarianceFactor(ancova)).toBeCloseTo(0.64, 12)
+    })
+
+    it('小样本校正: df = N − 2 − q，SE² 乘 (N − 3)/(N − 3 − q)', () => {
+      expect(ancovaStandardError(10, 10, 10, null)).toEqual({ se: 10 * Math.sqrt(0.2), df: 18 })
+      const { se, df } = ancovaStandardError(10, 10, 10, ancova)
+      expect(df).toBe(17)
+      expect(se * se).toBeCloseTo(100 * 0.64 * 0.2 * (17 / 16), 10)
+      expect(ancovaStandardError(10, 2, 2, { correlation: 0.5, covariates: 2 }).se).toBeNaN()
+    })
+  })
+
+  describe('样本量', () => {
+    it('z 法: Borm (1 − ρ²) 校正 + 小样本膨胀', () => {
+      // t 检验: 7.8489 × 100 × 2 / 25 = 62.79 → 63；ANCOVA: × 0.64 = 40.19 → 41
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1)).toEqual({ n1: 63, n2: 63 })
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 'z', ancova)).toEqual({
+        n1: 41,
+        n2: 41
+      })
+      // 非劣效 / 等效同样缩减；等效 n₁_raw = 68.51: 69 × 134/135 = 68.49 < 68.51 → 70
+      expect(calculateNISampleSizeContinuous(10, 3, 0.025, 0.9, 1, 0, 'z', ancova).n1).toBe(150)
+      expect(calculateEqSampleSizeContinuous(10, 4, 0.05, 0.8, 1, 0, 'z', ancova).n1).toBe(70)
+    })
+
+    it('z 法样本量回代功效达标（σ = 1, ρ = 0.5, q = 3）', () => {
+      const three = { correlation: 0.5, covariates: 3 }
+      const mean = { designType: 'two-group', endpointType: 'mean', sigma: 1, ancova: three }
+      for (const meanDiff of [0.5, 1, 1.5]) {
+        const { n1 } = calculateSupSampleSizeContinuous(1, meanDiff, 0.025, 0.8, 1, 'z', three)
+        const sup = { ...mean, studyType: 'superiority', alpha: 0.025, meanDiff }
+        expect(calculatePower({ ...sup, n1 }).power).toBeGreaterThanOrEqual(0.8)
+        expect(calculatePower({ ...sup, n1: n1 - 1 }).power).toBeLessThan(0.8)
+      }
+      const eq = calculateEqSampleSizeContinuous(1, 1, 0.05, 0.8, 2, 0.2, 'z', three)
+      const eqPower = calculatePower({
+        ...mean,
+        studyType: 'equivalence',
+        alpha: 0.05,
+        n1: eq.n1,
+        ratio: 2,
+        meanDiff: 0.2,
+        delta: 1
+      })
+      expect(eqPower.power).toBeGreaterThanOrEqual(0.8)
+    })
+
+    it("method='t': 小样本自由度校正", () => {
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 't', ancova)).toEqual({
+        n1: 42,
+        n2: 42
+      })
+      // 协变量越多，自由度损失越大
+      expect(
+        calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 't', {
+          correlation: 0.6,
+          covariates: 3
+        }).n1
+      ).toBe(43)
+      expect(calculateNISampleSizeContinuous(10, 3, 0.025, 0.9, 1, 0, 't', ancova).n1).toBe(151)
+      expect(calculateEqSampleSizeContinuous(10, 4, 0.05, 0.8, 1, 0, 't', ancova).n1).toBe(70)
+    })
+
+    it('未提供 ancova 时结果不变', () => {
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 't', null)).toEqual(
+        calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 't')
+      )
+    })
+
+    it('ancova 选项无效返回 NaN', () => {
+      const invalid = { correlation: 1 }
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 'z', invalid).n1).toBeNaN()
+      expect(calculateNISampleSizeContinuous(10, 3, 0.025, 0.9, 1, 0, 'z', invalid).n1).toBeNaN()
+      expect(calculateEqSampleSizeContinuous(10, 4, 0.05, 0.8, 1, 0, 'z', invalid).n1).toBeNaN()
+    })
+  })
+
+  describe('calculatePower / calculateMDE', () => {
+    const common = {
+      designType: 'two-group',
+      endpointType: 'mean',
+      sigma: 10,
+      alpha: 0.025,
+      ancova
+    }
+
+    it('功效: SE = σ√[(1 − ρ²)(N − 3)/(N − 3 − q)]·√(1 + 1/k) / √n₁', () => {
+      const { power } = calculatePower({
+        ...common,
+        studyType: 'superiority',
+        n1: 41,
+        meanDiff: 5
+      })
+      // Z_β = 5√41 / (10 × 0.8 × √2 × √(79/78)) − 1.959964 = 0.851877
+      expect(power).toBeCloseTo(0.80285872, 6)
+      const ni = calculatePower({ ...common, n1: 150, meanDiff: 0, delta: 3 })
+      expect(ni.power).toBeGreaterThan(0.9)
+      const eq = calculatePower({
+        ...common,
+        studyType: 'equivalence',
+        n1: 70,
+        meanDiff: 0,
+        delta: 4,
+        alpha: 0.05
+      })
+      expect(eq.power).toBeGreaterThan(0.8)
+    })
+
+    it('功效与 MDE 互逆', () => {
+      const { mde } = calculateMDE({ ...common, studyType: 'superiority', n1: 41, power: 0.8 })
+      const { power } = calculatePower({
+        ...common,
+        studyType: 'superiority',
+        n1: 41,
+        meanDiff: mde
+      })
+      expect(power).toBeCloseTo(0.8, 8)
+      // ANCOVA 的 MDE 为 t 检验的 √[(1 − ρ²)(N − 3)/(N − 3 − q)] 倍
+      const plain = calculateMDE({
+        ...common,
+        ancova: undefined,
+        studyType: 'superiority',
+        n1: 41,
+        power: 0.8
+      })
+      expect(mde / plain.mde).toBeCloseTo(0.8 * Math.sqrt(79 / 78), 12)
+    })
+
+    it("协变量个数 q 进入功效与 MDE，与 method='t' 样本量一致", () => {
+      const sup = { ...common, studyType: 'superiority', meanDiff: 5 }
+      const three = { ...common.ancova, covariates: 3 }
+      const q3 = calculatePower({ ...sup, n1: 41, ancova: three }).power
+      expect(q3).toBeCloseTo(0.79263361, 6)
+      expect(q3).toBeLessThan(calculatePower({ ...sup, n1: 41 }).power)
+      const mde3 = calculateMDE({ ...common, studyType: 'superiority', n1: 41, power: 0.8 })
+      const mdeQ3 = calculateMDE({
+        ...common,
+        ancova: three,
+        studyType: 'superiority',
+        n1: 41,
+        power: 0.8
+      })
+      expect(mdeQ3.mde / mde3.mde).toBeCloseTo(Math.sqrt(78 / 76), 12)
+      // 自由度不足（N − 3 − q < 1）→ NaN
+      const tiny = { ...sup, n1: 2, ancova: { correlation: 0.6, covariates: 2 } }
+      expect(calculatePower(tiny).power).toBeNaN()
+    })
+
+    it('ancova 选项无效返回 NaN', () => {
+      const bad = { ...common, ancova: { correlation: -1 } }
+      expect(
+        calculatePower({ ...bad, studyType: 'superiority', n1: 41, meanDiff: 5 }).power
+      ).toBeNaN()
+      expect(calculateMDE({ ...bad, studyType: 'superiority', n1: 41, power: 0.8 }).mde).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,219 @@
+/**
+ * @file nonparametric.test.js
+ * @description 非参数检验样本量 / 功效测试（Wilcoxon-Mann-Whitney、Wilcoxon 符号秩）
+ *
+ * 验证数据来源:
+ * - Noether GE. JASA 1987;82:645-647. 公式手算:
+ *   P(X < Y) = 0.35，α = 0.025，power = 0.8 → n₁ = 2 × 7.849 / (12 × 0.0225) = 58.14 → 59
+ *   p′ = 0.7 → n = 7.849 / (3 × 0.04) = 65.41 → 66
+ * - ARE 法: tests/fixtures/python/nonparametric-are.py（卡方密度 Simpson 积分得非中心 t 尾概率，
+ *   分数自由度）
+ *   Δ = 1.5，σ = 3，正态 ARE = 3/π: n₁ = 66 → 0.79532891，67 → 0.80133622
+ *   配对 Δ = 1，σ_d = 2: n = 34 → 0.78848176，35 → 0.80069062
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  ARE_BY_DISTRIBUTION,
+  calculateMannWhitneySampleSize,
+  calculateMannWhitneyPower,
+  calculateSignedRankSampleSize,
+  calculateSignedRankPower
+} from '../../src/sample-size/nonparametric'
+
+describe('sample-size/nonparametric', () => {
+  // ========================================================
+  // Mann-Whitney: Noether 法
+  // ========================================================
+  describe('Mann-Whitney: Noether 法', () => {
+    it('P(X < Y) = 0.35', () => {
+      const result = calculateMannWhitneySampleSize({ probability: 0.35, alpha: 0.025, power: 0.8 })
+      expect(result).toEqual({ n1: 59, n2: 59, method: 'noether' })
+    })
+
+    it('p 与 1 − p 对称，2:1 分配', () => {
+      const result = calculateMannWhitneySampleSize({
+        probability: 0.65,
+        alpha: 0.025,
+        power: 0.8,
+        ratio: 2
+      })
+      expect(result.n1).toBe(44)
+      expect(result.n2).toBe(88)
+    })
+
+    it('功效与样本量互逆', () => {
+      const at59 = calculateMannWhitneyPower({ probability: 0.35, alpha: 0.025, n1: 59 })
+      expect(at59.power).toBeCloseTo(0.80573029, 7)
+      const at58 = calculateMannWhitneyPower({ probability: 0.35, alpha: 0.025, n1: 58 })
+      expect(at58.power).toBeLessThan(0.8)
+    })
+  })
+
+  // ========================================================
+  // Mann-Whitney: ARE 法
+  // ========================================================
+  describe('Mann-Whitney: ARE 法', () => {
+    it('正态分布 ARE = 3/π', () => {
+      // Δ = 1.5, σ = 3
+      const result = calculateMannWhitneySampleSize({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result).toEqual({ n1: 67, n2: 67, method: 'are' })
+
+      const at66 = calculateMannWhitneyPower({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 3,
+        alpha: 0.025,
+        n1: 66
+      })
+      expect(at66.power).toBeCloseTo(0.79532891, 7)
+      const at67 = calculateMannWhitneyPower({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 3,
+        alpha: 0.025,
+        n1: 67
+      })
+      expect(at67.power).toBeCloseTo(0.80133622, 7)
+    })
+
+    it('分布越重尾，ARE 越高，样本量越小', () => {
+      const n = are =>
+        calculateMannWhitneySampleSize({
+          method: 'are',
+          meanDiff: 1.5,
+          sigma: 3,
+          are,
+          alpha: 0.025,
+          power: 0.8
+        }).n1
+      expect(n('laplace')).toBe(43)
+      expect(n('logistic')).toBe(59)
+      expect(n('uniform')).toBe(64)
+      expect(n('conservative')).toBe(74)
+      expect(n(0.9)).toBe(71)
+      expect(ARE_BY_DISTRIBUTION.normal).toBeCloseTo(0.95492966, 8)
+    })
+  })
+
+  // ========================================================
+  // 符号秩检验
+  // ========================================================
+  describe('符号秩检验', () => {
+    it('Noether 法: p′ = 0.7', () => {
+      const result = calculateSignedRankSampleSize({ probability: 0.7, alpha: 0.025, power: 0.8 })
+      expect(result.n).toBe(66)
+      const { power } = calculateSignedRankPower({ probability: 0.7, alpha: 0.025, n: 66 })
+      expect(power).toBeGreaterThanOrEqual(0.8)
+    })
+
+    it('ARE 法: Δ = 1，σ_d = 2', () => {
+      const result = calculateSignedRankSampleSize({
+        method: 'are',
+        meanDiff: 1,
+        sigma: 2,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.n).toBe(35)
+
+      const at34 = calculateSignedRankPower({
+        method: 'are',
+        meanDiff: 1,
+        sigma: 2,
+        alpha: 0.025,
+        n: 34
+      })
+      expect(at34.power).toBeCloseTo(0.78848176, 7)
+      const at35 = calculateSignedRankPower({
+        method: 'are',
+        meanDiff: 1,
+        sigma: 2,
+        alpha: 0.025,
+        n: 35
+      })
+      expect(at35.power).toBeCloseTo(0.80069062, 7)
+    })
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效', () => {
+    it('Noether 法: 概率或方法无效返回 NaN', () => {
+      // P(X < Y) = 1/2 时无效应
+      const result1 = calculateMannWhitneySampleSize({
+        probability: 0.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateMannWhitneySampleSize({ probability: 1, alpha: 0.025, power: 0.8 })
+      expect(result2.n1).toBeNaN()
+
+      const result3 = calculateMannWhitneySampleSize({
+        method: 'exact',
+        probability: 0.35,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('ARE 法: ARE 或标准差无效返回 NaN', () => {
+      const result1 = calculateMannWhitneySampleSize({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 3,
+        are: 'cauchy',
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateMannWhitneySampleSize({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 3,
+        are: 0,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result2.n1).toBeNaN()
+
+      const result3 = calculateMannWhitneySampleSize({
+        method: 'are',
+        meanDiff: 1.5,
+        sigma: 0,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('功效 / 符号秩参数无效返回 NaN', () => {
+      const result1 = calculateMannWhitneyPower({ probability: 0.35, alpha: 0.025, n1: 0 })
+      expect(result1.power).toBeNaN()
+
+      const result2 = calculateSignedRankSampleSize({ probability: 0.35, alpha: 0, power: 0.8 })
+      expect(result2.n).toBeNaN()
+
+      // Δ = 0 时无效应
+      const result3 = calculateSignedRankPower({
+        method: 'are',
+        meanDiff: 0,
+        sigma: 3,
+        alpha: 0.025,
+        n: 30
+      })
+      expect(result3.power).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,98 @@
+/**
+ * @file one-sample.test.js
+ * @description 单组试验率终点精确二项设计测试（method='exact' 与锯齿功效曲线）
+ *
+ * 验证数据来源:
+ * - 直接求和 Σ C(n,i) p^i (1-p)^(n-i) 的逐 n 暴力搜索（Python math.comb 复核）
+ * - Chernick & Liu (2002): 功效随 n 呈锯齿状，首个达标 n 之后仍可能跌破目标
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateOneSampleSize,
+  calculateOneSampleExactPowerProfile
+} from '../../src/sample-size/one-sample'
+
+describe('sample-size/one-sample', () => {
+  // ========================================================
+  // calculateOneSampleSize method='exact'
+  // ========================================================
+  describe("calculateOneSampleSize method='exact'", () => {
+    it('与暴力搜索一致: 最小 n 与临界成功数 r', () => {
+      const r = calculateOneSampleSize(0.75, 0.85, 0.025, 0.8, 'exact')
+      expect(r.n1).toBe(132)
+      expect(r.n2).toBe(0)
+      expect(r.r).toBe(109)
+      expect(r.actualAlpha).toBeCloseTo(0.0248331962, 9)
+      expect(r.actualPower).toBeCloseTo(0.8180385439, 9)
+    })
+
+    it('高目标值器械试验: p0 = 0.90, p1 = 0.95', () => {
+      const r = calculateOneSampleSize(0.9, 0.95, 0.025, 0.8, 'exact')
+      expect(r.n1).toBe(231)
+      expect(r.r).toBe(217)
+      expect(r.actualAlpha).toBeLessThanOrEqual(0.025)
+      expect(r.actualPower).toBeCloseTo(0.8164071098, 9)
+    })
+
+    it('小样本: p0 = 0.5, p1 = 0.8, alpha = 0.05', () => {
+      const r = calculateOneSampleSize(0.5, 0.8, 0.05, 0.8, 'exact')
+      expect(r.n1).toBe(18)
+      expect(r.r).toBe(13)
+      expect(r.actualAlpha).toBeCloseTo(0.048126220703125, 14)
+    })
+
+    it('正态近似（默认）结果不变', () => {
+      expect(calculateOneSampleSize(0.75, 0.85, 0.025, 0.8)).toEqual({ n1: 133, n2: 0 })
+    })
+
+    it('p1 ≤ p0 或参数无效时返回 NaN', () => {
+      expect(calculateOneSampleSize(0.85, 0.75, 0.025, 0.8, 'exact').n1).toBeNaN()
+      expect(calculateOneSampleSize(0.75, 0.85, 0, 0.8, 'exact').n1).toBeNaN()
+    })
+
+    it('未知 method 返回 NaN，不回退到正态近似', () => {
+      expect(calculateOneSampleSize(0.75, 0.85, 0.025, 0.8, 'Exact').n1).toBeNaN()
+      expect(calculateOneSampleSize(0.75, 0.85, 0.025, 0.8, 'wilson').n1).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // calculateOneSampleExactPowerProfile - 锯齿功效曲线
+  // ========================================================
+  describe('calculateOneSampleExactPowerProfile', () => {
+    const result = calculateOneSampleExactPowerProfile(0.75, 0.85, 0.025, 0.8, 120, 160)
+
+    it('逐 n 列出临界值、实际 α 与功效', () => {
+      expect(result.profile).toHaveLength(41)
+      expect(result.profile[0].n).toBe(120)
+      for (const point of result.profile) {
+        expect(point.actualAlpha).toBeLessThanOrEqual(0.025)
+      }
+      const at132 = result.profile.find(point => point.n === 132)
+      expect(at132.r).toBe(109)
+      expect(at132.actualPower).toBeCloseTo(0.8180385439, 9)
+    })
+
+    it('功效呈锯齿状: 首个达标 n 之后仍有不达标点', () => {
+      expect(result.nFirst).toBe(132)
+      expect(result.profile.find(point => point.n === 134).actualPower).toBeLessThan(0.8)
+      // 140 仍不达标，142 起区间内全部达标
+      expect(result.profile.find(point => point.n === 140).actualPower).toBeLessThan(0.8)
+      expect(result.nStable).toBe(142)
+    })
+
+    it('与逐点样本量计算一致', () => {
+      expect(result.nFirst).toBe(calculateOneSampleSize(0.75, 0.85, 0.025, 0.8, 'exact').n1)
+    })
+
+    it('区间内不达标返回 null，参数无效返回 NaN', () => {
+      const low = calculateOneSampleExactPowerProfile(0.75, 0.85, 0.025, 0.8, 10, 20)
+      expect(low.nFirst).toBeNull()
+      expect(low.nStable).toBeNull()
+      const invalid = calculateOneSampleExactPowerProfile(0.75, 0.85, 0.025, 0.8, 50, 40)
+      expect(invalid.profile).toEqual([])
+      expect(invalid.nFirst).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,229 @@
+/**
+ * @file ordinal.test.js
+ * @description 有序分类终点（Whitehead 比例优势）样本量 / 功效 / MDE 测试
+ *
+ * 验证数据来源:
+ * - Whitehead J. Stat Med. 1993;12(24):2257-2271. 公式，tests/fixtures/python/ordinal-sample-size.py:
+ *   mRS 0-6 对照组 [0.05, 0.10, 0.15, 0.20, 0.20, 0.15, 0.15]，OR = 1.5，α = 0.025，power = 0.8
+ *   → n₁ = 294.15 → 295；2:1 分配、power = 0.9 → 295.32 → 296
+ * - 两类时退化为对数 OR 公式 n₁ = 2(Z_{1−α} + Z_{1−β})² / [(ln OR)² p̄(1 − p̄)]（p = 0.3, OR = 2 → 139）
+ * - 给定试验组分布: 有效得分 ln OR = 3[P(T < C) − P(T > C)]/(1 − Σp̄³)，同一脚本逐类别双重求和
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateOrdinalSampleSize,
+  calculateOrdinalPower,
+  calculateOrdinalMDE
+} from '../../src/sample-size/ordinal'
+
+describe('sample-size/ordinal', () => {
+  // ========================================================
+  // 样本量
+  // ========================================================
+  describe('样本量', () => {
+    it('mRS 共同 OR = 1.5', () => {
+      const result = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result).toMatchObject({ n1: 295, n2: 295, totalN: 590, oddsRatio: 1.5 })
+      // 比例优势推算的试验组分布: T₁ = 1.5 × 0.05 / (0.95 + 0.075)
+      expect(result.p2[0]).toBeCloseTo(0.0731707317, 10)
+      expect(result.p2.reduce((sum, p) => sum + p, 0)).toBeCloseTo(1, 12)
+    })
+
+    it('2:1 分配', () => {
+      const result = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.9,
+        ratio: 2
+      })
+      expect(result.n1).toBe(296)
+      expect(result.n2).toBe(592)
+    })
+
+    it('两类时与对数 OR 公式一致', () => {
+      const result = calculateOrdinalSampleSize({
+        p1: [0.3, 0.7],
+        oddsRatio: 2,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.n1).toBe(139)
+    })
+
+    it('OR 与 1/OR 对称', () => {
+      // 类别顺序反转 ≡ OR 取倒数
+      const inverse = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1 / 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      const reversed = calculateOrdinalSampleSize({
+        p1: [0.15, 0.15, 0.2, 0.2, 0.15, 0.1, 0.05],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(inverse.n1).toBe(reversed.n1)
+    })
+
+    it('给定试验组分布: 有效得分近似 OR', () => {
+      const result = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        p2: [0.08, 0.14, 0.18, 0.2, 0.18, 0.12, 0.1],
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result.oddsRatio).toBeCloseTo(1.53896249, 7)
+      expect(result.n1).toBe(261)
+    })
+
+    it('类别越少（信息越少）样本量越大', () => {
+      const merged = calculateOrdinalSampleSize({
+        p1: [0.3, 0.4, 0.3],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      const fine = calculateOrdinalSampleSize({
+        p1: [0.1, 0.2, 0.15, 0.25, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(merged.n1).toBeGreaterThan(fine.n1)
+    })
+  })
+
+  // ========================================================
+  // 功效与 MDE
+  // ========================================================
+  describe('功效与 MDE', () => {
+    it('功效: n₁ = 300', () => {
+      const { power, oddsRatio } = calculateOrdinalPower({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        n1: 300
+      })
+      expect(power).toBeCloseTo(0.80766483, 7)
+      expect(oddsRatio).toBe(1.5)
+    })
+
+    it('与样本量互逆', () => {
+      const at295 = calculateOrdinalPower({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        n1: 295
+      })
+      expect(at295.power).toBeGreaterThanOrEqual(0.8)
+      const at294 = calculateOrdinalPower({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        n1: 294
+      })
+      expect(at294.power).toBeLessThan(0.8)
+    })
+
+    it('MDE: n₁ = 300 时最小可检测 OR', () => {
+      const { mde, p2 } = calculateOrdinalMDE({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        alpha: 0.025,
+        power: 0.8,
+        n1: 300
+      })
+      expect(mde).toBeCloseTo(1.49405983, 7)
+      expect(p2).toHaveLength(7)
+      const { power } = calculateOrdinalPower({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: mde,
+        alpha: 0.025,
+        n1: 300
+      })
+      expect(power).toBeCloseTo(0.8, 8)
+    })
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效', () => {
+    it('对照组分布无效返回 NaN', () => {
+      // 概率和不为 1
+      const result1 = calculateOrdinalSampleSize({
+        p1: [0.5, 0.4],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      // 仅一个类别
+      const result2 = calculateOrdinalSampleSize({
+        p1: [1],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 全部集中于一个类别
+      const result3 = calculateOrdinalSampleSize({
+        p1: [1, 0, 0],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('OR 或试验组分布无效返回 NaN', () => {
+      const result1 = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: -2,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 试验组类别数与对照组不符
+      const result3 = calculateOrdinalSampleSize({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        p2: [0.5, 0.5],
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('功效 / MDE 参数无效返回 NaN', () => {
+      const power = calculateOrdinalPower({
+        p1: [0.05, 0.1, 0.15, 0.2, 0.2, 0.15, 0.15],
+        oddsRatio: 1.5,
+        alpha: 0.025,
+        n1: 0
+      })
+      expect(power.power).toBeNaN()
+
+      const mde = calculateOrdinalMDE({ p1: [0.5, 0.6], alpha: 0.025, power: 0.8, n1: 100 })
+      expect(mde.mde).toBeNaN()
+    })
+  })
+})
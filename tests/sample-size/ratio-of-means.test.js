@@ -0,0 +1,256 @@
+/**
+ * @file ratio-of-means.test.js
+ * @description 对数正态终点几何均值比（GMR）样本量 / 功效测试
+ *
+ * 验证数据来源:
+ * - Julious (2009) 第 5 章对数尺度公式手算: σ = √ln(1.09) = 0.29356038
+ *   优效 GMR = 1.25: n₁ = 7.849 × 2 × 0.086178 / 0.049793 = 27.17 → 28
+ *   非劣效 GMR = 0.95、M = 0.8: 效应量 ln(0.95/0.8) = 0.171850 → 45.81 → 46
+ * - method = 't': tests/fixtures/python/ratio-of-means.py（卡方密度 Simpson 积分得非中心 t 尾概率；
+ *   TOST 按 s 条件概率积分），CV = 0.3:
+ *   等效 GMR = 0.95（α = 0.05）: n₁ = 37 → 0.79243988，38 → 0.80312268；GMR = 1: 30 → 0.79394713，
+ *   31 → 0.81107301
+ *   非劣效: 46 → 0.79316167，47 → 0.80181656；优效 GMR = 1.25: 28 → 0.79765122，29 → 0.81180020
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateRatioSampleSize, calculateRatioPower } from '../../src/sample-size/ratio-of-means'
+
+describe('sample-size/ratio-of-means', () => {
+  // ========================================================
+  // 样本量
+  // ========================================================
+  describe('样本量', () => {
+    it('优效: GMR 与 1/GMR 对称', () => {
+      const result = calculateRatioSampleSize({ gmr: 1.25, cv: 0.3, alpha: 0.025, power: 0.8 })
+      expect(result).toMatchObject({ n1: 28, n2: 28, totalN: 56 })
+      expect(result.sigmaLog).toBeCloseTo(0.29356038, 8)
+
+      const inverse = calculateRatioSampleSize({ gmr: 0.8, cv: 0.3, alpha: 0.025, power: 0.8 })
+      expect(inverse.n1).toBe(28)
+    })
+
+    it('非劣效: 界值 0.8（越高越好）与 1.25（越低越好）', () => {
+      const higher = calculateRatioSampleSize({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(higher.n1).toBe(46)
+
+      const lower = calculateRatioSampleSize({
+        studyType: 'non-inferiority',
+        gmr: 1 / 0.95,
+        margin: 1.25,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(lower.n1).toBe(46)
+    })
+
+    it('等效: 默认 80%–125%，t 法与精确 TOST 功效一致', () => {
+      const z = calculateRatioSampleSize({
+        studyType: 'equivalence',
+        gmr: 0.95,
+        cv: 0.3,
+        alpha: 0.05,
+        power: 0.8
+      })
+      expect(z.n1).toBe(37)
+
+      const t = calculateRatioSampleSize({
+        studyType: 'equivalence',
+        gmr: 0.95,
+        cv: 0.3,
+        alpha: 0.05,
+        power: 0.8,
+        method: 't'
+      })
+      expect(t.n1).toBe(38)
+
+      const centered = calculateRatioSampleSize({
+        studyType: 'equivalence',
+        gmr: 1,
+        cv: 0.3,
+        alpha: 0.05,
+        power: 0.8,
+        method: 't'
+      })
+      expect(centered.n1).toBe(31)
+    })
+
+    it('2:1 分配', () => {
+      const result = calculateRatioSampleSize({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8,
+        ratio: 2
+      })
+      expect(result.n2).toBe(2 * result.n1)
+      // 1:1 时 n₁ = 46
+      expect(result.n1).toBeLessThan(46)
+    })
+  })
+
+  // ========================================================
+  // 功效
+  // ========================================================
+  describe('功效', () => {
+    it('t 法等效: GMR = 0.95，n₁ = 37 / 38', () => {
+      const at37 = calculateRatioPower({
+        studyType: 'equivalence',
+        gmr: 0.95,
+        cv: 0.3,
+        alpha: 0.05,
+        n1: 37,
+        method: 't'
+      })
+      expect(at37.power).toBeCloseTo(0.79243988, 7)
+      const at38 = calculateRatioPower({
+        studyType: 'equivalence',
+        gmr: 0.95,
+        cv: 0.3,
+        alpha: 0.05,
+        n1: 38,
+        method: 't'
+      })
+      expect(at38.power).toBeCloseTo(0.80312268, 7)
+    })
+
+    it('t 法非劣效: GMR = 0.95、M = 0.8，n₁ = 46 / 47', () => {
+      const at46 = calculateRatioPower({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        n1: 46,
+        method: 't'
+      })
+      expect(at46.power).toBeCloseTo(0.79316167, 7)
+      const at47 = calculateRatioPower({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        n1: 47,
+        method: 't'
+      })
+      expect(at47.power).toBeCloseTo(0.80181656, 7)
+    })
+
+    it('t 法优效: GMR = 1.25，n₁ = 28 / 29', () => {
+      const at28 = calculateRatioPower({ gmr: 1.25, cv: 0.3, alpha: 0.025, n1: 28, method: 't' })
+      expect(at28.power).toBeCloseTo(0.79765122, 7)
+      const at29 = calculateRatioPower({ gmr: 1.25, cv: 0.3, alpha: 0.025, n1: 29, method: 't' })
+      expect(at29.power).toBeCloseTo(0.8118002, 7)
+    })
+
+    it('z 法: 样本量对应功效达标', () => {
+      const at46 = calculateRatioPower({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        n1: 46
+      })
+      expect(at46.power).toBeGreaterThanOrEqual(0.8)
+      const at45 = calculateRatioPower({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        n1: 45
+      })
+      expect(at45.power).toBeLessThan(0.8)
+    })
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效', () => {
+    it('优效: GMR = 1、CV = 0 或试验类型未知返回 NaN', () => {
+      const result1 = calculateRatioSampleSize({ gmr: 1, cv: 0.3, alpha: 0.025, power: 0.8 })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateRatioSampleSize({ gmr: 1.25, cv: 0, alpha: 0.025, power: 0.8 })
+      expect(result2.n1).toBeNaN()
+
+      const result3 = calculateRatioSampleSize({
+        studyType: 'bioequivalence',
+        gmr: 1.25,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('非劣效: 界值为 1 或 GMR 劣于界值返回 NaN', () => {
+      const result1 = calculateRatioSampleSize({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 1,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateRatioSampleSize({
+        studyType: 'non-inferiority',
+        gmr: 0.75,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        power: 0.8
+      })
+      expect(result2.n1).toBeNaN()
+    })
+
+    it('等效: GMR 在等效区间外或区间颠倒返回 NaN', () => {
+      const result1 = calculateRatioSampleSize({
+        studyType: 'equivalence',
+        gmr: 1.3,
+        cv: 0.3,
+        alpha: 0.05,
+        power: 0.8
+      })
+      expect(result1.n1).toBeNaN()
+
+      const result2 = calculateRatioSampleSize({
+        studyType: 'equivalence',
+        gmr: 0.95,
+        lower: 1.25,
+        upper: 0.8,
+        cv: 0.3,
+        alpha: 0.05,
+        power: 0.8
+      })
+      expect(result2.n1).toBeNaN()
+    })
+
+    it('功效: 样本量无效返回 NaN', () => {
+      const result = calculateRatioPower({
+        studyType: 'non-inferiority',
+        gmr: 0.95,
+        margin: 0.8,
+        cv: 0.3,
+        alpha: 0.025,
+        n1: 0
+      })
+      expect(result.power).toBeNaN()
+    })
+  })
+})
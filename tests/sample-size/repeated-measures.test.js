@@ -0,0 +1,321 @@
+/**
+ * @file repeated-measures.test.js
+ * @description 重复测量（MMRM）样本量测试
+ *
+ * 验证数据来源:
+ * - tests/fixtures/python/repeated-measures-information.py：精确有理数计算 Lu, Luo & Chen (2008)
+ *   信息矩阵 I = Σ(r_j − r_{j+1})Σ_j⁻¹ 与 cᵀI⁻¹c
+ *   （4 次访视，第 4、8、12、24 周，σ = 10，保留率 1 / 0.9 / 0.85 / 0.8）
+ * - 无脱落末次访视对比 ≡ 两组连续终点公式（σ 取末次访视标准差）
+ * - 复合对称、完整数据斜率方差 = σ²(1 − ρ)/Σ(t − t̄)²（Diggle et al. 2002）
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateRepeatedMeasuresSampleSize } from '../../src/sample-size/repeated-measures'
+import { calculateSupSampleSizeContinuous } from '../../src/sample-size/two-group'
+
+describe('sample-size/repeated-measures', () => {
+  // ========================================================
+  // 末次访视对比
+  // ========================================================
+  describe('末次访视对比', () => {
+    it('无脱落时与两组连续终点公式一致', () => {
+      // Δ = 5, σ = 10, 复合对称 ρ = 0.5，无脱落
+      const result = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5
+      })
+      expect(result.inflation1).toBeCloseTo(1, 12)
+      expect(result.variance1).toBeCloseTo(100, 10)
+      const { n1, n2 } = calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1)
+      expect(result.n1).toBe(n1)
+      expect(result.n2).toBe(n2)
+    })
+
+    it('复合对称 + 单调脱落', () => {
+      const result = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(result.variance1).toBeCloseTo(117.28622004357298, 9)
+      expect(result.inflation1).toBeCloseTo(1.1728622, 8)
+      // n₁ = 7.84887 × 2 × 117.286 / 25 = 73.65 → 74
+      expect(result.n1).toBe(74)
+      expect(result.n2).toBe(74)
+    })
+
+    it('AR(1) ρ = 0.7', () => {
+      const result = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        structure: 'ar1',
+        rho: 0.7,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(result.variance1).toBeCloseTo(118.52056666666667, 9)
+      expect(result.n1).toBe(75)
+    })
+
+    it('非结构化相关、各访视标准差不同、两组保留率不同、2:1 分配', () => {
+      const result = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 6,
+        alpha: 0.025,
+        power: 0.9,
+        ratio: 2,
+        visits: 4,
+        sigma: [8, 9, 10, 12],
+        structure: 'unstructured',
+        correlationMatrix: [
+          [1, 0.6, 0.5, 0.4],
+          [0.6, 1, 0.6, 0.5],
+          [0.5, 0.6, 1, 0.6],
+          [0.4, 0.5, 0.6, 1]
+        ],
+        retention1: [1, 0.9, 0.85, 0.8],
+        retention2: [1, 0.85, 0.75, 0.7]
+      })
+      expect(result.variance1).toBeCloseTo(170.78343891402716, 9)
+      expect(result.variance2).toBeCloseTo(190.26466709760828, 9)
+      expect(result.n1).toBe(78)
+      expect(result.n2).toBe(156)
+    })
+
+    it('脱落越多样本量越大', () => {
+      const heavier = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.8, 0.7, 0.6]
+      })
+      // 保留率 1 / 0.9 / 0.85 / 0.8 时 n₁ = 74（见上）
+      expect(heavier.n1).toBeGreaterThan(74)
+    })
+  })
+
+  // ========================================================
+  // 斜率对比
+  // ========================================================
+  describe('斜率对比', () => {
+    it('复合对称完整数据: σ²(1 − ρ)/Σ(t − t̄)²', () => {
+      const result = calculateRepeatedMeasuresSampleSize({
+        contrast: 'slope',
+        meanDiff: 0.25,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        times: [4, 8, 12, 24],
+        sigma: 10,
+        rho: 0.5
+      })
+      // Σ(t − t̄)² = 64 + 16 + 0 + 144 = 224
+      expect(result.variance1).toBeCloseTo((100 * 0.5) / 224, 12)
+    })
+
+    it('AR(1) + 单调脱落', () => {
+      const result = calculateRepeatedMeasuresSampleSize({
+        contrast: 'slope',
+        meanDiff: 0.25,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        times: [4, 8, 12, 24],
+        sigma: 10,
+        structure: 'ar1',
+        rho: 0.7,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(result.variance1).toBeCloseTo(0.3603608949829932, 12)
+      expect(result.inflation1).toBeCloseTo(1.15978219, 8)
+      expect(result.n1).toBe(91)
+    })
+  })
+
+  // ========================================================
+  // 试验类型
+  // ========================================================
+  describe('试验类型', () => {
+    it('非劣效: effect = Δ + δ', () => {
+      // Δ = 0, δ = 5 与优效 Δ = 5 同为 n₁ = 74
+      const ni = calculateRepeatedMeasuresSampleSize({
+        studyType: 'non-inferiority',
+        meanDiff: 0,
+        margin: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(ni.n1).toBe(74)
+
+      // Δ + δ < 0：预期效应劣于界值，不可达
+      const unreachable = calculateRepeatedMeasuresSampleSize({
+        studyType: 'non-inferiority',
+        meanDiff: -6,
+        margin: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(unreachable.n1).toBe(Infinity)
+    })
+
+    it('等效: Δ = 0 时使用 Z_{1−β/2}', () => {
+      const eq = calculateRepeatedMeasuresSampleSize({
+        studyType: 'equivalence',
+        meanDiff: 0,
+        margin: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      const ni = calculateRepeatedMeasuresSampleSize({
+        studyType: 'non-inferiority',
+        meanDiff: 0,
+        margin: 5,
+        alpha: 0.025,
+        power: 0.9,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.85, 0.8]
+      })
+      expect(eq.n1).toBe(ni.n1)
+    })
+  })
+
+  // ========================================================
+  // 边界条件和错误处理
+  // ========================================================
+  describe('参数无效', () => {
+    it('相关参数无效返回 NaN', () => {
+      // 复合对称 ρ < −1/(J − 1)，协方差阵非正定
+      const result1 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: -0.5
+      })
+      expect(result1.n1).toBeNaN()
+
+      // 非结构化但未给出相关矩阵
+      const result2 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        structure: 'unstructured'
+      })
+      expect(result2.n1).toBeNaN()
+
+      // sigma 数组长度与访视次数不符
+      const result3 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: [10, 10],
+        rho: 0.5
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('保留率无效返回 NaN', () => {
+      // 非单调
+      const result1 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.8, 0.9, 0.7]
+      })
+      expect(result1.n1).toBeNaN()
+
+      // 长度与访视次数不符
+      const result2 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.8]
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 末次访视保留率为 0
+      const result3 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5,
+        retention1: [1, 0.9, 0.8, 0]
+      })
+      expect(result3.n1).toBeNaN()
+    })
+
+    it('对比类型、效应或访视次数无效返回 NaN', () => {
+      const result1 = calculateRepeatedMeasuresSampleSize({
+        contrast: 'auc',
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5
+      })
+      expect(result1.n1).toBeNaN()
+
+      // 优效试验 Δ = 0
+      const result2 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 0,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 4,
+        sigma: 10,
+        rho: 0.5
+      })
+      expect(result2.n1).toBeNaN()
+
+      // 单次访视
+      const result3 = calculateRepeatedMeasuresSampleSize({
+        meanDiff: 5,
+        alpha: 0.025,
+        power: 0.8,
+        visits: 1,
+        sigma: 10,
+        rho: 0.5
+      })
+      expect(result3.n1).toBeNaN()
+    })
+  })
+})
@@ -0,0 +1,96 @@
+/**
+ * @file simon-two-stage.test.js
+ * @description Simon 两阶段 II 期设计测试（最优 / 极小极大搜索与给定设计评估）
+ *
+ * 验证数据来源:
+ * - Simon R (1989) Control Clin Trials 10(1):1-10, Table 1
+ * - tests/fixtures/python/simon-two-stage.py：math.comb 直接求和暴力穷举，复核 p0 = 0.10, p1 = 0.30
+ *   的最优 / 极小极大设计及完整工作特征
+ */
+
+import { describe, it, expect } from 'vitest'
+import { calculateSimonTwoStage, evaluateSimonDesign } from '../../src/sample-size/simon-two-stage'
+
+describe('sample-size/simon-two-stage', () => {
+  // ========================================================
+  // calculateSimonTwoStage - 设计搜索
+  // ========================================================
+  describe('calculateSimonTwoStage', () => {
+    it('Simon (1989) Table 1: p0 = 0.10, p1 = 0.30, α = 0.05, β = 0.20', () => {
+      const { optimal, minimax } = calculateSimonTwoStage(0.1, 0.3, 0.05, 0.8)
+
+      expect(optimal).toMatchObject({ r1: 1, n1: 10, r: 5, n: 29 })
+      expect(optimal.expectedN).toBeCloseTo(15.0141203471, 9)
+      expect(optimal.pet).toBeCloseTo(0.7360989291, 9)
+      expect(optimal.actualAlpha).toBeCloseTo(0.0470863066, 9)
+      expect(optimal.actualPower).toBeCloseTo(0.8050629132, 9)
+
+      expect(minimax).toMatchObject({ r1: 1, n1: 15, r: 5, n: 25 })
+      expect(minimax.expectedN).toBeCloseTo(19.5095698108, 9)
+      expect(minimax.pet).toBeCloseTo(0.5490430189, 9)
+    })
+
+    it('Simon (1989) Table 1: p0 = 0.20, p1 = 0.40, α = 0.05, β = 0.20', () => {
+      const { optimal, minimax } = calculateSimonTwoStage(0.2, 0.4, 0.05, 0.8)
+
+      expect(optimal).toMatchObject({ r1: 3, n1: 13, r: 12, n: 43 })
+      expect(optimal.expectedN).toBeCloseTo(20.6, 1)
+      expect(optimal.pet).toBeCloseTo(0.75, 2)
+
+      expect(minimax).toMatchObject({ r1: 4, n1: 18, r: 10, n: 33 })
+      expect(minimax.expectedN).toBeCloseTo(22.3, 1)
+      expect(minimax.pet).toBeCloseTo(0.72, 2)
+    })
+
+    it('最优设计 EN(p0) 不大于极小极大设计，极小极大 n 不大于最优设计', () => {
+      const { optimal, minimax } = calculateSimonTwoStage(0.3, 0.5, 0.05, 0.8)
+      expect(optimal.expectedN).toBeLessThanOrEqual(minimax.expectedN)
+      expect(minimax.n).toBeLessThanOrEqual(optimal.n)
+      for (const design of [optimal, minimax]) {
+        expect(design.actualAlpha).toBeLessThanOrEqual(0.05)
+        expect(design.actualPower).toBeGreaterThanOrEqual(0.8)
+      }
+    })
+
+    it('maxN 内无可行设计时返回 null', () => {
+      expect(calculateSimonTwoStage(0.1, 0.3, 0.05, 0.8, 20)).toEqual({
+        optimal: null,
+        minimax: null
+      })
+    })
+
+    it('参数无效或 p1 ≤ p0 时返回 NaN', () => {
+      expect(calculateSimonTwoStage(0.3, 0.1, 0.05, 0.8).optimal).toBeNaN()
+      expect(calculateSimonTwoStage(0.1, 0.3, 0, 0.8).optimal).toBeNaN()
+      expect(calculateSimonTwoStage(0.1, 0.3, 0.05, 0.8, 1000).minimax).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // evaluateSimonDesign - 给定设计评估
+  // ========================================================
+  describe('evaluateSimonDesign', () => {
+    it('与搜索结果的工作特征一致', () => {
+      const r = evaluateSimonDesign(1, 10, 5, 29, 0.1, 0.3)
+      expect(r.actualAlpha).toBeCloseTo(0.0470863066, 9)
+      expect(r.actualPower).toBeCloseTo(0.8050629132, 9)
+      expect(r.pet).toBeCloseTo(0.7360989291, 9)
+      expect(r.expectedN).toBeCloseTo(15.0141203471, 9)
+      expect(r.pet1).toBeCloseTo(0.1493083459, 9)
+      expect(r.expectedN1).toBeCloseTo(26.1631414279, 9)
+    })
+
+    it('r1 = 0 时 PET 为 (1-p)^n1', () => {
+      const r = evaluateSimonDesign(0, 10, 3, 30, 0.05, 0.2)
+      expect(r.pet).toBeCloseTo(Math.pow(0.95, 10), 12)
+      expect(r.pet1).toBeCloseTo(Math.pow(0.8, 10), 12)
+    })
+
+    it('设计参数不合法时返回 NaN', () => {
+      expect(evaluateSimonDesign(3, 10, 2, 29, 0.1, 0.3).actualAlpha).toBeNaN() // r < r1
+      expect(evaluateSimonDesign(1, 29, 5, 29, 0.1, 0.3).actualAlpha).toBeNaN() // n1 = n
+      expect(evaluateSimonDesign(1, 10.5, 5, 29, 0.1, 0.3).actualAlpha).toBeNaN()
+      expect(evaluateSimonDesign(1, 10, 5, 29, 1.2, 0.3).actualAlpha).toBeNaN()
+    })
+  })
+})
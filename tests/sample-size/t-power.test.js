@@ -0,0 +1,146 @@
+/**
+ * @file t-power.test.js
+ * @description 连续终点 t 检验精确功效与 method='t' 样本量迭代测试
+ *
+ * 验证数据来源:
+ * - R 语言 power.t.test（非中心 t，strict = FALSE）
+ * - TOST 精确功效: 对 χ 分布的独立 Simpson 数值积分复核（同 PowerTOST power.TOST 精确法）
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateTTestPower,
+  calculateTOSTPower,
+  searchSampleSizeT
+} from '../../src/sample-size/t-power'
+import { calculateOneSampleSizeContinuous } from '../../src/sample-size/one-sample'
+import { calculatePairedSampleSizeContinuous } from '../../src/sample-size/paired'
+
+describe('sample-size/t-power', () => {
+  // ========================================================
+  // calculateTTestPower - 单侧 t 检验精确功效
+  // ========================================================
+  describe('calculateTTestPower', () => {
+    it('与 R power.t.test 一致', () => {
+      // power.t.test(n = 20, delta = 1) → power = 0.8689528
+      expect(calculateTTestPower(1 / Math.sqrt(2 / 20), 38, 0.025)).toBeCloseTo(0.8689528, 7)
+      // power.t.test(power = 0.9, delta = 1) → n = 22.02110（非整数 n 处功效恰为 0.9）
+      const n = 22.0211
+      expect(calculateTTestPower(1 / Math.sqrt(2 / n), 2 * n - 2, 0.025)).toBeCloseTo(0.9, 5)
+    })
+
+    it('df 无效时返回 NaN', () => {
+      expect(calculateTTestPower(2, 0, 0.025)).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // calculateTOSTPower - Owen's Q 精确 TOST 功效
+  // ========================================================
+  describe('calculateTOSTPower', () => {
+    it('与独立数值积分一致', () => {
+      expect(calculateTOSTPower(0, 5, 8 * Math.sqrt(2 / 45), 88, 0.05)).toBeCloseTo(
+        0.8053232949473487,
+        10
+      )
+      expect(calculateTOSTPower(0.2, 1, Math.sqrt(2 / 21), 40, 0.05)).toBeCloseTo(
+        0.802033887213265,
+        10
+      )
+      expect(calculateTOSTPower(0, 2, 5 / Math.sqrt(55), 54, 0.05)).toBeCloseTo(
+        0.8009048868251815,
+        10
+      )
+    })
+
+    it('关于 Δ 对称', () => {
+      const se = Math.sqrt(2 / 30)
+      expect(calculateTOSTPower(0.3, 1, se, 58, 0.05)).toBeCloseTo(
+        calculateTOSTPower(-0.3, 1, se, 58, 0.05),
+        12
+      )
+    })
+
+    it('SE 远大于界值时功效趋近 0 且不为负', () => {
+      const power = calculateTOSTPower(0, 1, 2, 2, 0.05)
+      expect(power).toBeGreaterThanOrEqual(0)
+      expect(power).toBeLessThan(0.01)
+    })
+  })
+
+  // ========================================================
+  // searchSampleSizeT - 最小达标样本量搜索
+  // ========================================================
+  describe('searchSampleSizeT', () => {
+    const step = n => (n >= 37 ? 0.9 : 0.5)
+
+    it('初值偏小时向上搜索', () => {
+      expect(searchSampleSizeT(step, 3, 0.8)).toBe(37)
+    })
+
+    it('初值偏大时向下搜索', () => {
+      expect(searchSampleSizeT(step, 500, 0.8)).toBe(37)
+    })
+
+    it('不低于最小样本量', () => {
+      expect(searchSampleSizeT(() => 1, 10, 0.8)).toBe(2)
+      expect(searchSampleSizeT(() => 1, 10, 0.8, 5)).toBe(5)
+    })
+
+    it('功效始终不达标时返回 Infinity', () => {
+      expect(searchSampleSizeT(() => 0.5, 10, 0.8)).toBe(Infinity)
+    })
+  })
+
+  // ========================================================
+  // 单组 / 配对设计 method='t'
+  // ========================================================
+  describe("calculateOneSampleSizeContinuous method='t'", () => {
+    it('返回使精确功效达标的最小 n', () => {
+      const { n1 } = calculateOneSampleSizeContinuous(0, 1, 1, 0.025, 0.9, 't')
+      expect(n1).toBe(13)
+      expect(calculateTTestPower(Math.sqrt(n1), n1 - 1, 0.025)).toBeGreaterThanOrEqual(0.9)
+      expect(calculateTTestPower(Math.sqrt(n1 - 1), n1 - 2, 0.025)).toBeLessThan(0.9)
+    })
+
+    it('z 公式（默认）结果不变', () => {
+      expect(calculateOneSampleSizeContinuous(0, 1, 1, 0.025, 0.9)).toEqual({ n1: 11, n2: 0 })
+    })
+
+    it('未知 method → NaN', () => {
+      expect(calculateOneSampleSizeContinuous(0, 1, 1, 0.025, 0.9, 'exact')).toEqual({
+        n1: NaN,
+        n2: NaN
+      })
+    })
+  })
+
+  describe("calculatePairedSampleSizeContinuous method='t'", () => {
+    it('非劣效: 配对 t 检验精确功效', () => {
+      expect(calculatePairedSampleSizeContinuous(5, 2, 1, 0.025, 0.8, 'non-inferiority')).toEqual({
+        n: 22
+      })
+      expect(
+        calculatePairedSampleSizeContinuous(5, 2, 1, 0.025, 0.8, 'non-inferiority', 't')
+      ).toEqual({ n: 24 })
+    })
+
+    it("等效: Owen's Q 精确 TOST 功效", () => {
+      const { n } = calculatePairedSampleSizeContinuous(5, 0, 2, 0.05, 0.8, 'equivalence', 't')
+      expect(n).toBe(55)
+      expect(calculateTOSTPower(0, 2, 5 / Math.sqrt(n), n - 1, 0.05)).toBeGreaterThanOrEqual(0.8)
+      expect(calculateTOSTPower(0, 2, 5 / Math.sqrt(n - 1), n - 2, 0.05)).toBeLessThan(0.8)
+    })
+
+    it('无效输入仍返回 NaN / Infinity', () => {
+      expect(
+        calculatePairedSampleSizeContinuous(5, 0, 1, 0.025, 0.8, 'superiority', 't').n
+      ).toBeNaN()
+      expect(calculatePairedSampleSizeContinuous(5, 3, 2, 0.05, 0.8, 'equivalence', 't').n).toBe(
+        Infinity
+      )
+      const unknown = calculatePairedSampleSizeContinuous(5, 2, 1, 0.025, 0.8, 'superiority', 'T')
+      expect(unknown.n).toBeNaN()
+    })
+  })
+})
@@ -7,6 +7,19 @@
  * - Julious SA. Sample Sizes for Clinical Trials. Chapman and Hall/CRC; 2009.
  * - Flight L, Julious SA. Practical guide to sample size calculations. Pharm Stat. 2016;15(1):80-89.
  * - PowerAndSampleSize.com
+ * - 比值尺度: Farrington & Manning (1990) RMLE 公式 / Chow et al. (2017) §4.6 log OR 公式，
+ *   tests/fixtures/python/proportion-ratio-scale.py（RMLE 由似然导数二分求得）:
+ *   RR 非劣效 p₁ = p₂ = 0.85、M = 0.9: n₁ = 263.63 → 264；k = 2: 170.86 → 171
+ *   OR 非劣效 p₁ = p₂ = 0.85、M = 0.5: 256.26 → 257
+ *   优效 0.6 vs 0.75: RR（合并率）151.87 → 152；OR 155.20 → 156
+ * - 率差 score 方差（method = 'fm' / 'mn'）: Farrington & Manning (1990) 公式，
+ *   tests/fixtures/python/proportion-difference-score.py（RMLE 由约束似然导数二分求得；
+ *   mn 为满足 N/(N − 1) 校正的最小整数 n₁）:
+ *   非劣效 p₁ = p₂ = 0.85、δ = 0.1: FM 206.903 → 207（= gsDesign::nBinomial），MN 208；
+ *     0.7 / 0.7、k = 2: 235.28 → 236；0.75 vs 0.8: 123.23 → 124
+ *   优效 0.6 vs 0.75、power = 0.9: FM 202.81 → 203，MN 204；k = 2: 150.54 → 151
+ *   等效 δ = 0.1: 0.85 / 0.85 两侧 275.75 → 276（MN 277）；0.7 / 0.7、k = 2 上侧 341.59 → 342；
+ *     δ = 0.15、0.7 vs 0.75 近侧（上侧）310.50 → 311
  */
 
 import { describe, it, expect } from 'vitest'
@@ -59,6 +72,92 @@ describe('two-group sample size', () => {
     })
   })
 
+  // ========================================================
+  // 率终点 - 比值尺度（RR / OR）
+  // ========================================================
+  describe('Ratio scales - Proportion', () => {
+    it('非劣效 RR 界值 0.9（Farrington-Manning RMLE）', () => {
+      expect(calculateNISampleSize(0.85, 0.85, 0.9, 0.025, 0.8, 1, 'ratio')).toEqual({
+        n1: 264,
+        n2: 264
+      })
+      expect(calculateNISampleSize(0.85, 0.85, 0.9, 0.025, 0.8, 2, 'ratio')).toEqual({
+        n1: 171,
+        n2: 342
+      })
+    })
+
+    it('非劣效 OR 界值 0.5', () => {
+      expect(calculateNISampleSize(0.85, 0.85, 0.5, 0.025, 0.8, 1, 'oddsRatio').n1).toBe(257)
+    })
+
+    it('优效: RR 为合并方差 score 检验，方向对称', () => {
+      expect(calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'ratio').n1).toBe(152)
+      expect(calculateSupSampleSize(0.75, 0.6, 0.025, 0.8, 1, 'ratio').n1).toBe(152)
+      expect(calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'oddsRatio').n1).toBe(156)
+      // 默认仍为率差尺度
+      expect(calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1).n1).toBe(150)
+    })
+
+    it('预期效应不优于界值或参数无效时返回 NaN', () => {
+      expect(calculateNISampleSize(0.85, 0.765, 0.9, 0.025, 0.8, 1, 'ratio').n1).toBeNaN()
+      expect(calculateNISampleSize(0.85, 0.75, 0.9, 0.025, 0.8, 1, 'ratio').n1).toBeNaN()
+      expect(calculateNISampleSize(0.85, 0.85, 0, 0.025, 0.8, 1, 'ratio').n1).toBeNaN()
+      expect(calculateNISampleSize(0.85, 0.85, 0.9, 0.025, 0.8, 1, 'logOdds').n1).toBeNaN()
+      expect(calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'hazard').n1).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 率终点 - 率差 score 方差（FM / MN）
+  // ========================================================
+  describe("Score variance - method='fm' / 'mn'", () => {
+    it('非劣效: FM 方差与 gsDesign 一致，MN 再加 N/(N − 1) 校正', () => {
+      const ni = method =>
+        calculateNISampleSize(0.85, 0.85, 0.1, 0.025, 0.8, 1, 'difference', method)
+      expect(ni('wald').n1).toBe(201)
+      expect(ni('fm').n1).toBe(207)
+      expect(ni('mn').n1).toBe(208)
+      expect(calculateNISampleSize(0.7, 0.7, 0.1, 0.025, 0.8, 2, 'difference', 'fm')).toEqual({
+        n1: 236,
+        n2: 472
+      })
+      expect(calculateNISampleSize(0.75, 0.8, 0.1, 0.025, 0.8, 1, 'difference', 'fm').n1).toBe(124)
+    })
+
+    it('优效: FM 为合并率方差，与 RR 尺度 score 公式相同', () => {
+      const sup = (ratio, method) =>
+        calculateSupSampleSize(0.6, 0.75, 0.025, 0.9, ratio, 'difference', method)
+      expect(sup(1, 'wald').n1).toBe(200)
+      expect(sup(1, 'fm').n1).toBe(203)
+      expect(sup(1, 'mn').n1).toBe(204)
+      expect(sup(2, 'fm')).toEqual({ n1: 151, n2: 302 })
+      expect(sup(2, 'fm')).toEqual(calculateSupSampleSize(0.6, 0.75, 0.025, 0.9, 2, 'ratio'))
+      expect(calculateSupSampleSize(0.75, 0.6, 0.025, 0.9, 1, 'difference', 'fm').n1).toBe(203)
+    })
+
+    it('等效: 两个单侧检验按各自 RMLE 方差，取较大者', () => {
+      expect(calculateEqSampleSize(0.85, 0.85, 0.1, 0.025, 0.8, 1, 'fm').n1).toBe(276)
+      expect(calculateEqSampleSize(0.85, 0.85, 0.1, 0.025, 0.8, 1, 'mn').n1).toBe(277)
+      expect(calculateEqSampleSize(0.7, 0.7, 0.1, 0.025, 0.8, 2, 'fm')).toEqual({
+        n1: 342,
+        n2: 684
+      })
+      expect(calculateEqSampleSize(0.7, 0.75, 0.15, 0.025, 0.8, 1, 'fm').n1).toBe(311)
+      expect(calculateEqSampleSize(0.7, 0.8, 0.1, 0.025, 0.8, 1, 'fm').n1).toBe(Infinity)
+    })
+
+    it('效应量不在备择一侧或 method 无效时返回 NaN', () => {
+      expect(calculateNISampleSize(0.8, 0.7, 0.05, 0.025, 0.8, 1, 'difference', 'fm').n1).toBeNaN()
+      expect(
+        calculateNISampleSize(0.8, 0.8, 0.1, 0.025, 0.8, 1, 'difference', 'exact').n1
+      ).toBeNaN()
+      expect(calculateSupSampleSize(0.6, 0.6, 0.025, 0.8, 1, 'difference', 'mn').n1).toBeNaN()
+      expect(calculateSupSampleSize(0.6, 0.75, 0.025, 0.8, 1, 'difference', 'wilson').n1).toBeNaN()
+      expect(calculateEqSampleSize(0.7, 0.7, 0.1, 0.025, 0.8, 1, 'score').n1).toBeNaN()
+    })
+  })
+
   // ========================================================
   // 非劣效试验 - 连续终点
   // ========================================================
@@ -220,6 +319,76 @@ describe('two-group sample size', () => {
     })
   })
 
+  // ========================================================
+  // 连续终点 - method='t'（非中心 t / Owen's Q 精确功效迭代）
+  // ========================================================
+  describe("Continuous - method='t'", () => {
+    it('优效: 与 R power.t.test 一致（向上取整）', () => {
+      // R: power.t.test(power = 0.9, delta = 1) → n = 22.02110（双侧 0.05 ≡ 单侧 0.025）
+      expect(calculateSupSampleSizeContinuous(1, 1, 0.025, 0.9, 1, 't')).toEqual({ n1: 23, n2: 23 })
+      // R: power.t.test(power = 0.9, delta = 1, alternative = 'one.sided') → n = 17.84713
+      expect(calculateSupSampleSizeContinuous(1, 1, 0.05, 0.9, 1, 't')).toEqual({ n1: 18, n2: 18 })
+    })
+
+    it('小样本时 t 法比 z 公式多 1 例左右', () => {
+      const z = calculateSupSampleSizeContinuous(1, 1, 0.025, 0.9, 1)
+      const t = calculateSupSampleSizeContinuous(1, 1, 0.025, 0.9, 1, 't')
+      expect(z.n1).toBe(22)
+      expect(t.n1 - z.n1).toBe(1)
+    })
+
+    it('非劣效: ICORG 05-03 参数下 t 法 113（z 公式 112）', () => {
+      expect(calculateNISampleSizeContinuous(4, -1.5, 0.025, 0.8, 1, 0).n1).toBe(112)
+      expect(calculateNISampleSizeContinuous(4, -1.5, 0.025, 0.8, 1, 0, 't')).toEqual({
+        n1: 113,
+        n2: 113
+      })
+    })
+
+    it("等效: Owen's Q 精确 TOST 功效（Julious Δ=0 / Δ≠0）", () => {
+      // 精确功效经独立数值积分复核: n=45 → 0.805323，n=21 (Δ=0.2) → 0.802034
+      expect(calculateEqSampleSizeContinuous(8, 5, 0.05, 0.8, 1, 0, 't')).toEqual({
+        n1: 45,
+        n2: 45
+      })
+      expect(calculateEqSampleSizeContinuous(1, 1, 0.05, 0.8, 1, 0.2, 't')).toEqual({
+        n1: 21,
+        n2: 21
+      })
+    })
+
+    it('分配比例: n2 仍按 ⌈n1·k⌉', () => {
+      const r = calculateSupSampleSizeContinuous(4, 2, 0.025, 0.8, 2, 't')
+      expect(r.n2).toBe(Math.ceil(r.n1 * 2))
+    })
+
+    it("method='z'（默认）行为不变", () => {
+      expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, 'z')).toEqual(
+        calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1)
+      )
+      expect(calculateEqSampleSizeContinuous(8, 5, 0.05, 0.8, 1, 0, 'z')).toEqual(
+        calculateEqSampleSizeContinuous(8, 5, 0.05, 0.8, 1, 0)
+      )
+    })
+
+    it('无效输入仍走既有 NaN / Infinity 分支', () => {
+      expect(calculateSupSampleSizeContinuous(10, 0, 0.025, 0.8, 1, 't').n1).toBeNaN()
+      expect(calculateEqSampleSizeContinuous(10, 5, 0.05, 0.8, 1, 10, 't').n1).toBe(Infinity)
+      expect(calculateNISampleSizeContinuous(-1, -1.5, 0.025, 0.8, 1, 0, 't').n1).toBeNaN()
+    })
+
+    it('未知 method → NaN（不回退 z 公式）', () => {
+      for (const method of ['T', 'exact', null]) {
+        expect(calculateSupSampleSizeContinuous(10, 5, 0.025, 0.8, 1, method)).toEqual({
+          n1: NaN,
+          n2: NaN
+        })
+        expect(calculateNISampleSizeContinuous(4, -1.5, 0.025, 0.8, 1, 0, method).n1).toBeNaN()
+        expect(calculateEqSampleSizeContinuous(8, 5, 0.05, 0.8, 1, 0, method).n2).toBeNaN()
+      }
+    })
+  })
+
   // ========================================================
   // 边界条件和错误处理
   // ========================================================
@@ -0,0 +1,260 @@
+/**
+ * @file log-rank-sample-size.test.js
+ * @description 生存终点（Log-rank）样本量计算测试
+ *
+ * 验证数据来源:
+ * - Schoenfeld DA. Biometrics. 1983;39(2):499-503.（事件数公式手算）
+ * - Freedman LS. Stat Med. 1982;1(2):121-129.（事件数公式手算）
+ * - Lachin JM, Foulkes MA. Biometrics. 1986;42(3):507-519.
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  calculateSurvivalSampleSize,
+  calculateEventProbability,
+  buildAccrualPieces
+} from '../../src/survival/log-rank-sample-size.js'
+
+const base = { hr: 0.7, alpha: 0.025, power: 0.8 }
+const timeline = { median1: 12, accrualTime: 24, followUpTime: 12 }
+
+describe('survival (log-rank) sample size', () => {
+  // ========================================================
+  // 事件数公式
+  // ========================================================
+  describe('事件数 - Schoenfeld / Freedman', () => {
+    it('Schoenfeld: HR=0.7, α=0.025, power=0.8, 1:1 → 247 事件', () => {
+      // D = (1.95996 + 0.84162)² × 4 / ln(0.7)² = 246.8
+      const result = calculateSurvivalSampleSize(base)
+      expect(result.events).toBe(247)
+      expect(result.method).toBe('schoenfeld')
+    })
+
+    it('Freedman: 同参数 → 253 事件（略多于 Schoenfeld）', () => {
+      // D = 7.8489 × (1 + 0.7)² / (1 − 0.7)² = 252.0
+      const result = calculateSurvivalSampleSize({ ...base, method: 'freedman' })
+      expect(result.events).toBe(253)
+    })
+
+    it('不等分配 2:1 → 事件数按 1/(p₁p₂) 增加', () => {
+      // p₁p₂ = 2/9 → D = 7.8489 / (2/9 × 0.12722) = 277.6
+      const result = calculateSurvivalSampleSize({ ...base, ratio: 2 })
+      expect(result.events).toBe(278)
+    })
+
+    it('HR 越接近 1 所需事件数越多', () => {
+      const strong = calculateSurvivalSampleSize({ ...base, hr: 0.6 })
+      const weak = calculateSurvivalSampleSize({ ...base, hr: 0.8 })
+      expect(weak.events).toBeGreaterThan(strong.events)
+    })
+
+    it('HR > 1（试验组风险更高）时优效事件数与 1/HR 对称', () => {
+      const below = calculateSurvivalSampleSize({ ...base, hr: 0.8 })
+      const above = calculateSurvivalSampleSize({ ...base, hr: 1 / 0.8 })
+      expect(above.events).toBe(below.events)
+    })
+
+    it('未提供入组/随访参数时仅返回事件数，受试者数为 NaN', () => {
+      const result = calculateSurvivalSampleSize(base)
+      expect(result.totalN).toBeNaN()
+      expect(result.eventProbability).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 非劣效
+  // ========================================================
+  describe('非劣效 - HR 尺度', () => {
+    it('HR=1, M=1.3 → D = 7.8489 × 4 / ln(1.3)² = 457', () => {
+      const result = calculateSurvivalSampleSize({
+        hr: 1,
+        alpha: 0.025,
+        power: 0.8,
+        studyType: 'non-inferiority',
+        margin: 1.3
+      })
+      expect(result.events).toBe(457)
+    })
+
+    it('真实 HR ≥ 界值 → Infinity（无法证明非劣效）', () => {
+      const result = calculateSurvivalSampleSize({
+        hr: 1.4,
+        alpha: 0.025,
+        power: 0.8,
+        studyType: 'non-inferiority',
+        margin: 1.3
+      })
+      expect(result.events).toBe(Infinity)
+      expect(result.totalN).toBe(Infinity)
+    })
+
+    it('界值缺失或 ≤ 1 → NaN', () => {
+      const noMargin = calculateSurvivalSampleSize({ ...base, studyType: 'non-inferiority' })
+      const badMargin = calculateSurvivalSampleSize({
+        ...base,
+        studyType: 'non-inferiority',
+        margin: 0.9
+      })
+      expect(noMargin.events).toBeNaN()
+      expect(badMargin.events).toBeNaN()
+    })
+
+    it('Freedman 不支持非劣效 → NaN', () => {
+      const result = calculateSurvivalSampleSize({
+        hr: 1,
+        alpha: 0.025,
+        power: 0.8,
+        studyType: 'non-inferiority',
+        margin: 1.3,
+        method: 'freedman'
+      })
+      expect(result.events).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 事件概率与受试者数
+  // ========================================================
+  describe('事件概率 - 入组/随访/脱落', () => {
+    it('均匀入组、无脱落: 与闭式解一致', () => {
+      // λ = ln2/12, R = 24, T = 12: d = 1 − (e^{−12λ} − e^{−36λ}) / (24λ) = 1 − 0.375/ln(4)
+      const lambda = Math.LN2 / 12
+      const d = calculateEventProbability(lambda, 0, buildAccrualPieces(24), 12)
+      expect(d).toBeCloseTo(1 - 0.375 / Math.log(4), 10)
+    })
+
+    it('瞬时入组（入组期 0）: d = 1 − e^{−λT}', () => {
+      const lambda = 0.1
+      const d = calculateEventProbability(lambda, 0, buildAccrualPieces(0), 10)
+      expect(d).toBeCloseTo(1 - Math.exp(-1), 10)
+    })
+
+    it('脱落: 事件概率按 λ/(λ+η) 竞争风险降低', () => {
+      const pieces = buildAccrualPieces(24)
+      const noDrop = calculateEventProbability(0.05, 0, pieces, 12)
+      const withDrop = calculateEventProbability(0.05, 0.01, pieces, 12)
+      expect(withDrop).toBeLessThan(noDrop)
+    })
+
+    it('Schoenfeld + 时间轴: N = D / d̄，n2 = n1 × ratio', () => {
+      const result = calculateSurvivalSampleSize({ ...base, ...timeline })
+      expect(result.events).toBe(247)
+      expect(result.eventProbability).toBeGreaterThan(0)
+      expect(result.eventProbability).toBeLessThan(1)
+      expect(result.n1).toBe(Math.ceil(247 / result.eventProbability / 2))
+      expect(result.n2).toBe(result.n1)
+      expect(result.totalN).toBe(result.n1 + result.n2)
+    })
+
+    it('中位生存时间与风险率输入等价（λ = ln2 / median）', () => {
+      const byMedian = calculateSurvivalSampleSize({ ...base, ...timeline })
+      const byLambda = calculateSurvivalSampleSize({
+        ...base,
+        lambda1: Math.LN2 / 12,
+        accrualTime: 24,
+        followUpTime: 12
+      })
+      expect(byLambda).toEqual(byMedian)
+    })
+
+    it('脱落使总样本量增加', () => {
+      const noDrop = calculateSurvivalSampleSize({ ...base, ...timeline })
+      const withDrop = calculateSurvivalSampleSize({
+        ...base,
+        ...timeline,
+        dropoutRate: -Math.log(0.95) / 12
+      })
+      expect(withDrop.events).toBe(noDrop.events)
+      expect(withDrop.totalN).toBeGreaterThan(noDrop.totalN)
+    })
+
+    it('分段入组: 单段速率相同时与均匀入组一致', () => {
+      const uniform = calculateSurvivalSampleSize({ ...base, ...timeline })
+      const piecewise = calculateSurvivalSampleSize({
+        ...base,
+        median1: 12,
+        accrualDurations: [6, 18],
+        accrualRates: [1, 1],
+        followUpTime: 12
+      })
+      expect(piecewise.eventProbability).toBeCloseTo(uniform.eventProbability, 10)
+      expect(piecewise.totalN).toBe(uniform.totalN)
+    })
+
+    it('分段入组: 后期入组加速 → 随访更短 → 总样本量更大', () => {
+      const uniform = calculateSurvivalSampleSize({ ...base, ...timeline })
+      const rampUp = calculateSurvivalSampleSize({
+        ...base,
+        median1: 12,
+        accrualDurations: [6, 18],
+        accrualRates: [1, 2],
+        followUpTime: 12
+      })
+      expect(rampUp.totalN).toBeGreaterThan(uniform.totalN)
+    })
+
+    it('分段入组参数长度不一致 → 仅返回事件数', () => {
+      const result = calculateSurvivalSampleSize({
+        ...base,
+        median1: 12,
+        accrualDurations: [6, 18],
+        accrualRates: [1],
+        followUpTime: 12
+      })
+      expect(result.events).toBe(247)
+      expect(result.totalN).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // Lachin-Foulkes
+  // ========================================================
+  describe('Lachin-Foulkes', () => {
+    it('与 Schoenfeld 结果接近（相差 < 5%）', () => {
+      const lf = calculateSurvivalSampleSize({ ...base, ...timeline, method: 'lachin-foulkes' })
+      const sch = calculateSurvivalSampleSize({ ...base, ...timeline })
+      expect(Math.abs(lf.totalN - sch.totalN) / sch.totalN).toBeLessThan(0.05)
+      expect(lf.events).toBeGreaterThan(0)
+    })
+
+    it('非劣效 HR=1, M=1.3: 事件数与 Schoenfeld 接近', () => {
+      const lf = calculateSurvivalSampleSize({
+        hr: 1,
+        alpha: 0.025,
+        power: 0.8,
+        studyType: 'non-inferiority',
+        margin: 1.3,
+        ...timeline,
+        method: 'lachin-foulkes'
+      })
+      expect(Math.abs(lf.events - 457) / 457).toBeLessThan(0.05)
+    })
+
+    it('缺少时间轴参数 → NaN（LF 直接给出受试者数）', () => {
+      const result = calculateSurvivalSampleSize({ ...base, method: 'lachin-foulkes' })
+      expect(result.events).toBeNaN()
+      expect(result.totalN).toBeNaN()
+    })
+  })
+
+  // ========================================================
+  // 参数验证
+  // ========================================================
+  describe('参数验证', () => {
+    it('hr ≤ 0 / alpha / power 越界 → NaN', () => {
+      expect(calculateSurvivalSampleSize({ ...base, hr: 0 }).events).toBeNaN()
+      expect(calculateSurvivalSampleSize({ ...base, hr: -0.5 }).events).toBeNaN()
+      expect(calculateSurvivalSampleSize({ ...base, alpha: 0 }).events).toBeNaN()
+      expect(calculateSurvivalSampleSize({ ...base, power: 1 }).events).toBeNaN()
+    })
+
+    it('优效 HR = 1 → NaN（无效应）', () => {
+      expect(calculateSurvivalSampleSize({ ...base, hr: 1 }).events).toBeNaN()
+    })
+
+    it('未知方法 / 负脱落率 → NaN', () => {
+      expect(calculateSurvivalSampleSize({ ...base, method: 'cox' }).events).toBeNaN()
+      expect(calculateSurvivalSampleSize({ ...base, dropoutRate: -0.1 }).events).toBeNaN()
+    })
+  })
+})